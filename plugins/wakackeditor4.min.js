@@ -1 +1 @@
-!function(){"use strict";let e=!1;const t=[];let n="https://cdn.ckeditor.com/4.22.1/standard/ckeditor.js",a=!1;function s(){for(const e of t)r(e.abstraction,e.pacId,e.pac,e.msgConstants,e.editorConfig);t.length=0}const o=new Map;function r(e,t,n,a,s){const r=n.getContainerByPacId(t);if(!r||!r.isConnected)return;const c=(e=>{if(e instanceof HTMLTextAreaElement)return e;let t=e.querySelector("textarea[data-waka-ckeditor-proxy]");return t||(t=document.createElement("textarea"),t.setAttribute("data-waka-ckeditor-proxy",""),e.hasAttribute("name")&&(t.name=e.getAttribute("name")),t.value=e.innerHTML.trim(),e.innerHTML="",e.appendChild(t)),t})(r),i={pac:n,editor:null,abstraction:e,msgConstants:a};o.set(t,i);const d=CKEDITOR.replace(c,s);i.editor=d,d.on("instanceReady",()=>{const e=d.getData();n.sendMessage(t,a.MSG_EDITOR_READY,0,0,{value:e})}),d.on("change",()=>{const e=d.getData();n.sendMessage(t,n.MSG_CHANGE,0,0,{value:e})}),d.on("key",()=>{n.postMessage(t,n.MSG_INPUT,0,0,{value:d.getData()})}),d.on("beforePaste",e=>{if(!o.has(t))return;const a=e.data.domEvent?.$??null,s=e.data.dataValue??"",r=document.createElement("div");r.innerHTML=s;const c=r.textContent??r.innerText??"";!1===n.sendMessage(t,n.MSG_PASTE,a?(a.ctrlKey?n.MK_CONTROL:0)|(a.shiftKey?n.MK_SHIFT:0)|(a.altKey?n.MK_ALT:0):0,c.length,{"text/plain":c,"text/html":s,"text/rtf":"","text/uri-list":"",uris:[],files:[],types:s?["text/html"]:[]})&&e.cancel()}),d.on("afterPaste",()=>{if(!o.has(t))return;const e=d.getData();n.sendMessage(t,n.MSG_INPUT_COMPLETE,0,0,{value:e})}),d.on("focus",()=>{n.sendMessage(t,n.MSG_SETFOCUS,0,0)}),d.on("blur",()=>{const e=d.getData();n.sendMessage(t,n.MSG_INPUT_COMPLETE,0,0,{value:e}),n.sendMessage(t,n.MSG_KILLFOCUS,0,0)})}window.WakaCKEditor={createPacPlugin(c,i={}){i.src?n=i.src:"lts"===i.license&&(n="https://cdn.ckeditor.com/4.25.1-lts/standard/ckeditor.js"),!0!==i.suppressVersionCheck||i.src||"lts"===i.license||(a=!0);const d={toolbar:i.toolbar??"Full",language:i.language??void 0,licenseKey:i.licenseKey??void 0};Object.keys(d).forEach(e=>{void 0===d[e]&&delete d[e]});const l=c.MSG_PLUGIN+512,u=c.MSG_PLUGIN+513;this.MSG_EDITOR_READY=l,this.MSG_EDITOR_ERROR=u;const g={MSG_EDITOR_READY:l,MSG_EDITOR_ERROR:u};return{onComponentCreated(o,i,l){const u=c.getContainerByPacId(i);if(!u)return;const M="waka-ckeditor"===u.tagName.toLowerCase(),E=u instanceof HTMLTextAreaElement;if(!E&&!M)return;if(E&&!u.hasAttribute("data-ckeditor"))return;const f={...d,...l.ckeditor??{}};(()=>{if(window.CKEDITOR)return e=!0,void s();if(document.getElementById("waka-ckeditor-script"))return;const o=document.createElement("script");o.id="waka-ckeditor-script",o.src=n,o.onload=()=>{a&&(CKEDITOR.config.versionCheck=!1),e=!0,s()},o.onerror=()=>{for(const e of t)e.pac.sendMessage(e.pacId,e.msgConstants.MSG_EDITOR_ERROR,0,0,{message:"CKEditor 4 script failed to load"});t.length=0},(document.head??document.body).appendChild(o)})(),e?r(o,i,c,g,f):t.push({abstraction:o,pacId:i,pac:c,msgConstants:g,editorConfig:f})},onComponentDestroyed(e){const n=t.findIndex(t=>t.pacId===e);-1!==n&&t.splice(n,1);const a=o.get(e);a&&(a.editor.destroy(),o.delete(e))}}},getValue:e=>o.get(e)?.editor?.getData(),setValue(e,t){const n=o.get(e);n&&n.editor.setData(t)},focus(e){o.get(e)?.editor?.focus()},setReadOnly(e,t){const n=o.get(e);n&&n.editor.setReadOnly(!!t)}},window.wakaCKEditor=window.WakaCKEditor}();
\ No newline at end of file
+!function(){"use strict";let e=!1;const t=[];let n="https://cdn.ckeditor.com/4.22.1/standard/ckeditor.js",a=!1;function s(){for(const e of t)r(e.abstraction,e.pacId,e.pac,e.msgConstants,e.editorConfig);t.length=0}const o=new Map;function r(e,t,n,a,s){const r=n.getContainerByPacId(t);if(!r||!r.isConnected)return;const c=(e=>{if(e instanceof HTMLTextAreaElement)return e;let t=e.querySelector("textarea[data-waka-ckeditor-proxy]");return t||(t=document.createElement("textarea"),t.setAttribute("data-waka-ckeditor-proxy",""),e.hasAttribute("name")&&(t.name=e.getAttribute("name")),t.value=e.innerHTML.trim(),e.innerHTML="",e.appendChild(t)),t})(r),i={pac:n,editor:null,abstraction:e,msgConstants:a};o.set(t,i);const d=CKEDITOR.replace(c,s);i.editor=d,d.on("instanceReady",()=>{const e=d.getData();n.sendMessage(t,a.MSG_EDITOR_READY,0,0,{value:e})}),d.on("change",()=>{const e=d.getData();n.sendMessage(t,n.MSG_CHANGE,0,0,{value:e})}),d.on("key",()=>{n.postMessage(t,n.MSG_INPUT,0,0,{value:d.getData()})}),d.on("beforePaste",e=>{if(!o.has(t))return;const a=e.data.domEvent?.$??null,s=e.data.dataValue??"",r=document.createElement("div");r.innerHTML=s;const c=r.textContent??r.innerText??"";!1===n.sendMessage(t,n.MSG_PASTE,a?(a.ctrlKey?n.MK_CONTROL:0)|(a.shiftKey?n.MK_SHIFT:0)|(a.altKey?n.MK_ALT:0):0,c.length,{"text/plain":c,"text/html":s,"text/rtf":"","text/uri-list":"",uris:[],files:[],types:s?["text/html"]:[]})&&e.cancel()}),d.on("afterPaste",()=>{if(!o.has(t))return;const e=d.getData();n.sendMessage(t,n.MSG_INPUT_COMPLETE,0,0,{value:e})}),d.on("focus",()=>{n.sendMessage(t,n.MSG_SETFOCUS,0,0)}),d.on("blur",()=>{const e=d.getData();n.sendMessage(t,n.MSG_INPUT_COMPLETE,0,0,{value:e}),n.sendMessage(t,n.MSG_KILLFOCUS,0,0)})}window.WakaCKEditor={createPacPlugin(c,i={}){i.src?n=i.src:"lts"===i.license&&(n="https://cdn.ckeditor.com/4.25.1-lts/standard/ckeditor.js"),!0!==i.suppressVersionCheck||i.src||"lts"===i.license||(a=!0);const d={toolbar:i.toolbar??"Full",language:i.language??void 0,licenseKey:i.licenseKey??void 0};Object.keys(d).forEach(e=>{void 0===d[e]&&delete d[e]});const l=c.registerWindowMessage("wakaeditor.ready"),u=c.registerWindowMessage("wakaeditor.error");this.MSG_EDITOR_READY=l,this.MSG_EDITOR_ERROR=u;const g={MSG_EDITOR_READY:l,MSG_EDITOR_ERROR:u};return{onComponentCreated(o,i,l){const u=c.getContainerByPacId(i);if(!u)return;const M="waka-ckeditor"===u.tagName.toLowerCase(),E=u instanceof HTMLTextAreaElement;if(!E&&!M)return;if(E&&!u.hasAttribute("data-ckeditor"))return;const f={...d,...l.ckeditor??{}};(()=>{if(window.CKEDITOR)return e=!0,void s();if(document.getElementById("waka-ckeditor-script"))return;const o=document.createElement("script");o.id="waka-ckeditor-script",o.src=n,o.onload=()=>{a&&(CKEDITOR.config.versionCheck=!1),e=!0,s()},o.onerror=()=>{for(const e of t)e.pac.sendMessage(e.pacId,e.msgConstants.MSG_EDITOR_ERROR,0,0,{message:"CKEditor 4 script failed to load"});t.length=0},(document.head??document.body).appendChild(o)})(),e?r(o,i,c,g,f):t.push({abstraction:o,pacId:i,pac:c,msgConstants:g,editorConfig:f})},onComponentDestroyed(e){const n=t.findIndex(t=>t.pacId===e);-1!==n&&t.splice(n,1);const a=o.get(e);a&&(a.editor.destroy(),o.delete(e))}}},getValue:e=>o.get(e)?.editor?.getData(),setValue(e,t){const n=o.get(e);n&&n.editor.setData(t)},focus(e){o.get(e)?.editor?.focus()},setReadOnly(e,t){const n=o.get(e);n&&n.editor.setReadOnly(!!t)}},window.wakaCKEditor=window.WakaCKEditor}();
\ No newline at end of file
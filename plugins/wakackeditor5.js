@@ -588,9 +588,11 @@
                 _defaultEditorConfig.licenseKey = options.licenseKey;
             }
 
-            // Derive message constants from the host's MSG_PLUGIN base.
-            const MSG_EDITOR_READY = pac.MSG_PLUGIN + 0x200;
-            const MSG_EDITOR_ERROR = pac.MSG_PLUGIN + 0x201;
+            // Register message constants by name so they cannot collide with other
+            // plugins. The names are shared by all editor plugins, so msgProc
+            // handlers work unchanged whichever editor is installed.
+            const MSG_EDITOR_READY = pac.registerWindowMessage('wakaeditor.ready');
+            const MSG_EDITOR_ERROR = pac.registerWindowMessage('wakaeditor.error');
 
             // Attach constants so components can reference WakaCKEditor.MSG_EDITOR_READY etc.
             this.MSG_EDITOR_READY = MSG_EDITOR_READY;
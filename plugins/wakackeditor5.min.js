@@ -1 +1 @@
-!function(){"use strict";const e="48.0.0",t="waka-ckeditor-readonly";let n=!1;const a=[];let o=`https://cdn.ckeditor.com/ckeditor5/${e}/ckeditor5.umd.js`,s=`https://cdn.ckeditor.com/ckeditor5/${e}/ckeditor5.css`;function r(){for(const e of a)d(e.abstraction,e.pacId,e.pac,e.msgConstants,e.editorConfig);a.length=0}const i=new Map;function d(e,t,n,a,o){const s=n.getContainerByPacId(t);if(!s||!s.isConnected)return;const r=(e=>{if(e instanceof HTMLTextAreaElement)return e;let t=e.querySelector("textarea[data-waka-ckeditor5-proxy]");return t||(t=document.createElement("textarea"),t.setAttribute("data-waka-ckeditor5-proxy",""),e.hasAttribute("name")&&(t.name=e.getAttribute("name")),t.value=e.innerHTML.trim(),e.innerHTML="",e.appendChild(t)),t})(s),d=document.createElement("textarea");d.name=r.name??"",d.value=r.value??"",d.style.display="none",r.parentNode.insertBefore(d,r);const c={pac:n,editor:null,proxy:d,abstraction:e,msgConstants:a};i.set(t,c);const{ClassicEditor:l}=window.CKEDITOR;l.create(r,o).then(e=>{if(!i.has(t))return e.destroy(),void d.remove();c.editor=e;const o=e.getData();d.value=o,n.sendMessage(t,a.MSG_EDITOR_READY,0,0,{value:o}),e.model.document.on("change:data",()=>{if(!i.has(t))return;const a=e.getData();d.value=a,n.sendMessage(t,n.MSG_INPUT,0,0,{value:a}),n.sendMessage(t,n.MSG_CHANGE,0,0,{value:a})});const s=e.editing.view.document;s.on("paste",(e,a)=>{if(!i.has(t))return;const o=(e=>{if(!e)return{"text/plain":"","text/html":"","text/rtf":"","text/uri-list":"",uris:[],files:[],types:[]};const t=Array.from(e.types??[]),n=e.getData("text/uri-list")??"",a=n.split(/\r?\n/).filter(e=>e.length>0&&!e.startsWith("#")),o=Array.from(e.files??[]).map(e=>({name:e.name,size:e.size,type:e.type}));return{"text/plain":e.getData("text/plain")??"","text/html":e.getData("text/html")??"","text/rtf":e.getData("text/rtf")??"","text/uri-list":n,uris:a,files:o,types:t}})(a.domEvent.clipboardData),s=a.domEvent;!1===n.sendMessage(t,n.MSG_PASTE,(s.ctrlKey?n.MK_CONTROL:0)|(s.shiftKey?n.MK_SHIFT:0)|(s.altKey?n.MK_ALT:0),o["text/plain"].length,o)&&(e.stop(),a.preventDefault())},{priority:"high"});const r=e.plugins.get("ClipboardPipeline");r&&r.on("contentInsertion",()=>{if(!i.has(t))return;const a=e.getData();n.sendMessage(t,n.MSG_INPUT_COMPLETE,0,0,{value:a})}),s.on("focus",()=>{n.sendMessage(t,n.MSG_SETFOCUS,0,0)}),s.on("blur",()=>{const a=e.getData();d.value=a,n.sendMessage(t,n.MSG_INPUT_COMPLETE,0,0,{value:a}),n.sendMessage(t,n.MSG_KILLFOCUS,0,0)})}).catch(e=>{i.delete(t),d.remove(),n.sendMessage(t,a.MSG_EDITOR_ERROR,0,0,{message:e?.message??"CKEditor 5 failed to initialize"})})}window.WakaCKEditor={createPacPlugin(e,t={}){t.src&&(o=t.src,s=void 0!==t.css?t.css:null),void 0===t.css||t.src||(s=t.css);const c={};t.toolbar&&(c.toolbar=t.toolbar),t.language&&(c.language=t.language),t.licenseKey&&(c.licenseKey=t.licenseKey);const l=e.MSG_PLUGIN+512,u=e.MSG_PLUGIN+513;this.MSG_EDITOR_READY=l,this.MSG_EDITOR_ERROR=u;const g={MSG_EDITOR_READY:l,MSG_EDITOR_ERROR:u};return{onComponentCreated(t,i,l){const u=e.getContainerByPacId(i);if(!u)return;const m="waka-ckeditor"===u.tagName.toLowerCase(),p=u instanceof HTMLTextAreaElement;if(!p&&!m)return;if(p&&!u.hasAttribute("data-ckeditor"))return;const f={...c,...l.ckeditor??{}};(()=>{if(window.CKEDITOR)return n=!0,void r();if(document.getElementById("waka-ckeditor5-script"))return;if(s&&!document.getElementById("waka-ckeditor5-css")){const e=document.createElement("link");e.id="waka-ckeditor5-css",e.rel="stylesheet",e.href=s,(document.head??document.body).appendChild(e)}const e=document.createElement("script");e.id="waka-ckeditor5-script",e.src=o,e.onload=()=>{if(!window.CKEDITOR){const e="CKEditor 5 script loaded but window.CKEDITOR is not defined. Use the official UMD CDN bundle (ckeditor5.umd.js) or a self-hosted UMD build.";for(const t of a)t.pac.sendMessage(t.pacId,t.msgConstants.MSG_EDITOR_ERROR,0,0,{message:e});return void(a.length=0)}n=!0,r()},e.onerror=()=>{for(const e of a)e.pac.sendMessage(e.pacId,e.msgConstants.MSG_EDITOR_ERROR,0,0,{message:"CKEditor 5 script failed to load"});a.length=0},(document.head??document.body).appendChild(e)})(),n?d(t,i,e,g,f):a.push({abstraction:t,pacId:i,pac:e,msgConstants:g,editorConfig:f})},onComponentDestroyed(e){const t=a.findIndex(t=>t.pacId===e);-1!==t&&a.splice(t,1);const n=i.get(e);n&&(i.delete(e),n.proxy?.remove(),n.editor&&n.editor.destroy().catch(()=>{}))}}},getValue:e=>i.get(e)?.editor?.getData(),setValue(e,t){const n=i.get(e);n?.editor&&n.editor.setData(t)},focus(e){i.get(e)?.editor?.focus()},setReadOnly(e,n){const a=i.get(e);a?.editor&&(n?a.editor.enableReadOnlyMode(t):a.editor.disableReadOnlyMode(t))}},window.wakaCKEditor=window.WakaCKEditor}();
\ No newline at end of file
+!function(){"use strict";const e="48.0.0",t="waka-ckeditor-readonly";let n=!1;const a=[];let o=`https://cdn.ckeditor.com/ckeditor5/${e}/ckeditor5.umd.js`,s=`https://cdn.ckeditor.com/ckeditor5/${e}/ckeditor5.css`;function r(){for(const e of a)d(e.abstraction,e.pacId,e.pac,e.msgConstants,e.editorConfig);a.length=0}const i=new Map;function d(e,t,n,a,o){const s=n.getContainerByPacId(t);if(!s||!s.isConnected)return;const r=(e=>{if(e instanceof HTMLTextAreaElement)return e;let t=e.querySelector("textarea[data-waka-ckeditor5-proxy]");return t||(t=document.createElement("textarea"),t.setAttribute("data-waka-ckeditor5-proxy",""),e.hasAttribute("name")&&(t.name=e.getAttribute("name")),t.value=e.innerHTML.trim(),e.innerHTML="",e.appendChild(t)),t})(s),d=document.createElement("textarea");d.name=r.name??"",d.value=r.value??"",d.style.display="none",r.parentNode.insertBefore(d,r);const c={pac:n,editor:null,proxy:d,abstraction:e,msgConstants:a};i.set(t,c);const{ClassicEditor:l}=window.CKEDITOR;l.create(r,o).then(e=>{if(!i.has(t))return e.destroy(),void d.remove();c.editor=e;const o=e.getData();d.value=o,n.sendMessage(t,a.MSG_EDITOR_READY,0,0,{value:o}),e.model.document.on("change:data",()=>{if(!i.has(t))return;const a=e.getData();d.value=a,n.sendMessage(t,n.MSG_INPUT,0,0,{value:a}),n.sendMessage(t,n.MSG_CHANGE,0,0,{value:a})});const s=e.editing.view.document;s.on("paste",(e,a)=>{if(!i.has(t))return;const o=(e=>{if(!e)return{"text/plain":"","text/html":"","text/rtf":"","text/uri-list":"",uris:[],files:[],types:[]};const t=Array.from(e.types??[]),n=e.getData("text/uri-list")??"",a=n.split(/\r?\n/).filter(e=>e.length>0&&!e.startsWith("#")),o=Array.from(e.files??[]).map(e=>({name:e.name,size:e.size,type:e.type}));return{"text/plain":e.getData("text/plain")??"","text/html":e.getData("text/html")??"","text/rtf":e.getData("text/rtf")??"","text/uri-list":n,uris:a,files:o,types:t}})(a.domEvent.clipboardData),s=a.domEvent;!1===n.sendMessage(t,n.MSG_PASTE,(s.ctrlKey?n.MK_CONTROL:0)|(s.shiftKey?n.MK_SHIFT:0)|(s.altKey?n.MK_ALT:0),o["text/plain"].length,o)&&(e.stop(),a.preventDefault())},{priority:"high"});const r=e.plugins.get("ClipboardPipeline");r&&r.on("contentInsertion",()=>{if(!i.has(t))return;const a=e.getData();n.sendMessage(t,n.MSG_INPUT_COMPLETE,0,0,{value:a})}),s.on("focus",()=>{n.sendMessage(t,n.MSG_SETFOCUS,0,0)}),s.on("blur",()=>{const a=e.getData();d.value=a,n.sendMessage(t,n.MSG_INPUT_COMPLETE,0,0,{value:a}),n.sendMessage(t,n.MSG_KILLFOCUS,0,0)})}).catch(e=>{i.delete(t),d.remove(),n.sendMessage(t,a.MSG_EDITOR_ERROR,0,0,{message:e?.message??"CKEditor 5 failed to initialize"})})}window.WakaCKEditor={createPacPlugin(e,t={}){t.src&&(o=t.src,s=void 0!==t.css?t.css:null),void 0===t.css||t.src||(s=t.css);const c={};t.toolbar&&(c.toolbar=t.toolbar),t.language&&(c.language=t.language),t.licenseKey&&(c.licenseKey=t.licenseKey);const l=e.registerWindowMessage("wakaeditor.ready"),u=e.registerWindowMessage("wakaeditor.error");this.MSG_EDITOR_READY=l,this.MSG_EDITOR_ERROR=u;const g={MSG_EDITOR_READY:l,MSG_EDITOR_ERROR:u};return{onComponentCreated(t,i,l){const u=e.getContainerByPacId(i);if(!u)return;const m="waka-ckeditor"===u.tagName.toLowerCase(),p=u instanceof HTMLTextAreaElement;if(!p&&!m)return;if(p&&!u.hasAttribute("data-ckeditor"))return;const f={...c,...l.ckeditor??{}};(()=>{if(window.CKEDITOR)return n=!0,void r();if(document.getElementById("waka-ckeditor5-script"))return;if(s&&!document.getElementById("waka-ckeditor5-css")){const e=document.createElement("link");e.id="waka-ckeditor5-css",e.rel="stylesheet",e.href=s,(document.head??document.body).appendChild(e)}const e=document.createElement("script");e.id="waka-ckeditor5-script",e.src=o,e.onload=()=>{if(!window.CKEDITOR){const e="CKEditor 5 script loaded but window.CKEDITOR is not defined. Use the official UMD CDN bundle (ckeditor5.umd.js) or a self-hosted UMD build.";for(const t of a)t.pac.sendMessage(t.pacId,t.msgConstants.MSG_EDITOR_ERROR,0,0,{message:e});return void(a.length=0)}n=!0,r()},e.onerror=()=>{for(const e of a)e.pac.sendMessage(e.pacId,e.msgConstants.MSG_EDITOR_ERROR,0,0,{message:"CKEditor 5 script failed to load"});a.length=0},(document.head??document.body).appendChild(e)})(),n?d(t,i,e,g,f):a.push({abstraction:t,pacId:i,pac:e,msgConstants:g,editorConfig:f})},onComponentDestroyed(e){const t=a.findIndex(t=>t.pacId===e);-1!==t&&a.splice(t,1);const n=i.get(e);n&&(i.delete(e),n.proxy?.remove(),n.editor&&n.editor.destroy().catch(()=>{}))}}},getValue:e=>i.get(e)?.editor?.getData(),setValue(e,t){const n=i.get(e);n?.editor&&n.editor.setData(t)},focus(e){i.get(e)?.editor?.focus()},setReadOnly(e,n){const a=i.get(e);a?.editor&&(n?a.editor.enableReadOnlyMode(t):a.editor.disableReadOnlyMode(t))}},window.wakaCKEditor=window.WakaCKEditor}();
\ No newline at end of file
@@ -559,13 +559,13 @@
 
     /**
      * WakaPAC message constant fired when the user picks a color.
-     * Follows the WakaPAC plugin convention — MSG_PLUGIN + 1 guarantees
-     * no collision with built-in wakaPAC message types.
+     * Registered as 'wakacolorpicker.changed' by createPacPlugin(), which
+     * guarantees no collision with built-in or other plugins' message types.
      * Sent via pac.sendMessage(pacId, MSG_COLOR_CHANGED, colorRef, 0, { hex }).
      * wParam is a 24-bit COLORREF integer (0x00RRGGBB).
-     * @type {number}
+     * @type {number|null}
      */
-    const MSG_COLOR_CHANGED = (window.wakaPAC?.MSG_PLUGIN ?? 0x2000) + 1;
+    let MSG_COLOR_CHANGED = null;
 
     window.WakaColorPicker = {
 
@@ -582,6 +582,10 @@
                 injectCSS();
             }
 
+            // Register the message by name so it cannot collide with other plugins
+            MSG_COLOR_CHANGED = pac.registerWindowMessage('wakacolorpicker.changed');
+            this.MSG_COLOR_CHANGED = MSG_COLOR_CHANGED;
+
             return {
                 /**
                  * Called by WakaPAC after a component is created.
@@ -685,7 +689,7 @@
 
     // ─── Exports ──────────────────────────────────────────────────────────────
 
-    /** Message constant fired when the user picks a color (MSG_PLUGIN + 1). */
+    /** Message constant fired when the user picks a color. Null until wakaPAC.use(WakaColorPicker). */
     window.WakaColorPicker.MSG_COLOR_CHANGED = MSG_COLOR_CHANGED;
 
     /**
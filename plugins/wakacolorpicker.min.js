@@ -1 +1 @@
-(()=>{"use strict";const e=new Map,n=new Map,a=[["ffffff","e3e3e3","c7c7c7","aaaaaa","8e8e8e","717171","555555","383838","1c1c1c","000000"],["fef2f2","fee2e2","fecaca","fca5a5","f87171","ef4444","dc2626","b91c1c","991b1b","7f1d1d"],["fff7ed","ffedd5","fed7aa","fdba74","fb923c","f97316","ea580c","c2410c","9a3412","7c2d12"],["fffbeb","fef3c7","fde68a","fcd34d","fbbf24","f59e0b","d97706","b45309","92400e","78350f"],["fefce8","fef9c3","fef08a","fde047","facc15","eab308","ca8a04","a16207","854d0e","713f12"],["f7fee7","ecfccb","d9f99d","bef264","a3e635","84cc16","65a30d","4d7c0f","3f6212","365314"],["f0fdf4","dcfce7","bbf7d0","86efac","4ade80","22c55e","16a34a","15803d","166534","14532d"],["ecfdf5","d1fae5","a7f3d0","6ee7b7","34d399","10b981","059669","047857","065f46","064e3b"],["f0fdfa","ccfbf1","99f6e4","5eead4","2dd4bf","14b8a6","0d9488","0f766e","115e59","134e4a"],["ecfeff","cffafe","a5f3fc","67e8f9","22d3ee","06b6d4","0891b2","0e7490","155e75","164e63"],["f0f9ff","e0f2fe","bae6fd","7dd3fc","38bdf8","0ea5e9","0284c7","0369a1","075985","0c4a6e"],["eff6ff","dbeafe","bfdbfe","93c5fd","60a5fa","3b82f6","2563eb","1d4ed8","1e40af","1e3a8a"],["eef2ff","e0e7ff","c7d2fe","a5b4fc","818cf8","6366f1","4f46e5","4338ca","3730a3","312e81"],["f5f3ff","ede9fe","ddd6fe","c4b5fd","a78bfa","8b5cf6","7c3aed","6d28d9","5b21b6","4c1d95"],["faf5ff","f3e8ff","e9d5ff","d8b4fe","c084fc","a855f7","9333ea","7e22ce","6b21a8","581c87"],["fdf4ff","fae8ff","f5d0fe","f0abfc","e879f9","d946ef","c026d3","a21caf","86198f","701a75"],["fdf2f8","fce7f3","fbcfe8","f9a8d4","f472b6","ec4899","db2777","be185d","9d174d","831843"],["fff1f2","ffe4e6","fecdd3","fda4af","fb7185","f43f5e","e11d48","be123c","9f1239","881337"],["f8fafc","f1f5f9","e2e8f0","cbd5e1","94a3b8","64748b","475569","334155","1e293b","0f172a"],["f9fafb","f3f4f6","e5e7eb","d1d5db","9ca3af","6b7280","4b5563","374151","1f2937","111827"],["fafafa","f4f4f5","e4e4e7","d4d4d8","a1a1aa","71717a","52525b","3f3f46","27272a","18181b"],["fafafa","f5f5f5","e5e5e5","d4d4d4","a3a3a3","737373","525252","404040","262626","171717"],["fafaf9","f5f5f4","e7e5e4","d6d3d1","a8a29e","78716c","57534e","44403c","292524","1c1917"]],t=new Map;for(const e of a)for(const n of e)t.set(n,e);const o=[0,50,100,200,300,400,500,600,700,800,900,1e3];function r(e,n){const a=document.createElement(e);return n&&(a.className=n),a}const f=(window.wakaPAC?.MSG_PLUGIN??8192)+1;window.WakaColorPicker={createPacPlugin:(a,c={})=>(!1!==c.injectCSS&&(()=>{if(document.getElementById("waka-color-picker-styles"))return;const e=document.createElement("style");e.id="waka-color-picker-styles",e.textContent='\n.wcp-widget {\n    display: inline-flex;\n    align-items: center;\n    gap: 4px;\n}\n.wcp-swatches {\n    display: flex;\n}\n/* Individual color stop cell */\n.wcp-cell {\n    width: 32px;\n    height: 32px;\n    border-radius: 0;\n    cursor: pointer;\n    border: none;\n    border-right: 1px solid rgba(0,0,0,.15); /* divider between stops */\n    box-sizing: border-box;\n    transition: transform .1s, box-shadow .1s;\n    flex-shrink: 0;\n}\n/* No trailing divider on the last stop */\n.wcp-cell:last-child {\n    border-right: none;\n}\n.wcp-cell:hover {\n    transform: scale(1.15);\n    box-shadow: 0 1px 5px rgba(0,0,0,.25);\n    z-index: 1;\n    position: relative;\n}\n/* Inset outline so the selection ring stays inside the cell boundary */\n.wcp-cell.wcp-selected {\n    outline: 2px solid #333;\n    outline-offset: -2px;\n}\n/* Hex text field — joins flush with the trigger on the right */\n.wcp-text-input {\n    font-family: monospace;\n    font-size: 13px;\n    padding: 3px 6px;\n    border: 1px solid #ccc;\n    border-radius: 3px 0 0 3px;\n    box-sizing: border-box;\n    width: 80px;\n    height: 32px;\n    margin-left: 12px; /* visual gap between swatches and text field */\n}\n.wcp-text-input.wcp-invalid {\n    border-color: #e74c3c;\n    background: #fff0f0;\n}\n/* Colored square that acts as the native color picker trigger */\n.wcp-color-trigger {\n    width: 32px;\n    height: 32px;\n    border: 1px solid #ccc;\n    border-left: 1px solid #ccc;\n    border-radius: 0 3px 3px 0;\n    cursor: pointer;\n    box-sizing: border-box;\n    flex-shrink: 0;\n    position: relative;\n    overflow: hidden;\n}\n/* Native <input type="color"> overlays the trigger invisibly — click area only */\n.wcp-color-trigger input[type="color"] {\n    position: absolute;\n    inset: 0;\n    width: 100%;\n    height: 100%;\n    opacity: 0;\n    cursor: pointer;\n    border: none;\n    padding: 0;\n}\n',document.head.appendChild(e)})(),{onComponentCreated(c,d,i){const l=a.getContainerByPacId(d);if(!l)return;let s;if("WAKA-COLORPICKER"===l.tagName)s=Object.assign(r("input"),{type:"hidden",name:l.getAttribute("name")||"",value:l.getAttribute("value")||""}),l.appendChild(s);else{if("INPUT"!==l.tagName||!l.hasAttribute("data-wcp"))return;s=l}function p(e){if("value"===e.detail?.path?.[0]){const a=window.WakaColorPicker.normalizeHex(e.detail.newValue);a&&n.get(d)?.setColor(a)}}n.set(d,function(e,n={}){const{onChange:a}=n,f=e.type;e.type="hidden";const c=r("span","wcp-widget"),d=r("span","wcp-swatches"),i=Object.assign(r("input","wcp-text-input"),{type:"text",spellcheck:!1,maxLength:7}),l=r("span","wcp-color-trigger"),s=Object.assign(r("input"),{type:"color"});l.appendChild(s),c.append(d,i,l),e.parentNode.insertBefore(c,e.nextSibling);let p=null,b=null;function w(n){e.value="#"+n,i.value="#"+n,s.value="#"+n,l.style.backgroundColor="#"+n,i.classList.remove("wcp-invalid"),e.dispatchEvent(new Event("input",{bubbles:!0}))}function u(e){e!==p&&(p=e,w(e),(e=>{d.innerHTML="",b=null;for(const n of(e=>{const n=t.get(e);if(n)return[...n];const a=window.WakaColorPicker.hexToRgb(e),r=window.WakaColorPicker.rgbToHsl(a.r,a.g,a.b),f=(e=>{const n=Math.round((100-e)/5*100)/100,a=Math.round(e/5*100)/100;return[Math.round(e+5*n),Math.round(e+4.5*n),Math.round(e+4*n),Math.round(e+3*n),Math.round(e+2*n),Math.round(e+n),Math.round(e),Math.round(e-a),Math.round(e-2*a),Math.round(e-3*a),Math.round(e-4*a),Math.round(e-5*a)]})(r.L);return o.slice(1,-1).map((n,a)=>{if(500===n)return e;const{r:t,g:o,b:c}=window.WakaColorPicker.hslToRgb(r.H,Math.min(r.S,100),f[a+1]);return window.WakaColorPicker.rgbToHex(t,o,c)})})(e)){const e=r("div","wcp-cell");e.style.backgroundColor="#"+n,e.dataset.hex=n,e.title="#"+n,d.appendChild(e),n===p&&(e.classList.add("wcp-selected"),b=e)}})(e),a?.("#"+e))}function h(){const e=window.WakaColorPicker.normalizeHex(s.value);e&&u(e)}function g(){const e=window.WakaColorPicker.normalizeHex(i.value);e?(i.classList.remove("wcp-invalid"),u(e)):i.classList.add("wcp-invalid")}function k(e){"Escape"===e.key&&i.blur()}function x(e){const n=e.target.closest(".wcp-cell");n&&((e,n)=>{e!==p&&(p=e,w(e),(e=>{b?.classList.remove("wcp-selected"),b=e,e?.classList.add("wcp-selected")})(n),a?.("#"+e))})(n.dataset.hex,n)}return u(window.WakaColorPicker.normalizeHex(e.value)||"ffffff"),s.addEventListener("input",h),i.addEventListener("input",g),i.addEventListener("keydown",k),d.addEventListener("click",x),{destroy(){s.removeEventListener("input",h),i.removeEventListener("input",g),i.removeEventListener("keydown",k),d.removeEventListener("click",x),e.type=f,c.parentNode?.removeChild(c)},setColor(e){const n=window.WakaColorPicker.normalizeHex(e);n&&u(n)},getColor:()=>"#"+(p||"ffffff")}}(s,{onChange(e){c.value=e,"function"==typeof a?.sendMessage&&a.sendMessage(d,f,window.WakaColorPicker.hexToColorRef(e.slice(1)),0,{hex:e})}})),c.value=n.get(d).getColor(),l.addEventListener("pac:change",p),e.set(d,()=>l.removeEventListener("pac:change",p))},onComponentDestroyed(a){e.get(a)?.(),e.delete(a),n.get(a)?.destroy(),n.delete(a)}})},window.WakaColorPicker.MSG_COLOR_CHANGED=f,window.WakaColorPicker.setColor=(e,n)=>{const a=window.WakaColorPicker.normalizeHex(n),t=window.PACRegistry?.get(e);a&&t&&(t.abstraction.value="#"+a)},window.WakaColorPicker.normalizeHex=e=>"string"!=typeof e?null:(e=e.replace(/^#/,"").toLowerCase(),/^[0-9a-f]{3}$/.test(e)&&(e=e[0]+e[0]+e[1]+e[1]+e[2]+e[2]),/^[0-9a-f]{6}$/.test(e)?e:null),window.WakaColorPicker.hexToRgb=e=>({r:parseInt(e.slice(0,2),16),g:parseInt(e.slice(2,4),16),b:parseInt(e.slice(4,6),16)}),window.WakaColorPicker.rgbToHex=(e,n,a)=>`${e.toString(16).padStart(2,"0")}${n.toString(16).padStart(2,"0")}${a.toString(16).padStart(2,"0")}`,window.WakaColorPicker.rgbToHsl=(e,n,a)=>{const t=Math.min(e/=255,n/=255,a/=255),o=Math.max(e,n,a),r=o-t;let f=0;0!==r&&(f=o===e?(n-a)/r%6:o===n?(a-e)/r+2:(e-n)/r+4),f=Math.round(60*f),f<0&&(f+=360);const c=(o+t)/2;return{H:f,S:100*(0===r?0:r/(1-Math.abs(2*c-1))),L:100*c}},window.WakaColorPicker.hslToRgb=(e,n,a)=>{const t=(n/=100)*(1-Math.abs(2*(a/=100)-1)),o=t*(1-Math.abs(e/60%2-1)),r=a-t/2,f=Math.floor(e/60)%6,c=[[t,o,0],[o,t,0],[0,t,o],[0,o,t],[o,0,t],[t,0,o]],[d,i,l]=c[f];return{r:Math.round(255*(d+r)),g:Math.round(255*(i+r)),b:Math.round(255*(l+r))}},window.WakaColorPicker.hexToColorRef=e=>{const{r:n,g:a,b:t}=window.WakaColorPicker.hexToRgb(e);return n<<16|a<<8|t},window.WakaColorPicker.colorRefToHex=e=>"#"+window.WakaColorPicker.rgbToHex(e>>16&255,e>>8&255,255&e),window.wakaColorPicker=window.WakaColorPicker})();
\ No newline at end of file
+!function(){"use strict";const e=new Map,n=new Map,a=[["ffffff","e3e3e3","c7c7c7","aaaaaa","8e8e8e","717171","555555","383838","1c1c1c","000000"],["fef2f2","fee2e2","fecaca","fca5a5","f87171","ef4444","dc2626","b91c1c","991b1b","7f1d1d"],["fff7ed","ffedd5","fed7aa","fdba74","fb923c","f97316","ea580c","c2410c","9a3412","7c2d12"],["fffbeb","fef3c7","fde68a","fcd34d","fbbf24","f59e0b","d97706","b45309","92400e","78350f"],["fefce8","fef9c3","fef08a","fde047","facc15","eab308","ca8a04","a16207","854d0e","713f12"],["f7fee7","ecfccb","d9f99d","bef264","a3e635","84cc16","65a30d","4d7c0f","3f6212","365314"],["f0fdf4","dcfce7","bbf7d0","86efac","4ade80","22c55e","16a34a","15803d","166534","14532d"],["ecfdf5","d1fae5","a7f3d0","6ee7b7","34d399","10b981","059669","047857","065f46","064e3b"],["f0fdfa","ccfbf1","99f6e4","5eead4","2dd4bf","14b8a6","0d9488","0f766e","115e59","134e4a"],["ecfeff","cffafe","a5f3fc","67e8f9","22d3ee","06b6d4","0891b2","0e7490","155e75","164e63"],["f0f9ff","e0f2fe","bae6fd","7dd3fc","38bdf8","0ea5e9","0284c7","0369a1","075985","0c4a6e"],["eff6ff","dbeafe","bfdbfe","93c5fd","60a5fa","3b82f6","2563eb","1d4ed8","1e40af","1e3a8a"],["eef2ff","e0e7ff","c7d2fe","a5b4fc","818cf8","6366f1","4f46e5","4338ca","3730a3","312e81"],["f5f3ff","ede9fe","ddd6fe","c4b5fd","a78bfa","8b5cf6","7c3aed","6d28d9","5b21b6","4c1d95"],["faf5ff","f3e8ff","e9d5ff","d8b4fe","c084fc","a855f7","9333ea","7e22ce","6b21a8","581c87"],["fdf4ff","fae8ff","f5d0fe","f0abfc","e879f9","d946ef","c026d3","a21caf","86198f","701a75"],["fdf2f8","fce7f3","fbcfe8","f9a8d4","f472b6","ec4899","db2777","be185d","9d174d","831843"],["fff1f2","ffe4e6","fecdd3","fda4af","fb7185","f43f5e","e11d48","be123c","9f1239","881337"],["f8fafc","f1f5f9","e2e8f0","cbd5e1","94a3b8","64748b","475569","334155","1e293b","0f172a"],["f9fafb","f3f4f6","e5e7eb","d1d5db","9ca3af","6b7280","4b5563","374151","1f2937","111827"],["fafafa","f4f4f5","e4e4e7","d4d4d8","a1a1aa","71717a","52525b","3f3f46","27272a","18181b"],["fafafa","f5f5f5","e5e5e5","d4d4d4","a3a3a3","737373","525252","404040","262626","171717"],["fafaf9","f5f5f4","e7e5e4","d6d3d1","a8a29e","78716c","57534e","44403c","292524","1c1917"]],t=new Map;for(const e of a)for(const n of e)t.set(n,e);const o=[0,50,100,200,300,400,500,600,700,800,900,1e3];function r(e,n){const a=document.createElement(e);return n&&(a.className=n),a}let f=null;window.WakaColorPicker={createPacPlugin(a,c={}){return!1!==c.injectCSS&&(()=>{if(document.getElementById("waka-color-picker-styles"))return;const e=document.createElement("style");e.id="waka-color-picker-styles",e.textContent='\n.wcp-widget {\n    display: inline-flex;\n    align-items: center;\n    gap: 4px;\n}\n.wcp-swatches {\n    display: flex;\n}\n/* Individual color stop cell */\n.wcp-cell {\n    width: 32px;\n    height: 32px;\n    border-radius: 0;\n    cursor: pointer;\n    border: none;\n    border-right: 1px solid rgba(0,0,0,.15); /* divider between stops */\n    box-sizing: border-box;\n    transition: transform .1s, box-shadow .1s;\n    flex-shrink: 0;\n}\n/* No trailing divider on the last stop */\n.wcp-cell:last-child {\n    border-right: none;\n}\n.wcp-cell:hover {\n    transform: scale(1.15);\n    box-shadow: 0 1px 5px rgba(0,0,0,.25);\n    z-index: 1;\n    position: relative;\n}\n/* Inset outline so the selection ring stays inside the cell boundary */\n.wcp-cell.wcp-selected {\n    outline: 2px solid #333;\n    outline-offset: -2px;\n}\n/* Hex text field — joins flush with the trigger on the right */\n.wcp-text-input {\n    font-family: monospace;\n    font-size: 13px;\n    padding: 3px 6px;\n    border: 1px solid #ccc;\n    border-radius: 3px 0 0 3px;\n    box-sizing: border-box;\n    width: 80px;\n    height: 32px;\n    margin-left: 12px; /* visual gap between swatches and text field */\n}\n.wcp-text-input.wcp-invalid {\n    border-color: #e74c3c;\n    background: #fff0f0;\n}\n/* Colored square that acts as the native color picker trigger */\n.wcp-color-trigger {\n    width: 32px;\n    height: 32px;\n    border: 1px solid #ccc;\n    border-left: 1px solid #ccc;\n    border-radius: 0 3px 3px 0;\n    cursor: pointer;\n    box-sizing: border-box;\n    flex-shrink: 0;\n    position: relative;\n    overflow: hidden;\n}\n/* Native <input type="color"> overlays the trigger invisibly — click area only */\n.wcp-color-trigger input[type="color"] {\n    position: absolute;\n    inset: 0;\n    width: 100%;\n    height: 100%;\n    opacity: 0;\n    cursor: pointer;\n    border: none;\n    padding: 0;\n}\n',document.head.appendChild(e)})(),f=a.registerWindowMessage("wakacolorpicker.changed"),this.MSG_COLOR_CHANGED=f,{onComponentCreated(c,d,i){const l=a.getContainerByPacId(d);if(!l)return;let s;if("WAKA-COLORPICKER"===l.tagName)s=Object.assign(r("input"),{type:"hidden",name:l.getAttribute("name")||"",value:l.getAttribute("value")||""}),l.appendChild(s);else{if("INPUT"!==l.tagName||!l.hasAttribute("data-wcp"))return;s=l}function p(e){if("value"===e.detail?.path?.[0]){const a=window.WakaColorPicker.normalizeHex(e.detail.newValue);a&&n.get(d)?.setColor(a)}}n.set(d,function(e,n={}){const{onChange:a}=n,f=e.type;e.type="hidden";const c=r("span","wcp-widget"),d=r("span","wcp-swatches"),i=Object.assign(r("input","wcp-text-input"),{type:"text",spellcheck:!1,maxLength:7}),l=r("span","wcp-color-trigger"),s=Object.assign(r("input"),{type:"color"});l.appendChild(s),c.append(d,i,l),e.parentNode.insertBefore(c,e.nextSibling);let p=null,b=null;function w(n){e.value="#"+n,i.value="#"+n,s.value="#"+n,l.style.backgroundColor="#"+n,i.classList.remove("wcp-invalid"),e.dispatchEvent(new Event("input",{bubbles:!0}))}function u(e){e!==p&&(p=e,w(e),(e=>{d.innerHTML="",b=null;for(const n of(e=>{const n=t.get(e);if(n)return[...n];const a=window.WakaColorPicker.hexToRgb(e),r=window.WakaColorPicker.rgbToHsl(a.r,a.g,a.b),f=(e=>{const n=Math.round((100-e)/5*100)/100,a=Math.round(e/5*100)/100;return[Math.round(e+5*n),Math.round(e+4.5*n),Math.round(e+4*n),Math.round(e+3*n),Math.round(e+2*n),Math.round(e+n),Math.round(e),Math.round(e-a),Math.round(e-2*a),Math.round(e-3*a),Math.round(e-4*a),Math.round(e-5*a)]})(r.L);return o.slice(1,-1).map((n,a)=>{if(500===n)return e;const{r:t,g:o,b:c}=window.WakaColorPicker.hslToRgb(r.H,Math.min(r.S,100),f[a+1]);return window.WakaColorPicker.rgbToHex(t,o,c)})})(e)){const e=r("div","wcp-cell");e.style.backgroundColor="#"+n,e.dataset.hex=n,e.title="#"+n,d.appendChild(e),n===p&&(e.classList.add("wcp-selected"),b=e)}})(e),a?.("#"+e))}function h(){const e=window.WakaColorPicker.normalizeHex(s.value);e&&u(e)}function g(){const e=window.WakaColorPicker.normalizeHex(i.value);e?(i.classList.remove("wcp-invalid"),u(e)):i.classList.add("wcp-invalid")}function k(e){"Escape"===e.key&&i.blur()}function x(e){const n=e.target.closest(".wcp-cell");n&&((e,n)=>{e!==p&&(p=e,w(e),(e=>{b?.classList.remove("wcp-selected"),b=e,e?.classList.add("wcp-selected")})(n),a?.("#"+e))})(n.dataset.hex,n)}return u(window.WakaColorPicker.normalizeHex(e.value)||"ffffff"),s.addEventListener("input",h),i.addEventListener("input",g),i.addEventListener("keydown",k),d.addEventListener("click",x),{destroy(){s.removeEventListener("input",h),i.removeEventListener("input",g),i.removeEventListener("keydown",k),d.removeEventListener("click",x),e.type=f,c.parentNode?.removeChild(c)},setColor(e){const n=window.WakaColorPicker.normalizeHex(e);n&&u(n)},getColor:()=>"#"+(p||"ffffff")}}(s,{onChange(e){c.value=e,"function"==typeof a?.sendMessage&&a.sendMessage(d,f,window.WakaColorPicker.hexToColorRef(e.slice(1)),0,{hex:e})}})),c.value=n.get(d).getColor(),l.addEventListener("pac:change",p),e.set(d,()=>l.removeEventListener("pac:change",p))},onComponentDestroyed(a){e.get(a)?.(),e.delete(a),n.get(a)?.destroy(),n.delete(a)}}}},window.WakaColorPicker.MSG_COLOR_CHANGED=f,window.WakaColorPicker.setColor=(e,n)=>{const a=window.WakaColorPicker.normalizeHex(n),t=window.PACRegistry?.get(e);a&&t&&(t.abstraction.value="#"+a)},window.WakaColorPicker.normalizeHex=e=>"string"!=typeof e?null:(e=e.replace(/^#/,"").toLowerCase(),/^[0-9a-f]{3}$/.test(e)&&(e=e[0]+e[0]+e[1]+e[1]+e[2]+e[2]),/^[0-9a-f]{6}$/.test(e)?e:null),window.WakaColorPicker.hexToRgb=e=>({r:parseInt(e.slice(0,2),16),g:parseInt(e.slice(2,4),16),b:parseInt(e.slice(4,6),16)}),window.WakaColorPicker.rgbToHex=(e,n,a)=>`${e.toString(16).padStart(2,"0")}${n.toString(16).padStart(2,"0")}${a.toString(16).padStart(2,"0")}`,window.WakaColorPicker.rgbToHsl=(e,n,a)=>{const t=Math.min(e/=255,n/=255,a/=255),o=Math.max(e,n,a),r=o-t;let f=0;0!==r&&(f=o===e?(n-a)/r%6:o===n?(a-e)/r+2:(e-n)/r+4),f=Math.round(60*f),f<0&&(f+=360);const c=(o+t)/2;return{H:f,S:100*(0===r?0:r/(1-Math.abs(2*c-1))),L:100*c}},window.WakaColorPicker.hslToRgb=(e,n,a)=>{const t=(n/=100)*(1-Math.abs(2*(a/=100)-1)),o=t*(1-Math.abs(e/60%2-1)),r=a-t/2,f=Math.floor(e/60)%6,c=[[t,o,0],[o,t,0],[0,t,o],[0,o,t],[o,0,t],[t,0,o]],[d,i,l]=c[f];return{r:Math.round(255*(d+r)),g:Math.round(255*(i+r)),b:Math.round(255*(l+r))}},window.WakaColorPicker.hexToColorRef=e=>{const{r:n,g:a,b:t}=window.WakaColorPicker.hexToRgb(e);return n<<16|a<<8|t},window.WakaColorPicker.colorRefToHex=e=>"#"+window.WakaColorPicker.rgbToHex(e>>16&255,e>>8&255,255&e),window.wakaColorPicker=window.WakaColorPicker}();
\ No newline at end of file
@@ -0,0 +1,826 @@
+/*
+ * ╔══════════════════════════════════════════════════════════════════════════════╗
+ * ║                                                                              ║
+ * ║  ██╗███╗   ██╗███████╗██████╗ ███████╗ ██████╗████████╗ ██████╗ ██████╗      ║
+ * ║  ██║████╗  ██║██╔════╝██╔══██╗██╔════╝██╔════╝╚══██╔══╝██╔═══██╗██╔══██╗     ║
+ * ║  ██║██╔██╗ ██║███████╗██████╔╝█████╗  ██║        ██║   ██║   ██║██████╔╝     ║
+ * ║  ██║██║╚██╗██║╚════██║██╔═══╝ ██╔══╝  ██║        ██║   ██║   ██║██╔══██╗     ║
+ * ║  ██║██║ ╚████║███████║██║     ███████╗╚██████╗   ██║   ╚██████╔╝██║  ██║     ║
+ * ║  ╚═╝╚═╝  ╚═══╝╚══════╝╚═╝     ╚══════╝ ╚═════╝   ╚═╝    ╚═════╝ ╚═╝  ╚═╝     ║
+ * ║                                                                              ║
+ * ║  WakaPAC Plugin — WakaInspector                                              ║
+ * ║                                                                              ║
+ * ║  Opt-in developer overlay for inspecting a running wakaPAC page:             ║
+ * ║                                                                              ║
+ * ║    - Component tree built from PACRegistry (parent/child hierarchy)          ║
+ * ║    - Live state browser for the selected component; primitive values can     ║
+ * ║      be edited in place, objects and arrays can be drilled into              ║
+ * ║    - Hovering a component in the tree outlines its container on the page     ║
+ * ║    - Scrolling message log captured through wakaPAC.installMessageHook(),    ║
+ * ║      with decoded MSG_* names and wParam/lParam (MAKEPOINTS, VK_* names)     ║
+ * ║                                                                              ║
+ * ║  The inspector is itself a wakaPAC component mounted into a fixed overlay.   ║
+ * ║  It never appears in its own tree and its own messages are not logged.       ║
+ * ║                                                                              ║
+ * ║  Usage:                                                                      ║
+ * ║    wakaPAC.use(WakaInspector);                                               ║
+ * ║    wakaPAC.use(WakaInspector, {                                              ║
+ * ║        open: true,           // start expanded instead of as a launcher      ║
+ * ║        logMouseMove: false,  // include MSG_MOUSEMOVE in the log             ║
+ * ║        maxLogEntries: 200,   // log entries kept before the oldest drop      ║
+ * ║        refreshInterval: 300, // ms between refreshes while the panel is open ║
+ * ║        injectCSS: true                                                       ║
+ * ║    });                                                                       ║
+ * ║                                                                              ║
+ * ║    WakaInspector.open();  WakaInspector.close();  WakaInspector.toggle();    ║
+ * ║                                                                              ║
+ * ║  Do not ship the inspector to production: editing state from the panel       ║
+ * ║  bypasses whatever validation the component applies to user input.           ║
+ * ║                                                                              ║
+ * ╚══════════════════════════════════════════════════════════════════════════════╝
+ */
+(function() {
+    "use strict";
+
+    /** @type {string} Element id (and thereby pacId) of the inspector's own container */
+    const INSPECTOR_ID = 'waka-inspector';
+
+    /**
+     * Abstraction properties injected by wakaPAC itself. Hidden from the state
+     * browser by default so the user's own state is not buried under them.
+     * Properties prefixed with 'browser' or 'container' are hidden as well.
+     * @type {Set<string>}
+     */
+    const SYSTEM_PROPERTIES = new Set(['childrenCount', 'hasParent', 'pacId']);
+
+    /**
+     * Messages whose lParam packs pointer coordinates (decoded with MAKEPOINTS)
+     * @type {string[]}
+     */
+    const POINTER_MESSAGES = [
+        'MSG_MOUSEMOVE', 'MSG_LBUTTONDOWN', 'MSG_LBUTTONUP', 'MSG_LBUTTONDBLCLK',
+        'MSG_RBUTTONDOWN', 'MSG_RBUTTONUP', 'MSG_MBUTTONDOWN', 'MSG_MBUTTONUP',
+        'MSG_LCLICK', 'MSG_MCLICK', 'MSG_RCLICK', 'MSG_CONTEXTMENU', 'MSG_MOUSEWHEEL',
+        'MSG_DRAGENTER', 'MSG_DRAGOVER', 'MSG_DRAGLEAVE', 'MSG_DROP'
+    ];
+
+    /** @type {number} Maximum number of characters shown for an object summary */
+    const MAX_VALUE_LENGTH = 120;
+
+    // ─── CSS ──────────────────────────────────────────────────────────────────
+    // Injected once into <head> unless the injectCSS option is false.
+
+    const CSS = `
+#waka-inspector {
+    position: fixed;
+    right: 12px;
+    bottom: 12px;
+    z-index: 2147483646;
+    font: 12px/1.4 ui-monospace, SFMono-Regular, Menlo, Consolas, monospace;
+    color: #e5e7eb;
+}
+.wpi-launcher {
+    padding: 6px 10px;
+    border: 0;
+    border-radius: 6px;
+    background: #1f2937;
+    color: #e5e7eb;
+    font: inherit;
+    cursor: pointer;
+    box-shadow: 0 2px 8px rgba(0, 0, 0, .3);
+}
+.wpi-panel {
+    display: flex;
+    flex-direction: column;
+    width: 560px;
+    max-width: calc(100vw - 24px);
+    height: 420px;
+    max-height: calc(100vh - 24px);
+    background: #111827;
+    border: 1px solid #374151;
+    border-radius: 6px;
+    box-shadow: 0 4px 16px rgba(0, 0, 0, .4);
+    overflow: hidden;
+}
+.wpi-header {
+    display: flex;
+    align-items: center;
+    gap: 8px;
+    padding: 4px 8px;
+    background: #1f2937;
+    border-bottom: 1px solid #374151;
+}
+.wpi-header .wpi-title { flex: 1; font-weight: bold; }
+.wpi-panel button {
+    padding: 1px 6px;
+    border: 1px solid #4b5563;
+    border-radius: 3px;
+    background: #374151;
+    color: inherit;
+    font: inherit;
+    cursor: pointer;
+}
+.wpi-panel label { display: inline-flex; align-items: center; gap: 3px; }
+.wpi-body { display: flex; flex: 1; min-height: 0; }
+.wpi-tree { width: 40%; border-right: 1px solid #374151; overflow: auto; }
+.wpi-state { flex: 1; overflow: auto; }
+.wpi-log { height: 35%; border-top: 1px solid #374151; overflow: auto; }
+.wpi-section-title {
+    position: sticky;
+    top: 0;
+    display: flex;
+    align-items: center;
+    gap: 6px;
+    margin: 0;
+    padding: 3px 8px;
+    background: #111827;
+    color: #9ca3af;
+    font-weight: normal;
+}
+.wpi-section-title span { flex: 1; }
+.wpi-list { margin: 0; padding: 0; list-style: none; }
+.wpi-row { padding: 1px 8px; cursor: pointer; white-space: nowrap; }
+.wpi-row:hover { background: #1f2937; }
+.wpi-row.wpi-selected { background: #1e3a8a; }
+.wpi-prop { display: flex; gap: 6px; padding: 1px 8px; align-items: baseline; }
+.wpi-key { color: #93c5fd; white-space: nowrap; }
+.wpi-key.wpi-expandable { cursor: pointer; text-decoration: underline dotted; }
+.wpi-prop input {
+    flex: 1;
+    min-width: 0;
+    padding: 0 3px;
+    border: 1px solid #374151;
+    background: #0b1220;
+    color: #fde68a;
+    font: inherit;
+}
+.wpi-value { color: #d1d5db; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+.wpi-entry { display: flex; gap: 8px; padding: 0 8px; white-space: nowrap; }
+.wpi-entry-target { color: #6ee7b7; }
+.wpi-entry-name { color: #fca5a5; }
+.wpi-entry-params { color: #9ca3af; overflow: hidden; text-overflow: ellipsis; }
+.wpi-highlight {
+    position: fixed;
+    z-index: 2147483645;
+    pointer-events: none;
+    border: 2px solid #3b82f6;
+    background: rgba(59, 130, 246, .12);
+}
+`;
+
+    // ─── Template ─────────────────────────────────────────────────────────────
+
+    const TEMPLATE = `
+<button type="button" class="wpi-launcher" data-pac-bind="visible: !isOpen, click: toggle">PAC</button>
+<div class="wpi-panel" data-pac-bind="visible: isOpen">
+    <div class="wpi-header">
+        <span class="wpi-title">WakaPAC Inspector</span>
+        <button type="button" data-pac-bind="click: toggle">&times;</button>
+    </div>
+    <div class="wpi-body">
+        <div class="wpi-tree">
+            <h4 class="wpi-section-title"><span>Components ({{ rows.length }})</span></h4>
+            <ul class="wpi-list" data-pac-bind="foreach: rows by pacId" data-pac-item="row">
+                <li class="wpi-row" data-pac-bind="click: selectComponent, data-wpi-pac-id: row.pacId, class: { 'wpi-selected': row.pacId === selectedId }, style: { paddingLeft: row.indent }">{{ row.pacId }}</li>
+            </ul>
+        </div>
+        <div class="wpi-state">
+            <h4 class="wpi-section-title">
+                <button type="button" data-pac-bind="visible: statePath.length > 0, click: back">&lsaquo;</button>
+                <span>{{ stateTitle }}</span>
+                <label><input type="checkbox" data-pac-bind="checked: showSystem"> system</label>
+            </h4>
+            <ul class="wpi-list" data-pac-bind="foreach: props by key" data-pac-item="prop">
+                <li class="wpi-prop">
+                    <span class="wpi-key" data-pac-bind="click: drill, class: { 'wpi-expandable': prop.expandable }">{{ prop.key }}</span>
+                    <input type="text" data-pac-bind="visible: prop.editable, value: prop.text, data-wpi-key: prop.key">
+                    <span class="wpi-value" data-pac-bind="visible: !prop.editable">{{ prop.text }}</span>
+                </li>
+            </ul>
+        </div>
+    </div>
+    <div class="wpi-log">
+        <h4 class="wpi-section-title">
+            <span>Messages</span>
+            <label><input type="checkbox" data-pac-bind="checked: paused"> pause</label>
+            <button type="button" data-pac-bind="click: clearLog">clear</button>
+        </h4>
+        <ul class="wpi-list" data-pac-bind="foreach: log by seq" data-pac-item="entry">
+            <li class="wpi-entry">
+                <span class="wpi-entry-target">{{ entry.pacId }}</span>
+                <span class="wpi-entry-name">{{ entry.name }}</span>
+                <span class="wpi-entry-params">{{ entry.params }}</span>
+            </li>
+        </ul>
+    </div>
+</div>
+`;
+
+    // ─── Module state ─────────────────────────────────────────────────────────
+
+    /** @type {object|null} wakaPAC instance passed to createPacPlugin() */
+    let _pac = null;
+
+    /** @type {object} Options passed to wakaPAC.use() */
+    let _options = {};
+
+    /** @type {object|null} The inspector component's abstraction once mounted */
+    let _inspector = null;
+
+    /** @type {HTMLElement|null} Outline element positioned over the hovered container */
+    let _highlight = null;
+
+    /** @type {Array<object>} Captured log entries not yet flushed to the panel */
+    let _pending = [];
+
+    /** @type {number} Running sequence number used as the log's foreach key */
+    let _sequence = 0;
+
+    /** @type {string} Serialized tree from the previous refresh, to skip unchanged updates */
+    let _treeSnapshot = '';
+
+    /** @type {string} Serialized state view from the previous refresh */
+    let _stateSnapshot = '';
+
+    /** @type {Map<number, string>|null} Reverse lookup of VK_* values, built on first use */
+    let _keyNames = null;
+
+    /** @type {number|null} Refresh timer of the inspector component, running only while the panel is open */
+    let _timerId = null;
+
+    // ─── Helpers ──────────────────────────────────────────────────────────────
+
+    /**
+     * Injects the inspector stylesheet once.
+     */
+    function injectCSS() {
+        if (document.getElementById('waka-inspector-styles')) {
+            return;
+        }
+
+        const style = document.createElement('style');
+        style.id = 'waka-inspector-styles';
+        style.textContent = CSS;
+        document.head.appendChild(style);
+    }
+
+    /**
+     * Builds a value → constant name map from the constants exported on wakaPAC.
+     * @param {string} prefix - Constant prefix, e.g. 'MSG_' or 'VK_'
+     * @returns {Map<number, string>}
+     */
+    function buildNameMap(prefix) {
+        const map = new Map();
+
+        Object.keys(_pac).forEach(name => {
+            if (name.startsWith(prefix) && typeof _pac[name] === 'number' && !map.has(_pac[name])) {
+                map.set(_pac[name], name);
+            }
+        });
+
+        return map;
+    }
+
+    /**
+     * Returns a readable summary of a message's wParam and lParam.
+     * @param {object} event - Message event as passed to the hook
+     * @param {string} name - Decoded message name
+     * @returns {string}
+     */
+    function describeParams(event, name) {
+        const wParam = event.wParam;
+        const lParam = event.lParam;
+
+        if (POINTER_MESSAGES.indexOf(name) !== -1) {
+            const point = _pac.MAKEPOINTS(lParam);
+            const pointText = `x=${point.x} y=${point.y}`;
+
+            if (name === 'MSG_MOUSEWHEEL') {
+                return `delta=${_pac.GET_WHEEL_DELTA(wParam)} keys=0x${_pac.GET_KEYSTATE(wParam).toString(16)} ${pointText}`;
+            }
+
+            return `keys=0x${(wParam || 0).toString(16)} ${pointText}`;
+        }
+
+        if (name === 'MSG_KEYDOWN' || name === 'MSG_KEYUP') {
+            if (!_keyNames) {
+                _keyNames = buildNameMap('VK_');
+            }
+
+            return `${_keyNames.get(wParam) || wParam} repeat=${_pac.GET_REPEAT_COUNT_LPARAM(lParam)}`;
+        }
+
+        if (name === 'MSG_CHAR') {
+            return `'${String.fromCharCode(wParam)}'`;
+        }
+
+        return `wParam=${formatValue(wParam)} lParam=${formatValue(lParam)}`;
+    }
+
+    /**
+     * Formats a value for display. Objects and arrays are summarized by their
+     * keys or length, truncated to MAX_VALUE_LENGTH characters. Primitives are
+     * never truncated, as their text is what the editor writes back.
+     * @param {*} value
+     * @returns {string}
+     */
+    function formatValue(value) {
+        if (Array.isArray(value)) {
+            return `Array(${value.length})`;
+        }
+
+        if (value instanceof Date) {
+            return value.toISOString();
+        }
+
+        if (value !== null && typeof value === 'object') {
+            const keys = Object.keys(value).filter(key => key[0] !== '_' && key[0] !== '$');
+            const text = `{${keys.join(', ')}}`;
+            return text.length > MAX_VALUE_LENGTH ? text.slice(0, MAX_VALUE_LENGTH - 2) + '…}' : text;
+        }
+
+        return typeof value === 'string' ? JSON.stringify(value) : String(value);
+    }
+
+    /**
+     * Converts the text typed into an editor back to a value of the same type
+     * as the one it replaces. Returns undefined when the text does not parse.
+     * @param {string} text - Text from the editor input
+     * @param {*} current - Current value of the property
+     * @returns {*}
+     */
+    function parseEdit(text, current) {
+        if (typeof current === 'number') {
+            const number = Number(text);
+            return text.trim() !== '' && !isNaN(number) ? number : undefined;
+        }
+
+        if (typeof current === 'boolean') {
+            return text === 'true' ? true : text === 'false' ? false : undefined;
+        }
+
+        // Strings are displayed quoted; accept the edit with or without the quotes
+        if (typeof current === 'string') {
+            if (/^".*"$/.test(text)) {
+                try {
+                    return JSON.parse(text);
+                } catch {
+                    return text;
+                }
+            }
+
+            return text;
+        }
+
+        // null/undefined: accept any JSON literal, fall back to the raw string
+        try {
+            return JSON.parse(text);
+        } catch {
+            return text;
+        }
+    }
+
+    /**
+     * Returns true when a root-level property is managed by wakaPAC itself.
+     * @param {string} key
+     * @returns {boolean}
+     */
+    function isSystemProperty(key) {
+        return SYSTEM_PROPERTIES.has(key) || key.startsWith('browser') || key.startsWith('container');
+    }
+
+    /**
+     * Returns the runtime of a registered component, or null.
+     * @param {string} pacId
+     * @returns {object|null}
+     */
+    function getRuntime(pacId) {
+        return (pacId && window.PACRegistry?.get(pacId)) || null;
+    }
+
+    /**
+     * Resolves the object currently shown in the state browser: the selected
+     * component's abstraction followed down the drill-in path.
+     * @returns {object|null}
+     */
+    function getInspectedObject() {
+        const runtime = getRuntime(_inspector.selectedId);
+
+        if (!runtime) {
+            return null;
+        }
+
+        let target = runtime.abstraction;
+
+        for (let i = 0; i < _inspector.statePath.length; i++) {
+            target = target?.[_inspector.statePath[i]];
+        }
+
+        return target !== null && typeof target === 'object' ? target : null;
+    }
+
+    // ─── Refresh ──────────────────────────────────────────────────────────────
+
+    /**
+     * Rebuilds the component tree rows from PACRegistry. Roots are components
+     * without a registered parent; children are listed depth-first below them.
+     */
+    function refreshTree() {
+        const rows = [];
+        const visit = (runtime, depth) => {
+            const pacId = runtime.container.getAttribute('data-pac-id');
+
+            if (pacId === INSPECTOR_ID) {
+                return;
+            }
+
+            rows.push({ pacId, indent: `${8 + depth * 12}px` });
+            runtime.children.forEach(child => visit(child, depth + 1));
+        };
+
+        window.PACRegistry.components.forEach(runtime => {
+            if (!runtime.parent) {
+                visit(runtime, 0);
+            }
+        });
+
+        const snapshot = rows.map(row => row.pacId + ':' + row.indent).join('|');
+
+        if (snapshot !== _treeSnapshot) {
+            _treeSnapshot = snapshot;
+            _inspector.rows = rows;
+        }
+
+        // Drop the selection when its component was destroyed
+        if (_inspector.selectedId && !getRuntime(_inspector.selectedId)) {
+            _inspector.selectedId = '';
+            _inspector.statePath = [];
+        }
+    }
+
+    /**
+     * Rebuilds the property rows of the state browser. Functions are skipped,
+     * as are non-reactive _/$ prefixed properties (which includes the proxy's
+     * own _isReactive marker) and, unless enabled, the properties wakaPAC
+     * injects into every abstraction.
+     */
+    function refreshState() {
+        const target = getInspectedObject();
+        const atRoot = _inspector.statePath.length === 0;
+        const props = [];
+
+        if (target) {
+            Object.keys(target).forEach(key => {
+                const value = target[key];
+
+                if (typeof value === 'function' || key[0] === '_' || key[0] === '$') {
+                    return;
+                }
+
+                if (atRoot && !_inspector.showSystem && isSystemProperty(key)) {
+                    return;
+                }
+
+                const isDate = value instanceof Date;
+                const expandable = value !== null && typeof value === 'object' && !isDate;
+
+                props.push({
+                    key,
+                    text: formatValue(value),
+                    expandable,
+                    editable: !expandable && !isDate
+                });
+            });
+        }
+
+        const title = _inspector.selectedId
+            ? [_inspector.selectedId].concat(_inspector.statePath).join('.')
+            : 'Select a component';
+
+        const snapshot = title + '\n' + props.map(prop => prop.key + '=' + prop.text).join('\n');
+
+        if (snapshot !== _stateSnapshot) {
+            _stateSnapshot = snapshot;
+            _inspector.stateTitle = title;
+            _inspector.props = props;
+        }
+    }
+
+    /**
+     * Appends the buffered log entries to the panel, keeping at most
+     * maxLogEntries entries.
+     */
+    function flushLog() {
+        if (_pending.length === 0) {
+            return;
+        }
+
+        const max = _options.maxLogEntries || 200;
+        const log = _inspector.log.concat(_pending);
+        _pending = [];
+        _inspector.log = log.length > max ? log.slice(log.length - max) : log;
+    }
+
+    /**
+     * Refreshes all panel sections. Called from the inspector's MSG_TIMER,
+     * which only runs while the panel is open (see startRefresh()).
+     */
+    function refresh() {
+        if (!_inspector.isOpen) {
+            _pending = [];
+            return;
+        }
+
+        refreshTree();
+        refreshState();
+        flushLog();
+    }
+
+    /**
+     * Starts the refresh timer. The panel is refreshed right away so it does not
+     * show stale content until the first tick.
+     */
+    function startRefresh() {
+        if (_timerId === null) {
+            _timerId = _pac.setTimer(INSPECTOR_ID, _options.refreshInterval || 300);
+            refresh();
+        }
+    }
+
+    /**
+     * Stops the refresh timer, so a closed panel costs nothing.
+     */
+    function stopRefresh() {
+        if (_timerId !== null) {
+            _pac.killTimer(INSPECTOR_ID, _timerId);
+            _timerId = null;
+        }
+    }
+
+    /**
+     * Invalidates the cached snapshots so the next refresh rebuilds every section.
+     */
+    function invalidate() {
+        _treeSnapshot = '';
+        _stateSnapshot = '';
+    }
+
+    /**
+     * Outlines the given component's container, or hides the outline.
+     * @param {string|null} pacId
+     */
+    function highlight(pacId) {
+        const runtime = getRuntime(pacId);
+
+        if (!runtime) {
+            _highlight.style.display = 'none';
+            return;
+        }
+
+        const rect = runtime.container.getBoundingClientRect();
+
+        Object.assign(_highlight.style, {
+            display: 'block',
+            top: `${rect.top}px`,
+            left: `${rect.left}px`,
+            width: `${rect.width}px`,
+            height: `${rect.height}px`
+        });
+    }
+
+    /**
+     * Writes an edited value back into the inspected component. The assignment
+     * goes through the component's reactive proxy, so its bindings update as if
+     * the component had changed the value itself.
+     * @param {HTMLInputElement} input - The editor input that changed
+     */
+    function commitEdit(input) {
+        const target = getInspectedObject();
+        const key = input.getAttribute('data-wpi-key');
+
+        if (!target || !(key in target)) {
+            return;
+        }
+
+        const value = parseEdit(input.value, target[key]);
+
+        if (value === undefined) {
+            console.warn(`[WakaInspector] "${input.value}" is not a valid ${typeof target[key]} for "${key}"`);
+            invalidate();
+            return;
+        }
+
+        target[key] = value;
+        _stateSnapshot = '';
+    }
+
+    // ─── Hook ─────────────────────────────────────────────────────────────────
+
+    /**
+     * Message hook capturing every message dispatched to another component.
+     * Never blocks the message: callNextHook() is always invoked.
+     * @param {object} event - The message event
+     * @param {function} callNextHook - Continues the hook chain
+     */
+    function messageHook(event, callNextHook) {
+        if (
+            _inspector &&
+            _inspector.isOpen &&
+            !_inspector.paused &&
+            event.pacId !== INSPECTOR_ID &&
+            (event.message !== _pac.MSG_MOUSEMOVE || _options.logMouseMove)
+        ) {
+            const name = _pac.getMessageName(event.message);
+
+            _pending.push({
+                seq: ++_sequence,
+                pacId: event.pacId,
+                name,
+                params: describeParams(event, name)
+            });
+        }
+
+        callNextHook();
+    }
+
+    // ─── Mounting ─────────────────────────────────────────────────────────────
+
+    /**
+     * Creates the overlay elements and mounts the inspector component.
+     */
+    function mount() {
+        const container = document.createElement('div');
+        container.id = INSPECTOR_ID;
+        container.innerHTML = TEMPLATE;
+        document.body.appendChild(container);
+
+        _highlight = document.createElement('div');
+        _highlight.className = 'wpi-highlight';
+        _highlight.style.display = 'none';
+        document.body.appendChild(_highlight);
+
+        _inspector = _pac('#' + INSPECTOR_ID, {
+            isOpen: !!_options.open,
+            paused: false,
+            showSystem: false,
+            rows: [],
+            selectedId: '',
+            statePath: [],
+            stateTitle: 'Select a component',
+            props: [],
+            log: [],
+
+            toggle() {
+                this.isOpen = !this.isOpen;
+                invalidate();
+
+                if (this.isOpen) {
+                    startRefresh();
+                } else {
+                    stopRefresh();
+                    highlight(null);
+                }
+            },
+
+            selectComponent(event, row) {
+                this.selectedId = row.pacId;
+                this.statePath = [];
+                refreshState();
+            },
+
+            drill(event, prop) {
+                if (prop.expandable) {
+                    this.statePath = this.statePath.concat([prop.key]);
+                    refreshState();
+                }
+            },
+
+            back() {
+                this.statePath = this.statePath.slice(0, -1);
+                refreshState();
+            },
+
+            clearLog() {
+                _pending = [];
+                this.log = [];
+            },
+
+            watch: {
+                showSystem() {
+                    refreshState();
+                }
+            },
+
+            msgProc(event) {
+                switch (event.message) {
+                    case _pac.MSG_TIMER:
+                        refresh();
+                        break;
+
+                    case _pac.MSG_MOUSEENTER_DESCENDANT:
+                        highlight(event.target.getAttribute('data-wpi-pac-id'));
+                        break;
+
+                    case _pac.MSG_MOUSELEAVE_DESCENDANT:
+                        highlight(null);
+                        break;
+
+                    case _pac.MSG_CHANGE:
+                        if (event.target.hasAttribute('data-wpi-key')) {
+                            commitEdit(event.target);
+                        }
+
+                        break;
+                }
+            }
+        });
+
+        _pac.installMessageHook(messageHook);
+
+        if (_inspector.isOpen) {
+            startRefresh();
+        }
+    }
+
+    // ─── Plugin ───────────────────────────────────────────────────────────────
+
+    window.WakaInspector = {
+
+        /**
+         * WakaPAC plugin entry point. Called once by wakaPAC.use().
+         * Mounts the overlay as soon as the document body is available.
+         *
+         * @param {object} pac               - The wakaPAC instance.
+         * @param {object} [options]
+         * @param {boolean} [options.open=false]            - Start with the panel expanded.
+         * @param {boolean} [options.logMouseMove=false]    - Include MSG_MOUSEMOVE in the log.
+         * @param {number}  [options.maxLogEntries=200]     - Number of log entries kept.
+         * @param {number}  [options.refreshInterval=300]   - Refresh interval in milliseconds.
+         * @param {boolean} [options.injectCSS=true]        - Set to false to skip stylesheet injection.
+         * @returns {{ onComponentCreated: function, onComponentDestroyed: function }}
+         */
+        createPacPlugin(pac, options = {}) {
+            _pac = pac;
+            _options = options;
+
+            if (options.injectCSS !== false) {
+                injectCSS();
+            }
+
+            if (document.body) {
+                mount();
+            } else {
+                document.addEventListener('DOMContentLoaded', mount, { once: true });
+            }
+
+            return {
+                /**
+                 * Rebuilds the tree on the next refresh so the new component shows up.
+                 */
+                onComponentCreated() {
+                    _treeSnapshot = '';
+                },
+
+                /**
+                 * Rebuilds the tree on the next refresh and hides the outline
+                 * in case it belonged to the destroyed component.
+                 */
+                onComponentDestroyed() {
+                    _treeSnapshot = '';
+
+                    if (_highlight) {
+                        highlight(null);
+                    }
+                }
+            };
+        },
+
+        /**
+         * Expands the inspector panel.
+         */
+        open() {
+            if (_inspector && !_inspector.isOpen) {
+                _inspector.toggle();
+            }
+        },
+
+        /**
+         * Collapses the inspector panel to its launcher button.
+         */
+        close() {
+            if (_inspector && _inspector.isOpen) {
+                _inspector.toggle();
+            }
+        },
+
+        /**
+         * Toggles the inspector panel.
+         */
+        toggle() {
+            if (_inspector) {
+                _inspector.toggle();
+            }
+        }
+    };
+
+})();
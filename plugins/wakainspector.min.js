@@ -0,0 +1 @@
+!function(){"use strict";const e="waka-inspector",n=new Set(["childrenCount","hasParent","pacId"]),t=["MSG_MOUSEMOVE","MSG_LBUTTONDOWN","MSG_LBUTTONUP","MSG_LBUTTONDBLCLK","MSG_RBUTTONDOWN","MSG_RBUTTONUP","MSG_MBUTTONDOWN","MSG_MBUTTONUP","MSG_LCLICK","MSG_MCLICK","MSG_RCLICK","MSG_CONTEXTMENU","MSG_MOUSEWHEEL","MSG_DRAGENTER","MSG_DRAGOVER","MSG_DRAGLEAVE","MSG_DROP"];let a=null,i={},o=null,s=null,p=[],l=0,r="",c="",d=null,u=null;function h(e,n){const i=e.wParam,o=e.lParam;if(-1!==t.indexOf(n)){const e=a.MAKEPOINTS(o),t=`x=${e.x} y=${e.y}`;return"MSG_MOUSEWHEEL"===n?`delta=${a.GET_WHEEL_DELTA(i)} keys=0x${a.GET_KEYSTATE(i).toString(16)} ${t}`:`keys=0x${(i||0).toString(16)} ${t}`}return"MSG_KEYDOWN"===n||"MSG_KEYUP"===n?(d||(d=(()=>{const e=new Map;return Object.keys(a).forEach(n=>{n.startsWith("VK_")&&"number"==typeof a[n]&&!e.has(a[n])&&e.set(a[n],n)}),e})()),`${d.get(i)||i} repeat=${a.GET_REPEAT_COUNT_LPARAM(o)}`):"MSG_CHAR"===n?`'${String.fromCharCode(i)}'`:`wParam=${w(i)} lParam=${w(o)}`}function w(e){if(Array.isArray(e))return`Array(${e.length})`;if(e instanceof Date)return e.toISOString();if(null!==e&&"object"==typeof e){const n=`{${Object.keys(e).filter(e=>"_"!==e[0]&&"$"!==e[0]).join(", ")}}`;return n.length>120?n.slice(0,118)+"…}":n}return"string"==typeof e?JSON.stringify(e):e+""}function b(e){return e&&window.PACRegistry?.get(e)||null}function g(){const e=b(o.selectedId);if(!e)return null;let n=e.abstraction;for(let e=0;e<o.statePath.length;e++)n=n?.[o.statePath[e]];return null!==n&&"object"==typeof n?n:null}function f(){const e=g(),t=0===o.statePath.length,a=[];e&&Object.keys(e).forEach(i=>{const s=e[i];if("function"==typeof s||"_"===i[0]||"$"===i[0])return;if(t&&!o.showSystem&&(e=>n.has(e)||e.startsWith("browser")||e.startsWith("container"))(i))return;const p=s instanceof Date,l=null!==s&&"object"==typeof s&&!p;a.push({key:i,text:w(s),expandable:l,editable:!l&&!p})});const i=o.selectedId?[o.selectedId].concat(o.statePath).join("."):"Select a component",s=i+"\n"+a.map(e=>e.key+"="+e.text).join("\n");s!==c&&(c=s,o.stateTitle=i,o.props=a)}function y(){o.isOpen?((()=>{const n=[],t=(a,i)=>{const o=a.container.getAttribute("data-pac-id");o!==e&&(n.push({pacId:o,indent:8+12*i+"px"}),a.children.forEach(e=>t(e,i+1)))};window.PACRegistry.components.forEach(e=>{e.parent||t(e,0)});const a=n.map(e=>e.pacId+":"+e.indent).join("|");a!==r&&(r=a,o.rows=n),o.selectedId&&!b(o.selectedId)&&(o.selectedId="",o.statePath=[])})(),f(),(()=>{if(0===p.length)return;const e=i.maxLogEntries||200,n=o.log.concat(p);p=[],o.log=n.length>e?n.slice(n.length-e):n})()):p=[]}function x(){null===u&&(u=a.setTimer(e,i.refreshInterval||300),y())}function m(){r="",c=""}function S(e){const n=b(e);if(!n)return void(s.style.display="none");const t=n.container.getBoundingClientRect();Object.assign(s.style,{display:"block",top:t.top+"px",left:t.left+"px",width:t.width+"px",height:t.height+"px"})}function E(n,t){if(o&&o.isOpen&&!o.paused&&n.pacId!==e&&(n.message!==a.MSG_MOUSEMOVE||i.logMouseMove)){const e=a.getMessageName(n.message);p.push({seq:++l,pacId:n.pacId,name:e,params:h(n,e)})}t()}function k(){const n=document.createElement("div");n.id=e,n.innerHTML='\n<button type="button" class="wpi-launcher" data-pac-bind="visible: !isOpen, click: toggle">PAC</button>\n<div class="wpi-panel" data-pac-bind="visible: isOpen">\n    <div class="wpi-header">\n        <span class="wpi-title">WakaPAC Inspector</span>\n        <button type="button" data-pac-bind="click: toggle">&times;</button>\n    </div>\n    <div class="wpi-body">\n        <div class="wpi-tree">\n            <h4 class="wpi-section-title"><span>Components ({{ rows.length }})</span></h4>\n            <ul class="wpi-list" data-pac-bind="foreach: rows by pacId" data-pac-item="row">\n                <li class="wpi-row" data-pac-bind="click: selectComponent, data-wpi-pac-id: row.pacId, class: { \'wpi-selected\': row.pacId === selectedId }, style: { paddingLeft: row.indent }">{{ row.pacId }}</li>\n            </ul>\n        </div>\n        <div class="wpi-state">\n            <h4 class="wpi-section-title">\n                <button type="button" data-pac-bind="visible: statePath.length > 0, click: back">&lsaquo;</button>\n                <span>{{ stateTitle }}</span>\n                <label><input type="checkbox" data-pac-bind="checked: showSystem"> system</label>\n            </h4>\n            <ul class="wpi-list" data-pac-bind="foreach: props by key" data-pac-item="prop">\n                <li class="wpi-prop">\n                    <span class="wpi-key" data-pac-bind="click: drill, class: { \'wpi-expandable\': prop.expandable }">{{ prop.key }}</span>\n                    <input type="text" data-pac-bind="visible: prop.editable, value: prop.text, data-wpi-key: prop.key">\n                    <span class="wpi-value" data-pac-bind="visible: !prop.editable">{{ prop.text }}</span>\n                </li>\n            </ul>\n        </div>\n    </div>\n    <div class="wpi-log">\n        <h4 class="wpi-section-title">\n            <span>Messages</span>\n            <label><input type="checkbox" data-pac-bind="checked: paused"> pause</label>\n            <button type="button" data-pac-bind="click: clearLog">clear</button>\n        </h4>\n        <ul class="wpi-list" data-pac-bind="foreach: log by seq" data-pac-item="entry">\n            <li class="wpi-entry">\n                <span class="wpi-entry-target">{{ entry.pacId }}</span>\n                <span class="wpi-entry-name">{{ entry.name }}</span>\n                <span class="wpi-entry-params">{{ entry.params }}</span>\n            </li>\n        </ul>\n    </div>\n</div>\n',document.body.appendChild(n),s=document.createElement("div"),s.className="wpi-highlight",s.style.display="none",document.body.appendChild(s),o=a("#"+e,{isOpen:!!i.open,paused:!1,showSystem:!1,rows:[],selectedId:"",statePath:[],stateTitle:"Select a component",props:[],log:[],toggle(){this.isOpen=!this.isOpen,m(),this.isOpen?x():(null!==u&&(a.killTimer(e,u),u=null),S(null))},selectComponent(e,n){this.selectedId=n.pacId,this.statePath=[],f()},drill(e,n){n.expandable&&(this.statePath=this.statePath.concat([n.key]),f())},back(){this.statePath=this.statePath.slice(0,-1),f()},clearLog(){p=[],this.log=[]},watch:{showSystem(){f()}},msgProc(e){switch(e.message){case a.MSG_TIMER:y();break;case a.MSG_MOUSEENTER_DESCENDANT:S(e.target.getAttribute("data-wpi-pac-id"));break;case a.MSG_MOUSELEAVE_DESCENDANT:S(null);break;case a.MSG_CHANGE:e.target.hasAttribute("data-wpi-key")&&(e=>{const n=g(),t=e.getAttribute("data-wpi-key");if(!n||!(t in n))return;const a=((e,n)=>{if("number"==typeof n){const n=Number(e);return""===e.trim()||isNaN(n)?void 0:n}if("boolean"==typeof n)return"true"===e||"false"!==e&&void 0;if("string"==typeof n){if(/^".*"$/.test(e))try{return JSON.parse(e)}catch{return e}return e}try{return JSON.parse(e)}catch{return e}})(e.value,n[t]);void 0!==a?(n[t]=a,c=""):m()})(e.target)}}}),a.installMessageHook(E),o.isOpen&&x()}window.WakaInspector={createPacPlugin:(e,n={})=>(a=e,i=n,!1!==n.injectCSS&&(()=>{if(document.getElementById("waka-inspector-styles"))return;const e=document.createElement("style");e.id="waka-inspector-styles",e.textContent="\n#waka-inspector {\n    position: fixed;\n    right: 12px;\n    bottom: 12px;\n    z-index: 2147483646;\n    font: 12px/1.4 ui-monospace, SFMono-Regular, Menlo, Consolas, monospace;\n    color: #e5e7eb;\n}\n.wpi-launcher {\n    padding: 6px 10px;\n    border: 0;\n    border-radius: 6px;\n    background: #1f2937;\n    color: #e5e7eb;\n    font: inherit;\n    cursor: pointer;\n    box-shadow: 0 2px 8px rgba(0, 0, 0, .3);\n}\n.wpi-panel {\n    display: flex;\n    flex-direction: column;\n    width: 560px;\n    max-width: calc(100vw - 24px);\n    height: 420px;\n    max-height: calc(100vh - 24px);\n    background: #111827;\n    border: 1px solid #374151;\n    border-radius: 6px;\n    box-shadow: 0 4px 16px rgba(0, 0, 0, .4);\n    overflow: hidden;\n}\n.wpi-header {\n    display: flex;\n    align-items: center;\n    gap: 8px;\n    padding: 4px 8px;\n    background: #1f2937;\n    border-bottom: 1px solid #374151;\n}\n.wpi-header .wpi-title { flex: 1; font-weight: bold; }\n.wpi-panel button {\n    padding: 1px 6px;\n    border: 1px solid #4b5563;\n    border-radius: 3px;\n    background: #374151;\n    color: inherit;\n    font: inherit;\n    cursor: pointer;\n}\n.wpi-panel label { display: inline-flex; align-items: center; gap: 3px; }\n.wpi-body { display: flex; flex: 1; min-height: 0; }\n.wpi-tree { width: 40%; border-right: 1px solid #374151; overflow: auto; }\n.wpi-state { flex: 1; overflow: auto; }\n.wpi-log { height: 35%; border-top: 1px solid #374151; overflow: auto; }\n.wpi-section-title {\n    position: sticky;\n    top: 0;\n    display: flex;\n    align-items: center;\n    gap: 6px;\n    margin: 0;\n    padding: 3px 8px;\n    background: #111827;\n    color: #9ca3af;\n    font-weight: normal;\n}\n.wpi-section-title span { flex: 1; }\n.wpi-list { margin: 0; padding: 0; list-style: none; }\n.wpi-row { padding: 1px 8px; cursor: pointer; white-space: nowrap; }\n.wpi-row:hover { background: #1f2937; }\n.wpi-row.wpi-selected { background: #1e3a8a; }\n.wpi-prop { display: flex; gap: 6px; padding: 1px 8px; align-items: baseline; }\n.wpi-key { color: #93c5fd; white-space: nowrap; }\n.wpi-key.wpi-expandable { cursor: pointer; text-decoration: underline dotted; }\n.wpi-prop input {\n    flex: 1;\n    min-width: 0;\n    padding: 0 3px;\n    border: 1px solid #374151;\n    background: #0b1220;\n    color: #fde68a;\n    font: inherit;\n}\n.wpi-value { color: #d1d5db; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }\n.wpi-entry { display: flex; gap: 8px; padding: 0 8px; white-space: nowrap; }\n.wpi-entry-target { color: #6ee7b7; }\n.wpi-entry-name { color: #fca5a5; }\n.wpi-entry-params { color: #9ca3af; overflow: hidden; text-overflow: ellipsis; }\n.wpi-highlight {\n    position: fixed;\n    z-index: 2147483645;\n    pointer-events: none;\n    border: 2px solid #3b82f6;\n    background: rgba(59, 130, 246, .12);\n}\n",document.head.appendChild(e)})(),document.body?k():document.addEventListener("DOMContentLoaded",k,{once:!0}),{onComponentCreated(){r=""},onComponentDestroyed(){r="",s&&S(null)}}),open(){o&&!o.isOpen&&o.toggle()},close(){o&&o.isOpen&&o.toggle()},toggle(){o&&o.toggle()}}}();
\ No newline at end of file
@@ -1 +1 @@
-!function(){"use strict";let t=!1;const e=[];let n="https://cdn.jsdelivr.net/npm/jodit@latest/build/jodit.min.js",s="https://cdn.jsdelivr.net/npm/jodit@latest/build/jodit.min.css";function a(){for(const t of e)i(t.abstraction,t.pacId,t.pac,t.msgConstants,t.editorConfig);e.length=0}const o=new Map;function i(t,e,n,s,a){const i=n.getContainerByPacId(e);if(!i||!i.isConnected)return;const d=(t=>{if(t instanceof HTMLTextAreaElement)return t;let e=t.querySelector("textarea[data-waka-jodit-proxy]");return e||(e=document.createElement("textarea"),e.setAttribute("data-waka-jodit-proxy",""),t.hasAttribute("name")&&(e.name=t.getAttribute("name")),e.value=t.innerHTML.trim(),t.innerHTML="",t.appendChild(e)),e})(i);let r;try{r=new window.Jodit(d,a)}catch(t){return void n.sendMessage(e,s.MSG_EDITOR_ERROR,0,0,{message:t?.message??"Jodit failed to initialize"})}o.set(e,{pac:n,editor:r,abstraction:t,msgConstants:s}),r.events.on("ready",()=>{o.has(e)&&n.sendMessage(e,s.MSG_EDITOR_READY,0,0,{value:r.value})}),r.events.on("change",t=>{o.has(e)&&(n.sendMessage(e,n.MSG_INPUT,0,0,{value:t}),n.sendMessage(e,n.MSG_CHANGE,0,0,{value:t}))}),r.events.on("beforePaste",t=>{if(!o.has(e))return;const s=(t=>{if(!t)return{"text/plain":"","text/html":"","text/rtf":"","text/uri-list":"",uris:[],files:[],types:[]};const e=Array.from(t.types??[]),n=t.getData("text/uri-list")??"",s=n.split(/\r?\n/).filter(t=>t.length>0&&!t.startsWith("#")),a=Array.from(t.files??[]).map(t=>({name:t.name,size:t.size,type:t.type}));return{"text/plain":t.getData("text/plain")??"","text/html":t.getData("text/html")??"","text/rtf":t.getData("text/rtf")??"","text/uri-list":n,uris:s,files:a,types:e}})(t.clipboardData??null);return!1!==n.sendMessage(e,n.MSG_PASTE,(t.ctrlKey?n.MK_CONTROL:0)|(t.shiftKey?n.MK_SHIFT:0)|(t.altKey?n.MK_ALT:0),s["text/plain"].length,s)&&void 0}),r.events.on("afterPaste",()=>{o.has(e)&&n.sendMessage(e,n.MSG_INPUT_COMPLETE,0,0,{value:r.value})}),r.events.on("focus",()=>{o.has(e)&&n.sendMessage(e,n.MSG_SETFOCUS,0,0)}),r.events.on("blur",()=>{o.has(e)&&(n.sendMessage(e,n.MSG_INPUT_COMPLETE,0,0,{value:r.value}),n.sendMessage(e,n.MSG_KILLFOCUS,0,0))})}window.WakaJodit={createPacPlugin(d,r={}){r.src&&(n=r.src,s=void 0!==r.css?r.css:null),void 0===r.css||r.src||(s=r.css);const c={};void 0!==r.toolbar&&(c.toolbar=r.toolbar),r.language&&(c.language=r.language),void 0!==r.height&&(c.height=r.height),void 0!==r.readonly&&(c.readonly=r.readonly);const l=d.MSG_PLUGIN+512,u=d.MSG_PLUGIN+513;this.MSG_EDITOR_READY=l,this.MSG_EDITOR_ERROR=u;const g={MSG_EDITOR_READY:l,MSG_EDITOR_ERROR:u};return{onComponentCreated(o,r,l){const u=d.getContainerByPacId(r);if(!u)return;const p="waka-jodit"===u.tagName.toLowerCase(),f=u instanceof HTMLTextAreaElement;if(!f&&!p)return;if(f&&!u.hasAttribute("data-jodit"))return;const m={...c,...l.jodit??{}};(()=>{if(window.Jodit)return t=!0,void a();if(document.getElementById("waka-jodit-script"))return;if(s&&!document.getElementById("waka-jodit-css")){const t=document.createElement("link");t.id="waka-jodit-css",t.rel="stylesheet",t.href=s,(document.head??document.body).appendChild(t)}const o=document.createElement("script");o.id="waka-jodit-script",o.src=n,o.onload=()=>{if(!window.Jodit){const t="Jodit script loaded but window.Jodit is not defined. Ensure the script is a UMD/IIFE build that exposes window.Jodit.";for(const n of e)n.pac.sendMessage(n.pacId,n.msgConstants.MSG_EDITOR_ERROR,0,0,{message:t});return void(e.length=0)}t=!0,a()},o.onerror=()=>{for(const t of e)t.pac.sendMessage(t.pacId,t.msgConstants.MSG_EDITOR_ERROR,0,0,{message:"Jodit script failed to load"});e.length=0},(document.head??document.body).appendChild(o)})(),t?i(o,r,d,g,m):e.push({abstraction:o,pacId:r,pac:d,msgConstants:g,editorConfig:m})},onComponentDestroyed(t){const n=e.findIndex(e=>e.pacId===t);-1!==n&&e.splice(n,1);const s=o.get(t);if(s){o.delete(t);try{s.editor.destruct()}catch(t){}}}}},getValue:t=>o.get(t)?.editor?.value,setValue(t,e){const n=o.get(t);n?.editor&&(n.editor.value=e)},focus(t){o.get(t)?.editor?.focus()},setReadOnly(t,e){const n=o.get(t);n?.editor&&n.editor.setReadOnly(e)}},window.wakaJodit=window.WakaJodit}();
\ No newline at end of file
+!function(){"use strict";let t=!1;const e=[];let s="https://cdn.jsdelivr.net/npm/jodit@latest/build/jodit.min.js",n="https://cdn.jsdelivr.net/npm/jodit@latest/build/jodit.min.css";function a(){for(const t of e)i(t.abstraction,t.pacId,t.pac,t.msgConstants,t.editorConfig);e.length=0}const o=new Map;function i(t,e,s,n,a){const i=s.getContainerByPacId(e);if(!i||!i.isConnected)return;const r=(t=>{if(t instanceof HTMLTextAreaElement)return t;let e=t.querySelector("textarea[data-waka-jodit-proxy]");return e||(e=document.createElement("textarea"),e.setAttribute("data-waka-jodit-proxy",""),t.hasAttribute("name")&&(e.name=t.getAttribute("name")),e.value=t.innerHTML.trim(),t.innerHTML="",t.appendChild(e)),e})(i);let d;try{d=new window.Jodit(r,a)}catch(t){return void s.sendMessage(e,n.MSG_EDITOR_ERROR,0,0,{message:t?.message??"Jodit failed to initialize"})}o.set(e,{pac:s,editor:d,abstraction:t,msgConstants:n}),d.events.on("ready",()=>{o.has(e)&&s.sendMessage(e,n.MSG_EDITOR_READY,0,0,{value:d.value})}),d.events.on("change",t=>{o.has(e)&&(s.sendMessage(e,s.MSG_INPUT,0,0,{value:t}),s.sendMessage(e,s.MSG_CHANGE,0,0,{value:t}))}),d.events.on("beforePaste",t=>{if(!o.has(e))return;const n=(t=>{if(!t)return{"text/plain":"","text/html":"","text/rtf":"","text/uri-list":"",uris:[],files:[],types:[]};const e=Array.from(t.types??[]),s=t.getData("text/uri-list")??"",n=s.split(/\r?\n/).filter(t=>t.length>0&&!t.startsWith("#")),a=Array.from(t.files??[]).map(t=>({name:t.name,size:t.size,type:t.type}));return{"text/plain":t.getData("text/plain")??"","text/html":t.getData("text/html")??"","text/rtf":t.getData("text/rtf")??"","text/uri-list":s,uris:n,files:a,types:e}})(t.clipboardData??null);return!1!==s.sendMessage(e,s.MSG_PASTE,(t.ctrlKey?s.MK_CONTROL:0)|(t.shiftKey?s.MK_SHIFT:0)|(t.altKey?s.MK_ALT:0),n["text/plain"].length,n)&&void 0}),d.events.on("afterPaste",()=>{o.has(e)&&s.sendMessage(e,s.MSG_INPUT_COMPLETE,0,0,{value:d.value})}),d.events.on("focus",()=>{o.has(e)&&s.sendMessage(e,s.MSG_SETFOCUS,0,0)}),d.events.on("blur",()=>{o.has(e)&&(s.sendMessage(e,s.MSG_INPUT_COMPLETE,0,0,{value:d.value}),s.sendMessage(e,s.MSG_KILLFOCUS,0,0))})}window.WakaJodit={createPacPlugin(r,d={}){d.src&&(s=d.src,n=void 0!==d.css?d.css:null),void 0===d.css||d.src||(n=d.css);const c={};void 0!==d.toolbar&&(c.toolbar=d.toolbar),d.language&&(c.language=d.language),void 0!==d.height&&(c.height=d.height),void 0!==d.readonly&&(c.readonly=d.readonly);const l=r.registerWindowMessage("wakaeditor.ready"),u=r.registerWindowMessage("wakaeditor.error");this.MSG_EDITOR_READY=l,this.MSG_EDITOR_ERROR=u;const g={MSG_EDITOR_READY:l,MSG_EDITOR_ERROR:u};return{onComponentCreated(o,d,l){const u=r.getContainerByPacId(d);if(!u)return;const p="waka-jodit"===u.tagName.toLowerCase(),f=u instanceof HTMLTextAreaElement;if(!f&&!p)return;if(f&&!u.hasAttribute("data-jodit"))return;const m={...c,...l.jodit??{}};(()=>{if(window.Jodit)return t=!0,void a();if(document.getElementById("waka-jodit-script"))return;if(n&&!document.getElementById("waka-jodit-css")){const t=document.createElement("link");t.id="waka-jodit-css",t.rel="stylesheet",t.href=n,(document.head??document.body).appendChild(t)}const o=document.createElement("script");o.id="waka-jodit-script",o.src=s,o.onload=()=>{if(!window.Jodit){const t="Jodit script loaded but window.Jodit is not defined. Ensure the script is a UMD/IIFE build that exposes window.Jodit.";for(const s of e)s.pac.sendMessage(s.pacId,s.msgConstants.MSG_EDITOR_ERROR,0,0,{message:t});return void(e.length=0)}t=!0,a()},o.onerror=()=>{for(const t of e)t.pac.sendMessage(t.pacId,t.msgConstants.MSG_EDITOR_ERROR,0,0,{message:"Jodit script failed to load"});e.length=0},(document.head??document.body).appendChild(o)})(),t?i(o,d,r,g,m):e.push({abstraction:o,pacId:d,pac:r,msgConstants:g,editorConfig:m})},onComponentDestroyed(t){const s=e.findIndex(e=>e.pacId===t);-1!==s&&e.splice(s,1);const n=o.get(t);if(n){o.delete(t);try{n.editor.destruct()}catch(t){}}}}},getValue:t=>o.get(t)?.editor?.value,setValue(t,e){const s=o.get(t);s?.editor&&(s.editor.value=e)},focus(t){o.get(t)?.editor?.focus()},setReadOnly(t,e){const s=o.get(t);s?.editor&&s.editor.setReadOnly(e)}},window.wakaJodit=window.WakaJodit}();
\ No newline at end of file
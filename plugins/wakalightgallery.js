@@ -229,15 +229,15 @@
                 plugins: options.plugins ?? []
             };
 
-            // Derive message constants from the host's MSG_PLUGIN base.
-            const MSG_GALLERY_READY = pac.MSG_PLUGIN + 0x300;
-            const MSG_GALLERY_ERROR = pac.MSG_PLUGIN + 0x301;
-            const MSG_BEFORE_OPEN = pac.MSG_PLUGIN + 0x302;
-            const MSG_AFTER_OPEN = pac.MSG_PLUGIN + 0x303;
-            const MSG_BEFORE_CLOSE = pac.MSG_PLUGIN + 0x304;
-            const MSG_AFTER_CLOSE = pac.MSG_PLUGIN + 0x305;
-            const MSG_BEFORE_SLIDE = pac.MSG_PLUGIN + 0x306;
-            const MSG_AFTER_SLIDE = pac.MSG_PLUGIN + 0x307;
+            // Register message constants by name so they cannot collide with other plugins.
+            const MSG_GALLERY_READY = pac.registerWindowMessage('wakalightgallery.ready');
+            const MSG_GALLERY_ERROR = pac.registerWindowMessage('wakalightgallery.error');
+            const MSG_BEFORE_OPEN = pac.registerWindowMessage('wakalightgallery.beforeopen');
+            const MSG_AFTER_OPEN = pac.registerWindowMessage('wakalightgallery.afteropen');
+            const MSG_BEFORE_CLOSE = pac.registerWindowMessage('wakalightgallery.beforeclose');
+            const MSG_AFTER_CLOSE = pac.registerWindowMessage('wakalightgallery.afterclose');
+            const MSG_BEFORE_SLIDE = pac.registerWindowMessage('wakalightgallery.beforeslide');
+            const MSG_AFTER_SLIDE = pac.registerWindowMessage('wakalightgallery.afterslide');
 
             // Expose constants so components can reference them as
             // WakaLightGallery.MSG_GALLERY_READY etc.
@@ -1 +1 @@
-!function(){"use strict";let e=!1,t=!1,n=!1,s="https://cdnjs.cloudflare.com/ajax/libs/lightgallery/2.8.3/lightgallery.umd.min.js",a="https://cdnjs.cloudflare.com/ajax/libs/lightgallery/2.8.3/css/lightgallery.min.css";const l=new Map;window.wakaLightGallery={createPacPlugin(r,d={}){d.src&&(s=d.src),d.cssSrc&&(a=d.cssSrc);const i={speed:400,plugins:d.plugins??[]},o=r.MSG_PLUGIN+768,c=r.MSG_PLUGIN+769,g=r.MSG_PLUGIN+770,G=r.MSG_PLUGIN+771,h=r.MSG_PLUGIN+772,p=r.MSG_PLUGIN+773,y=r.MSG_PLUGIN+774,E=r.MSG_PLUGIN+775;Object.assign(this,{MSG_GALLERY_READY:o,MSG_GALLERY_ERROR:c,MSG_BEFORE_OPEN:g,MSG_AFTER_OPEN:G,MSG_BEFORE_CLOSE:h,MSG_AFTER_CLOSE:p,MSG_BEFORE_SLIDE:y,MSG_AFTER_SLIDE:E});const f=[];function L(e,t){const n=r.getContainerByPacId(e);n&&(n.addEventListener("lgInit",t=>{l.set(e,{pac:r,instance:t.detail.instance}),r.sendMessage(e,o,0,0)}),n.addEventListener("lgBeforeOpen",()=>{l.has(e)&&r.sendMessage(e,g,0,0)}),n.addEventListener("lgAfterOpen",()=>{l.has(e)&&r.sendMessage(e,G,0,0)}),n.addEventListener("lgBeforeClose",()=>{l.has(e)&&r.sendMessage(e,h,0,0)}),n.addEventListener("lgAfterClose",()=>{l.has(e)&&r.sendMessage(e,p,0,0)}),n.addEventListener("lgBeforeSlide",t=>{if(!l.has(e))return;const{index:n,prevIndex:s}=t.detail;r.sendMessage(e,y,n,s,{index:n,prevIndex:s})}),n.addEventListener("lgAfterSlide",t=>{if(!l.has(e))return;const{index:n,prevIndex:s}=t.detail;r.sendMessage(e,E,n,s,{index:n,prevIndex:s})}),window.lightGallery(n,t))}function u(){for(const e of f)L(e.pacId,e.galleryConfig);f.length=0}return{onComponentCreated(l,d,o){const g=r.getContainerByPacId(d);if(!g)return;if("waka-lightgallery"!==g.tagName.toLowerCase())return;const G={...i,...o.lightgallery??{}};(()=>{if(t)return;if(document.querySelector("link[data-waka-lightgallery-css]"))return void(t=!0);const e=document.createElement("link");e.rel="stylesheet",e.href=a,e.setAttribute("data-waka-lightgallery-css",""),(document.head??document.body).appendChild(e),t=!0})(),((t,a)=>{if(window.lightGallery)return e=!0,void t();if(n||document.getElementById("waka-lightgallery-script"))return;n=!0;const l=document.createElement("script");l.id="waka-lightgallery-script",l.src=s,l.onload=()=>{e=!0,t()},l.onerror=()=>{for(const e of a)e.pac.sendMessage(e.pacId,e.MSG_GALLERY_ERROR,0,0,{message:"lightGallery script failed to load from: "+s});a.length=0},(document.head??document.body).appendChild(l)})(u,f),e?L(d,G):f.push({pacId:d,pac:r,galleryConfig:G,MSG_GALLERY_ERROR:c})},onComponentDestroyed(e){const t=f.findIndex(t=>t.pacId===e);-1!==t&&f.splice(t,1);const n=l.get(e);n&&(n.instance.destroy(),l.delete(e))}}},openGallery(e,t=0){l.get(e)?.instance?.openGallery(t)},closeGallery(e){l.get(e)?.instance?.closeGallery()},slide(e,t){l.get(e)?.instance?.slide(t)},refresh(e){l.get(e)?.instance?.refresh()},destroy(e){const t=l.get(e);t&&(t.instance.destroy(),l.delete(e))}},window.WakaLightGallery=window.wakaLightGallery}();
\ No newline at end of file
+!function(){"use strict";let e=!1,t=!1,a=!1,s="https://cdnjs.cloudflare.com/ajax/libs/lightgallery/2.8.3/lightgallery.umd.min.js",n="https://cdnjs.cloudflare.com/ajax/libs/lightgallery/2.8.3/css/lightgallery.min.css";const l=new Map;window.wakaLightGallery={createPacPlugin(r,i={}){i.src&&(s=i.src),i.cssSrc&&(n=i.cssSrc);const d={speed:400,plugins:i.plugins??[]},g=r.registerWindowMessage("wakalightgallery.ready"),o=r.registerWindowMessage("wakalightgallery.error"),c=r.registerWindowMessage("wakalightgallery.beforeopen"),h=r.registerWindowMessage("wakalightgallery.afteropen"),y=r.registerWindowMessage("wakalightgallery.beforeclose"),f=r.registerWindowMessage("wakalightgallery.afterclose"),p=r.registerWindowMessage("wakalightgallery.beforeslide"),w=r.registerWindowMessage("wakalightgallery.afterslide");Object.assign(this,{MSG_GALLERY_READY:g,MSG_GALLERY_ERROR:o,MSG_BEFORE_OPEN:c,MSG_AFTER_OPEN:h,MSG_BEFORE_CLOSE:y,MSG_AFTER_CLOSE:f,MSG_BEFORE_SLIDE:p,MSG_AFTER_SLIDE:w});const E=[];function u(e,t){const a=r.getContainerByPacId(e);a&&(a.addEventListener("lgInit",t=>{l.set(e,{pac:r,instance:t.detail.instance}),r.sendMessage(e,g,0,0)}),a.addEventListener("lgBeforeOpen",()=>{l.has(e)&&r.sendMessage(e,c,0,0)}),a.addEventListener("lgAfterOpen",()=>{l.has(e)&&r.sendMessage(e,h,0,0)}),a.addEventListener("lgBeforeClose",()=>{l.has(e)&&r.sendMessage(e,y,0,0)}),a.addEventListener("lgAfterClose",()=>{l.has(e)&&r.sendMessage(e,f,0,0)}),a.addEventListener("lgBeforeSlide",t=>{if(!l.has(e))return;const{index:a,prevIndex:s}=t.detail;r.sendMessage(e,p,a,s,{index:a,prevIndex:s})}),a.addEventListener("lgAfterSlide",t=>{if(!l.has(e))return;const{index:a,prevIndex:s}=t.detail;r.sendMessage(e,w,a,s,{index:a,prevIndex:s})}),window.lightGallery(a,t))}function M(){for(const e of E)u(e.pacId,e.galleryConfig);E.length=0}return{onComponentCreated(l,i,g){const c=r.getContainerByPacId(i);if(!c)return;if("waka-lightgallery"!==c.tagName.toLowerCase())return;const h={...d,...g.lightgallery??{}};(()=>{if(t)return;if(document.querySelector("link[data-waka-lightgallery-css]"))return void(t=!0);const e=document.createElement("link");e.rel="stylesheet",e.href=n,e.setAttribute("data-waka-lightgallery-css",""),(document.head??document.body).appendChild(e),t=!0})(),((t,n)=>{if(window.lightGallery)return e=!0,void t();if(a||document.getElementById("waka-lightgallery-script"))return;a=!0;const l=document.createElement("script");l.id="waka-lightgallery-script",l.src=s,l.onload=()=>{e=!0,t()},l.onerror=()=>{for(const e of n)e.pac.sendMessage(e.pacId,e.MSG_GALLERY_ERROR,0,0,{message:"lightGallery script failed to load from: "+s});n.length=0},(document.head??document.body).appendChild(l)})(M,E),e?u(i,h):E.push({pacId:i,pac:r,galleryConfig:h,MSG_GALLERY_ERROR:o})},onComponentDestroyed(e){const t=E.findIndex(t=>t.pacId===e);-1!==t&&E.splice(t,1);const a=l.get(e);a&&(a.instance.destroy(),l.delete(e))}}},openGallery(e,t=0){l.get(e)?.instance?.openGallery(t)},closeGallery(e){l.get(e)?.instance?.closeGallery()},slide(e,t){l.get(e)?.instance?.slide(t)},refresh(e){l.get(e)?.instance?.refresh()},destroy(e){const t=l.get(e);t&&(t.instance.destroy(),l.delete(e))}},window.WakaLightGallery=window.wakaLightGallery}();
\ No newline at end of file
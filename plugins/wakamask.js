@@ -64,9 +64,6 @@
  * ║    - IME composition (event.key === 'Process') is not intercepted. Composed text     ║
  * ║      lands in the field unmasked; the field will format correctly on the next        ║
  * ║      plain keystroke, paste, or WakaMask.setValue() call, but not while composing.   ║
- * ║    - MSG_PLUGIN offsets below assume no other installed plugin has claimed the       ║
- * ║      0x200 range. WakaYouTube/WakaVideo use 0x100–0x10C; if you have other plugins   ║
- * ║      installed, check their offsets don't collide with this one.                     ║
  * ║                                                                                      ║
  * ╚══════════════════════════════════════════════════════════════════════════════════════╝
  */
@@ -590,9 +587,9 @@
     window.WakaMask = {
 
         createPacPlugin(pac, _options = {}) {
-            // Derive message constants from the host's MSG_PLUGIN base.
-            const MSG_MASK_COMPLETE = pac.MSG_PLUGIN + 0x200;
-            const MSG_MASK_REJECT = pac.MSG_PLUGIN + 0x201;
+            // Register message constants by name so they cannot collide with other plugins.
+            const MSG_MASK_COMPLETE = pac.registerWindowMessage('wakamask.complete');
+            const MSG_MASK_REJECT = pac.registerWindowMessage('wakamask.reject');
 
             // Attach constants so components can reference WakaMask.MSG_MASK_COMPLETE etc.
             this.MSG_MASK_COMPLETE = MSG_MASK_COMPLETE;
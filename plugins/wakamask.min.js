@@ -1 +1 @@
-!function(){"use strict";function e(e,t){switch(t){case"digit":return/[0-9]/.test(e);case"letter":return/[A-Za-z]/.test(e);case"alnum":return/[A-Za-z0-9]/.test(e);default:return!1}}function t(t,n){let l="",a=0,s=0,i=!1;for(;a<t.length;){const r=t[a];if(void 0!==r.literal){if(s<n.length||i){l+=r.literal,a++,n[s]===r.literal&&s++;continue}break}if(i=!1,s>=n.length)break;e(n[s],r.type)?(l+=n[s],a++,s++,i=!0):s++}return l}function n(t,n){let l="",a=0,s=0;for(;a<t.length&&s<n.length;){const i=t[a];void 0===i.literal?e(n[s],i.type)?(l+=n[s],a++,s++):s++:(n[s]===i.literal&&s++,a++)}return l}function l(e,n){return t(e,n.replace(/[^A-Za-z0-9]/g,""))}const a=new Map;function s(e,t,n){e.value=t,e.setSelectionRange(n,n),e.dispatchEvent(new Event("input",{bubbles:!0}))}function i(e,t,n,l,a,s,i){a.length===(e=>e.reduce((e,t)=>e+(void 0===t.literal?1:0),0))(l)&&e.sendMessage(t,i,a.length,0,{target:n,value:s})}function r(e,t){return 0!==(t.lParam&e.KM_CONTROL)||0!==(t.lParam&e.KM_META)||0!==(t.lParam&e.KM_ALT)}window.WakaMask={createPacPlugin(c,o={}){const u=c.MSG_PLUGIN+512,g=c.MSG_PLUGIN+513;this.MSG_MASK_COMPLETE=u,this.MSG_MASK_REJECT=g;const d={MSG_MASK_COMPLETE:u,MSG_MASK_REJECT:g};return c.installMessageHook((l,o)=>{const u=a.get(l.target);if(!u||l.message!==c.MSG_KEYDOWN&&l.message!==c.MSG_CHAR&&l.message!==c.MSG_PASTE)return void o();const g=l.target;switch(l.message){case c.MSG_KEYDOWN:((e,l,a,i,c)=>{if(r(e,l)||l.wParam!==e.VK_BACK&&l.wParam!==e.VK_DELETE)return void a();const{tokens:o}=c,u=i.selectionStart,g=i.selectionEnd,d=n(o,i.value);let h,f;if(u!==g){const e=n(o,i.value.slice(0,u)).length,t=n(o,i.value.slice(0,g)).length;h=d.slice(0,e)+d.slice(t),f=e}else if(l.wParam===e.VK_BACK){if(f=n(o,i.value.slice(0,u)).length-1,f<0)return void a();h=d.slice(0,f)+d.slice(f+1)}else{if(f=n(o,i.value.slice(0,u)).length,f>=d.length)return void a();h=d.slice(0,f)+d.slice(f+1)}l.preventDefault(),s(i,t(o,h),t(o,h.slice(0,f)).length),a()})(c,l,o,g,u);break;case c.MSG_CHAR:((l,a,c,o,u,g)=>{if(r(l,a))return void c();const{tokens:d,pacId:h}=u,f=a.originalEvent.key,v=o.selectionStart,M=o.selectionEnd,p=n(d,o.value),E=n(d,o.value.slice(0,v)).length,S=v!==M?n(d,o.value.slice(0,M)).length:E,_=((e,t)=>{let n=0,l=0;for(;n<e.length&&l<t;)void 0===e[n].literal&&l++,n++;for(;n<e.length&&void 0!==e[n].literal;)n++;return e[n]})(d,E);if(a.preventDefault(),!_)return void c();if(!e(f,_.type))return l.sendMessage(h,g.MSG_MASK_REJECT,f.charCodeAt(0),0,{target:o}),void c();const k=p.slice(0,E)+f+p.slice(S),A=t(d,k);s(o,A,t(d,k.slice(0,E+1)).length),i(l,h,o,d,n(d,A),A,g.MSG_MASK_COMPLETE),c()})(c,l,o,g,u,d);break;case c.MSG_PASTE:((e,l,a,r,c,o)=>{l.preventDefault();const{tokens:u,pacId:g}=c,d=(l.detail["text/plain"]??"").replace(/[^A-Za-z0-9]/g,""),h=r.selectionStart,f=r.selectionEnd,v=n(u,r.value),M=n(u,r.value.slice(0,h)).length,p=h!==f?n(u,r.value.slice(0,f)).length:M,E=v.slice(0,M)+d+v.slice(p),S=t(u,E);s(r,S,t(u,E.slice(0,M+d.length)).length),i(e,g,r,u,n(u,S),S,o.MSG_MASK_COMPLETE),a()})(c,l,o,g,u,d)}}),{onComponentCreated(e,t,n){const s=c.getContainerByPacId(t);s&&((e,t)=>{e.querySelectorAll("input[data-pac-mask]").forEach(e=>{if("number"===e.type)return;const n=e.getAttribute("data-pac-mask");if(!n)return;const s=(e=>{const t=[];for(let n=0;n<e.length;n++){const l=e[n];if("\\"===l&&n+1<e.length)t.push({literal:e[n+1]}),n++;else switch(l){case"9":t.push({type:"digit"});break;case"a":t.push({type:"letter"});break;case"*":t.push({type:"alnum"});break;default:t.push({literal:l})}}return t})(n);if(a.set(e,{tokens:s,pattern:n,pacId:t}),e.value){const t=l(s,e.value);t!==e.value&&(e.value=t,e.dispatchEvent(new Event("input",{bubbles:!0})))}})})(s,t)},onComponentDestroyed(e){(e=>{for(const[t,n]of a)n.pacId===e&&a.delete(t)})(e)}}},setValue(e,t){const n=a.get(e);if(!n)return;const i=l(n.tokens,t+"");s(e,i,i.length)},getRawValue(e){const t=a.get(e);return t?n(t.tokens,e.value):""}},window.wakaMask=window.WakaMask}();
\ No newline at end of file
+!function(){"use strict";function e(e,t){switch(t){case"digit":return/[0-9]/.test(e);case"letter":return/[A-Za-z]/.test(e);case"alnum":return/[A-Za-z0-9]/.test(e);default:return!1}}function t(t,n){let a="",l=0,s=0,i=!1;for(;l<t.length;){const r=t[l];if(void 0!==r.literal){if(s<n.length||i){a+=r.literal,l++,n[s]===r.literal&&s++;continue}break}if(i=!1,s>=n.length)break;e(n[s],r.type)?(a+=n[s],l++,s++,i=!0):s++}return a}function n(t,n){let a="",l=0,s=0;for(;l<t.length&&s<n.length;){const i=t[l];void 0===i.literal?e(n[s],i.type)?(a+=n[s],l++,s++):s++:(n[s]===i.literal&&s++,l++)}return a}function a(e,n){return t(e,n.replace(/[^A-Za-z0-9]/g,""))}const l=new Map;function s(e,t,n){e.value=t,e.setSelectionRange(n,n),e.dispatchEvent(new Event("input",{bubbles:!0}))}function i(e,t,n,a,l,s,i){l.length===(e=>e.reduce((e,t)=>e+(void 0===t.literal?1:0),0))(a)&&e.sendMessage(t,i,l.length,0,{target:n,value:s})}function r(e,t){return 0!==(t.lParam&e.KM_CONTROL)||0!==(t.lParam&e.KM_META)||0!==(t.lParam&e.KM_ALT)}window.WakaMask={createPacPlugin(c,o={}){const u=c.registerWindowMessage("wakamask.complete"),g=c.registerWindowMessage("wakamask.reject");this.MSG_MASK_COMPLETE=u,this.MSG_MASK_REJECT=g;const d={MSG_MASK_COMPLETE:u,MSG_MASK_REJECT:g};return c.installMessageHook((a,o)=>{const u=l.get(a.target);if(!u||a.message!==c.MSG_KEYDOWN&&a.message!==c.MSG_CHAR&&a.message!==c.MSG_PASTE)return void o();const g=a.target;switch(a.message){case c.MSG_KEYDOWN:((e,a,l,i,c)=>{if(r(e,a)||a.wParam!==e.VK_BACK&&a.wParam!==e.VK_DELETE)return void l();const{tokens:o}=c,u=i.selectionStart,g=i.selectionEnd,d=n(o,i.value);let h,f;if(u!==g){const e=n(o,i.value.slice(0,u)).length,t=n(o,i.value.slice(0,g)).length;h=d.slice(0,e)+d.slice(t),f=e}else if(a.wParam===e.VK_BACK){if(f=n(o,i.value.slice(0,u)).length-1,f<0)return void l();h=d.slice(0,f)+d.slice(f+1)}else{if(f=n(o,i.value.slice(0,u)).length,f>=d.length)return void l();h=d.slice(0,f)+d.slice(f+1)}a.preventDefault(),s(i,t(o,h),t(o,h.slice(0,f)).length),l()})(c,a,o,g,u);break;case c.MSG_CHAR:((a,l,c,o,u,g)=>{if(r(a,l))return void c();const{tokens:d,pacId:h}=u,f=l.originalEvent.key,v=o.selectionStart,M=o.selectionEnd,p=n(d,o.value),E=n(d,o.value.slice(0,v)).length,k=v!==M?n(d,o.value.slice(0,M)).length:E,S=((e,t)=>{let n=0,a=0;for(;n<e.length&&a<t;)void 0===e[n].literal&&a++,n++;for(;n<e.length&&void 0!==e[n].literal;)n++;return e[n]})(d,E);if(l.preventDefault(),!S)return void c();if(!e(f,S.type))return a.sendMessage(h,g.MSG_MASK_REJECT,f.charCodeAt(0),0,{target:o}),void c();const _=p.slice(0,E)+f+p.slice(k),A=t(d,_);s(o,A,t(d,_.slice(0,E+1)).length),i(a,h,o,d,n(d,A),A,g.MSG_MASK_COMPLETE),c()})(c,a,o,g,u,d);break;case c.MSG_PASTE:((e,a,l,r,c,o)=>{a.preventDefault();const{tokens:u,pacId:g}=c,d=(a.detail["text/plain"]??"").replace(/[^A-Za-z0-9]/g,""),h=r.selectionStart,f=r.selectionEnd,v=n(u,r.value),M=n(u,r.value.slice(0,h)).length,p=h!==f?n(u,r.value.slice(0,f)).length:M,E=v.slice(0,M)+d+v.slice(p),k=t(u,E);s(r,k,t(u,E.slice(0,M+d.length)).length),i(e,g,r,u,n(u,k),k,o.MSG_MASK_COMPLETE),l()})(c,a,o,g,u,d)}}),{onComponentCreated(e,t,n){const s=c.getContainerByPacId(t);s&&((e,t)=>{e.querySelectorAll("input[data-pac-mask]").forEach(e=>{if("number"===e.type)return;const n=e.getAttribute("data-pac-mask");if(!n)return;const s=(e=>{const t=[];for(let n=0;n<e.length;n++){const a=e[n];if("\\"===a&&n+1<e.length)t.push({literal:e[n+1]}),n++;else switch(a){case"9":t.push({type:"digit"});break;case"a":t.push({type:"letter"});break;case"*":t.push({type:"alnum"});break;default:t.push({literal:a})}}return t})(n);if(l.set(e,{tokens:s,pattern:n,pacId:t}),e.value){const t=a(s,e.value);t!==e.value&&(e.value=t,e.dispatchEvent(new Event("input",{bubbles:!0})))}})})(s,t)},onComponentDestroyed(e){(e=>{for(const[t,n]of l)n.pacId===e&&l.delete(t)})(e)}}},setValue(e,t){const n=l.get(e);if(!n)return;const i=a(n.tokens,t+"");s(e,i,i.length)},getRawValue(e){const t=l.get(e);return t?n(t.tokens,e.value):""}},window.wakaMask=window.WakaMask}();
\ No newline at end of file
@@ -18,8 +18,28 @@
  * ║    wakaPAC.use(wakaRoute);                                                       ║
  * ║    wakaRoute.navigate('/users/42');                                              ║
  * ║                                                                                  ║
+ * ║  Options (second argument of wakaPAC.use):                                       ║
+ * ║    mode: 'history' (default) — routes live in location.pathname                  ║
+ * ║          'hash'    — routes live in the fragment (#/users/42), for static        ║
+ * ║                      hosting without rewrite rules                               ║
+ * ║          'memory'  — routes live in an in-memory stack; the URL is never         ║
+ * ║                      touched, which suits unit tests                             ║
+ * ║    base: '/app'    — prefix the app is served under. navigate() adds it,         ║
+ * ║                      currentRoute(), MSG_ROUTE_CHANGE and matchPattern()         ║
+ * ║                      strip it, so routes are written without it                  ║
+ * ║    scrollRestoration: true — save window and container scroll positions          ║
+ * ║                      per history entry and restore them on back/forward          ║
+ * ║    links: true     — intercept clicks on same-origin <a href> inside PAC         ║
+ * ║                      containers (modifier keys, target, download and             ║
+ * ║                      data-pac-external are left to the browser) and give         ║
+ * ║                      components route, routeActive() and routeExactActive():     ║
+ * ║      <a href="/users" data-pac-bind="class: { active: routeActive('/users') }">  ║
+ * ║                                                                                  ║
  * ║  Components with data-pac-route receive MSG_ROUTE_BEFORE before each              ║
- * ║  navigation. Returning false from msgProc cancels the navigation.                ║
+ * ║  navigation. Returning false from msgProc cancels the navigation,                ║
+ * ║  returning a path redirects there, and returning a Promise of either             ║
+ * ║  makes the guard async. Guards run for back/forward too; a cancelled             ║
+ * ║  traversal is undone in whichever direction it went.                             ║
  * ║  Components with data-pac-route receive MSG_ROUTE_CHANGE with:                   ║
  * ║    { path, query, params }                                                       ║
  * ║                                                                                  ║
@@ -31,11 +51,34 @@
  * ║  or null if the pattern did not match the current path.                          ║
  * ║  Components without data-pac-route receive no message.                           ║
  * ║  wakaRoute.matchPattern() remains available for ad-hoc matching.                 ║
- * ║  wakaRoute.destroy() removes the popstate listener and clears state.             ║
+ * ║  wakaRoute.destroy() removes the location listener and clears state.             ║
  * ║                                                                                  ║
  * ║  Declarative registration via HTML attribute:                                    ║
  * ║    <div data-pac-id="user-view" data-pac-route="/users/{id}">                    ║
  * ║                                                                                  ║
+ * ║  Segments can be typed or constrained; non-matching paths are rejected:          ║
+ * ║    /users/{id:int}     → { id: 42 } (int, number and bool are cast)              ║
+ * ║    /posts/{slug:[a-z-]+}                                                         ║
+ * ║                                                                                  ║
+ * ║  Named routes build URLs in reverse:                                             ║
+ * ║    <div data-pac-route="/users/{id:int}" data-pac-route-name="user">             ║
+ * ║    wakaRoute.url('user', { id: 42 }, { tab: 'posts' })  → '/users/42?tab=posts'  ║
+ * ║                                                                                  ║
+ * ║  Nested layouts: a layout marks an outlet whose <template data-pac-view>         ║
+ * ║  children are its views. The first view matching the path is instantiated        ║
+ * ║  with wakaPAC() and destroyed when the route leaves. Relative patterns           ║
+ * ║  nest under the layout's own pattern:                                            ║
+ * ║    <div data-pac-id="users" data-pac-route="/users/**">                          ║
+ * ║      <div data-pac-outlet>                                                       ║
+ * ║        <template data-pac-view="user-list" data-pac-route="">...</template>      ║
+ * ║        <template data-pac-view="user-detail" data-pac-route="{id:int}"           ║
+ * ║                  data-pac-src="/views/user.html"></template>                     ║
+ * ║        <template data-pac-view="user-edit" data-pac-route="{id:int}/edit"        ║
+ * ║                  data-pac-partial="userEdit"></template>                         ║
+ * ║    wakaRoute.registerView('user-detail', route => ({ user: null }));             ║
+ * ║  Fetched views send MSG_ROUTE_LOADING and MSG_ROUTE_LOAD_ERROR to the            ║
+ * ║  layout; the outlet's data-pac-outlet-state is loading, ready or error.          ║
+ * ║                                                                                  ║
  * ╚══════════════════════════════════════════════════════════════════════════════════╝
  */
 (function () {
@@ -47,31 +90,122 @@
 
     /**
      * Cache of compiled route patterns. Keyed by the original pattern string,
-     * valued by the compiled { regex, keys } descriptor. Prevents redundant
-     * regex compilation when the same pattern is matched on multiple navigations.
-     * @type {Map<string, { regex: RegExp, keys: string[] }>}
+     * valued by the compiled descriptor. Prevents redundant regex compilation
+     * when the same pattern is matched on multiple navigations.
+     * @type {Map<string, { regex: RegExp, keys: string[], params: Object[], parts: Array }>}
      */
     const _patternCache = new Map();
 
+    /**
+     * Built-in segment types usable as {name:type}. Each type supplies the
+     * regex a segment must match and a cast applied to the matched value, so
+     * '/users/{id:int}' rejects '/users/abc' and yields { id: 42 } as a number.
+     * @type {Object<string, { pattern: string, cast: Function }>}
+     */
+    const _PARAM_TYPES = {
+        int: {
+            pattern: '-?\\d+',
+            cast: function (value) { return parseInt(value, 10); }
+        },
+        number: {
+            pattern: '-?\\d+(?:\\.\\d+)?',
+            cast: function (value) { return parseFloat(value); }
+        },
+        bool: {
+            pattern: 'true|false|1|0',
+            cast: function (value) { return value === 'true' || value === '1'; }
+        }
+    };
+
+    /**
+     * Escapes a literal pattern fragment for use in a regex, turning bare
+     * wildcards into their non-capturing groups on the way.
+     * @param {string} literal - Pattern text between tokens
+     * @returns {string}
+     * @private
+     */
+    function _compileLiteral(literal) {
+        // Placeholders use characters illegal in URL paths so they can't collide
+        // with the escaper, which would otherwise see our * characters.
+        const SEGMENT_SKIP  = '\u0003'; // placeholder for (?:[^/]+)
+        const WILDCARD_SKIP = '\u0004'; // placeholder for (?:.*)
+
+        return literal
+            // Bare multi-segment wildcard: ** (non-capturing, may appear multiple times)
+            .replace(/\*\*/g, WILDCARD_SKIP)
+            // Bare single-segment wildcard: * (non-capturing)
+            .replace(/\*/g, SEGMENT_SKIP)
+            .replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+            .split(SEGMENT_SKIP).join('(?:[^/]+)')
+            .split(WILDCARD_SKIP).join('(?:.*)');
+    }
+
+    /**
+     * Turns the inside of a {...} token into a parameter descriptor.
+     * @param {string} body - Token contents, e.g. 'id', 'rest:**', 'id:int', 'slug:[a-z-]+'
+     * @param {string} pattern - The full pattern, for error messages
+     * @returns {{ name: string, kind: string, source: string, cast: Function|null, test: RegExp|null }}
+     * @throws {Error} If the name is not an identifier or the constraint is not a valid regex
+     * @private
+     */
+    function _parseToken(body, pattern) {
+        const match = /^([a-zA-Z_][a-zA-Z0-9_]*)(?::([\s\S]+))?$/.exec(body);
+
+        if (!match) {
+            throw new Error('wakaRoute: invalid token "{' + body + '}" in pattern "' + pattern + '"');
+        }
+
+        const name = match[1];
+        const constraint = match[2];
+
+        // {name} and {name:*} match one segment, {name:**} any number of them
+        if (constraint === undefined || constraint === '*') {
+            return { name: name, kind: 'segment', source: '[^/]+', cast: null, test: null };
+        }
+
+        if (constraint === '**') {
+            return { name: name, kind: 'wildcard', source: '.*', cast: null, test: null };
+        }
+
+        // Built-in type or a custom regex constraint
+        const type = Object.prototype.hasOwnProperty.call(_PARAM_TYPES, constraint) ? _PARAM_TYPES[constraint] : null;
+        const source = type ? type.pattern : constraint;
+        let test;
+
+        try {
+            test = new RegExp('^(?:' + source + ')$');
+        } catch (e) {
+            throw new Error('wakaRoute: invalid token "{' + body + '}" in pattern "' + pattern + '": ' + e.message);
+        }
+
+        return { name: name, kind: 'constrained', source: source, cast: type ? type.cast : null, test: test };
+    }
+
     /**
      * Compiles a route pattern string into a regex and a list of named parameter
      * keys. The compiled result is cached so repeated calls with the same pattern
      * do not re-run the compilation.
      *
      * Supported syntax:
-     *   {name}    — named segment, matches one path segment (no slashes)
-     *   {name:*}  — alias for {name}, explicit single-segment form
-     *   {name:**} — named wildcard, matches multiple segments including slashes
-     *   *         — bare single-segment wildcard, matches but does not capture
-     *   **        — bare multi-segment wildcard, matches but does not capture (may appear multiple times)
+     *   {name}        — named segment, matches one path segment (no slashes)
+     *   {name:*}      — alias for {name}, explicit single-segment form
+     *   {name:**}     — named wildcard, matches multiple segments including slashes
+     *   {name:int}    — typed segment (int, number or bool), cast on match
+     *   {name:regex}  — constrained segment, e.g. {slug:[a-z-]+} or {code:\d{3}}
+     *   *             — bare single-segment wildcard, matches but does not capture
+     *   **            — bare multi-segment wildcard, matches but does not capture (may appear multiple times)
      *
      * Examples:
      *   '/users/{id}'                  matches '/users/42'          → { id: '42' }
+     *   '/users/{id:int}'              matches '/users/42'          → { id: 42 }
      *   '/users/{id}/posts/{postId}'   matches '/users/1/posts/7'   → { id: '1', postId: '7' }
      *   '/files/{rest:**}'             matches '/files/a/b/c'       → { rest: 'a/b/c' }
      *
+     * Besides the regex, the result holds the pattern split into literal and
+     * parameter parts, which url() uses to build paths in reverse.
+     *
      * @param {string} pattern - Route pattern, e.g. '/users/{id}/posts/{postId}'
-     * @returns {{ regex: RegExp, keys: string[] }}
+     * @returns {{ regex: RegExp, keys: string[], params: Object[], parts: Array }}
      * @throws {Error} If the pattern contains malformed tokens or unmatched braces
      */
     function _compilePattern(pattern) {
@@ -80,70 +214,81 @@
             return _patternCache.get(pattern);
         }
 
-        // Validate: every '{' must form a well-structured token.
-        // Valid forms: {name}  {name:*}  {name:**}
-        // Anything else — unclosed brace, empty name, bad identifier,
-        // invalid quantifier — is caught here before compilation proceeds.
-        const TOKEN = /\{([^}]*)\}/g;
-        const VALID_TOKEN = /^[a-zA-Z_][a-zA-Z0-9_]*(?::\*\*?)?$/;
-        let tokenMatch;
+        const keys = [];
+        const params = [];
+        const parts = [];
+        let regexStr = '';
+        let group = 1;
+        let literal = '';
+        let i = 0;
+
+        // Scan rather than regex-replace so constraints may contain their own
+        // braces ({code:\d{3}}): a token ends at the brace that balances its '{'.
+        while (i < pattern.length) {
+            const ch = pattern.charAt(i);
+
+            if (ch === '}') {
+                throw new Error('wakaRoute: unmatched "}" in pattern "' + pattern + '"');
+            }
 
-        while ((tokenMatch = TOKEN.exec(pattern)) !== null) {
-            if (!VALID_TOKEN.test(tokenMatch[1])) {
-                throw new Error(
-                    'wakaRoute: invalid token "' + tokenMatch[0] + '" in pattern "' + pattern + '"'
-                );
+            if (ch !== '{') {
+                literal += ch;
+                i++;
+                continue;
             }
-        }
 
-        if ((pattern.match(/\{/g) || []).length !== (pattern.match(/\}/g) || []).length) {
-            throw new Error('wakaRoute: unmatched "{" in pattern "' + pattern + '"');
-        }
+            let depth = 1;
+            let end = i + 1;
 
-        const keys = [];
+            while (end < pattern.length && depth > 0) {
+                const c = pattern.charAt(end);
 
-        // Replace tokens with placeholders BEFORE escaping so the regex escaper
-        // never sees { } or * characters from our syntax.
-        // Placeholders use characters illegal in URL paths so they can't collide.
-        const SEGMENT           = '\u0001'; // placeholder for ([^/]+)
-        const WILDCARD          = '\u0002'; // placeholder for (.*)
-        const SEGMENT_SKIP      = '\u0003'; // placeholder for (?:[^/]+)
-        const WILDCARD_SKIP     = '\u0004'; // placeholder for (?:.*)
-
-        let processed = pattern
-            // Named multi-segment wildcard: {name:**}
-            .replace(/\{([a-zA-Z_][a-zA-Z0-9_]*):\*\*\}/g, function (_, key) {
-                keys.push(key);
-                return WILDCARD;
-            })
-            // Named single-segment alias: {name:*}
-            .replace(/\{([a-zA-Z_][a-zA-Z0-9_]*):\*\}/g, function (_, key) {
-                keys.push(key);
-                return SEGMENT;
-            })
-            // Named segment: {name}
-            .replace(/\{([a-zA-Z_][a-zA-Z0-9_]*)\}/g, function (_, key) {
-                keys.push(key);
-                return SEGMENT;
-            })
-            // Bare multi-segment wildcard: ** (non-capturing, may appear multiple times)
-            .replace(/\*\*/g, WILDCARD_SKIP)
-            // Bare single-segment wildcard: * (non-capturing)
-            .replace(/\*/g, SEGMENT_SKIP);
+                if (c === '\\') {
+                    end += 2;
+                    continue;
+                }
 
-        // Now safe to escape — no token characters remain
-        processed = processed.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+                if (c === '{') {
+                    depth++;
+                } else if (c === '}') {
+                    depth--;
+                }
 
-        // Substitute placeholders for their regex groups
-        const regexStr = processed
-            .split(SEGMENT).join('([^/]+)')
-            .split(WILDCARD).join('(.*)')
-            .split(SEGMENT_SKIP).join('(?:[^/]+)')
-            .split(WILDCARD_SKIP).join('(?:.*)');
+                end++;
+            }
+
+            if (depth !== 0) {
+                throw new Error('wakaRoute: unmatched "{" in pattern "' + pattern + '"');
+            }
+
+            if (literal) {
+                regexStr += _compileLiteral(literal);
+                parts.push(literal);
+                literal = '';
+            }
+
+            const param = _parseToken(pattern.slice(i + 1, end - 1), pattern);
+
+            // Custom constraints may contain capturing groups of their own;
+            // record where this param's group sits so matching reads the right one.
+            param.group = group;
+            group += 1 + (new RegExp(param.source + '|').exec('').length - 1);
+
+            keys.push(param.name);
+            params.push(param);
+            parts.push(param);
+            regexStr += '(' + param.source + ')';
+            i = end;
+        }
+
+        if (literal) {
+            regexStr += _compileLiteral(literal);
+            parts.push(literal);
+        }
 
         // Anchor the pattern — must match the full path
         const regex = new RegExp('^' + regexStr + '$');
-        const compiled = { regex, keys };
+        const compiled = { regex, keys, params, parts };
 
         _patternCache.set(pattern, compiled);
         return compiled;
@@ -205,10 +350,50 @@
         return query;
     }
 
+    /**
+     * Serializes a plain object into a search string, the inverse of
+     * _parseQuery(): true becomes a flag parameter, arrays use PHP-style
+     * bracket keys, and null, undefined and false are left out.
+     *   { tab: 'posts', tag: ['a', 'b'], debug: true }  →  '?tab=posts&tag[]=a&tag[]=b&debug'
+     * @param {Object} [query]
+     * @returns {string} Search string including the leading '?', or '' when empty
+     */
+    function _buildQuery(query) {
+        const pairs = [];
+
+        Object.keys(query || {}).forEach(function (key) {
+            const value = query[key];
+            const encodedKey = encodeURIComponent(key);
+
+            if (value === null || value === undefined || value === false) {
+                return;
+            }
+
+            if (value === true) {
+                pairs.push(encodedKey);
+            } else if (Array.isArray(value)) {
+                value.forEach(function (item) {
+                    pairs.push(encodedKey + '[]=' + encodeURIComponent(String(item)));
+                });
+            } else {
+                pairs.push(encodedKey + '=' + encodeURIComponent(String(value)));
+            }
+        });
+
+        return pairs.length ? '?' + pairs.join('&') : '';
+    }
+
     // =========================================================================
     // CONSTRUCTOR
     // =========================================================================
 
+    /**
+     * Guards can redirect to a route whose guards redirect again; a chain
+     * longer than this is treated as a loop and cancelled.
+     * @type {number}
+     */
+    const MAX_REDIRECTS = 10;
+
     /**
      * WakaRoute - Client-side router plugin for WakaPAC.
      * Exported as a singleton instance (window.wakaRoute).
@@ -220,18 +405,19 @@
          * Sent before a navigation commits. A component's msgProc may return false
          * to cancel the navigation. Detail shape: { path, query, params }.
          * Also attached to the wakaPAC instance as wakaPAC.MSG_ROUTE_BEFORE.
-         * @type {number}
+         * Registered as 'wakaroute.before' by createPacPlugin(); null until then.
+         * @type {number|null}
          */
-        this.MSG_ROUTE_BEFORE = 0x2001;
+        this.MSG_ROUTE_BEFORE = null;
 
         /**
          * Message identifier for route change notifications.
-         * Occupies the first slot above MSG_USER (0x1001).
+         * Registered as 'wakaroute.change' by createPacPlugin(); null until then.
          * Also attached to the wakaPAC instance by createPacPlugin() so it is
          * accessible as wakaPAC.MSG_ROUTE_CHANGE alongside the built-in messages.
-         * @type {number}
+         * @type {number|null}
          */
-        this.MSG_ROUTE_CHANGE = 0x2000;
+        this.MSG_ROUTE_CHANGE = null;
 
         /**
          * Reference to the wakaPAC instance, populated by createPacPlugin().
@@ -247,6 +433,129 @@
          * @type {Map<string, string>}
          */
         this._routeTable = new Map();
+
+        /**
+         * Named routes populated from data-pac-route-name, for url().
+         * Key: route name, Value: { pattern, pacId }
+         * @type {Map<string, { pattern: string, pacId: string }>}
+         */
+        this._namedRoutes = new Map();
+
+        /**
+         * Where routes are stored: 'history', 'hash' or 'memory'.
+         * Set from the options passed to wakaPAC.use(wakaRoute, options).
+         * @type {string}
+         */
+        this._mode = 'history';
+
+        /**
+         * Normalized base path ('' when the app is served from the root).
+         * @type {string}
+         */
+        this._base = '';
+
+        /**
+         * History stack used in memory mode.
+         * @type {{ entries: Array<{ path: string, search: string }>, index: number }}
+         */
+        this._memory = { entries: [{ path: '/', search: '' }], index: 0 };
+
+        /**
+         * Location listener and the event it is bound to ('popstate' or 'hashchange').
+         * Stored by reference so destroy() can remove it.
+         * @type {Function|null}
+         */
+        this._locationHandler = null;
+        this._locationEvent = null;
+
+        /**
+         * Outlets found in layout components, in registration order.
+         * @type {Array<{ owner: string, element: Element, routes: Object[], current: Object|null, pending: Object|null }>}
+         */
+        this._outlets = [];
+
+        /**
+         * Abstractions for views instantiated in outlets, registered through
+         * registerView(). Key: view pacId, Value: abstraction object or factory
+         * @type {Map<string, Object|Function>}
+         */
+        this._views = new Map();
+
+        /**
+         * Fetched view HTML, shared by every outlet that loads the same URL.
+         * Key: URL, Value: Promise resolving to the HTML
+         * @type {Map<string, Promise<string>>}
+         */
+        this._viewCache = new Map();
+
+        /**
+         * Sent to a layout while a view for one of its outlets is being fetched:
+         * wParam 1 when loading starts, 0 when it ends (either way).
+         * Detail shape: { view, path, src }.
+         * Registered as 'wakaroute.loading' by createPacPlugin(); null until then.
+         * @type {number|null}
+         */
+        this.MSG_ROUTE_LOADING = null;
+
+        /**
+         * Sent to a layout when a view for one of its outlets could not be fetched.
+         * Detail shape: { view, path, src, error }. A layout that does not handle
+         * it (msgProc returns a falsy value) gets the error logged instead.
+         * Registered as 'wakaroute.loaderror' by createPacPlugin(); null until then.
+         * @type {number|null}
+         */
+        this.MSG_ROUTE_LOAD_ERROR = null;
+
+        /**
+         * Position of the current entry in the browser history, mirrored in
+         * history.state.wakaRouteIndex. Comparing it with the index of the
+         * entry a popstate lands on tells back from forward, so a guard can
+         * undo either. Memory mode uses its own stack index instead.
+         * @type {number}
+         */
+        this._historyIndex = 0;
+
+        /**
+         * Identifies the navigation in progress. An async guard that settles
+         * after a newer navigation started is ignored.
+         * @type {Object|null}
+         */
+        this._navigation = null;
+
+        /**
+         * Whether scroll positions are saved and restored per history entry.
+         * Set from options.scrollRestoration.
+         * @type {boolean}
+         */
+        this._scrollRestoration = false;
+
+        /**
+         * Saved scroll positions. Key: history index,
+         * Value: { window: { x, y }, containers: { pacId: { x, y } } }
+         * @type {Map<number, Object>}
+         */
+        this._scrollPositions = new Map();
+
+        /**
+         * Whether link clicks are intercepted and link state is exposed to
+         * components. Set from options.links.
+         * @type {boolean}
+         */
+        this._links = false;
+
+        /**
+         * Document click listener installed when options.links is set.
+         * Stored by reference so destroy() can remove it.
+         * @type {Function|null}
+         */
+        this._clickHandler = null;
+
+        /**
+         * Abstractions that received route/routeActive/routeExactActive, keyed by
+         * pacId, so every navigation can refresh their route snapshot.
+         * @type {Map<string, Object>}
+         */
+        this._linkStateAbstractions = new Map();
     }
 
     // =========================================================================
@@ -265,6 +574,226 @@
         return path.replace(/\/+$/, '') || '/';
     }
 
+    /**
+     * Normalizes a base path option: leading slash, no trailing slash, and ''
+     * for the root, so '/app/', 'app' and '/app' are all stored as '/app'.
+     * @param {string} [base]
+     * @returns {string}
+     * @private
+     */
+    function _normalizeBase(base) {
+        if (!base) {
+            return '';
+        }
+
+        const trimmed = String(base).replace(/^\/*/, '/').replace(/\/+$/, '');
+        return trimmed === '/' ? '' : trimmed;
+    }
+
+    /**
+     * Removes the base path from the front of a path, if present. Paths outside
+     * the base are returned unchanged.
+     * @param {WakaRoute} instance
+     * @param {string} path
+     * @returns {string} Normalized path without the base
+     * @private
+     */
+    function _stripBase(instance, path) {
+        const base = instance._base;
+
+        if (base && (path === base || path.indexOf(base + '/') === 0)) {
+            path = path.slice(base.length);
+        }
+
+        return _normalizePath(path || '/');
+    }
+
+    /**
+     * Splits a URL into its path, query string and fragment.
+     * @param {string} url - e.g. '/users/42?tab=profile#bio'
+     * @returns {{ path: string, search: string, fragment: string }}
+     * @private
+     */
+    function _splitUrl(url) {
+        const hashIndex = url.indexOf('#');
+        const fragment = hashIndex === -1 ? '' : url.slice(hashIndex);
+        const rest = hashIndex === -1 ? url : url.slice(0, hashIndex);
+        const queryIndex = rest.indexOf('?');
+
+        return {
+            path:     queryIndex === -1 ? rest : rest.slice(0, queryIndex),
+            search:   queryIndex === -1 ? '' : rest.slice(queryIndex),
+            fragment: fragment
+        };
+    }
+
+    /**
+     * Reads the current route from wherever the mode keeps it, with the base
+     * path already stripped.
+     * @param {WakaRoute} instance
+     * @returns {{ path: string, search: string }}
+     * @private
+     */
+    function _readLocation(instance) {
+        if (instance._mode === 'memory') {
+            const entry = instance._memory.entries[instance._memory.index];
+            return { path: entry.path, search: entry.search };
+        }
+
+        if (instance._mode === 'hash') {
+            // '#/users/42?tab=x' — everything after '#' is the app's own URL
+            const url = _splitUrl(location.hash.slice(1));
+            return { path: _stripBase(instance, url.path.charAt(0) === '/' ? url.path : '/' + url.path), search: url.search };
+        }
+
+        return { path: _stripBase(instance, location.pathname), search: location.search };
+    }
+
+    /**
+     * Stores a route where the mode keeps it. pushState/replaceState fire
+     * neither popstate nor hashchange, so writing never re-enters the
+     * location listener.
+     * @param {WakaRoute} instance
+     * @param {{ path: string, search: string, fragment: string }} url - Route without the base
+     * @param {boolean} replace - Replace the current entry instead of adding one
+     * @private
+     */
+    function _writeLocation(instance, url, replace) {
+        if (instance._mode === 'memory') {
+            const memory = instance._memory;
+            const entry = { path: url.path, search: url.search };
+
+            if (replace) {
+                memory.entries[memory.index] = entry;
+            } else {
+                // A new entry drops the forward history, like a browser does
+                memory.entries.splice(memory.index + 1, Infinity, entry);
+                memory.index++;
+            }
+
+            return;
+        }
+
+        const href = instance.href(url.path + url.search) + (instance._mode === 'history' ? url.fragment : '');
+
+        if (replace) {
+            history.replaceState(_historyState(instance._historyIndex, true), '', href);
+        } else {
+            instance._historyIndex++;
+            history.pushState(_historyState(instance._historyIndex, false), '', href);
+        }
+    }
+
+    /**
+     * Builds the history.state object for an entry. When replacing the current
+     * entry, fields other code stored in its state are kept; a pushed entry is
+     * new and gets only the router's own index.
+     * @param {number} index - The entry's history index
+     * @param {boolean} replace - Whether the state is for replaceState()
+     * @returns {Object}
+     * @private
+     */
+    function _historyState(index, replace) {
+        if (!replace) {
+            return { wakaRouteIndex: index };
+        }
+
+        const state = history.state && typeof history.state === 'object' ? history.state : {};
+        return Object.assign({}, state, { wakaRouteIndex: index });
+    }
+
+    /**
+     * Returns the history index of the current entry: the memory stack
+     * position in memory mode, the tracked browser index otherwise.
+     * @param {WakaRoute} instance
+     * @returns {number}
+     * @private
+     */
+    function _currentIndex(instance) {
+        return instance._mode === 'memory' ? instance._memory.index : instance._historyIndex;
+    }
+
+    // =========================================================================
+    // SCROLL RESTORATION
+    // =========================================================================
+
+    /**
+     * Records the window scroll position and, for every component whose
+     * containerScrollX/Y is not at the origin, the container's position, under
+     * the current history entry.
+     * @param {WakaRoute} instance
+     * @private
+     */
+    function _saveScroll(instance) {
+        if (!instance._scrollRestoration) {
+            return;
+        }
+
+        const containers = {};
+
+        window.PACRegistry.components.forEach(function (context, pacId) {
+            const abstraction = context.abstraction;
+
+            if (abstraction.containerScrollX || abstraction.containerScrollY) {
+                containers[pacId] = { x: abstraction.containerScrollX, y: abstraction.containerScrollY };
+            }
+        });
+
+        instance._scrollPositions.set(_currentIndex(instance), {
+            window: { x: window.scrollX, y: window.scrollY },
+            containers: containers
+        });
+    }
+
+    /**
+     * Forgets the scroll positions of entries after the current one, once a
+     * new entry has replaced the forward history.
+     * @param {WakaRoute} instance
+     * @private
+     */
+    function _pruneScroll(instance) {
+        const index = _currentIndex(instance);
+
+        instance._scrollPositions.forEach(function (_, key) {
+            if (key >= index) {
+                instance._scrollPositions.delete(key);
+            }
+        });
+    }
+
+    /**
+     * Restores the positions saved for the current history entry. Runs on the
+     * next frame, once the route change has been rendered. Containers are
+     * scrolled through their containerScrollX/Y properties so the abstraction
+     * stays in step; components no longer mounted are skipped.
+     * @param {WakaRoute} instance
+     * @private
+     */
+    function _restoreScroll(instance) {
+        if (!instance._scrollRestoration) {
+            return;
+        }
+
+        const saved = instance._scrollPositions.get(_currentIndex(instance));
+
+        if (!saved) {
+            return;
+        }
+
+        requestAnimationFrame(function () {
+            window.scrollTo(saved.window.x, saved.window.y);
+
+            Object.keys(saved.containers).forEach(function (pacId) {
+                const context = window.PACRegistry.get(pacId);
+
+                if (context) {
+                    context.abstraction.containerScrollX = saved.containers[pacId].x;
+                    context.abstraction.containerScrollY = saved.containers[pacId].y;
+                }
+            });
+        });
+    }
+
     /**
      * Reads the current location, updates internal route state, and sends
      * MSG_ROUTE_CHANGE to every component that declared a data-pac-route attribute.
@@ -283,7 +812,8 @@
     function _broadcastCurrentRoute(instance) {
         // Send a targeted message to each component that declared a pattern,
         // with matches pre-computed from that component's own data-pac-route
-        const path = _normalizePath(location.pathname);
+        const current = _readLocation(instance);
+        const path = current.path;
 
         instance._routeTable.forEach(function (pattern, pacId) {
             const params = instance.matchPattern(pattern, path);
@@ -295,30 +825,42 @@
                 0,
                 {
                     path: path,
-                    query: _parseQuery(location.search),
+                    query: _parseQuery(current.search),
                     params: params
                 }
             );
         });
+
+        // Swap outlet views after the existing components have seen the change;
+        // newly mounted views get their first MSG_ROUTE_CHANGE on creation
+        _updateOutlets(instance);
+        _refreshLinkState(instance);
     }
 
     /**
      * Broadcasts MSG_ROUTE_BEFORE to all registered components for the given path.
-     * Returns true if any component's msgProc returned false (i.e. navigation blocked).
      * Components receive the same { path, query, params } detail as MSG_ROUTE_CHANGE.
+     * A msgProc may answer with:
+     *   false              — cancel the navigation
+     *   a path string      — redirect there instead
+     *   a Promise of either — decide asynchronously
+     * Anything else lets the navigation through. A cancel from any component
+     * wins over a redirect; the first redirect wins over later ones. A rejected
+     * Promise cancels.
      * @param {WakaRoute} instance
-     * @param {string} path - The normalized target path
-     * @returns {boolean} true if navigation was blocked
+     * @param {string} path - The normalized target path, without the base
+     * @param {Object} query - The target's parsed query string
+     * @returns {{ blocked: boolean, redirect: string|null }|Promise<{ blocked: boolean, redirect: string|null }>}
+     *          The outcome, or a Promise of it when any guard answered asynchronously
      * @private
      */
-    function _broadcastBeforeRoute(instance, path) {
-        const query = _parseQuery(location.search);
-        let blocked = false;
+    function _broadcastBeforeRoute(instance, path, query) {
+        const results = [];
 
         instance._routeTable.forEach(function (pattern, pacId) {
             const params = instance.matchPattern(pattern, path);
 
-            const result = instance._pac.sendMessage(
+            results.push(instance._pac.sendMessage(
                 pacId,
                 instance.MSG_ROUTE_BEFORE,
                 params ? 1 : 0,
@@ -328,54 +870,678 @@
                     query:  query,
                     params: params
                 }
-            );
+            ));
+        });
 
-            if (result === false) {
-                blocked = true;
-            }
+        const isAsync = results.some(function (result) {
+            return result && typeof result.then === 'function';
         });
 
-        return blocked;
+        if (!isAsync) {
+            return _settleGuards(results);
+        }
+
+        return Promise.all(results.map(function (result) {
+            return Promise.resolve(result).catch(function (error) {
+                console.warn('wakaRoute: navigation guard for "' + path + '" rejected; navigation cancelled', error);
+                return false;
+            });
+        })).then(_settleGuards);
     }
 
+    /**
+     * Reduces guard answers to a single outcome. See _broadcastBeforeRoute().
+     * @param {Array} results - msgProc return values
+     * @returns {{ blocked: boolean, redirect: string|null }}
+     * @private
+     */
+    function _settleGuards(results) {
+        if (results.indexOf(false) !== -1) {
+            return { blocked: true, redirect: null };
+        }
+
+        const redirect = results.find(function (result) {
+            return typeof result === 'string';
+        });
 
+        return { blocked: false, redirect: redirect === undefined ? null : redirect };
+    }
 
     /**
-     * wakaPAC plugin factory. Called by wakaPAC.use(wakaRoute).
-     * Attaches MSG_ROUTE_CHANGE to the wakaPAC instance, seeds the current
-     * route from the actual URL, wires up the popstate listener, and returns
-     * the plugin descriptor with component lifecycle hooks.
-     * @param {Object} pac - The wakaPAC instance
-     * @returns {{ onComponentCreated: Function, onComponentDestroyed: Function }}
+     * Runs the guards for a target and carries out their decision through the
+     * given callbacks. Stays synchronous when every guard answered
+     * synchronously, so plain navigations broadcast before returning.
+     * @param {WakaRoute} instance
+     * @param {{ path: string, search: string }} url - Target route, without the base
+     * @param {Object} actions
+     * @param {Function} actions.commit - Applies the navigation
+     * @param {Function} [actions.block] - Called when a guard cancelled it
+     * @param {Function} actions.redirect - (path, depth) → result of navigating to a redirect
+     * @param {number} depth - Redirects followed so far
+     * @returns {boolean|Promise<boolean>} Whether the navigation (or its redirect) went through
+     * @private
      */
-    WakaRoute.prototype.createPacPlugin = function (pac) {
+    function _guardNavigation(instance, url, actions, depth) {
+        const token = {};
+        const outcome = _broadcastBeforeRoute(instance, url.path, _parseQuery(url.search));
+
+        instance._navigation = token;
+
+        function settle(result) {
+            // A newer navigation started while an async guard was pending
+            if (instance._navigation !== token) {
+                return false;
+            }
+
+            instance._navigation = null;
+
+            if (!result.blocked && result.redirect !== null) {
+                if (depth < MAX_REDIRECTS) {
+                    return actions.redirect(result.redirect, depth + 1);
+                }
+
+                console.warn('wakaRoute: more than ' + MAX_REDIRECTS + ' guard redirects from "' + url.path + '"; navigation cancelled');
+            }
+
+            if (result.blocked || result.redirect !== null) {
+                if (actions.block) {
+                    actions.block();
+                }
+
+                return false;
+            }
+
+            actions.commit();
+            return true;
+        }
+
+        return typeof outcome.then === 'function' ? outcome.then(settle) : settle(outcome);
+    }
+
+    /**
+     * Guarded navigation to a path: the body of navigate(), also used to
+     * follow guard redirects.
+     * @param {WakaRoute} instance
+     * @param {string} path - Target path, optionally with query string and fragment
+     * @param {boolean} replace - Replace the current entry instead of adding one
+     * @param {number} depth - Redirects followed so far
+     * @returns {boolean|Promise<boolean>}
+     * @private
+     */
+    function _navigateTo(instance, path, replace, depth) {
+        const url = _splitUrl(path);
+        url.path = _stripBase(instance, url.path);
+
+        return _guardNavigation(instance, url, {
+            commit: function () {
+                _saveScroll(instance);
+                _writeLocation(instance, url, replace);
+
+                if (!replace) {
+                    _pruneScroll(instance);
+                }
+
+                _broadcastCurrentRoute(instance);
+            },
+            redirect: function (target, nextDepth) {
+                return _navigateTo(instance, target, replace, nextDepth);
+            }
+        }, depth);
+    }
+
+    // =========================================================================
+    // LINKS
+    // =========================================================================
+
+    /**
+     * Tests a link target against the current route. The path matches when it
+     * is the current path or, unless exact, one of its ancestors ('/users' is
+     * active on '/users/42'). Query parameters in the target must be present
+     * with the same values; exact also requires no others.
+     * @param {WakaRoute} instance
+     * @param {string} href - Route as written in a link, e.g. '/users?tab=all' or '#/users'
+     * @param {boolean} exact
+     * @returns {boolean}
+     * @private
+     */
+    function _isLinkActive(instance, href, exact) {
+        const target = _splitUrl(String(href).replace(/^#/, ''));
+        const path = _stripBase(instance, target.path);
+        const current = _readLocation(instance);
+
+        const pathMatches = exact
+            ? current.path === path
+            : current.path === path || current.path.indexOf(path === '/' ? '/' : path + '/') === 0;
+
+        if (!pathMatches) {
+            return false;
+        }
+
+        const wanted = _parseQuery(target.search);
+        const actual = _parseQuery(current.search);
+        const wantedKeys = Object.keys(wanted);
+
+        if (exact && wantedKeys.length !== Object.keys(actual).length) {
+            return false;
+        }
+
+        return wantedKeys.every(function (key) {
+            return JSON.stringify(wanted[key]) === JSON.stringify(actual[key]);
+        });
+    }
+
+    /**
+     * Gives a component the link state helpers: a reactive `route` snapshot
+     * ({ path, query }) refreshed on every navigation, and routeActive(href) /
+     * routeExactActive(href) for class bindings:
+     *   <a href="/users" data-pac-bind="class: { active: routeActive('/users') }">
+     * The helpers are non-enumerable, like undo()/redo(). Names the component
+     * already defines are left alone.
+     * @param {WakaRoute} instance
+     * @param {Object} abstraction - The component's reactive abstraction
+     * @param {string} pacId
+     * @private
+     */
+    function _installLinkState(instance, abstraction, pacId) {
+        if (!('routeActive' in abstraction)) {
+            Object.defineProperty(abstraction, 'routeActive', {
+                value: function (href) { return _isLinkActive(instance, href, false); },
+                writable: false,
+                enumerable: false
+            });
+        }
+
+        if (!('routeExactActive' in abstraction)) {
+            Object.defineProperty(abstraction, 'routeExactActive', {
+                value: function (href) { return _isLinkActive(instance, href, true); },
+                writable: false,
+                enumerable: false
+            });
+        }
+
+        if (!('route' in abstraction)) {
+            abstraction.route = instance.currentRoute();
+            instance._linkStateAbstractions.set(pacId, abstraction);
+        }
+    }
+
+    /**
+     * Replaces the route snapshot of every component with link state. The
+     * assignment is what makes routeActive()/routeExactActive() bindings
+     * re-evaluate after a navigation.
+     * @param {WakaRoute} instance
+     * @private
+     */
+    function _refreshLinkState(instance) {
+        instance._linkStateAbstractions.forEach(function (abstraction) {
+            abstraction.route = instance.currentRoute();
+        });
+    }
+
+    /**
+     * Works out the route a clicked link leads to, or null when the browser
+     * should follow it itself: other origins, paths outside the base, and
+     * fragment links within the current document. In hash mode only '#/...'
+     * links on the current document are routes.
+     * @param {WakaRoute} instance
+     * @param {Element} link
+     * @returns {string|null} Route with query string and fragment
+     * @private
+     */
+    function _linkRoute(instance, link) {
+        let url;
+
+        try {
+            url = new URL(link.getAttribute('href'), document.baseURI);
+        } catch {
+            return null;
+        }
+
+        if (url.origin !== location.origin) {
+            return null;
+        }
+
+        const sameDocument = url.pathname === location.pathname && url.search === location.search;
+
+        if (instance._mode === 'hash') {
+            return sameDocument && url.hash.indexOf('#/') === 0 ? url.hash.slice(1) : null;
+        }
+
+        // In-page anchors keep their native scrolling
+        if (sameDocument && url.hash) {
+            return null;
+        }
+
+        const base = instance._base;
+
+        if (base && url.pathname !== base && url.pathname.indexOf(base + '/') !== 0) {
+            return null;
+        }
+
+        return url.pathname + url.search + url.hash;
+    }
+
+    /**
+     * Document click listener for options.links. Turns plain left clicks on
+     * <a href> inside PAC containers into navigate() calls. Left to the
+     * browser: clicks already handled (defaultPrevented), other buttons,
+     * modifier keys (open in new tab/window), a target other than _self,
+     * download links and links marked data-pac-external.
+     * @param {WakaRoute} instance
+     * @param {MouseEvent} event
+     * @private
+     */
+    function _handleLinkClick(instance, event) {
+        if (event.defaultPrevented || event.button !== 0 ||
+            event.metaKey || event.ctrlKey || event.shiftKey || event.altKey) {
+            return;
+        }
+
+        const link = event.target instanceof Element ? event.target.closest('a[href]') : null;
+
+        if (!link || !link.closest('[data-pac-id]')) {
+            return;
+        }
+
+        const target = link.getAttribute('target');
+
+        if ((target && target !== '_self') || link.hasAttribute('download') || link.hasAttribute('data-pac-external')) {
+            return;
+        }
+
+        const route = _linkRoute(instance, link);
+
+        if (route === null) {
+            return;
+        }
+
+        event.preventDefault();
+        instance.navigate(route);
+    }
+
+    /**
+     * Resolves a view pattern declared inside a layout. Patterns starting with
+     * '/' are absolute; others are relative to the layout's own pattern minus
+     * its trailing multi-segment wildcard:
+     *   layout '/users/**' + 'edit/{id:int}'  →  '/users/edit/{id:int}'
+     *   layout '/users/**' + ''               →  '/users'
+     * @param {string} layoutPattern - The layout's data-pac-route, or ''
+     * @param {string} pattern - The view's data-pac-route
+     * @returns {string}
+     * @private
+     */
+    function _joinPattern(layoutPattern, pattern) {
+        if (pattern.charAt(0) === '/') {
+            return pattern;
+        }
+
+        const prefix = layoutPattern
+            .replace(/\/(?:\*\*|\{[a-zA-Z_][a-zA-Z0-9_]*:\*\*\})$/, '')
+            .replace(/\/+$/, '');
+
+        return pattern ? prefix + '/' + pattern : (prefix || '/');
+    }
+
+    /**
+     * Collects the outlets of a newly created layout component. An outlet is an
+     * element with data-pac-outlet whose <template data-pac-view> children
+     * define the views it can show. Outlets inside nested components belong to
+     * those components and are skipped here.
+     * @param {WakaRoute} instance
+     * @param {Element} container - The layout's container
+     * @param {string} pacId - The layout's pacId
+     * @returns {Object[]} The registered outlet descriptors
+     * @private
+     */
+    function _registerOutlets(instance, container, pacId) {
+        const layoutPattern = container.getAttribute('data-pac-route') || '';
+        const outlets = [];
+
+        container.querySelectorAll('[data-pac-outlet]').forEach(function (element) {
+            if (element.parentElement.closest('[data-pac-id]') !== container) {
+                return;
+            }
+
+            const routes = [];
+
+            Array.prototype.forEach.call(element.children, function (template) {
+                if (template.tagName !== 'TEMPLATE' || !template.hasAttribute('data-pac-view')) {
+                    return;
+                }
+
+                const pattern = _joinPattern(layoutPattern, template.getAttribute('data-pac-route') || '');
+                const partial = template.getAttribute('data-pac-partial');
+
+                // Surface malformed patterns when the layout is created, not on first navigation
+                _compilePattern(pattern);
+
+                routes.push({
+                    view:      template.getAttribute('data-pac-view'),
+                    pattern:   pattern,
+                    name:      template.getAttribute('data-pac-route-name'),
+                    className: template.getAttribute('class'),
+                    src:       template.getAttribute('data-pac-src'),
+                    html:      partial ? '{{> ' + partial + '}}' : template.innerHTML
+                });
+            });
+
+            outlets.push({ owner: pacId, element: element, routes: routes, current: null, pending: null });
+
+            // View names belong to the layout, so url() can build paths to views
+            // that are not mounted right now
+            routes.forEach(function (route) {
+                if (route.name) {
+                    instance._namedRoutes.set(route.name, { pattern: route.pattern, pacId: pacId });
+                }
+            });
+        });
+
+        instance._outlets.push.apply(instance._outlets, outlets);
+        return outlets;
+    }
+
+    /**
+     * Fetches view HTML, caching the request per URL. A failed request is
+     * dropped from the cache so the next navigation retries it.
+     * @param {WakaRoute} instance
+     * @param {string} src
+     * @returns {Promise<string>}
+     * @private
+     */
+    function _fetchView(instance, src) {
+        if (!instance._viewCache.has(src)) {
+            const request = fetch(src).then(function (response) {
+                if (!response.ok) {
+                    throw new Error('HTTP ' + response.status + ' loading "' + src + '"');
+                }
+
+                return response.text();
+            });
+
+            request.catch(function () {
+                instance._viewCache.delete(src);
+            });
+
+            instance._viewCache.set(src, request);
+        }
+
+        return instance._viewCache.get(src);
+    }
+
+    /**
+     * Instantiates a view in an outlet: wraps its HTML in a container carrying
+     * the view's pacId and resolved pattern, then hands it to wakaPAC() with the
+     * abstraction from registerView(). Because the container has data-pac-route,
+     * the view is registered like any routed component and receives its own
+     * MSG_ROUTE_CHANGE with params.
+     * @param {WakaRoute} instance
+     * @param {Object} outlet
+     * @param {Object} route
+     * @param {string} html
+     * @private
+     */
+    function _mountView(instance, outlet, route, html) {
+        const element = document.createElement('div');
+
+        element.setAttribute('data-pac-id', route.view);
+        element.setAttribute('data-pac-route', route.pattern);
+
+        if (route.className) {
+            element.className = route.className;
+        }
+
+        element.innerHTML = html;
+        outlet.element.appendChild(element);
+        outlet.element.setAttribute('data-pac-outlet-state', 'ready');
+        outlet.current = { route: route, element: element };
+
+        // A factory gets a fresh abstraction per mount; a plain object is copied
+        // so a remounted view starts from its declared values again
+        const view = instance._views.get(route.view);
+        const abstraction = typeof view === 'function' ? view(instance.currentRoute()) : Object.assign({}, view);
+
+        instance._pac(route.view, abstraction);
+    }
+
+    /**
+     * Destroys the view an outlet is showing and removes it from the DOM.
+     * The component is destroyed synchronously so the same view can be
+     * mounted again straight away.
+     * @param {WakaRoute} instance
+     * @param {Object} outlet
+     * @private
+     */
+    function _unmountView(instance, outlet) {
+        if (!outlet.current) {
+            return;
+        }
+
+        const element = outlet.current.element;
+
+        outlet.current = null;
+        instance._pac.destroyComponent(element.getAttribute('data-pac-id'));
+        element.remove();
+    }
+
+    /**
+     * Loads a view's HTML from wherever it is declared and mounts it. Inline
+     * templates and partials mount synchronously; fetched views report
+     * MSG_ROUTE_LOADING to the layout and are dropped if the route changes
+     * before they arrive.
+     * @param {WakaRoute} instance
+     * @param {Object} outlet
+     * @param {Object} route
+     * @param {string} path - The path being routed to
+     * @private
+     */
+    function _loadView(instance, outlet, route, path) {
+        if (!route.src) {
+            _mountView(instance, outlet, route, route.html);
+            return;
+        }
+
+        const pac = instance._pac;
+        const token = { route: route };
+        const detail = { view: route.view, path: path, src: route.src };
+
+        outlet.pending = token;
+        outlet.element.setAttribute('data-pac-outlet-state', 'loading');
+        pac.sendMessage(outlet.owner, instance.MSG_ROUTE_LOADING, 1, 0, detail);
+
+        _fetchView(instance, route.src).then(function (html) {
+            if (outlet.pending !== token) {
+                return;
+            }
+
+            outlet.pending = null;
+            pac.sendMessage(outlet.owner, instance.MSG_ROUTE_LOADING, 0, 0, detail);
+            _mountView(instance, outlet, route, html);
+        }, function (error) {
+            if (outlet.pending !== token) {
+                return;
+            }
+
+            outlet.pending = null;
+            outlet.element.setAttribute('data-pac-outlet-state', 'error');
+            pac.sendMessage(outlet.owner, instance.MSG_ROUTE_LOADING, 0, 0, detail);
+
+            const handled = pac.sendMessage(
+                outlet.owner,
+                instance.MSG_ROUTE_LOAD_ERROR,
+                0,
+                0,
+                Object.assign({ error: error }, detail)
+            );
+
+            if (!handled) {
+                console.warn('wakaRoute: failed to load view "' + route.view + '" from "' + route.src + '"', error);
+            }
+        });
+    }
+
+    /**
+     * Brings an outlet in line with the given path: the first view whose
+     * pattern matches is shown, anything else is destroyed. A view that keeps
+     * matching stays mounted and simply receives the new MSG_ROUTE_CHANGE.
+     * @param {WakaRoute} instance
+     * @param {Object} outlet
+     * @param {string} path
+     * @private
+     */
+    function _updateOutlet(instance, outlet, path) {
+        const route = outlet.routes.find(function (candidate) {
+            return instance.matchPattern(candidate.pattern, path) !== null;
+        }) || null;
+
+        if (outlet.pending ? outlet.pending.route === route : (outlet.current ? outlet.current.route : null) === route) {
+            return;
+        }
+
+        // Cancel a fetch in flight and replace whatever is showing
+        outlet.pending = null;
+        _unmountView(instance, outlet);
+
+        if (route) {
+            _loadView(instance, outlet, route, path);
+        } else {
+            outlet.element.removeAttribute('data-pac-outlet-state');
+        }
+    }
+
+    /**
+     * Updates every registered outlet for the current location. Mounting or
+     * destroying a view can add or remove nested outlets while this runs, so
+     * it walks a copy and skips outlets removed along the way.
+     * @param {WakaRoute} instance
+     * @private
+     */
+    function _updateOutlets(instance) {
+        const path = _readLocation(instance).path;
+
+        instance._outlets.slice().forEach(function (outlet) {
+            if (instance._outlets.indexOf(outlet) !== -1) {
+                _updateOutlet(instance, outlet, path);
+            }
+        });
+    }
+
+    /**
+     * wakaPAC plugin factory. Called by wakaPAC.use(wakaRoute, options).
+     * Attaches MSG_ROUTE_CHANGE to the wakaPAC instance, applies the mode and
+     * base options, wires up the location listener for the mode (popstate for
+     * history, hashchange for hash, none for memory), and returns the plugin
+     * descriptor with component lifecycle hooks.
+     * @param {Object} pac - The wakaPAC instance
+     * @param {Object} [options={}]
+     * @param {string} [options.mode='history'] - 'history', 'hash' or 'memory'
+     * @param {string} [options.base=''] - Path prefix the app is served under, e.g. '/app'
+     * @returns {{ onComponentCreated: Function, onComponentDestroyed: Function }}
+     * @throws {Error} If options.mode is not one of the supported modes
+     */
+    WakaRoute.prototype.createPacPlugin = function (pac, options = {}) {
+        const mode = options.mode || 'history';
+
+        if (['history', 'hash', 'memory'].indexOf(mode) === -1) {
+            throw new Error('wakaRoute: mode must be "history", "hash" or "memory", got "' + mode + '"');
+        }
+
         this._pac = pac;
+        this._mode = mode;
+        this._base = _normalizeBase(options.base);
+        this._memory = { entries: [{ path: '/', search: '' }], index: 0 };
+        this._scrollRestoration = !!options.scrollRestoration;
+        this._scrollPositions = new Map();
+        this._links = !!options.links;
+
+        if (mode !== 'memory') {
+            // Pick up the index after a reload, or stamp the entry we start on
+            if (history.state && typeof history.state.wakaRouteIndex === 'number') {
+                this._historyIndex = history.state.wakaRouteIndex;
+            } else {
+                this._historyIndex = 0;
+                history.replaceState(_historyState(0, true), '');
+            }
+
+            // The router restores positions itself; the browser's own
+            // restoration would fight it on every back/forward
+            if (this._scrollRestoration && 'scrollRestoration' in history) {
+                history.scrollRestoration = 'manual';
+            }
+        }
+
+        // Register the router messages by name so they cannot collide with other plugins
+        this.MSG_ROUTE_BEFORE = pac.registerWindowMessage('wakaroute.before');
+        this.MSG_ROUTE_CHANGE = pac.registerWindowMessage('wakaroute.change');
+        this.MSG_ROUTE_LOADING = pac.registerWindowMessage('wakaroute.loading');
+        this.MSG_ROUTE_LOAD_ERROR = pac.registerWindowMessage('wakaroute.loaderror');
 
         // Extend wakaPAC with the router message constants so component authors
         // can reference them as wakaPAC.MSG_ROUTE_BEFORE / wakaPAC.MSG_ROUTE_CHANGE
         pac.MSG_ROUTE_BEFORE = this.MSG_ROUTE_BEFORE;
         pac.MSG_ROUTE_CHANGE = this.MSG_ROUTE_CHANGE;
+        pac.MSG_ROUTE_LOADING = this.MSG_ROUTE_LOADING;
+        pac.MSG_ROUTE_LOAD_ERROR = this.MSG_ROUTE_LOAD_ERROR;
 
         // Preserve instance reference for use inside callbacks
         const self = this;
 
         // Stored by reference so destroy() can remove it
-        this._popstateHandler = function () {
-            const path = _normalizePath(location.pathname);
-
-            if (_broadcastBeforeRoute(self, path)) {
-                // Undo the browser navigation. We can't know the direction reliably,
-                // so we go(1) — this works for back (the common case) and is a no-op
-                // for forward if the guard triggers there too.
-                history.go(1);
+        this._locationHandler = function () {
+            const state = history.state;
+            let index = state && typeof state.wakaRouteIndex === 'number' ? state.wakaRouteIndex : null;
+
+            // An entry the router did not create — a fragment link or a
+            // hand-edited hash — was pushed after the current one
+            if (index === null) {
+                index = self._historyIndex + 1;
+                history.replaceState(_historyState(index, true), '');
+            }
+
+            // Landing back on the current entry is our own undo below arriving
+            if (index === self._historyIndex) {
                 return;
             }
 
-            _broadcastCurrentRoute(self);
+            const previousIndex = self._historyIndex;
+            const delta = index - previousIndex;
+
+            _saveScroll(self);
+            self._historyIndex = index;
+
+            _guardNavigation(self, _readLocation(self), {
+                commit: function () {
+                    _broadcastCurrentRoute(self);
+                    _restoreScroll(self);
+                },
+                block: function () {
+                    // Step back to where we came from, whichever direction that is
+                    self._historyIndex = previousIndex;
+                    history.go(-delta);
+                },
+                redirect: function (target, depth) {
+                    // The browser already moved; the redirect takes over the entry it landed on
+                    return _navigateTo(self, target, true, depth);
+                }
+            }, 0);
         };
 
-        // Browser back/forward navigation
-        window.addEventListener('popstate', this._popstateHandler);
+        // Same-origin links inside PAC containers navigate through the router
+        if (this._links) {
+            this._clickHandler = function (event) {
+                _handleLinkClick(self, event);
+            };
+
+            document.addEventListener('click', this._clickHandler);
+        }
+
+        // Browser back/forward navigation. Hash mode listens to hashchange
+        // instead, which also covers links and hand-edited fragments; a
+        // history traversal fires both events, so only one is bound.
+        // Memory mode has no browser history to follow.
+        if (mode !== 'memory') {
+            this._locationEvent = mode === 'hash' ? 'hashchange' : 'popstate';
+            window.addEventListener(this._locationEvent, this._locationHandler);
+        }
 
         return {
             /**
@@ -396,6 +1562,29 @@
                     return;
                 }
 
+                // Link state goes on every component, routed or not — menus
+                // highlighting the current page are rarely routes themselves
+                if (self._links) {
+                    _installLinkState(self, abstraction, pacId);
+                }
+
+                // Collect outlets first — a layout does not need a route of its own.
+                // Deferred like the initial MSG_ROUTE_CHANGE below, so the layout
+                // has finished initializing before views are mounted into it.
+                const outlets = _registerOutlets(self, container, pacId);
+
+                if (outlets.length) {
+                    setTimeout(function () {
+                        const path = _readLocation(self).path;
+
+                        outlets.forEach(function (outlet) {
+                            if (self._outlets.indexOf(outlet) !== -1) {
+                                _updateOutlet(self, outlet, path);
+                            }
+                        });
+                    }, 0);
+                }
+
                 // Fetch pattern
                 const pattern = container.getAttribute('data-pac-route');
 
@@ -409,14 +1598,33 @@
                 // Store in route table for introspection via getRouteTable()
                 self._routeTable.set(pacId, pattern);
 
+                // Register the route under its name so url() can build paths for it
+                const routeName = container.getAttribute('data-pac-route-name');
+
+                if (routeName) {
+                    const existing = self._namedRoutes.get(routeName);
+
+                    if (existing && existing.pacId !== pacId && existing.pattern !== pattern) {
+                        console.warn('wakaRoute: route name "' + routeName + '" on "' + pacId + '" replaces the one declared by "' + existing.pacId + '"');
+                    }
+
+                    self._namedRoutes.set(routeName, { pattern: pattern, pacId: pacId });
+                }
+
                 // Fire MSG_ROUTE_CHANGE immediately so the component can decide
                 // its own initial visibility — identical behavior to any navigation.
                 // Capture before the timeout so the message reflects registration-time state.
-                const path = _normalizePath(location.pathname);
-                const query  = _parseQuery(location.search);
+                const current = _readLocation(self);
+                const path = current.path;
+                const query  = _parseQuery(current.search);
                 const params = self.matchPattern(pattern, path);
 
                 setTimeout(function () {
+                    // A view unmounted from an outlet before this fired has nothing to receive it
+                    if (!self._routeTable.has(pacId)) {
+                        return;
+                    }
+
                     pac.sendMessage(
                         pacId,
                         self.MSG_ROUTE_CHANGE,
@@ -433,11 +1641,30 @@
 
             /**
              * Called by wakaPAC when a component is removed from the DOM.
-             * Removes the route table entry to avoid stale registrations.
+             * Removes the route table entry and any route name the component
+             * declared, to avoid stale registrations.
              * @param {string} pacId - The component's data-pac-id
              */
             onComponentDestroyed(pacId) {
                 self._routeTable.delete(pacId);
+                self._linkStateAbstractions.delete(pacId);
+
+                // Drop the layout's outlets; their views are nested in its DOM and
+                // are destroyed along with it. Clearing pending stops late fetches.
+                self._outlets = self._outlets.filter(function (outlet) {
+                    if (outlet.owner !== pacId) {
+                        return true;
+                    }
+
+                    outlet.pending = null;
+                    return false;
+                });
+
+                self._namedRoutes.forEach(function (route, name) {
+                    if (route.pacId === pacId) {
+                        self._namedRoutes.delete(name);
+                    }
+                });
             }
         };
     };
@@ -447,14 +1674,18 @@
     // =========================================================================
 
     /**
-     * Navigates to the given path by updating the browser history and
-     * broadcasting MSG_ROUTE_CHANGE to all registered components.
+     * Navigates to the given path by updating the history for the current
+     * mode and broadcasting MSG_ROUTE_CHANGE to all registered components.
      * Before committing, broadcasts MSG_ROUTE_BEFORE — if any component's
-     * msgProc returns false the navigation is cancelled and history is unchanged.
-     * @param {string} path - Target path, e.g. '/users/42'. Trailing slashes are normalized.
+     * msgProc returns false the navigation is cancelled and history is unchanged;
+     * if it returns a path the router navigates there instead. A guard may also
+     * return a Promise of either, in which case navigate() returns a Promise too.
+     * @param {string} path - Target path without the base, e.g. '/users/42?tab=x'.
+     *        Trailing slashes are normalized; a leading base path is stripped.
      * @param {Object} [options={}]
-     * @param {boolean} [options.replace=false] - Use replaceState instead of pushState
-     * @returns {boolean} false if navigation was blocked, true otherwise
+     * @param {boolean} [options.replace=false] - Replace the current history entry instead of adding one
+     * @returns {boolean|Promise<boolean>} false if navigation was blocked, true otherwise;
+     *          a Promise of that when a guard answered asynchronously
      * @throws {Error} If called before wakaPAC.use(wakaRoute)
      */
     WakaRoute.prototype.navigate = function (path, options = {}) {
@@ -462,30 +1693,202 @@
             throw new Error('wakaRoute: call wakaPAC.use(wakaRoute) before navigating');
         }
 
-        if (_broadcastBeforeRoute(this, _normalizePath(path))) {
+        return _navigateTo(this, path, !!options.replace, 0);
+    };
+
+    /**
+     * Moves through the history by delta entries, like history.go(). In memory
+     * mode the in-memory stack is moved with the same MSG_ROUTE_BEFORE guards
+     * as navigate(); in the other modes the browser moves and the location
+     * listener runs the guards, undoing the move if they cancel it.
+     * @param {number} delta - Entries to move; negative goes back
+     * @returns {boolean|Promise<boolean>} false if memory-mode navigation was blocked or out of range
+     * @throws {Error} If called before wakaPAC.use(wakaRoute)
+     */
+    WakaRoute.prototype.go = function (delta) {
+        if (!this._pac) {
+            throw new Error('wakaRoute: call wakaPAC.use(wakaRoute) before navigating');
+        }
+
+        if (this._mode !== 'memory') {
+            history.go(delta);
+            return true;
+        }
+
+        const index = this._memory.index + delta;
+        const entry = this._memory.entries[index];
+
+        if (!entry || delta === 0) {
             return false;
         }
 
-        if (options.replace) {
-            history.replaceState(null, '', path);
-        } else {
-            history.pushState(null, '', path);
+        const self = this;
+
+        return _guardNavigation(this, entry, {
+            commit: function () {
+                _saveScroll(self);
+                self._memory.index = index;
+                _broadcastCurrentRoute(self);
+                _restoreScroll(self);
+            },
+            redirect: function (target, depth) {
+                // Like the browser: arrive on the entry, then let the redirect replace it
+                _saveScroll(self);
+                self._memory.index = index;
+                return _navigateTo(self, target, true, depth);
+            }
+        }, 0);
+    };
+
+    /**
+     * Goes one entry back. See go().
+     * @returns {boolean|Promise<boolean>}
+     */
+    WakaRoute.prototype.back = function () {
+        return this.go(-1);
+    };
+
+    /**
+     * Goes one entry forward. See go().
+     * @returns {boolean|Promise<boolean>}
+     */
+    WakaRoute.prototype.forward = function () {
+        return this.go(1);
+    };
+
+    /**
+     * Builds the href for a route in the current mode, for use in links:
+     *   history mode, base '/app':  href('/users/42') → '/app/users/42'
+     *   hash mode:                  href('/users/42') → '#/users/42'
+     * In memory mode the route itself is returned, with the base applied.
+     * @param {string} path - Route without the base, optionally with a query string
+     * @returns {string}
+     */
+    WakaRoute.prototype.href = function (path) {
+        const url = _splitUrl(path);
+        const route = this._base + _stripBase(this, url.path) + url.search;
+
+        return this._mode === 'hash' ? '#' + route : route;
+    };
+
+    /**
+     * Builds a route path from a named route or a pattern, the reverse of
+     * matchPattern(). Parameter values are encoded per segment and checked
+     * against typed and constrained segments; the query object is serialized
+     * in the PHP-array style MSG_ROUTE_CHANGE parses back.
+     *
+     * Example:
+     *   <div data-pac-id="user-view" data-pac-route="/users/{id:int}" data-pac-route-name="user">
+     *   wakaRoute.url('user', { id: 42 }, { tab: 'posts' })    // → '/users/42?tab=posts'
+     *   wakaRoute.url('/files/{rest:**}', { rest: 'a/b c' })   // → '/files/a/b%20c'
+     *
+     * The result is a route without the base, ready for navigate(); pass it
+     * through href() for use as a link target.
+     *
+     * @param {string} nameOrPattern - Route name, or a pattern starting with '/'
+     * @param {Object} [params={}] - Values for the pattern's named segments
+     * @param {Object} [query] - Query parameters to append
+     * @returns {string}
+     * @throws {Error} If the route name is unknown, a parameter is missing or
+     *         does not satisfy its constraint, or the pattern has bare wildcards
+     */
+    WakaRoute.prototype.url = function (nameOrPattern, params = {}, query) {
+        let pattern = nameOrPattern;
+
+        if (nameOrPattern.charAt(0) !== '/') {
+            const route = this._namedRoutes.get(nameOrPattern);
+
+            if (!route) {
+                throw new Error('wakaRoute: unknown route name "' + nameOrPattern + '"');
+            }
+
+            pattern = route.pattern;
         }
 
-        _broadcastCurrentRoute(this);
-        return true;
+        const path = _compilePattern(pattern).parts.map(function (part) {
+            if (typeof part === 'string') {
+                if (part.indexOf('*') !== -1) {
+                    throw new Error('wakaRoute: cannot build a URL for "' + pattern + '", bare wildcards have no value');
+                }
+
+                return part;
+            }
+
+            const value = params[part.name];
+
+            if (value === undefined || value === null || value === '') {
+                throw new Error('wakaRoute: missing parameter "' + part.name + '" for route "' + nameOrPattern + '"');
+            }
+
+            const str = String(value);
+
+            if (part.test ? !part.test.test(str) : (part.kind === 'segment' && str.indexOf('/') !== -1)) {
+                throw new Error('wakaRoute: parameter "' + part.name + '" value "' + str + '" does not match "' + part.source + '"');
+            }
+
+            // Multi-segment wildcards keep their slashes
+            return str.split('/').map(encodeURIComponent).join('/');
+        }).join('');
+
+        return path + _buildQuery(query);
     };
 
     /**
-     * Returns a copy of the current route state.
+     * Registers the abstraction for a view that outlets instantiate. Pass a
+     * factory to give every mount fresh state; it receives the current route
+     * ({ path, query }). A plain object is shallow-copied on each mount.
+     * Views without a registered abstraction are created with an empty one.
+     *
+     * Example:
+     *   wakaRoute.registerView('user-detail', function (route) {
+     *       return { user: null, msgProc(event) { ... } };
+     *   });
+     *
+     * @param {string} view - The view's pacId, as in <template data-pac-view="...">
+     * @param {Object|Function} abstraction
+     */
+    WakaRoute.prototype.registerView = function (view, abstraction) {
+        this._views.set(view, abstraction);
+    };
+
+    /**
+     * Returns a snapshot of the named routes declared with data-pac-route-name.
+     * Key: route name, Value: pattern string.
+     * @returns {Object}
+     */
+    WakaRoute.prototype.getNamedRoutes = function () {
+        const table = {};
+
+        this._namedRoutes.forEach(function (route, name) {
+            table[name] = route.pattern;
+        });
+
+        return table;
+    };
+
+    /**
+     * Tells whether a link target is the current route. Same test as the
+     * routeActive()/routeExactActive() helpers components get with options.links.
+     * @param {string} href - Route, e.g. '/users' or '/users?tab=all'
+     * @param {boolean} [exact=false] - Require the exact path rather than an ancestor
+     * @returns {boolean}
+     */
+    WakaRoute.prototype.isActive = function (href, exact = false) {
+        return _isLinkActive(this, href, exact);
+    };
+
+    /**
+     * Returns a copy of the current route state, without the base path.
      * Safe to call at any time, including before the first navigation —
-     * the path is seeded from location.pathname when createPacPlugin() runs.
+     * the path is read from the location (or the memory stack) on every call.
      * @returns {{ path: string, query: Object }}
      */
     WakaRoute.prototype.currentRoute = function () {
+        const current = _readLocation(this);
+
         return {
-            path: _normalizePath(location.pathname),
-            query: _parseQuery(location.search)
+            path: current.path,
+            query: _parseQuery(current.search)
         };
     };
 
@@ -506,24 +1909,30 @@
      *   wakaRoute.matchPattern('/files/{rest:**}', '/files/docs/readme.txt')
      *   // → { rest: 'docs/readme.txt' }
      *
+     * With a base path configured, a path that still carries it (such as
+     * location.pathname) is matched as if the base were not there, so
+     * patterns are always written relative to the base.
+     *
      * @param {string} pattern - Route pattern, e.g. '/users/{id}'
      * @param {string} path - Path to test, e.g. '/users/42'. Trailing slashes are normalized.
      * @returns {Object|null} Extracted params, or null if no match
      */
     WakaRoute.prototype.matchPattern = function (pattern, path) {
-        const { regex, keys } = _compilePattern(pattern);
-        const match = _normalizePath(path).match(regex);
+        const compiled = _compilePattern(pattern);
+        const match = _stripBase(this, path).match(compiled.regex);
 
         if (!match) {
             return null;
         }
 
         // Only decode if percent-encoded — location.pathname is already decoded by the browser.
+        // Typed segments ({id:int}) are cast after decoding.
         const params = {};
 
-        keys.forEach(function (key, index) {
-            const raw = match[index + 1];
-            params[key] = raw.indexOf('%') !== -1 ? decodeURIComponent(raw) : raw;
+        compiled.params.forEach(function (param) {
+            const raw = match[param.group];
+            const value = raw.indexOf('%') !== -1 ? decodeURIComponent(raw) : raw;
+            params[param.name] = param.cast ? param.cast(value) : value;
         });
 
         return params;
@@ -547,16 +1956,43 @@
     };
 
     /**
-     * Removes the popstate listener and clears all router state.
-     * Useful for testing teardown.
+     * Removes the location listener and clears all router state, including
+     * the memory-mode history. Useful for testing teardown.
      */
     WakaRoute.prototype.destroy = function () {
-        if (this._popstateHandler) {
-            window.removeEventListener('popstate', this._popstateHandler);
-            this._popstateHandler = null;
+        if (this._locationHandler) {
+            if (this._locationEvent) {
+                window.removeEventListener(this._locationEvent, this._locationHandler);
+            }
+
+            this._locationHandler = null;
+            this._locationEvent = null;
+        }
+
+        this._outlets.forEach(function (outlet) {
+            outlet.pending = null;
+        });
+
+        if (this._scrollRestoration && this._mode !== 'memory' && 'scrollRestoration' in history) {
+            history.scrollRestoration = 'auto';
+        }
+
+        if (this._clickHandler) {
+            document.removeEventListener('click', this._clickHandler);
+            this._clickHandler = null;
         }
 
         this._routeTable.clear();
+        this._namedRoutes.clear();
+        this._linkStateAbstractions.clear();
+        this._links = false;
+        this._scrollPositions.clear();
+        this._scrollRestoration = false;
+        this._navigation = null;
+        this._outlets = [];
+        this._views.clear();
+        this._viewCache.clear();
+        this._memory = { entries: [{ path: '/', search: '' }], index: 0 };
         this._pac = null;
     };
 
@@ -1 +1 @@
-!function(){"use strict";const t=new Map;function e(e){if(t.has(e))return t.get(e);const n=/\{([^}]*)\}/g,o=/^[a-zA-Z_][a-zA-Z0-9_]*(?::\*\*?)?$/;let a;for(;null!==(a=n.exec(e));)if(!o.test(a[1]))throw Error('wakaRoute: invalid token "'+a[0]+'" in pattern "'+e+'"');if((e.match(/\{/g)||[]).length!==(e.match(/\}/g)||[]).length)throw Error('wakaRoute: unmatched "{" in pattern "'+e+'"');const r=[];let s=e.replace(/\{([a-zA-Z_][a-zA-Z0-9_]*):\*\*\}/g,(t,e)=>(r.push(e),"")).replace(/\{([a-zA-Z_][a-zA-Z0-9_]*):\*\}/g,(t,e)=>(r.push(e),"")).replace(/\{([a-zA-Z_][a-zA-Z0-9_]*)\}/g,(t,e)=>(r.push(e),"")).replace(/\*\*/g,"").replace(/\*/g,"");s=s.replace(/[.+?^${}()|[\]\\]/g,"\\$&");const c=s.split("").join("([^/]+)").split("").join("(.*)").split("").join("(?:[^/]+)").split("").join("(?:.*)"),i={regex:RegExp("^"+c+"$"),keys:r};return t.set(e,i),i}function n(t){const e={};return!t||t.length<2||t.slice(1).split("&").forEach(t=>{if(!t)return;const n=t.indexOf("=");if(-1===n)return void(e[decodeURIComponent(t)]=!0);const o=decodeURIComponent(t.slice(0,n)),a=decodeURIComponent(t.slice(n+1));if("[]"===o.slice(-2)){const t=o.slice(0,-2);Object.prototype.hasOwnProperty.call(e,t)&&Array.isArray(e[t])?e[t].push(a):e[t]=[a]}else e[o]=a}),e}function o(){this.MSG_ROUTE_BEFORE=8193,this.MSG_ROUTE_CHANGE=8192,this._pac=null,this._routeTable=new Map}function a(t){return t.replace(/\/+$/,"")||"/"}function r(t){const e=a(location.pathname);t._routeTable.forEach((o,a)=>{const r=t.matchPattern(o,e);t._pac.sendMessage(a,t.MSG_ROUTE_CHANGE,r?1:0,0,{path:e,query:n(location.search),params:r})})}function s(t,e){const o=n(location.search);let a=!1;return t._routeTable.forEach((n,r)=>{const s=t.matchPattern(n,e);!1===t._pac.sendMessage(r,t.MSG_ROUTE_BEFORE,s?1:0,0,{path:e,query:o,params:s})&&(a=!0)}),a}o.prototype.createPacPlugin=function(t){this._pac=t,t.MSG_ROUTE_BEFORE=this.MSG_ROUTE_BEFORE,t.MSG_ROUTE_CHANGE=this.MSG_ROUTE_CHANGE;const o=this;return this._popstateHandler=()=>{const t=a(location.pathname);s(o,t)?history.go(1):r(o)},window.addEventListener("popstate",this._popstateHandler),{onComponentCreated(r,s,c){const i=t.getContainerByPacId(s);if(!i)return;const p=i.getAttribute("data-pac-route");if(!p)return;e(p),o._routeTable.set(s,p);const l=a(location.pathname),u=n(location.search),h=o.matchPattern(p,l);setTimeout(()=>{t.sendMessage(s,o.MSG_ROUTE_CHANGE,h?1:0,0,{path:l,query:u,params:h})},0)},onComponentDestroyed(t){o._routeTable.delete(t)}}},o.prototype.navigate=function(t,e={}){if(!this._pac)throw Error("wakaRoute: call wakaPAC.use(wakaRoute) before navigating");return!s(this,a(t))&&(e.replace?history.replaceState(null,"",t):history.pushState(null,"",t),r(this),!0)},o.prototype.currentRoute=()=>({path:a(location.pathname),query:n(location.search)}),o.prototype.matchPattern=(t,n)=>{const{regex:o,keys:r}=e(t),s=a(n).match(o);if(!s)return null;const c={};return r.forEach((t,e)=>{const n=s[e+1];c[t]=-1!==n.indexOf("%")?decodeURIComponent(n):n}),c},o.prototype.getRouteTable=function(){const t={};return this._routeTable.forEach((e,n)=>{t[n]=e}),t},o.prototype.destroy=function(){this._popstateHandler&&(window.removeEventListener("popstate",this._popstateHandler),this._popstateHandler=null),this._routeTable.clear(),this._pac=null},window.wakaRoute=new o}();
\ No newline at end of file
+!function(){"use strict";const t=new Map,e={int:{pattern:"-?\\d+",cast:t=>parseInt(t,10)},number:{pattern:"-?\\d+(?:\\.\\d+)?",cast:t=>parseFloat(t)},bool:{pattern:"true|false|1|0",cast:t=>"true"===t||"1"===t}};function n(t){return t.replace(/\*\*/g,"").replace(/\*/g,"").replace(/[.+?^${}()|[\]\\]/g,"\\$&").split("").join("(?:[^/]+)").split("").join("(?:.*)")}function r(t,n){const r=/^([a-zA-Z_][a-zA-Z0-9_]*)(?::([\s\S]+))?$/.exec(t);if(!r)throw Error('wakaRoute: invalid token "{'+t+'}" in pattern "'+n+'"');const o=r[1],a=r[2];if(void 0===a||"*"===a)return{name:o,kind:"segment",source:"[^/]+",cast:null,test:null};if("**"===a)return{name:o,kind:"wildcard",source:".*",cast:null,test:null};const s=Object.prototype.hasOwnProperty.call(e,a)?e[a]:null,i=s?s.pattern:a;let c;try{c=RegExp("^(?:"+i+")$")}catch(e){throw Error('wakaRoute: invalid token "{'+t+'}" in pattern "'+n+'": '+e.message)}return{name:o,kind:"constrained",source:i,cast:s?s.cast:null,test:c}}function o(e){if(t.has(e))return t.get(e);const o=[],a=[],s=[];let i="",c=1,l="",u=0;for(;u<e.length;){const t=e.charAt(u);if("}"===t)throw Error('wakaRoute: unmatched "}" in pattern "'+e+'"');if("{"!==t){l+=t,u++;continue}let h=1,p=u+1;for(;p<e.length&&h>0;){const t=e.charAt(p);"\\"!==t?("{"===t?h++:"}"===t&&h--,p++):p+=2}if(0!==h)throw Error('wakaRoute: unmatched "{" in pattern "'+e+'"');l&&(i+=n(l),s.push(l),l="");const d=r(e.slice(u+1,p-1),e);d.group=c,c+=RegExp(d.source+"|").exec("").length-1+1,o.push(d.name),a.push(d),s.push(d),i+="("+d.source+")",u=p}l&&(i+=n(l),s.push(l));const h={regex:RegExp("^"+i+"$"),keys:o,params:a,parts:s};return t.set(e,h),h}function a(t){const e={};return!t||t.length<2||t.slice(1).split("&").forEach(t=>{if(!t)return;const n=t.indexOf("=");if(-1===n)return void(e[decodeURIComponent(t)]=!0);const r=decodeURIComponent(t.slice(0,n)),o=decodeURIComponent(t.slice(n+1));if("[]"===r.slice(-2)){const t=r.slice(0,-2);Object.prototype.hasOwnProperty.call(e,t)&&Array.isArray(e[t])?e[t].push(o):e[t]=[o]}else e[r]=o}),e}function s(){this.MSG_ROUTE_BEFORE=null,this.MSG_ROUTE_CHANGE=null,this._pac=null,this._routeTable=new Map,this._namedRoutes=new Map,this._mode="history",this._base="",this._memory={entries:[{path:"/",search:""}],index:0},this._locationHandler=null,this._locationEvent=null,this._outlets=[],this._views=new Map,this._viewCache=new Map,this.MSG_ROUTE_LOADING=null,this.MSG_ROUTE_LOAD_ERROR=null,this._historyIndex=0,this._navigation=null,this._scrollRestoration=!1,this._scrollPositions=new Map,this._links=!1,this._clickHandler=null,this._linkStateAbstractions=new Map}function i(t,e){const n=t._base;return!n||e!==n&&0!==e.indexOf(n+"/")||(e=e.slice(n.length)),(t=>t.replace(/\/+$/,"")||"/")(e||"/")}function c(t){const e=t.indexOf("#"),n=-1===e?"":t.slice(e),r=-1===e?t:t.slice(0,e),o=r.indexOf("?");return{path:-1===o?r:r.slice(0,o),search:-1===o?"":r.slice(o),fragment:n}}function l(t){if("memory"===t._mode){const e=t._memory.entries[t._memory.index];return{path:e.path,search:e.search}}if("hash"===t._mode){const e=c(location.hash.slice(1));return{path:i(t,"/"===e.path.charAt(0)?e.path:"/"+e.path),search:e.search}}return{path:i(t,location.pathname),search:location.search}}function u(t,e){if(!e)return{wakaRouteIndex:t};const n=history.state&&"object"==typeof history.state?history.state:{};return Object.assign({},n,{wakaRouteIndex:t})}function h(t){return"memory"===t._mode?t._memory.index:t._historyIndex}function p(t){if(!t._scrollRestoration)return;const e={};window.PACRegistry.components.forEach((t,n)=>{const r=t.abstraction;(r.containerScrollX||r.containerScrollY)&&(e[n]={x:r.containerScrollX,y:r.containerScrollY})}),t._scrollPositions.set(h(t),{window:{x:window.scrollX,y:window.scrollY},containers:e})}function d(t){if(!t._scrollRestoration)return;const e=t._scrollPositions.get(h(t));e&&requestAnimationFrame(()=>{window.scrollTo(e.window.x,e.window.y),Object.keys(e.containers).forEach(t=>{const n=window.PACRegistry.get(t);n&&(n.abstraction.containerScrollX=e.containers[t].x,n.abstraction.containerScrollY=e.containers[t].y)})})}function _(t){const e=l(t),n=e.path;t._routeTable.forEach((r,o)=>{const s=t.matchPattern(r,n);t._pac.sendMessage(o,t.MSG_ROUTE_CHANGE,s?1:0,0,{path:n,query:a(e.search),params:s})}),(t=>{const e=l(t).path;t._outlets.slice().forEach(n=>{-1!==t._outlets.indexOf(n)&&R(t,n,e)})})(t),(t=>{t._linkStateAbstractions.forEach(e=>{e.route=t.currentRoute()})})(t)}function m(t){if(-1!==t.indexOf(!1))return{blocked:!0,redirect:null};const e=t.find(t=>"string"==typeof t);return{blocked:!1,redirect:void 0===e?null:e}}function f(t,e,n,r){const o={},s=((t,e,n)=>{const r=[];return t._routeTable.forEach((o,a)=>{const s=t.matchPattern(o,e);r.push(t._pac.sendMessage(a,t.MSG_ROUTE_BEFORE,s?1:0,0,{path:e,query:n,params:s}))}),r.some(t=>t&&"function"==typeof t.then)?Promise.all(r.map(t=>Promise.resolve(t).catch(t=>!1))).then(m):m(r)})(t,e.path,a(e.search));function i(e){return t._navigation===o&&(t._navigation=null,!e.blocked&&null!==e.redirect&&r<10?n.redirect(e.redirect,r+1):e.blocked||null!==e.redirect?(n.block&&n.block(),!1):(n.commit(),!0))}return t._navigation=o,"function"==typeof s.then?s.then(i):i(s)}function y(t,e,n,r){const o=c(e);return o.path=i(t,o.path),f(t,o,{commit:()=>{p(t),((t,e,n)=>{if("memory"===t._mode){const r=t._memory,o={path:e.path,search:e.search};return void(n?r.entries[r.index]=o:(r.entries.splice(r.index+1,1/0,o),r.index++))}const r=t.href(e.path+e.search)+("history"===t._mode?e.fragment:"");n?history.replaceState(u(t._historyIndex,!0),"",r):(t._historyIndex++,history.pushState(u(t._historyIndex,!1),"",r))})(t,o,n),n||(t=>{const e=h(t);t._scrollPositions.forEach((n,r)=>{r>=e&&t._scrollPositions.delete(r)})})(t),_(t)},redirect:(e,r)=>y(t,e,n,r)},r)}function g(t,e,n){const r=c((e+"").replace(/^#/,"")),o=i(t,r.path),s=l(t);if(!(n?s.path===o:s.path===o||0===s.path.indexOf("/"===o?"/":o+"/")))return!1;const u=a(r.search),h=a(s.search),p=Object.keys(u);return(!n||p.length===Object.keys(h).length)&&p.every(t=>JSON.stringify(u[t])===JSON.stringify(h[t]))}function w(t,e,n,r){const o=document.createElement("div");o.setAttribute("data-pac-id",n.view),o.setAttribute("data-pac-route",n.pattern),n.className&&(o.className=n.className),o.innerHTML=r,e.element.appendChild(o),e.element.setAttribute("data-pac-outlet-state","ready"),e.current={route:n,element:o};const a=t._views.get(n.view),s="function"==typeof a?a(t.currentRoute()):Object.assign({},a);t._pac(n.view,s)}function R(t,e,n){const r=e.routes.find(e=>null!==t.matchPattern(e.pattern,n))||null;(e.pending?e.pending.route!==r:(e.current?e.current.route:null)!==r)&&(e.pending=null,((t,e)=>{if(!e.current)return;const n=e.current.element;e.current=null,t._pac.destroyComponent(n.getAttribute("data-pac-id")),n.remove()})(t,e),r?((t,e,n,r)=>{if(!n.src)return void w(t,e,n,n.html);const o=t._pac,a={route:n},s={view:n.view,path:r,src:n.src};e.pending=a,e.element.setAttribute("data-pac-outlet-state","loading"),o.sendMessage(e.owner,t.MSG_ROUTE_LOADING,1,0,s),((t,e)=>{if(!t._viewCache.has(e)){const n=fetch(e).then(t=>{if(!t.ok)throw Error("HTTP "+t.status+' loading "'+e+'"');return t.text()});n.catch(()=>{t._viewCache.delete(e)}),t._viewCache.set(e,n)}return t._viewCache.get(e)})(t,n.src).then(r=>{e.pending===a&&(e.pending=null,o.sendMessage(e.owner,t.MSG_ROUTE_LOADING,0,0,s),w(t,e,n,r))},n=>{e.pending===a&&(e.pending=null,e.element.setAttribute("data-pac-outlet-state","error"),o.sendMessage(e.owner,t.MSG_ROUTE_LOADING,0,0,s),o.sendMessage(e.owner,t.MSG_ROUTE_LOAD_ERROR,0,0,Object.assign({error:n},s)))})})(t,e,r,n):e.element.removeAttribute("data-pac-outlet-state"))}s.prototype.createPacPlugin=function(t,e={}){const n=e.mode||"history";if(-1===["history","hash","memory"].indexOf(n))throw Error('wakaRoute: mode must be "history", "hash" or "memory", got "'+n+'"');this._pac=t,this._mode=n,this._base=(t=>{if(!t)return"";const e=(t+"").replace(/^\/*/,"/").replace(/\/+$/,"");return"/"===e?"":e})(e.base),this._memory={entries:[{path:"/",search:""}],index:0},this._scrollRestoration=!!e.scrollRestoration,this._scrollPositions=new Map,this._links=!!e.links,"memory"!==n&&(history.state&&"number"==typeof history.state.wakaRouteIndex?this._historyIndex=history.state.wakaRouteIndex:(this._historyIndex=0,history.replaceState(u(0,!0),"")),this._scrollRestoration&&"scrollRestoration"in history&&(history.scrollRestoration="manual")),this.MSG_ROUTE_BEFORE=t.registerWindowMessage("wakaroute.before"),this.MSG_ROUTE_CHANGE=t.registerWindowMessage("wakaroute.change"),this.MSG_ROUTE_LOADING=t.registerWindowMessage("wakaroute.loading"),this.MSG_ROUTE_LOAD_ERROR=t.registerWindowMessage("wakaroute.loaderror"),t.MSG_ROUTE_BEFORE=this.MSG_ROUTE_BEFORE,t.MSG_ROUTE_CHANGE=this.MSG_ROUTE_CHANGE,t.MSG_ROUTE_LOADING=this.MSG_ROUTE_LOADING,t.MSG_ROUTE_LOAD_ERROR=this.MSG_ROUTE_LOAD_ERROR;const r=this;return this._locationHandler=()=>{const t=history.state;let e=t&&"number"==typeof t.wakaRouteIndex?t.wakaRouteIndex:null;if(null===e&&(e=r._historyIndex+1,history.replaceState(u(e,!0),"")),e===r._historyIndex)return;const n=r._historyIndex,o=e-n;p(r),r._historyIndex=e,f(r,l(r),{commit:()=>{_(r),d(r)},block:()=>{r._historyIndex=n,history.go(-o)},redirect:(t,e)=>y(r,t,!0,e)},0)},this._links&&(this._clickHandler=t=>{((t,e)=>{if(e.defaultPrevented||0!==e.button||e.metaKey||e.ctrlKey||e.shiftKey||e.altKey)return;const n=e.target instanceof Element?e.target.closest("a[href]"):null;if(!n||!n.closest("[data-pac-id]"))return;const r=n.getAttribute("target");if(r&&"_self"!==r||n.hasAttribute("download")||n.hasAttribute("data-pac-external"))return;const o=((t,e)=>{let n;try{n=new URL(e.getAttribute("href"),document.baseURI)}catch{return null}if(n.origin!==location.origin)return null;const r=n.pathname===location.pathname&&n.search===location.search;if("hash"===t._mode)return r&&0===n.hash.indexOf("#/")?n.hash.slice(1):null;if(r&&n.hash)return null;const o=t._base;return o&&n.pathname!==o&&0!==n.pathname.indexOf(o+"/")?null:n.pathname+n.search+n.hash})(t,n);null!==o&&(e.preventDefault(),t.navigate(o))})(r,t)},document.addEventListener("click",this._clickHandler)),"memory"!==n&&(this._locationEvent="hash"===n?"hashchange":"popstate",window.addEventListener(this._locationEvent,this._locationHandler)),{onComponentCreated(e,n,s){const i=t.getContainerByPacId(n);if(!i)return;r._links&&((t,e,n)=>{"routeActive"in e||Object.defineProperty(e,"routeActive",{value:e=>g(t,e,!1),writable:!1,enumerable:!1}),"routeExactActive"in e||Object.defineProperty(e,"routeExactActive",{value:e=>g(t,e,!0),writable:!1,enumerable:!1}),"route"in e||(e.route=t.currentRoute(),t._linkStateAbstractions.set(n,e))})(r,e,n);const c=((t,e,n)=>{const r=e.getAttribute("data-pac-route")||"",a=[];return e.querySelectorAll("[data-pac-outlet]").forEach(s=>{if(s.parentElement.closest("[data-pac-id]")!==e)return;const i=[];Array.prototype.forEach.call(s.children,t=>{if("TEMPLATE"!==t.tagName||!t.hasAttribute("data-pac-view"))return;const e=((t,e)=>{if("/"===e.charAt(0))return e;const n=t.replace(/\/(?:\*\*|\{[a-zA-Z_][a-zA-Z0-9_]*:\*\*\})$/,"").replace(/\/+$/,"");return e?n+"/"+e:n||"/"})(r,t.getAttribute("data-pac-route")||""),n=t.getAttribute("data-pac-partial");o(e),i.push({view:t.getAttribute("data-pac-view"),pattern:e,name:t.getAttribute("data-pac-route-name"),className:t.getAttribute("class"),src:t.getAttribute("data-pac-src"),html:n?"{{> "+n+"}}":t.innerHTML})}),a.push({owner:n,element:s,routes:i,current:null,pending:null}),i.forEach(e=>{e.name&&t._namedRoutes.set(e.name,{pattern:e.pattern,pacId:n})})}),t._outlets.push.apply(t._outlets,a),a})(r,i,n);c.length&&setTimeout(()=>{const t=l(r).path;c.forEach(e=>{-1!==r._outlets.indexOf(e)&&R(r,e,t)})},0);const u=i.getAttribute("data-pac-route");if(!u)return;o(u),r._routeTable.set(n,u);const h=i.getAttribute("data-pac-route-name");h&&(r._namedRoutes.get(h),r._namedRoutes.set(h,{pattern:u,pacId:n}));const p=l(r),d=p.path,_=a(p.search),m=r.matchPattern(u,d);setTimeout(()=>{r._routeTable.has(n)&&t.sendMessage(n,r.MSG_ROUTE_CHANGE,m?1:0,0,{path:d,query:_,params:m})},0)},onComponentDestroyed(t){r._routeTable.delete(t),r._linkStateAbstractions.delete(t),r._outlets=r._outlets.filter(e=>e.owner!==t||(e.pending=null,!1)),r._namedRoutes.forEach((e,n)=>{e.pacId===t&&r._namedRoutes.delete(n)})}}},s.prototype.navigate=function(t,e={}){if(!this._pac)throw Error("wakaRoute: call wakaPAC.use(wakaRoute) before navigating");return y(this,t,!!e.replace,0)},s.prototype.go=function(t){if(!this._pac)throw Error("wakaRoute: call wakaPAC.use(wakaRoute) before navigating");if("memory"!==this._mode)return history.go(t),!0;const e=this._memory.index+t,n=this._memory.entries[e];if(!n||0===t)return!1;const r=this;return f(this,n,{commit:()=>{p(r),r._memory.index=e,_(r),d(r)},redirect:(t,n)=>(p(r),r._memory.index=e,y(r,t,!0,n))},0)},s.prototype.back=function(){return this.go(-1)},s.prototype.forward=function(){return this.go(1)},s.prototype.href=function(t){const e=c(t),n=this._base+i(this,e.path)+e.search;return"hash"===this._mode?"#"+n:n},s.prototype.url=function(t,e={},n){let r=t;if("/"!==t.charAt(0)){const e=this._namedRoutes.get(t);if(!e)throw Error('wakaRoute: unknown route name "'+t+'"');r=e.pattern}return o(r).parts.map(n=>{if("string"==typeof n){if(-1!==n.indexOf("*"))throw Error('wakaRoute: cannot build a URL for "'+r+'", bare wildcards have no value');return n}const o=e[n.name];if(null==o||""===o)throw Error('wakaRoute: missing parameter "'+n.name+'" for route "'+t+'"');const a=o+"";if(n.test?!n.test.test(a):"segment"===n.kind&&-1!==a.indexOf("/"))throw Error('wakaRoute: parameter "'+n.name+'" value "'+a+'" does not match "'+n.source+'"');return a.split("/").map(encodeURIComponent).join("/")}).join("")+(t=>{const e=[];return Object.keys(t||{}).forEach(n=>{const r=t[n],o=encodeURIComponent(n);null!=r&&!1!==r&&(!0===r?e.push(o):Array.isArray(r)?r.forEach(t=>{e.push(o+"[]="+encodeURIComponent(t+""))}):e.push(o+"="+encodeURIComponent(r+"")))}),e.length?"?"+e.join("&"):""})(n)},s.prototype.registerView=function(t,e){this._views.set(t,e)},s.prototype.getNamedRoutes=function(){const t={};return this._namedRoutes.forEach((e,n)=>{t[n]=e.pattern}),t},s.prototype.isActive=function(t,e=!1){return g(this,t,e)},s.prototype.currentRoute=function(){const t=l(this);return{path:t.path,query:a(t.search)}},s.prototype.matchPattern=function(t,e){const n=o(t),r=i(this,e).match(n.regex);if(!r)return null;const a={};return n.params.forEach(t=>{const e=r[t.group],n=-1!==e.indexOf("%")?decodeURIComponent(e):e;a[t.name]=t.cast?t.cast(n):n}),a},s.prototype.getRouteTable=function(){const t={};return this._routeTable.forEach((e,n)=>{t[n]=e}),t},s.prototype.destroy=function(){this._locationHandler&&(this._locationEvent&&window.removeEventListener(this._locationEvent,this._locationHandler),this._locationHandler=null,this._locationEvent=null),this._outlets.forEach(t=>{t.pending=null}),this._scrollRestoration&&"memory"!==this._mode&&"scrollRestoration"in history&&(history.scrollRestoration="auto"),this._clickHandler&&(document.removeEventListener("click",this._clickHandler),this._clickHandler=null),this._routeTable.clear(),this._namedRoutes.clear(),this._linkStateAbstractions.clear(),this._links=!1,this._scrollPositions.clear(),this._scrollRestoration=!1,this._navigation=null,this._outlets=[],this._views.clear(),this._viewCache.clear(),this._memory={entries:[{path:"/",search:""}],index:0},this._pac=null},window.wakaRoute=new s}();
\ No newline at end of file
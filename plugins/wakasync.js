@@ -81,11 +81,11 @@
             const self = this;
             let nextRequestId = 0;
 
-            // Derive message constants from the host's MSG_PLUGIN base.
-            // WakaSync never hardcodes these values.
-            const MSG_HTTP_SUCCESS = pac.MSG_PLUGIN + 0x200;
-            const MSG_HTTP_ERROR = pac.MSG_PLUGIN + 0x201;
-            const MSG_HTTP_ABORT = pac.MSG_PLUGIN + 0x202;
+            // Register message constants by name so they cannot collide with other
+            // plugins. WakaSync never hardcodes these values.
+            const MSG_HTTP_SUCCESS = pac.registerWindowMessage('wakasync.success');
+            const MSG_HTTP_ERROR = pac.registerWindowMessage('wakasync.error');
+            const MSG_HTTP_ABORT = pac.registerWindowMessage('wakasync.abort');
 
             // Attach message constants so components can reference
             // them as wakaSync.MSG_HTTP_SUCCESS etc.
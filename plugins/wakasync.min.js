@@ -1 +1 @@
-!function(){"use strict";function e(){this._requestGroups=new Map,this._interceptorId=0,this.interceptors={request:[],response:[]},this.config={timeout:3e4,retries:0,retryDelay:1e3,retryBackoff:"exponential",retryBackoffMax:3e4,validateStatus:e=>e.ok,responseType:"auto",headers:{}}}e.prototype={constructor:e,createPacPlugin(e){const t=this;let r=0;const o=e.MSG_PLUGIN+512,n=e.MSG_PLUGIN+513,a=e.MSG_PLUGIN+514;function s(s,i,c,l){l=l||{};const u=++r,d=Date.now();return t.request(c,Object.assign({},l,{method:i,groupKey:void 0!==l.groupKey?l.groupKey:s})).then(t=>{const r=Date.now();e.postMessage(s,o,u,0,{data:t,url:c,method:i,timing:{startTime:d,endTime:r,duration:r-d}})}).catch(r=>{if(t.isCancellationError(r))e.postMessage(s,a,u,0,{error:r,url:c,method:i});else{const t=r.response&&r.response.status?r.response.status:0;e.postMessage(s,n,u,t,{error:r,url:c,method:i,status:t,code:r.code||null})}}),u}return this.MSG_HTTP_SUCCESS=o,this.MSG_HTTP_ERROR=n,this.MSG_HTTP_ABORT=a,{onComponentCreated(e,r,o){e[o.wakaSync?.property??"_http"]=((e,r)=>{function o(e){return Object.assign({},r,e,{headers:Object.assign({},r.headers,e&&e.headers)})}function n(e,t){return Object.assign({},r,t,{headers:Object.assign({},r.headers,t&&t.headers),data:e})}return r=r||{},{get:(t,r)=>s(e,"GET",t,o(r)),post:(t,r,o)=>s(e,"POST",t,n(r,o)),put:(t,r,o)=>s(e,"PUT",t,n(r,o)),patch:(t,r,o)=>s(e,"PATCH",t,n(r,o)),delete:(t,r)=>s(e,"DELETE",t,o(r)),head:(t,r)=>s(e,"HEAD",t,o(r)),cancel:()=>{t.cancelGroup(e)}}})(r,o.wakaSync)},onComponentDestroyed:e=>{t.cancelGroup(e)}}},_addInterceptor(e,t){if("function"!=typeof t)throw Error("Interceptor must be a function");const r={id:++this._interceptorId,fn:t};return e.push(r),()=>{const t=e.indexOf(r);-1!==t&&e.splice(t,1)}},addRequestInterceptor(e){return this._addInterceptor(this.interceptors.request,e)},addResponseInterceptor(e){return this._addInterceptor(this.interceptors.response,e)},async request(e,t={}){const r=Date.now();let o=this.validateAndNormalizeConfig(e,t);for(const e of this.interceptors.request)try{const t="function"==typeof e?e:e.fn,r=await t(o);o=void 0!==r?r:o}catch(e){const t=Error("Request interceptor failed");throw t.code="INTERCEPTOR_ERROR",t.originalError=e,t}const n=this.setupRequestState(o);let a=null;o.timeout>0&&(a=setTimeout(()=>{n.controller.signal.aborted||(n.timedOut=!0,n.controller.abort())},o.timeout),n.controller.signal.addEventListener("abort",()=>{clearTimeout(a)},{once:!0}));try{let e=await this.executeWithRetry(o,n),t=await this.processResponse(e,o,n);const a=Date.now(),s={startTime:r,endTime:a,duration:a-r};for(const e of this.interceptors.response)try{const r="function"==typeof e?e:e.fn,n=await r(t,o,s);t=void 0!==n?n:t}catch(e){const t=Error("Response interceptor failed");throw t.code="INTERCEPTOR_ERROR",t.originalError=e,t}return this.handleSuccess(t,o,n)}catch(e){if(n.timedOut&&("AbortError"===e.name||"CancellationError"===e.name)){const e=this.createTaggedCancellationError(`Request timeout after ${o.timeout}ms`,"timeout");return this.handleError(e,o)}return this.handleError(e,o)}finally{null!==a&&clearTimeout(a),this.cleanupRequest(o.groupKey,n.token)}},get(e,t={}){return this.request(e,{...t,method:"GET"})},post(e,t,r={}){return this.request(e,{...r,method:"POST",data:t})},put(e,t,r={}){return this.request(e,{...r,method:"PUT",data:t})},delete(e,t={}){return this.request(e,{...t,method:"DELETE"})},patch(e,t,r={}){return this.request(e,{...r,method:"PATCH",data:t})},head(e,t={}){return this.request(e,{...t,method:"HEAD"})},create(t={},r={}){const o=new e;return o.config={...this.config,...t,headers:{...this.config.headers,...t.headers||{}}},r.copyInterceptors&&(o.interceptors={request:[...this.interceptors.request],response:[...this.interceptors.response]}),o},cancelGroup(e){if(!e)return;const t=this._requestGroups.get(e);t&&t.controller&&!t.controller.signal.aborted&&t.controller.abort()},cancelAll(){this._requestGroups.forEach(e=>{e.controller&&!e.controller.signal.aborted&&e.controller.abort()}),this._requestGroups.clear()},getActiveRequestCount(){let e=0;return this._requestGroups.forEach(t=>{t.controller&&!t.controller.signal.aborted&&e++}),e},validateAndNormalizeConfig(e,t){if(!e||"string"!=typeof e){const e=Error("URL must be a non-empty string");throw e.code="INVALID_URL",e}const r={...this.config,...t,headers:{...this.config.headers,...t.headers||{}}};this.validateCallbacks(r),this.validateAbortControls(r);const{method:o,body:n,bodyIsJson:a}=this.normalizeMethodAndBody(r),s=this.buildHeaders(r,n,a),i=this.buildFetchPassthrough(r);return{url:e,method:o,headers:s,body:n,groupKey:r.groupKey??(r.latestOnly?this.getGroupKeyFromUrl(e,r):null),fetchOptions:i,timeout:Math.max(0,parseInt(r.timeout)||3e4),ignoreAbort:!!r.ignoreAbort,validateStatus:r.validateStatus||(e=>e.ok),responseType:r.responseType||"auto",onSuccess:r.onSuccess,onError:r.onError,onProgress:r.onProgress,abortController:r.abortController,retries:Math.max(0,parseInt(r.retries)||0),retryDelay:Math.max(0,parseInt(r.retryDelay)||1e3),retryBackoff:r.retryBackoff||"exponential",retryBackoffMax:Math.max(0,parseInt(r.retryBackoffMax)||3e4),shouldRetry:r.shouldRetry,urlNormalizer:r.urlNormalizer,baseUrl:r.baseUrl}},validateCallbacks(e){const t=[["onSuccess",e.onSuccess],["onError",e.onError],["onProgress",e.onProgress],["urlNormalizer",e.urlNormalizer],["shouldRetry",e.shouldRetry]];for(const[e,r]of t)if(r&&"function"!=typeof r){const t=Error(e+" must be a function");throw t.code="INVALID_CALLBACK",t}},validateAbortControls(e){if(e.abortController&&"function"!=typeof e.abortController.abort){const e=Error("abortController must have an abort method");throw e.code="INVALID_ABORT_CONTROLLER",e}},normalizeMethodAndBody(e){const t=(e.method||"GET").toUpperCase();if(["GET","HEAD"].includes(t))return{method:t,body:void 0,bodyIsJson:!1};let r,o=!1;return void 0!==e.data&&("string"==typeof e.data||e.data instanceof FormData||e.data instanceof Blob||e.data instanceof ArrayBuffer?r=e.data:(r=JSON.stringify(e.data),o=!0)),{method:t,body:r,bodyIsJson:o}},buildHeaders(e,t,r){const o=new Headers;void 0!==t&&(t instanceof FormData||(t instanceof Blob||t instanceof ArrayBuffer?o.set("Content-Type","application/octet-stream"):o.set("Content-Type",r?"application/json; charset=utf-8":"text/plain; charset=utf-8")));const n=e.headers||{};return Object.keys(n).some(e=>"accept"===e.toLowerCase())||o.set("Accept","application/json, text/plain, */*"),Object.entries(n).forEach(([e,t])=>{o.set(e,t)}),o},buildFetchPassthrough(e){const t={};return["credentials","mode","cache","redirect","referrer","referrerPolicy","integrity","keepalive","priority"].forEach(r=>{void 0!==e[r]&&(t[r]=e[r])}),t},getGroupKeyFromUrl(e,t){return t.urlNormalizer?t.urlNormalizer(e,t):this.normalizeUrlForGrouping(e,t.baseUrl)},normalizeUrlForGrouping(e,t){try{let r;r="undefined"!=typeof globalThis&&globalThis.location?t||globalThis.location.origin:t||"http://localhost";const o=new URL(e,r);o.hash="";const n=new URLSearchParams(o.search),a=new URLSearchParams;return Array.from(new Set(n.keys())).sort().forEach(e=>{n.getAll(e).forEach(t=>{a.append(e,t)})}),o.search=""+a,""+o}catch(e){const t=Error("Invalid URL for request");throw t.code="INVALID_URL",t.originalError=e,t}},setupRequestState(e){const t=this.createCombinedController(e);let r=0;if(e.groupKey){const o=this._requestGroups.get(e.groupKey);o?(o.controller&&!o.controller.signal.aborted&&o.controller.abort(),r=o.token+1):r=1,this._requestGroups.set(e.groupKey,{token:r,controller:t})}return{token:r,controller:t,groupKey:e.groupKey,timedOut:!1}},createCombinedController(e){const t=new AbortController;if(!e.abortController)return t;if("function"==typeof AbortSignal.any){const r=AbortSignal.any([t.signal,e.abortController.signal]);return r.addEventListener("abort",()=>{t.signal.aborted||t.abort(r.reason)},{once:!0}),t}return e.abortController.signal.aborted?t.abort():e.abortController.signal.addEventListener("abort",()=>{t.signal.aborted||t.abort()},{once:!0}),t},async executeWithRetry(e,t){let r;const o=e.retries+1;for(let n=1;n<=o;n++)try{return await this.executeFetch(e,t)}catch(a){if(r=a,this.isCancellationError(a))throw a;if(!(e.shouldRetry?e.shouldRetry(a,n,o):this.defaultShouldRetry(a))||n===o)throw a;const s=this.calculateRetryDelay(e,n,a);s>0&&await this.delayWithAbortCheck(s,t.controller)}throw r},calculateRetryDelay(e,t,r){if(r.response&&429===r.response.status){const t=r.response.headers.get("Retry-After");if(t){const r=parseInt(t,10);if(!isNaN(r))return Math.min(1e3*r,e.retryBackoffMax);const o=Date.parse(t);if(!isNaN(o)){const t=o-Date.now();return Math.min(Math.max(0,t),e.retryBackoffMax)}}}const o=e.retryDelay;switch(e.retryBackoff){case"linear":return Math.min(o*t,e.retryBackoffMax);case"fixed":return o;default:{const r=o*Math.pow(2,t-1),n=.1*r*Math.random();return Math.min(r+n,e.retryBackoffMax)}}},defaultShouldRetry(e){return!this.isCancellationError(e)&&(!!e.network||!!(e.response&&e.response.status>=500)||e.response&&429===e.response.status)},delayWithAbortCheck(e,t){const r=this;return new Promise((o,n)=>{if(t.signal.aborted)return void n(r.createTaggedCancellationError("Request was cancelled during retry delay","cancelled"));function a(){clearTimeout(s),n(r.createTaggedCancellationError("Request was cancelled during retry delay","cancelled"))}const s=setTimeout(()=>{t.signal.removeEventListener("abort",a),o()},e);t.signal.addEventListener("abort",a,{once:!0})})},async executeFetch(e,t){if(t.controller.signal.aborted)throw this.createTaggedCancellationError("Request was cancelled before execution","cancelled");const r={method:e.method,headers:e.headers,body:e.body,signal:t.controller.signal,...e.fetchOptions};try{return await fetch(e.url,r)}catch(e){if("TypeError"===e.name&&!t.controller.signal.aborted){const t=Error(e.message);throw t.name="NetworkError",t.code="NETWORK_ERROR",t.network=!0,t.originalError=e,t}throw e}},async processResponse(e,t,r){if(r.controller.signal.aborted){if(t.ignoreAbort)return;throw this.createTaggedCancellationError("Request was cancelled during processing","cancelled")}if(!t.validateStatus(e)){const t=await this.safeGetResponseText(e),r=Error(`HTTP ${e.status}: ${e.statusText}${t?" - "+t:""}`);throw r.code="HTTP_"+e.status,r.response=e,r}if("HEAD"!==t.method&&![204,205,304].includes(e.status))return this.parseResponse(e,t.responseType)},async parseResponse(e,t){try{switch(t){case"json":return await e.json();case"text":return await e.text();case"blob":return await e.blob();case"response":return e;default:return this.autoParseResponse(e)}}catch(r){const o=Error(`Failed to parse response as ${t}: ${r.message}`);throw o.code="PARSE_ERROR",o.response=e,o.originalError=r,o}},async autoParseResponse(e){const t=e.headers.get("content-type")||"";if("0"!==e.headers.get("content-length")){if(/application\/(.+\+)?json/i.test(t)){const t=await e.text();return t.trim()?JSON.parse(t):void 0}return/^text\//i.test(t)?e.text():e.blob()}},async safeGetResponseText(e,t=512){try{if(e.bodyUsed)return null;const r=e.clone();if(r.body&&"function"==typeof r.body.getReader){const e=r.body.getReader(),o=[];let n=0;try{for(;n<t;){const{done:r,value:a}=await e.read();if(r)break;const s=t-n;a.length>s?(o.push(a.slice(0,s)),n+=s):(o.push(a),n+=a.length)}}finally{await e.cancel()}if(0===o.length)return null;const a=new TextDecoder("utf-8",{fatal:!1});return(o.map(e=>a.decode(e,{stream:!0})).join("")+a.decode()).slice(0,200)}return(await r.text()).slice(0,200)}catch{return null}},handleSuccess(e,t,r){if(r.controller.signal.aborted){if(t.ignoreAbort)return;throw this.createTaggedCancellationError("Request was cancelled","cancelled")}if(t.onSuccess)try{t.onSuccess(e)}catch(e){}return e},handleError(e,t){if(!this.isCancellationError(e)||!t.ignoreAbort){if(t.onError)try{t.onError(e)}catch(e){}throw e}},createTaggedCancellationError(e,t){const r=Error(e);return r.name="CancellationError",r.code="CANCEL_"+t.toUpperCase(),r.cancellationType=t,r},isCancellationError:e=>"AbortError"===e.name||"CancellationError"===e.name||!!e.cancellationType&&["timeout","cancelled","superseded"].includes(e.cancellationType),cleanupRequest(e,t){if(!e)return;const r=this._requestGroups.get(e);r&&r.token===t&&this._requestGroups.delete(e)}},e.VERSION="1.3.0";const t=new e;"undefined"!=typeof module&&module.exports?module.exports={WakaSync:e,wakaSync:t}:"function"==typeof define&&define.amd?define(()=>({WakaSync:e,wakaSync:t})):"undefined"!=typeof window&&(window.WakaSync=e,window.wakaSync=t)}();
\ No newline at end of file
+!function(){"use strict";function e(){this._requestGroups=new Map,this._interceptorId=0,this.interceptors={request:[],response:[]},this.config={timeout:3e4,retries:0,retryDelay:1e3,retryBackoff:"exponential",retryBackoffMax:3e4,validateStatus:e=>e.ok,responseType:"auto",headers:{}}}e.prototype={constructor:e,createPacPlugin(e){const t=this;let r=0;const o=e.registerWindowMessage("wakasync.success"),n=e.registerWindowMessage("wakasync.error"),s=e.registerWindowMessage("wakasync.abort");function a(a,i,c,l){l=l||{};const u=++r,d=Date.now();return t.request(c,Object.assign({},l,{method:i,groupKey:void 0!==l.groupKey?l.groupKey:a})).then(t=>{const r=Date.now();e.postMessage(a,o,u,0,{data:t,url:c,method:i,timing:{startTime:d,endTime:r,duration:r-d}})}).catch(r=>{if(t.isCancellationError(r))e.postMessage(a,s,u,0,{error:r,url:c,method:i});else{const t=r.response&&r.response.status?r.response.status:0;e.postMessage(a,n,u,t,{error:r,url:c,method:i,status:t,code:r.code||null})}}),u}return this.MSG_HTTP_SUCCESS=o,this.MSG_HTTP_ERROR=n,this.MSG_HTTP_ABORT=s,{onComponentCreated(e,r,o){e[o.wakaSync?.property??"_http"]=((e,r)=>{function o(e){return Object.assign({},r,e,{headers:Object.assign({},r.headers,e&&e.headers)})}function n(e,t){return Object.assign({},r,t,{headers:Object.assign({},r.headers,t&&t.headers),data:e})}return r=r||{},{get:(t,r)=>a(e,"GET",t,o(r)),post:(t,r,o)=>a(e,"POST",t,n(r,o)),put:(t,r,o)=>a(e,"PUT",t,n(r,o)),patch:(t,r,o)=>a(e,"PATCH",t,n(r,o)),delete:(t,r)=>a(e,"DELETE",t,o(r)),head:(t,r)=>a(e,"HEAD",t,o(r)),cancel:()=>{t.cancelGroup(e)}}})(r,o.wakaSync)},onComponentDestroyed:e=>{t.cancelGroup(e)}}},_addInterceptor(e,t){if("function"!=typeof t)throw Error("Interceptor must be a function");const r={id:++this._interceptorId,fn:t};return e.push(r),()=>{const t=e.indexOf(r);-1!==t&&e.splice(t,1)}},addRequestInterceptor(e){return this._addInterceptor(this.interceptors.request,e)},addResponseInterceptor(e){return this._addInterceptor(this.interceptors.response,e)},async request(e,t={}){const r=Date.now();let o=this.validateAndNormalizeConfig(e,t);for(const e of this.interceptors.request)try{const t="function"==typeof e?e:e.fn,r=await t(o);o=void 0!==r?r:o}catch(e){const t=Error("Request interceptor failed");throw t.code="INTERCEPTOR_ERROR",t.originalError=e,t}const n=this.setupRequestState(o);let s=null;o.timeout>0&&(s=setTimeout(()=>{n.controller.signal.aborted||(n.timedOut=!0,n.controller.abort())},o.timeout),n.controller.signal.addEventListener("abort",()=>{clearTimeout(s)},{once:!0}));try{let e=await this.executeWithRetry(o,n),t=await this.processResponse(e,o,n);const s=Date.now(),a={startTime:r,endTime:s,duration:s-r};for(const e of this.interceptors.response)try{const r="function"==typeof e?e:e.fn,n=await r(t,o,a);t=void 0!==n?n:t}catch(e){const t=Error("Response interceptor failed");throw t.code="INTERCEPTOR_ERROR",t.originalError=e,t}return this.handleSuccess(t,o,n)}catch(e){if(n.timedOut&&("AbortError"===e.name||"CancellationError"===e.name)){const e=this.createTaggedCancellationError(`Request timeout after ${o.timeout}ms`,"timeout");return this.handleError(e,o)}return this.handleError(e,o)}finally{null!==s&&clearTimeout(s),this.cleanupRequest(o.groupKey,n.token)}},get(e,t={}){return this.request(e,{...t,method:"GET"})},post(e,t,r={}){return this.request(e,{...r,method:"POST",data:t})},put(e,t,r={}){return this.request(e,{...r,method:"PUT",data:t})},delete(e,t={}){return this.request(e,{...t,method:"DELETE"})},patch(e,t,r={}){return this.request(e,{...r,method:"PATCH",data:t})},head(e,t={}){return this.request(e,{...t,method:"HEAD"})},create(t={},r={}){const o=new e;return o.config={...this.config,...t,headers:{...this.config.headers,...t.headers||{}}},r.copyInterceptors&&(o.interceptors={request:[...this.interceptors.request],response:[...this.interceptors.response]}),o},cancelGroup(e){if(!e)return;const t=this._requestGroups.get(e);t&&t.controller&&!t.controller.signal.aborted&&t.controller.abort()},cancelAll(){this._requestGroups.forEach(e=>{e.controller&&!e.controller.signal.aborted&&e.controller.abort()}),this._requestGroups.clear()},getActiveRequestCount(){let e=0;return this._requestGroups.forEach(t=>{t.controller&&!t.controller.signal.aborted&&e++}),e},validateAndNormalizeConfig(e,t){if(!e||"string"!=typeof e){const e=Error("URL must be a non-empty string");throw e.code="INVALID_URL",e}const r={...this.config,...t,headers:{...this.config.headers,...t.headers||{}}};this.validateCallbacks(r),this.validateAbortControls(r);const{method:o,body:n,bodyIsJson:s}=this.normalizeMethodAndBody(r),a=this.buildHeaders(r,n,s),i=this.buildFetchPassthrough(r);return{url:e,method:o,headers:a,body:n,groupKey:r.groupKey??(r.latestOnly?this.getGroupKeyFromUrl(e,r):null),fetchOptions:i,timeout:Math.max(0,parseInt(r.timeout)||3e4),ignoreAbort:!!r.ignoreAbort,validateStatus:r.validateStatus||(e=>e.ok),responseType:r.responseType||"auto",onSuccess:r.onSuccess,onError:r.onError,onProgress:r.onProgress,abortController:r.abortController,retries:Math.max(0,parseInt(r.retries)||0),retryDelay:Math.max(0,parseInt(r.retryDelay)||1e3),retryBackoff:r.retryBackoff||"exponential",retryBackoffMax:Math.max(0,parseInt(r.retryBackoffMax)||3e4),shouldRetry:r.shouldRetry,urlNormalizer:r.urlNormalizer,baseUrl:r.baseUrl}},validateCallbacks(e){const t=[["onSuccess",e.onSuccess],["onError",e.onError],["onProgress",e.onProgress],["urlNormalizer",e.urlNormalizer],["shouldRetry",e.shouldRetry]];for(const[e,r]of t)if(r&&"function"!=typeof r){const t=Error(e+" must be a function");throw t.code="INVALID_CALLBACK",t}},validateAbortControls(e){if(e.abortController&&"function"!=typeof e.abortController.abort){const e=Error("abortController must have an abort method");throw e.code="INVALID_ABORT_CONTROLLER",e}},normalizeMethodAndBody(e){const t=(e.method||"GET").toUpperCase();if(["GET","HEAD"].includes(t))return{method:t,body:void 0,bodyIsJson:!1};let r,o=!1;return void 0!==e.data&&("string"==typeof e.data||e.data instanceof FormData||e.data instanceof Blob||e.data instanceof ArrayBuffer?r=e.data:(r=JSON.stringify(e.data),o=!0)),{method:t,body:r,bodyIsJson:o}},buildHeaders(e,t,r){const o=new Headers;void 0!==t&&(t instanceof FormData||(t instanceof Blob||t instanceof ArrayBuffer?o.set("Content-Type","application/octet-stream"):o.set("Content-Type",r?"application/json; charset=utf-8":"text/plain; charset=utf-8")));const n=e.headers||{};return Object.keys(n).some(e=>"accept"===e.toLowerCase())||o.set("Accept","application/json, text/plain, */*"),Object.entries(n).forEach(([e,t])=>{o.set(e,t)}),o},buildFetchPassthrough(e){const t={};return["credentials","mode","cache","redirect","referrer","referrerPolicy","integrity","keepalive","priority"].forEach(r=>{void 0!==e[r]&&(t[r]=e[r])}),t},getGroupKeyFromUrl(e,t){return t.urlNormalizer?t.urlNormalizer(e,t):this.normalizeUrlForGrouping(e,t.baseUrl)},normalizeUrlForGrouping(e,t){try{let r;r="undefined"!=typeof globalThis&&globalThis.location?t||globalThis.location.origin:t||"http://localhost";const o=new URL(e,r);o.hash="";const n=new URLSearchParams(o.search),s=new URLSearchParams;return Array.from(new Set(n.keys())).sort().forEach(e=>{n.getAll(e).forEach(t=>{s.append(e,t)})}),o.search=""+s,""+o}catch(e){const t=Error("Invalid URL for request");throw t.code="INVALID_URL",t.originalError=e,t}},setupRequestState(e){const t=this.createCombinedController(e);let r=0;if(e.groupKey){const o=this._requestGroups.get(e.groupKey);o?(o.controller&&!o.controller.signal.aborted&&o.controller.abort(),r=o.token+1):r=1,this._requestGroups.set(e.groupKey,{token:r,controller:t})}return{token:r,controller:t,groupKey:e.groupKey,timedOut:!1}},createCombinedController(e){const t=new AbortController;if(!e.abortController)return t;if("function"==typeof AbortSignal.any){const r=AbortSignal.any([t.signal,e.abortController.signal]);return r.addEventListener("abort",()=>{t.signal.aborted||t.abort(r.reason)},{once:!0}),t}return e.abortController.signal.aborted?t.abort():e.abortController.signal.addEventListener("abort",()=>{t.signal.aborted||t.abort()},{once:!0}),t},async executeWithRetry(e,t){let r;const o=e.retries+1;for(let n=1;n<=o;n++)try{return await this.executeFetch(e,t)}catch(s){if(r=s,this.isCancellationError(s))throw s;if(!(e.shouldRetry?e.shouldRetry(s,n,o):this.defaultShouldRetry(s))||n===o)throw s;const a=this.calculateRetryDelay(e,n,s);a>0&&await this.delayWithAbortCheck(a,t.controller)}throw r},calculateRetryDelay(e,t,r){if(r.response&&429===r.response.status){const t=r.response.headers.get("Retry-After");if(t){const r=parseInt(t,10);if(!isNaN(r))return Math.min(1e3*r,e.retryBackoffMax);const o=Date.parse(t);if(!isNaN(o)){const t=o-Date.now();return Math.min(Math.max(0,t),e.retryBackoffMax)}}}const o=e.retryDelay;switch(e.retryBackoff){case"linear":return Math.min(o*t,e.retryBackoffMax);case"fixed":return o;default:{const r=o*Math.pow(2,t-1),n=.1*r*Math.random();return Math.min(r+n,e.retryBackoffMax)}}},defaultShouldRetry(e){return!this.isCancellationError(e)&&(!!e.network||!!(e.response&&e.response.status>=500)||e.response&&429===e.response.status)},delayWithAbortCheck(e,t){const r=this;return new Promise((o,n)=>{if(t.signal.aborted)return void n(r.createTaggedCancellationError("Request was cancelled during retry delay","cancelled"));function s(){clearTimeout(a),n(r.createTaggedCancellationError("Request was cancelled during retry delay","cancelled"))}const a=setTimeout(()=>{t.signal.removeEventListener("abort",s),o()},e);t.signal.addEventListener("abort",s,{once:!0})})},async executeFetch(e,t){if(t.controller.signal.aborted)throw this.createTaggedCancellationError("Request was cancelled before execution","cancelled");const r={method:e.method,headers:e.headers,body:e.body,signal:t.controller.signal,...e.fetchOptions};try{return await fetch(e.url,r)}catch(e){if("TypeError"===e.name&&!t.controller.signal.aborted){const t=Error(e.message);throw t.name="NetworkError",t.code="NETWORK_ERROR",t.network=!0,t.originalError=e,t}throw e}},async processResponse(e,t,r){if(r.controller.signal.aborted){if(t.ignoreAbort)return;throw this.createTaggedCancellationError("Request was cancelled during processing","cancelled")}if(!t.validateStatus(e)){const t=await this.safeGetResponseText(e),r=Error(`HTTP ${e.status}: ${e.statusText}${t?" - "+t:""}`);throw r.code="HTTP_"+e.status,r.response=e,r}if("HEAD"!==t.method&&![204,205,304].includes(e.status))return this.parseResponse(e,t.responseType)},async parseResponse(e,t){try{switch(t){case"json":return await e.json();case"text":return await e.text();case"blob":return await e.blob();case"response":return e;default:return this.autoParseResponse(e)}}catch(r){const o=Error(`Failed to parse response as ${t}: ${r.message}`);throw o.code="PARSE_ERROR",o.response=e,o.originalError=r,o}},async autoParseResponse(e){const t=e.headers.get("content-type")||"";if("0"!==e.headers.get("content-length")){if(/application\/(.+\+)?json/i.test(t)){const t=await e.text();return t.trim()?JSON.parse(t):void 0}return/^text\//i.test(t)?e.text():e.blob()}},async safeGetResponseText(e,t=512){try{if(e.bodyUsed)return null;const r=e.clone();if(r.body&&"function"==typeof r.body.getReader){const e=r.body.getReader(),o=[];let n=0;try{for(;n<t;){const{done:r,value:s}=await e.read();if(r)break;const a=t-n;s.length>a?(o.push(s.slice(0,a)),n+=a):(o.push(s),n+=s.length)}}finally{await e.cancel()}if(0===o.length)return null;const s=new TextDecoder("utf-8",{fatal:!1});return(o.map(e=>s.decode(e,{stream:!0})).join("")+s.decode()).slice(0,200)}return(await r.text()).slice(0,200)}catch{return null}},handleSuccess(e,t,r){if(r.controller.signal.aborted){if(t.ignoreAbort)return;throw this.createTaggedCancellationError("Request was cancelled","cancelled")}if(t.onSuccess)try{t.onSuccess(e)}catch(e){}return e},handleError(e,t){if(!this.isCancellationError(e)||!t.ignoreAbort){if(t.onError)try{t.onError(e)}catch(e){}throw e}},createTaggedCancellationError(e,t){const r=Error(e);return r.name="CancellationError",r.code="CANCEL_"+t.toUpperCase(),r.cancellationType=t,r},isCancellationError:e=>"AbortError"===e.name||"CancellationError"===e.name||!!e.cancellationType&&["timeout","cancelled","superseded"].includes(e.cancellationType),cleanupRequest(e,t){if(!e)return;const r=this._requestGroups.get(e);r&&r.token===t&&this._requestGroups.delete(e)}},e.VERSION="1.3.0";const t=new e;"undefined"!=typeof module&&module.exports?module.exports={WakaSync:e,wakaSync:t}:"function"==typeof define&&define.amd?define(()=>({WakaSync:e,wakaSync:t})):"undefined"!=typeof window&&(window.WakaSync=e,window.wakaSync=t)}();
\ No newline at end of file
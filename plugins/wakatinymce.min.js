@@ -1 +1 @@
-!function(){"use strict";let t=!1;const e=[];let n=null;function s(){for(const t of e)i(t.abstraction,t.pacId,t.pac,t.msgConstants,t.editorConfig);e.length=0}const a=new Map;function i(t,e,n,s,i){const o=n.getContainerByPacId(e);if(!o||!o.isConnected)return;const r=(t=>{if(t instanceof HTMLTextAreaElement)return t;let e=t.querySelector("textarea[data-waka-tinymce-proxy]");return e||(e=document.createElement("textarea"),e.setAttribute("data-waka-tinymce-proxy",""),t.hasAttribute("name")&&(e.name=t.getAttribute("name")),e.value=t.innerHTML.trim(),t.innerHTML="",t.appendChild(e)),e})(o),c={pac:n,editor:null,abstraction:t,msgConstants:s};a.set(e,c),window.tinymce.init({...i,target:r,setup(o){"function"==typeof i.setup&&i.setup(o),o.on("input",()=>{if(!a.has(e))return;const t=o.getContent();n.sendMessage(e,n.MSG_INPUT,0,0,{value:t}),n.sendMessage(e,n.MSG_CHANGE,0,0,{value:t})}),o.on("change",()=>{if(!a.has(e))return;const t=o.getContent();n.sendMessage(e,n.MSG_CHANGE,0,0,{value:t})}),o.on("paste",t=>{if(!a.has(e))return;const s=(t=>{if(!t)return{"text/plain":"","text/html":"","text/rtf":"","text/uri-list":"",uris:[],files:[],types:[]};const e=Array.from(t.types??[]),n=t.getData("text/uri-list")??"",s=n.split(/\r?\n/).filter(t=>t.length>0&&!t.startsWith("#")),a=Array.from(t.files??[]).map(t=>({name:t.name,size:t.size,type:t.type}));return{"text/plain":t.getData("text/plain")??"","text/html":t.getData("text/html")??"","text/rtf":t.getData("text/rtf")??"","text/uri-list":n,uris:s,files:a,types:e}})(t.clipboardData??t.originalEvent?.clipboardData),i=t.originalEvent??t;!1===n.sendMessage(e,n.MSG_PASTE,(i.ctrlKey?n.MK_CONTROL:0)|(i.shiftKey?n.MK_SHIFT:0)|(i.altKey?n.MK_ALT:0),s["text/plain"].length,s)&&t.preventDefault()}),o.on("focus",()=>{n.sendMessage(e,n.MSG_SETFOCUS,0,0)}),o.on("blur",()=>{if(!a.has(e))return;const t=o.getContent();n.sendMessage(e,n.MSG_INPUT_COMPLETE,0,0,{value:t}),n.sendMessage(e,n.MSG_KILLFOCUS,0,0)}),o.on("init",()=>{if(!a.has(e))return void o.remove();c.editor=o;const i=o.getContent();t&&(t.value=i),n.sendMessage(e,s.MSG_EDITOR_READY,0,0,{value:i})})}}).catch(t=>{a.delete(e),n.sendMessage(e,s.MSG_EDITOR_ERROR,0,0,{message:t?.message??"TinyMCE failed to initialize"})})}window.WakaTinyMCE={createPacPlugin(o,r={}){n=r.src?r.src:`https://cdn.tiny.cloud/1/${r.licenseKey??"no-license-key"}/tinymce/7/tinymce.min.js`;const c={};void 0!==r.toolbar&&(c.toolbar=r.toolbar),void 0!==r.plugins&&(c.plugins=r.plugins),void 0!==r.language&&(c.language=r.language),void 0!==r.height&&(c.height=r.height);const d=o.MSG_PLUGIN+512,l=o.MSG_PLUGIN+513;this.MSG_EDITOR_READY=d,this.MSG_EDITOR_ERROR=l;const u={MSG_EDITOR_READY:d,MSG_EDITOR_ERROR:l};return{onComponentCreated(a,r,d){const l=o.getContainerByPacId(r);if(!l)return;const g="waka-tinymce"===l.tagName.toLowerCase(),m=l instanceof HTMLTextAreaElement;if(!m&&!g)return;if(m&&!l.hasAttribute("data-tinymce"))return;const f={...c,...d.tinymce??{}};(()=>{if(window.tinymce)return t=!0,void s();if(document.getElementById("waka-tinymce-script"))return;const a=document.createElement("script");a.id="waka-tinymce-script",a.src=n,a.onload=()=>{if(!window.tinymce){const t="TinyMCE script loaded but window.tinymce is not defined. Use the official CDN URL or a self-hosted tinymce.min.js build.";for(const n of e)n.pac.sendMessage(n.pacId,n.msgConstants.MSG_EDITOR_ERROR,0,0,{message:t});return void(e.length=0)}t=!0,s()},a.onerror=()=>{for(const t of e)t.pac.sendMessage(t.pacId,t.msgConstants.MSG_EDITOR_ERROR,0,0,{message:"TinyMCE script failed to load"});e.length=0},(document.head??document.body).appendChild(a)})(),t?i(a,r,o,u,f):e.push({abstraction:a,pacId:r,pac:o,msgConstants:u,editorConfig:f})},onComponentDestroyed(t){const n=e.findIndex(e=>e.pacId===t);-1!==n&&e.splice(n,1);const s=a.get(t);s&&(a.delete(t),s.editor&&s.editor.remove())}}},getValue:t=>a.get(t)?.editor?.getContent(),setValue(t,e){const n=a.get(t);n?.editor&&n.editor.setContent(e)},focus(t){a.get(t)?.editor?.focus()},setReadOnly(t,e){const n=a.get(t);n?.editor&&n.editor.mode.set(e?"readonly":"design")}},window.wakaTinyMCE=window.WakaTinyMCE}();
\ No newline at end of file
+!function(){"use strict";let e=!1;const t=[];let n=null;function a(){for(const e of t)i(e.abstraction,e.pacId,e.pac,e.msgConstants,e.editorConfig);t.length=0}const s=new Map;function i(e,t,n,a,i){const o=n.getContainerByPacId(t);if(!o||!o.isConnected)return;const r=(e=>{if(e instanceof HTMLTextAreaElement)return e;let t=e.querySelector("textarea[data-waka-tinymce-proxy]");return t||(t=document.createElement("textarea"),t.setAttribute("data-waka-tinymce-proxy",""),e.hasAttribute("name")&&(t.name=e.getAttribute("name")),t.value=e.innerHTML.trim(),e.innerHTML="",e.appendChild(t)),t})(o),c={pac:n,editor:null,abstraction:e,msgConstants:a};s.set(t,c),window.tinymce.init({...i,target:r,setup(o){"function"==typeof i.setup&&i.setup(o),o.on("input",()=>{if(!s.has(t))return;const e=o.getContent();n.sendMessage(t,n.MSG_INPUT,0,0,{value:e}),n.sendMessage(t,n.MSG_CHANGE,0,0,{value:e})}),o.on("change",()=>{if(!s.has(t))return;const e=o.getContent();n.sendMessage(t,n.MSG_CHANGE,0,0,{value:e})}),o.on("paste",e=>{if(!s.has(t))return;const a=(e=>{if(!e)return{"text/plain":"","text/html":"","text/rtf":"","text/uri-list":"",uris:[],files:[],types:[]};const t=Array.from(e.types??[]),n=e.getData("text/uri-list")??"",a=n.split(/\r?\n/).filter(e=>e.length>0&&!e.startsWith("#")),s=Array.from(e.files??[]).map(e=>({name:e.name,size:e.size,type:e.type}));return{"text/plain":e.getData("text/plain")??"","text/html":e.getData("text/html")??"","text/rtf":e.getData("text/rtf")??"","text/uri-list":n,uris:a,files:s,types:t}})(e.clipboardData??e.originalEvent?.clipboardData),i=e.originalEvent??e;!1===n.sendMessage(t,n.MSG_PASTE,(i.ctrlKey?n.MK_CONTROL:0)|(i.shiftKey?n.MK_SHIFT:0)|(i.altKey?n.MK_ALT:0),a["text/plain"].length,a)&&e.preventDefault()}),o.on("focus",()=>{n.sendMessage(t,n.MSG_SETFOCUS,0,0)}),o.on("blur",()=>{if(!s.has(t))return;const e=o.getContent();n.sendMessage(t,n.MSG_INPUT_COMPLETE,0,0,{value:e}),n.sendMessage(t,n.MSG_KILLFOCUS,0,0)}),o.on("init",()=>{if(!s.has(t))return void o.remove();c.editor=o;const i=o.getContent();e&&(e.value=i),n.sendMessage(t,a.MSG_EDITOR_READY,0,0,{value:i})})}}).catch(e=>{s.delete(t),n.sendMessage(t,a.MSG_EDITOR_ERROR,0,0,{message:e?.message??"TinyMCE failed to initialize"})})}window.WakaTinyMCE={createPacPlugin(o,r={}){n=r.src?r.src:`https://cdn.tiny.cloud/1/${r.licenseKey??"no-license-key"}/tinymce/7/tinymce.min.js`;const c={};void 0!==r.toolbar&&(c.toolbar=r.toolbar),void 0!==r.plugins&&(c.plugins=r.plugins),void 0!==r.language&&(c.language=r.language),void 0!==r.height&&(c.height=r.height);const d=o.registerWindowMessage("wakaeditor.ready"),l=o.registerWindowMessage("wakaeditor.error");this.MSG_EDITOR_READY=d,this.MSG_EDITOR_ERROR=l;const g={MSG_EDITOR_READY:d,MSG_EDITOR_ERROR:l};return{onComponentCreated(s,r,d){const l=o.getContainerByPacId(r);if(!l)return;const u="waka-tinymce"===l.tagName.toLowerCase(),m=l instanceof HTMLTextAreaElement;if(!m&&!u)return;if(m&&!l.hasAttribute("data-tinymce"))return;const f={...c,...d.tinymce??{}};(()=>{if(window.tinymce)return e=!0,void a();if(document.getElementById("waka-tinymce-script"))return;const s=document.createElement("script");s.id="waka-tinymce-script",s.src=n,s.onload=()=>{if(!window.tinymce){const e="TinyMCE script loaded but window.tinymce is not defined. Use the official CDN URL or a self-hosted tinymce.min.js build.";for(const n of t)n.pac.sendMessage(n.pacId,n.msgConstants.MSG_EDITOR_ERROR,0,0,{message:e});return void(t.length=0)}e=!0,a()},s.onerror=()=>{for(const e of t)e.pac.sendMessage(e.pacId,e.msgConstants.MSG_EDITOR_ERROR,0,0,{message:"TinyMCE script failed to load"});t.length=0},(document.head??document.body).appendChild(s)})(),e?i(s,r,o,g,f):t.push({abstraction:s,pacId:r,pac:o,msgConstants:g,editorConfig:f})},onComponentDestroyed(e){const n=t.findIndex(t=>t.pacId===e);-1!==n&&t.splice(n,1);const a=s.get(e);a&&(s.delete(e),a.editor&&a.editor.remove())}}},getValue:e=>s.get(e)?.editor?.getContent(),setValue(e,t){const n=s.get(e);n?.editor&&n.editor.setContent(t)},focus(e){s.get(e)?.editor?.focus()},setReadOnly(e,t){const n=s.get(e);n?.editor&&n.editor.mode.set(t?"readonly":"design")}},window.wakaTinyMCE=window.WakaTinyMCE}();
\ No newline at end of file
@@ -194,21 +194,21 @@
 
         createPacPlugin(pac, _options = {}) {
 
-            // Derive message constants from the host's MSG_PLUGIN base.
-            // WakaVideo never hardcodes these values.
-            const MSG_VIDEO_PLAY = pac.MSG_PLUGIN + 0x100;
-            const MSG_VIDEO_PAUSE = pac.MSG_PLUGIN + 0x101;
-            const MSG_VIDEO_ENDED = pac.MSG_PLUGIN + 0x102;
-            const MSG_VIDEO_SEEK = pac.MSG_PLUGIN + 0x103;
-            const MSG_VIDEO_LOADED = pac.MSG_PLUGIN + 0x104;
-            const MSG_VIDEO_CUE_ENTER = pac.MSG_PLUGIN + 0x105;
-            const MSG_VIDEO_CUE_LEAVE = pac.MSG_PLUGIN + 0x106;
-            const MSG_VIDEO_ERROR = pac.MSG_PLUGIN + 0x107;
-            const MSG_VIDEO_VOLUME_CHANGE = pac.MSG_PLUGIN + 0x108;
-            const MSG_VIDEO_RATE_CHANGE = pac.MSG_PLUGIN + 0x109;
-            const MSG_VIDEO_WAITING = pac.MSG_PLUGIN + 0x10A;
-            const MSG_VIDEO_CANPLAY = pac.MSG_PLUGIN + 0x10B;
-            const MSG_VIDEO_TIMEUPDATE = pac.MSG_PLUGIN + 0x10C;
+            // Register message constants by name so they cannot collide with other
+            // plugins. WakaVideo never hardcodes these values.
+            const MSG_VIDEO_PLAY = pac.registerWindowMessage('wakavideo.play');
+            const MSG_VIDEO_PAUSE = pac.registerWindowMessage('wakavideo.pause');
+            const MSG_VIDEO_ENDED = pac.registerWindowMessage('wakavideo.ended');
+            const MSG_VIDEO_SEEK = pac.registerWindowMessage('wakavideo.seek');
+            const MSG_VIDEO_LOADED = pac.registerWindowMessage('wakavideo.loaded');
+            const MSG_VIDEO_CUE_ENTER = pac.registerWindowMessage('wakavideo.cueenter');
+            const MSG_VIDEO_CUE_LEAVE = pac.registerWindowMessage('wakavideo.cueleave');
+            const MSG_VIDEO_ERROR = pac.registerWindowMessage('wakavideo.error');
+            const MSG_VIDEO_VOLUME_CHANGE = pac.registerWindowMessage('wakavideo.volumechange');
+            const MSG_VIDEO_RATE_CHANGE = pac.registerWindowMessage('wakavideo.ratechange');
+            const MSG_VIDEO_WAITING = pac.registerWindowMessage('wakavideo.waiting');
+            const MSG_VIDEO_CANPLAY = pac.registerWindowMessage('wakavideo.canplay');
+            const MSG_VIDEO_TIMEUPDATE = pac.registerWindowMessage('wakavideo.timeupdate');
 
             // Attach message constants so components can reference
             // them as WakaVideo.MSG_VIDEO_PLAY etc.
@@ -1 +1 @@
-!function(){"use strict";const e=new Map,t=new WeakMap;function n(t){return e.get(t)?.video??null}function a(e){return`${e.startTime}:${e.endTime}:${e.text}`}function s(e,t,n){if(t.paused||t.ended)return void(n.rafHandle=null);const a=t.currentTime;n.pac.sendMessage(e,n.msgTimeUpdate,Math.trunc(1e3*a),0,{currentTime:a}),n.rafHandle=requestAnimationFrame(()=>s(e,t,n))}function d(e,t,n){null===n.rafHandle&&(n.rafHandle=requestAnimationFrame(()=>s(e,t,n)))}function i(e){null!==e.rafHandle&&(cancelAnimationFrame(e.rafHandle),e.rafHandle=null)}window.WakaVideo={createPacPlugin(n,a={}){const s=n.MSG_PLUGIN+256,r=n.MSG_PLUGIN+257,o=n.MSG_PLUGIN+258,c=n.MSG_PLUGIN+259,u=n.MSG_PLUGIN+260,m=n.MSG_PLUGIN+261,l=n.MSG_PLUGIN+262,M=n.MSG_PLUGIN+263,g=n.MSG_PLUGIN+264,E=n.MSG_PLUGIN+265,v=n.MSG_PLUGIN+266,h=n.MSG_PLUGIN+267,f=n.MSG_PLUGIN+268;return this.MSG_VIDEO_PLAY=s,this.MSG_VIDEO_PAUSE=r,this.MSG_VIDEO_ENDED=o,this.MSG_VIDEO_SEEK=c,this.MSG_VIDEO_LOADED=u,this.MSG_VIDEO_CUE_ENTER=m,this.MSG_VIDEO_CUE_LEAVE=l,this.MSG_VIDEO_ERROR=M,this.MSG_VIDEO_VOLUME_CHANGE=g,this.MSG_VIDEO_RATE_CHANGE=E,this.MSG_VIDEO_WAITING=v,this.MSG_VIDEO_CANPLAY=h,this.MSG_VIDEO_TIMEUPDATE=f,{onComponentCreated(a,_,G){const T=n.getContainerByPacId(_);if(!(T&&T instanceof HTMLVideoElement))return;const L=T,I={video:L,pac:n,msgVideoError:M,msgCueEnter:m,msgCueLeave:l,msgTimeUpdate:f,cueTrack:null,cueChangeHandler:null,activeCues:new Map,rafHandle:null};function p(){d(_,L,I),n.sendMessage(_,s,0,0)}function C(){i(I),n.sendMessage(_,r,0,0)}function S(){i(I),n.sendMessage(_,o,0,0)}function H(){const e=L.currentTime;n.sendMessage(_,c,Math.trunc(1e3*e),0,{currentTime:e})}function V(){a.duration=L.duration,a.videoWidth=L.videoWidth,a.videoHeight=L.videoHeight,n.sendMessage(_,u,0,0,{duration:L.duration,videoWidth:L.videoWidth,videoHeight:L.videoHeight})}function k(){n.sendMessage(_,g,100*L.volume,L.muted?1:0,{volume:100*L.volume,muted:L.muted})}function D(){n.sendMessage(_,E,0,0,{playbackRate:L.playbackRate})}function N(){n.sendMessage(_,v,0,0)}function P(){n.sendMessage(_,h,0,0)}function U(){if(null===I.rafHandle){const e=L.currentTime;n.sendMessage(_,f,Math.trunc(1e3*e),0,{currentTime:e})}}function w(){n.sendMessage(_,M,L.error?.code??0,0,{message:L.error?"MediaError code "+L.error.code:""})}e.set(_,I),a.duration=NaN,a.videoWidth=null,a.videoHeight=null,L.addEventListener("play",p),L.addEventListener("pause",C),L.addEventListener("ended",S),L.addEventListener("seeked",H),L.addEventListener("loadedmetadata",V),L.addEventListener("volumechange",k),L.addEventListener("ratechange",D),L.addEventListener("waiting",N),L.addEventListener("canplay",P),L.addEventListener("timeupdate",U),L.addEventListener("error",w),L.readyState>=HTMLMediaElement.HAVE_METADATA&&V(),t.set(L,{play:p,pause:C,ended:S,seeked:H,loadedmetadata:V,volumechange:k,ratechange:D,waiting:N,canplay:P,timeupdate:U,error:w})},onComponentDestroyed(n){const a=e.get(n);if(!a)return;i(a),a.cueTrack&&a.cueChangeHandler&&a.cueTrack.removeEventListener("cuechange",a.cueChangeHandler);const s=t.get(a.video);if(s){for(const[e,t]of Object.entries(s))a.video.removeEventListener(e,t);t.delete(a.video)}e.delete(n)}}},play(t){const n=e.get(t);n&&n.video.play().catch(e=>{n.pac.sendMessage(t,n.msgVideoError,0,0,{message:e.message??""})})},pause(e){n(e)?.pause()},seek(e,t){const a=n(e);a&&(a.currentTime=t)},setVolume(e,t){const a=n(e);a&&(a.volume=Math.max(0,Math.min(100,t))/100)},setMuted(e,t){const a=n(e);a&&(a.muted=t)},setPlaybackRate(e,t){const a=n(e);a&&(a.playbackRate=t)},bitBlt(e,t){const a=n(t);a&&e&&e instanceof CanvasRenderingContext2D&&e.drawImage(a,0,0,e.canvas.width,e.canvas.height)},stretchBlt(e,t,a,s,d,i){const r=n(t);r&&e&&e instanceof CanvasRenderingContext2D&&e.drawImage(r,0,0,r.videoWidth,r.videoHeight,a,s,d,i)},addCue(t,n,s,d){const i=e.get(t);i&&("number"!=typeof n||"number"!=typeof s||s<=n||(i.cueTrack||(i.cueTrack=i.video.addTextTrack("metadata","waka-cues","zxx"),i.cueTrack.mode="hidden",i.cueChangeHandler=()=>((e,t)=>{const n=new Map;for(const e of t.cueTrack.activeCues??[])n.set(a(e),e);for(const[a,s]of n)t.activeCues.has(a)||t.pac.sendMessage(e,t.msgCueEnter,0,0,{startTime:s.startTime,endTime:s.endTime,text:s.text});for(const[a,s]of t.activeCues)n.has(a)||t.pac.sendMessage(e,t.msgCueLeave,0,0,{startTime:s.startTime,endTime:s.endTime,text:s.text});t.activeCues=n})(t,i),i.cueTrack.addEventListener("cuechange",i.cueChangeHandler)),i.cueTrack.addCue(new VTTCue(n,s,d))))}},window.wakaVideo=window.WakaVideo}();
\ No newline at end of file
+!function(){"use strict";const e=new Map,a=new WeakMap;function t(a){return e.get(a)?.video??null}function n(e){return`${e.startTime}:${e.endTime}:${e.text}`}function s(e,a,t){if(a.paused||a.ended)return void(t.rafHandle=null);const n=a.currentTime;t.pac.sendMessage(e,t.msgTimeUpdate,Math.trunc(1e3*n),0,{currentTime:n}),t.rafHandle=requestAnimationFrame(()=>s(e,a,t))}function i(e,a,t){null===t.rafHandle&&(t.rafHandle=requestAnimationFrame(()=>s(e,a,t)))}function d(e){null!==e.rafHandle&&(cancelAnimationFrame(e.rafHandle),e.rafHandle=null)}window.WakaVideo={createPacPlugin(t,n={}){const s=t.registerWindowMessage("wakavideo.play"),r=t.registerWindowMessage("wakavideo.pause"),o=t.registerWindowMessage("wakavideo.ended"),c=t.registerWindowMessage("wakavideo.seek"),u=t.registerWindowMessage("wakavideo.loaded"),g=t.registerWindowMessage("wakavideo.cueenter"),l=t.registerWindowMessage("wakavideo.cueleave"),v=t.registerWindowMessage("wakavideo.error"),m=t.registerWindowMessage("wakavideo.volumechange"),M=t.registerWindowMessage("wakavideo.ratechange"),E=t.registerWindowMessage("wakavideo.waiting"),h=t.registerWindowMessage("wakavideo.canplay"),w=t.registerWindowMessage("wakavideo.timeupdate");return this.MSG_VIDEO_PLAY=s,this.MSG_VIDEO_PAUSE=r,this.MSG_VIDEO_ENDED=o,this.MSG_VIDEO_SEEK=c,this.MSG_VIDEO_LOADED=u,this.MSG_VIDEO_CUE_ENTER=g,this.MSG_VIDEO_CUE_LEAVE=l,this.MSG_VIDEO_ERROR=v,this.MSG_VIDEO_VOLUME_CHANGE=m,this.MSG_VIDEO_RATE_CHANGE=M,this.MSG_VIDEO_WAITING=E,this.MSG_VIDEO_CANPLAY=h,this.MSG_VIDEO_TIMEUPDATE=w,{onComponentCreated(n,f,T){const k=t.getContainerByPacId(f);if(!(k&&k instanceof HTMLVideoElement))return;const p=k,_={video:p,pac:t,msgVideoError:v,msgCueEnter:g,msgCueLeave:l,msgTimeUpdate:w,cueTrack:null,cueChangeHandler:null,activeCues:new Map,rafHandle:null};function C(){i(f,p,_),t.sendMessage(f,s,0,0)}function H(){d(_),t.sendMessage(f,r,0,0)}function V(){d(_),t.sendMessage(f,o,0,0)}function L(){const e=p.currentTime;t.sendMessage(f,c,Math.trunc(1e3*e),0,{currentTime:e})}function W(){n.duration=p.duration,n.videoWidth=p.videoWidth,n.videoHeight=p.videoHeight,t.sendMessage(f,u,0,0,{duration:p.duration,videoWidth:p.videoWidth,videoHeight:p.videoHeight})}function D(){t.sendMessage(f,m,100*p.volume,p.muted?1:0,{volume:100*p.volume,muted:p.muted})}function I(){t.sendMessage(f,M,0,0,{playbackRate:p.playbackRate})}function A(){t.sendMessage(f,E,0,0)}function y(){t.sendMessage(f,h,0,0)}function O(){if(null===_.rafHandle){const e=p.currentTime;t.sendMessage(f,w,Math.trunc(1e3*e),0,{currentTime:e})}}function G(){t.sendMessage(f,v,p.error?.code??0,0,{message:p.error?"MediaError code "+p.error.code:""})}e.set(f,_),n.duration=NaN,n.videoWidth=null,n.videoHeight=null,p.addEventListener("play",C),p.addEventListener("pause",H),p.addEventListener("ended",V),p.addEventListener("seeked",L),p.addEventListener("loadedmetadata",W),p.addEventListener("volumechange",D),p.addEventListener("ratechange",I),p.addEventListener("waiting",A),p.addEventListener("canplay",y),p.addEventListener("timeupdate",O),p.addEventListener("error",G),p.readyState>=HTMLMediaElement.HAVE_METADATA&&W(),a.set(p,{play:C,pause:H,ended:V,seeked:L,loadedmetadata:W,volumechange:D,ratechange:I,waiting:A,canplay:y,timeupdate:O,error:G})},onComponentDestroyed(t){const n=e.get(t);if(!n)return;d(n),n.cueTrack&&n.cueChangeHandler&&n.cueTrack.removeEventListener("cuechange",n.cueChangeHandler);const s=a.get(n.video);if(s){for(const[e,a]of Object.entries(s))n.video.removeEventListener(e,a);a.delete(n.video)}e.delete(t)}}},play(a){const t=e.get(a);t&&t.video.play().catch(e=>{t.pac.sendMessage(a,t.msgVideoError,0,0,{message:e.message??""})})},pause(e){t(e)?.pause()},seek(e,a){const n=t(e);n&&(n.currentTime=a)},setVolume(e,a){const n=t(e);n&&(n.volume=Math.max(0,Math.min(100,a))/100)},setMuted(e,a){const n=t(e);n&&(n.muted=a)},setPlaybackRate(e,a){const n=t(e);n&&(n.playbackRate=a)},bitBlt(e,a){const n=t(a);n&&e&&e instanceof CanvasRenderingContext2D&&e.drawImage(n,0,0,e.canvas.width,e.canvas.height)},stretchBlt(e,a,n,s,i,d){const r=t(a);r&&e&&e instanceof CanvasRenderingContext2D&&e.drawImage(r,0,0,r.videoWidth,r.videoHeight,n,s,i,d)},addCue(a,t,s,i){const d=e.get(a);d&&("number"!=typeof t||"number"!=typeof s||s<=t||(d.cueTrack||(d.cueTrack=d.video.addTextTrack("metadata","waka-cues","zxx"),d.cueTrack.mode="hidden",d.cueChangeHandler=()=>((e,a)=>{const t=new Map;for(const e of a.cueTrack.activeCues??[])t.set(n(e),e);for(const[n,s]of t)a.activeCues.has(n)||a.pac.sendMessage(e,a.msgCueEnter,0,0,{startTime:s.startTime,endTime:s.endTime,text:s.text});for(const[n,s]of a.activeCues)t.has(n)||a.pac.sendMessage(e,a.msgCueLeave,0,0,{startTime:s.startTime,endTime:s.endTime,text:s.text});a.activeCues=t})(a,d),d.cueTrack.addEventListener("cuechange",d.cueChangeHandler)),d.cueTrack.addCue(new VTTCue(t,s,i))))}},window.wakaVideo=window.WakaVideo}();
\ No newline at end of file
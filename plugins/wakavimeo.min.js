@@ -1 +1 @@
-!function(){"use strict";let e=!1,t=!1;const s=[],a=new Map;function n(e,t,s,n,o,i){const d=n.getContainerByPacId(t);if(!d||!d.isConnected)return;if(a.has(t))return;const r=Number(s);if(!Number.isFinite(r))return void n.sendMessage(t,o.MSG_VIDEO_ERROR,0,0,{message:`Invalid Vimeo video ID: "${s}"`});if(!window.Vimeo?.Player)return void n.sendMessage(t,o.MSG_VIDEO_ERROR,0,0,{message:"Vimeo Player SDK is not available"});const _=new Vimeo.Player(d,{id:r,dnt:!0,...i});a.set(t,{pac:n,player:_,abstraction:e,msgConstants:o}),_.on("loaded",()=>{Promise.all([_.getDuration(),_.getVideoWidth(),_.getVideoHeight()]).then(([s,a,i])=>{e.duration=s,e.videoWidth=a,e.videoHeight=i,n.sendMessage(t,o.MSG_VIDEO_LOADED,0,0,{duration:s,videoWidth:a,videoHeight:i})}).catch(e=>{n.sendMessage(t,o.MSG_VIDEO_ERROR,0,0,{message:e.message??"Error reading video metadata"})})}),_.on("timeupdate",e=>{const s=e.seconds;n.sendMessage(t,o.MSG_VIDEO_TIMEUPDATE,Math.trunc(1e3*s),0,{currentTime:s})}),_.on("play",()=>{n.sendMessage(t,o.MSG_VIDEO_PLAY,0,0)}),_.on("pause",e=>{n.sendMessage(t,o.MSG_VIDEO_PAUSE,0,0)}),_.on("ended",e=>{n.sendMessage(t,o.MSG_VIDEO_ENDED,0,0)}),_.on("seeked",e=>{const s=e.seconds;n.sendMessage(t,o.MSG_VIDEO_SEEK,Math.trunc(1e3*s),0,{currentTime:s})}),_.on("volumechange",e=>{const s=100*e.volume;n.sendMessage(t,o.MSG_VIDEO_VOLUME_CHANGE,s,e.muted?1:0,{volume:s,muted:e.muted})}),_.on("playbackratechange",e=>{n.sendMessage(t,o.MSG_VIDEO_RATE_CHANGE,0,0,{playbackRate:e.playbackRate})}),_.on("bufferstart",()=>{n.sendMessage(t,o.MSG_VIDEO_WAITING,0,0)}),_.on("bufferend",()=>{n.sendMessage(t,o.MSG_VIDEO_CANPLAY,0,0)}),_.on("error",e=>{n.sendMessage(t,o.MSG_VIDEO_ERROR,0,0,{message:e.message??"Unknown Vimeo error"})})}window.WakaVimeo={createPacPlugin(o,i={}){const d=o.MSG_PLUGIN+256,r=o.MSG_PLUGIN+257,_=o.MSG_PLUGIN+258,c=o.MSG_PLUGIN+259,E=o.MSG_PLUGIN+260,M=o.MSG_PLUGIN+263,I=o.MSG_PLUGIN+264,G=o.MSG_PLUGIN+265,m=o.MSG_PLUGIN+266,D=o.MSG_PLUGIN+267,S=o.MSG_PLUGIN+268;this.MSG_VIDEO_PLAY=d,this.MSG_VIDEO_PAUSE=r,this.MSG_VIDEO_ENDED=_,this.MSG_VIDEO_SEEK=c,this.MSG_VIDEO_LOADED=E,this.MSG_VIDEO_ERROR=M,this.MSG_VIDEO_VOLUME_CHANGE=I,this.MSG_VIDEO_RATE_CHANGE=G,this.MSG_VIDEO_WAITING=m,this.MSG_VIDEO_CANPLAY=D,this.MSG_VIDEO_TIMEUPDATE=S;const O={MSG_VIDEO_PLAY:d,MSG_VIDEO_PAUSE:r,MSG_VIDEO_ENDED:_,MSG_VIDEO_SEEK:c,MSG_VIDEO_LOADED:E,MSG_VIDEO_ERROR:M,MSG_VIDEO_VOLUME_CHANGE:I,MSG_VIDEO_RATE_CHANGE:G,MSG_VIDEO_WAITING:m,MSG_VIDEO_CANPLAY:D,MSG_VIDEO_TIMEUPDATE:S},V={controls:i.controls??!1,speed:i.speed??!1,transparent:i.transparent??!0};return{onComponentCreated(a,i,d){const r=o.getContainerByPacId(i);if(!r)return;const _=r.tagName.toLowerCase();if(!(r instanceof HTMLDivElement)&&"waka-vimeo"!==_)return;const c=r.dataset.vimeoId;if(!c||!Number.isFinite(Number(c)))return;const E={...V,...d.vimeo??{}};a.duration=NaN,a.videoWidth=null,a.videoHeight=null,(()=>{if(e||t)return;t=!0;const a=document.createElement("script");a.id="waka-vimeo-api-script",a.src="https://player.vimeo.com/api/player.js",a.onload=()=>{e=!0;for(const e of s)n(e.abstraction,e.pacId,e.videoId,e.pac,e.msgConstants,e.embedOptions);s.length=0},a.onerror=()=>{for(const e of s)e.pac.sendMessage(e.pacId,e.msgConstants.MSG_VIDEO_ERROR,0,0,{message:"Vimeo Player SDK failed to load"});s.length=0},(document.head??document.body).appendChild(a)})(),e?n(a,i,c,o,O,E):s.push({abstraction:a,pacId:i,videoId:c,pac:o,msgConstants:O,embedOptions:E})},onComponentDestroyed(e){const t=s.findIndex(t=>t.pacId===e);-1!==t&&s.splice(t,1);const n=a.get(e);n&&(n.player.destroy().catch(()=>{}),a.delete(e))}}},play(e){const t=a.get(e);t&&t.player.play().catch(s=>{t.pac.sendMessage(e,t.msgConstants.MSG_VIDEO_ERROR,0,0,{message:s.message??"Play failed"})})},pause(e){const t=a.get(e);t&&t.player.pause().catch(e=>{})},seek(e,t){const s=a.get(e);s&&("number"!=typeof t||Number.isNaN(t)||s.player.setCurrentTime(Math.max(0,t)).catch(e=>{}))},setVolume(e,t){const s=a.get(e);s&&s.player.setVolume(Math.max(0,Math.min(100,t))/100).catch(e=>{})},setMuted(e,t){const s=a.get(e);s&&s.player.setMuted(!!t).catch(e=>{})},setPlaybackRate(e,t){const s=a.get(e);s&&("number"!=typeof t||Number.isNaN(t)||s.player.setPlaybackRate(Math.min(2,Math.max(.5,t))).catch(e=>{}))}},window.wakaVimeo=window.WakaVimeo}();
\ No newline at end of file
+!function(){"use strict";let e=!1,s=!1;const a=[],t=new Map;function n(e,s,a,n,o,i){const d=n.getContainerByPacId(s);if(!d||!d.isConnected)return;if(t.has(s))return;const r=Number(a);if(!Number.isFinite(r))return void n.sendMessage(s,o.MSG_VIDEO_ERROR,0,0,{message:`Invalid Vimeo video ID: "${a}"`});if(!window.Vimeo?.Player)return void n.sendMessage(s,o.MSG_VIDEO_ERROR,0,0,{message:"Vimeo Player SDK is not available"});const c=new Vimeo.Player(d,{id:r,dnt:!0,...i});t.set(s,{pac:n,player:c,abstraction:e,msgConstants:o}),c.on("loaded",()=>{Promise.all([c.getDuration(),c.getVideoWidth(),c.getVideoHeight()]).then(([a,t,i])=>{e.duration=a,e.videoWidth=t,e.videoHeight=i,n.sendMessage(s,o.MSG_VIDEO_LOADED,0,0,{duration:a,videoWidth:t,videoHeight:i})}).catch(e=>{n.sendMessage(s,o.MSG_VIDEO_ERROR,0,0,{message:e.message??"Error reading video metadata"})})}),c.on("timeupdate",e=>{const a=e.seconds;n.sendMessage(s,o.MSG_VIDEO_TIMEUPDATE,Math.trunc(1e3*a),0,{currentTime:a})}),c.on("play",()=>{n.sendMessage(s,o.MSG_VIDEO_PLAY,0,0)}),c.on("pause",e=>{n.sendMessage(s,o.MSG_VIDEO_PAUSE,0,0)}),c.on("ended",e=>{n.sendMessage(s,o.MSG_VIDEO_ENDED,0,0)}),c.on("seeked",e=>{const a=e.seconds;n.sendMessage(s,o.MSG_VIDEO_SEEK,Math.trunc(1e3*a),0,{currentTime:a})}),c.on("volumechange",e=>{const a=100*e.volume;n.sendMessage(s,o.MSG_VIDEO_VOLUME_CHANGE,a,e.muted?1:0,{volume:a,muted:e.muted})}),c.on("playbackratechange",e=>{n.sendMessage(s,o.MSG_VIDEO_RATE_CHANGE,0,0,{playbackRate:e.playbackRate})}),c.on("bufferstart",()=>{n.sendMessage(s,o.MSG_VIDEO_WAITING,0,0)}),c.on("bufferend",()=>{n.sendMessage(s,o.MSG_VIDEO_CANPLAY,0,0)}),c.on("error",e=>{n.sendMessage(s,o.MSG_VIDEO_ERROR,0,0,{message:e.message??"Unknown Vimeo error"})})}window.WakaVimeo={createPacPlugin(o,i={}){const d=o.registerWindowMessage("wakavideo.play"),r=o.registerWindowMessage("wakavideo.pause"),c=o.registerWindowMessage("wakavideo.ended"),E=o.registerWindowMessage("wakavideo.seek"),M=o.registerWindowMessage("wakavideo.loaded"),_=o.registerWindowMessage("wakavideo.error"),g=o.registerWindowMessage("wakavideo.volumechange"),m=o.registerWindowMessage("wakavideo.ratechange"),D=o.registerWindowMessage("wakavideo.waiting"),I=o.registerWindowMessage("wakavideo.canplay"),l=o.registerWindowMessage("wakavideo.timeupdate");this.MSG_VIDEO_PLAY=d,this.MSG_VIDEO_PAUSE=r,this.MSG_VIDEO_ENDED=c,this.MSG_VIDEO_SEEK=E,this.MSG_VIDEO_LOADED=M,this.MSG_VIDEO_ERROR=_,this.MSG_VIDEO_VOLUME_CHANGE=g,this.MSG_VIDEO_RATE_CHANGE=m,this.MSG_VIDEO_WAITING=D,this.MSG_VIDEO_CANPLAY=I,this.MSG_VIDEO_TIMEUPDATE=l;const u={MSG_VIDEO_PLAY:d,MSG_VIDEO_PAUSE:r,MSG_VIDEO_ENDED:c,MSG_VIDEO_SEEK:E,MSG_VIDEO_LOADED:M,MSG_VIDEO_ERROR:_,MSG_VIDEO_VOLUME_CHANGE:g,MSG_VIDEO_RATE_CHANGE:m,MSG_VIDEO_WAITING:D,MSG_VIDEO_CANPLAY:I,MSG_VIDEO_TIMEUPDATE:l},O={controls:i.controls??!1,speed:i.speed??!1,transparent:i.transparent??!0};return{onComponentCreated(t,i,d){const r=o.getContainerByPacId(i);if(!r)return;const c=r.tagName.toLowerCase();if(!(r instanceof HTMLDivElement)&&"waka-vimeo"!==c)return;const E=r.dataset.vimeoId;if(!E||!Number.isFinite(Number(E)))return;const M={...O,...d.vimeo??{}};t.duration=NaN,t.videoWidth=null,t.videoHeight=null,(()=>{if(e||s)return;s=!0;const t=document.createElement("script");t.id="waka-vimeo-api-script",t.src="https://player.vimeo.com/api/player.js",t.onload=()=>{e=!0;for(const e of a)n(e.abstraction,e.pacId,e.videoId,e.pac,e.msgConstants,e.embedOptions);a.length=0},t.onerror=()=>{for(const e of a)e.pac.sendMessage(e.pacId,e.msgConstants.MSG_VIDEO_ERROR,0,0,{message:"Vimeo Player SDK failed to load"});a.length=0},(document.head??document.body).appendChild(t)})(),e?n(t,i,E,o,u,M):a.push({abstraction:t,pacId:i,videoId:E,pac:o,msgConstants:u,embedOptions:M})},onComponentDestroyed(e){const s=a.findIndex(s=>s.pacId===e);-1!==s&&a.splice(s,1);const n=t.get(e);n&&(n.player.destroy().catch(()=>{}),t.delete(e))}}},play(e){const s=t.get(e);s&&s.player.play().catch(a=>{s.pac.sendMessage(e,s.msgConstants.MSG_VIDEO_ERROR,0,0,{message:a.message??"Play failed"})})},pause(e){const s=t.get(e);s&&s.player.pause().catch(e=>{})},seek(e,s){const a=t.get(e);a&&("number"!=typeof s||Number.isNaN(s)||a.player.setCurrentTime(Math.max(0,s)).catch(e=>{}))},setVolume(e,s){const a=t.get(e);a&&a.player.setVolume(Math.max(0,Math.min(100,s))/100).catch(e=>{})},setMuted(e,s){const a=t.get(e);a&&a.player.setMuted(!!s).catch(e=>{})},setPlaybackRate(e,s){const a=t.get(e);a&&("number"!=typeof s||Number.isNaN(s)||a.player.setPlaybackRate(Math.min(2,Math.max(.5,s))).catch(e=>{}))}},window.wakaVimeo=window.WakaVimeo}();
\ No newline at end of file
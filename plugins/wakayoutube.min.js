@@ -1 +1 @@
-!function(){"use strict";let e=!1;const t=[],a=new Map;function n(e,t){if(null===t.rafHandle)return;const a=t.player.getCurrentTime();t.pac.sendMessage(e,t.msgConstants.MSG_VIDEO_TIMEUPDATE,Math.trunc(1e3*a),0,{currentTime:a}),t.rafHandle=requestAnimationFrame(()=>n(e,t))}function s(e,t){null===t.rafHandle&&(t.rafHandle=requestAnimationFrame(()=>n(e,t)))}function o(e){null!==e.rafHandle&&(cancelAnimationFrame(e.rafHandle),e.rafHandle=null)}const r={2:"Invalid video ID or parameter",5:"HTML5 playback error",100:"Video not found or has been removed",101:"Embedding not allowed for this video",150:"Embedding not allowed for this video"};function d(e,t){if(t.loadedFired)return;t.loadedFired=!0;const{pac:a,player:n,abstraction:s,msgConstants:o}=t;s.duration=n.getDuration(),a.sendMessage(e,o.MSG_VIDEO_LOADED,0,0,{duration:s.duration})}function i(e,t,n,i,u,c){const _=i.getContainerByPacId(t);if(!_||!_.isConnected)return;const E={pac:i,player:null,abstraction:e,msgConstants:u,rafHandle:null,prevState:-1,loadedFired:!1};a.set(t,E),E.player=new YT.Player(_,{host:"https://www.youtube-nocookie.com",videoId:n,playerVars:c,events:{onStateChange(e){((e,t,a)=>{const{pac:n,msgConstants:r}=t;switch(a){case 1:d(e,t),3===t.prevState&&n.sendMessage(e,r.MSG_VIDEO_CANPLAY,0,0),s(e,t),n.sendMessage(e,r.MSG_VIDEO_PLAY,0,0);break;case 2:o(t),n.sendMessage(e,r.MSG_VIDEO_PAUSE,0,0);break;case 0:o(t),n.sendMessage(e,r.MSG_VIDEO_ENDED,0,0);break;case 3:o(t),n.sendMessage(e,r.MSG_VIDEO_WAITING,0,0);break;case 5:d(e,t);break;case-1:t.loadedFired=!1}t.prevState=a})(t,E,e.data)},onError(e){i.sendMessage(t,u.MSG_VIDEO_ERROR,e.data,0,{message:r[e.data]??"Unknown YouTube error"})}}})}window.WakaYouTube={createPacPlugin(n,s={}){const r={controls:s.controls??0,rel:s.rel??0},d=n.MSG_PLUGIN+256,u=n.MSG_PLUGIN+257,c=n.MSG_PLUGIN+258,_=n.MSG_PLUGIN+259,E=n.MSG_PLUGIN+260,l=n.MSG_PLUGIN+263,M=n.MSG_PLUGIN+264,I=n.MSG_PLUGIN+266,G=n.MSG_PLUGIN+267,p=n.MSG_PLUGIN+268;this.MSG_VIDEO_PLAY=d,this.MSG_VIDEO_PAUSE=u,this.MSG_VIDEO_ENDED=c,this.MSG_VIDEO_SEEK=_,this.MSG_VIDEO_LOADED=E,this.MSG_VIDEO_ERROR=l,this.MSG_VIDEO_VOLUME_CHANGE=M,this.MSG_VIDEO_WAITING=I,this.MSG_VIDEO_CANPLAY=G,this.MSG_VIDEO_TIMEUPDATE=p;const m={MSG_VIDEO_PLAY:d,MSG_VIDEO_PAUSE:u,MSG_VIDEO_ENDED:c,MSG_VIDEO_SEEK:_,MSG_VIDEO_LOADED:E,MSG_VIDEO_ERROR:l,MSG_VIDEO_VOLUME_CHANGE:M,MSG_VIDEO_WAITING:I,MSG_VIDEO_CANPLAY:G,MSG_VIDEO_TIMEUPDATE:p};return{onComponentCreated(a,s,o){const d=n.getContainerByPacId(s);if(!d)return;const u=d.tagName.toLowerCase();if(!(d instanceof HTMLDivElement)&&"waka-youtube"!==u)return;const c=d.dataset.youtubeId;if(!c)return;const _={...r,...o.youtube??{},enablejsapi:1};a.duration=NaN,(()=>{if(document.getElementById("waka-youtube-api-script"))return;const a=window.onYouTubeIframeAPIReady;window.onYouTubeIframeAPIReady=()=>{"function"==typeof a&&a(),e=!0;for(const e of t)i(e.abstraction,e.pacId,e.videoId,e.pac,e.msgConstants,e.playerVars);t.length=0};const n=document.createElement("script");n.id="waka-youtube-api-script",n.src="https://www.youtube.com/iframe_api",n.onerror=()=>{for(const e of t)e.pac.sendMessage(e.pacId,e.msgConstants.MSG_VIDEO_ERROR,0,0,{message:"YouTube IFrame API failed to load"});t.length=0},(document.head??document.body).appendChild(n)})(),e?i(a,s,c,n,m,_):t.push({abstraction:a,pacId:s,videoId:c,pac:n,msgConstants:m,playerVars:_})},onComponentDestroyed(e){const n=t.findIndex(t=>t.pacId===e);-1!==n&&t.splice(n,1);const s=a.get(e);s&&(o(s),s.player.destroy(),a.delete(e))}}},play(e){a.get(e)?.player?.playVideo()},pause(e){a.get(e)?.player?.pauseVideo()},seek(e,t){const n=a.get(e);if(!n)return;if("number"!=typeof t||Number.isNaN(t))return;const s=n.player.getDuration(),o=Math.max(0,s>0?Math.min(t,s):t);n.player.seekTo(o,!0),n.pac.sendMessage(e,n.msgConstants.MSG_VIDEO_SEEK,Math.trunc(1e3*o),0,{currentTime:o})},setVolume(e,t){const n=a.get(e);if(!n)return;const s=Math.max(0,Math.min(100,t)),o=n.player.isMuted()?1:0;n.player.setVolume(s),n.pac.sendMessage(e,n.msgConstants.MSG_VIDEO_VOLUME_CHANGE,s,o,{volume:s,muted:!!o})},setMuted(e,t){const n=a.get(e);if(!n)return;(t=!!t)?n.player.mute():n.player.unMute();const s=n.player.getVolume();n.pac.sendMessage(e,n.msgConstants.MSG_VIDEO_VOLUME_CHANGE,s,t?1:0,{volume:s,muted:t})}},window.wakaYouTube=window.WakaYouTube}();
\ No newline at end of file
+!function(){"use strict";let e=!1;const a=[],t=new Map;function n(e,a){if(null===a.rafHandle)return;const t=a.player.getCurrentTime();a.pac.sendMessage(e,a.msgConstants.MSG_VIDEO_TIMEUPDATE,Math.trunc(1e3*t),0,{currentTime:t}),a.rafHandle=requestAnimationFrame(()=>n(e,a))}function s(e,a){null===a.rafHandle&&(a.rafHandle=requestAnimationFrame(()=>n(e,a)))}function o(e){null!==e.rafHandle&&(cancelAnimationFrame(e.rafHandle),e.rafHandle=null)}const r={2:"Invalid video ID or parameter",5:"HTML5 playback error",100:"Video not found or has been removed",101:"Embedding not allowed for this video",150:"Embedding not allowed for this video"};function i(e,a){if(a.loadedFired)return;a.loadedFired=!0;const{pac:t,player:n,abstraction:s,msgConstants:o}=a;s.duration=n.getDuration(),t.sendMessage(e,o.MSG_VIDEO_LOADED,0,0,{duration:s.duration})}function d(e,a,n,d,u,c){const l=d.getContainerByPacId(a);if(!l||!l.isConnected)return;const E={pac:d,player:null,abstraction:e,msgConstants:u,rafHandle:null,prevState:-1,loadedFired:!1};t.set(a,E),E.player=new YT.Player(l,{host:"https://www.youtube-nocookie.com",videoId:n,playerVars:c,events:{onStateChange(e){((e,a,t)=>{const{pac:n,msgConstants:r}=a;switch(t){case 1:i(e,a),3===a.prevState&&n.sendMessage(e,r.MSG_VIDEO_CANPLAY,0,0),s(e,a),n.sendMessage(e,r.MSG_VIDEO_PLAY,0,0);break;case 2:o(a),n.sendMessage(e,r.MSG_VIDEO_PAUSE,0,0);break;case 0:o(a),n.sendMessage(e,r.MSG_VIDEO_ENDED,0,0);break;case 3:o(a),n.sendMessage(e,r.MSG_VIDEO_WAITING,0,0);break;case 5:i(e,a);break;case-1:a.loadedFired=!1}a.prevState=t})(a,E,e.data)},onError(e){d.sendMessage(a,u.MSG_VIDEO_ERROR,e.data,0,{message:r[e.data]??"Unknown YouTube error"})}}})}window.WakaYouTube={createPacPlugin(n,s={}){const r={controls:s.controls??0,rel:s.rel??0},i=n.registerWindowMessage("wakavideo.play"),u=n.registerWindowMessage("wakavideo.pause"),c=n.registerWindowMessage("wakavideo.ended"),l=n.registerWindowMessage("wakavideo.seek"),E=n.registerWindowMessage("wakavideo.loaded"),M=n.registerWindowMessage("wakavideo.error"),_=n.registerWindowMessage("wakavideo.volumechange"),g=n.registerWindowMessage("wakavideo.waiting"),p=n.registerWindowMessage("wakavideo.canplay"),I=n.registerWindowMessage("wakavideo.timeupdate");this.MSG_VIDEO_PLAY=i,this.MSG_VIDEO_PAUSE=u,this.MSG_VIDEO_ENDED=c,this.MSG_VIDEO_SEEK=l,this.MSG_VIDEO_LOADED=E,this.MSG_VIDEO_ERROR=M,this.MSG_VIDEO_VOLUME_CHANGE=_,this.MSG_VIDEO_WAITING=g,this.MSG_VIDEO_CANPLAY=p,this.MSG_VIDEO_TIMEUPDATE=I;const m={MSG_VIDEO_PLAY:i,MSG_VIDEO_PAUSE:u,MSG_VIDEO_ENDED:c,MSG_VIDEO_SEEK:l,MSG_VIDEO_LOADED:E,MSG_VIDEO_ERROR:M,MSG_VIDEO_VOLUME_CHANGE:_,MSG_VIDEO_WAITING:g,MSG_VIDEO_CANPLAY:p,MSG_VIDEO_TIMEUPDATE:I};return{onComponentCreated(t,s,o){const i=n.getContainerByPacId(s);if(!i)return;const u=i.tagName.toLowerCase();if(!(i instanceof HTMLDivElement)&&"waka-youtube"!==u)return;const c=i.dataset.youtubeId;if(!c)return;const l={...r,...o.youtube??{},enablejsapi:1};t.duration=NaN,(()=>{if(document.getElementById("waka-youtube-api-script"))return;const t=window.onYouTubeIframeAPIReady;window.onYouTubeIframeAPIReady=()=>{"function"==typeof t&&t(),e=!0;for(const e of a)d(e.abstraction,e.pacId,e.videoId,e.pac,e.msgConstants,e.playerVars);a.length=0};const n=document.createElement("script");n.id="waka-youtube-api-script",n.src="https://www.youtube.com/iframe_api",n.onerror=()=>{for(const e of a)e.pac.sendMessage(e.pacId,e.msgConstants.MSG_VIDEO_ERROR,0,0,{message:"YouTube IFrame API failed to load"});a.length=0},(document.head??document.body).appendChild(n)})(),e?d(t,s,c,n,m,l):a.push({abstraction:t,pacId:s,videoId:c,pac:n,msgConstants:m,playerVars:l})},onComponentDestroyed(e){const n=a.findIndex(a=>a.pacId===e);-1!==n&&a.splice(n,1);const s=t.get(e);s&&(o(s),s.player.destroy(),t.delete(e))}}},play(e){t.get(e)?.player?.playVideo()},pause(e){t.get(e)?.player?.pauseVideo()},seek(e,a){const n=t.get(e);if(!n)return;if("number"!=typeof a||Number.isNaN(a))return;const s=n.player.getDuration(),o=Math.max(0,s>0?Math.min(a,s):a);n.player.seekTo(o,!0),n.pac.sendMessage(e,n.msgConstants.MSG_VIDEO_SEEK,Math.trunc(1e3*o),0,{currentTime:o})},setVolume(e,a){const n=t.get(e);if(!n)return;const s=Math.max(0,Math.min(100,a)),o=n.player.isMuted()?1:0;n.player.setVolume(s),n.pac.sendMessage(e,n.msgConstants.MSG_VIDEO_VOLUME_CHANGE,s,o,{volume:s,muted:!!o})},setMuted(e,a){const n=t.get(e);if(!n)return;(a=!!a)?n.player.mute():n.player.unMute();const s=n.player.getVolume();n.pac.sendMessage(e,n.msgConstants.MSG_VIDEO_VOLUME_CHANGE,s,a?1:0,{volume:s,muted:a})}},window.wakaYouTube=window.WakaYouTube}();
\ No newline at end of file
@@ -20,6 +20,7 @@
  * ║                                                                                      ║
  * ║  Namespaced:  {{ DateUtils.formatShort(date) }}                                      ║
  * ║  Flat:        {{ formatShort(date) }}  (requires data-pac-uses="DateUtils")          ║
+ * ║  Filter:      {{ date | ago }}         (requires data-pac-uses="DateUtils")          ║
  * ║                                                                                      ║
  * ╚══════════════════════════════════════════════════════════════════════════════════════╝
  */
@@ -60,6 +61,14 @@
                 /** Unit namespace — accessible in binds as dateUtils.fn() */
                 name: 'DateUtils',
 
+                /** Filter aliases — usable as {{ date | ago }} with data-pac-uses="DateUtils" */
+                filters: {
+                    ago: 'fromNow',
+                    date: 'formatMedium',
+                    time: 'formatTime',
+                    datetime: 'formatDateTime'
+                },
+
                 functions: {
                     /**
                      * Formats a date as a short locale date string (e.g. "29-3-2026" in nl-NL).
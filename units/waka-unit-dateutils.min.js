@@ -1 +1 @@
-(()=>{"use strict";function t(t){if(!t&&0!==t)return null;const e=t instanceof Date?t:new Date(t);return isNaN(e.getTime())?null:e}function e(t){return new Date(t.getTime())}window.DateUtils={createPacPlugin(n,r){const a=r.locale??navigator.language;return{name:"DateUtils",functions:{formatShort:e=>{const n=t(e);return n?new Intl.DateTimeFormat(a,{dateStyle:"short"}).format(n):""},formatMedium:e=>{const n=t(e);return n?new Intl.DateTimeFormat(a,{dateStyle:"medium"}).format(n):""},formatLong:e=>{const n=t(e);return n?new Intl.DateTimeFormat(a,{dateStyle:"long"}).format(n):""},formatDateTime:e=>{const n=t(e);return n?new Intl.DateTimeFormat(a,{dateStyle:"medium",timeStyle:"short"}).format(n):""},formatTime:e=>{const n=t(e);return n?new Intl.DateTimeFormat(a,{timeStyle:"short"}).format(n):""},fromNow:e=>{const n=t(e);if(!n)return"";const r=new Intl.RelativeTimeFormat(a,{numeric:"auto"}),o=n.getTime()-Date.now(),s=Math.round(o/1e3),u=Math.round(s/60),m=Math.round(u/60),l=Math.round(m/24),i=Math.round(l/30.44),c=Math.round(l/365.25);return Math.abs(s)<60?r.format(s,"second"):Math.abs(u)<60?r.format(u,"minute"):Math.abs(m)<24?r.format(m,"hour"):Math.abs(l)<30?r.format(l,"day"):Math.abs(i)<12?r.format(i,"month"):r.format(c,"year")},year:e=>{const n=t(e);return n?n.getFullYear():null},month:e=>{const n=t(e);return n?n.getMonth()+1:null},day:e=>{const n=t(e);return n?n.getDate():null},monthName:e=>{const n=t(e);return n?new Intl.DateTimeFormat(a,{month:"long"}).format(n):""},weekday:e=>{const n=t(e);return n?new Intl.DateTimeFormat(a,{weekday:"long"}).format(n):""},today:()=>{const t=new Date;return t.setHours(0,0,0,0),t},now:()=>new Date,isPast:e=>{const n=t(e);return!!n&&n.getTime()<Date.now()},isFuture:e=>{const n=t(e);return!!n&&n.getTime()>Date.now()},isSameDay:(e,n)=>{const r=t(e),a=t(n);return!(!r||!a)&&r.getFullYear()===a.getFullYear()&&r.getMonth()===a.getMonth()&&r.getDate()===a.getDate()},diffDays:(e,n)=>{const r=t(e),a=t(n);return r&&a?Math.round((a.getTime()-r.getTime())/864e5):null},addDays:(n,r)=>{const a=t(n);if(!a)return null;const o=e(a);return o.setDate(o.getDate()+r),o},addMonths:(n,r)=>{const a=t(n);if(!a)return null;const o=e(a),s=o.getMonth()+r;return o.setDate(1),o.setMonth(s),o.setDate(Math.min(a.getDate(),new Date(o.getFullYear(),o.getMonth()+1,0).getDate())),o},addYears:(n,r)=>{const a=t(n);if(!a)return null;const o=e(a),s=o.getFullYear()+r;return o.setDate(1),o.setFullYear(s),o.setDate(Math.min(a.getDate(),new Date(s,o.getMonth()+1,0).getDate())),o},startOf:(n,r)=>{const a=t(n);if(!a)return null;const o=e(a);switch(r){case"day":return o.setHours(0,0,0,0),o;case"week":{const t=o.getDay(),e=0===t?-6:1-t;return o.setDate(o.getDate()+e),o.setHours(0,0,0,0),o}case"month":return o.setDate(1),o.setHours(0,0,0,0),o;case"year":return o.setMonth(0,1),o.setHours(0,0,0,0),o;default:return null}},endOf:(n,r)=>{const a=t(n);if(!a)return null;const o=e(a);switch(r){case"day":return o.setHours(23,59,59,999),o;case"week":{const t=o.getDay(),e=0===t?0:7-t;return o.setDate(o.getDate()+e),o.setHours(23,59,59,999),o}case"month":return o.setMonth(o.getMonth()+1,0),o.setHours(23,59,59,999),o;case"year":return o.setMonth(11,31),o.setHours(23,59,59,999),o;default:return null}},isBetween:(e,n,r)=>{const a=t(e),o=t(n),s=t(r);return!!(a&&o&&s)&&a.getTime()>=o.getTime()&&a.getTime()<=s.getTime()},isWeekend:e=>{const n=t(e);if(!n)return!1;const r=n.getDay();return 0===r||6===r},weekNumber:n=>{const r=t(n);if(!r)return null;const a=e(r);a.setHours(0,0,0,0),a.setDate(a.getDate()+3-(a.getDay()+6)%7);const o=new Date(a.getFullYear(),0,4);return 1+Math.round(((a.getTime()-o.getTime())/864e5-3+(o.getDay()+6)%7)/7)},quarter:e=>{const n=t(e);return n?Math.ceil((n.getMonth()+1)/3):null},yearsBetween:(e,n)=>{const r=t(e),a=t(n);return r&&a?Math.trunc((a.getTime()-r.getTime())/315576e5):null},monthsBetween:(e,n)=>{const r=t(e),a=t(n);return r&&a?Math.trunc((a.getTime()-r.getTime())/26298e5):null},weeksBetween:(e,n)=>{const r=t(e),a=t(n);return r&&a?Math.trunc((a.getTime()-r.getTime())/6048e5):null}}}}}})();
\ No newline at end of file
+(()=>{"use strict";function t(t){if(!t&&0!==t)return null;const e=t instanceof Date?t:new Date(t);return isNaN(e.getTime())?null:e}function e(t){return new Date(t.getTime())}window.DateUtils={createPacPlugin(n,r){const a=r.locale??navigator.language;return{name:"DateUtils",filters:{ago:"fromNow",date:"formatMedium",time:"formatTime",datetime:"formatDateTime"},functions:{formatShort:e=>{const n=t(e);return n?new Intl.DateTimeFormat(a,{dateStyle:"short"}).format(n):""},formatMedium:e=>{const n=t(e);return n?new Intl.DateTimeFormat(a,{dateStyle:"medium"}).format(n):""},formatLong:e=>{const n=t(e);return n?new Intl.DateTimeFormat(a,{dateStyle:"long"}).format(n):""},formatDateTime:e=>{const n=t(e);return n?new Intl.DateTimeFormat(a,{dateStyle:"medium",timeStyle:"short"}).format(n):""},formatTime:e=>{const n=t(e);return n?new Intl.DateTimeFormat(a,{timeStyle:"short"}).format(n):""},fromNow:e=>{const n=t(e);if(!n)return"";const r=new Intl.RelativeTimeFormat(a,{numeric:"auto"}),o=n.getTime()-Date.now(),s=Math.round(o/1e3),u=Math.round(s/60),m=Math.round(u/60),l=Math.round(m/24),i=Math.round(l/30.44),c=Math.round(l/365.25);return Math.abs(s)<60?r.format(s,"second"):Math.abs(u)<60?r.format(u,"minute"):Math.abs(m)<24?r.format(m,"hour"):Math.abs(l)<30?r.format(l,"day"):Math.abs(i)<12?r.format(i,"month"):r.format(c,"year")},year:e=>{const n=t(e);return n?n.getFullYear():null},month:e=>{const n=t(e);return n?n.getMonth()+1:null},day:e=>{const n=t(e);return n?n.getDate():null},monthName:e=>{const n=t(e);return n?new Intl.DateTimeFormat(a,{month:"long"}).format(n):""},weekday:e=>{const n=t(e);return n?new Intl.DateTimeFormat(a,{weekday:"long"}).format(n):""},today:()=>{const t=new Date;return t.setHours(0,0,0,0),t},now:()=>new Date,isPast:e=>{const n=t(e);return!!n&&n.getTime()<Date.now()},isFuture:e=>{const n=t(e);return!!n&&n.getTime()>Date.now()},isSameDay:(e,n)=>{const r=t(e),a=t(n);return!(!r||!a)&&r.getFullYear()===a.getFullYear()&&r.getMonth()===a.getMonth()&&r.getDate()===a.getDate()},diffDays:(e,n)=>{const r=t(e),a=t(n);return r&&a?Math.round((a.getTime()-r.getTime())/864e5):null},addDays:(n,r)=>{const a=t(n);if(!a)return null;const o=e(a);return o.setDate(o.getDate()+r),o},addMonths:(n,r)=>{const a=t(n);if(!a)return null;const o=e(a),s=o.getMonth()+r;return o.setDate(1),o.setMonth(s),o.setDate(Math.min(a.getDate(),new Date(o.getFullYear(),o.getMonth()+1,0).getDate())),o},addYears:(n,r)=>{const a=t(n);if(!a)return null;const o=e(a),s=o.getFullYear()+r;return o.setDate(1),o.setFullYear(s),o.setDate(Math.min(a.getDate(),new Date(s,o.getMonth()+1,0).getDate())),o},startOf:(n,r)=>{const a=t(n);if(!a)return null;const o=e(a);switch(r){case"day":return o.setHours(0,0,0,0),o;case"week":{const t=o.getDay(),e=0===t?-6:1-t;return o.setDate(o.getDate()+e),o.setHours(0,0,0,0),o}case"month":return o.setDate(1),o.setHours(0,0,0,0),o;case"year":return o.setMonth(0,1),o.setHours(0,0,0,0),o;default:return null}},endOf:(n,r)=>{const a=t(n);if(!a)return null;const o=e(a);switch(r){case"day":return o.setHours(23,59,59,999),o;case"week":{const t=o.getDay(),e=0===t?0:7-t;return o.setDate(o.getDate()+e),o.setHours(23,59,59,999),o}case"month":return o.setMonth(o.getMonth()+1,0),o.setHours(23,59,59,999),o;case"year":return o.setMonth(11,31),o.setHours(23,59,59,999),o;default:return null}},isBetween:(e,n,r)=>{const a=t(e),o=t(n),s=t(r);return!!(a&&o&&s)&&a.getTime()>=o.getTime()&&a.getTime()<=s.getTime()},isWeekend:e=>{const n=t(e);if(!n)return!1;const r=n.getDay();return 0===r||6===r},weekNumber:n=>{const r=t(n);if(!r)return null;const a=e(r);a.setHours(0,0,0,0),a.setDate(a.getDate()+3-(a.getDay()+6)%7);const o=new Date(a.getFullYear(),0,4);return 1+Math.round(((a.getTime()-o.getTime())/864e5-3+(o.getDay()+6)%7)/7)},quarter:e=>{const n=t(e);return n?Math.ceil((n.getMonth()+1)/3):null},yearsBetween:(e,n)=>{const r=t(e),a=t(n);return r&&a?Math.trunc((a.getTime()-r.getTime())/315576e5):null},monthsBetween:(e,n)=>{const r=t(e),a=t(n);return r&&a?Math.trunc((a.getTime()-r.getTime())/26298e5):null},weeksBetween:(e,n)=>{const r=t(e),a=t(n);return r&&a?Math.trunc((a.getTime()-r.getTime())/6048e5):null}}}}}})();
\ No newline at end of file
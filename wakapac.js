@@ -60,6 +60,15 @@
      */
     const _unitNames = new WeakMap();
 
+    /**
+     * Filter alias registries keyed by unit name.
+     * Populated by plugins that return a `filters` object (alias → function name)
+     * from createPacPlugin(). Aliases are usable as flat pipe filters in components
+     * that import the unit through data-pac-uses ({{ created | ago }}).
+     * @type {Map<string, Object>}
+     */
+    const _unitFilters = new Map();
+
     /**
      * Registered message hooks, installed via wakaPAC.installMessageHook().
      * Each entry holds a handle (for removal) and the hook function.
@@ -82,6 +91,29 @@
      */
     let _nextHookHandle = 1;
 
+    /**
+     * Installed component subclasses, keyed by the handle returned from
+     * wakaPAC.subclassComponent(). Maps each handle to the Runtime whose
+     * msgProc it wraps so unsubclassComponent() can find it again.
+     * @type {Map<number, Runtime>}
+     */
+    const _subclasses = new Map();
+
+    /**
+     * Monotonically increasing counter used to generate unique subclass handles.
+     * Handles are never reused, like hook handles.
+     * @type {number}
+     */
+    let _nextSubclassHandle = 1;
+
+    /**
+     * True while an error is being routed through the error boundaries.
+     * An onError hook, MSG_ERROR handler or global sink that throws again is
+     * only logged, so a broken boundary cannot recurse into itself.
+     * @type {boolean}
+     */
+    let _reportingError = false;
+
     /**
      * The shared BroadcastChannel instance used for cross-tab messaging.
      * Created eagerly at framework startup so every tab can receive cross-tab
@@ -112,6 +144,14 @@
      */
     const FOREACH_INDEX_REGEX = /pac-foreach-item:\s*([^,]+),\s*index=(\d+),\s*renderIndex=(\d+)/;
 
+    /**
+     * Splits a keyed foreach expression into its array expression and key path
+     * Format: "items by id" or "rows[1].cells by meta.uuid"
+     * Captures: [arrayExpression, keyPath]
+     * @type {RegExp}
+     */
+    const FOREACH_KEY_REGEX = /^(.+?)\s+by\s+([A-Za-z_$][\w$]*(?:\.[A-Za-z_$][\w$]*)*)\s*$/;
+
     /**
      * Matches wp-if comment directives
      * Format: <!-- wp-if: expression --> or <!-- /wp-if --> or <!-- wp-else -->
@@ -143,6 +183,9 @@
     /** Attribute for partial definition elements: <script type="text/template" data-pac-partial="name"> */
     const PAC_PARTIAL_ATTR = 'data-pac-partial';
 
+    /** Attribute marking the <template> in which renderToString() keeps the original markup */
+    const PAC_SSR_TEMPLATE_ATTR = 'data-pac-ssr';
+
     /** Custom event names dispatched on PAC containers */
     const EV_PAC_EVENT = 'pac:event';
     const EV_PAC_CHANGE = 'pac:change';
@@ -205,6 +248,13 @@
      */
     let cachedKeyNames = null;
 
+    /**
+     * Reverse mapping cache from built-in message ids to their MSG_* constant names.
+     * Populated on first use, like cachedKeyNames.
+     * @type {Object<number, string>|null}
+     */
+    let cachedMessageNames = null;
+
     /**
      * The wheel delta constant (120 units per notch is Win32 standard)
      * @type {number}
@@ -257,9 +307,12 @@
     const MSG_TIMER = 0x0113;
     const MSG_MOUSEWHEEL = 0x020A;
     const MSG_GESTURE = 0x0250;
+    const MSG_TOUCHGESTURE = 0x0119;
     const MSG_FOREACH_REBUILT = 0x0400;
+    const MSG_ERROR = 0x0401;
     const MSG_USER = 0x1000;
     const MSG_PLUGIN = 0x2000;
+    const MSG_REGISTERED = 0xC000;
 
     /**
      * Mouse message types whose target should resolve to the nearest control
@@ -279,7 +332,7 @@
         MSG_CONTEXTMENU,
         MSG_MOUSEMOVE, MSG_MOUSEWHEEL,
         MSG_DRAGENTER, MSG_DRAGLEAVE, MSG_DRAGOVER, MSG_DROP,
-        MSG_GESTURE
+        MSG_GESTURE, MSG_TOUCHGESTURE
     ]);
 
     /**
@@ -314,6 +367,35 @@
     const SIZE_HIDDEN     = 1; // Element became hidden (width/height = 0)
     const SIZE_FULLSCREEN = 2; // Element entered fullscreen mode
 
+    /**
+     * MSG_ACCEL command ids handled by components created with the history option.
+     * Values match the MFC ID_EDIT_UNDO/ID_EDIT_REDO command ids, well clear of
+     * the small ids applications typically assign to their own commands.
+     * @type {number}
+     */
+    const ID_EDIT_UNDO = 0xE12B;
+    const ID_EDIT_REDO = 0xE12C;
+
+    /**
+     * MSG_TOUCHGESTURE gesture ids, carried in wParam. GID_ZOOM and GID_ROTATE keep
+     * their Win32 WM_GESTURE values; the others have no Win32 equivalent and are
+     * numbered clear of the Win32 range.
+     * @type {number}
+     */
+    const GID_ZOOM      = 3;    // Two-finger pinch; extended.scale is relative to the start
+    const GID_ROTATE    = 5;    // Two-finger rotate; extended.rotation in degrees, clockwise
+    const GID_LONGPRESS = 0x10; // Finger held still for LONG_PRESS_TIME
+    const GID_SWIPE     = 0x11; // Quick stroke; extended.direction and extended.velocity
+    const GID_DOUBLETAP = 0x12; // Two taps in quick succession
+
+    /**
+     * MSG_TOUCHGESTURE flags for continuous gestures (zoom, rotate), carried in
+     * extended.flags. Intermediate updates carry neither flag.
+     * @type {number}
+     */
+    const GF_BEGIN = 0x01;
+    const GF_END   = 0x04;
+
     /**
      * Win32 Virtual Key codes
      * Hex values match Win32 API virtual key code identifiers
@@ -712,6 +794,17 @@
             return proto === null || Object.getPrototypeOf(proto) === null;
         },
 
+        /**
+         * Returns true if the given value is an `async function`. Ordinary functions
+         * that happen to return a promise are not detected — they cannot be told
+         * apart without calling them.
+         * @param {*} value - The value to check
+         * @returns {boolean}
+         */
+        isAsyncFunction(value) {
+            return typeof value === 'function' && value.constructor?.name === 'AsyncFunction';
+        },
+
         /**
          * Gets a nested property value from an object using dot and bracket notation
          * @param {object} obj - The object to read from
@@ -1044,6 +1137,58 @@
             return keyNames;
         },
 
+        /**
+         * Builds the reverse message name mapping once for caching.
+         * @returns {Object<number, string>}
+         */
+        buildCachedMessageNames() {
+            const messageNames = {};
+
+            // Add all exported MSG constants. The first name wins, so aliases
+            // exported after the canonical constant do not replace it.
+            for (const key in wakaPAC) {
+                if (key.startsWith('MSG_') && typeof wakaPAC[key] === 'number' && !(wakaPAC[key] in messageNames)) {
+                    messageNames[wakaPAC[key]] = key;
+                }
+            }
+
+            return messageNames;
+        },
+
+        /**
+         * Retrieves a string that represents the name of a message, for logging and debugging.
+         * Registered messages return the name they were registered under, built-in messages
+         * their MSG_* constant name, and hand-numbered messages are shown relative to
+         * MSG_USER / MSG_PLUGIN.
+         * @param {number} messageId
+         * @returns {string}
+         */
+        getMessageName(messageId) {
+            const registered = MessageRegistry.getName(messageId);
+
+            if (registered !== null) {
+                return registered;
+            }
+
+            if (cachedMessageNames === null) {
+                cachedMessageNames = this.buildCachedMessageNames();
+            }
+
+            if (Object.prototype.hasOwnProperty.call(cachedMessageNames, messageId)) {
+                return cachedMessageNames[messageId];
+            }
+
+            if (messageId >= MSG_PLUGIN && messageId < MSG_REGISTERED) {
+                return 'MSG_PLUGIN+' + (messageId - MSG_PLUGIN);
+            }
+
+            if (messageId >= MSG_USER && messageId < MSG_PLUGIN) {
+                return 'MSG_USER+' + (messageId - MSG_USER);
+            }
+
+            return '0x' + messageId.toString(16).toUpperCase().padStart(4, '0');
+        },
+
         /**
          * Retrieves a string that represents the name of a key.
          * @param {number} keyCode
@@ -1288,8 +1433,41 @@
             } else {
                 _units.set(plugin.name, plugin.functions);
                 _unitNames.set(library, plugin.name);
+                _registerUnitFilters(plugin);
             }
         }
+
+        // A plugin may replace the sanitizer used by the html binding
+        if (typeof plugin.sanitizeHtml === 'function') {
+            HtmlSanitizer.custom = plugin.sanitizeHtml;
+        }
+    }
+
+    /**
+     * Resolves a plugin's `filters` map (alias → name of one of its functions)
+     * to the functions themselves and stores them under the unit name.
+     * Aliases pointing to unknown functions are skipped with a warning.
+     * @param {Object} plugin - Plugin descriptor returned by createPacPlugin()
+     */
+    function _registerUnitFilters(plugin) {
+        if (!Utils.isPlainObject(plugin.filters)) {
+            return;
+        }
+
+        const filters = {};
+
+        Object.keys(plugin.filters).forEach(alias => {
+            const fn = plugin.functions[plugin.filters[alias]];
+
+            if (typeof fn !== 'function') {
+                console.warn(`WakaPAC: filter "${alias}" of unit "${plugin.name}" references unknown function "${plugin.filters[alias]}"`);
+                return;
+            }
+
+            filters[alias] = fn;
+        });
+
+        _unitFilters.set(plugin.name, filters);
     }
 
     // ========================================================================
@@ -2410,6 +2588,13 @@
                     self.dispatchMouseMessage(MSG_MOUSEMOVE, event, container);
                 }
             });
+
+            // Multi-touch gestures (pinch, rotate, long-press, swipe, double-tap) are
+            // recognized from pointer events for containers that opted in
+            document.addEventListener('pointerdown', event => TouchGestureRecognizer.pointerDown(event));
+            document.addEventListener('pointermove', event => TouchGestureRecognizer.pointerMove(event));
+            document.addEventListener('pointerup', event => TouchGestureRecognizer.pointerUp(event));
+            document.addEventListener('pointercancel', event => TouchGestureRecognizer.pointerUp(event));
         },
 
         /**
@@ -2427,6 +2612,7 @@
              */
             window.addEventListener('blur', function() {
                 self._repeatCounts.clear();
+                _cancelAcceleratorChord();
             });
 
             // Key down (with MSG_CHAR for printable characters)
@@ -3182,11 +3368,14 @@
          * Equivalent to the Win32 DispatchMessage() path with WH_CALLWNDPROC hooks active.
          * @param {HTMLElement} container - Target PAC container element
          * @param {CustomEvent} event - PAC message event created by createPacMessage()
+         * @returns {*} The value msgProc returned (event.lResult), or undefined when the
+         *   message was not handled. A hook that swallows a message may set event.lResult
+         *   itself to answer on the container's behalf.
          */
         dispatchToContainer(container, event) {
             // Bail out if no container was resolved
             if (!container) {
-                return;
+                return undefined;
             }
 
             // Stamp the container onto the event so hooks and handlers always know the pacId.
@@ -3233,6 +3422,9 @@
             // to container.dispatchEvent(), making the overhead a single function call and
             // an index bounds check — negligible for high-frequency messages like MSG_MOUSEMOVE.
             callNextHookEx();
+
+            // Hand the message result back to synchronous callers such as sendMessage()
+            return event.lResult;
         },
 
         /**
@@ -3836,7 +4028,7 @@
         _parseStack: [],
 
         OPERATOR_PRECEDENCE: {
-            '||': 1, '&&': 2,
+            '??': 1, '||': 2, '&&': 3,
             '===': 6, '!==': 6, '==': 6, '!=': 6,
             '<': 7, '>': 7, '<=': 7, '>=': 7,
             '+': 8, '-': 8, '*': 9, '/': 9, '%': 9,
@@ -3844,7 +4036,7 @@
         },
 
         OPERATOR_TYPES: {
-            '||': 'logical', '&&': 'logical',
+            '??': 'logical', '||': 'logical', '&&': 'logical',
             '===': 'comparison', '!==': 'comparison', '==': 'comparison', '!=': 'comparison',
             '>=': 'comparison', '<=': 'comparison', '>': 'comparison', '<': 'comparison',
             '+': 'arithmetic', '-': 'arithmetic', '*': 'arithmetic', '/': 'arithmetic',
@@ -3868,7 +4060,8 @@
             '[': 'LBRACKET',
             ']': 'RBRACKET',
             ',': 'COMMA',
-            '.': 'DOT'
+            '.': 'DOT',
+            '|': 'PIPE'
         },
 
         /**
@@ -3902,7 +4095,7 @@
                 }
 
                 // Add dependencies to the result
-                return this.parseTernary();
+                return this.parsePipe();
             } finally {
                 // Always restore the previous frame, even if an exception was thrown
                 const frame = this._parseStack.pop();
@@ -3945,8 +4138,23 @@
                     continue;
                 }
 
+                // Optional chaining. Like JavaScript, "?." followed by a digit is a
+                // ternary with a decimal operand (a?.5:1), not an optional access.
+                if (char === '?' && expression[i + 1] === '.' && !/\d/.test(expression[i + 2])) {
+                    tokens.push({ type: 'OPTIONAL_CHAIN', value: '?.' });
+                    i += 2;
+                    continue;
+                }
+
+                // Arrow of a lambda (i => i.done)
+                if (char === '=' && expression[i + 1] === '>') {
+                    tokens.push({ type: 'ARROW', value: '=>' });
+                    i += 2;
+                    continue;
+                }
+
                 // Multi-character operators
-                const multiChar = /^(===|!==|==|!=|>=|<=|&&|\|\|)/.exec(expression.slice(i));
+                const multiChar = /^(===|!==|==|!=|>=|<=|&&|\|\||\?\?)/.exec(expression.slice(i));
 
                 if (multiChar) {
                     const op = multiChar[1];
@@ -4090,6 +4298,63 @@
             return this.OPERATOR_PRECEDENCE[operator] || 0;
         },
 
+        /**
+         * Parses filter pipes (value | filter | Unit.filter(arg)). The pipe binds looser
+         * than every other operator, so the filters apply to the whole expression on
+         * their left — "a ? b : c | upper" upper-cases whichever branch was taken.
+         * Each filter is a function name or a Unit.function reference, optionally
+         * followed by an argument list; the piped value is passed as the first argument.
+         * @returns {Object|null} Pipe AST node or lower precedence expression
+         * @throws {Error} When a filter is not a (qualified) function reference
+         */
+        parsePipe() {
+            let expr = this.parseTernary();
+
+            while (this.match('PIPE')) {
+                expr = {
+                    type: 'pipe',
+                    input: expr,
+                    filter: this.parseFilter()
+                };
+            }
+
+            return expr;
+        },
+
+        /**
+         * Parses the filter on the right-hand side of a pipe into a
+         * { unit, name, arguments } descriptor. `unit` is null for flat filters.
+         * @returns {{unit: string|null, name: string, arguments: Array}}
+         * @throws {Error} When the filter is not a (qualified) function reference
+         */
+        parseFilter() {
+            const node = this.check('IDENTIFIER') ? this.parsePropertyAccess() : null;
+
+            switch (node && node.type) {
+                case 'identifier':
+                    return { unit: null, name: node.name, arguments: [] };
+
+                case 'call':
+                    return { unit: null, name: node.name, arguments: node.arguments };
+
+                case 'member':
+                    if (node.object.type === 'identifier' && !node.optional) {
+                        return { unit: node.object.name, name: node.property, arguments: [] };
+                    }
+
+                    break;
+
+                case 'qualified_call':
+                    if (!node.optional) {
+                        return { unit: node.unit, name: node.method, arguments: node.arguments };
+                    }
+
+                    break;
+            }
+
+            throw new Error('Expected filter name after "|"');
+        },
+
         /**
          * Parses ternary conditional expressions (condition ? true : false)
          * @returns {Object|null} Ternary AST node or lower precedence expression
@@ -4180,9 +4445,21 @@
          * @returns {Object|null} Primary expression AST node
          */
         parsePrimary() {
-            // Parentheses
+            // Lambdas (i => i.done, (sum, i) => sum + i.qty). Checked before
+            // parentheses because both forms can start with "(".
+            const lambdaParams = this.matchLambdaParams();
+
+            if (lambdaParams) {
+                return {
+                    type: 'lambda',
+                    params: lambdaParams,
+                    body: this.parseTernary()
+                };
+            }
+
+            // Parentheses (may contain a filter pipe)
             if (this.match('LPAREN')) {
-                const expr = this.parseTernary();
+                const expr = this.parsePipe();
                 this.consume('RPAREN', 'Expected closing parenthesis');
 
                 return this.parsePostfixOperators({
@@ -4225,18 +4502,78 @@
             return null;
         },
 
+        /**
+         * Looks ahead for a lambda parameter list followed by "=>": either a bare
+         * identifier (i =>) or a parenthesized, comma-separated list of identifiers
+         * ((a, b) =>, () =>). Consumes the parameters and the arrow when found;
+         * leaves the token position untouched otherwise.
+         * @returns {Array<string>|null} Parameter names, or null when not at a lambda
+         */
+        matchLambdaParams() {
+            const tokens = this.tokens;
+            let pos = this.currentToken;
+
+            // Single parameter without parentheses
+            if (tokens[pos]?.type === 'IDENTIFIER' && tokens[pos + 1]?.type === 'ARROW') {
+                this.currentToken = pos + 2;
+                return [tokens[pos].value];
+            }
+
+            if (tokens[pos]?.type !== 'LPAREN') {
+                return null;
+            }
+
+            const params = [];
+            pos++;
+
+            while (tokens[pos]?.type === 'IDENTIFIER') {
+                params.push(tokens[pos++].value);
+
+                if (tokens[pos]?.type !== 'COMMA') {
+                    break;
+                }
+
+                pos++;
+            }
+
+            if (tokens[pos]?.type !== 'RPAREN' || tokens[pos + 1]?.type !== 'ARROW') {
+                return null;
+            }
+
+            this.currentToken = pos + 2;
+            return params;
+        },
+
         /**
          * Parses postfix operators including array/object indexing, property access, and method calls.
-         * Handles chaining of multiple postfix operations (e.g., obj.prop[0].method()).
+         * Handles chaining of multiple postfix operations (e.g., obj.prop[0].method()), including
+         * optional chaining (obj?.prop, obj?.[key], obj?.method(), fn?.()).
+         *
+         * Once a chain contains a "?." link, every node built after it is flagged `optional`
+         * as well. evaluate() returns undefined for an optional node whose base is null or
+         * undefined, so the whole rest of the chain short-circuits, as it does in JavaScript.
+         * A "?.(" on a member additionally flags the call `optionalCall`: the method itself
+         * may be missing, so obj.method?.() is undefined when obj.method is null or undefined.
          * @param {Object} expr - The base expression to apply postfix operators to
          * @returns {Object} The final expression tree with all postfix operations applied
          * @throws {Error} When expected tokens are missing (closing bracket, property name, closing parenthesis)
          */
         parsePostfixOperators(expr) {
+            // Set by the first "?." in this chain, see above
+            let optional = false;
+
             // Continuously consume postfix operators left-to-right until none remain.
             // Each iteration wraps `expr` in a new AST node, building an inside-out tree
             // where the outermost node is the last operation in the chain.
             while (true) {
+                // Optional chaining: "?." followed by a property name, "[" or "(".
+                // The property name case falls through to the DOT handling below.
+                const optionalLink = this.match('OPTIONAL_CHAIN');
+
+                if (optionalLink) {
+                    optional = true;
+                }
+
                 // Array/object indexing: expr[index]
                 // The index is a full expression (parsed via parseTernary) so
                 // computed access like obj[cond ? a : b] is supported.
@@ -4248,16 +4585,35 @@
                     expr = {
                         type: 'index',
                         object: expr,
-                        index
+                        index,
+                        optional
                     };
 
                     continue;
                 }
 
+                // Optional call: fn?.() or obj.method?.(). A plain call is only
+                // valid on a bare identifier (see below); the optional form is
+                // also accepted on a member, turning it into a method call.
+                if (optionalLink && this.match('LPAREN')) {
+                    const args = this.parseArgumentList();
+                    this.consume('RPAREN', 'Expected closing parenthesis');
+
+                    if (expr.type === 'identifier') {
+                        expr = { type: 'call', name: expr.name, arguments: args, optional };
+                    } else if (expr.type === 'member') {
+                        expr = { type: 'method_call', object: expr.object, method: expr.property, arguments: args, optional, optionalCall: true };
+                    } else {
+                        throw new Error('Optional call "?.()" is only supported on functions and methods');
+                    }
+
+                    continue;
+                }
+
                 // Property access or method call: expr.name or expr.name(args)
                 // The token after the dot must be an identifier; anything else
                 // (e.g., a number literal or operator) is a syntax error.
-                if (this.match('DOT')) {
+                if (optionalLink || this.match('DOT')) {
                     if (this.check('IDENTIFIER')) {
                         const property = this.advance().value;
 
@@ -4272,25 +4628,28 @@
                                     type: 'qualified_call',
                                     unit: expr.name,
                                     method: property,
-                                    arguments: args
+                                    arguments: args,
+                                    optional
                                 };
                             } else {
                                 expr = {
                                     type: 'method_call',
                                     object: expr,
                                     method: property,
-                                    arguments: args
+                                    arguments: args,
+                                    optional
                                 };
                             }
                         } else {
                             expr = {
                                 type: 'member',
                                 object: expr,
-                                property
+                                property,
+                                optional
                             };
                         }
                     } else {
-                        throw new Error('Expected property name after "."');
+                        throw new Error(`Expected property name after "${optionalLink ? '?.' : '.'}"`);
                     }
 
                     continue;
@@ -4413,6 +4772,22 @@
             return this.parsePostfixOperators(node);
         },
 
+        /**
+         * Checks whether an AST node is a plain data path (identifier, or member/index
+         * access on one) that astToPath() can turn into a resolvable path string.
+         * Access on anything else — a call result, a literal, a parenthesized
+         * expression — has to be evaluated instead.
+         * @param {Object} node - AST node
+         * @returns {boolean} True if the node is a path
+         */
+        isPathNode(node) {
+            while (node.type === 'member' || node.type === 'index') {
+                node = node.object;
+            }
+
+            return node.type === 'identifier';
+        },
+
         /**
          * Converts an AST node back to a dot/bracket path string
          * for the reactive binding system's change tracking.
@@ -4581,15 +4956,27 @@
                     return this.evaluateObjectLiteral(node, context, scope);
 
                 case 'index': {
-                    if (scope) {
+                    if (scope && this.isPathNode(node.object)) {
                         return this.getProperty(this.astToPath(node), context, scope);
                     }
 
                     const obj = this.evaluate(node.object, context, scope);
+
+                    // Optional chain: short-circuit before evaluating the index
+                    if (node.optional && obj == null) {
+                        return undefined;
+                    }
+
                     const key = this.evaluate(node.index, context, scope);
                     return obj && obj[key];
                 }
 
+                case 'lambda':
+                    return this.createLambda(node, context, scope);
+
+                case 'pipe':
+                    return this.evaluateFilter(node.filter, this.evaluate(node.input, context, scope), context, scope);
+
                 case 'ternary': {
                     const condition = this.evaluate(node.condition, context, scope);
 
@@ -4605,6 +4992,8 @@
                         return leftLogical ? this.evaluate(node.right, context, scope) : leftLogical;
                     } else if (node.operator === '||') {
                         return leftLogical ? leftLogical : this.evaluate(node.right, context, scope);
+                    } else if (node.operator === '??') {
+                        return leftLogical != null ? leftLogical : this.evaluate(node.right, context, scope);
                     } else {
                         return leftLogical;
                     }
@@ -4636,17 +5025,33 @@
                 }
 
                 case 'member': {
-                    if (scope) {
+                    if (scope && this.isPathNode(node.object)) {
                         return this.getProperty(this.astToPath(node), context, scope);
                     }
 
                     const obj = this.evaluate(node.object, context, scope);
+
+                    // Optional chain: null?.prop is undefined, not null
+                    if (node.optional && obj == null) {
+                        return undefined;
+                    }
+
                     return obj && obj[node.property];
                 }
 
                 case 'method_call': {
                     const object = this.evaluate(node.object, context, scope);
 
+                    // Optional chain: skip the call (and its arguments) on a nullish object
+                    if (node.optional && object == null) {
+                        return undefined;
+                    }
+
+                    // Optional call (obj.method?.()): skip it when the method is nullish
+                    if (node.optionalCall && (object == null || object[node.method] == null)) {
+                        return undefined;
+                    }
+
                     // Handle array methods
                     if (Array.isArray(object)) {
                         return this.evaluateArrayMethod(object, node.method,
@@ -4664,6 +5069,11 @@
                     // a regular method call on that object.
                     const obj = this.getProperty(node.unit, context, scope);
 
+                    // Optional chain on a data property holding null (name?.method())
+                    if (node.optional && obj === null) {
+                        return undefined;
+                    }
+
                     if (obj !== undefined) {
                         // Warn when a data variable is shadowing a registered unit
                         if (_units.get(node.unit)) {
@@ -4691,6 +5101,12 @@
                         return unit[node.method](...args);
                     }
 
+                    // Optional chain (name?.method() or name?.method?.()): a missing
+                    // object or method is expected, not an error
+                    if (node.optional) {
+                        return undefined;
+                    }
+
                     console.warn(`WakaPAC: unknown qualified call ${node.unit}.${node.method}()`);
                     return undefined;
                 }
@@ -4712,6 +5128,11 @@
                         return importedUnits[node.name](...args);
                     }
 
+                    // Optional call (name?.()): a missing function is expected, not an error
+                    if (node.optional) {
+                        return undefined;
+                    }
+
                     // Not found
                     console.warn(`WakaPAC: unknown function call "${node.name}()" in template`);
                     return undefined;
@@ -4722,9 +5143,86 @@
             }
         },
 
+        /**
+         * Turns a lambda AST node into a function that evaluates its body against
+         * the surrounding context, with the parameters layered on top. Parameters
+         * shadow data properties of the same name, and paths rooted at a parameter
+         * bypass the scope resolver so a foreach alias cannot rewrite them.
+         * @param {Object} node - Lambda AST node ({ params, body })
+         * @param {Object} context - Data context the lambda was created in
+         * @param {Object|null} scope - Scope resolver the lambda was created in
+         * @returns {Function} Function suitable as an array method callback
+         */
+        createLambda(node, context, scope) {
+            const params = node.params;
+
+            const lambdaScope = scope && Object.assign({}, scope, {
+                resolveScopedPath: (path) => {
+                    const root = path.split(DOTS_AND_BRACKETS_PATTERN, 1)[0];
+                    return params.includes(root) ? path : scope.resolveScopedPath(path);
+                }
+            });
+
+            return (...args) => {
+                const lambdaContext = Object.create(context);
+
+                params.forEach((name, i) => {
+                    Object.defineProperty(lambdaContext, name, { value: args[i], enumerable: true });
+                });
+
+                return this.evaluate(node.body, lambdaContext, lambdaScope);
+            };
+        },
+
+        /**
+         * Applies a pipe filter to a value. Lookup mirrors plain and qualified calls:
+         * a function in the data context wins, then (for flat filters) the filter
+         * aliases and functions of the component's imported units, or (for
+         * Unit.filter) the unit registry.
+         * @param {{unit: string|null, name: string, arguments: Array}} filter - Filter descriptor from parseFilter()
+         * @param {*} value - The piped value, passed as the first argument
+         * @param {Object} context - Data context
+         * @param {Object|null} scope - Scope resolver from makeScopeResolver()
+         * @returns {*} The filter result, or undefined if the filter is unknown
+         */
+        evaluateFilter(filter, value, context, scope) {
+            const args = [value].concat(filter.arguments.map(arg => this.evaluate(arg, context, scope)));
+
+            // Flat filter: data function, then imported filter alias, then imported unit function
+            if (filter.unit === null) {
+                const fn = this.getProperty(filter.name, context, scope);
+
+                if (typeof fn === 'function') {
+                    return fn.call(context, ...args);
+                }
+
+                const importedFilter = scope?.importedFilters?.[filter.name] ?? scope?.importedUnits?.[filter.name];
+
+                if (typeof importedFilter === 'function') {
+                    return importedFilter(...args);
+                }
+
+                console.warn(`WakaPAC: unknown filter "${filter.name}" in template`);
+                return undefined;
+            }
+
+            // Qualified filter: data object method, then registered unit function
+            const obj = this.getProperty(filter.unit, context, scope);
+            const target = obj !== undefined && obj !== null ? obj : _units.get(filter.unit);
+
+            if (target && typeof target[filter.name] === 'function') {
+                return target[filter.name](...args);
+            }
+
+            console.warn(`WakaPAC: unknown filter "${filter.unit}.${filter.name}" in template`);
+            return undefined;
+        },
+
         /**
          * Evaluates a supported array method by name, acting as a safe dispatch
-         * layer that prevents arbitrary method execution on arrays.
+         * layer that prevents arbitrary method execution on arrays. Only
+         * non-mutating methods are exposed; callbacks are normally lambdas
+         * (items.filter(i => i.done)) but any function value is accepted.
          * @param {Array} array - The array to invoke the method on.
          * @param {string} methodName - The name of the array method to evaluate.
          * @param {Array} args - The arguments to pass to the array method.
@@ -4744,6 +5242,37 @@
                 case 'join':
                     return array.join(args[0] || ',');
 
+                case 'slice':
+                    return array.slice(args[0], args[1]);
+
+                case 'concat':
+                    return array.concat(...args);
+
+                case 'at':
+                    return array.at(args[0]);
+
+                case 'filter':
+                case 'map':
+                case 'some':
+                case 'every':
+                case 'find':
+                case 'findIndex':
+                    if (typeof args[0] !== 'function') {
+                        console.warn(`Array method '${methodName}' expects a function argument`);
+                        return undefined;
+                    }
+
+                    return array[methodName](args[0]);
+
+                case 'reduce':
+                    if (typeof args[0] !== 'function') {
+                        console.warn(`Array method '${methodName}' expects a function argument`);
+                        return undefined;
+                    }
+
+                    // Without an initial value reduce() starts from the first element
+                    return args.length > 1 ? array.reduce(args[0], args[1]) : array.reduce(args[0]);
+
                 default:
                     console.warn(`Array method '${methodName}' not supported`);
                     return undefined;
@@ -4803,6 +5332,13 @@
                     return current[part];
                 }
 
+                // Other primitives (numbers, booleans) can't be searched with the
+                // "in" operator below; read the property directly instead
+                if (typeof current !== 'object' && typeof current !== 'function') {
+                    current = current[part];
+                    continue;
+                }
+
                 // If the path segment is not a numeric index and not a direct key on the
                 // current object, try to resolve it as a variable from the root context.
                 // This allows dynamic bracket notation like regions[country] where 'country'
@@ -5208,12 +5744,34 @@
      */
     BindingHandlers.visible = function(context, element, value) {
         const shouldShow = !!value;
+        const cache = Utils.getPacCache(element);
+
+        // Transitions never run on the first render
+        const transition = cache.visibleApplied ? Transitions.getName(element) : null;
+        cache.visibleApplied = true;
 
         if (shouldShow) {
             if (element.hasAttribute('data-pac-hidden')) {
-                element.style.display = element.getAttribute('data-pac-orig-display') || 'block';
                 element.removeAttribute('data-pac-hidden');
+
+                // Shown again before the leave finished: the element is still displayed
+                if (Transitions.isLeaving(element)) {
+                    Transitions.cancel(element);
+                    element.removeAttribute('data-pac-orig-display');
+
+                    if (transition) {
+                        Transitions.enter(element, transition);
+                    }
+
+                    return;
+                }
+
+                element.style.display = element.getAttribute('data-pac-orig-display') || 'block';
                 element.removeAttribute('data-pac-orig-display');
+
+                if (transition) {
+                    Transitions.enter(element, transition);
+                }
             }
         } else {
             if (!element.hasAttribute('data-pac-hidden')) {
@@ -5221,8 +5779,16 @@
                     captureOriginalDisplay(element);
                 }
 
-                element.style.display = 'none';
+                // Marked hidden right away; display is only switched off after the leave
                 element.setAttribute('data-pac-hidden', 'true');
+
+                if (transition) {
+                    Transitions.leave(element, transition, () => {
+                        element.style.display = 'none';
+                    });
+                } else {
+                    element.style.display = 'none';
+                }
             }
         }
     };
@@ -5266,10 +5832,15 @@
         // Convert value to boolean
         const shouldShow = !!value;
 
-        // First invocation: snapshot child nodes as live references
+        // First invocation: snapshot child nodes as live references.
+        // Transitions never run on the first render.
+        let transition = null;
+
         if (element._pacIfChildren === undefined) {
             element._pacIfChildren = Array.from(element.childNodes);
             element._pacIsVisible = true;
+        } else {
+            transition = Transitions.getName(element);
         }
 
         // If already shown, do not change
@@ -5277,16 +5848,43 @@
             return;
         }
 
-        // Toggle DOM first, then update flag
-        context.domUpdater.toggleNodeVisibility(element._pacIfChildren, shouldShow);
+        // Element children are the ones that transition
+        const animated = element._pacIfChildren.filter(node => node.nodeType === Node.ELEMENT_NODE);
 
-        // Set new show flag after successful DOM update
-        element._pacIsVisible = shouldShow;
+        // Hide with a leave transition: the children are detached once all of them finished
+        if (!shouldShow && transition && animated.length > 0) {
+            let remaining = animated.length;
 
-        // Scan from the if-container so restored children (including
+            element._pacIsVisible = false;
+
+            animated.forEach(node => {
+                Transitions.leave(node, transition, () => {
+                    if (--remaining === 0 && !element._pacIsVisible) {
+                        context.domUpdater.toggleNodeVisibility(element._pacIfChildren, false);
+                    }
+                });
+            });
+
+            return;
+        }
+
+        // Shown again before a leave finished: those children are still attached
+        animated.forEach(node => Transitions.cancel(node));
+
+        // Toggle DOM first, then update flag
+        context.domUpdater.toggleNodeVisibility(element._pacIfChildren, shouldShow);
+
+        // Set new show flag after successful DOM update
+        element._pacIsVisible = shouldShow;
+
+        // Scan from the if-container so restored children (including
         // foreach elements) are treated as children, not as parentElement
         if (shouldShow) {
             context.scanAndRegisterNewElements(element);
+
+            if (transition) {
+                animated.forEach(node => Transitions.enter(node, transition));
+            }
         }
     };
 
@@ -5363,6 +5961,472 @@
         }
     };
 
+    /**
+     * HTML binding - Replaces an element's content with sanitized markup.
+     * The markup is passed through HtmlSanitizer first. The inserted subtree is
+     * inert by default: it is only scanned for bindings and interpolations when
+     * the element opts in with data-pac-html-scan. The bindings registered for
+     * the previous content are dropped first, so the maps do not keep detached nodes.
+     * @param {Runtime} context - The PAC component context
+     * @param {Element} element - The container element
+     * @param value - The evaluated expression
+     */
+    BindingHandlers.html = function(context, element, value) {
+        const html = value != null ? String(value) : '';
+        const cache = Utils.getPacCache(element);
+
+        // Skip identical markup, rewriting it would discard DOM state
+        if (cache.previousHtml === html) {
+            return;
+        }
+
+        cache.previousHtml = html;
+
+        const scan = element.hasAttribute('data-pac-html-scan');
+
+        // Unregister the content about to be replaced; the element's own bindings stay
+        if (scan) {
+            context.cleanupMapsWhere(node => node !== element && element.contains(node));
+        }
+
+        element.innerHTML = HtmlSanitizer.sanitize(html, element);
+
+        if (scan) {
+            context.scanAndRegisterNewElements(element);
+        }
+    };
+
+    // ========================================================================
+    // HTML SANITIZER
+    // ========================================================================
+
+    /**
+     * Allow-list sanitizer used by the html binding. Markup is parsed into an
+     * inert <template> and walked: disallowed elements are unwrapped (their text
+     * is kept), elements whose content is never safe to keep are dropped whole,
+     * comments and non-allowed attributes are removed, and URL attributes must use
+     * a safe protocol. data-pac-* attributes are not on the allow-list, so default
+     * sanitized content never carries bindings of its own.
+     *
+     * A plugin can replace the sanitizer by returning a `sanitizeHtml(html, element)`
+     * function from createPacPlugin(); the last registered one wins.
+     */
+    const HtmlSanitizer = {
+        /** @type {Function|null} Sanitizer installed by a plugin, or null for the built-in one */
+        custom: null,
+
+        /** Elements kept as-is (minus disallowed attributes) */
+        ALLOWED_TAGS: new Set([
+            'a', 'abbr', 'b', 'blockquote', 'br', 'caption', 'cite', 'code', 'col', 'colgroup',
+            'dd', 'del', 'div', 'dl', 'dt', 'em', 'figcaption', 'figure', 'h1', 'h2', 'h3',
+            'h4', 'h5', 'h6', 'hr', 'i', 'img', 'ins', 'kbd', 'li', 'mark', 'ol', 'p', 'pre',
+            'q', 's', 'small', 'span', 'strong', 'sub', 'sup', 'table', 'tbody', 'td', 'tfoot',
+            'th', 'thead', 'tr', 'u', 'ul'
+        ]),
+
+        /** Elements removed together with their content */
+        DROPPED_TAGS: new Set([
+            'script', 'style', 'template', 'iframe', 'frame', 'frameset', 'object', 'embed',
+            'noscript', 'svg', 'math', 'textarea', 'select', 'title', 'head', 'link', 'meta', 'base'
+        ]),
+
+        /** Attributes kept on allowed elements */
+        ALLOWED_ATTRIBUTES: new Set([
+            'alt', 'class', 'colspan', 'height', 'href', 'lang', 'rel', 'rowspan', 'src',
+            'target', 'title', 'width', 'dir', 'id', 'headers', 'scope', 'start', 'reversed'
+        ]),
+
+        /** Attributes holding a URL, checked with isSafeUrl() */
+        URL_ATTRIBUTES: new Set(['href', 'src']),
+
+        /** Protocols allowed in URL attributes; relative URLs are always allowed */
+        SAFE_PROTOCOLS: new Set(['http', 'https', 'mailto', 'tel']),
+
+        /**
+         * Sanitizes markup with the plugin-provided sanitizer, or the built-in one.
+         * @param {string} html - Untrusted markup
+         * @param {Element} element - The element the markup is destined for
+         * @returns {string} Sanitized markup
+         */
+        sanitize(html, element) {
+            if (this.custom) {
+                return String(this.custom(html, element) ?? '');
+            }
+
+            const template = document.createElement('template');
+            template.innerHTML = html;
+            this.sanitizeNode(template.content);
+            return template.innerHTML;
+        },
+
+        /**
+         * Recursively sanitizes the children of a node in place.
+         * @param {Node} parent - Node whose children are sanitized
+         */
+        sanitizeNode(parent) {
+            let child = parent.firstChild;
+
+            while (child) {
+                const next = child.nextSibling;
+
+                if (child.nodeType === Node.ELEMENT_NODE) {
+                    const tag = child.tagName.toLowerCase();
+
+                    if (this.DROPPED_TAGS.has(tag)) {
+                        child.remove();
+                    } else if (!this.ALLOWED_TAGS.has(tag)) {
+                        // Unwrap: sanitize the children, then move them into the element's place
+                        this.sanitizeNode(child);
+                        child.replaceWith(...child.childNodes);
+                    } else {
+                        this.sanitizeAttributes(child);
+                        this.sanitizeNode(child);
+                    }
+                } else if (child.nodeType !== Node.TEXT_NODE) {
+                    // Comments, processing instructions, CDATA
+                    child.remove();
+                }
+
+                child = next;
+            }
+        },
+
+        /**
+         * Removes attributes that are not allowed, or that hold an unsafe URL.
+         * @param {Element} element - Element to clean
+         */
+        sanitizeAttributes(element) {
+            const attrs = Array.from(element.attributes);
+
+            for (let i = 0; i < attrs.length; i++) {
+                const name = attrs[i].name;
+
+                if (!this.ALLOWED_ATTRIBUTES.has(name) ||
+                    (this.URL_ATTRIBUTES.has(name) && !this.isSafeUrl(attrs[i].value))) {
+                    element.removeAttribute(name);
+                }
+            }
+
+            // Links opening a new window must not get a handle on this one
+            if (element.getAttribute('target') === '_blank') {
+                element.setAttribute('rel', 'noopener noreferrer');
+            }
+        },
+
+        /**
+         * Checks a URL attribute value. Everything outside printable ASCII is
+         * removed first, because browsers ignore whitespace and control characters
+         * inside a scheme ("java\tscript:").
+         * @param {string} url - Attribute value
+         * @returns {boolean} True for relative URLs and allowed protocols
+         */
+        isSafeUrl(url) {
+            const scheme = /^([a-z][a-z0-9+.-]*):/i.exec(url.replace(/[^!-~]/g, ''));
+            return !scheme || this.SAFE_PROTOCOLS.has(scheme[1].toLowerCase());
+        }
+    };
+
+    // ========================================================================
+    // TRANSITIONS
+    // ========================================================================
+
+    /**
+     * Enter/leave/move transitions for elements shown, hidden, inserted or removed
+     * by the visible, if and keyed foreach bindings. Opt in per bound element:
+     *
+     *   <div data-pac-bind="visible: open" data-pac-transition="fade">...</div>
+     *   <div data-pac-bind="if: open" data-pac-transition="fade">...</div>
+     *   <ul data-pac-bind="foreach: items by id" data-pac-transition="list">...</ul>
+     *
+     * Class names follow Vue's convention, prefixed with the transition name:
+     *   enter: <name>-enter-from, <name>-enter-active, <name>-enter-to
+     *   leave: <name>-leave-from, <name>-leave-active, <name>-leave-to
+     *   move:  <name>-move (keyed foreach rows that changed position, FLIP-animated)
+     *
+     * The -from class is applied for one frame, then swapped for the -to class.
+     * The runtime waits for transitionend/animationend (with a timeout derived from
+     * the computed durations as a fallback) before it removes the classes and, for
+     * leaves, before the element is actually hidden or removed.
+     *
+     * For visible the bound element itself transitions; for if and foreach its
+     * element children (or each row's elements) do. Transitions never run on the
+     * first render, and unkeyed foreach loops are rebuilt without transitions.
+     */
+    const Transitions = {
+
+        /**
+         * Returns the transition name configured on a bound element.
+         * @param {Element} element - Element carrying the binding
+         * @returns {string|null} The transition name, or null when none is set
+         */
+        getName(element) {
+            const name = element.getAttribute('data-pac-transition');
+            return name ? name.trim() : null;
+        },
+
+        /**
+         * Plays the enter transition on an element that was just shown or inserted.
+         * @param {Element} element - The entering element
+         * @param {string} name - Transition name
+         */
+        enter(element, name) {
+            this.run(element, name, 'enter', null);
+        },
+
+        /**
+         * Plays the leave transition on an element and calls done() once it has
+         * finished. done() is not called when the leave is cancelled by a new
+         * transition on the same element, e.g. when it is shown again mid-leave.
+         * @param {Element} element - The leaving element
+         * @param {string} name - Transition name
+         * @param {Function} done - Performs the actual hide/removal
+         */
+        leave(element, name, done) {
+            this.run(element, name, 'leave', done);
+        },
+
+        /**
+         * Returns true while a leave transition is running on the element.
+         * @param {Element} element
+         * @returns {boolean}
+         */
+        isLeaving(element) {
+            return !!element._pacTransition && element._pacTransition.phase === 'leave';
+        },
+
+        /**
+         * Stops a running transition: its classes are removed and its completion
+         * callback is dropped.
+         * @param {Element} element
+         */
+        cancel(element) {
+            const state = element._pacTransition;
+
+            if (state) {
+                element._pacTransition = null;
+                state.cleanup();
+            }
+        },
+
+        /**
+         * Runs one enter or leave phase on an element.
+         * @param {Element} element - The element to animate
+         * @param {string} name - Transition name
+         * @param {string} phase - 'enter' or 'leave'
+         * @param {Function|null} done - Called after the phase finished, unless cancelled
+         */
+        run(element, name, phase, done) {
+            this.cancel(element);
+
+            const fromClass = `${name}-${phase}-from`;
+            const activeClass = `${name}-${phase}-active`;
+            const toClass = `${name}-${phase}-to`;
+
+            // An element without a class attribute gets none back after cleanup
+            const hadClassAttribute = element.hasAttribute('class');
+
+            const state = {
+                phase: phase,
+                cleanup: () => {
+                    element.classList.remove(fromClass, activeClass, toClass);
+
+                    if (!hadClassAttribute && element.classList.length === 0) {
+                        element.removeAttribute('class');
+                    }
+
+                    this.stopWaiting(element);
+                }
+            };
+
+            element._pacTransition = state;
+            element.classList.add(fromClass, activeClass);
+
+            requestAnimationFrame(() => {
+                if (element._pacTransition !== state) {
+                    return;
+                }
+
+                element.classList.remove(fromClass);
+                element.classList.add(toClass);
+
+                this.whenEnded(element, () => {
+                    if (element._pacTransition !== state) {
+                        return;
+                    }
+
+                    element._pacTransition = null;
+                    state.cleanup();
+
+                    if (done) {
+                        done();
+                    }
+                });
+            });
+        },
+
+        /**
+         * Records the position of each element, for a FLIP move animation.
+         * @param {Element[]} elements
+         * @returns {Map<Element, DOMRect>}
+         */
+        capturePositions(elements) {
+            const positions = new Map();
+
+            elements.forEach(element => {
+                positions.set(element, element.getBoundingClientRect());
+            });
+
+            return positions;
+        },
+
+        /**
+         * Animates elements from their recorded positions to their current ones
+         * (FLIP): each moved element is translated back to where it was, then the
+         * <name>-move class is added and the transform released, so the element's
+         * CSS transition carries it to its new place.
+         * @param {Map<Element, DOMRect>} positions - Positions from capturePositions()
+         * @param {string} name - Transition name
+         */
+        playMoves(positions, name) {
+            const moveClass = `${name}-move`;
+            const moved = [];
+
+            positions.forEach((before, element) => {
+                // Entering or leaving rows are left to their own transition
+                if (!element.isConnected || element._pacTransition) {
+                    return;
+                }
+
+                const after = element.getBoundingClientRect();
+                const dx = before.left - after.left;
+                const dy = before.top - after.top;
+
+                if (dx === 0 && dy === 0) {
+                    return;
+                }
+
+                element.classList.remove(moveClass);
+                element.style.transitionDuration = '0s';
+                element.style.transform = `translate(${dx}px, ${dy}px)`;
+                moved.push(element);
+            });
+
+            if (moved.length === 0) {
+                return;
+            }
+
+            // Flush the inverted positions before releasing them
+            void document.body.offsetHeight;
+
+            moved.forEach(element => {
+                element.classList.add(moveClass);
+                element.style.transitionDuration = '';
+                element.style.transform = '';
+
+                this.whenEnded(element, () => {
+                    element.classList.remove(moveClass);
+                });
+            });
+        },
+
+        /**
+         * Calls callback once the element's transitions or animations have ended.
+         * The longest computed duration (plus delay) bounds the wait, so an
+         * element without a transition, or one whose end event never fires,
+         * still completes.
+         * @param {Element} element
+         * @param {Function} callback
+         */
+        whenEnded(element, callback) {
+            this.stopWaiting(element);
+
+            const timeout = this.getTimeout(element);
+
+            if (timeout === 0) {
+                callback();
+                return;
+            }
+
+            const finish = () => {
+                this.stopWaiting(element);
+                callback();
+            };
+
+            const onEnd = event => {
+                if (event.target === element) {
+                    finish();
+                }
+            };
+
+            element.addEventListener('transitionend', onEnd);
+            element.addEventListener('animationend', onEnd);
+
+            element._pacTransitionWait = {
+                timer: setTimeout(finish, timeout + 50),
+                onEnd: onEnd
+            };
+        },
+
+        /**
+         * Removes the end listeners and fallback timer installed by whenEnded().
+         * @param {Element} element
+         */
+        stopWaiting(element) {
+            const wait = element._pacTransitionWait;
+
+            if (!wait) {
+                return;
+            }
+
+            clearTimeout(wait.timer);
+            element.removeEventListener('transitionend', wait.onEnd);
+            element.removeEventListener('animationend', wait.onEnd);
+            element._pacTransitionWait = null;
+        },
+
+        /**
+         * Returns the longest transition or animation (duration + delay) of an
+         * element in milliseconds.
+         * @param {Element} element
+         * @returns {number}
+         */
+        getTimeout(element) {
+            const style = getComputedStyle(element);
+
+            const longest = (durations, delays) => {
+                const d = (durations || '').split(',').map(parseCssTime);
+                const l = (delays || '').split(',').map(parseCssTime);
+                let max = 0;
+
+                d.forEach((duration, i) => {
+                    max = Math.max(max, duration + (l[i % l.length] || 0));
+                });
+
+                return max;
+            };
+
+            return Math.max(
+                longest(style.transitionDuration, style.transitionDelay),
+                longest(style.animationDuration, style.animationDelay)
+            );
+        }
+    };
+
+    /**
+     * Parses a CSS time value ("0.3s", "150ms") into milliseconds.
+     * @param {string} value
+     * @returns {number} Milliseconds, or 0 when the value can't be parsed
+     */
+    function parseCssTime(value) {
+        const number = parseFloat(value);
+
+        if (isNaN(number)) {
+            return 0;
+        }
+
+        return value.trim().endsWith('ms') ? number : number * 1000;
+    }
+
     // ========================================================================
     // DOM UPDATER - Handles ALL binding applications
     // ========================================================================
@@ -5374,12 +6438,14 @@
      * @param {Function} normalizeFn - Bound normalizePath function (already bound to correct `this`)
      * @param {Element} element - The DOM element to use as path scope anchor
      * @param importedUnits - List of imported units
+     * @param importedFilters - Filter aliases of the imported units
      * @returns {{ resolveScopedPath: function(string): * }}
      */
-    function makeScopeResolver(normalizeFn, element, importedUnits) {
+    function makeScopeResolver(normalizeFn, element, importedUnits, importedFilters) {
         return {
             resolveScopedPath: (path) => normalizeFn(path, element),
-            importedUnits: importedUnits || {}
+            importedUnits: importedUnits || {},
+            importedFilters: importedFilters || {}
         };
     }
 
@@ -5392,7 +6458,7 @@
      * @returns {{ resolveScopedPath: function(string): * }}
      */
     Runtime.prototype.makeScopeResolverFor = function(element) {
-        return makeScopeResolver(this.normalizePath.bind(this), element, this.importedUnits);
+        return makeScopeResolver(this.normalizePath.bind(this), element, this.importedUnits, this.importedFilters);
     };
 
     /**
@@ -5458,7 +6524,7 @@
                 const result = self.context.evalInScope(expression, element);
                 return result != null ? String(result) : '';
             } catch (error) {
-                console.warn('Error in text interpolation:', expression, error);
+                self.context.reportError(error, { source: 'text', expression: expression.trim(), element }, `Error in text interpolation "${expression}":`);
                 return match;
             }
         });
@@ -5505,7 +6571,12 @@
                 element.removeAttribute(bindingType);
             }
         } catch (error) {
-            console.warn('Error updating binding:', bindingType, bindingData, error);
+            this.context.reportError(error, {
+                source: 'binding',
+                binding: bindingType,
+                expression: bindingData?.target,
+                element
+            }, `Error updating ${bindingType} binding:`);
         }
     };
 
@@ -5782,57 +6853,330 @@
         }
     };
 
-    // ========================================================================
-    // COMPONENT RUNTIME
-    // ========================================================================
-
-    function Runtime(container, abstraction, config) {
-        this.originalAbstraction = abstraction;
-        this.parent = null;
-        this.children = new Set();
-        this.container = container;
-        this.config = config;
-        this.interpolationMap = new Map();
-        this.textInterpolationMap = new Map();
-        this.commentBindingMap = new Map();
-        this.readyCalled = false;
-        this.abstraction = this.createReactiveAbstraction();
-        this.domUpdater = new DomUpdater(this);
-        this.dependencies = this.getDependencies();
-
-        this.initializeImportedUnits();
-        this.setupContainerScrollTracking();
-        this.initializeUpdateQueue();
-        this.registerPacEventListeners();
-
-        DomUpdateTracker.observeContainer(this.container);
-    }
-
     // =============================================================================
-    // RUNTIME INITIALIZATION METHODS
+    // STATE HISTORY (undo/redo)
     // =============================================================================
 
     /**
-     * Resolves the component's imported units from the `data-pac-uses` attribute.
+     * Records the reactive changes of one component so they can be undone and
+     * redone. Enabled per component with the `history` option:
+     *   wakaPAC('#app', abstraction, { history: { limit: 100 } });
+     *
+     * Every pac:change is recorded as a { path, oldValue, newValue } tuple.
+     * Changes made while one message is dispatched (including the click,
+     * change and input bindings run as its default processing) are grouped
+     * into a single step. Changes made outside any dispatch, e.g. in a
+     * setTimeout callback, are grouped until the current task ends.
+     *
+     * Properties injected by wakaPAC itself (browser*, container*, canUndo...)
+     * are never recorded, and neither are changes made while a step is being
+     * replayed.
+     * @param {Runtime} runtime - The component runtime whose changes are recorded
+     * @param {Object|boolean} options - The component's history option
+     * @param {number} [options.limit=100] - Maximum number of undo steps kept
+     * @param {boolean} [options.editableUndo=false] - Let Ctrl+Z/Ctrl+Y undo component
+     *   state inside inputs, textareas, selects and contenteditable elements too. By
+     *   default those keep the browser's own text undo.
+     * @constructor
      */
-    Runtime.prototype.initializeImportedUnits = function() {
-        this.importedUnits = {};
-
-        const usesAttr = this.container.getAttribute('data-pac-uses');
+    function ComponentHistory(runtime, options) {
+        this.runtime = runtime;
+        this.limit = (options && options.limit > 0) ? options.limit : 100;
+        this.undoStack = [];
+        this.redoStack = [];
+        this.pending = null;
+        this.depth = 0;
+        this.replaying = false;
+    }
 
-        if (usesAttr) {
-            usesAttr.split(',').forEach(name => {
-                const unitName = name.trim();
-                const unit = _units.get(unitName);
+    /**
+     * Marks the start of a message dispatch. Steps are only closed once the
+     * outermost dispatch ends, so messages sent from within a msgProc join
+     * the step of the message that sent them.
+     */
+    ComponentHistory.prototype.beginStep = function() {
+        this.depth++;
+    };
 
-                if (!unit) {
-                    console.warn(`WakaPAC: data-pac-uses references unknown unit "${unitName}"`);
-                    return;
-                }
+    /**
+     * Marks the end of a message dispatch and closes the step it produced.
+     */
+    ComponentHistory.prototype.endStep = function() {
+        this.depth--;
 
-                Object.assign(this.importedUnits, unit);
-            });
+        if (this.depth === 0) {
+            this.commit();
         }
+    };
+
+    /**
+     * Records a single reactive change into the open step.
+     * @param {Array} path - Property path of the change
+     * @param {*} oldValue - Value before the change
+     * @param {*} newValue - Value after the change
+     */
+    ComponentHistory.prototype.record = function(path, oldValue, newValue) {
+        if (this.replaying || path.length === 0 || this.runtime.systemProperties.has(path[0])) {
+            return;
+        }
+
+        // Methods are copied onto the abstraction at creation; they are not state
+        if (typeof newValue === 'function' || typeof oldValue === 'function') {
+            return;
+        }
+
+        if (this.pending === null) {
+            this.pending = [];
+
+            // Outside a dispatch nobody calls endStep(), so close the step
+            // when the current task has finished making its changes
+            if (this.depth === 0) {
+                queueMicrotask(() => {
+                    if (this.depth === 0) {
+                        this.commit();
+                    }
+                });
+            }
+        }
+
+        // In-place array mutations report the live array as the new value.
+        // Snapshot it, or later mutations would rewrite this entry.
+        this.pending.push({
+            path: path.slice(),
+            oldValue: oldValue,
+            newValue: Array.isArray(newValue) ? Array.prototype.slice.call(newValue) : newValue
+        });
+    };
+
+    /**
+     * Closes the open step and pushes it onto the undo stack. A new step
+     * invalidates everything that could be redone.
+     */
+    ComponentHistory.prototype.commit = function() {
+        if (this.pending === null) {
+            return;
+        }
+
+        const step = this.pending;
+        this.pending = null;
+
+        if (step.length === 0) {
+            return;
+        }
+
+        this.undoStack.push(step);
+
+        if (this.undoStack.length > this.limit) {
+            this.undoStack.shift();
+        }
+
+        this.redoStack = [];
+        this.updateFlags();
+    };
+
+    /**
+     * Discards all recorded steps, including a step that is still open.
+     */
+    ComponentHistory.prototype.clear = function() {
+        this.pending = null;
+        this.undoStack = [];
+        this.redoStack = [];
+        this.updateFlags();
+    };
+
+    /**
+     * Reverts the most recent step.
+     * @returns {boolean} True if a step was undone
+     */
+    ComponentHistory.prototype.undo = function() {
+        // Changes made earlier in the current dispatch are a step of their own
+        this.commit();
+
+        const step = this.undoStack.pop();
+
+        if (!step) {
+            return false;
+        }
+
+        // Revert in reverse order so dependent changes unwind correctly
+        for (let i = step.length - 1; i >= 0; i--) {
+            this.apply(step[i].path, step[i].oldValue);
+        }
+
+        this.redoStack.push(step);
+        this.updateFlags();
+        return true;
+    };
+
+    /**
+     * Re-applies the most recently undone step.
+     * @returns {boolean} True if a step was redone
+     */
+    ComponentHistory.prototype.redo = function() {
+        this.commit();
+
+        const step = this.redoStack.pop();
+
+        if (!step) {
+            return false;
+        }
+
+        for (let i = 0; i < step.length; i++) {
+            this.apply(step[i].path, step[i].newValue);
+        }
+
+        this.undoStack.push(step);
+        this.updateFlags();
+        return true;
+    };
+
+    /**
+     * Writes a recorded value back through the reactive proxy, so bindings,
+     * watchers and foreach loops update exactly as for the original change.
+     * @param {Array} path - Property path to write
+     * @param {*} value - Value to restore
+     */
+    ComponentHistory.prototype.apply = function(path, value) {
+        let target = this.runtime.abstraction;
+
+        for (let i = 0; i < path.length - 1; i++) {
+            target = target?.[path[i]];
+        }
+
+        if (target === null || typeof target !== 'object') {
+            return;
+        }
+
+        this.replaying = true;
+
+        try {
+            // Restore a copy: the proxy wraps the array it is given, and the
+            // recorded array must survive mutations made after the restore
+            target[path[path.length - 1]] = Array.isArray(value) ? value.slice() : value;
+        } finally {
+            this.replaying = false;
+        }
+    };
+
+    /**
+     * Publishes canUndo/canRedo on the abstraction.
+     */
+    ComponentHistory.prototype.updateFlags = function() {
+        const abstraction = this.runtime.abstraction;
+
+        // The runtime may have been destroyed before a deferred commit ran
+        if (!abstraction) {
+            return;
+        }
+
+        abstraction.canUndo = this.undoStack.length > 0;
+        abstraction.canRedo = this.redoStack.length > 0;
+    };
+
+    // ========================================================================
+    // COMPONENT RUNTIME
+    // ========================================================================
+
+    function Runtime(container, abstraction, config) {
+        this.originalAbstraction = abstraction;
+        this.parent = null;
+        this.children = new Set();
+        this.container = container;
+        this.config = config;
+        this.interpolationMap = new Map();
+        this.textInterpolationMap = new Map();
+        this.commentBindingMap = new Map();
+        this.subclasses = [];
+        this.focusReturn = null;
+        this.readyCalled = false;
+        this.abstraction = this.createReactiveAbstraction();
+        this.domUpdater = new DomUpdater(this);
+        this.dependencies = this.getDependencies();
+
+        this.initializeHistory();
+        this.initializeTouchGestures();
+        this.initializeImportedUnits();
+        this.setupContainerScrollTracking();
+        this.initializeUpdateQueue();
+        this.registerPacEventListeners();
+
+        DomUpdateTracker.observeContainer(this.container);
+    }
+
+    // =============================================================================
+    // RUNTIME INITIALIZATION METHODS
+    // =============================================================================
+
+    /**
+     * Creates the undo/redo history when the component was created with the
+     * `history` option, and exposes undo() and redo() on the abstraction.
+     * canUndo/canRedo are injected by createReactiveAbstraction().
+     */
+    Runtime.prototype.initializeHistory = function() {
+        if (!this.config.history) {
+            this.history = null;
+            return;
+        }
+
+        const history = new ComponentHistory(this, this.config.history);
+        this.history = history;
+
+        Object.defineProperties(this.abstraction, {
+            undo: { value: () => history.undo(), writable: false, enumerable: false },
+            redo: { value: () => history.redo(), writable: false, enumerable: false }
+        });
+    }
+
+    /**
+     * Enables touch gesture recognition when the component was created with the
+     * `gestures` option. The browser's own touch panning and zooming would swallow
+     * the pointer events, so the container gets touch-action: none unless the
+     * page already set a touch-action on it.
+     */
+    Runtime.prototype.initializeTouchGestures = function() {
+        this.touchGestures = TouchGestureRecognizer.parseOption(this.config.gestures);
+
+        if (this.touchGestures && !this.container.style.touchAction) {
+            this.container.style.touchAction = 'none';
+        }
+    }
+
+    /**
+     * Resolves the component's imported units and their filter aliases
+     * from the `data-pac-uses` attribute.
+     */
+    Runtime.prototype.initializeImportedUnits = function() {
+        const imported = resolveImportedUnits(this.container.getAttribute('data-pac-uses'));
+
+        this.importedUnits = imported.units;
+        this.importedFilters = imported.filters;
+    }
+
+    /**
+     * Merges the functions and filter aliases of the units named in a
+     * `data-pac-uses` attribute value into two flat lookup objects.
+     * @param {string|null} usesAttr - Comma-separated unit names
+     * @returns {{units: Object, filters: Object}}
+     */
+    function resolveImportedUnits(usesAttr) {
+        const imported = { units: {}, filters: {} };
+
+        if (usesAttr) {
+            usesAttr.split(',').forEach(name => {
+                const unitName = name.trim();
+                const unit = _units.get(unitName);
+
+                if (!unit) {
+                    console.warn(`WakaPAC: data-pac-uses references unknown unit "${unitName}"`);
+                    return;
+                }
+
+                Object.assign(imported.units, unit);
+                Object.assign(imported.filters, _unitFilters.get(unitName));
+            });
+        }
+
+        return imported;
     }
 
     /**
@@ -5963,6 +7307,25 @@
         // Kill all timers for this component
         this.killAllTimers();
 
+        // Drop posted messages that have not been delivered yet
+        MessageQueue.discard(this.container);
+
+        // Hand focus back to where it came from if this component held it
+        if (FocusManager.hasFocus(this)) {
+            FocusManager.restoreFocus(this);
+        }
+
+        // Remove subclasses; their handles become invalid with the component
+        this.subclasses.forEach(entry => _subclasses.delete(entry.handle));
+        this.subclasses = [];
+
+        // Abort in-flight async computed runs; their results are discarded
+        this.asyncComputed.forEach(entry => {
+            if (entry.controller) {
+                entry.controller.abort();
+            }
+        });
+
         // Call user's destroy hook
         // Note: Called after event listeners are removed to prevent the user's cleanup
         // code from accidentally triggering reactive updates during component teardown.
@@ -5996,6 +7359,7 @@
         }
 
         // Nullify all references to allow garbage collection
+        this.history = null;
         this.abstraction = null;
         this.container = null;
         this.parent = null;
@@ -6096,8 +7460,6 @@
      * @param {Element} parentElement - The foreach container element
      */
     Runtime.prototype.scanAndRegisterNewElements = function(parentElement) {
-        const self = this;
-
         // Expand partial templates before scanning so injected markup
         // is visible to scanBindings and scanTextBindings
         expandPartials(parentElement);
@@ -6107,6 +7469,31 @@
         const newTextBindings = this.scanTextBindings(parentElement);
         const newCommentBindings = this.scanCommentBindings(parentElement);
 
+        // Register them, apply their initial values and render nested foreach loops
+        this.registerScannedBindings(parentElement, newBindings, newTextBindings, newCommentBindings);
+
+        // Content just changed as a result of this scan (new bindings applied,
+        // foreach items rendered, etc.) — recompute scroll metrics now, tied to
+        // the actual DOM mutation rather than an independently-timed check that
+        // could fire before or after rendering completes.
+        this.updateContainerScrollState();
+    };
+
+    /**
+     * Adds the results of scanBindings/scanTextBindings/scanCommentBindings to the
+     * runtime maps, applies the initial value of every new binding and renders any
+     * foreach loops found among them. Kept apart from scanAndRegisterNewElements so
+     * keyed foreach reconciliation can scan each inserted item separately and still
+     * register them all in a single pass.
+     * @param {Element|null} parentElement - The scanned root; its own bindings are not registered
+     * @param {Map<Element, Object>} newBindings - Result of scanBindings
+     * @param {Map<Node, Object>} newTextBindings - Result of scanTextBindings
+     * @param {Map<Comment, Object>} newCommentBindings - Result of scanCommentBindings
+     * @returns {void}
+     */
+    Runtime.prototype.registerScannedBindings = function(parentElement, newBindings, newTextBindings, newCommentBindings) {
+        const self = this;
+
         // Add new bindings to main maps
         newBindings.forEach((mappingData, element) => {
             if (element !== parentElement) {
@@ -6157,12 +7544,6 @@
             .forEach(([element]) => {
                 this.renderForeach(element, this.evaluateForeachArray(element));
             });
-
-        // Content just changed as a result of this scan (new bindings applied,
-        // foreach items rendered, etc.) — recompute scroll metrics now, tied to
-        // the actual DOM mutation rather than an independently-timed check that
-        // could fire before or after rendering completes.
-        this.updateContainerScrollState();
     };
 
     /**
@@ -6197,7 +7578,10 @@
      */
     Runtime.prototype.getDependencies = function() {
         const computed = this.originalAbstraction.computed ?? {};
-        const computedNames = new Set(Object.keys(computed));
+
+        // Async computed properties track their dependencies per run instead
+        // (see runAsyncComputed) — calling them here would start real work
+        const computedNames = new Set(Object.keys(computed).filter(name => !Utils.isAsyncFunction(computed[name])));
 
         // Build the direct dependency map by executing each computed property
         // through a proxy that records every property access.
@@ -6261,6 +7645,131 @@
         return dependencies;
     };
 
+    /**
+     * Starts the first run of every async computed property. Called once the
+     * component is initialized, so state set up by init() is already in place.
+     */
+    Runtime.prototype.startAsyncComputed = function() {
+        this.asyncComputed.forEach((entry, name) => this.runAsyncComputed(name));
+    };
+
+    /**
+     * Runs an async computed property and stores its outcome on the abstraction.
+     *
+     * Dependencies are tracked like those of a synchronous computed property, but
+     * per run: every property read before the function first awaits is recorded,
+     * and a later change to any of them starts a new run. Reads after an await
+     * are not tracked, so read dependencies up front.
+     *
+     * A new run supersedes the one in flight: the previous run's AbortController
+     * (passed as the function's only argument, e.g. for WakaSync's abortController
+     * option or fetch's signal) is aborted, and its result is discarded.
+     * @param {string} name - Name of the async computed property
+     */
+    Runtime.prototype.runAsyncComputed = function(name) {
+        const entry = this.asyncComputed.get(name);
+        const fn = this.originalAbstraction.computed[name];
+        const abstraction = this.abstraction;
+        const runId = ++entry.runId;
+
+        // Cancel the stale run, if any
+        if (entry.controller) {
+            entry.controller.abort();
+        }
+
+        const controller = new AbortController();
+        const deps = new Set();
+        let tracking = true;
+
+        // Reads go to the reactive abstraction, so the function sees current values
+        // and can call the component's methods; writes pass straight through.
+        const scope = new Proxy(abstraction, {
+            get(target, prop) {
+                if (tracking && typeof prop === 'string') {
+                    deps.add(prop);
+                }
+
+                return abstraction[prop];
+            },
+
+            set(target, prop, value) {
+                abstraction[prop] = value;
+                return true;
+            }
+        });
+
+        entry.controller = controller;
+        abstraction[name + '$pending'] = true;
+
+        let result;
+
+        try {
+            result = fn.call(scope, controller);
+        } catch (error) {
+            result = Promise.reject(error);
+        } finally {
+            tracking = false;
+        }
+
+        entry.deps = deps;
+
+        // A run only settles the properties when no newer run has started since
+        // and the component still exists
+        const isCurrent = () => entry.runId === runId && this.abstraction !== null;
+
+        Promise.resolve(result).then(value => {
+            if (isCurrent()) {
+                entry.controller = null;
+                abstraction[name] = value;
+                abstraction[name + '$error'] = null;
+                abstraction[name + '$pending'] = false;
+            }
+        }, error => {
+            if (isCurrent()) {
+                entry.controller = null;
+                abstraction[name + '$error'] = error;
+                abstraction[name + '$pending'] = false;
+            }
+        });
+    };
+
+    /**
+     * Re-runs the async computed properties that depend on a changed property,
+     * either directly or through a synchronous computed property that reads it.
+     * Changes to an async computed property's own value, pending or error flag
+     * never re-run that same property.
+     * @param {CustomEvent} event - The pac:change event containing change details
+     */
+    Runtime.prototype.handleAsyncComputedForChange = function(event) {
+        if (this.asyncComputed.size === 0) {
+            return;
+        }
+
+        const changedProp = event.detail.path[0];
+        const computedDependents = this.dependencies.get(changedProp);
+
+        this.asyncComputed.forEach((entry, name) => {
+            if (changedProp === name || changedProp === name + '$pending' || changedProp === name + '$error') {
+                return;
+            }
+
+            let affected = entry.deps.has(changedProp);
+
+            if (!affected && computedDependents) {
+                for (const dependent of computedDependents) {
+                    if (entry.deps.has(dependent)) {
+                        affected = true;
+                        break;
+                    }
+                }
+            }
+
+            if (affected) {
+                this.runAsyncComputed(name);
+            }
+        });
+    };
+
     /**
      * Try to infer which array property in the abstraction is the "source" array
      * behind a given computed property (for example, linking `filteredTodos` back to `todos`).
@@ -6420,8 +7929,16 @@
         // Each event type corresponds to a different aspect of the PAC (Presentation-Abstraction-Control) architecture
         switch (event.type) {
             // Handle general PAC events (likely business logic or component interactions)
+            // Changes made while handling one message form a single undo step
             case 'pac:event':
-                this.handlePacEvent(event);
+                this.history?.beginStep();
+
+                try {
+                    this.handlePacEvent(event);
+                } finally {
+                    this.history?.endStep();
+                }
+
                 break;
 
             // Handle reactive data binding changes (property updates, computed value changes)
@@ -6441,30 +7958,186 @@
     };
 
     /**
-     * Handles PAC events based on message type
-     * @param {CustomEvent} event - The PAC event with Win32-style message properties
-     * @param {Number} event.message - Message type from wakaPAC message constants (wakaPAC.MSG_*)
-     * @param {Number} event.wParam - Windows-style wParam (modifier keys, button states)
-     * @param {Number} event.lParam - Windows-style lParam (coordinates, key codes)
-     * @param {Event} event.originalEvent - Reference to the original DOM event
-     * @returns {void}
+     * Runs a message through the component's subclass chain and its msgProc.
+     * Subclasses are called in install order, each as fn(event, next). Calling
+     * next() forwards the message (or a replacement message passed to next) to
+     * the next subclass and finally to the original msgProc, and returns that
+     * result. A subclass that does not call next() swallows the message; its own
+     * return value becomes the result either way, exactly as if msgProc had
+     * returned it. Equivalent to Win32 SetWindowSubclass()/DefSubclassProc().
+     * A replacement passed to next() is seen by the rest of the chain only;
+     * handlePacEvent() runs the default processing on the original event.
+     * @param {CustomEvent} event - The PAC message
+     * @returns {*} The result of the first subclass, or of msgProc when there are none
      */
-    Runtime.prototype.handlePacEvent = function(event) {
-        // Call user's message handler (msgProc) before framework processes the event
-        // This allows user code to intercept and handle messages first, Win32-style
-        let preventDefault = false;
+    Runtime.prototype.callMsgProc = function(event) {
+        const msgProc = typeof this.originalAbstraction.msgProc === 'function' ? this.originalAbstraction.msgProc : null;
 
-        if (this.originalAbstraction.msgProc && typeof this.originalAbstraction.msgProc === 'function') {
-            const msgProcResult = this.originalAbstraction.msgProc.call(this.abstraction, event);
-
-            // Certain message types can prevent framework's default behavior by returning false
-            // Similar to Win32: returning 0 from WndProc means "I handled this, skip default processing"
-            const cancellableEvents = [
-                MSG_LBUTTONUP, MSG_MBUTTONUP, MSG_RBUTTONUP,
-                MSG_LCLICK, MSG_MCLICK, MSG_RCLICK, MSG_CONTEXTMENU,
-                MSG_SUBMIT, MSG_CHANGE, MSG_GESTURE, MSG_CHAR,
-                MSG_COPY, MSG_PASTE, MSG_KEYDOWN, MSG_KEYUP
-            ];
+        // Snapshot the chain so subclasses installed or removed while this
+        // message is being handled only take effect from the next message
+        const chain = this.subclasses.map(entry => entry.fn);
+
+        const callAt = (index, message) => {
+            if (index >= chain.length) {
+                if (!msgProc) {
+                    return undefined;
+                }
+
+                // A throwing msgProc counts as "not handled": the framework's own
+                // processing of the message still runs, and the sender gets 0
+                try {
+                    return msgProc.call(this.abstraction, message);
+                } catch (e) {
+                    this.reportError(e, { source: 'msgProc', messageId: message.message }, 'wakaPAC: msgProc threw an error:');
+                    return undefined;
+                }
+            }
+
+            let forwarded = false;
+
+            const next = (replacement = message) => {
+                forwarded = true;
+                return callAt(index + 1, replacement);
+            };
+
+            try {
+                return chain[index].call(this.abstraction, message, next);
+            } catch (e) {
+                // A throwing subclass must not cut the component off from its messages.
+                // Report the error and forward as if the subclass had called next() itself,
+                // unless it already did before throwing — the rest of the chain has seen it.
+                this.reportError(e, { source: 'subclass', messageId: message.message }, 'wakaPAC: component subclass threw an error, continuing chain:');
+                return forwarded ? undefined : next();
+            }
+        };
+
+        return callAt(0, event);
+    };
+
+    /**
+     * Routes an error thrown by this component's code — msgProc, a binding, a
+     * text interpolation, a watcher, an event handler, a foreach, init() or
+     * ready() — through its error boundaries:
+     *
+     * 1. The component's own onError(error, info) hook. Returning true marks
+     *    the error handled; returning a string renders it as fallback HTML.
+     * 2. Otherwise MSG_ERROR is sent to each ancestor component in turn, innermost first,
+     *    with the error and info in event.detail. A msgProc that returns true
+     *    (or a fallback string) stops the bubbling.
+     * 3. The global wakaPAC.onError(error, info) sink, if set, sees every error,
+     *    handled or not (info.handled tells which). It may return a fallback
+     *    string too.
+     *
+     * An error nobody handled is logged with the given warning when no global
+     * sink is installed, as it was before boundaries existed.
+     * @param {Error} error - The thrown value
+     * @param {Object} info - What failed: source ('msgProc', 'subclass', 'binding',
+     *        'text', 'watcher', 'event', 'foreach', 'conditional', 'init' or 'ready'),
+     *        plus expression, binding, element, property or messageId where they apply
+     * @param {string} warning - Console message used when the error stays unhandled
+     * @returns {void}
+     */
+    Runtime.prototype.reportError = function(error, info, warning) {
+        // An error raised by a boundary itself is only logged
+        if (_reportingError || !this.abstraction) {
+            console.warn(warning, error);
+            return;
+        }
+
+        const details = Object.assign({ pacId: this.abstraction.pacId }, info);
+        let handled = false;
+        let fallback = null;
+
+        // Interprets a boundary's answer: true handles, a string handles and renders
+        const settle = result => {
+            if (typeof result === 'string') {
+                fallback = fallback ?? result;
+                handled = true;
+            } else if (result === true) {
+                handled = true;
+            }
+        };
+
+        _reportingError = true;
+
+        try {
+            if (typeof this.originalAbstraction.onError === 'function') {
+                settle(this.originalAbstraction.onError.call(this.abstraction, error, details));
+            }
+
+            // Walk the DOM rather than this.parent: hierarchies are linked after a
+            // debounce, and errors during the first render must bubble all the same
+            for (let el = this.container.parentElement?.closest(CONTAINER_SEL); el && !handled; el = el.parentElement?.closest(CONTAINER_SEL)) {
+                if (window.PACRegistry.get(el.getAttribute('data-pac-id'))) {
+                    settle(wakaPAC.sendMessage(el.getAttribute('data-pac-id'), MSG_ERROR, 0, 0, Object.assign({ error }, details)));
+                }
+            }
+
+            if (typeof wakaPAC.onError === 'function') {
+                settle(wakaPAC.onError(error, Object.assign({ handled }, details)));
+            } else if (!handled) {
+                console.warn(warning, error);
+            }
+        } catch (boundaryError) {
+            console.warn('wakaPAC: error boundary threw while handling an error:', boundaryError, 'original error:', error);
+        } finally {
+            _reportingError = false;
+        }
+
+        if (fallback !== null) {
+            this.renderFallback(fallback);
+        }
+    };
+
+    /**
+     * Replaces the container's content with fallback HTML after an error.
+     * The HTML is inserted as-is, without bindings: the component's state may be
+     * what failed. Binding maps are dropped so later changes stop evaluating
+     * against the removed content, and child components inside the container
+     * are destroyed along with it. The component itself stays registered, so its
+     * msgProc keeps receiving messages (a "retry" button can still be handled).
+     * @param {string} html - Fallback markup
+     * @returns {void}
+     */
+    Runtime.prototype.renderFallback = function(html) {
+        this.interpolationMap.clear();
+        this.textInterpolationMap.clear();
+        this.commentBindingMap.clear();
+        this.container.innerHTML = html;
+    };
+
+    /**
+     * Handles PAC events based on message type
+     * @param {CustomEvent} event - The PAC event with Win32-style message properties
+     * @param {Number} event.message - Message type from wakaPAC message constants (wakaPAC.MSG_*)
+     * @param {Number} event.wParam - Windows-style wParam (modifier keys, button states)
+     * @param {Number} event.lParam - Windows-style lParam (coordinates, key codes)
+     * @param {Event} event.originalEvent - Reference to the original DOM event
+     * @returns {void}
+     */
+    Runtime.prototype.handlePacEvent = function(event) {
+        // Call user's message handler (msgProc) before framework processes the event
+        // This allows user code to intercept and handle messages first, Win32-style
+        let preventDefault = false;
+
+        if (this.subclasses.length > 0 || typeof this.originalAbstraction.msgProc === 'function') {
+            const msgProcResult = this.callMsgProc(event);
+
+            // Record the handler's return value on the event so synchronous senders can read
+            // it back, Win32 LRESULT style. Undefined means "not handled" and leaves the
+            // field untouched, so the sender falls back to its default result.
+            if (msgProcResult !== undefined) {
+                event.lResult = msgProcResult;
+            }
+
+            // Certain message types can prevent framework's default behavior by returning false
+            // Similar to Win32: returning 0 from WndProc means "I handled this, skip default processing"
+            const cancellableEvents = [
+                MSG_LBUTTONUP, MSG_MBUTTONUP, MSG_RBUTTONUP,
+                MSG_LCLICK, MSG_MCLICK, MSG_RCLICK, MSG_CONTEXTMENU,
+                MSG_SUBMIT, MSG_CHANGE, MSG_GESTURE, MSG_CHAR,
+                MSG_COPY, MSG_PASTE, MSG_KEYDOWN, MSG_KEYUP, MSG_ACCEL
+            ];
 
             if (cancellableEvents.includes(event.message) && msgProcResult === false) {
                 preventDefault = true;
@@ -6507,6 +8180,38 @@
                 // Post-mutation input (input event - value is updated)
                 this.handleDomInputComplete(event);
                 break;
+
+            case MSG_ACCEL:
+                // Undo/redo accelerators registered for the history option
+                this.handleHistoryCommand(event);
+                break;
+
+            case MSG_KEYDOWN:
+                // Focus trap wrapping and roving tabindex navigation
+                FocusManager.handleKeyDown(event);
+                break;
+
+            case MSG_FOREACH_REBUILT:
+                // Re-rendered rows may have added or removed roving items
+                FocusManager.initRovingLists(this.container);
+                break;
+        }
+    }
+
+    /**
+     * Performs undo or redo for the ID_EDIT_UNDO/ID_EDIT_REDO commands.
+     * Other command ids, and components without history, are left alone.
+     * @param {CustomEvent} event - The MSG_ACCEL event; wParam holds the command id
+     */
+    Runtime.prototype.handleHistoryCommand = function(event) {
+        if (!this.history) {
+            return;
+        }
+
+        if (event.wParam === ID_EDIT_UNDO) {
+            this.history.undo();
+        } else if (event.wParam === ID_EDIT_REDO) {
+            this.history.redo();
         }
     }
 
@@ -6562,7 +8267,12 @@
             // Fallback (if bindingTarget is a bare method name): call with (event)
             this.evaluateHandlerExpression(bindingTarget, scopedAbstraction, scopeResolver, [event]);
         } catch (error) {
-            console.warn(`Error executing ${kind} binding '${bindingTarget}':`, error);
+            this.reportError(error, {
+                source: 'event',
+                binding: kind,
+                expression: bindingTarget,
+                element: event.target
+            }, `Error executing ${kind} binding '${bindingTarget}':`);
         }
     };
 
@@ -6687,7 +8397,12 @@
                 }
             }
         } catch (error) {
-            console.warn(`Error executing click binding '${bindingTarget}':`, error);
+            this.reportError(error, {
+                source: 'event',
+                binding: 'click',
+                expression: bindingTarget,
+                element: event.target
+            }, `Error executing click binding '${bindingTarget}':`);
 
             // A failure while resolving foreach context aborts the handler — it does
             // not fall through to the simple case, matching the original behaviour
@@ -6935,11 +8650,22 @@
      * @param {*} event.detail.newValue - The new value after the change
      */
     Runtime.prototype.handleReactiveChange = function(event) {
+        // Record the change for undo/redo before any binding reacts to it
+        if (this.history) {
+            this.history.record(event.detail.path, event.detail.oldValue, event.detail.newValue);
+        }
+
+        // Keyed foreach loops go first: reconciling them re-indexes the rows they keep,
+        // and the binding passes below must resolve those rows against their new index.
+        // Run afterwards, every shifted row would briefly render its neighbour's data.
+        this.handleForeachRebuildForChange(event, true);
+
         this.updateElementBindings();
         this.updateTextInterpolations();
         this.updateCommentConditionals();
         this.handleWatchersForChange(event);
-        this.handleForeachRebuildForChange(event);
+        this.handleForeachRebuildForChange(event, false);
+        this.handleAsyncComputedForChange(event);
     };
 
     // =============================================================================
@@ -7007,7 +8733,12 @@
                         domUpdater.updateAttributeBinding(element, bindingType, bindingData, currentValue);
                     }
                 } catch (error) {
-                    console.warn('Error evaluating binding:', bindingType, error);
+                    self.reportError(error, {
+                        source: 'binding',
+                        binding: bindingType,
+                        expression: bindings[bindingType].target,
+                        element
+                    }, `Error evaluating ${bindingType} binding:`);
                 }
             }
         });
@@ -7038,7 +8769,7 @@
                         const result = self.evalInScope(expression, textNode, abstraction);
                         return result != null ? String(result) : '';
                     } catch (error) {
-                        console.warn('Error evaluating text interpolation:', expression, error);
+                        self.reportError(error, { source: 'text', expression: expression.trim(), element: textNode }, `Error evaluating text interpolation "${expression}":`);
                         return match;
                     }
                 });
@@ -7049,7 +8780,7 @@
                     cache.previousText = newText;
                 }
             } catch (error) {
-                console.warn('Error updating text node:', error);
+                self.reportError(error, { source: 'text', element: textNode }, 'Error updating text node:');
             }
         });
     };
@@ -7135,11 +8866,13 @@
      * than one rule matches it — which happens routinely for a computed
      * foreach over an array that was itself directly mutated (rules 1 and 2
      * both match the same element in that case).
+     * Keyed and unkeyed loops are handled in separate calls (see handleReactiveChange).
      * @param {CustomEvent} event - The pac:change event containing change details
      * @param {string[]} event.detail.path - Property path that changed
      * @param {*} event.detail.newValue - The new value after the change
+     * @param {boolean} keyed - True to handle only keyed foreach loops, false for only unkeyed ones
      */
-    Runtime.prototype.handleForeachRebuildForChange = function(event) {
+    Runtime.prototype.handleForeachRebuildForChange = function(event, keyed) {
         const path = event.detail.path;
         const pathString = Utils.pathArrayToString(path);
         const changedIsArray = Array.isArray(event.detail.newValue);
@@ -7170,6 +8903,11 @@
                 continue;
             }
 
+            // Skip loops that belong to the other pass
+            if (!!mappingData.keyPath !== keyed) {
+                continue;
+            }
+
             const directMatch = directMatches !== null && directMatches.has(element);
 
             let computedMatch = false;
@@ -7218,7 +8956,7 @@
             try {
                 this.originalAbstraction.watch[property].call(this.abstraction, newValue, oldValue);
             } catch (error) {
-                console.warn('Error in watcher for \'' + property + '\':', error);
+                this.reportError(error, { source: 'watcher', property }, 'Error in watcher for \'' + property + '\':');
             }
         }
     };
@@ -7229,7 +8967,7 @@
      * network connectivity, scroll position, and viewport dimensions.
      * @param {CustomEvent} event - Browser state change event
      * @param {Object} event.detail - Event payload containing state information
-     * @param {string} event.detail.stateType - Type of state change ('visibility'|'online'|'scroll'|'resize')
+     * @param {string} event.detail.stateType - Type of state change ('visibility'|'online'|'scroll'|'resize'|'orientation'|'dpr'|'chord')
      * @param {Object} event.detail.stateData - State-specific data object
      */
     Runtime.prototype.handleBrowserStateEvent = function(event) {
@@ -7279,6 +9017,11 @@
                 break;
             }
 
+            case 'chord':
+                // Accelerator chord waiting for its next stroke ('' when none)
+                this.abstraction.browserPendingChord = stateData.pending;
+                break;
+
             case 'orientation':
                 // Screen orientation angle in degrees (0, 90, 180, 270)
                 // and type string e.g. 'portrait-primary', 'landscape-secondary'
@@ -7403,8 +9146,18 @@
             const foreachId = Utils.uniqid('foreach');
             element.setAttribute('data-pac-foreach-id', foreachId);
 
+            // A keyed foreach names its key either inline ("foreach: items by id") or through
+            // data-pac-key="id". The "by" clause is stripped from the binding target as well, so
+            // every later evaluation of the binding only ever sees the plain array expression.
+            const keyMatch = mappingData.bindings.foreach.target.match(FOREACH_KEY_REGEX);
+
+            if (keyMatch) {
+                mappingData.bindings.foreach.target = keyMatch[1].trim();
+            }
+
             // Store the updated mapping data into the map
             const foreachExpr = mappingData.bindings.foreach.target;
+            const keyPath = keyMatch ? keyMatch[2] : (element.getAttribute('data-pac-key') || null);
             const itemVar = element.getAttribute('data-pac-item') || 'item';
             const indexVar = element.getAttribute('data-pac-index') || '$index';
             const depth = self.getElementDepth(element);
@@ -7414,6 +9167,7 @@
                 foreachExpr: foreachExpr,
                 sourceArray: this.inferArrayRoot(foreachExpr),
                 template: element.innerHTML, // Capture clean template
+                keyPath: keyPath,
                 itemVar: itemVar,
                 indexVar: indexVar,
                 depth: depth
@@ -7487,6 +9241,11 @@
                                     interpolationMap.set(attr, { template: attr.value });
                                 }
                             }
+
+                            // Content written by the html binding stays inert unless opted in
+                            if (boundAttrNames && boundAttrNames.has('html') && !node.hasAttribute('data-pac-html-scan')) {
+                                return NodeFilter.FILTER_REJECT;
+                            }
                         }
                         return NodeFilter.FILTER_SKIP;
                     }
@@ -7526,9 +9285,19 @@
         }
 
         _partialsCollected = true;
+        collectPartialsFrom(document);
+    }
 
-        // Find all partials
-        document.querySelectorAll('script[type="text/template"][' + PAC_PARTIAL_ATTR + ']').forEach(function(el) {
+    /**
+     * Adds the <script type="text/template" data-pac-partial="name"> elements
+     * found under root to _partials. A name that is already registered with a
+     * different body is reported and ignored; re-registering the same body is a
+     * no-op, so a template rendered repeatedly by renderToString() stays quiet.
+     * @param {Document|Element} root - Node to search
+     * @returns {void}
+     */
+    function collectPartialsFrom(root) {
+        root.querySelectorAll('script[type="text/template"][' + PAC_PARTIAL_ATTR + ']').forEach(function(el) {
             // Extract name
             const name = el.getAttribute(PAC_PARTIAL_ATTR);
 
@@ -7539,7 +9308,10 @@
 
             // If already defined, warn the user and ignore
             if (_partials.has(name)) {
-                console.warn('wakaPAC: Duplicate partial "' + name + '" — only the first definition is used.');
+                if (_partials.get(name) !== el.textContent) {
+                    console.warn('wakaPAC: Duplicate partial "' + name + '" — only the first definition is used.');
+                }
+
                 return;
             }
 
@@ -7649,118 +9421,608 @@
         });
     }
 
-    /**
-     * Calls scanAndRegisterNewElements on every Element node in the given array.
-     * Extracted as a module-level helper so it is defined once rather than
-     * recreated as a closure on each updateCommentConditional call.
-     * @param {Runtime} context
-     * @param {Node[]} nodes
-     */
-    function scanElementNodes(context, nodes) {
-        nodes.forEach(node => {
-            if (node.nodeType === Node.ELEMENT_NODE) {
-                context.scanAndRegisterNewElements(node);
-            }
-        });
-    }
+    // =============================================================================
+    // STATIC RENDERING
+    // =============================================================================
 
     /**
-     * Scans the container for comment nodes with wp-if conditionals
-     * Builds mapping similar to element bindings but for comment-based conditionals
-     * @param {Element} parentElement - The parent element to scan
-     * @returns {Map<Comment, {expression: string, closingComment: Comment, branches: Array<{expression: string|null, nodes: Node[], scanned: boolean}>, scopeResolver: Object, isVisible: number|null}>}
+     * Renders a component template to static HTML without a runtime: no proxies,
+     * observers or event listeners, only element, text and comment nodes and their
+     * attributes. That keeps it usable in Node on top of a lightweight DOM shim
+     * (document, Node and NodeFilter as globals), as well as in the browser.
+     *
+     * Expressions are evaluated with ExpressionParser against a plain render
+     * context. Foreach items get a context layered on top of their parent's,
+     * carrying the item and index variables, so no path rewriting is needed.
      */
-    Runtime.prototype.scanCommentBindings = function(parentElement) {
-        const commentBindingMap = new Map();
-        const openComments = []; // Stack to track nested wp-if comments
+    const StaticRenderer = {
+        /** Built-in bindings applied by applyBinding(); other handlers need a runtime and are skipped */
+        STATIC_BINDINGS: new Set(['value', 'checked', 'visible', 'class', 'style', 'html']),
 
-        // Create tree walker to find comment nodes
-        const walker = document.createTreeWalker(
-            parentElement,
-            NodeFilter.SHOW_COMMENT,
-            {
-                acceptNode: node =>
-                    Utils.belongsToPacContainer(this.container, node)
-                        ? NodeFilter.FILTER_ACCEPT
-                        : NodeFilter.FILTER_SKIP
+        /**
+         * Renders a single-root template to an HTML string. The root element receives
+         * the serialized state in data-pac-state and keeps the untouched template in a
+         * trailing <template data-pac-ssr>, which hydrateContainer() swaps back in.
+         * @param {string} templateHtml - Component markup with a single root element
+         * @param {Object} abstraction - Component abstraction (data, methods and computed)
+         * @returns {string} Rendered HTML
+         * @throws {Error} If the template does not have exactly one root element
+         */
+        render(templateHtml, abstraction) {
+            const host = document.createElement('div');
+            host.innerHTML = String(templateHtml).trim();
+
+            const root = host.firstElementChild;
+
+            if (!root || host.childNodes.length !== 1) {
+                throw new Error('wakaPAC.renderToString(): template must have exactly one root element');
             }
-        );
 
-        let commentNode;
+            const template = root.innerHTML;
+            const imported = resolveImportedUnits(root.getAttribute('data-pac-uses'));
 
-        while ((commentNode = walker.nextNode())) {
-            // nodeValue is more direct than textContent for comment nodes
-            const text = commentNode.nodeValue;
+            const scope = {
+                resolveScopedPath: (path) => path,
+                importedUnits: imported.units,
+                importedFilters: imported.filters
+            };
 
-            // Check for opening wp-if comment
-            const openMatch = text.match(WP_IF_COMMENT_REGEX);
+            // Partials may be defined inside the template itself
+            collectPartialsFrom(root);
+            expandPartials(root);
 
-            // If found, add it to the array
-            if (openMatch) {
-                openComments.push({ comment: commentNode, expression: openMatch[1].trim() });
-                continue;
-            }
+            this.renderChildren(root, this.createContext(abstraction), scope);
 
-            // Check for closing /wp-if comment — must have a matching open
-            if (!text.match(WP_IF_CLOSE_COMMENT_REGEX) || openComments.length === 0) {
-                continue;
-            }
+            const ssrTemplate = document.createElement('template');
+            ssrTemplate.setAttribute(PAC_SSR_TEMPLATE_ATTR, '');
+            ssrTemplate.innerHTML = template;
+            root.appendChild(ssrTemplate);
 
-            // pop comment off array
-            const { comment: openComment, expression } = openComments.pop();
+            root.setAttribute('data-pac-state', JSON.stringify(this.extractState(abstraction)));
+            return host.innerHTML;
+        },
 
-            // Skip if this wp-if is already registered. scanElementNodes can re-scan a
-            // subtree when an ancestor wp-if becomes visible, after this wp-if has already
-            // collapsed its content to a placeholder. Rebuilding from that modified DOM
-            // would overwrite the original node references and lose the real content.
-            // Keeping the existing registration preserves those references;
-            // updateCommentConditional's buried wp-if handling re-evaluates them correctly.
-            if (this.commentBindingMap.has(openComment)) {
-                continue;
+        /**
+         * Builds the root render context: the abstraction's own properties, with
+         * computed properties exposed as getters evaluated against the context.
+         * @param {Object} abstraction - Component abstraction
+         * @returns {Object} Render context
+         */
+        createContext(abstraction) {
+            const context = {};
+            const computed = abstraction.computed || {};
+
+            Object.keys(abstraction).forEach(key => {
+                if (key !== 'computed') {
+                    context[key] = abstraction[key];
+                }
+            });
+
+            Object.keys(computed).forEach(name => {
+                // Async computed properties render in their initial, pending state
+                if (Utils.isAsyncFunction(computed[name])) {
+                    context[name] = undefined;
+                    context[name + '$pending'] = true;
+                    context[name + '$error'] = null;
+                    return;
+                }
+
+                Object.defineProperty(context, name, {
+                    get: () => computed[name].call(context),
+                    enumerable: true
+                });
+            });
+
+            return context;
+        },
+
+        /**
+         * Collects the serializable data of an abstraction: everything except
+         * methods and the computed property definitions.
+         * @param {Object} abstraction - Component abstraction
+         * @returns {Object} State for data-pac-state
+         */
+        extractState(abstraction) {
+            const state = {};
+
+            Object.keys(abstraction).forEach(key => {
+                if (key !== 'computed' && typeof abstraction[key] !== 'function') {
+                    state[key] = abstraction[key];
+                }
+            });
+
+            return state;
+        },
+
+        /**
+         * Evaluates an expression, logging and returning undefined on error.
+         * @param {string} expression - Expression to evaluate
+         * @param {Object} context - Render context
+         * @param {Object} scope - Scope resolver
+         * @returns {*} The evaluated value
+         */
+        evaluate(expression, context, scope) {
+            try {
+                return ExpressionParser.evaluate(ExpressionCache.parseExpression(expression), context, scope);
+            } catch (error) {
+                console.warn('wakaPAC: Error rendering expression:', expression, error);
+                return undefined;
             }
+        },
 
-            // Build a unified branches array so updateCommentConditional can
-            // iterate a single list regardless of how many wp-else-if clauses exist.
-            const branches = [{ expression, nodes: [], scanned: false }];
-            let activeBucket = branches[0].nodes;
-            let activeBranch = branches[0];
+        /**
+         * Replaces every {{ }} interpolation in a template string with its value.
+         * @param {string} template - Text containing interpolations
+         * @param {Object} context - Render context
+         * @param {Object} scope - Scope resolver
+         * @returns {string} The interpolated text
+         */
+        interpolate(template, context, scope) {
+            return template.replace(INTERPOLATION_REGEX, (match, expression) => {
+                const value = this.evaluate(expression, context, scope);
+                return value != null ? String(value) : '';
+            });
+        },
 
-            // Walk sibling nodes between this open comment and its matching close,
-            // building the branch node list. A `while` loop is required because
-            // nested `wp-if` groups advance `node` by multiple siblings.
-            //
-            // Nested, independent `<!-- wp-if: ... -->` blocks are recorded as a
-            // single opaque group (open through matching close, inclusive) rather
-            // than flattened into this branch. This prevents the outer and nested
-            // bindings from both managing the same DOM nodes, which would cause
-            // their visibility updates to interfere. The outer binding only toggles
-            // the nested span as an atomic group; the nested binding exclusively
-            // manages its own contents.
-            let node = openComment.nextSibling;
+        /**
+         * Renders the children of a node in place. wp-if comment blocks are resolved
+         * to their winning branch, which is then rendered like any other sibling.
+         * @param {Node} parent - Element or fragment whose children are rendered
+         * @param {Object} context - Render context
+         * @param {Object} scope - Scope resolver
+         * @returns {void}
+         */
+        renderChildren(parent, context, scope) {
+            let node = parent.firstChild;
 
-            while (node && node !== commentNode) {
+            while (node) {
                 if (node.nodeType === Node.COMMENT_NODE) {
-                    const elseIfMatch = node.nodeValue.match(WP_ELSE_IF_COMMENT_REGEX);
+                    const openMatch = node.nodeValue.match(WP_IF_COMMENT_REGEX);
 
-                    if (elseIfMatch) {
-                        const branch = { expression: elseIfMatch[1].trim(), nodes: [], scanned: false };
-                        branches.push(branch);
-                        activeBucket = branch.nodes;
-                        activeBranch = branch;
-                        node = node.nextSibling;
+                    if (openMatch) {
+                        node = this.renderConditional(node, openMatch[1], context, scope);
                         continue;
                     }
+                } else if (node.nodeType === Node.TEXT_NODE) {
+                    if (INTERPOLATION_TEST_REGEX.test(node.nodeValue)) {
+                        node.nodeValue = this.interpolate(node.nodeValue, context, scope);
+                    }
+                } else if (node.nodeType === Node.ELEMENT_NODE) {
+                    this.renderElement(node, context, scope);
+                }
 
-                    if (node.nodeValue.match(WP_ELSE_COMMENT_REGEX)) {
-                        const branch = { expression: null, nodes: [], scanned: false };
-                        branches.push(branch);
-                        activeBucket = branch.nodes;
-                        activeBranch = branch;
+                node = node.nextSibling;
+            }
+        },
+
+        /**
+         * Resolves a wp-if / wp-else-if / wp-else block: removes the markers and the
+         * losing branches, leaving only the nodes of the first matching branch.
+         * @param {Comment} openComment - The <!-- wp-if: ... --> comment
+         * @param {string} expression - Its condition
+         * @param {Object} context - Render context
+         * @param {Object} scope - Scope resolver
+         * @returns {Node|null} The node to continue rendering from
+         */
+        renderConditional(openComment, expression, context, scope) {
+            const branches = [{ expression: expression.trim(), nodes: [] }];
+            const markers = [openComment];
+            let node = openComment.nextSibling;
+            let depth = 0;
+
+            // Collect the branches up to the matching close comment. Nested wp-if
+            // blocks stay inside the branch; they are resolved when it is rendered.
+            while (node) {
+                if (node.nodeType === Node.COMMENT_NODE) {
+                    const text = node.nodeValue;
+
+                    if (WP_IF_COMMENT_REGEX.test(text)) {
+                        depth++;
+                    } else if (WP_IF_CLOSE_COMMENT_REGEX.test(text)) {
+                        if (depth === 0) {
+                            break;
+                        }
+
+                        depth--;
+                    } else if (depth === 0 && (WP_ELSE_IF_COMMENT_REGEX.test(text) || WP_ELSE_COMMENT_REGEX.test(text))) {
+                        const elseIfMatch = text.match(WP_ELSE_IF_COMMENT_REGEX);
+                        branches.push({ expression: elseIfMatch ? elseIfMatch[1].trim() : null, nodes: [] });
+                        markers.push(node);
                         node = node.nextSibling;
                         continue;
                     }
+                }
 
-                    if (node.nodeValue.match(WP_IF_COMMENT_REGEX)) {
+                branches[branches.length - 1].nodes.push(node);
+                node = node.nextSibling;
+            }
+
+            // Unmatched: leave the block as it is, like the runtime does
+            if (!node) {
+                console.warn('wakaPAC: Unclosed wp-if comment:', openComment.nodeValue);
+                return openComment.nextSibling;
+            }
+
+            markers.push(node);
+
+            const next = node.nextSibling;
+            const winner = branches.find(branch =>
+                branch.expression === null || this.evaluate(branch.expression, context, scope)
+            );
+
+            branches.forEach(branch => {
+                if (branch !== winner) {
+                    branch.nodes.forEach(n => n.parentNode.removeChild(n));
+                }
+            });
+
+            markers.forEach(n => n.parentNode.removeChild(n));
+            return winner && winner.nodes.length ? winner.nodes[0] : next;
+        },
+
+        /**
+         * Renders one element: attribute interpolations, foreach/if, its children,
+         * and finally the remaining bindings (after the children, so a <select>
+         * value can select an option rendered by a foreach inside it).
+         * @param {Element} element - Element to render
+         * @param {Object} context - Render context
+         * @param {Object} scope - Scope resolver
+         * @returns {void}
+         */
+        renderElement(element, context, scope) {
+            const tagName = element.tagName.toLowerCase();
+
+            // Partial definitions, inert templates and nested components are left alone
+            if (tagName === 'script' || tagName === 'template' || element.hasAttribute('data-pac-id')) {
+                return;
+            }
+
+            const attrs = Array.from(element.attributes);
+
+            for (let i = 0; i < attrs.length; i++) {
+                if (attrs[i].name.indexOf('data-pac-') !== 0 && INTERPOLATION_TEST_REGEX.test(attrs[i].value)) {
+                    element.setAttribute(attrs[i].name, this.interpolate(attrs[i].value, context, scope));
+                }
+            }
+
+            const bindingString = element.getAttribute('data-pac-bind');
+            const bindings = bindingString ? ExpressionCache.parseBindingString(bindingString) : [];
+            const foreachBinding = bindings.find(binding => binding.type === 'foreach');
+            const ifBinding = bindings.find(binding => binding.type === 'if');
+
+            if (foreachBinding) {
+                const placeholderBinding = bindings.find(binding => binding.type === 'placeholder');
+                this.renderForeach(element, foreachBinding.target, placeholderBinding, context, scope);
+            } else if (ifBinding && !this.evaluate(ifBinding.target, context, scope)) {
+                element.textContent = '';
+            } else {
+                this.renderChildren(element, context, scope);
+            }
+
+            bindings.forEach(binding => {
+                if (binding.type !== 'foreach' && binding.type !== 'if') {
+                    this.applyBinding(element, binding.type, this.evaluate(binding.target, context, scope));
+                }
+            });
+        },
+
+        /**
+         * Renders a foreach element: its children are the item template, cloned
+         * and rendered once per item against a context holding the item and index.
+         * @param {Element} element - Element with the foreach binding
+         * @param {string} target - Binding target, optionally with a "by key" clause
+         * @param {Object|undefined} placeholderBinding - The element's placeholder binding, if any
+         * @param {Object} context - Render context
+         * @param {Object} scope - Scope resolver
+         * @returns {void}
+         */
+        renderForeach(element, target, placeholderBinding, context, scope) {
+            const keyMatch = target.match(FOREACH_KEY_REGEX);
+            const array = this.evaluate(keyMatch ? keyMatch[1] : target, context, scope);
+            const itemVar = element.getAttribute('data-pac-item') || 'item';
+            const indexVar = element.getAttribute('data-pac-index') || '$index';
+            const templateNodes = Array.from(element.childNodes);
+
+            templateNodes.forEach(node => element.removeChild(node));
+
+            // Mirror the placeholder option the runtime adds to a <select>
+            if (element.tagName === 'SELECT' && placeholderBinding) {
+                const option = document.createElement('option');
+                const text = this.evaluate(placeholderBinding.target, context, scope);
+
+                option.setAttribute('value', '');
+                option.setAttribute('data-pac-placeholder-option', '');
+                option.textContent = text != null ? String(text) : '';
+                element.appendChild(option);
+            }
+
+            if (!Array.isArray(array)) {
+                return;
+            }
+
+            array.forEach((item, index) => {
+                const itemContext = Object.create(context);
+                const fragment = document.createDocumentFragment();
+
+                itemContext[itemVar] = item;
+                itemContext[indexVar] = index;
+
+                templateNodes.forEach(node => fragment.appendChild(node.cloneNode(true)));
+                this.renderChildren(fragment, itemContext, scope);
+                element.appendChild(fragment);
+            });
+        },
+
+        /**
+         * Applies an evaluated binding to the markup. Mirrors the built-in binding
+         * handlers, but writes attributes instead of DOM properties so the result
+         * survives serialization.
+         * @param {Element} element - Bound element
+         * @param {string} type - Binding type
+         * @param {*} value - Evaluated binding value
+         * @returns {void}
+         */
+        applyBinding(element, type, value) {
+            // Event bindings and custom handlers need a live runtime
+            if (type === 'click' || type === 'submit' || (BindingHandlers[type] && !this.STATIC_BINDINGS.has(type))) {
+                return;
+            }
+
+            switch (type) {
+                case 'value':
+                    this.applyValue(element, value);
+                    break;
+
+                case 'checked':
+                    this.toggleAttribute(element, 'checked', !!value);
+                    break;
+
+                case 'visible':
+                    if (!value) {
+                        this.appendStyle(element, 'display: none');
+                    }
+
+                    break;
+
+                case 'class':
+                    this.applyClass(element, value);
+                    break;
+
+                case 'style':
+                    if (typeof value === 'string') {
+                        element.setAttribute('style', value);
+                    } else if (value && typeof value === 'object') {
+                        Object.keys(value).forEach(prop => {
+                            if (value[prop] != null) {
+                                const cssName = prop.startsWith('--') ? prop : prop.replace(/[A-Z]/g, c => '-' + c.toLowerCase());
+                                this.appendStyle(element, cssName + ': ' + value[prop]);
+                            }
+                        });
+                    }
+
+                    break;
+
+                case 'html':
+                    element.innerHTML = HtmlSanitizer.sanitize(value != null ? String(value) : '', element);
+                    break;
+
+                case 'enable':
+                    this.toggleAttribute(element, 'disabled', !value);
+                    break;
+
+                default:
+                    if (BOOLEAN_ATTRIBUTES.has(type)) {
+                        this.toggleAttribute(element, type, !!value);
+                    } else if (value != null) {
+                        element.setAttribute(type, value);
+                    } else {
+                        element.removeAttribute(type);
+                    }
+
+                    break;
+            }
+        },
+
+        /**
+         * Value binding: radio buttons are checked on a match, <select> options are
+         * selected, <textarea> gets the value as content, other fields as attribute.
+         * @param {Element} element - Bound element
+         * @param {*} value - Evaluated value
+         * @returns {void}
+         */
+        applyValue(element, value) {
+            const tagName = element.tagName;
+            const type = (element.getAttribute('type') || '').toLowerCase();
+
+            if (type === 'radio') {
+                this.toggleAttribute(element, 'checked', element.getAttribute('value') === String(value));
+            } else if (tagName === 'SELECT') {
+                const selected = Array.isArray(value) ? value.map(String) : [String(value ?? '')];
+
+                element.querySelectorAll('option').forEach(option => {
+                    const optionValue = option.hasAttribute('value') ? option.getAttribute('value') : option.textContent;
+                    this.toggleAttribute(option, 'selected', selected.includes(optionValue));
+                });
+            } else if (tagName === 'TEXTAREA') {
+                element.textContent = String(value ?? '');
+            } else {
+                element.setAttribute('value', String(value ?? ''));
+            }
+        },
+
+        /**
+         * Class binding: object syntax toggles names, string syntax adds them.
+         * @param {Element} element - Bound element
+         * @param {*} value - Evaluated value
+         * @returns {void}
+         */
+        applyClass(element, value) {
+            const classes = (element.getAttribute('class') || '').split(/\s+/).filter(Boolean);
+
+            if (typeof value === 'string') {
+                value.split(/\s+/).filter(Boolean).forEach(name => {
+                    if (!classes.includes(name)) {
+                        classes.push(name);
+                    }
+                });
+            } else if (value && typeof value === 'object' && !Array.isArray(value)) {
+                Object.keys(value).forEach(name => {
+                    const index = classes.indexOf(name);
+
+                    if (value[name] && index === -1) {
+                        classes.push(name);
+                    } else if (!value[name] && index !== -1) {
+                        classes.splice(index, 1);
+                    }
+                });
+            }
+
+            if (classes.length) {
+                element.setAttribute('class', classes.join(' '));
+            } else {
+                element.removeAttribute('class');
+            }
+        },
+
+        /**
+         * Appends a declaration to the element's style attribute.
+         * @param {Element} element - Element to style
+         * @param {string} declaration - CSS declaration, e.g. "display: none"
+         * @returns {void}
+         */
+        appendStyle(element, declaration) {
+            const style = (element.getAttribute('style') || '').trim();
+            element.setAttribute('style', style ? style.replace(/;?$/, '; ') + declaration : declaration);
+        },
+
+        /**
+         * Adds or removes a boolean attribute.
+         * @param {Element} element - Element to update
+         * @param {string} name - Attribute name
+         * @param {boolean} force - True to add, false to remove
+         * @returns {void}
+         */
+        toggleAttribute(element, name, force) {
+            if (force) {
+                element.setAttribute(name, '');
+            } else {
+                element.removeAttribute(name);
+            }
+        }
+    };
+
+    /**
+     * Calls scanAndRegisterNewElements on every Element node in the given array.
+     * Extracted as a module-level helper so it is defined once rather than
+     * recreated as a closure on each updateCommentConditional call.
+     * @param {Runtime} context
+     * @param {Node[]} nodes
+     */
+    function scanElementNodes(context, nodes) {
+        nodes.forEach(node => {
+            if (node.nodeType === Node.ELEMENT_NODE) {
+                context.scanAndRegisterNewElements(node);
+            }
+        });
+    }
+
+    /**
+     * Scans the container for comment nodes with wp-if conditionals
+     * Builds mapping similar to element bindings but for comment-based conditionals
+     * @param {Element} parentElement - The parent element to scan
+     * @returns {Map<Comment, {expression: string, closingComment: Comment, branches: Array<{expression: string|null, nodes: Node[], scanned: boolean}>, scopeResolver: Object, isVisible: number|null}>}
+     */
+    Runtime.prototype.scanCommentBindings = function(parentElement) {
+        const commentBindingMap = new Map();
+        const openComments = []; // Stack to track nested wp-if comments
+
+        // Create tree walker to find comment nodes
+        const walker = document.createTreeWalker(
+            parentElement,
+            NodeFilter.SHOW_COMMENT,
+            {
+                acceptNode: node =>
+                    Utils.belongsToPacContainer(this.container, node)
+                        ? NodeFilter.FILTER_ACCEPT
+                        : NodeFilter.FILTER_SKIP
+            }
+        );
+
+        let commentNode;
+
+        while ((commentNode = walker.nextNode())) {
+            // nodeValue is more direct than textContent for comment nodes
+            const text = commentNode.nodeValue;
+
+            // Check for opening wp-if comment
+            const openMatch = text.match(WP_IF_COMMENT_REGEX);
+
+            // If found, add it to the array
+            if (openMatch) {
+                openComments.push({ comment: commentNode, expression: openMatch[1].trim() });
+                continue;
+            }
+
+            // Check for closing /wp-if comment — must have a matching open
+            if (!text.match(WP_IF_CLOSE_COMMENT_REGEX) || openComments.length === 0) {
+                continue;
+            }
+
+            // pop comment off array
+            const { comment: openComment, expression } = openComments.pop();
+
+            // Skip if this wp-if is already registered. scanElementNodes can re-scan a
+            // subtree when an ancestor wp-if becomes visible, after this wp-if has already
+            // collapsed its content to a placeholder. Rebuilding from that modified DOM
+            // would overwrite the original node references and lose the real content.
+            // Keeping the existing registration preserves those references;
+            // updateCommentConditional's buried wp-if handling re-evaluates them correctly.
+            if (this.commentBindingMap.has(openComment)) {
+                continue;
+            }
+
+            // Build a unified branches array so updateCommentConditional can
+            // iterate a single list regardless of how many wp-else-if clauses exist.
+            const branches = [{ expression, nodes: [], scanned: false }];
+            let activeBucket = branches[0].nodes;
+            let activeBranch = branches[0];
+
+            // Walk sibling nodes between this open comment and its matching close,
+            // building the branch node list. A `while` loop is required because
+            // nested `wp-if` groups advance `node` by multiple siblings.
+            //
+            // Nested, independent `<!-- wp-if: ... -->` blocks are recorded as a
+            // single opaque group (open through matching close, inclusive) rather
+            // than flattened into this branch. This prevents the outer and nested
+            // bindings from both managing the same DOM nodes, which would cause
+            // their visibility updates to interfere. The outer binding only toggles
+            // the nested span as an atomic group; the nested binding exclusively
+            // manages its own contents.
+            let node = openComment.nextSibling;
+
+            while (node && node !== commentNode) {
+                if (node.nodeType === Node.COMMENT_NODE) {
+                    const elseIfMatch = node.nodeValue.match(WP_ELSE_IF_COMMENT_REGEX);
+
+                    if (elseIfMatch) {
+                        const branch = { expression: elseIfMatch[1].trim(), nodes: [], scanned: false };
+                        branches.push(branch);
+                        activeBucket = branch.nodes;
+                        activeBranch = branch;
+                        node = node.nextSibling;
+                        continue;
+                    }
+
+                    if (node.nodeValue.match(WP_ELSE_COMMENT_REGEX)) {
+                        const branch = { expression: null, nodes: [], scanned: false };
+                        branches.push(branch);
+                        activeBucket = branch.nodes;
+                        activeBranch = branch;
+                        node = node.nextSibling;
+                        continue;
+                    }
+
+                    if (node.nodeValue.match(WP_IF_COMMENT_REGEX)) {
                         // Nested wp-if: find its own matching close (tracking
                         // depth so a further-nested wp-if inside it doesn't
                         // end this early), and remember only the stable
@@ -7826,7 +10088,9 @@
             const scopeResolver = {
                 resolveScopedPath: (path) => scopeParent
                     ? this.normalizePath(path, scopeParent)
-                    : path
+                    : path,
+                importedUnits: this.importedUnits,
+                importedFilters: this.importedFilters
             };
 
             // Store in map
@@ -7921,7 +10185,11 @@
                 this.reconcileRevealedGroups(revealedGroups);
             }
         } catch (error) {
-            console.warn('WakaPAC: Error processing wp-if comment directive:', mappingData.expression, error);
+            this.reportError(error, {
+                source: 'conditional',
+                expression: mappingData.expression,
+                element: commentNode
+            }, `WakaPAC: Error processing wp-if comment directive "${mappingData.expression}":`);
         }
     };
 
@@ -8107,10 +10375,25 @@
     Runtime.prototype.createReactiveAbstraction = function() {
         const self = this;
 
+        // Remember which properties the component declared itself, so the
+        // injected ones can be told apart from its state (see ComponentHistory)
+        const declared = new Set(Object.keys(this.originalAbstraction));
+
         // Inject system properties
         this.injectHierarchyProperties(this.originalAbstraction);
         this.injectSystemProperties(this.originalAbstraction);
 
+        if (this.config.history) {
+            this.originalAbstraction.canUndo = false;
+            this.originalAbstraction.canRedo = false;
+        }
+
+        this.injectAsyncComputedProperties(this.originalAbstraction);
+
+        this.systemProperties = new Set(
+            Object.keys(this.originalAbstraction).filter(key => !declared.has(key))
+        );
+
         // Resolve sameAs aliases before the proxy is created so getter/setter
         // definitions are in place before makeDeepReactiveProxy wraps the object.
         this.resolveAliases(this.originalAbstraction);
@@ -8129,9 +10412,14 @@
             }
         });
 
-        // Add computed properties as getters
+        // Add computed properties as getters. Async computed properties are plain
+        // reactive properties instead, filled in by runAsyncComputed().
         const computed = this.originalAbstraction.computed || {};
         Object.keys(computed).forEach(function(computedName) {
+            if (Utils.isAsyncFunction(computed[computedName])) {
+                return;
+            }
+
             Object.defineProperty(proxiedReactive, computedName, {
                 get: function() {
                     return computed[computedName].call(proxiedReactive);
@@ -8258,6 +10546,32 @@
         abstraction.hasParent = false;
     };
 
+    /**
+     * Injects the reactive properties backing each async computed property:
+     * the resolved value under its own name, plus `<name>$pending` and
+     * `<name>$error`. Pending starts out true, as every async computed
+     * property runs once when the component is initialized.
+     * @param {Object} abstraction - The abstraction object to inject properties into
+     */
+    Runtime.prototype.injectAsyncComputedProperties = function(abstraction) {
+        const computed = abstraction.computed || {};
+
+        /** @type {Map<string, {deps: Set<string>, runId: number, controller: AbortController|null}>} */
+        this.asyncComputed = new Map();
+
+        Object.keys(computed).forEach(name => {
+            if (!Utils.isAsyncFunction(computed[name])) {
+                return;
+            }
+
+            abstraction[name] = undefined;
+            abstraction[name + '$pending'] = true;
+            abstraction[name + '$error'] = null;
+
+            this.asyncComputed.set(name, { deps: new Set(), runId: 0, controller: null });
+        });
+    };
+
     /**
      * Injects system properties into the abstraction
      * @param {Object} abstraction - The abstraction to enhance
@@ -8272,6 +10586,10 @@
         // Useful for pausing animations or reducing CPU usage when user switches tabs
         abstraction.browserVisible = !document.hidden;
 
+        // Accelerator chord in progress, e.g. "Ctrl+K" after the first stroke of
+        // "Ctrl+K Ctrl+C"; empty when no chord is waiting for its next stroke
+        abstraction.browserPendingChord = _accelChord ? _accelChord.label : '';
+
         // Initialize current horizontal/vertical scroll position in pixels from left/top of document
         abstraction.browserScrollX = window.scrollX;
         abstraction.browserScrollY = window.scrollY;
@@ -8398,20 +10716,27 @@
             return;
         }
 
-        // Clean up old elements from maps before clearing innerHTML
-        // This prevents memory leaks when re-rendering dynamic content
+        // Keyed loops that already rendered are patched in place. A false return means
+        // the keys couldn't be used (first render, missing or duplicate keys), in which
+        // case the list is rebuilt from scratch below, exactly like an unkeyed loop.
+        if (mappingData.keyPath && this.reconcileKeyedForeach(foreachElement, mappingData, array)) {
+            return;
+        }
+
+        // Clean up old elements from maps before clearing innerHTML
+        // This prevents memory leaks when re-rendering dynamic content
         this.cleanupForeachMaps(foreachElement);
 
         try {
-            // Resolve the source array for index mapping.
-            // For filtered/sorted expressions the foreach may render a subset of a larger
-            // array — fall back to the evaluated array itself when no root can be found.
-            const sourceRootName = mappingData.sourceArray || this.inferArrayRoot(mappingData.foreachExpr);
-            const sourceRootArray = sourceRootName && this.abstraction[sourceRootName];
-            const sourceArray = Array.isArray(sourceRootArray) ? sourceRootArray : array;
-
-            // Store array to be able to compare later
+            // Resolve the source array for index mapping
+            const sourceArray = this.resolveForeachSourceArray(mappingData, array);
+
+            // Store array to be able to compare later. Keyed loops also remember the key
+            // of every rendered item, so the next render can match rows to items.
             Utils.getPacCache(foreachElement).previousArray = array;
+            Utils.getPacCache(foreachElement).previousKeys = mappingData.keyPath
+                ? array.map(item => getForeachItemKey(item, mappingData.keyPath))
+                : null;
 
             // Build complete HTML string first, then set innerHTML once
             // This prevents DOM corruption caused by repeated innerHTML += operations
@@ -8442,16 +10767,7 @@
             // replaced by innerHTML) or an <optgroup>. The placeholder expression is
             // re-evaluated whenever the options are rebuilt, so it stays reactive.
             if (foreachElement.tagName === 'SELECT' && mappingData.bindings.placeholder) {
-                const placeholderExpr = mappingData.bindings.placeholder.target;
-                let placeholderText = '';
-
-                try {
-                    const evaluated = self.evalInScope(placeholderExpr, foreachElement);
-                    placeholderText = evaluated != null ? String(evaluated) : '';
-                } catch (error) {
-                    console.warn(`Error evaluating placeholder binding "${placeholderExpr}":`, error);
-                }
-
+                const placeholderText = self.evaluateForeachPlaceholder(foreachElement, mappingData);
                 completeHTML = `<option value="" data-pac-placeholder-option>${Utils.escapeHtml(placeholderText)}</option>` + completeHTML;
             }
 
@@ -8466,34 +10782,457 @@
             // will now have proper parent context available for successful rendering
             this.scanAndRegisterNewElements(foreachElement);
 
-            // After rebuilding children, sync <select> DOM state back to the model.
-            // When a foreach replaces <option> elements inside a <select>, the browser
-            // reconciles the selection against the new option set. The resulting .value
-            // is the source of truth — push it into the abstraction so the proxy fires
-            // a change event and all dependent bindings update naturally.
-            this.syncSelectAfterForeach(foreachElement);
-
-            // Notify the component that this foreach has finished rendering.
-            // wParam carries the number of rendered items; detail carries the
-            // source array name so the handler can retrieve data and DOM elements.
-            wakaPAC.sendMessage(
-                this.abstraction.pacId,
-                MSG_FOREACH_REBUILT,
-                array.length,
-                0,
-                {
-                    arrayName: mappingData.foreachExpr,
-                    marker: foreachElement.getAttribute('data-pac-marker') ?? null
-                }
-            );
+            // Sync <select> state and send MSG_FOREACH_REBUILT
+            this.finishForeachRender(foreachElement, mappingData, array);
 
         } catch (error) {
-            console.warn(`Error rendering foreach for expression "${mappingData.foreachExpr}":`, error);
+            this.reportError(error, {
+                source: 'foreach',
+                expression: mappingData.foreachExpr,
+                element: foreachElement
+            }, `Error rendering foreach for expression "${mappingData.foreachExpr}":`);
             // Don't clear innerHTML on error during initial scan - preserve template
             // The error might resolve itself when parent context becomes available
         }
     };
 
+    /**
+     * Resolves the source array a foreach renders from, for index mapping.
+     * For filtered/sorted expressions the foreach may render a subset of a larger
+     * array — falls back to the evaluated array itself when no root can be found.
+     * @param {Object} mappingData - The foreach element's mapping data
+     * @param {Array} array - The evaluated foreach array
+     * @returns {Array} The source array
+     */
+    Runtime.prototype.resolveForeachSourceArray = function(mappingData, array) {
+        const sourceRootName = mappingData.sourceArray || this.inferArrayRoot(mappingData.foreachExpr);
+        const sourceRootArray = sourceRootName && this.abstraction[sourceRootName];
+        return Array.isArray(sourceRootArray) ? sourceRootArray : array;
+    };
+
+    /**
+     * Evaluates the data-pac-placeholder expression of a <select> foreach.
+     * @param {Element} foreachElement - The <select> element
+     * @param {Object} mappingData - The foreach element's mapping data
+     * @returns {string} The placeholder text, or an empty string when it could not be evaluated
+     */
+    Runtime.prototype.evaluateForeachPlaceholder = function(foreachElement, mappingData) {
+        const placeholderExpr = mappingData.bindings.placeholder.target;
+
+        try {
+            const evaluated = this.evalInScope(placeholderExpr, foreachElement);
+            return evaluated != null ? String(evaluated) : '';
+        } catch (error) {
+            this.reportError(error, {
+                source: 'binding',
+                binding: 'placeholder',
+                expression: placeholderExpr,
+                element: foreachElement
+            }, `Error evaluating placeholder binding "${placeholderExpr}":`);
+            return '';
+        }
+    };
+
+    /**
+     * Final step shared by the full foreach rebuild and keyed reconciliation:
+     * syncs a rebuilt <select> back into the model and notifies the component.
+     * @param {Element} foreachElement - DOM element with foreach binding
+     * @param {Object} mappingData - The foreach element's mapping data
+     * @param {Array} array - The array that was rendered
+     * @returns {void}
+     */
+    Runtime.prototype.finishForeachRender = function(foreachElement, mappingData, array) {
+        // After rebuilding children, sync <select> DOM state back to the model.
+        // When a foreach replaces <option> elements inside a <select>, the browser
+        // reconciles the selection against the new option set. The resulting .value
+        // is the source of truth — push it into the abstraction so the proxy fires
+        // a change event and all dependent bindings update naturally.
+        this.syncSelectAfterForeach(foreachElement);
+
+        // Notify the component that this foreach has finished rendering.
+        // wParam carries the number of rendered items; detail carries the
+        // source array name so the handler can retrieve data and DOM elements.
+        wakaPAC.sendMessage(
+            this.abstraction.pacId,
+            MSG_FOREACH_REBUILT,
+            array.length,
+            0,
+            {
+                arrayName: mappingData.foreachExpr,
+                marker: foreachElement.getAttribute('data-pac-marker') ?? null
+            }
+        );
+    };
+
+    /**
+     * Reads the key of a foreach item for keyed reconciliation.
+     * @param {*} item - The array item
+     * @param {string} keyPath - Dotted key path inside the item, e.g. "id" or "meta.uuid"
+     * @returns {*} The key, or undefined when the item isn't an object or has no such key
+     */
+    function getForeachItemKey(item, keyPath) {
+        const parts = keyPath.split('.');
+        let current = item;
+
+        for (let i = 0; i < parts.length; i++) {
+            if (current === null || typeof current !== 'object') {
+                return undefined;
+            }
+
+            current = current[parts[i]];
+        }
+
+        return current;
+    }
+
+    /**
+     * Updates an already rendered keyed foreach to match a new array without
+     * rebuilding it. Rows are matched to items by key: rows whose key is gone are
+     * removed, rows for new keys are rendered and scanned, and rows that are out of
+     * order are moved. Rows that stay are reused as-is — their elements, bindings,
+     * focus, caret, scroll offsets and nested components all survive. When a row's
+     * index changes, its pac-foreach-item marker is rewritten and its cached scope
+     * dropped, so its bindings resolve against the new index on the next pass.
+     *
+     * Moves use a single forward cursor rather than a minimal move set: a row is
+     * only touched when it isn't already where the cursor expects it, which keeps
+     * the common cases (append, insert, remove, replace) free of moves entirely.
+     *
+     * @param {Element} foreachElement - DOM element with a keyed foreach binding
+     * @param {Object} mappingData - The foreach element's mapping data
+     * @param {Array} array - The new array to render
+     * @returns {boolean} True when reconciled, false when the caller must do a full rebuild
+     */
+    Runtime.prototype.reconcileKeyedForeach = function(foreachElement, mappingData, array) {
+        const cache = Utils.getPacCache(foreachElement);
+
+        // The first render always goes through the full rebuild
+        if (!cache.previousArray || !cache.previousKeys) {
+            return false;
+        }
+
+        // Resolve the new keys up front. A missing or duplicate key makes rows
+        // indistinguishable, so rather than guess, rebuild the whole list.
+        const keys = new Array(array.length);
+        const seenKeys = new Set();
+
+        for (let i = 0; i < array.length; i++) {
+            const key = getForeachItemKey(array[i], mappingData.keyPath);
+
+            if (key == null || seenKeys.has(key)) {
+                console.warn(
+                    `wakaPAC: foreach "${mappingData.foreachExpr}" has a missing or duplicate key ` +
+                    `"${mappingData.keyPath}" at index ${i}; falling back to a full rebuild.`
+                );
+
+                return false;
+            }
+
+            seenKeys.add(key);
+            keys[i] = key;
+        }
+
+        try {
+            const foreachId = mappingData.foreachId;
+            const previousKeys = cache.previousKeys;
+            const transition = Transitions.getName(foreachElement);
+            const sourceArray = this.resolveForeachSourceArray(mappingData, array);
+            const indexMap = this.buildIndexMap(sourceArray, array);
+            const expandedTemplate = expandPartialsInString(mappingData.template);
+
+            // Index the rendered rows by the key they were rendered with. Rows whose
+            // key is gone (or was a duplicate already) are dropped before anything moves.
+            const rowsByKey = new Map();
+            const removedRows = [];
+
+            this.collectForeachRows(foreachElement, foreachId).forEach(row => {
+                const key = previousKeys[row.context.renderIndex];
+
+                if (key != null && seenKeys.has(key) && !rowsByKey.has(key)) {
+                    rowsByKey.set(key, row);
+                } else {
+                    removedRows.push(row);
+                }
+            });
+
+            // Remember where the remaining rows are, to animate the ones that move
+            const positions = transition
+                ? Transitions.capturePositions(this.getRowElements(Array.from(rowsByKey.values())))
+                : null;
+
+            if (removedRows.length > 0) {
+                this.removeForeachRows(foreachElement, removedRows, transition);
+            }
+
+            // Walk the new array, placing each row at the cursor
+            const insertedRows = [];
+            const rowsToInvalidate = [];
+            let cursor = null;
+
+            for (const row of rowsByKey.values()) {
+                cursor = row.nodes[0];
+                break;
+            }
+
+            for (let renderIndex = 0; renderIndex < array.length; renderIndex++) {
+                const originalIndex = indexMap.has(renderIndex) ? indexMap.get(renderIndex) : renderIndex;
+                let row = rowsByKey.get(keys[renderIndex]);
+
+                if (!row) {
+                    // New key: render its HTML into a detached row and insert it
+                    const template = document.createElement('template');
+                    template.innerHTML = this.buildForeachItemHTML(foreachId, expandedTemplate, originalIndex, renderIndex);
+
+                    row = { nodes: Array.from(template.content.childNodes) };
+                    foreachElement.insertBefore(template.content, cursor);
+                    insertedRows.push(row);
+                    continue;
+                }
+
+                if (row.nodes[0] === cursor) {
+                    // Already in place: advance the cursor past this row
+                    cursor = row.nodes[row.nodes.length - 1].nextSibling;
+                } else {
+                    // Out of place: move the row in front of the cursor
+                    const fragment = document.createDocumentFragment();
+                    row.nodes.forEach(node => fragment.appendChild(node));
+                    foreachElement.insertBefore(fragment, cursor);
+                }
+
+                // Rewrite the marker of a row whose position changed
+                if (row.context.index !== originalIndex || row.context.renderIndex !== renderIndex) {
+                    row.nodes[0].nodeValue = ` pac-foreach-item: ${foreachId}, index=${originalIndex}, renderIndex=${renderIndex} `;
+                    rowsToInvalidate.push(row);
+                }
+            }
+
+            // Placeholder option of a <select> foreach stays, but its text is re-evaluated
+            const placeholderOption = foreachElement.tagName === 'SELECT' && mappingData.bindings.placeholder
+                ? foreachElement.querySelector(':scope > option[data-pac-placeholder-option]')
+                : null;
+
+            if (placeholderOption) {
+                placeholderOption.textContent = this.evaluateForeachPlaceholder(foreachElement, mappingData);
+            }
+
+            // Re-indexed rows forget their cached foreach scope
+            rowsToInvalidate.forEach(row => this.invalidateForeachScope(row.nodes));
+
+            // Store the new state before scanning, so nested foreach renders triggered
+            // by the scan below already see it
+            cache.previousArray = array;
+            cache.previousKeys = keys.slice();
+
+            // Scan the inserted rows and register everything found in them at once
+            if (insertedRows.length > 0) {
+                this.registerForeachRows(foreachElement, insertedRows);
+            }
+
+            if (transition) {
+                this.getRowElements(insertedRows).forEach(element => Transitions.enter(element, transition));
+                Transitions.playMoves(positions, transition);
+            }
+
+            // Sync <select> state and send MSG_FOREACH_REBUILT
+            this.finishForeachRender(foreachElement, mappingData, array);
+
+            return true;
+        } catch (error) {
+            this.reportError(error, {
+                source: 'foreach',
+                expression: mappingData.foreachExpr,
+                element: foreachElement
+            }, `Error reconciling keyed foreach "${mappingData.foreachExpr}" by "${mappingData.keyPath}":`);
+            return false;
+        }
+    };
+
+    /**
+     * Splits the rendered content of a foreach element into its item rows, using
+     * the pac-foreach-item start/end comments. Nodes outside any row (such as the
+     * placeholder <option> of a <select>) are not part of any row.
+     * @param {Element} foreachElement - DOM element with foreach binding
+     * @param {string} foreachId - The foreach loop's identifier
+     * @returns {Array<{nodes: Node[], context: {foreachId: string, index: number, renderIndex: number}}>}
+     */
+    Runtime.prototype.collectForeachRows = function(foreachElement, foreachId) {
+        const rows = [];
+        let currentRow = null;
+
+        for (let node = foreachElement.firstChild; node; node = node.nextSibling) {
+            if (node.nodeType === Node.COMMENT_NODE) {
+                if (!currentRow) {
+                    const context = Runtime.parseForeachComment(node);
+
+                    if (context && context.foreachId === foreachId) {
+                        currentRow = { nodes: [node], context: context };
+                    }
+
+                    continue;
+                }
+
+                if (node.textContent.trim() === '/pac-foreach-item') {
+                    currentRow.nodes.push(node);
+                    rows.push(currentRow);
+                    currentRow = null;
+                    continue;
+                }
+            }
+
+            if (currentRow) {
+                currentRow.nodes.push(node);
+            }
+        }
+
+        return rows;
+    };
+
+    /**
+     * Returns the element nodes among the top-level nodes of foreach rows.
+     * @param {Array<{nodes: Node[]}>} rows - Foreach rows
+     * @returns {Element[]}
+     */
+    Runtime.prototype.getRowElements = function(rows) {
+        const elements = [];
+
+        rows.forEach(row => {
+            row.nodes.forEach(node => {
+                if (node.nodeType === Node.ELEMENT_NODE) {
+                    elements.push(node);
+                }
+            });
+        });
+
+        return elements;
+    };
+
+    /**
+     * Removes foreach rows from the DOM, after dropping every binding registered
+     * inside them from the interpolation maps. With a transition, the rows'
+     * elements play their leave transition first; their marker comments go
+     * right away, so the leaving elements no longer count as a row.
+     * @param {Element} foreachElement - DOM element with foreach binding
+     * @param {Array<{nodes: Node[]}>} rows - The rows to remove
+     * @param {string|null} [transition] - Transition name from data-pac-transition
+     * @returns {void}
+     */
+    Runtime.prototype.removeForeachRows = function(foreachElement, rows, transition) {
+        const removedNodes = new Set();
+
+        rows.forEach(row => {
+            row.nodes.forEach(node => removedNodes.add(node));
+        });
+
+        // A node belongs to a removed row when its top-level ancestor inside
+        // the foreach element is one of that row's nodes
+        this.cleanupMapsWhere(node => {
+            let topNode = node;
+
+            while (topNode && topNode.parentNode !== foreachElement) {
+                topNode = topNode.parentNode;
+            }
+
+            return removedNodes.has(topNode);
+        });
+
+        removedNodes.forEach(node => {
+            if (transition && node.nodeType === Node.ELEMENT_NODE) {
+                Transitions.leave(node, transition, () => node.remove());
+            } else {
+                foreachElement.removeChild(node);
+            }
+        });
+    };
+
+    /**
+     * Drops the cached foreach scope (context, chain, resolved nested foreach
+     * expression) of every node in the given rows, so bindings inside a row that
+     * moved to another index resolve against its new pac-foreach-item marker.
+     * Content currently hidden by a wp-if inside the row is detached from the DOM,
+     * so it's reached through the wp-if's registered branches instead.
+     * @param {Array<Node|Object>} nodes - Top-level nodes of the rows (non-Node entries are ignored)
+     * @returns {void}
+     */
+    Runtime.prototype.invalidateForeachScope = function(nodes) {
+        const invalidate = node => {
+            if (node._pacCache) {
+                delete node._pacCache.foreachContext;
+                delete node._pacCache.foreachChain;
+            }
+
+            if (node.nodeType === Node.ELEMENT_NODE) {
+                const mappingData = this.interpolationMap.get(node);
+
+                if (mappingData) {
+                    delete mappingData._resolvedForeachExpr;
+                }
+            } else if (node.nodeType === Node.COMMENT_NODE) {
+                const commentData = this.commentBindingMap.get(node);
+
+                if (commentData) {
+                    commentData.branches.forEach(branch => this.invalidateForeachScope(branch.nodes));
+                }
+            }
+        };
+
+        nodes.forEach(node => {
+            if (!(node instanceof Node)) {
+                return;
+            }
+
+            invalidate(node);
+
+            const walker = document.createTreeWalker(node, NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_TEXT | NodeFilter.SHOW_COMMENT);
+            let current;
+
+            while ((current = walker.nextNode())) {
+                invalidate(current);
+            }
+        });
+    };
+
+    /**
+     * Scans freshly inserted foreach rows and registers their bindings in one pass.
+     * The scanners only look at the descendants of the element they're given, and a
+     * row's top-level nodes are direct children of the foreach element (which also
+     * holds all the rows already registered), so each row is briefly wrapped in a
+     * <div> of its own while it's scanned and unwrapped again straight after.
+     * @param {Element} foreachElement - DOM element with foreach binding
+     * @param {Array<{nodes: Node[]}>} rows - The inserted rows
+     * @returns {void}
+     */
+    Runtime.prototype.registerForeachRows = function(foreachElement, rows) {
+        const newBindings = new Map();
+        const newTextBindings = new Map();
+        const newCommentBindings = new Map();
+        const merge = (target, source) => source.forEach((value, key) => target.set(key, value));
+
+        rows.forEach(row => {
+            const wrapper = document.createElement('div');
+            foreachElement.insertBefore(wrapper, row.nodes[0]);
+            row.nodes.forEach(node => wrapper.appendChild(node));
+
+            // Expand partial templates before scanning, as scanAndRegisterNewElements does
+            expandPartials(wrapper);
+
+            merge(newBindings, this.scanBindings(wrapper));
+            merge(newTextBindings, this.scanTextBindings(wrapper));
+            merge(newCommentBindings, this.scanCommentBindings(wrapper));
+
+            while (wrapper.firstChild) {
+                foreachElement.insertBefore(wrapper.firstChild, wrapper);
+            }
+
+            foreachElement.removeChild(wrapper);
+        });
+
+        // Cache context on the new item elements for fast lookups
+        this.cacheContextOnItemElements(foreachElement);
+
+        this.registerScannedBindings(null, newBindings, newTextBindings, newCommentBindings);
+        this.updateContainerScrollState();
+    };
+
     /**
      * After a foreach rebuilds a <select>'s <option>s, the browser
      * reconciles the selection against the new option set — this finds
@@ -8783,7 +11522,11 @@
 
             return array;
         } catch (error) {
-            console.warn(`Error evaluating foreach expression "${mappingData.foreachExpr}":`, error);
+            this.reportError(error, {
+                source: 'foreach',
+                expression: mappingData.foreachExpr,
+                element: foreachElement
+            }, `Error evaluating foreach expression "${mappingData.foreachExpr}":`);
             // Don't clear innerHTML on error - preserve template; the error might
             // resolve itself once parent context becomes available
             return null;
@@ -8987,12 +11730,23 @@
      * @param {Element} foreachElement - The foreach container element
      */
     Runtime.prototype.cleanupForeachMaps = function(foreachElement) {
+        this.cleanupMapsWhere(node => node !== foreachElement && foreachElement.contains(node));
+    };
+
+    /**
+     * Removes every element and text/attribute binding matching a predicate from the
+     * interpolation maps, together with its cached state
+     * @param {function(Node): boolean} isRemoved - Receives an element or text node
+     *   (attribute bindings are tested through their owner element)
+     * @returns {void}
+     */
+    Runtime.prototype.cleanupMapsWhere = function(isRemoved) {
         const elementsToRemove = [];
         const textNodesToRemove = [];
 
-        // Find all elements that belong to this foreach container
+        // Find all elements that are being removed
         this.interpolationMap.forEach((mappingData, element) => {
-            if (foreachElement.contains(element) && element !== foreachElement) {
+            if (isRemoved(element)) {
                 elementsToRemove.push(element);
             }
         });
@@ -9001,7 +11755,7 @@
         this.textInterpolationMap.forEach((mappingData, textNode) => {
             const target = textNode.nodeType === Node.ATTRIBUTE_NODE ? textNode.ownerElement : textNode;
 
-            if (foreachElement.contains(target)) {
+            if (isRemoved(target)) {
                 textNodesToRemove.push(textNode);
             }
         });
@@ -9058,7 +11812,7 @@
             try {
                 this.abstraction.ready.call(this.abstraction);
             } catch (error) {
-                console.warn('Error in ready() method:', error);
+                this.reportError(error, { source: 'ready' }, 'Error in ready() method:');
             }
         }
     };
@@ -9151,37 +11905,13 @@
                             return;
                         }
 
-                        // Collect PAC elements in this removed subtree:
-                        // include the root node if it is a PAC container,
-                        // followed by all nested PAC containers
-                        const pacNodes = [
-                            ...(node.matches(CONTAINER_SEL) ? [node] : []),
-                            ...node.querySelectorAll(CONTAINER_SEL)
-                        ];
-
-                        // Destroy deepest nodes first to preserve parent/child teardown order
-                        for (let i = pacNodes.length - 1; i >= 0; i--) {
-                            // Fetch the pacId
-                            const pacId = pacNodes[i].getAttribute('data-pac-id');
-
-                            // Skip invalid ids or components already destroyed this batch
-                            if (!pacId || destroyed.has(pacId)) {
-                                continue;
-                            }
-
-                            // Cleanup plugins
-                            _plugins.forEach(function(plugin) {
-                                if (typeof plugin.onComponentDestroyed === 'function') {
-                                    plugin.onComponentDestroyed(pacId);
-                                }
-                            });
-
-                            // Add to destroyed list
-                            destroyed.add(pacId);
-
-                            // Destroy the registered component if it still exists
-                            window.PACRegistry.components.get(pacId)?.destroy();
+                        // Nodes that were moved rather than removed (e.g. keyed foreach
+                        // rows changing places) are back in the document by now
+                        if (node.isConnected) {
+                            return;
                         }
+
+                        this.destroyTree(node, destroyed);
                     });
                 });
             });
@@ -9190,6 +11920,56 @@
                 childList: true,
                 subtree: true
             });
+        },
+
+        /**
+         * Destroys the PAC components in a subtree: the root node if it is a
+         * container, followed by all nested containers, deepest first.
+         * A pacId that has meanwhile been registered for a different container
+         * (a view removed and re-created under the same id before the observer
+         * ran) is left alone, so the new component survives the old node's cleanup.
+         * @param {Element} node - Root of the removed subtree
+         * @param {Set<string>} [destroyed] - pacIds already handled in this batch
+         */
+        destroyTree(node, destroyed = new Set()) {
+            // Collect PAC elements in this removed subtree:
+            // include the root node if it is a PAC container,
+            // followed by all nested PAC containers
+            const pacNodes = [
+                ...(node.matches(CONTAINER_SEL) ? [node] : []),
+                ...node.querySelectorAll(CONTAINER_SEL)
+            ];
+
+            // Destroy deepest nodes first to preserve parent/child teardown order
+            for (let i = pacNodes.length - 1; i >= 0; i--) {
+                // Fetch the pacId
+                const pacId = pacNodes[i].getAttribute('data-pac-id');
+
+                // Skip invalid ids or components already destroyed this batch
+                if (!pacId || destroyed.has(pacId)) {
+                    continue;
+                }
+
+                // Skip ids that now belong to another container
+                const component = window.PACRegistry.components.get(pacId);
+
+                if (component && component.container !== pacNodes[i]) {
+                    continue;
+                }
+
+                // Cleanup plugins
+                _plugins.forEach(function(plugin) {
+                    if (typeof plugin.onComponentDestroyed === 'function') {
+                        plugin.onComponentDestroyed(pacId);
+                    }
+                });
+
+                // Add to destroyed list
+                destroyed.add(pacId);
+
+                // Destroy the registered component if it still exists
+                component?.destroy();
+            }
         }
     };
 
@@ -9238,453 +12018,1850 @@
     };
 
     // =============================================================================
-    // MOUSE GESTURE RECOGNIZER
+    // MESSAGE REGISTRY
     // =============================================================================
 
     /**
-     * Mouse Gesture Recognition System
-     *
-     * Recognizes mouse gesture patterns drawn while holding the right mouse button.
-     * Similar to Opera browser's mouse gestures - users can draw shapes (L, inverted-L,
-     * lines, etc.) to trigger custom actions.
-     *
-     * Recognition Process:
-     * 1. User presses right mouse button - start recording path
-     * 2. User drags mouse - record points along the path
-     * 3. User releases button - analyze path into directional segments
-     * 4. Match segments against known patterns
-     * 5. Dispatch MSG_GESTURE event to containing PAC component
-     *
-     * Built-in Patterns (minimal set):
-     * - Single directions: right, left, up, down
-     * - L-shapes: L (right-down), inverted-L (down-right)
-     *
-     * Users can register custom patterns via wakaPAC.registerGesture()
+     * Allocates message ids by name, the equivalent of Win32 RegisterWindowMessage().
+     * Plugins register a name such as 'wakamask.complete' instead of picking an offset
+     * above MSG_PLUGIN, so two plugins can no longer claim the same id by accident.
      *
-     * @namespace MouseGestureRecognizer
+     * Ids are derived from a hash of the name rather than from registration order.
+     * Every tab therefore computes the same id for the same name without coordinating,
+     * which keeps broadcastMessageGlobal() over ChannelBridge meaningful for
+     * registered messages. Names are case-insensitive, as in Win32.
      */
-    const MouseGestureRecognizer = {
-        /** @private {boolean} Flag to prevent multiple initializations */
-        _initialized: false,
-
-        /** @private {boolean} Whether we're currently recording a gesture */
-        isRecording: false,
+    const MessageRegistry = {
+        /**
+         * Size of the id space above MSG_REGISTERED. Large enough (24 bits) that
+         * hash collisions between the handful of names a page registers are
+         * vanishingly rare.
+         * @type {number}
+         */
+        RANGE: 0x1000000,
 
-        /** @private {Array<{x: number, y: number, time: number}>} Recorded gesture points */
-        gesturePoints: [],
+        /** @private {Map<string, number>} Normalized name → message id */
+        _ids: new Map(),
 
-        /** @private {number} Timestamp when gesture recording started */
-        startTime: 0,
+        /** @private {Map<number, string>} Message id → name as first registered */
+        _names: new Map(),
+
+        /**
+         * Returns the message id for a name, allocating it on first use.
+         * @param {string} name - Message name, e.g. 'wakamask.complete'
+         * @returns {number} Message id in the range MSG_REGISTERED .. MSG_REGISTERED + RANGE - 1
+         */
+        register(name) {
+            const key = name.toLowerCase();
+
+            // Same name, same id — for the lifetime of the page
+            if (this._ids.has(key)) {
+                return this._ids.get(key);
+            }
+
+            // FNV-1a over the UTF-16 code units of the normalized name
+            let hash = 0x811C9DC5;
+
+            for (let i = 0; i < key.length; i++) {
+                hash ^= key.charCodeAt(i);
+                hash = Math.imul(hash, 0x01000193) >>> 0;
+            }
+
+            let id = MSG_REGISTERED + (hash % this.RANGE);
+
+            // Resolve a collision by probing for the next free id. The result then
+            // depends on registration order, so it is only stable across tabs that
+            // register both names in the same order — say so rather than fail.
+            if (this._names.has(id)) {
+                console.warn(`wakaPAC: registered message "${name}" collides with "${this._names.get(id)}"; its id may differ between tabs`);
+
+                while (this._names.has(id)) {
+                    id = MSG_REGISTERED + ((id - MSG_REGISTERED + 1) % this.RANGE);
+                }
+            }
+
+            this._ids.set(key, id);
+            this._names.set(id, name);
+            return id;
+        },
+
+        /**
+         * Returns the name a message id was registered under.
+         * @param {number} messageId
+         * @returns {string|null} The registered name, or null for unregistered ids
+         */
+        getName(messageId) {
+            return this._names.get(messageId) ?? null;
+        }
+    };
+
+    // =============================================================================
+    // POSTED MESSAGE QUEUE
+    // =============================================================================
+
+    /**
+     * Per-container queue for messages delivered with postMessage(), the equivalent
+     * of a Win32 thread message queue. Holding posted messages in a real queue rather
+     * than one setTimeout per message lets components inspect and remove pending
+     * messages with peekMessage(), and lets the queue collapse redundant messages.
+     *
+     * Only messages passed to postMessage() enter the queue. The framework's own
+     * MSG_TIMER and MSG_PAINT are sent synchronously, and DOM input such as
+     * MSG_MOUSEMOVE is dispatched directly (mouse moves are throttled to one per
+     * frame instead), so none of those are coalesced or reordered here. Of the
+     * posted messages:
+     *
+     *   - MSG_MOUSEMOVE merges into a move that is still the newest queued input,
+     *     so a flood of pointer updates is delivered as a single, latest position
+     *   - MSG_PAINT merges into any pending paint
+     *   - MSG_TIMER merges into a pending timer message with the same timer id
+     *   - application messages merge as configured with setMessageCoalescing():
+     *     'latest' into any pending message with the same id, 'wparam' into one
+     *     with the same id and wParam
+     *
+     * A merged message keeps its place in the queue and takes on the newest
+     * parameters. Delivery order follows Win32's GetMessage(): ordinary posted and
+     * input messages first, in posting order, then MSG_PAINT, then MSG_TIMER.
+     */
+    const MessageQueue = {
+        /** @private {Map<HTMLElement, {entries: Array<{event: CustomEvent, priority: number, seq: number}>, timer: number|null}>} */
+        _queues: new Map(),
+
+        /** @private {number} Global posting counter used to keep FIFO order within a priority */
+        _seq: 0,
+
+        /** @private {Map<number, string>} Coalescing mode per application message id, see setMessageCoalescing() */
+        _coalescing: new Map(),
+
+        /**
+         * Returns the delivery priority of a message. Lower values are delivered first.
+         * @param {number} messageId
+         * @returns {number}
+         */
+        priorityOf(messageId) {
+            switch (messageId) {
+                case MSG_TIMER:
+                    return 2;
+
+                case MSG_PAINT:
+                    return 1;
+
+                default:
+                    return 0;
+            }
+        },
+
+        /**
+         * Appends a message to the container's queue, merging it into a pending
+         * duplicate where possible, and schedules delivery on the next task.
+         * @param {HTMLElement} container - Target PAC container element
+         * @param {CustomEvent} event - PAC message event created by createPacMessage()
+         */
+        post(container, event) {
+            let queue = this._queues.get(container);
+
+            if (!queue) {
+                queue = { entries: [], timer: null };
+                this._queues.set(container, queue);
+            }
+
+            if (!this.coalesce(queue.entries, event)) {
+                queue.entries.push({ event, priority: this.priorityOf(event.message), seq: ++this._seq });
+            }
+
+            // One pending flush per container, however many messages are queued
+            if (queue.timer === null) {
+                queue.timer = setTimeout(() => this.flush(container), 0);
+            }
+        },
+
+        /**
+         * Merges a message into a pending duplicate, replacing its parameters.
+         * @param {Array<Object>} entries - The container's queued entries
+         * @param {CustomEvent} event - Incoming message
+         * @returns {boolean} True when the message was merged and must not be appended
+         */
+        coalesce(entries, event) {
+            let index = -1;
+
+            switch (event.message) {
+                case MSG_MOUSEMOVE:
+                    // Only merge into the newest queued input message. A move posted
+                    // before a click must still be delivered before that click.
+                    for (let i = entries.length - 1; i >= 0; i--) {
+                        if (entries[i].priority === 0) {
+                            index = entries[i].event.message === MSG_MOUSEMOVE ? i : -1;
+                            break;
+                        }
+                    }
+
+                    break;
+
+                case MSG_PAINT:
+                    index = entries.findIndex(entry => entry.event.message === MSG_PAINT);
+                    break;
+
+                case MSG_TIMER:
+                    index = entries.findIndex(entry => entry.event.message === MSG_TIMER && entry.event.wParam === event.wParam);
+                    break;
+
+                default: {
+                    const mode = this._coalescing.get(event.message);
+
+                    if (mode === 'latest') {
+                        index = entries.findIndex(entry => entry.event.message === event.message);
+                    } else if (mode === 'wparam') {
+                        index = entries.findIndex(entry => entry.event.message === event.message && entry.event.wParam === event.wParam);
+                    }
+
+                    break;
+                }
+            }
+
+            if (index === -1) {
+                return false;
+            }
+
+            entries[index].event = event;
+            return true;
+        },
+
+        /**
+         * Returns the index of the next entry to deliver within a filter range.
+         * A filter of 0, 0 matches every message, as in Win32.
+         * @param {Array<Object>} entries - The container's queued entries
+         * @param {number} filterMin - Lowest message id to match
+         * @param {number} filterMax - Highest message id to match
+         * @param {number} maxSeq - Ignore entries posted after this sequence number
+         * @returns {number} Entry index, or -1 when nothing matches
+         */
+        findNext(entries, filterMin, filterMax, maxSeq) {
+            const matchAll = filterMin === 0 && filterMax === 0;
+            let best = -1;
+
+            for (let i = 0; i < entries.length; i++) {
+                const entry = entries[i];
+
+                if (entry.seq > maxSeq) {
+                    continue;
+                }
+
+                if (!matchAll && (entry.event.message < filterMin || entry.event.message > filterMax)) {
+                    continue;
+                }
+
+                if (best === -1 ||
+                    entry.priority < entries[best].priority ||
+                    (entry.priority === entries[best].priority && entry.seq < entries[best].seq)) {
+                    best = i;
+                }
+            }
+
+            return best;
+        },
+
+        /**
+         * Returns the next queued message for a container without waiting for delivery.
+         * @param {HTMLElement} container - PAC container element
+         * @param {number} filterMin - Lowest message id to match (0 with filterMax 0 matches all)
+         * @param {number} filterMax - Highest message id to match
+         * @param {boolean} remove - Remove the message so it is never delivered
+         * @returns {CustomEvent|null} The message, or null when none matches
+         */
+        peek(container, filterMin, filterMax, remove) {
+            const queue = this._queues.get(container);
+
+            if (!queue) {
+                return null;
+            }
+
+            const index = this.findNext(queue.entries, filterMin, filterMax, Infinity);
+
+            if (index === -1) {
+                return null;
+            }
+
+            const event = queue.entries[index].event;
+
+            if (remove) {
+                queue.entries.splice(index, 1);
+            }
+
+            return event;
+        },
+
+        /**
+         * Delivers the container's queued messages in priority order. Messages posted
+         * while the flush runs wait for the next flush, so a component that posts to
+         * itself from msgProc cannot starve the event loop.
+         * @param {HTMLElement} container - PAC container element
+         */
+        flush(container) {
+            const queue = this._queues.get(container);
+
+            if (!queue) {
+                return;
+            }
+
+            queue.timer = null;
+
+            // A container removed from the DOM before delivery drops its messages
+            if (!container.isConnected) {
+                this.discard(container);
+                return;
+            }
+
+            const lastSeq = this._seq;
+            let index;
+
+            // Stop as soon as a handler destroyed the component and discarded the queue
+            while (this._queues.get(container) === queue &&
+                (index = this.findNext(queue.entries, 0, 0, lastSeq)) !== -1) {
+                const { event } = queue.entries.splice(index, 1)[0];
+                DomUpdateTracker.dispatchToContainer(container, event);
+            }
+
+            // Forget idle queues so removed containers are not retained
+            if (this._queues.get(container) === queue && queue.entries.length === 0 && queue.timer === null) {
+                this._queues.delete(container);
+            }
+        },
+
+        /**
+         * Drops every queued message for a container and cancels its pending flush.
+         * @param {HTMLElement} container - PAC container element
+         */
+        discard(container) {
+            const queue = this._queues.get(container);
+
+            if (!queue) {
+                return;
+            }
+
+            if (queue.timer !== null) {
+                clearTimeout(queue.timer);
+            }
+
+            this._queues.delete(container);
+        }
+    };
+
+    // =============================================================================
+    // FOCUS MANAGER
+    // =============================================================================
+
+    /**
+     * Elements that can take keyboard focus. Candidates are filtered further by
+     * isTabbable() (tabIndex, disabled state and rendering).
+     * @type {string}
+     */
+    const FOCUSABLE_SEL = 'a[href], area[href], button, input:not([type="hidden"]), select, textarea, ' +
+        'iframe, summary, audio[controls], video[controls], [contenteditable]:not([contenteditable="false"]), [tabindex]';
+
+    /**
+     * Keyboard focus subsystem, the counterpart of Win32's SetFocus() and dialog
+     * manager navigation:
+     *
+     *   - Focus traps: Tab / Shift+Tab wrap around inside a container carrying
+     *     data-pac-focus-trap instead of leaving it (modal dialogs)
+     *   - Roving tabindex: a data-pac-roving list is a single tab stop whose items
+     *     are walked with the arrow keys, Home and End (toolbars, menus, listboxes).
+     *     The attribute value "horizontal" or "vertical" limits the arrow keys used.
+     *   - Focus restoration: each component remembers where focus came from when
+     *     it entered the component, and hands it back when the component is
+     *     destroyed or hidden with hideContainer() while holding focus
+     *
+     * Trap and roving keys are handled as default processing of MSG_KEYDOWN, so a
+     * msgProc that returns false for the key keeps the browser's behavior.
+     */
+    const FocusManager = {
+        /** @private {boolean} Flag to prevent multiple initializations */
+        _initialized: false,
+
+        /**
+         * Installs the document-level focusin listener that records where focus
+         * came from and keeps roving tab stops on the focused item.
+         */
+        initialize() {
+            if (this._initialized) {
+                return;
+            }
+
+            this._initialized = true;
+            document.addEventListener('focusin', event => this.handleFocusIn(event), true);
+        },
+
+        /**
+         * Records, for every container focus has just entered, the element it came from.
+         * @param {FocusEvent} event - The focusin event
+         */
+        handleFocusIn(event) {
+            const target = DomUpdateTracker.normalizeToElement(event.target);
+
+            if (!target) {
+                return;
+            }
+
+            const from = event.relatedTarget instanceof HTMLElement ? event.relatedTarget : null;
+            let container = target.closest(CONTAINER_SEL);
+
+            // Walk outwards until reaching a container focus was already inside of;
+            // from there on up, focus merely moved within the component
+            while (container && !(from && container.contains(from))) {
+                const context = window.PACRegistry.get(Utils.getPacId(container));
+
+                if (context) {
+                    context.focusReturn = from;
+                }
+
+                container = container.parentElement?.closest(CONTAINER_SEL) ?? null;
+            }
+
+            // Clicking or programmatically focusing a roving item makes it the tab stop
+            const list = target.closest('[data-pac-roving]');
+
+            if (list) {
+                const items = this.getRovingItems(list);
+
+                if (items.includes(target)) {
+                    this.setRovingStop(items, target);
+                }
+            }
+        },
+
+        /**
+         * True if the element and its ancestors up to root are rendered and not inert.
+         * @param {Element} el - Candidate element
+         * @param {Element} root - Element to stop at (inclusive)
+         * @returns {boolean}
+         */
+        isRendered(el, root) {
+            for (let node = el; node; node = node.parentElement) {
+                if (node.hidden || node.hasAttribute('inert') || getComputedStyle(node).display === 'none') {
+                    return false;
+                }
+
+                if (node === root) {
+                    break;
+                }
+            }
+
+            return getComputedStyle(el).visibility !== 'hidden';
+        },
+
+        /**
+         * True if the element is reachable with the Tab key.
+         * @param {Element} el - Candidate element
+         * @param {Element} root - Element to stop the rendering check at
+         * @returns {boolean}
+         */
+        isTabbable(el, root) {
+            return el.tabIndex >= 0 && !el.disabled && this.isRendered(el, root);
+        },
+
+        /**
+         * Returns the Tab-reachable elements inside root in browser tab order:
+         * positive tabindex values first in ascending order, then document order.
+         * @param {Element} root - Container to search
+         * @returns {Array<Element>}
+         */
+        getTabbable(root) {
+            const order = el => el.tabIndex > 0 ? el.tabIndex : Number.MAX_SAFE_INTEGER;
+
+            // Array.prototype.sort is stable, so equal keys stay in document order
+            return Array.from(root.querySelectorAll(FOCUSABLE_SEL))
+                .filter(el => this.isTabbable(el, root))
+                .sort((a, b) => order(a) - order(b));
+        },
+
+        /**
+         * Moves focus into a container.
+         * @param {HTMLElement} container - Target container
+         * @param {string|null} selector - Element to focus; defaults to the first
+         *   tabbable element, then the container itself
+         * @returns {boolean} True if focus landed on the requested element
+         */
+        focusWithin(container, selector) {
+            const target = selector
+                ? container.querySelector(selector)
+                : (this.getTabbable(container)[0] ?? container);
+
+            if (!target) {
+                console.warn(`wakaPAC: setFocus() found no element matching "${selector}"`);
+                return false;
+            }
+
+            target.focus();
+            return document.activeElement === target;
+        },
+
+        /**
+         * True if the component currently holds keyboard focus. A container that was
+         * removed from the DOM has already lost it, so fall back to the last known
+         * containerFocusWithin state in that case.
+         * @param {Runtime} context - Component runtime
+         * @returns {boolean}
+         */
+        hasFocus(context) {
+            const active = document.activeElement;
+
+            if (active && active !== document.body) {
+                return context.container.contains(active);
+            }
+
+            return context.abstraction?.containerFocusWithin === true;
+        },
+
+        /**
+         * Hands focus back to the element it came from before entering the component.
+         * @param {Runtime} context - Component runtime
+         * @returns {boolean} True if focus was restored
+         */
+        restoreFocus(context) {
+            const target = context.focusReturn;
+            context.focusReturn = null;
+
+            if (!target || !target.isConnected || context.container.contains(target)) {
+                return false;
+            }
+
+            target.focus();
+            return document.activeElement === target;
+        },
+
+        /**
+         * Default MSG_KEYDOWN processing: Tab wrapping inside focus traps and
+         * arrow key navigation inside roving lists.
+         * @param {CustomEvent} event - The MSG_KEYDOWN message
+         */
+        handleKeyDown(event) {
+            const target = DomUpdateTracker.normalizeToElement(event.target);
+
+            // Modified keys (Ctrl+Tab, Alt+Arrow, ...) belong to the browser
+            if (!target || (event.lParam & (KM_CONTROL | KM_ALT | KM_META))) {
+                return;
+            }
+
+            if (event.wParam === VK_TAB) {
+                this.handleTrapTab(event, target);
+            } else {
+                this.handleRovingKey(event, target);
+            }
+        },
+
+        /**
+         * Wraps Tab / Shift+Tab around the ends of the nearest focus trap.
+         * Movement between the ends is left to the browser.
+         * @param {CustomEvent} event - The MSG_KEYDOWN message
+         * @param {Element} target - Focused element
+         */
+        handleTrapTab(event, target) {
+            const trap = target.closest('[data-pac-focus-trap]');
+
+            if (!trap) {
+                return;
+            }
+
+            const tabbable = this.getTabbable(trap);
+            const backwards = (event.lParam & KM_SHIFT) !== 0;
+            const index = tabbable.indexOf(target);
+            let next = null;
+
+            if (tabbable.length === 0) {
+                // Nothing to cycle through; keep focus where it is rather than escape
+                event.preventDefault();
+                return;
+            }
+
+            if (index === -1) {
+                next = backwards ? tabbable[tabbable.length - 1] : tabbable[0];
+            } else if (backwards && index === 0) {
+                next = tabbable[tabbable.length - 1];
+            } else if (!backwards && index === tabbable.length - 1) {
+                next = tabbable[0];
+            }
+
+            if (next) {
+                event.preventDefault();
+                next.focus();
+            }
+        },
+
+        /**
+         * Moves the roving tab stop with the arrow keys, Home and End, wrapping at the ends.
+         * @param {CustomEvent} event - The MSG_KEYDOWN message
+         * @param {Element} target - Focused element
+         */
+        handleRovingKey(event, target) {
+            const list = target.closest('[data-pac-roving]');
+
+            // Arrow keys inside text fields edit text, they do not navigate
+            if (!list || target.isContentEditable || target.matches('textarea, select, input:not([type="button"]):not([type="checkbox"]):not([type="reset"]):not([type="submit"])')) {
+                return;
+            }
+
+            const items = this.getRovingItems(list);
+            const index = items.indexOf(target);
+
+            if (index === -1) {
+                return;
+            }
+
+            const orientation = list.getAttribute('data-pac-roving');
+            const horizontal = orientation !== 'vertical';
+            const vertical = orientation !== 'horizontal';
+            let nextIndex;
+
+            switch (event.wParam) {
+                case VK_LEFT:
+                case VK_RIGHT:
+                    if (!horizontal) {
+                        return;
+                    }
+
+                    nextIndex = index + (event.wParam === VK_LEFT ? -1 : 1);
+                    break;
+
+                case VK_UP:
+                case VK_DOWN:
+                    if (!vertical) {
+                        return;
+                    }
+
+                    nextIndex = index + (event.wParam === VK_UP ? -1 : 1);
+                    break;
+
+                case VK_HOME:
+                    nextIndex = 0;
+                    break;
+
+                case VK_END:
+                    nextIndex = items.length - 1;
+                    break;
+
+                default:
+                    return;
+            }
+
+            const next = items[(nextIndex + items.length) % items.length];
+
+            // Keep the page from scrolling on arrow keys
+            event.preventDefault();
+            this.setRovingStop(items, next);
+            next.focus();
+        },
+
+        /**
+         * Returns the items of a roving list: its focusable descendants that do
+         * not belong to a nested roving list.
+         * @param {Element} list - Element carrying data-pac-roving
+         * @returns {Array<Element>}
+         */
+        getRovingItems(list) {
+            return Array.from(list.querySelectorAll(FOCUSABLE_SEL)).filter(el =>
+                el.closest('[data-pac-roving]') === list && !el.disabled && this.isRendered(el, list)
+            );
+        },
+
+        /**
+         * Makes one item the list's only tab stop.
+         * @param {Array<Element>} items - The list's items
+         * @param {Element} stop - Item that receives tabindex 0
+         */
+        setRovingStop(items, stop) {
+            items.forEach(el => el.setAttribute('tabindex', el === stop ? '0' : '-1'));
+        },
+
+        /**
+         * Normalizes every roving list inside a container so it has exactly one tab
+         * stop: the focused item, an item already marked tabindex="0", or the first.
+         * Called after a component initializes and after a foreach re-renders.
+         * @param {HTMLElement} container - Container to scan
+         */
+        initRovingLists(container) {
+            container.querySelectorAll('[data-pac-roving]').forEach(list => {
+                const items = this.getRovingItems(list);
+
+                if (items.length === 0) {
+                    return;
+                }
+
+                const stop = items.find(el => el === document.activeElement) ??
+                    items.find(el => el.getAttribute('tabindex') === '0') ??
+                    items[0];
+
+                this.setRovingStop(items, stop);
+            });
+        }
+    };
+
+    // =============================================================================
+    // MOUSE GESTURE RECOGNIZER
+    // =============================================================================
+
+    /**
+     * Mouse Gesture Recognition System
+     *
+     * Recognizes mouse gesture patterns drawn while holding the right mouse button.
+     * Similar to Opera browser's mouse gestures - users can draw shapes (L, inverted-L,
+     * lines, etc.) to trigger custom actions.
+     *
+     * Recognition Process:
+     * 1. User presses right mouse button - start recording path
+     * 2. User drags mouse - record points along the path
+     * 3. User releases button - analyze path into directional segments
+     * 4. Match segments against known patterns: first eight-way segmentation
+     *    (R, L, U, D plus the diagonals UR, DR, DL, UL), then cardinal-only
+     *    segmentation so slightly slanted strokes still hit four-way patterns
+     * 5. If no direction pattern matches, compare the path against registered
+     *    shape templates (a $1-recognizer style point-cloud comparison)
+     * 6. Dispatch MSG_GESTURE event to containing PAC component
+     *
+     * Built-in Patterns (minimal set):
+     * - Single directions: right, left, up, down
+     * - L-shapes: L (right-down), inverted-L (down-right)
+     *
+     * Users can register custom patterns via wakaPAC.registerGesture(), either as
+     * a direction sequence or as a template of points for free-form shapes
+     *
+     * @namespace MouseGestureRecognizer
+     */
+    const MouseGestureRecognizer = {
+        /** @private {boolean} Flag to prevent multiple initializations */
+        _initialized: false,
+
+        /** @private {boolean} Whether we're currently recording a gesture */
+        isRecording: false,
+
+        /** @private {Array<{x: number, y: number, time: number}>} Recorded gesture points */
+        gesturePoints: [],
+
+        /** @private {number} Timestamp when gesture recording started */
+        startTime: 0,
 
         /** @private {HTMLElement|null} PAC container where gesture was initiated */
         gestureContainer: null,
 
-        /** @private {boolean} Whether gesture was dispatched to msgProc */
-        gestureJustDispatched: false,
+        /** @private {boolean} Whether gesture was dispatched to msgProc */
+        gestureJustDispatched: false,
+
+        /** @private {boolean} Whether last gesture was prevented by msgProc */
+        lastGesturePrevented: false,
+
+        // Configuration constants
+
+        /** @constant {number} Minimum distance in pixels between recorded points (filters jitter) */
+        MIN_DISTANCE: 10,
+
+        /** @constant {number} Minimum length in pixels for a directional segment to be recognized */
+        MIN_SEGMENT_LENGTH: 30,
+
+        /** @constant {number} Direction classification threshold (cos 45° ≈ 0.7) */
+        DIRECTION_THRESHOLD: 0.7,
+
+        /** @constant {number} Maximum gesture duration in milliseconds */
+        MAX_GESTURE_TIME: 2000,
+
+        /** @constant {number} Number of points paths and templates are resampled to before comparison */
+        TEMPLATE_POINTS: 64,
+
+        /** @constant {number} Side of the square, in pixels, that paths are scaled to before comparison */
+        TEMPLATE_SIZE: 250,
+
+        /** @constant {number} Largest rotation in degrees tried either way when comparing against a template */
+        TEMPLATE_ANGLE_RANGE: 45,
+
+        /** @constant {number} Default minimum confidence (0..1) for a template match */
+        TEMPLATE_MIN_SCORE: 0.85,
+
+        /** @constant {string[]} Valid direction codes, in clockwise order starting at right */
+        DIRECTIONS: ['R', 'DR', 'D', 'DL', 'L', 'UL', 'U', 'UR'],
+
+        /**
+         * Gesture pattern registry
+         * Maps pattern names to arrays of directions: R (right), L (left), U (up), D (down)
+         * and the diagonals UR, DR, DL, UL
+         * Users can add custom patterns via registerPattern()
+         * @type {Object<string, string[]>}
+         */
+        patterns: {
+            // Single directions
+            'right': ['R'],
+            'left': ['L'],
+            'up': ['U'],
+            'down': ['D'],
+
+            // Common L-shapes
+            'L': ['D', 'R'],
+            'inverted-L': ['D', 'L'],
+        },
+
+        /**
+         * Shape template registry
+         * Maps pattern names to their template points plus the minimum confidence
+         * a drawn path needs to be reported as that shape. Points are stored as
+         * registered. Their normalized form is computed on first match and cached
+         * together with the TEMPLATE_POINTS/TEMPLATE_SIZE it was made for, so later
+         * changes to those thresholds still apply to existing templates.
+         * @type {Object<string, {points: Array<{x: number, y: number}>, minScore: number,
+         *        normalized?: Array<{x: number, y: number}>, normalizedFor?: string}>}
+         */
+        templates: {},
+
+        /**
+         * Registers a custom gesture pattern
+         * Allows users to define their own gesture shortcuts, either as a direction
+         * sequence or as a template of points describing a free-form shape
+         * @param {string} name - Name for the pattern (e.g., "back", "forward", "refresh")
+         * @param {string[]|{directions: string[]}|{template: Array<{x: number, y: number}|number[]>, minScore?: number}} spec
+         *        Array of direction codes ('R', 'L', 'U', 'D', 'UR', 'DR', 'DL', 'UL'),
+         *        or an object with either directions or a template of at least two points
+         * @throws {Error} If name or spec are invalid
+         */
+        registerPattern(name, spec) {
+            // Validate name
+            if (!name || typeof name !== 'string') {
+                throw new Error('Gesture pattern name must be a non-empty string');
+            }
+
+            // Shape template: validate and store the points as given; they are
+            // normalized when first matched (see normalizedTemplate())
+            if (spec && !Array.isArray(spec) && spec.template !== undefined) {
+                const points = Array.isArray(spec.template) ? spec.template.map(p => Array.isArray(p) ? { x: p[0], y: p[1] } : p) : [];
+
+                if (points.length < 2 || points.some(p => !p || !Number.isFinite(p.x) || !Number.isFinite(p.y))) {
+                    throw new Error('Gesture template must be an array of at least two {x, y} points');
+                }
+
+                const minScore = spec.minScore ?? this.TEMPLATE_MIN_SCORE;
+
+                if (typeof minScore !== 'number' || minScore < 0 || minScore > 1) {
+                    throw new Error('Gesture template minScore must be a number between 0 and 1');
+                }
+
+                if (this.patterns[name] || this.templates[name]) {
+                    console.warn(`WakaPAC: Overriding existing gesture pattern '${name}'`);
+                }
+
+                delete this.patterns[name];
+                this.templates[name] = { points, minScore };
+                return;
+            }
+
+            const directions = Array.isArray(spec) ? spec : spec?.directions;
+
+            // Validate directions array
+            if (!Array.isArray(directions) || directions.length === 0) {
+                throw new Error('Gesture directions must be a non-empty array');
+            }
+
+            // Validate each direction
+            for (let i = 0; i < directions.length; i++) {
+                if (!this.DIRECTIONS.includes(directions[i])) {
+                    throw new Error(`Invalid direction "${directions[i]}". Must be one of: ${this.DIRECTIONS.join(', ')}`);
+                }
+            }
+
+            // Warn if overriding existing pattern
+            if (this.patterns[name] || this.templates[name]) {
+                console.warn(`WakaPAC: Overriding existing gesture pattern '${name}'`);
+            }
+
+            // Register the pattern
+            delete this.templates[name];
+            this.patterns[name] = directions;
+        },
+
+        /**
+         * Removes a registered gesture pattern or shape template
+         * @param {string} name - Name of the pattern to remove
+         * @returns {boolean} True if pattern was removed, false if not found
+         */
+        unregisterPattern(name) {
+            const exists = name in this.patterns || name in this.templates;
+
+            if (exists) {
+                delete this.patterns[name];
+                delete this.templates[name];
+            }
+
+            return exists;
+        },
+
+        /**
+         * Begins recording a new gesture
+         * Called when right mouse button is pressed
+         * @param {MouseEvent} event - The mousedown event
+         * @returns {void}
+         */
+        startRecording(event) {
+            // Find which PAC container this gesture is happening in
+            this.gestureContainer = this.findContainer(event.target);
+
+            // Enable recording mode
+            this.isRecording = true;
+
+            // Initialize points array with starting position
+            this.gesturePoints = [{
+                x: event.clientX,
+                y: event.clientY,
+                time: Date.now()
+            }];
+
+            // Record when gesture started for duration calculation
+            this.startTime = Date.now();
+        },
+
+        /**
+         * Records a point along the gesture path
+         * Only records if moved far enough from last point to filter out jitter
+         * @param {Event} event - The mousemove event
+         * @returns {void}
+         */
+        recordPoint(event) {
+            // Get the most recent recorded point
+            const lastPoint = this.gesturePoints[this.gesturePoints.length - 1];
+
+            // Calculate distance from last point
+            const dx = event.clientX - lastPoint.x;
+            const dy = event.clientY - lastPoint.y;
+            const distance = Math.sqrt(dx * dx + dy * dy);
+
+            // Only record if moved enough distance to avoid recording jitter
+            // This creates a cleaner path with fewer redundant points
+            if (distance >= this.MIN_DISTANCE) {
+                this.gesturePoints.push({
+                    x: event.clientX,
+                    y: event.clientY,
+                    time: Date.now()
+                });
+            }
+        },
+
+        /**
+         * Stops recording and analyzes the gesture
+         * Called when right mouse button is released
+         * @param {MouseEvent} event - The mouseup event
+         * @returns {void}
+         */
+        stopRecording(event) {
+            // Disable recording mode
+            this.isRecording = false;
+
+            // Calculate how long the gesture took
+            const duration = Date.now() - this.startTime;
+
+            // Validate gesture:
+            // - Need at least 2 points to form a direction
+            // - Duration must be reasonable (not too slow)
+            if (this.gesturePoints.length < 2 || duration > this.MAX_GESTURE_TIME) {
+                this.gesturePoints = [];
+                return;
+            }
+
+            // Convert raw point path into directional segments, diagonals included
+            let directions = this.extractDirections(true);
+
+            // If no valid directions detected, abort
+            if (directions.length === 0) {
+                this.gesturePoints = [];
+                return;
+            }
+
+            // Try to match the direction sequence against known patterns. A stroke
+            // drawn at 30° reads as a diagonal in eight-way segmentation, so fall
+            // back to cardinal-only segmentation before giving up on directions.
+            let pattern = this.matchPattern(directions);
+            let confidence = 1;
+
+            if (!pattern) {
+                const cardinal = this.extractDirections(false);
+                pattern = this.matchPattern(cardinal);
+
+                if (pattern) {
+                    directions = cardinal;
+                }
+            }
+
+            // Last resort: free-form shape templates
+            if (!pattern) {
+                const match = this.matchTemplate(this.gesturePoints);
+
+                if (match) {
+                    pattern = match.name;
+                    confidence = match.score;
+                }
+            }
+
+            // Mark that a gesture was attempted (even if unrecognized)
+            // This tells contextmenu handler to suppress the menu
+            this.gestureJustDispatched = true;
+
+            // Dispatch gesture event if we have a pattern and a container
+            if (pattern && this.gestureContainer) {
+                this.dispatchGesture(event, pattern, directions, confidence);
+            }
+
+            // Clean up for next gesture
+            this.gesturePoints = [];
+            this.gestureContainer = null;
+        },
+
+        /**
+         * Extracts directional segments from raw gesture points
+         * Analyzes direction between consecutive points, then groups into segments
+         * @param {boolean} [eightWay=false] - Also classify diagonal movement (UR, DR, DL, UL)
+         * @returns {string[]} Array of direction codes: 'R', 'L', 'U', 'D' and, with eightWay, diagonals
+         */
+        extractDirections(eightWay = false) {
+            if (this.gesturePoints.length < 2) {
+                return [];
+            }
+
+            const segments = [];
+            const minLengthSq = this.MIN_SEGMENT_LENGTH * this.MIN_SEGMENT_LENGTH; // Avoid repeated sqrt
+
+            let segmentStart = this.gesturePoints[0];
+            let segmentEnd = this.gesturePoints[0];
+            let currentDir = null;
+
+            for (let i = 1; i < this.gesturePoints.length; i++) {
+                const curr = this.gesturePoints[i];
+                const dx = curr.x - this.gesturePoints[i - 1].x;
+                const dy = curr.y - this.gesturePoints[i - 1].y;
+                const direction = this.getDirection(dx, dy, eightWay);
+
+                if (!direction) {
+                    continue;
+                }
+
+                if (direction === currentDir) {
+                    segmentEnd = curr;
+                } else {
+                    // Save previous segment if long enough
+                    if (currentDir !== null) {
+                        const sdx = segmentEnd.x - segmentStart.x;
+                        const sdy = segmentEnd.y - segmentStart.y;
+
+                        if (sdx * sdx + sdy * sdy >= minLengthSq) {
+                            segments.push(currentDir);
+                        }
+                    }
+
+                    // Start new segment
+                    currentDir = direction;
+                    segmentStart = segmentEnd;
+                    segmentEnd = curr;
+                }
+            }
+
+            // Handle final segment
+            if (currentDir !== null) {
+                const dx = segmentEnd.x - segmentStart.x;
+                const dy = segmentEnd.y - segmentStart.y;
+
+                if (dx * dx + dy * dy >= minLengthSq) {
+                    segments.push(currentDir);
+                }
+            }
+
+            return segments;
+        },
+
+        /**
+         * Classifies a movement vector into a cardinal direction, or into one of
+         * eight 45° sectors when eightWay is set
+         * Uses squared magnitudes to avoid expensive sqrt/normalization
+         * @param {number} dx - Horizontal movement (positive = right)
+         * @param {number} dy - Vertical movement (positive = down, screen coordinates)
+         * @param {boolean} [eightWay=false] - Classify diagonals as UR, DR, DL or UL
+         * @returns {string|null} Direction code ('R', 'L', 'U', 'D', or a diagonal) or null if invalid
+         */
+        getDirection(dx, dy, eightWay = false) {
+            // Zero-length movement has no direction
+            if (dx === 0 && dy === 0) {
+                return null;
+            }
+
+            // Eight-way: each code owns the 45° sector centered on its direction
+            if (eightWay) {
+                const sector = Math.round(Math.atan2(dy, dx) / (Math.PI / 4));
+                return this.DIRECTIONS[(sector + 8) % 8];
+            }
 
-        /** @private {boolean} Whether last gesture was prevented by msgProc */
-        lastGesturePrevented: false,
+            // Square both components to work with magnitudes without expensive sqrt
+            // Comparing x² vs y² is equivalent to comparing |x| vs |y|
+            const dxSq = dx * dx;
+            const dySq = dy * dy;
 
-        // Configuration constants
+            // For threshold 0.7: we need the dominant axis to satisfy:
+            // dominant² > (1 - 0.7²) / 0.7² * other²
+            // Which simplifies to: dominant² > 1.0408 * other²
+            // Precompute: (1 - 0.49) / 0.49 = 0.51 / 0.49 ≈ 1.0408
+            const thresholdSq = this.DIRECTION_THRESHOLD * this.DIRECTION_THRESHOLD;
+            const minRatio = (1 - thresholdSq) / thresholdSq;
 
-        /** @constant {number} Minimum distance in pixels between recorded points (filters jitter) */
-        MIN_DISTANCE: 10,
+            // Check for pure cardinal directions (one axis strongly dominant)
+            if (dxSq > minRatio * dySq) {
+                return dx > 0 ? 'R' : 'L';
+            } else if (dySq > minRatio * dxSq) {
+                return dy > 0 ? 'D' : 'U';
+            } else if (dx > 0) {
+                return dxSq > dySq ? 'R' : (dy > 0 ? 'D' : 'U');
+            } else {
+                return dxSq > dySq ? 'L' : (dy > 0 ? 'D' : 'U');
+            }
+        },
 
-        /** @constant {number} Minimum length in pixels for a directional segment to be recognized */
-        MIN_SEGMENT_LENGTH: 30,
+        /**
+         * Matches a direction sequence against known patterns
+         * Tries to find a named pattern, otherwise returns raw direction string
+         * @param {string[]} directions - Array of direction codes from extractDirections()
+         * @returns {string|null} Pattern name (e.g., "L", "inverted-L") or null if none found
+         */
+        matchPattern(directions) {
+            // Implode directions into one string. The separator matters now that
+            // codes can be two letters: ['DR'] must not equal ['D', 'R'].
+            const directionString = directions.join(',');
 
-        /** @constant {number} Direction classification threshold (cos 45° ≈ 0.7) */
-        DIRECTION_THRESHOLD: 0.7,
+            // Search through all known patterns
+            // Using for...in avoids creating entry arrays
+            for (const patternName in this.patterns) {
+                if (this.patterns[patternName].join(',') === directionString) {
+                    return patternName;
+                }
+            }
 
-        /** @constant {number} Maximum gesture duration in milliseconds */
-        MAX_GESTURE_TIME: 2000,
+            // No match found - return null to indicate unrecognized gesture
+            return null;
+        },
 
         /**
-         * Gesture pattern registry
-         * Maps pattern names to arrays of directions: R (right), L (left), U (up), D (down)
-         * Users can add custom patterns via registerPattern()
-         * @type {Object<string, string[]>}
+         * Compares a drawn path against all registered shape templates
+         * @param {Array<{x: number, y: number}>} points - Raw gesture points
+         * @returns {{name: string, score: number}|null} Best template at or above its minScore, or null
          */
-        patterns: {
-            // Single directions
-            'right': ['R'],
-            'left': ['L'],
-            'up': ['U'],
-            'down': ['D'],
+        matchTemplate(points) {
+            const names = Object.keys(this.templates);
 
-            // Common L-shapes
-            'L': ['D', 'R'],
-            'inverted-L': ['D', 'L'],
+            if (names.length === 0 || points.length < 2) {
+                return null;
+            }
+
+            const candidate = this.normalizePath(points);
+            const range = this.TEMPLATE_ANGLE_RANGE * Math.PI / 180;
+
+            // Half the diagonal of the scaling square: the largest average point
+            // distance two normalized paths can realistically have
+            const halfDiagonal = 0.5 * Math.sqrt(2) * this.TEMPLATE_SIZE;
+            let best = null;
+
+            for (const name of names) {
+                const template = this.templates[name];
+                const distance = this.distanceAtBestAngle(candidate, this.normalizedTemplate(template), -range, range);
+                const score = Math.max(0, 1 - distance / halfDiagonal);
+
+                if (score >= template.minScore && (!best || score > best.score)) {
+                    best = { name, score };
+                }
+            }
+
+            return best;
         },
 
         /**
-         * Registers a custom gesture pattern
-         * Allows users to define their own gesture shortcuts
-         * @param {string} name - Name for the pattern (e.g., "back", "forward", "refresh")
-         * @param {string[]} directions - Array of direction codes: 'R', 'L', 'U', 'D'
-         * @throws {Error} If name or directions are invalid
+         * Returns a template's normalized points, normalizing them only when the
+         * template is new or TEMPLATE_POINTS/TEMPLATE_SIZE changed since the last
+         * match, so an unrecognized gesture does not resample every template again.
+         * @param {{points: Array<{x: number, y: number}>, normalized?: Array, normalizedFor?: string}} template
+         * @returns {Array<{x: number, y: number}>} Normalized points
          */
-        registerPattern(name, directions) {
-            // Validate name
-            if (!name || typeof name !== 'string') {
-                throw new Error('Gesture pattern name must be a non-empty string');
+        normalizedTemplate(template) {
+            const key = this.TEMPLATE_POINTS + ':' + this.TEMPLATE_SIZE;
+
+            if (template.normalizedFor !== key) {
+                template.normalized = this.normalizePath(template.points);
+                template.normalizedFor = key;
             }
 
-            // Validate directions array
-            if (!Array.isArray(directions) || directions.length === 0) {
-                throw new Error('Gesture directions must be a non-empty array');
+            return template.normalized;
+        },
+
+        /**
+         * Brings a path into the comparable form of the $1 recognizer: resampled
+         * to TEMPLATE_POINTS equidistant points, scaled uniformly so its larger side
+         * is TEMPLATE_SIZE (uniform, so straight strokes keep their shape), and
+         * centered on its centroid. Orientation is kept, so a check mark and an
+         * upside-down check mark remain different shapes.
+         * @param {Array<{x: number, y: number}>} points - Path to normalize
+         * @returns {Array<{x: number, y: number}>} Normalized points
+         */
+        normalizePath(points) {
+            const resampled = this.resample(points, this.TEMPLATE_POINTS);
+
+            let minX = Infinity, maxX = -Infinity, minY = Infinity, maxY = -Infinity;
+
+            for (const p of resampled) {
+                minX = Math.min(minX, p.x);
+                maxX = Math.max(maxX, p.x);
+                minY = Math.min(minY, p.y);
+                maxY = Math.max(maxY, p.y);
             }
 
-            // Validate each direction
-            const validDirections = ['R', 'L', 'U', 'D'];
-            for (let i = 0; i < directions.length; i++) {
-                if (!validDirections.includes(directions[i])) {
-                    throw new Error(`Invalid direction "${directions[i]}". Must be one of: R, L, U, D`);
+            const scale = this.TEMPLATE_SIZE / (Math.max(maxX - minX, maxY - minY) || 1);
+            const cx = resampled.reduce((sum, p) => sum + p.x, 0) / resampled.length;
+            const cy = resampled.reduce((sum, p) => sum + p.y, 0) / resampled.length;
+
+            return resampled.map(p => ({ x: (p.x - cx) * scale, y: (p.y - cy) * scale }));
+        },
+
+        /**
+         * Resamples a path into n points spaced evenly along its length
+         * @param {Array<{x: number, y: number}>} points - Path to resample
+         * @param {number} n - Number of points to produce
+         * @returns {Array<{x: number, y: number}>} Resampled path
+         */
+        resample(points, n) {
+            let length = 0;
+
+            for (let i = 1; i < points.length; i++) {
+                length += Math.hypot(points[i].x - points[i - 1].x, points[i].y - points[i - 1].y);
+            }
+
+            const interval = length / (n - 1);
+            const result = [{ x: points[0].x, y: points[0].y }];
+            let prev = result[0];
+            let carried = 0;
+
+            for (let i = 1; i < points.length && interval > 0; i++) {
+                let next = points[i];
+                let d = Math.hypot(next.x - prev.x, next.y - prev.y);
+
+                // Emit as many points as fit on this segment, walking from prev
+                while (carried + d >= interval && result.length < n) {
+                    const t = (interval - carried) / d;
+                    prev = { x: prev.x + t * (next.x - prev.x), y: prev.y + t * (next.y - prev.y) };
+                    result.push(prev);
+                    d = Math.hypot(next.x - prev.x, next.y - prev.y);
+                    carried = 0;
                 }
+
+                carried += d;
+                prev = next;
             }
 
-            // Warn if overriding existing pattern
-            if (this.patterns[name]) {
-                console.warn(`WakaPAC: Overriding existing gesture pattern '${name}'`);
+            // Rounding can leave the last point out; pad with the endpoint
+            const last = points[points.length - 1];
+
+            while (result.length < n) {
+                result.push({ x: last.x, y: last.y });
             }
 
-            // Register the pattern
-            this.patterns[name] = directions;
+            return result;
         },
 
         /**
-         * Removes a registered gesture pattern
-         * @param {string} name - Name of the pattern to remove
-         * @returns {boolean} True if pattern was removed, false if not found
+         * Finds the smallest average point distance between two normalized paths
+         * over candidate rotations in [from, to], using golden section search
+         * @param {Array<{x: number, y: number}>} candidate - Normalized drawn path
+         * @param {Array<{x: number, y: number}>} template - Normalized template
+         * @param {number} from - Lowest rotation in radians
+         * @param {number} to - Highest rotation in radians
+         * @returns {number} Average distance at the best rotation found
          */
-        unregisterPattern(name) {
-            const exists = name in this.patterns;
+        distanceAtBestAngle(candidate, template, from, to) {
+            const phi = 0.5 * (Math.sqrt(5) - 1);
+            const precision = 2 * Math.PI / 180;
+
+            let x1 = phi * from + (1 - phi) * to;
+            let x2 = (1 - phi) * from + phi * to;
+            let f1 = this.distanceAtAngle(candidate, template, x1);
+            let f2 = this.distanceAtAngle(candidate, template, x2);
+
+            while (Math.abs(to - from) > precision) {
+                if (f1 < f2) {
+                    to = x2;
+                    x2 = x1;
+                    f2 = f1;
+                    x1 = phi * from + (1 - phi) * to;
+                    f1 = this.distanceAtAngle(candidate, template, x1);
+                } else {
+                    from = x1;
+                    x1 = x2;
+                    f1 = f2;
+                    x2 = (1 - phi) * from + phi * to;
+                    f2 = this.distanceAtAngle(candidate, template, x2);
+                }
+            }
+
+            return Math.min(f1, f2);
+        },
+
+        /**
+         * Average distance between corresponding points after rotating the
+         * candidate around the origin (its centroid, after normalizePath)
+         * @param {Array<{x: number, y: number}>} candidate - Normalized drawn path
+         * @param {Array<{x: number, y: number}>} template - Normalized template
+         * @param {number} angle - Rotation in radians
+         * @returns {number} Average point distance
+         */
+        distanceAtAngle(candidate, template, angle) {
+            const cos = Math.cos(angle);
+            const sin = Math.sin(angle);
+            let total = 0;
+
+            for (let i = 0; i < candidate.length; i++) {
+                const { x, y } = candidate[i];
+                total += Math.hypot(x * cos - y * sin - template[i].x, x * sin + y * cos - template[i].y);
+            }
+
+            return total / candidate.length;
+        },
+
+        /**
+         * Finds the containing PAC component for an element. Walks the
+         * [data-pac-id] ancestor chain (skipping non-container nodes in one
+         * closest() step) rather than every DOM node, and keeps walking past
+         * an ancestor whose pacId is no longer in the registry — destroy()
+         * deregisters a component without stripping its container's
+         * data-pac-id, so a stale attribute can still be in the DOM.
+         * @param {HTMLElement} element - Starting element (typically event.target)
+         * @returns {HTMLElement|null} The PAC container element or null if not found
+         */
+        findContainer(element) {
+            const start = DomUpdateTracker.normalizeToElement(element);
+
+            for (let el = start?.closest(CONTAINER_SEL); el; el = el.parentElement?.closest(CONTAINER_SEL)) {
+                const context = window.PACRegistry.get(el.getAttribute('data-pac-id'));
+
+                if (context) {
+                    return context.container;
+                }
+            }
+
+            return null;
+        },
+
+        /**
+         * Dispatches a gesture event to the PAC container
+         * Creates a pac:event with MSG_GESTURE and all gesture data
+         * @param {MouseEvent} originalEvent - The original mouseup event
+         * @param {string} pattern - Matched pattern name (e.g., "L", "inverted-L")
+         * @param {string[]} directions - Array of direction codes used in matching
+         * @param {number} [confidence=1] - Match confidence, 0..1 (below 1 only for template matches)
+         * @returns {void}
+         */
+        dispatchGesture(originalEvent, pattern, directions, confidence = 1) {
+            const points = this.gesturePoints;
+            const pointCount = points.length;
+            const now = Date.now();
+
+            // Calculate gesture bounds in viewport coordinates
+            // Single-pass min/max to avoid multiple array iterations
+            let minX = points[0].x, maxX = minX;
+            let minY = points[0].y, maxY = minY;
+
+            for (let i = 1; i < pointCount; i++) {
+                const { x, y } = points[i];
+                minX = Math.min(minX, x);
+                maxX = Math.max(maxX, x);
+                minY = Math.min(minY, y);
+                maxY = Math.max(maxY, y);
+            }
+
+            // Convert all coordinates from viewport-relative to container-relative
+            // This makes gesture coordinates match mouse event coordinates in msgProc
+            const rect = this.gestureContainer.getBoundingClientRect();
+            const toRelativeX = x => x - rect.left;
+            const toRelativeY = y => y - rect.top;
+
+            // Calculate gesture center for lParam (Win32 standard packing: Y in high word, X in low word)
+            // Clamp to 16-bit range (0-65535) to prevent overflow in bitwise operations
+            const centerX = Math.max(0, Math.min(65535, Math.round((minX + maxX) / 2 - rect.left)));
+            const centerY = Math.max(0, Math.min(65535, Math.round((minY + maxY) / 2 - rect.top)));
+
+            // Convert gesture start/end points to container-relative
+            const startX = toRelativeX(points[0].x);
+            const startY = toRelativeY(points[0].y);
+            const endX = toRelativeX(points[pointCount - 1].x);
+            const endY = toRelativeY(points[pointCount - 1].y);
+
+            // Convert bounds to container-relative (DOMRect-like format)
+            const left = toRelativeX(minX);
+            const top = toRelativeY(minY);
+            const width = maxX - minX;  // Width/height are same in both coordinate systems
+            const height = maxY - minY;
+
+            // lParam data: packed center coordinates (Y high word, X low word) —
+            // the gesture path's bounding-box center, not the terminating event's
+            // raw position, so this bypasses dispatchMouseMessage()'s own
+            // buildMouseLParam() via lParamOverride. wParam is likewise overridden
+            // to 0: a gesture carries no modifier-state semantics of its own.
+            const lParam = (centerY << 16) | centerX; //
+
+            // Dispatch through the shared mouse-message path so `target` resolves
+            // to the nearest control the same way every other mouse message does.
+            DomUpdateTracker.dispatchMouseMessage(MSG_GESTURE, originalEvent, this.gestureContainer, null, {
+                pattern,      // Matched pattern name (e.g. 'back') or raw direction string if unregistered
+                directions,   // Array of direction codes used in matching: ['R', 'D', 'L'] or ['DR', 'UR']
+                confidence,   // 1 for direction patterns, template similarity (0..1) for shape templates
+                pointCount,   // Number of recorded points along the gesture path
+                startX,       // Where gesture started (container-relative)
+                startY,
+                endX,         // Where gesture ended (container-relative)
+                endY,
+                duration: now - this.startTime, // Milliseconds from mousedown to mouseup
+                bounds: {                        // Bounding box of the drawn path (DOMRect format)
+                    x: left,                     // Alias for left
+                    y: top,                      // Alias for top
+                    left,
+                    top,
+                    right: left + width,
+                    bottom: top + height,
+                    width,
+                    height,
+                },
+            }, 0, lParam);
+        }
+    };
+
+    /**
+     * Touch Gesture Recognition System
+     *
+     * Recognizes touch and pen gestures from pointer events and dispatches them as
+     * MSG_TOUCHGESTURE, with the gesture id (GID_*) in wParam and the gesture's
+     * container-relative center packed into lParam like a mouse position:
+     *
+     * - GID_ZOOM: two-finger pinch, with extended.scale relative to the start
+     * - GID_ROTATE: two-finger rotation, with extended.rotation in degrees
+     * - GID_LONGPRESS: one finger held still for LONG_PRESS_TIME
+     * - GID_SWIPE: a quick one-finger stroke in one of eight directions, with velocity
+     * - GID_DOUBLETAP: two taps in quick succession at roughly the same spot
+     *
+     * Zoom and rotate are continuous: the first message carries GF_BEGIN in
+     * extended.flags and the last one GF_END. Mouse pointers are ignored, since
+     * mouse input already has its own messages and right-button stroke gestures.
+     *
+     * Recognition is opt-in per container through the `gestures` option:
+     * `wakaPAC('#map', abstraction, { gestures: ['pinch', 'rotate'] })`, or
+     * `gestures: true` for all of them. Thresholds are the constants below and
+     * can be adjusted with wakaPAC.setGestureThresholds().
+     *
+     * @namespace TouchGestureRecognizer
+     */
+    const TouchGestureRecognizer = {
+        /**
+         * Gesture names accepted by the `gestures` component option
+         * @type {string[]}
+         */
+        GESTURE_NAMES: ['pinch', 'rotate', 'longpress', 'swipe', 'doubletap'],
+
+        /** @private {Map<number, {x: number, y: number, startX: number, startY: number, startTime: number}>} Active pointers by pointerId */
+        pointers: new Map(),
+
+        /** @private {HTMLElement|null} Container the current touch session started in */
+        container: null,
+
+        /** @private {Set<string>|null} Gestures enabled on that container */
+        enabled: null,
+
+        /** @private {boolean} Whether a second finger joined the session (no swipe/tap at the end) */
+        multiTouch: false,
+
+        /** @private {boolean} Whether the long press already fired (no swipe/tap at the end) */
+        longPressFired: false,
+
+        /** @private {number|null} Pending long-press timer */
+        longPressTimer: null,
+
+        /** @private {{distance: number, angle: number, scale: number, rotation: number, zooming: boolean, rotating: boolean}|null} Two-finger state */
+        pair: null,
+
+        /** @private {{time: number, x: number, y: number, container: HTMLElement}|null} Last single tap, for double-tap detection */
+        lastTap: null,
+
+        // Configuration constants
+
+        /** @constant {number} Milliseconds a finger must stay down for a long press */
+        LONG_PRESS_TIME: 500,
+
+        /** @constant {number} Movement in pixels tolerated during a tap or long press */
+        TAP_TOLERANCE: 10,
+
+        /** @constant {number} Minimum distance in pixels for a swipe */
+        SWIPE_MIN_DISTANCE: 50,
+
+        /** @constant {number} Minimum average velocity in pixels per millisecond for a swipe */
+        SWIPE_MIN_VELOCITY: 0.3,
+
+        /** @constant {number} Maximum milliseconds between the taps of a double tap */
+        DOUBLE_TAP_TIME: 300,
+
+        /** @constant {number} Maximum distance in pixels between the taps of a double tap */
+        DOUBLE_TAP_DISTANCE: 20,
 
-            if (exists) {
-                delete this.patterns[name];
-            }
+        /** @constant {number} Relative change in finger distance before a pinch begins */
+        PINCH_THRESHOLD: 0.05,
 
-            return exists;
-        },
+        /** @constant {number} Rotation in degrees before a rotate gesture begins */
+        ROTATE_THRESHOLD: 10,
 
         /**
-         * Begins recording a new gesture
-         * Called when right mouse button is pressed
-         * @param {MouseEvent} event - The mousedown event
-         * @returns {void}
+         * Parses a component's `gestures` option into the set of enabled gestures.
+         * @param {boolean|string[]|undefined} option - The option value
+         * @returns {Set<string>|null} Enabled gesture names, or null when none
          */
-        startRecording(event) {
-            // Find which PAC container this gesture is happening in
-            this.gestureContainer = this.findContainer(event.target);
+        parseOption(option) {
+            if (!option) {
+                return null;
+            }
 
-            // Enable recording mode
-            this.isRecording = true;
+            if (option === true) {
+                return new Set(this.GESTURE_NAMES);
+            }
 
-            // Initialize points array with starting position
-            this.gesturePoints = [{
-                x: event.clientX,
-                y: event.clientY,
-                time: Date.now()
-            }];
+            const enabled = new Set();
 
-            // Record when gesture started for duration calculation
-            this.startTime = Date.now();
+            (Array.isArray(option) ? option : [option]).forEach(name => {
+                if (this.GESTURE_NAMES.includes(name)) {
+                    enabled.add(name);
+                } else {
+                    console.warn(`WakaPAC: Unknown touch gesture '${name}'. Must be one of: ${this.GESTURE_NAMES.join(', ')}`);
+                }
+            });
+
+            return enabled.size > 0 ? enabled : null;
         },
 
         /**
-         * Records a point along the gesture path
-         * Only records if moved far enough from last point to filter out jitter
-         * @param {Event} event - The mousemove event
-         * @returns {void}
+         * Finds the nearest registered container of an element that opted into touch gestures.
+         * Nested containers without the option let gestures through to their ancestors.
+         * @param {EventTarget} target - Event target
+         * @returns {Runtime|null}
          */
-        recordPoint(event) {
-            // Get the most recent recorded point
-            const lastPoint = this.gesturePoints[this.gesturePoints.length - 1];
+        findContext(target) {
+            const start = DomUpdateTracker.normalizeToElement(target);
 
-            // Calculate distance from last point
-            const dx = event.clientX - lastPoint.x;
-            const dy = event.clientY - lastPoint.y;
-            const distance = Math.sqrt(dx * dx + dy * dy);
+            for (let el = start?.closest(CONTAINER_SEL); el; el = el.parentElement?.closest(CONTAINER_SEL)) {
+                const context = window.PACRegistry.get(el.getAttribute('data-pac-id'));
 
-            // Only record if moved enough distance to avoid recording jitter
-            // This creates a cleaner path with fewer redundant points
-            if (distance >= this.MIN_DISTANCE) {
-                this.gesturePoints.push({
-                    x: event.clientX,
-                    y: event.clientY,
-                    time: Date.now()
-                });
+                if (context?.touchGestures) {
+                    return context;
+                }
             }
+
+            return null;
         },
 
         /**
-         * Stops recording and analyzes the gesture
-         * Called when right mouse button is released
-         * @param {MouseEvent} event - The mouseup event
-         * @returns {void}
+         * Starts or extends a touch session.
+         * @param {PointerEvent} event
          */
-        stopRecording(event) {
-            // Disable recording mode
-            this.isRecording = false;
+        pointerDown(event) {
+            if (event.pointerType === 'mouse') {
+                return;
+            }
 
-            // Calculate how long the gesture took
-            const duration = Date.now() - this.startTime;
+            const context = this.findContext(event.target);
 
-            // Validate gesture:
-            // - Need at least 2 points to form a direction
-            // - Duration must be reasonable (not too slow)
-            if (this.gesturePoints.length < 2 || duration > this.MAX_GESTURE_TIME) {
-                this.gesturePoints = [];
+            if (!context) {
                 return;
             }
 
-            // Convert raw point path into directional segments (R, L, U, D)
-            const directions = this.extractDirections();
-
-            // If no valid directions detected, abort
-            if (directions.length === 0) {
-                this.gesturePoints = [];
+            // The first finger picks the container; fingers landing elsewhere don't join
+            if (this.pointers.size === 0) {
+                this.container = context.container;
+                this.enabled = context.touchGestures;
+                this.multiTouch = false;
+                this.longPressFired = false;
+            } else if (context.container !== this.container) {
                 return;
             }
 
-            // Try to match the direction sequence against known patterns
-            const pattern = this.matchPattern(directions);
+            this.pointers.set(event.pointerId, {
+                x: event.clientX,
+                y: event.clientY,
+                startX: event.clientX,
+                startY: event.clientY,
+                startTime: Date.now()
+            });
 
-            // Mark that a gesture was attempted (even if unrecognized)
-            // This tells contextmenu handler to suppress the menu
-            this.gestureJustDispatched = true;
+            if (this.pointers.size === 1) {
+                if (this.enabled.has('longpress')) {
+                    this.longPressTimer = setTimeout(() => this.fireLongPress(event), this.LONG_PRESS_TIME);
+                }
 
-            // Dispatch gesture event if we have a pattern and a container
-            if (pattern && this.gestureContainer) {
-                this.dispatchGesture(event, pattern, directions);
+                return;
             }
 
-            // Clean up for next gesture
-            this.gesturePoints = [];
-            this.gestureContainer = null;
+            // A second finger turns the session into a pinch/rotate candidate
+            this.cancelLongPress();
+            this.multiTouch = true;
+
+            if (this.pointers.size === 2) {
+                const { distance, angle } = this.measurePair();
+                this.pair = { distance, angle, scale: 1, rotation: 0, zooming: false, rotating: false };
+            }
         },
 
         /**
-         * Extracts directional segments from raw gesture points
-         * Analyzes direction between consecutive points, then groups into segments
-         * @returns {string[]} Array of direction codes: 'R', 'L', 'U', 'D'
+         * Tracks finger movement and emits zoom/rotate updates.
+         * @param {PointerEvent} event
          */
-        extractDirections() {
-            if (this.gesturePoints.length < 2) {
-                return [];
+        pointerMove(event) {
+            const pointer = this.pointers.get(event.pointerId);
+
+            if (!pointer) {
+                return;
             }
 
-            const segments = [];
-            const minLengthSq = this.MIN_SEGMENT_LENGTH * this.MIN_SEGMENT_LENGTH; // Avoid repeated sqrt
+            pointer.x = event.clientX;
+            pointer.y = event.clientY;
 
-            let segmentStart = this.gesturePoints[0];
-            let segmentEnd = this.gesturePoints[0];
-            let currentDir = null;
+            // Moving too far turns a potential long press into a drag
+            if (this.longPressTimer !== null &&
+                Math.hypot(pointer.x - pointer.startX, pointer.y - pointer.startY) > this.TAP_TOLERANCE) {
+                this.cancelLongPress();
+            }
 
-            for (let i = 1; i < this.gesturePoints.length; i++) {
-                const curr = this.gesturePoints[i];
-                const dx = curr.x - this.gesturePoints[i - 1].x;
-                const dy = curr.y - this.gesturePoints[i - 1].y;
-                const direction = this.getDirection(dx, dy);
+            if (this.pair && this.pointers.size >= 2) {
+                this.updatePair(event);
+            }
+        },
 
-                if (!direction) {
-                    continue;
-                }
+        /**
+         * Ends a finger's participation and, when the last finger lifts, recognizes
+         * the one-finger gestures.
+         * @param {PointerEvent} event - pointerup or pointercancel
+         */
+        pointerUp(event) {
+            const pointer = this.pointers.get(event.pointerId);
 
-                if (direction === currentDir) {
-                    segmentEnd = curr;
-                } else {
-                    // Save previous segment if long enough
-                    if (currentDir !== null) {
-                        const sdx = segmentEnd.x - segmentStart.x;
-                        const sdy = segmentEnd.y - segmentStart.y;
+            if (!pointer) {
+                return;
+            }
 
-                        if (sdx * sdx + sdy * sdy >= minLengthSq) {
-                            segments.push(currentDir);
-                        }
-                    }
+            this.pointers.delete(event.pointerId);
+            this.cancelLongPress();
 
-                    // Start new segment
-                    currentDir = direction;
-                    segmentStart = segmentEnd;
-                    segmentEnd = curr;
-                }
+            // Losing one of the two fingers ends any zoom/rotate in progress
+            if (this.pair && this.pointers.size < 2) {
+                this.endPair(event);
             }
 
-            // Handle final segment
-            if (currentDir !== null) {
-                const dx = segmentEnd.x - segmentStart.x;
-                const dy = segmentEnd.y - segmentStart.y;
+            if (this.pointers.size > 0) {
+                return;
+            }
 
-                if (dx * dx + dy * dy >= minLengthSq) {
-                    segments.push(currentDir);
-                }
+            // Last finger lifted: a single, uncancelled stroke may be a swipe or tap
+            if (event.type === 'pointerup' && !this.multiTouch && !this.longPressFired && this.container.isConnected) {
+                this.recognizeStroke(event, pointer, this.container);
             }
 
-            return segments;
+            this.container = null;
+            this.enabled = null;
         },
 
         /**
-         * Classifies a movement vector into a cardinal direction
-         * Uses squared magnitudes to avoid expensive sqrt/normalization
-         * @param {number} dx - Horizontal movement (positive = right)
-         * @param {number} dy - Vertical movement (positive = down, screen coordinates)
-         * @returns {string|null} Direction code ('R', 'L', 'U', 'D') or null if invalid
+         * Classifies a completed one-finger stroke as a swipe or a (double) tap.
+         * @param {PointerEvent} event - The pointerup event
+         * @param {{x: number, y: number, startX: number, startY: number, startTime: number}} pointer
+         * @param {HTMLElement} container
          */
-        getDirection(dx, dy) {
-            // Zero-length movement has no direction
-            if (dx === 0 && dy === 0) {
-                return null;
+        recognizeStroke(event, pointer, container) {
+            const dx = pointer.x - pointer.startX;
+            const dy = pointer.y - pointer.startY;
+            const distance = Math.hypot(dx, dy);
+            const now = Date.now();
+
+            // Synthetic or very fast strokes can report zero elapsed time
+            const duration = Math.max(1, now - pointer.startTime);
+            const velocity = distance / duration;
+
+            if (this.enabled.has('swipe') && distance >= this.SWIPE_MIN_DISTANCE && velocity >= this.SWIPE_MIN_VELOCITY) {
+                const angle = Math.atan2(dy, dx) * 180 / Math.PI;
+
+                this.dispatch(GID_SWIPE, event, container, pointer.startX + dx / 2, pointer.startY + dy / 2, {
+                    direction: this.getSwipeDirection(angle),
+                    angle,
+                    distance,
+                    dx,
+                    dy,
+                    duration,
+                    velocity,
+                    velocityX: dx / duration,
+                    velocityY: dy / duration
+                });
+
+                this.lastTap = null;
+                return;
             }
 
-            // Square both components to work with magnitudes without expensive sqrt
-            // Comparing x² vs y² is equivalent to comparing |x| vs |y|
-            const dxSq = dx * dx;
-            const dySq = dy * dy;
+            if (distance > this.TAP_TOLERANCE || !this.enabled.has('doubletap')) {
+                this.lastTap = null;
+                return;
+            }
 
-            // For threshold 0.7: we need the dominant axis to satisfy:
-            // dominant² > (1 - 0.7²) / 0.7² * other²
-            // Which simplifies to: dominant² > 1.0408 * other²
-            // Precompute: (1 - 0.49) / 0.49 = 0.51 / 0.49 ≈ 1.0408
-            const thresholdSq = this.DIRECTION_THRESHOLD * this.DIRECTION_THRESHOLD;
-            const minRatio = (1 - thresholdSq) / thresholdSq;
+            const last = this.lastTap;
 
-            // Check for pure cardinal directions (one axis strongly dominant)
-            if (dxSq > minRatio * dySq) {
-                return dx > 0 ? 'R' : 'L';
-            } else if (dySq > minRatio * dxSq) {
-                return dy > 0 ? 'D' : 'U';
-            } else if (dx > 0) {
-                return dxSq > dySq ? 'R' : (dy > 0 ? 'D' : 'U');
-            } else {
-                return dxSq > dySq ? 'L' : (dy > 0 ? 'D' : 'U');
+            if (last && last.container === container &&
+                now - last.time <= this.DOUBLE_TAP_TIME &&
+                Math.hypot(pointer.x - last.x, pointer.y - last.y) <= this.DOUBLE_TAP_DISTANCE) {
+                this.lastTap = null;
+                this.dispatch(GID_DOUBLETAP, event, container, pointer.x, pointer.y, { interval: now - last.time });
+                return;
             }
+
+            this.lastTap = { time: now, x: pointer.x, y: pointer.y, container };
         },
 
         /**
-         * Matches a direction sequence against known patterns
-         * Tries to find a named pattern, otherwise returns raw direction string
-         * @param {string[]} directions - Array of direction codes from extractDirections()
-         * @returns {string|null} Pattern name (e.g., "L", "inverted-L") or null if none found
+         * Maps a stroke angle to one of eight direction codes, using the same
+         * R/L/U/D letters as mouse gestures: 'R', 'DR', 'D', 'DL', 'L', 'UL', 'U', 'UR'.
+         * @param {number} angle - Degrees, 0 = right, 90 = down (screen coordinates)
+         * @returns {string}
          */
-        matchPattern(directions) {
-            // Implode directions into one string
-            const directionString = directions.join('');
+        getSwipeDirection(angle) {
+            const directions = ['R', 'DR', 'D', 'DL', 'L', 'UL', 'U', 'UR'];
+            return directions[(Math.round(angle / 45) + 8) % 8];
+        },
 
-            // Search through all known patterns
-            // Using for...in avoids creating entry arrays
-            for (const patternName in this.patterns) {
-                if (this.patterns[patternName].join('') === directionString) {
-                    return patternName;
-                }
+        /**
+         * Fires the long press if the finger is still down and has not moved away.
+         * @param {PointerEvent} event - The pointerdown event that started it
+         */
+        fireLongPress(event) {
+            this.longPressTimer = null;
+
+            const pointer = this.pointers.get(event.pointerId);
+
+            if (!pointer || this.multiTouch || !this.container.isConnected) {
+                return;
             }
 
-            // No match found - return null to indicate unrecognized gesture
-            return null;
+            this.longPressFired = true;
+            this.lastTap = null;
+
+            this.dispatch(GID_LONGPRESS, event, this.container, pointer.x, pointer.y, {
+                duration: Date.now() - pointer.startTime
+            });
         },
 
         /**
-         * Finds the containing PAC component for an element. Walks the
-         * [data-pac-id] ancestor chain (skipping non-container nodes in one
-         * closest() step) rather than every DOM node, and keeps walking past
-         * an ancestor whose pacId is no longer in the registry — destroy()
-         * deregisters a component without stripping its container's
-         * data-pac-id, so a stale attribute can still be in the DOM.
-         * @param {HTMLElement} element - Starting element (typically event.target)
-         * @returns {HTMLElement|null} The PAC container element or null if not found
+         * Cancels a pending long press.
          */
-        findContainer(element) {
-            const start = DomUpdateTracker.normalizeToElement(element);
-
-            for (let el = start?.closest(CONTAINER_SEL); el; el = el.parentElement?.closest(CONTAINER_SEL)) {
-                const context = window.PACRegistry.get(el.getAttribute('data-pac-id'));
-
-                if (context) {
-                    return context.container;
-                }
+        cancelLongPress() {
+            if (this.longPressTimer !== null) {
+                clearTimeout(this.longPressTimer);
+                this.longPressTimer = null;
             }
+        },
 
-            return null;
+        /**
+         * Measures the first two active fingers.
+         * @returns {{distance: number, angle: number, centerX: number, centerY: number}}
+         *   Distance in pixels, angle in degrees and midpoint in viewport coordinates
+         */
+        measurePair() {
+            const [a, b] = this.pointers.values();
+
+            return {
+                distance: Math.hypot(b.x - a.x, b.y - a.y),
+                angle: Math.atan2(b.y - a.y, b.x - a.x) * 180 / Math.PI,
+                centerX: (a.x + b.x) / 2,
+                centerY: (a.y + b.y) / 2
+            };
         },
 
         /**
-         * Dispatches a gesture event to the PAC container
-         * Creates a pac:event with MSG_GESTURE and all gesture data
-         * @param {MouseEvent} originalEvent - The original mouseup event
-         * @param {string} pattern - Matched pattern name (e.g., "L", "inverted-L")
-         * @param {string[]} directions - Array of direction codes used in matching
-         * @returns {void}
+         * Emits zoom and rotate messages for the current two-finger position,
+         * beginning each gesture once its threshold is crossed.
+         * @param {PointerEvent} event - The pointermove event
          */
-        dispatchGesture(originalEvent, pattern, directions) {
-            const points = this.gesturePoints;
-            const pointCount = points.length;
-            const now = Date.now();
+        updatePair(event) {
+            const pair = this.pair;
+            const { distance, angle, centerX, centerY } = this.measurePair();
 
-            // Calculate gesture bounds in viewport coordinates
-            // Single-pass min/max to avoid multiple array iterations
-            let minX = points[0].x, maxX = minX;
-            let minY = points[0].y, maxY = minY;
+            if (this.enabled.has('pinch') && pair.distance > 0) {
+                const scale = distance / pair.distance;
 
-            for (let i = 1; i < pointCount; i++) {
-                const { x, y } = points[i];
-                minX = Math.min(minX, x);
-                maxX = Math.max(maxX, x);
-                minY = Math.min(minY, y);
-                maxY = Math.max(maxY, y);
+                if (pair.zooming || Math.abs(scale - 1) >= this.PINCH_THRESHOLD) {
+                    const flags = pair.zooming ? 0 : GF_BEGIN;
+                    const scaleDelta = scale / pair.scale;
+
+                    pair.zooming = true;
+                    pair.scale = scale;
+                    this.dispatch(GID_ZOOM, event, this.container, centerX, centerY, { flags, scale, scaleDelta, distance });
+                }
             }
 
-            // Convert all coordinates from viewport-relative to container-relative
-            // This makes gesture coordinates match mouse event coordinates in msgProc
-            const rect = this.gestureContainer.getBoundingClientRect();
-            const toRelativeX = x => x - rect.left;
-            const toRelativeY = y => y - rect.top;
+            if (this.enabled.has('rotate')) {
+                // Normalize to (-180, 180] so crossing the atan2 seam doesn't jump a full turn
+                const rotation = ((angle - pair.angle + 540) % 360) - 180;
 
-            // Calculate gesture center for lParam (Win32 standard packing: Y in high word, X in low word)
-            // Clamp to 16-bit range (0-65535) to prevent overflow in bitwise operations
-            const centerX = Math.max(0, Math.min(65535, Math.round((minX + maxX) / 2 - rect.left)));
-            const centerY = Math.max(0, Math.min(65535, Math.round((minY + maxY) / 2 - rect.top)));
+                if (pair.rotating || Math.abs(rotation) >= this.ROTATE_THRESHOLD) {
+                    const flags = pair.rotating ? 0 : GF_BEGIN;
+                    const rotationDelta = rotation - pair.rotation;
+
+                    pair.rotating = true;
+                    pair.rotation = rotation;
+                    this.dispatch(GID_ROTATE, event, this.container, centerX, centerY, { flags, rotation, rotationDelta });
+                }
+            }
+        },
+
+        /**
+         * Sends GF_END for zoom/rotate gestures that were in progress.
+         * @param {PointerEvent} event - The pointerup/pointercancel event
+         */
+        endPair(event) {
+            const pair = this.pair;
+            this.pair = null;
 
-            // Convert gesture start/end points to container-relative
-            const startX = toRelativeX(points[0].x);
-            const startY = toRelativeY(points[0].y);
-            const endX = toRelativeX(points[pointCount - 1].x);
-            const endY = toRelativeY(points[pointCount - 1].y);
+            if (!this.container.isConnected) {
+                return;
+            }
 
-            // Convert bounds to container-relative (DOMRect-like format)
-            const left = toRelativeX(minX);
-            const top = toRelativeY(minY);
-            const width = maxX - minX;  // Width/height are same in both coordinate systems
-            const height = maxY - minY;
+            // The lifted finger is gone already; report the end at the remaining one
+            const remaining = this.pointers.values().next().value ?? { x: event.clientX, y: event.clientY };
 
-            // lParam data: packed center coordinates (Y high word, X low word) —
-            // the gesture path's bounding-box center, not the terminating event's
-            // raw position, so this bypasses dispatchMouseMessage()'s own
-            // buildMouseLParam() via lParamOverride. wParam is likewise overridden
-            // to 0: a gesture carries no modifier-state semantics of its own.
-            const lParam = (centerY << 16) | centerX; //
+            if (pair.zooming) {
+                this.dispatch(GID_ZOOM, event, this.container, remaining.x, remaining.y, {
+                    flags: GF_END, scale: pair.scale, scaleDelta: 1, distance: pair.distance * pair.scale
+                });
+            }
 
-            // Dispatch through the shared mouse-message path so `target` resolves
-            // to the nearest control the same way every other mouse message does.
-            DomUpdateTracker.dispatchMouseMessage(MSG_GESTURE, originalEvent, this.gestureContainer, null, {
-                pattern,      // Matched pattern name (e.g. 'back') or raw direction string if unregistered
-                directions,   // Array of direction codes used in matching: ['R', 'D', 'L']
-                pointCount,   // Number of recorded points along the gesture path
-                startX,       // Where gesture started (container-relative)
-                startY,
-                endX,         // Where gesture ended (container-relative)
-                endY,
-                duration: now - this.startTime, // Milliseconds from mousedown to mouseup
-                bounds: {                        // Bounding box of the drawn path (DOMRect format)
-                    x: left,                     // Alias for left
-                    y: top,                      // Alias for top
-                    left,
-                    top,
-                    right: left + width,
-                    bottom: top + height,
-                    width,
-                    height,
-                },
-            }, 0, lParam);
+            if (pair.rotating) {
+                this.dispatch(GID_ROTATE, event, this.container, remaining.x, remaining.y, {
+                    flags: GF_END, rotation: pair.rotation, rotationDelta: 0
+                });
+            }
+        },
+
+        /**
+         * Dispatches a MSG_TOUCHGESTURE to the session's container.
+         * @param {number} gestureId - GID_* constant, sent as wParam
+         * @param {PointerEvent} originalEvent - Pointer event that completed the gesture
+         * @param {HTMLElement} container - Target container
+         * @param {number} clientX - Gesture center, viewport coordinates
+         * @param {number} clientY
+         * @param {Object} data - Gesture-specific fields for extended
+         */
+        dispatch(gestureId, originalEvent, container, clientX, clientY, data) {
+            const rect = container.getBoundingClientRect();
+            const x = clientX - rect.left;
+            const y = clientY - rect.top;
+
+            // Pack the center like a mouse position (Y high word, X low word), clamped to 16 bits
+            const packedX = Math.max(0, Math.min(65535, Math.round(x)));
+            const packedY = Math.max(0, Math.min(65535, Math.round(y)));
+
+            DomUpdateTracker.dispatchMouseMessage(MSG_TOUCHGESTURE, originalEvent, container, null, Object.assign({
+                x,             // Gesture center (container-relative)
+                y,
+                flags: 0,
+                pointerType: originalEvent.pointerType
+            }, data), gestureId, (packedY << 16) | packedX);
         }
     };
 
@@ -9887,11 +14064,14 @@
      * Accelerator table registry.
      * Keys are pac-id strings (or the sentinel value ACCEL_GLOBAL_KEY for the
      * application-wide table).  Values are arrays of accelerator descriptors:
-     *   { vk, modifiers, cmdId }
+     *   { strokes, cmdId, key }
+     *   strokes   — one { vk, modifiers } pair per keystroke; more than one
+     *               makes the entry a chord such as "Ctrl+K Ctrl+C"
      *   vk        — Win32 virtual key code (number)
-     *   modifiers — bitmask of ACCEL_* flags (see below)
+     *   modifiers — bitmask of KM_* flags (see below)
      *   cmdId     — command identifier posted in wParam of MSG_ACCEL
-     * @type {Map<string|symbol, Array<{vk:number, modifiers:number, cmdId:number}>>}
+     *   key       — the shortcut string the entry was registered with
+     * @type {Map<string|symbol, Array<{strokes: Array<{vk:number, modifiers:number}>, cmdId:number, key:string}>>}
      */
     const _accelTables = new Map();
 
@@ -9903,9 +14083,35 @@
      */
     const ACCEL_GLOBAL_KEY = Symbol('global');
 
+    /**
+     * Order in which accelerator scopes are searched. 'focused' is the table of
+     * the container that receives the keystroke, 'ancestors' the tables of its
+     * parent containers (innermost first) and 'global' the application-wide
+     * table. Changed with wakaPAC.setAcceleratorPrecedence().
+     * @type {string[]}
+     */
+    let _accelPrecedence = ['focused', 'ancestors', 'global'];
+
+    /**
+     * The chord in progress, or null. Holds the strokes typed so far and their
+     * label ("Ctrl+K"), which is published to every component as
+     * browserPendingChord while the chord waits for its next stroke.
+     * @type {{strokes: Array<{vk:number, modifiers:number}>, label: string}|null}
+     */
+    let _accelChord = null;
+
+    /**
+     * Virtual key codes of keys that only modify other keys. Pressing one of them
+     * on its way to the next stroke of a chord must not break the chord.
+     * @type {Set<number>}
+     */
+    const ACCEL_MODIFIER_KEYS = new Set([VK_SHIFT, VK_CONTROL, VK_MENU, VK_LWIN, VK_RWIN]);
+
     /**
      * Returns the ordered list of accelerator tables to search for a container,
-     * walking up the hierarchy innermost-first with the global table as fallback.
+     * following the scope order set with wakaPAC.setAcceleratorPrecedence()
+     * (by default the container itself, then its ancestors innermost-first, then
+     * the global table).
      * Each entry pairs a table with the pacId that owns it, so a match against
      * an ancestor's table can be delivered to that ancestor rather than the
      * originally focused container — mirroring Win32, where a window's own
@@ -9917,41 +14123,71 @@
      * @private
      */
     function _accelTablesForContainer(container) {
-        const tables = [];
         const focusedPacId = Utils.getPacId(container);
+        const ancestors = [];
 
         // Walk up the container hierarchy, innermost first.
         // Uses closest() on parentElement to skip non-container ancestors in one step.
-        for (let el = container; el; el = el.parentElement?.closest(CONTAINER_SEL)) {
+        for (let el = container.parentElement?.closest(CONTAINER_SEL); el; el = el.parentElement?.closest(CONTAINER_SEL)) {
             // Fetch pacId
             const id = el.getAttribute('data-pac-id');
 
             // Use !== null rather than truthiness to correctly handle id="0" or id=""
-            if (id !== null) {
-                const table = _accelTables.get(id);
-
-                if (table) {
-                    tables.push({ pacId: id, table });
-                }
+            if (id !== null && _accelTables.has(id)) {
+                ancestors.push({ pacId: id, table: _accelTables.get(id) });
             }
         }
 
-        // Append the global table last so local bindings always take precedence.
-        const global = _accelTables.get(ACCEL_GLOBAL_KEY);
+        const scopes = {
+            focused: _accelTables.has(focusedPacId) ? [{ pacId: focusedPacId, table: _accelTables.get(focusedPacId) }] : [],
+            ancestors,
+            global: _accelTables.has(ACCEL_GLOBAL_KEY) ? [{ pacId: focusedPacId, table: _accelTables.get(ACCEL_GLOBAL_KEY) }] : []
+        };
+
+        return _accelPrecedence.flatMap(scope => scopes[scope]);
+    }
 
-        if (global) {
-            tables.push({ pacId: focusedPacId, table: global });
+    /**
+     * Compares the first strokes of an accelerator entry against a typed sequence.
+     * @param {Array<{vk:number, modifiers:number}>} strokes - The entry's strokes
+     * @param {Array<{vk:number, modifiers:number}>} sequence - Strokes typed so far
+     * @returns {boolean} True if strokes begins with sequence
+     * @private
+     */
+    function _accelStartsWith(strokes, sequence) {
+        if (strokes.length < sequence.length) {
+            return false;
         }
 
-        return tables;
+        return sequence.every((stroke, i) => strokes[i].vk === stroke.vk && strokes[i].modifiers === stroke.modifiers);
+    }
+
+    /**
+     * Starts, advances or ends the pending chord and publishes its label to
+     * every component as browserPendingChord.
+     * @param {{strokes: Array, label: string}|null} chord - New chord state
+     * @private
+     */
+    function _setAccelChord(chord) {
+        const before = _accelChord ? _accelChord.label : '';
+        _accelChord = chord;
+
+        if ((chord ? chord.label : '') !== before) {
+            DomUpdateTracker.dispatchBrowserStateEvent('chord', { pending: chord ? chord.label : '' });
+        }
     }
 
     /**
-     * Translates a MSG_KEYDOWN event into MSG_ACCEL if the key combination
-     * matches a registered accelerator entry. Tables are checked innermost-first
-     * by walking up the container hierarchy, with the global table as final fallback.
-     * Returns true and dispatches MSG_ACCEL on a match (suppressing the keydown);
-     * returns false otherwise.
+     * Translates a MSG_KEYDOWN event into MSG_ACCEL if the keystroke, appended
+     * to the pending chord if any, matches a registered accelerator entry.
+     * Tables are checked in precedence order (see _accelTablesForContainer()),
+     * and the first table that knows the sequence decides: a complete entry
+     * fires MSG_ACCEL, while a table that has longer entries starting with the
+     * sequence makes it a pending chord that waits for the next stroke. A
+     * stroke that continues no chord cancels it and is swallowed, like in
+     * code editors.
+     * Returns true when the keydown was consumed (MSG_ACCEL dispatched or a
+     * chord started, advanced or cancelled); returns false otherwise.
      * @param {CustomEvent}  pacEvent  — The MSG_KEYDOWN PAC event.
      * @param {HTMLElement}  container — The target container element.
      * @returns {boolean} True if the message was translated (caller should swallow it).
@@ -9967,9 +14203,20 @@
         // wParam carries the virtual key code for keyboard messages
         const vk = pacEvent.wParam;
 
+        // Shift, Ctrl and friends on their own are the run-up to a stroke,
+        // not a stroke: keep the chord waiting
+        if (ACCEL_MODIFIER_KEYS.has(vk)) {
+            return _accelChord !== null;
+        }
+
         // Isolate the modifier bits from lParam — other bits carry repeat count,
         // extended key flag, etc. and must not affect the comparison.
+        // Partial modifier matches are intentionally rejected — Ctrl+Shift+S
+        // must not trigger a Ctrl+S entry.
         const modifiers = pacEvent.lParam & (KM_SHIFT | KM_CONTROL | KM_ALT);
+        const sequence = [...(_accelChord ? _accelChord.strokes : []), { vk, modifiers }];
+        const wasPending = _accelChord !== null;
+        const inEditable = _isEditableTarget(pacEvent.target);
 
         // Fetch accelerator tables of this container and parent containers,
         // each paired with the pacId that owns it.
@@ -9977,26 +14224,46 @@
 
         // Walk them to map accelerators
         for (const { pacId, table } of tables) {
-            if (!table) {
+            const candidates = table.filter(entry =>
+                _accelStartsWith(entry.strokes, sequence) && !(entry.skipEditable && inEditable)
+            );
+
+            if (candidates.length === 0) {
                 continue;
             }
 
-            for (const entry of table) {
-                // Both the key code and the exact modifier combination must match.
-                // Partial modifier matches are intentionally rejected — Ctrl+Shift+S
-                // must not trigger a Ctrl+S entry.
-                if (entry.vk === vk && entry.modifiers === modifiers) {
-                    // Deliver to the container whose table matched, not necessarily
-                    // the originally focused one — an ancestor's table posts to the
-                    // ancestor, just as the global table posts to whatever container
-                    // was focused (see _accelTablesForContainer()).
-                    wakaPAC.sendMessage(pacId, MSG_ACCEL, entry.cmdId, 0);
-                    return true;
-                }
+            // Longer entries make this a chord prefix. They win over a complete
+            // entry in the same table; loadAcceleratorTable() warns about that.
+            const longer = candidates.find(entry => entry.strokes.length > sequence.length);
+
+            if (longer) {
+                const label = _splitAcceleratorStrokes(longer.key).slice(0, sequence.length).join(' ');
+                _setAccelChord({ strokes: sequence, label });
+                return true;
             }
+
+            // Deliver to the container whose table matched, not necessarily
+            // the originally focused one — an ancestor's table posts to the
+            // ancestor, just as the global table posts to whatever container
+            // was focused (see _accelTablesForContainer()).
+            _setAccelChord(null);
+            wakaPAC.sendMessage(pacId, MSG_ACCEL, candidates[0].cmdId, 0);
+            return true;
         }
 
-        return false;
+        // Nothing continues the chord: end it and swallow the stroke
+        _setAccelChord(null);
+        return wasPending;
+    }
+
+    /**
+     * Abandons a pending chord, e.g. when the window loses focus.
+     * @private
+     */
+    function _cancelAcceleratorChord() {
+        if (_accelChord) {
+            _setAccelChord(null);
+        }
     }
 
     /**
@@ -10056,6 +14323,240 @@
         return { vk: wakaPAC[vkName], modifiers };
     }
 
+    /**
+     * Splits a shortcut string into its stroke strings, with whitespace around
+     * "+" removed: "Ctrl + K Ctrl+C" gives ["Ctrl+K", "Ctrl+C"].
+     * @param {string} key - Shortcut string
+     * @returns {string[]}
+     * @private
+     */
+    function _splitAcceleratorStrokes(key) {
+        return key.replace(/\s*\+\s*/g, '+').trim().split(/\s+/);
+    }
+
+    /**
+     * Returns true for keydown targets that edit text or values themselves:
+     * inputs, textareas, selects and contenteditable elements.
+     * @param {EventTarget|null} target - The keydown's target
+     * @returns {boolean}
+     * @private
+     */
+    function _isEditableTarget(target) {
+        return target instanceof Element &&
+            (target.isContentEditable || target.matches('input, textarea, select'));
+    }
+
+    /**
+     * Parses a shortcut string into its strokes. Strokes are separated by
+     * whitespace, so "Ctrl+K Ctrl+C" is a two-stroke chord; whitespace around
+     * "+" is still allowed ("Ctrl + S" is one stroke).
+     * @param {string} key - Shortcut string
+     * @returns {Array<{ vk: number, modifiers: number }>}
+     * @throws {TypeError} If any stroke cannot be parsed (see _parseAcceleratorKey()).
+     * @private
+     */
+    function _parseAcceleratorSequence(key) {
+        if (typeof key !== 'string' || key.trim() === '') {
+            return [_parseAcceleratorKey(key)];
+        }
+
+        return _splitAcceleratorStrokes(key).map(_parseAcceleratorKey);
+    }
+
+    /**
+     * Formats a keystroke as the shortcut string _parseAcceleratorKey()
+     * understands, with modifiers in a fixed order: "Ctrl+Shift+S", "Alt+F4",
+     * "Delete". Key names come from the VK_* constants; names that are plain
+     * words are capitalized ("DELETE" becomes "Delete"), others such as F5,
+     * OEM_PLUS or NUMPAD0 are kept as they are.
+     * @param {number} vk - Virtual key code
+     * @param {number} modifiers - Bitmask of KM_CONTROL, KM_SHIFT and KM_ALT
+     * @returns {string|null} Shortcut string, or null if no VK_* constant has this code
+     * @private
+     */
+    function _formatAcceleratorKey(vk, modifiers) {
+        const vkName = Object.keys(wakaPAC).find(name => name.startsWith('VK_') && wakaPAC[name] === vk);
+
+        if (!vkName) {
+            return null;
+        }
+
+        const keyName = vkName.slice(3);
+        const parts = [];
+
+        if (modifiers & KM_CONTROL) {
+            parts.push('Ctrl');
+        }
+
+        if (modifiers & KM_SHIFT) {
+            parts.push('Shift');
+        }
+
+        if (modifiers & KM_ALT) {
+            parts.push('Alt');
+        }
+
+        parts.push(/^[A-Z]{2,}$/.test(keyName) ? keyName[0] + keyName.slice(1).toLowerCase() : keyName);
+        return parts.join('+');
+    }
+
+    /**
+     * Validates and parses the entries of an accelerator table.
+     * Shared by loadAcceleratorTable() and importAccelerators(), so both
+     * reject bad input with the same messages before any table is touched.
+     * @param {Array<{key: string, cmdId: number}>} entries - Entries to parse
+     * @param {string} caller - Public function name used in error messages
+     * @returns {Array<{strokes: Array<{vk:number, modifiers:number}>, cmdId:number, key:string}>}
+     * @throws {TypeError} If entries is not an array, any entry is malformed, or any key string cannot be parsed.
+     * @private
+     */
+    function _parseAcceleratorEntries(entries, caller) {
+        if (!Array.isArray(entries)) {
+            throw new TypeError(`${caller}: entries must be an array`);
+        }
+
+        // Parse and validate every entry up-front so callers get a clear error
+        // message rather than a silent misfire at dispatch time.
+        const parsed = [];
+
+        for (let i = 0; i < entries.length; i++) {
+            const e = entries[i];
+
+            if (typeof e !== 'object' || e === null) {
+                throw new TypeError(`${caller}: entry[${i}] must be an object`);
+            }
+
+            if (typeof e.key !== 'string') {
+                throw new TypeError(`${caller}: entry[${i}].key must be a string`);
+            }
+
+            if (typeof e.cmdId !== 'number' || e.cmdId <= 0) {
+                throw new TypeError(`${caller}: entry[${i}].cmdId must be a positive number`);
+            }
+
+            // _parseAcceleratorKey throws a descriptive TypeError on bad input
+            const strokes = _parseAcceleratorSequence(e.key);
+
+            // Add parsed accelerator key to list
+            parsed.push({ strokes, cmdId: e.cmdId, key: e.key });
+        }
+
+        return parsed;
+    }
+
+    /**
+     * Stores a parsed table and warns about bindings it shares with itself or
+     * with tables that can be active alongside it.
+     * @param {string|symbol} tableKey - pac-id, or ACCEL_GLOBAL_KEY
+     * @param {Array} parsed - Entries from _parseAcceleratorEntries()
+     * @private
+     */
+    function _storeAcceleratorTable(tableKey, parsed) {
+        _accelTables.set(tableKey, parsed);
+
+        _findAccelConflicts(tableKey).forEach(conflict => {
+            const scopes = conflict.tables.map(t => t === null ? 'global' : `'${t}'`).join(' and ');
+            console.warn(`wakaPAC: accelerator "${conflict.key}" is bound by both ${scopes} (commands ${conflict.cmdIds.join(' and ')})`);
+        });
+    }
+
+    /**
+     * The key capture in progress (see wakaPAC.captureAcceleratorKey()), or null.
+     * @type {{finish: function(string|null): void}|null}
+     */
+    let _accelCapture = null;
+
+    /**
+     * Lists accelerator conflicts: a stroke sequence bound twice, or bound both
+     * on its own and as the start of a chord, by tables that can be active at
+     * the same time — the same table, the global table and any container table,
+     * or the tables of a container and one of its ancestors. Containers that
+     * are not in the document cannot conflict and are left out.
+     * @param {string|symbol} [onlyKey] - Only report conflicts involving this table
+     * @returns {Array<{key: string, tables: Array<string|null>, cmdIds: number[]}>}
+     * @private
+     */
+    function _findAccelConflicts(onlyKey) {
+        const keys = [..._accelTables.keys()];
+        const conflicts = [];
+        const scopeOf = key => key === ACCEL_GLOBAL_KEY ? null : key;
+
+        const overlaps = (a, b) => {
+            if (a === ACCEL_GLOBAL_KEY || b === ACCEL_GLOBAL_KEY || a === b) {
+                return true;
+            }
+
+            const ca = window.PACRegistry.get(a)?.container;
+            const cb = window.PACRegistry.get(b)?.container;
+            return !!(ca && cb && (ca.contains(cb) || cb.contains(ca)));
+        };
+
+        for (let i = 0; i < keys.length; i++) {
+            for (let j = i; j < keys.length; j++) {
+                if (onlyKey !== undefined && keys[i] !== onlyKey && keys[j] !== onlyKey) {
+                    continue;
+                }
+
+                if (!overlaps(keys[i], keys[j])) {
+                    continue;
+                }
+
+                const first = _accelTables.get(keys[i]);
+                const second = _accelTables.get(keys[j]);
+
+                first.forEach((a, ai) => {
+                    // Within one table, compare each pair of entries once
+                    const others = i === j ? second.slice(ai + 1) : second;
+
+                    others.forEach(b => {
+                        const [shorter, longer] = a.strokes.length <= b.strokes.length ? [a, b] : [b, a];
+
+                        if (_accelStartsWith(longer.strokes, shorter.strokes)) {
+                            conflicts.push({
+                                key: shorter.key,
+                                tables: [scopeOf(keys[i]), scopeOf(keys[j])],
+                                cmdIds: [a.cmdId, b.cmdId]
+                            });
+                        }
+                    });
+                });
+            }
+        }
+
+        return conflicts;
+    }
+
+    /**
+     * Adds Ctrl+Z (ID_EDIT_UNDO) and Ctrl+Y (ID_EDIT_REDO) to the accelerator
+     * table of a component created with the history option. Entries loaded by
+     * the component's init() are kept, and its own bindings for either key win.
+     * A table loaded later with loadAcceleratorTable() replaces these entries.
+     * Unless the history option sets editableUndo, the entries skip keydowns in
+     * editable elements so text fields keep the browser's own undo.
+     * @param {string} pacId - The component's pac-id
+     * @param {Object|boolean} options - The component's history option
+     * @private
+     */
+    function _loadHistoryAccelerators(pacId, options) {
+        const skipEditable = !(options && options.editableUndo);
+        const table = _accelTables.get(pacId) || [];
+
+        const defaults = [
+            { key: 'Ctrl+Z', cmdId: ID_EDIT_UNDO },
+            { key: 'Ctrl+Y', cmdId: ID_EDIT_REDO }
+        ];
+
+        defaults.forEach(entry => {
+            const strokes = _parseAcceleratorSequence(entry.key);
+
+            if (!table.some(e => _accelStartsWith(e.strokes, strokes))) {
+                table.push({ strokes, cmdId: entry.cmdId, key: entry.key, skipEditable });
+            }
+        });
+
+        _accelTables.set(pacId, table);
+    }
+
     // ========================================================================
     // PAINT INTERNAL HELPERS
     // ========================================================================
@@ -10176,10 +14677,10 @@
                      * @param {number} [wParam=0]       - First message parameter (integer)
                      * @param {number} [lParam=0]       - Second message parameter (integer)
                      * @param {Object} [extended={}]    - Additional data passed via event.detail
-                     * @returns {void}
+                     * @returns {*} The target's msgProc result, or 0 when unhandled
                      */
                     sendMessage: (pacId, message, wParam = 0, lParam = 0, extended = {}) => {
-                        wakaPAC.sendMessage(pacId, message, wParam, lParam, extended);
+                        return wakaPAC.sendMessage(pacId, message, wParam, lParam, extended);
                     },
 
                     /**
@@ -10202,10 +14703,10 @@
                      * @param {number} [wParam=0]       - First message parameter (integer)
                      * @param {number} [lParam=0]       - Second message parameter (integer)
                      * @param {Object} [extended={}]    - Additional data passed via event.detail
-                     * @returns {void}
+                     * @returns {*} The target's msgProc result, or 0 when unhandled
                      */
                     sendMessageToParent: (pacId, message, wParam = 0, lParam = 0, extended = {}) => {
-                        wakaPAC.sendMessageToParent(pacId, message, wParam, lParam, extended);
+                        return wakaPAC.sendMessageToParent(pacId, message, wParam, lParam, extended);
                     },
 
                     /**
@@ -10250,6 +14751,9 @@
         // Initialize cross-tab broadcast channel
         ChannelBridge.initialize();
 
+        // Initialize focus tracking for restoration and roving tab stops
+        FocusManager.initialize();
+
         // Allow passing a pac-id directly instead of a CSS selector
         const originalSelector = selector;
         let isPacId = false;
@@ -10362,15 +14866,29 @@
             try {
                 context.abstraction.init.call(context.abstraction);
             } catch (error) {
-                console.warn('Error in init() method:', error);
+                context.reportError(error, { source: 'init' }, 'Error in init() method:');
             }
         }
+
+        // State set up by init() is the starting point, not an undoable step
+        if (context.history) {
+            context.history.clear();
+            _loadHistoryAccelerators(pacId, context.config.history);
+        }
+
+        // Async computed properties see the state init() set up
+        context.startAsyncComputed();
+
+        // Give each roving list in the initial markup a single tab stop
+        FocusManager.initRovingLists(context.container);
     }
 
     /**
      * Hydrates an abstraction from the container's initial DOM state.
      * Imports values from data-pac-state and data-pac-field elements before
-     * the runtime is created.
+     * the runtime is created. Markup produced by wakaPAC.renderToString() is
+     * then swapped back for the original template it carries, so the runtime
+     * binds against the template and re-renders the same output.
      * @param {HTMLElement} container
      * @param {Object} containerAbstraction
      */
@@ -10446,8 +14964,34 @@
                     break;
             }
         });
+
+        // Replace statically rendered content with its template. Done last so the
+        // data-pac-field values above are read from the rendered fields.
+        const ssrTemplate = container.querySelector(':scope > template[' + PAC_SSR_TEMPLATE_ATTR + ']');
+
+        if (ssrTemplate) {
+            container.replaceChildren(ssrTemplate.content);
+        }
     }
 
+    /**
+     * Renders a component template to an HTML string, for server-side or build-time
+     * rendering. Evaluates interpolations, attribute bindings, foreach, if, wp-if
+     * comment conditionals and partials against the abstraction. The returned root
+     * element carries the state in data-pac-state; mount it on the client with
+     * { hydrate: true } so the component picks up that state and its template.
+     *
+     * In Node, load wakapac.js after installing a DOM shim that provides window,
+     * document, Node and NodeFilter as globals.
+     * @param {string} templateHtml - Component markup with a single root element
+     * @param {Object} abstraction - Component abstraction (data, methods and computed)
+     * @returns {string} Rendered HTML
+     * @throws {Error} If the template does not have exactly one root element
+     */
+    wakaPAC.renderToString = function(templateHtml, abstraction) {
+        return StaticRenderer.render(templateHtml, abstraction || {});
+    };
+
     /**
      * Creates a sameAs alias marker. When used as an abstraction property value,
      * the property becomes a getter/setter that redirects to the target path.
@@ -10520,6 +15064,26 @@
         return context.container;
     };
 
+    /**
+     * Destroys a component and the components nested inside it right away,
+     * instead of waiting for the cleanup observer to notice its removal.
+     * Plugins receive onComponentDestroyed as usual. The DOM is left in place;
+     * callers that replace content (such as a router outlet) remove it themselves,
+     * and can then re-create a component under the same pacId immediately.
+     * @param {string} pacId - data-pac-id of the component to destroy
+     * @returns {boolean} true if the component existed
+     */
+    wakaPAC.destroyComponent = function(pacId) {
+        const context = window.PACRegistry.get(pacId);
+
+        if (!context) {
+            return false;
+        }
+
+        CleanupObserver.destroyTree(context.container);
+        return true;
+    };
+
     /**
      * Shows a PAC container by removing its HTML hidden attribute.
      * Equivalent to Win32 ShowWindow(hWnd, SW_SHOW).
@@ -10542,17 +15106,76 @@
      * The component remains registered and continues to receive messages
      * while hidden — callers are responsible for suppressing irrelevant
      * messages in their msgProc if needed.
+     * If focus is inside the container it is first handed back to the element it
+     * came from, since a hidden container cannot keep it.
      * Has no effect if the container is already hidden or does not exist.
      * @param {string} pacId - data-pac-id of the target container
      */
-    wakaPAC.hideContainer = function(pacId) {
+    wakaPAC.hideContainer = function(pacId) {
+        const container = this.getContainerByPacId(pacId);
+
+        if (!container) {
+            return;
+        }
+
+        const context = window.PACRegistry.get(pacId);
+
+        if (container.contains(document.activeElement)) {
+            FocusManager.restoreFocus(context);
+        }
+
+        container.setAttribute('hidden', '');
+    };
+
+    /**
+     * Moves keyboard focus into a component. Similar to Win32 SetFocus().
+     * Focus traps, roving lists and focus restoration are described at FocusManager.
+     * @param {string} pacId - data-pac-id of the target container
+     * @param {string} [selector] - CSS selector of the element to focus inside the
+     *   container; defaults to its first tabbable element, then the container itself
+     * @returns {boolean} True if focus landed on the requested element
+     */
+    wakaPAC.setFocus = function(pacId, selector = null) {
+        const container = this.getContainerByPacId(pacId);
+
+        if (!container) {
+            return false;
+        }
+
+        return FocusManager.focusWithin(container, selector);
+    };
+
+    /**
+     * Turns the focus trap of a component on or off. While on, Tab and Shift+Tab
+     * cycle through the container's tabbable elements instead of leaving it.
+     * Turning it on moves focus inside; turning it off hands focus back to where
+     * it came from. Equivalent to toggling the data-pac-focus-trap attribute
+     * plus the matching focus moves.
+     * @param {string} pacId - data-pac-id of the target container
+     * @param {boolean} [enabled=true] - Whether the trap is active
+     */
+    wakaPAC.setFocusTrap = function(pacId, enabled = true) {
         const container = this.getContainerByPacId(pacId);
 
         if (!container) {
             return;
         }
 
-        container.setAttribute('hidden', '');
+        if (enabled) {
+            container.setAttribute('data-pac-focus-trap', '');
+
+            if (!container.contains(document.activeElement)) {
+                FocusManager.focusWithin(container, null);
+            }
+
+            return;
+        }
+
+        container.removeAttribute('data-pac-focus-trap');
+
+        if (container.contains(document.activeElement)) {
+            FocusManager.restoreFocus(window.PACRegistry.get(pacId));
+        }
     };
 
     /**
@@ -10593,13 +15216,65 @@
         // This does not deliver the message by itself.
         const event = this.createPacMessage(messageId, wParam, lParam, extended);
 
-        // Dispatch the message through the DOM event system.
-        // Delivery is asynchronous and follows normal event routing semantics.
-        setTimeout(function() {
-            if (container.isConnected) {
-                DomUpdateTracker.dispatchToContainer(container, event);
-            }
-        }, 0);
+        // Append to the container's posted-message queue. Delivery is asynchronous,
+        // in priority order, and duplicate posted paint/move/timer messages, as well
+        // as messages configured with setMessageCoalescing(), are merged.
+        MessageQueue.post(container, event);
+    };
+
+    /**
+     * Makes postMessage() merge a posted application message into a copy that is
+     * still queued for the same container, instead of queueing it again. The
+     * queued copy keeps its place and takes on the newest parameters, so a flood
+     * of posted updates is delivered once, with the latest values.
+     * Modes:
+     *   - 'latest': merge into any pending message with the same id
+     *   - 'wparam': merge only into one with the same id and wParam, e.g. one
+     *     pending update per object id carried in wParam
+     *   - null: stop merging (the default)
+     * sendMessage() is synchronous and never merged.
+     * @param {number} messageId - Message id, e.g. MSG_USER + 1 or a registered message
+     * @param {'latest'|'wparam'|null} mode - Coalescing mode
+     * @throws {TypeError} If mode is not one of the above, or messageId is a
+     *   MSG_MOUSEMOVE, MSG_PAINT or MSG_TIMER, which have fixed rules
+     */
+    wakaPAC.setMessageCoalescing = function(messageId, mode) {
+        if (messageId === MSG_MOUSEMOVE || messageId === MSG_PAINT || messageId === MSG_TIMER) {
+            throw new TypeError('setMessageCoalescing: MSG_MOUSEMOVE, MSG_PAINT and MSG_TIMER have fixed coalescing rules');
+        }
+
+        if (mode === null || mode === undefined) {
+            MessageQueue._coalescing.delete(messageId);
+            return;
+        }
+
+        if (mode !== 'latest' && mode !== 'wparam') {
+            throw new TypeError(`setMessageCoalescing: unknown mode "${mode}"`);
+        }
+
+        MessageQueue._coalescing.set(messageId, mode);
+    };
+
+    /**
+     * Inspects the posted-message queue of a WakaPAC container.
+     * Similar to Win32 PeekMessage: returns the message that would be delivered next
+     * within the filter range, optionally removing it so it is never delivered.
+     * Typical use is draining a flood of updates from within msgProc, e.g.
+     * `while (wakaPAC.peekMessage(this.pacId, MSG_MOUSEMOVE, MSG_MOUSEMOVE, true)) {}`.
+     * @param {string} pacId - Target container's data-pac-id attribute value
+     * @param {number} [filterMin=0] - Lowest message id to match; 0 with filterMax 0 matches all
+     * @param {number} [filterMax=0] - Highest message id to match
+     * @param {boolean} [remove=false] - Remove the returned message from the queue (PM_REMOVE)
+     * @returns {CustomEvent|null} The queued message, or null when none matches
+     */
+    wakaPAC.peekMessage = function(pacId, filterMin = 0, filterMax = 0, remove = false) {
+        const container = this.getContainerByPacId(pacId);
+
+        if (!container) {
+            return null;
+        }
+
+        return MessageQueue.peek(container, filterMin, filterMax, remove);
     };
 
     /**
@@ -10611,13 +15286,15 @@
      * @param {number} wParam - First message parameter (integer)
      * @param {number} lParam - Second message parameter (integer)
      * @param {Object} [extended={}] - Additional data stored in event.detail for custom use cases
+     * @returns {*} Whatever the target's msgProc returned, or 0 (Win32 LRESULT default) when
+     *   the container does not exist, has no msgProc, or msgProc returned undefined
      */
     wakaPAC.sendMessage = function(pacId, messageId, wParam, lParam, extended = {}) {
         // Resolve the target container. If it does not exist, the message is dropped.
         const container = this.getContainerByPacId(pacId);
 
         if (!container) {
-            return;
+            return 0;
         }
 
         // Construct a wakapac message object carrying messageId, wParam, and lParam.
@@ -10626,7 +15303,70 @@
 
         // Invoke the message procedure directly.
         // This call is synchronous and executes immediately in the current call stack.
-        DomUpdateTracker.dispatchToContainer(container, event);
+        const result = DomUpdateTracker.dispatchToContainer(container, event);
+
+        // Unhandled messages answer 0, like DefWindowProc does for most Win32 messages
+        return result === undefined ? 0 : result;
+    };
+
+    /**
+     * Send a message to a specific WakaPAC container and wait for its reply asynchronously.
+     * Similar to Win32 SendMessageTimeout, but delivered on the next task like postMessage,
+     * so the caller never re-enters the target's msgProc from its own call stack.
+     * If msgProc returns a Promise (e.g. an async msgProc), its settled value is the reply.
+     * @param {string} pacId - Target container's data-pac-id attribute value
+     * @param {number} messageId - Message identifier (integer constant, e.g., WM_USER + 1)
+     * @param {number} wParam - First message parameter (integer)
+     * @param {number} lParam - Second message parameter (integer)
+     * @param {Object} [extended={}] - Additional data stored in event.detail for custom use cases
+     * @param {number} [timeout=5000] - Milliseconds to wait for a reply before rejecting
+     * @returns {Promise<*>} Resolves with the msgProc result (0 when unhandled). Rejects when the
+     *   container does not exist or is removed before delivery, when an async msgProc's
+     *   Promise rejects, or with an Error named 'TimeoutError' when no reply arrives in time.
+     */
+    wakaPAC.sendMessageTimeout = function(pacId, messageId, wParam, lParam, extended = {}, timeout = 5000) {
+        // Resolve the target container up front so a bad pacId fails immediately
+        const container = this.getContainerByPacId(pacId);
+
+        if (!container) {
+            return Promise.reject(new Error(`wakaPAC.sendMessageTimeout(): no component with pac-id "${pacId}"`));
+        }
+
+        // Construct the message now so its timestamp reflects when it was sent
+        const event = this.createPacMessage(messageId, wParam, lParam, extended);
+
+        return new Promise((resolve, reject) => {
+            // Reject when the reply does not arrive in time. A late reply is ignored
+            // because a settled Promise cannot settle again.
+            const timer = setTimeout(() => {
+                const error = new Error(`wakaPAC.sendMessageTimeout(): no reply from "${pacId}" within ${timeout}ms`);
+                error.name = 'TimeoutError';
+                reject(error);
+            }, timeout);
+
+            // Deliver on the next task, mirroring postMessage
+            setTimeout(() => {
+                if (!container.isConnected) {
+                    clearTimeout(timer);
+                    reject(new Error(`wakaPAC.sendMessageTimeout(): component "${pacId}" was removed before delivery`));
+                    return;
+                }
+
+                // Promise.resolve() unwraps an async msgProc's Promise and passes plain values through
+                Promise.resolve()
+                    .then(() => DomUpdateTracker.dispatchToContainer(container, event))
+                    .then(
+                        result => {
+                            clearTimeout(timer);
+                            resolve(result === undefined ? 0 : result);
+                        },
+                        error => {
+                            clearTimeout(timer);
+                            reject(error);
+                        }
+                    );
+            }, 0);
+        });
     };
 
     /**
@@ -10638,15 +15378,16 @@
      * @param {number} wParam - First message parameter (integer)
      * @param {number} lParam - Second message parameter (integer)
      * @param {Object} [extended={}] - Additional data stored in event.detail for custom use cases
+     * @returns {*} The parent's msgProc result, or 0 when there is no parent or it did not handle the message
      */
     wakaPAC.sendMessageToParent = function(pacId, messageId, wParam, lParam, extended = {}) {
         const parentId = this.getParentPacId(pacId);
 
         if (!parentId) {
-            return;
+            return 0;
         }
 
-        this.sendMessage(parentId, messageId, wParam, lParam, extended);
+        return this.sendMessage(parentId, messageId, wParam, lParam, extended);
     };
 
     /**
@@ -10775,6 +15516,83 @@
         }
     };
 
+    /**
+     * Subclasses a component: installs fn in front of its msgProc so the message
+     * flow of a component can be extended without touching its abstraction.
+     * Unlike installMessageHook(), which sees every message for every container,
+     * a subclass only sees messages delivered to this one component.
+     * Subclasses are chained in install order and removed automatically when the
+     * component is destroyed. Similar to Win32 SetWindowSubclass.
+     * @param {string} pacId - Target container's data-pac-id
+     * @param {Function} fn - Subclass function with signature (event, next) => result.
+     *   Called with the component's abstraction as `this`. Call next() to forward the
+     *   message (optionally next(replacementEvent) to forward a modified one); return
+     *   its result, or return your own result without calling next() to swallow it.
+     *   A replacement only reaches later subclasses and msgProc. The framework's
+     *   default processing that follows (click, change and submit bindings, focus
+     *   tracking, undo/redo and so on) still runs on the original message, so to
+     *   change what it does, act on the original event or return false from a
+     *   cancellable message to skip it.
+     * @returns {number|null} Subclass handle — pass to unsubclassComponent() to remove —
+     *   or null if the component does not exist
+     */
+    wakaPAC.subclassComponent = function(pacId, fn) {
+        if (typeof fn !== 'function') {
+            throw new TypeError(`wakaPAC.subclassComponent(): fn must be a function, got ${typeof fn}`);
+        }
+
+        const context = window.PACRegistry.get(pacId);
+
+        if (!context) {
+            console.warn(`No PAC container found with id: ${pacId}`);
+            return null;
+        }
+
+        const handle = _nextSubclassHandle++;
+        context.subclasses.push({ handle, fn });
+        _subclasses.set(handle, context);
+        return handle;
+    };
+
+    /**
+     * Removes a subclass installed with subclassComponent(). Other subclasses on the
+     * same component keep their order. Similar to Win32 RemoveWindowSubclass.
+     * @param {number} handle - Subclass handle returned by subclassComponent()
+     * @returns {boolean} True if the subclass was found and removed
+     */
+    wakaPAC.unsubclassComponent = function(handle) {
+        const context = _subclasses.get(handle);
+
+        if (!context) {
+            return false;
+        }
+
+        _subclasses.delete(handle);
+        context.subclasses = context.subclasses.filter(entry => entry.handle !== handle);
+        return true;
+    };
+
+    /**
+     * Replaces a component's content with fallback HTML, e.g. from a MSG_ERROR
+     * handler or the global wakaPAC.onError sink once an error was reported.
+     * The HTML is not bound; child components inside the container are destroyed
+     * and the component itself keeps receiving messages.
+     * @param {string} pacId - Target container's data-pac-id
+     * @param {string} html - Fallback markup
+     * @returns {boolean} False if no component has this pac-id
+     */
+    wakaPAC.renderFallback = function(pacId, html) {
+        const context = window.PACRegistry.get(pacId);
+
+        if (!context) {
+            console.warn(`No PAC container found with id: ${pacId}`);
+            return false;
+        }
+
+        context.renderFallback(String(html));
+        return true;
+    };
+
     /**
      * Sets a timer for a specific component, similar to Win32 SetTimer
      * @param {string} pacId - Target container's data-pac-id
@@ -10926,12 +15744,67 @@
     wakaPAC.getKeyName = Utils.getKeyName.bind(Utils);
 
     /**
-     * Registers a new gesture
-     * @param name
-     * @param directions
+     * Returns a unique message id for a name, allocating it on first use.
+     * Equivalent to Win32 RegisterWindowMessage(). Calling it again with the same
+     * name (in any tab) returns the same id, so plugins no longer need to
+     * hand-pick offsets above MSG_PLUGIN.
+     * @param {string} name - Message name, conventionally '<plugin>.<event>'
+     * @returns {number} Message id at or above 0xC000
+     */
+    wakaPAC.registerWindowMessage = function(name) {
+        if (typeof name !== 'string' || name === '') {
+            throw new TypeError(`wakaPAC.registerWindowMessage(): name must be a non-empty string, got ${typeof name}`);
+        }
+
+        return MessageRegistry.register(name);
+    };
+
+    /**
+     * Retrieves a string that represents the name of a message.
+     * @param messageId
+     * @returns {string}
+     */
+    wakaPAC.getMessageName = Utils.getMessageName.bind(Utils);
+
+    /**
+     * Adjusts gesture recognition thresholds. Accepts the configuration constants of
+     * both recognizers by name: MIN_DISTANCE, MIN_SEGMENT_LENGTH, DIRECTION_THRESHOLD,
+     * MAX_GESTURE_TIME, TEMPLATE_POINTS, TEMPLATE_SIZE, TEMPLATE_ANGLE_RANGE and
+     * TEMPLATE_MIN_SCORE for mouse gestures; LONG_PRESS_TIME, TAP_TOLERANCE,
+     * SWIPE_MIN_DISTANCE, SWIPE_MIN_VELOCITY, DOUBLE_TAP_TIME, DOUBLE_TAP_DISTANCE,
+     * PINCH_THRESHOLD and ROTATE_THRESHOLD for touch gestures.
+     * @param {Object<string, number>} thresholds - Constant names mapped to new values
+     */
+    wakaPAC.setGestureThresholds = function(thresholds) {
+        Object.keys(thresholds).forEach(name => {
+            const recognizer = [MouseGestureRecognizer, TouchGestureRecognizer].find(r =>
+                /^[A-Z_]+$/.test(name) && typeof r[name] === 'number'
+            );
+
+            if (!recognizer) {
+                console.warn(`WakaPAC: Unknown gesture threshold '${name}'`);
+                return;
+            }
+
+            if (typeof thresholds[name] !== 'number' || !(thresholds[name] >= 0)) {
+                console.warn(`WakaPAC: Gesture threshold '${name}' must be a non-negative number`);
+                return;
+            }
+
+            recognizer[name] = thresholds[name];
+        });
+    };
+
+    /**
+     * Registers a new gesture, either as a sequence of direction codes
+     * ('R', 'L', 'U', 'D', 'UR', 'DR', 'DL', 'UL') or as a shape template:
+     * wakaPAC.registerGesture('check', { template: [[0, 0], [20, 20], [60, -40]] })
+     * Template matches report their similarity as `confidence` in MSG_GESTURE.
+     * @param {string} name - Pattern name reported in MSG_GESTURE
+     * @param {string[]|Object} spec - Direction array, { directions }, or { template, minScore }
      */
-    wakaPAC.registerGesture = function(name, directions) {
-        return MouseGestureRecognizer.registerPattern(name, directions);
+    wakaPAC.registerGesture = function(name, spec) {
+        return MouseGestureRecognizer.registerPattern(name, spec);
     };
 
     /**
@@ -11091,56 +15964,267 @@
      *   "Ctrl+OEM_PLUS"    → Ctrl + = / +  key
      *   "Alt+F4"           → Alt + F4
      *
+     * Separate keystrokes with a space to bind a chord: "Ctrl+K Ctrl+C" fires
+     * after Ctrl+K followed by Ctrl+C. While a chord waits for its next stroke,
+     * every component's browserPendingChord holds the strokes typed so far.
+     *
      * Calling loadAcceleratorTable() for the same pacId a second time completely
-     * replaces the existing table — entries are not merged.
+     * replaces the existing table — entries are not merged. A warning is logged
+     * for every binding that conflicts with this table's own entries or with a
+     * table that can be active at the same time (see getAcceleratorConflicts()).
      *
      * @param {string|null} pacId — Target container's data-pac-id, or null for global.
      * @param {Array<{key: string, cmdId: number}>} entries
      * @throws {TypeError} If entries is not an array, any entry is malformed, or any key string cannot be parsed.
      */
     wakaPAC.loadAcceleratorTable = function(pacId, entries) {
-        if (!Array.isArray(entries)) {
-            throw new TypeError('wakaPAC.loadAcceleratorTable(): entries must be an array');
+        const parsed = _parseAcceleratorEntries(entries, 'wakaPAC.loadAcceleratorTable()');
+
+        // Store the data
+        const tableKey = (pacId === null || pacId === undefined) ? ACCEL_GLOBAL_KEY : pacId;
+        _storeAcceleratorTable(tableKey, parsed);
+    };
+
+    /**
+     * Destroys the accelerator table for a container or for the global scope.
+     * @param {string|null} pacId — Container pac-id, or null for global.
+     */
+    wakaPAC.destroyAcceleratorTable = function(pacId) {
+        const tableKey = (pacId === null || pacId === undefined) ? ACCEL_GLOBAL_KEY : pacId;
+        _accelTables.delete(tableKey);
+
+        // The pending chord may have been one of this table's
+        _cancelAcceleratorChord();
+    };
+
+    /**
+     * Sets the order in which accelerator scopes are searched. The first scope
+     * with a table that binds the keystroke wins. Scopes are 'focused' (the
+     * container receiving the keystroke), 'ancestors' (its parent containers,
+     * innermost first) and 'global'; a scope left out is not searched at all.
+     * The default is ['focused', 'ancestors', 'global'].
+     * @param {string[]} order - Scope names in precedence order
+     * @throws {TypeError} If order is not an array of known, distinct scope names
+     */
+    wakaPAC.setAcceleratorPrecedence = function(order) {
+        const scopes = ['focused', 'ancestors', 'global'];
+
+        if (!Array.isArray(order) || order.some(s => !scopes.includes(s)) || new Set(order).size !== order.length) {
+            throw new TypeError(`wakaPAC.setAcceleratorPrecedence(): order must list distinct scopes out of ${scopes.join(', ')}`);
         }
 
-        // Parse and validate every entry up-front so callers get a clear error
-        // message rather than a silent misfire at dispatch time.
-        const parsed = [];
+        _accelPrecedence = order.slice();
+    };
 
-        for (let i = 0; i < entries.length; i++) {
-            const e = entries[i];
+    /**
+     * Returns the accelerator conflicts among the loaded tables: a key bound
+     * twice, or bound both on its own and as the first stroke of a chord, by
+     * tables that can be active at the same time. Which binding wins follows
+     * the precedence order; within one table the chord wins over the single key.
+     * @returns {Array<{key: string, tables: Array<string|null>, cmdIds: number[]}>}
+     *          The shorter key of each pair, the two owning scopes (null for global)
+     *          and their command ids
+     */
+    wakaPAC.getAcceleratorConflicts = function() {
+        return _findAccelConflicts();
+    };
 
-            if (typeof e !== 'object' || e === null) {
-                throw new TypeError(`wakaPAC.loadAcceleratorTable(): entry[${i}] must be an object`);
-            }
+    /**
+     * Serializes the loaded accelerator tables to JSON, so end users' remapped
+     * shortcuts can be stored and loaded back with importAccelerators():
+     *
+     *   {
+     *     "version": 1,
+     *     "global": [{ "key": "Ctrl+Q", "cmdId": 100 }],
+     *     "containers": { "editor": [{ "key": "Ctrl+K Ctrl+C", "cmdId": 7 }] }
+     *   }
+     *
+     * "global" is left out when there is no global table.
+     * @param {Array<string|null>} [pacIds] - Scopes to export (null for global); all tables when omitted
+     * @returns {string} JSON keymap
+     */
+    wakaPAC.exportAccelerators = function(pacIds) {
+        const keymap = { version: 1, containers: {} };
+        const scopes = Array.isArray(pacIds)
+            ? pacIds.map(id => (id === null || id === undefined) ? ACCEL_GLOBAL_KEY : id)
+            : [..._accelTables.keys()];
 
-            if (typeof e.key !== 'string') {
-                throw new TypeError(`wakaPAC.loadAcceleratorTable(): entry[${i}].key must be a string`);
+        scopes.forEach(tableKey => {
+            const table = _accelTables.get(tableKey);
+
+            if (!table) {
+                return;
             }
 
-            if (typeof e.cmdId !== 'number' || e.cmdId <= 0) {
-                throw new TypeError(`wakaPAC.loadAcceleratorTable(): entry[${i}].cmdId must be a positive number`);
+            const entries = table.map(e => ({ key: e.key, cmdId: e.cmdId }));
+
+            if (tableKey === ACCEL_GLOBAL_KEY) {
+                keymap.global = entries;
+            } else {
+                keymap.containers[tableKey] = entries;
             }
+        });
 
-            // _parseAcceleratorKey throws a descriptive TypeError on bad input
-            const { vk, modifiers } = _parseAcceleratorKey(e.key);
+        return JSON.stringify(keymap);
+    };
 
-            // Add parsed accelerator key to list
-            parsed.push({ vk, modifiers, cmdId: e.cmdId, key: e.key });
+    /**
+     * Loads accelerator tables from a keymap produced by exportAccelerators().
+     * Every table in the keymap replaces the table of the same scope, as
+     * loadAcceleratorTable() would; scopes the keymap does not mention keep
+     * their tables. The whole keymap is validated before any table changes.
+     * @param {string|Object} json - JSON keymap, or the already parsed object
+     * @returns {number} Number of tables loaded
+     * @throws {SyntaxError} If json is a string that is not valid JSON
+     * @throws {TypeError} If the keymap or any of its entries is malformed
+     */
+    wakaPAC.importAccelerators = function(json) {
+        const caller = 'wakaPAC.importAccelerators()';
+        const keymap = typeof json === 'string' ? JSON.parse(json) : json;
+
+        if (typeof keymap !== 'object' || keymap === null || keymap.version !== 1) {
+            throw new TypeError(`${caller}: expected a version 1 keymap object`);
         }
 
-        // Store the data
-        const tableKey = (pacId === null || pacId === undefined) ? ACCEL_GLOBAL_KEY : pacId;
-        _accelTables.set(tableKey, parsed);
+        if (keymap.containers !== undefined && (typeof keymap.containers !== 'object' || keymap.containers === null)) {
+            throw new TypeError(`${caller}: containers must be an object mapping pac-ids to entries`);
+        }
+
+        const tables = [];
+
+        if (keymap.global !== undefined) {
+            tables.push([ACCEL_GLOBAL_KEY, _parseAcceleratorEntries(keymap.global, caller)]);
+        }
+
+        Object.keys(keymap.containers || {}).forEach(pacId => {
+            tables.push([pacId, _parseAcceleratorEntries(keymap.containers[pacId], caller)]);
+        });
+
+        // A chord typed against the old bindings has no meaning in the new ones
+        _cancelAcceleratorChord();
+        tables.forEach(([tableKey, parsed]) => _storeAcceleratorTable(tableKey, parsed));
+        return tables.length;
     };
 
     /**
-     * Destroys the accelerator table for a container or for the global scope.
-     * @param {string|null} pacId — Container pac-id, or null for global.
+     * Saves the loaded accelerator tables to localStorage.
+     * @param {string} [storageKey='wakaPAC.accelerators'] - localStorage key
+     * @returns {boolean} False if storage is unavailable or full
      */
-    wakaPAC.destroyAcceleratorTable = function(pacId) {
-        const tableKey = (pacId === null || pacId === undefined) ? ACCEL_GLOBAL_KEY : pacId;
-        _accelTables.delete(tableKey);
+    wakaPAC.saveAccelerators = function(storageKey = 'wakaPAC.accelerators') {
+        try {
+            window.localStorage.setItem(storageKey, wakaPAC.exportAccelerators());
+            return true;
+        } catch (error) {
+            console.warn('wakaPAC: could not save accelerators:', error);
+            return false;
+        }
+    };
+
+    /**
+     * Loads accelerator tables saved with saveAccelerators(). Call it after the
+     * default tables are loaded, so saved bindings replace them.
+     * @param {string} [storageKey='wakaPAC.accelerators'] - localStorage key
+     * @returns {boolean} True if a saved keymap was found and loaded
+     */
+    wakaPAC.restoreAccelerators = function(storageKey = 'wakaPAC.accelerators') {
+        let json;
+
+        try {
+            json = window.localStorage.getItem(storageKey);
+        } catch (error) {
+            console.warn('wakaPAC: could not read accelerators:', error);
+            return false;
+        }
+
+        if (json === null) {
+            return false;
+        }
+
+        try {
+            wakaPAC.importAccelerators(json);
+            return true;
+        } catch (error) {
+            console.warn(`wakaPAC: ignoring invalid accelerators saved under '${storageKey}':`, error);
+            return false;
+        }
+    };
+
+    /**
+     * Waits for the user to press a shortcut and resolves with it as a string
+     * loadAcceleratorTable() understands, e.g. "Ctrl+Shift+S". Meant for
+     * "press a key" rebinding UIs: while capturing, keystrokes reach neither
+     * accelerator tables nor msgProc, and a lone Shift, Ctrl or Alt is waited
+     * past. Escape without modifiers cancels and resolves with null, as does a
+     * newer capture, the window losing focus, or the optional timeout.
+     * @param {Object} [options]
+     * @param {number} [options.timeout=0] - Milliseconds before giving up; 0 waits indefinitely
+     * @returns {Promise<string|null>} The shortcut, or null if the capture was cancelled
+     */
+    wakaPAC.captureAcceleratorKey = function(options = {}) {
+        // Only one capture at a time: the older one resolves with null
+        if (_accelCapture) {
+            _accelCapture.finish(null);
+        }
+
+        _cancelAcceleratorChord();
+
+        return new Promise(resolve => {
+            let timer = null;
+
+            const onKeyDown = event => {
+                const vk = DomUpdateTracker.buildKeyboardWParam(event);
+
+                // Keep the keystroke away from DomUpdateTracker and the page
+                event.preventDefault();
+                event.stopImmediatePropagation();
+
+                if (ACCEL_MODIFIER_KEYS.has(vk)) {
+                    return;
+                }
+
+                const modifiers = DomUpdateTracker.buildKeyboardLParam(event) & (KM_SHIFT | KM_CONTROL | KM_ALT);
+
+                if (vk === VK_ESCAPE && modifiers === 0) {
+                    capture.finish(null);
+                    return;
+                }
+
+                const key = _formatAcceleratorKey(vk, modifiers);
+
+                // A key without a VK_* name cannot be bound; keep waiting
+                if (key !== null) {
+                    capture.finish(key);
+                }
+            };
+
+            const onBlur = () => capture.finish(null);
+
+            const capture = {
+                finish(result) {
+                    window.removeEventListener('keydown', onKeyDown, true);
+                    window.removeEventListener('blur', onBlur);
+                    clearTimeout(timer);
+
+                    if (_accelCapture === capture) {
+                        _accelCapture = null;
+                    }
+
+                    resolve(result);
+                }
+            };
+
+            // Capture phase on window runs before the document listener that
+            // translates accelerators
+            window.addEventListener('keydown', onKeyDown, true);
+            window.addEventListener('blur', onBlur);
+
+            if (options.timeout > 0) {
+                timer = setTimeout(() => capture.finish(null), options.timeout);
+            }
+
+            _accelCapture = capture;
+        });
     };
 
     /**
@@ -11996,11 +17080,11 @@
         MSG_UNKNOWN, MSG_DESTROYED, MSG_MOUSEMOVE, MSG_LBUTTONDOWN, MSG_LBUTTONUP, MSG_LBUTTONDBLCLK,
         MSG_RBUTTONDOWN, MSG_RBUTTONUP, MSG_MBUTTONDOWN, MSG_MBUTTONUP, MSG_LCLICK, MSG_MCLICK,
         MSG_RCLICK, MSG_CONTEXTMENU, MSG_CHAR, MSG_CHANGE, MSG_SUBMIT, MSG_INPUT, MSG_INPUT_COMPLETE,
-        MSG_PLUGIN, MSG_SETFOCUS, MSG_KILLFOCUS, MSG_KEYDOWN, MSG_KEYUP, MSG_USER, MSG_TIMER, MSG_ACCEL,
-        MSG_COMMAND, MSG_COPY, MSG_PASTE, MSG_MOUSEWHEEL, MSG_GESTURE, MSG_PAINT, MSG_SIZE,
+        MSG_PLUGIN, MSG_REGISTERED, MSG_SETFOCUS, MSG_KILLFOCUS, MSG_KEYDOWN, MSG_KEYUP, MSG_USER, MSG_TIMER, MSG_ACCEL,
+        MSG_COMMAND, MSG_COPY, MSG_PASTE, MSG_MOUSEWHEEL, MSG_GESTURE, MSG_TOUCHGESTURE, MSG_PAINT, MSG_SIZE,
         MSG_FOREACH_REBUILT, MSG_MOUSEENTER, MSG_MOUSELEAVE, MSG_MOUSEENTER_DESCENDANT,
         MSG_MOUSELEAVE_DESCENDANT, MSG_CAPTURECHANGED, MSG_DRAGENTER, MSG_DRAGOVER, MSG_DRAGLEAVE, MSG_DROP,
-        MSG_DPR_CHANGE,
+        MSG_DPR_CHANGE, MSG_ERROR,
 
         // Mouse modifier keys
         MK_LBUTTON, MK_RBUTTON, MK_MBUTTON, MK_SHIFT, MK_CONTROL, MK_ALT,
@@ -12012,6 +17096,13 @@
         // Constants for MSG_SIZE
         SIZE_RESTORED, SIZE_HIDDEN, SIZE_FULLSCREEN,
 
+        // Command ids for the history option's accelerators
+        ID_EDIT_UNDO, ID_EDIT_REDO,
+
+        // Gesture ids and flags for MSG_TOUCHGESTURE
+        GID_ZOOM, GID_ROTATE, GID_LONGPRESS, GID_SWIPE, GID_DOUBLETAP,
+        GF_BEGIN, GF_END,
+
         // Control keys
         VK_BACK, VK_TAB, VK_RETURN, VK_SHIFT, VK_CONTROL, VK_MENU, VK_PAUSE,
         VK_CAPITAL, VK_ESCAPE, VK_SPACE, VK_PRIOR, VK_NEXT, VK_END, VK_HOME,
@@ -12061,4 +17152,16 @@
      */
     wakaPAC.mouseMoveThrottleFps = 60;
 
+    /**
+     * Global error sink. When set, it is called as onError(error, info) for
+     * every error a component reports (see Runtime.reportError()), after the
+     * component's own onError hook and its ancestors' MSG_ERROR handlers had
+     * their turn; info.handled tells whether one of them handled it. Returning
+     * a string renders it as fallback HTML inside the failing container.
+     * While set, unhandled errors are no longer logged to the console.
+     * @type {function(Error, Object): (string|void)|null}
+     * @default null
+     */
+    wakaPAC.onError = null;
+
 })();
\ No newline at end of file
@@ -1 +1 @@
-!function(){"use strict";const e="[data-pac-id]",t="[data-pac-drop-target]",n=[],r=[],i=new Map,a=new WeakMap,o=[],s=new Map;let c=!1,l=1,h=null;const u=/\{\{(?!>)\s*([^}]+)\s*}}/g,d=/\{\{(?!>).*?}}/,p=/pac-foreach-item:\s*([^,]+),\s*index=(\d+),\s*renderIndex=(\d+)/,g=/^\s*wp-if:\s*(.+?)\s*$/,f=/^\s*\/wp-if\s*$/,m=/^\s*wp-else-if:\s*(.+?)\s*$/,y=/^\s*wp-else\s*$/;function b(e,t){return{__wpGroup:!0,openMarker:e,closeMarker:t}}const E="data-pac-partial",v="pac:event",w="pac:change",C="pac:browser-state",A=/\{\{>\s*([a-zA-Z_$][a-zA-Z0-9_$]*)(?:\s+([a-zA-Z_$][a-zA-Z0-9_$.]*))?\s*}}/g,_=/\$\./g,T=/[.[\]]+/,M=new Set(["readonly","required","selected","checked","hidden","multiple","autofocus","disabled","async","defer","formnovalidate","ismap","novalidate","open","reversed","scoped","seamless","truespeed"]),P=new Set(["ArrowUp","ArrowDown","ArrowLeft","ArrowRight","F1","F2","F3","F4","F5","F6","F7","F8","F9","F10","F11","F12","Home","End","PageUp","PageDown","Insert","Delete","NumpadEnter","NumpadDivide","MetaLeft","MetaRight","ContextMenu"]),x=new Set(["text","search","url","tel","email","password","number"]),S=new Set(["A","BUTTON","DETAILS","INPUT","LABEL","SELECT","SUMMARY","TEXTAREA"]),k=new Set(["checkbox","radio","color","range","date","datetime-local","month","week","time","file"]);let N=null;const O=512,R=513,I=514,D=515,L=516,K=517,F=519,V=520,B=524,W=526,U=528,H=529,G=530,z=123,j=561,$=562,Q=563,X=564,Y=769,q=770,J=772,Z=773,ee=774,te=256,ne=257,re=522,ie=592,ae=new Set([R,I,D,L,K,F,V,U,H,G,z,O,re,j,Q,$,X,ie]),oe=1<<25,se=1<<26,ce=1<<27,le=1<<29,he={Backspace:8,Tab:9,Enter:13,ShiftLeft:16,ShiftRight:16,ControlLeft:17,ControlRight:17,AltLeft:18,AltRight:18,Pause:19,CapsLock:20,Escape:27,Space:32,PageUp:33,PageDown:34,End:35,Home:36,ArrowLeft:37,ArrowUp:38,ArrowRight:39,ArrowDown:40,PrintScreen:44,Insert:45,Delete:46,Digit0:48,Digit1:49,Digit2:50,Digit3:51,Digit4:52,Digit5:53,Digit6:54,Digit7:55,Digit8:56,Digit9:57,KeyA:65,KeyB:66,KeyC:67,KeyD:68,KeyE:69,KeyF:70,KeyG:71,KeyH:72,KeyI:73,KeyJ:74,KeyK:75,KeyL:76,KeyM:77,KeyN:78,KeyO:79,KeyP:80,KeyQ:81,KeyR:82,KeyS:83,KeyT:84,KeyU:85,KeyV:86,KeyW:87,KeyX:88,KeyY:89,KeyZ:90,MetaLeft:91,MetaRight:92,ContextMenu:93,Numpad0:96,Numpad1:97,Numpad2:98,Numpad3:99,Numpad4:100,Numpad5:101,Numpad6:102,Numpad7:103,Numpad8:104,Numpad9:105,NumpadMultiply:106,NumpadAdd:107,NumpadSubtract:109,NumpadDecimal:110,NumpadDivide:111,F1:112,F2:113,F3:114,F4:115,F5:116,F6:117,F7:118,F8:119,F9:120,F10:121,F11:122,F12:123,NumLock:144,ScrollLock:145,BrowserBack:166,BrowserForward:167,BrowserRefresh:168,BrowserStop:169,BrowserSearch:170,BrowserFavorites:171,BrowserHome:172,AudioVolumeMute:181,AudioVolumeDown:182,AudioVolumeUp:183,MediaTrackNext:176,MediaTrackPrevious:177,MediaStop:178,MediaPlayPause:179,Semicolon:186,Equal:187,Comma:188,Minus:189,Period:190,Slash:191,Backquote:192,BracketLeft:219,Backslash:220,BracketRight:221,Quote:222,IntlBackslash:226},ue={setFillStyle:"fillStyle",setStrokeStyle:"strokeStyle",setLineWidth:"lineWidth",setLineCap:"lineCap",setLineJoin:"lineJoin",setLineDashOffset:"lineDashOffset",setMiterLimit:"miterLimit",setGlobalAlpha:"globalAlpha",setGlobalComposite:"globalCompositeOperation",setFont:"font",setTextAlign:"textAlign",setTextBaseline:"textBaseline",setTextRendering:"textRendering",setLetterSpacing:"letterSpacing",setWordSpacing:"wordSpacing"},de={save:"save",restore:"restore",beginPath:"beginPath",closePath:"closePath",stroke:"stroke",resetTransform:"resetTransform"},pe={moveTo:["x","y"],lineTo:["x","y"],arc:["cx","cy","r","startAngle","endAngle","ccw"],arcTo:["x1","y1","x2","y2","r"],ellipse:["cx","cy","rx","ry","rotation","startAngle","endAngle","ccw"],rect:["x","y","w","h"],roundRect:["x","y","w","h","r"],bezierCurveTo:["cp1x","cp1y","cp2x","cp2y","x","y"],quadraticCurveTo:["cpx","cpy","x","y"],fill:["rule"],clip:["rule"],fillRect:["x","y","w","h"],strokeRect:["x","y","w","h"],clearRect:["x","y","w","h"],fillText:["text","x","y","maxWidth"],strokeText:["text","x","y","maxWidth"],drawImage:["image","dx","dy","dw","dh"],translate:["x","y"],rotate:["angle"],scale:["x","y"],transform:["a","b","c","d","e","f"],setTransform:["a","b","c","d","e","f"]},ge={arc:{ccw:!1},ellipse:{ccw:!1},fill:{rule:"nonzero"},clip:{rule:"nonzero"}},fe={escapeHtml:e=>(e+"").replace(/&/g,"&amp;").replace(/</g,"&lt;").replace(/>/g,"&gt;").replace(/"/g,"&quot;").replace(/'/g,"&#39;"),uniqid:(e="",t=!1)=>`${e}${(1e3*Date.now()+1e3*Math.random()).toString(16).padEnd(14,"0")}${t?"."+Math.trunc(1e8*Math.random()):""}`,isPlainObject(e){if(null===e||"object"!=typeof e)return!1;const t=Object.getPrototypeOf(e);return null===t||null===Object.getPrototypeOf(t)},getNestedValue(e,t){const n=fe.pathStringToArray(t);let r=e;for(const e of n){if(!(e in r))return;r=r[e]}return r},setNestedProperty(e,t,n){const r=fe.pathStringToArray(e);for(let e=0;e<r.length-1;e++){const t=r[e];t in n||(n[t]=/^\d+$/.test(r[e+1])?[]:{}),n=n[t]}n[r[r.length-1]]=t},getPacId:e=>e?e._pacId||e.getAttribute("data-pac-id"):null,getElementIdentifier(e){if(e.id)return e.id;if(e.hasAttribute("data-pac-element-id"))return e.getAttribute("data-pac-element-id");const t=fe.uniqid("pac-el-");return e.setAttribute("data-pac-element-id",t),t},pathStringToArray:e=>Array.isArray(e)?e:(e+"").split(T).filter(Boolean),pathArrayToString(e){if(0===e.length)return"";let t=e[0]+"";for(let n=1;n<e.length;++n){const r=e[n];t+="number"==typeof r||/^\d+$/.test(r+"")?`[${r}]`:"."+r}return t},belongsToPacContainer(t,n){if(!(t instanceof Element&&t.hasAttribute("data-pac-id")))return!1;const r=n&&(n.nodeType===Node.TEXT_NODE||n.nodeType===Node.COMMENT_NODE),i=n&&n.nodeType===Node.ATTRIBUTE_NODE;let a;return a=r?n.parentElement:i?n.ownerElement:n,a instanceof Element&&!!t.contains(a)&&a.closest(e)===t},isElementVisible(e){const t=e.getBoundingClientRect(),n=window.innerHeight,r=window.innerWidth;return t.top<n&&t.bottom>0&&t.left<r&&t.right>0},isElementFullyVisible(e){const t=e.getBoundingClientRect(),n=window.innerHeight,r=window.innerWidth;return t.top>=0&&t.left>=0&&t.bottom<=n&&t.right<=r},isElementDirectlyFocused:e=>e===document.activeElement,isElementFocusWithin:e=>e===document.activeElement||e.contains(document.activeElement),domRectToSimpleObject:e=>({top:e.top,left:e.left,right:e.right,bottom:e.bottom,width:e.width,height:e.height,x:e.x,y:e.y}),getNetworkEffectiveType:()=>"connection"in navigator&&navigator.connection?.effectiveType?navigator.connection.effectiveType:"4g",detectNetworkQuality(){if(!navigator.onLine)return"offline";switch(this.getNetworkEffectiveType()){case"slow-2g":case"2g":case"3g":return"slow";default:return"fast"}},isEqual(e,t){if(e===t)return!0;if(Number.isNaN(e)&&Number.isNaN(t))return!0;if(!e||!t||"object"!=typeof e||"object"!=typeof t)return!1;if(Array.isArray(e))return Array.isArray(t)&&e.length===t.length&&e.every((e,n)=>this.isEqual(e,t[n]));const n=Object.keys(e);return n.length===Object.keys(t).length&&n.every(n=>Object.hasOwn(t,n)&&this.isEqual(e[n],t[n]))},buildCachedKeyNames(){const e={};for(const t in Le)t.startsWith("VK_")&&(e[Le[t]]=t);return e},getKeyName(e){return null===N&&(N=this.buildCachedKeyNames()),Object.prototype.hasOwnProperty.call(N,e)?N[e]:e>=48&&e<=57||e>=65&&e<=90?String.fromCharCode(e):"0x"+e.toString(16).toUpperCase().padStart(2,"0")},computeInputDelta(e){const t=e.inputType||"",n=e.data;return t.startsWith("insert")?"string"==typeof n?n.length:1:t.startsWith("delete")?-1:0},getDeletedTextFromTextControl(e,t){const n=e.selectionStart,r=e.selectionEnd;return null==n||null==r?"":n!==r?e.value.slice(n,r):"backward"===t&&n>0?e.value.slice(n-1,n):"forward"===t&&n<e.value.length?e.value.slice(n,n+1):""},getDeleteDirection:e=>e?e.includes("Backward")?"backward":e.includes("Forward")?"forward":null:null,getNormalizedSelectionRange(e){const t=e.selectionStart,n=e.selectionEnd;return null==t||null==n?null:{start:Math.min(t,n),end:Math.max(t,n)}},unionRect(e,t){const n=Math.min(e.x,t.x),r=Math.min(e.y,t.y);return{x:n,y:r,width:Math.max(e.x+e.width,t.x+t.width)-n,height:Math.max(e.y+e.height,t.y+t.height)-r}},debounce(e,t){let n=null;function r(...r){clearTimeout(n),n=setTimeout(()=>{n=null,e.apply(this,r)},t)}return r.cancel=()=>{clearTimeout(n),n=null},r},getPacCache:e=>e._pacCache||(e._pacCache={})};function me(e,t={}){if(-1!==n.indexOf(e))return;if("function"!=typeof e.createPacPlugin)throw Error("wakaPAC.use(): library must implement createPacPlugin()");n.push(e);const o=e.createPacPlugin(Le,t);r.push(o),o.name&&fe.isPlainObject(o.functions)&&(i.get(o.name)?console.warn(`WakaPAC: unit "${o.name}" is already registered`):(i.set(o.name,o.functions),a.set(e,o.name)))}const ye={_initialized:!1,_captureActive:!1,_hoveredContainer:null,_hoveredDescendant:null,_capturedContainer:null,_intersectionObserver:null,_resizeObserver:null,_repeatCounts:new Map,validDropEffects:["none","copy","link","move"],_enterDepths:new WeakMap,_dropzoneTarget:null,_dirtyCanvases:new Map,initialize(){this._initialized||(this._initialized=!0,this._setupBrowserStateEvents(),this._setupFocusEvents(),this._setupMouseEvents(),this._setupTouchEvents(),this._setupKeyboardEvents(),this._setupFormEvents(),this._setupWindowEvents(),this._setupObservers())},_registerMessageEvent(e,t,n){const r=this;document.addEventListener(e,e=>{if(n&&!n(e))return;const i=r.getContainerForEvent(t,e);r.dispatchMouseMessage(t,e,i)})},_setupBrowserStateEvents(){const e=this;document.addEventListener("visibilitychange",()=>{e.dispatchBrowserStateEvent("visibility",{visible:!document.hidden})}),window.addEventListener("online",()=>{e.dispatchBrowserStateEvent("online",{online:!0,networkType:fe.getNetworkEffectiveType(),networkQuality:fe.detectNetworkQuality()})}),window.addEventListener("offline",()=>{e.dispatchBrowserStateEvent("online",{online:!1,networkType:fe.getNetworkEffectiveType(),networkQuality:fe.detectNetworkQuality()})}),"connection"in navigator&&navigator.connection&&navigator.connection.addEventListener("change",()=>{e.dispatchBrowserStateEvent("online",{online:navigator.onLine,networkType:fe.getNetworkEffectiveType(),networkQuality:fe.detectNetworkQuality()})}),screen.orientation&&screen.orientation.addEventListener("change",()=>{e.dispatchBrowserStateEvent("orientation",{angle:screen.orientation.angle,type:screen.orientation.type})}),function t(){const n=window.devicePixelRatio||1,r=window.matchMedia(`(resolution: ${n}dppx)`);r.addEventListener("change",function n(){r.removeEventListener("change",n),e.dispatchBrowserStateEvent("dpr",{ratio:window.devicePixelRatio||1}),t()})}()},_setupFocusEvents(){const e=this,t=new Map;let n=null;function r(){null!==n&&clearTimeout(n),n=setTimeout(()=>{n=null;for(const[n,{message:r,domEvent:i}]of t){const t=e.wrapDomEventAsMessage(r,i);e.dispatchToContainer(n,t)}t.clear()},0)}document.addEventListener("focusin",n=>{const i=e.getContainerForEvent(7,n);t.set(i,{message:7,domEvent:n}),r()}),document.addEventListener("focusout",n=>{const i=e.getContainerForEvent(8,n);t.has(i)||t.set(i,{message:8,domEvent:n}),r()})},_setupMouseEvents(){this._setupMouseButtonEvents(),this._setupMouseMoveEvent(),this._setupMouseWheelEvent(),this._setupClipboardEvents(),this._setupDragDropEvents(),this._setupDragPrevention(),this._setupDocumentLeave()},_setupMouseButtonEvents(){const e=this;document.addEventListener("mousedown",t=>{const n=0===t.button?R:1===t.button?F:2===t.button?L:void 0;if(!n)return;2===t.button&&xe.startRecording(t);const r=e.getContainerForEvent(n,t);e.dispatchMouseMessage(n,t,r)}),window.addEventListener("mouseup",t=>{const n=0===t.button?I:1===t.button?V:2===t.button?K:void 0;if(!n)return;2===t.button&&xe.isRecording&&xe.stopRecording(t);const r=e.getContainerForEvent(n,t);e.dispatchMouseMessage(n,t,r),2!==t.button||xe.gestureJustDispatched||e.dispatchMouseMessage(G,t,r)}),this._registerMessageEvent("click",U),this._registerMessageEvent("auxclick",H,e=>1===e.button),this._registerMessageEvent("dblclick",D,e=>0===e.button),document.addEventListener("contextmenu",t=>{if(xe.gestureJustDispatched)return xe.gestureJustDispatched=!1,void t.preventDefault();const n=e.getContainerForEvent(z,t);e.dispatchMouseMessage(z,t,n)})},_setupMouseMoveEvent(){const e=this;this.setupMoveCoalescer("mousemove",Le.mouseMoveThrottleFps,t=>{xe.isRecording&&xe.recordPoint(t);const n=e.getContainerForEvent(O,t),r=e.hasCapture();if(e._hoveredContainer!==n&&(r||(e._hoveredContainer&&(e._hoveredDescendant&&e.dispatchMouseMessage(W,t,e._hoveredContainer,e._hoveredDescendant),e.dispatchMouseMessage(B,t,e._hoveredContainer)),n&&e.dispatchMouseMessage(523,t,n)),e._hoveredContainer=n,e._hoveredDescendant=null),n&&!r){const r=e.normalizeToElement(t.target),i=e.findInteractiveDescendant(r,n);e._hoveredDescendant!==i&&(e._hoveredDescendant&&e.dispatchMouseMessage(W,t,n,e._hoveredDescendant),i&&e.dispatchMouseMessage(525,t,n,i),e._hoveredDescendant=i)}n&&e.dispatchMouseMessage(O,t,n)})},_setupMouseWheelEvent(){const e=this;document.addEventListener("wheel",t=>{const n=e.getContainerForEvent(re,t),r=e.buildWheelWParam(t.deltaY,e.getModifierState(t),t.deltaMode);e.dispatchMouseMessage(re,t,n,null,{wheelDelta:t.deltaY,wheelDeltaX:t.deltaX,deltaMode:t.deltaMode},r)},{passive:!0})},_setupClipboardEvents(){const e=this;document.addEventListener("copy",t=>{const n=e.getContainerForEvent(Z,t),r=""+window.getSelection(),i=e.getModifierState(t),a=e.wrapDomEventAsMessage(Z,t,i,r.length,{selectedText:r,copyData:null});if(e.dispatchToContainer(n,a),a.detail.copyData&&!t.defaultPrevented){t.preventDefault();for(const e in a.detail.copyData)t.clipboardData.setData(e,a.detail.copyData[e])}}),document.addEventListener("paste",t=>{const n=e.getContainerForEvent(ee,t),r=t.clipboardData,i=r.getData("text/uri-list"),a=i?i.split(/\r?\n/).filter(e=>e&&!e.startsWith("#")):[],o=e.getModifierState(t),s=r.getData("text/plain").length,c=Array.from(r.files).map(e=>({name:e.name,size:e.size,type:e.type})),l=e.wrapDomEventAsMessage(ee,t,o,s,{"text/plain":r.getData("text/plain"),"text/html":r.getData("text/html"),"text/rtf":r.getData("text/rtf"),"text/uri-list":i,uris:a,files:c,types:Array.from(r.types)});e.dispatchToContainer(n,l)})},_setupDragDropEvents(){this._onDragEnter(),this._onDragLeave(),this._onDragOver(),this._onDrop()},_setupDragPrevention(){document.addEventListener("dragstart",e=>{this.hasCapture()&&e.preventDefault()})},_onDragEnter(){const e=this;document.addEventListener("dragenter",t=>{const n=e.getContainerForEvent(j,t);if(!n)return;const r=(e._enterDepths.get(n)||0)+1;e._enterDepths.set(n,r),1===r&&e.dispatchMouseMessage(j,t,n,null,{types:Array.from(t.dataTransfer.types)})})},_onDragLeave(){const e=this;document.addEventListener("dragleave",t=>{const n=e.getContainerForEvent(Q,t);if(!n)return;const r=(e._enterDepths.get(n)||0)-1;e._enterDepths.set(n,r),0===r&&e.dispatchMouseMessage(Q,t,n,null,{types:Array.from(t.dataTransfer.types)})})},_onDragOver(){const e=this;document.addEventListener("dragover",n=>{const r=e.getContainerForEvent($,n);if(!r)return;const i=n.target.closest(t);if(!i)return void(n.dataTransfer.dropEffect="none");if(n.preventDefault(),n.target===e._dropzoneTarget)return;const a=i.getAttribute("data-pac-drop-target");n.dataTransfer.dropEffect=e.validDropEffects.includes(a)?a:"copy",e._dropzoneTarget=i,e.dispatchMouseMessage($,n,r,null,{dropTarget:i,types:Array.from(n.dataTransfer.types)})})},_onDrop(){const e=this;document.addEventListener("drop",n=>{const r=e.getContainerForEvent(X,n);if(!r)return;const i=n.target.closest(t);if(!i)return;n.preventDefault(),e._enterDepths.delete(r);const a=n.dataTransfer;e.dispatchMouseMessage(X,n,r,null,{dropTarget:i,text:a.getData("text/plain"),html:a.getData("text/html"),uri:a.getData("text/uri-list"),files:e._extractFileMetadata(a.files),rawFiles:a.files})})},_extractFileMetadata:e=>Array.from(e).map(e=>({name:e.name,size:e.size,type:e.type})),_setupDocumentLeave(){const e=this;document.addEventListener("mouseleave",t=>{null===t.relatedTarget&&(e.hasCapture()||e._hoveredContainer&&(e._hoveredDescendant&&(e.dispatchMouseMessage(W,t,e._hoveredContainer,e._hoveredDescendant),e._hoveredDescendant=null),e.dispatchMouseMessage(B,t,e._hoveredContainer),e._hoveredContainer=null))},!0)},_setupTouchEvents(){const e=this;this._registerMessageEvent("touchstart",R),this._registerMessageEvent("touchend",I),this._registerMessageEvent("touchcancel",I),this.setupMoveCoalescer("touchmove",Le.mouseMoveThrottleFps,t=>{if(t.touches.length>0){const n=e.getContainerForEvent(O,t);e.dispatchMouseMessage(O,t,n)}})},_setupKeyboardEvents(){const t=this;window.addEventListener("blur",()=>{t._repeatCounts.clear()}),document.addEventListener("keydown",n=>{t._updateRepeatState(n);const r=t.getContainerForEvent(te,n),i=t.buildKeyboardWParam(n),a=t.buildKeyboardLParam(n),o=t.wrapDomEventAsMessage(te,n,i,a,{key:n.key,code:n.code});if(r&&((t,n)=>{if(0===ke.size)return!1;const r=t.wParam,i=637534208&t.lParam,a=(t=>{const n=[],r=fe.getPacId(t);for(let r=t;r;r=r.parentElement?.closest(e)){const e=r.getAttribute("data-pac-id");if(null!==e){const t=ke.get(e);t&&n.push({pacId:e,table:t})}}const i=ke.get(Ne);return i&&n.push({pacId:r,table:i}),n})(n);for(const{pacId:e,table:t}of a)if(t)for(const n of t)if(n.vk===r&&n.modifiers===i)return Le.sendMessage(e,274,n.cmdId,0),!0;return!1})(o,r))n.preventDefault();else if(t.dispatchToContainer(r,o),n.key&&1===n.key.length){const e=n.key.charCodeAt(0),i=t.wrapDomEventAsMessage(768,n,e,a);t.dispatchToContainer(r,i)}}),document.addEventListener("keyup",e=>{t._updateRepeatState(e);const n=t.getContainerForEvent(ne,e),r=t.buildKeyboardWParam(e),i=t.buildKeyboardLParam(e),a=t.wrapDomEventAsMessage(ne,e,r,i,{key:e.key,code:e.code});t.dispatchToContainer(n,a)})},_setupFormEvents(){const e=this;document.addEventListener("change",t=>{const n=t.target,r="SELECT"===n.tagName,i="INPUT"===n.tagName&&k.has(n.type),a="INPUT"===n.tagName&&x.has(n.type),o="TEXTAREA"===n.tagName;if(r||i||a||o){const i=e.getContainerForEvent(Y,t),a=e.buildChangeWParam(t),s=e.wrapDomEventAsMessage(Y,t,a,0,{elementType:r?"select":o?"textarea":n.type});e.dispatchToContainer(i,s)}}),document.addEventListener("beforeinput",t=>{const n=t.target,r="INPUT"===n.tagName&&x.has(n.type),i="TEXTAREA"===n.tagName;if(r||i||!0===n.isContentEditable){const a=e.getContainerForEvent(771,t),o=r||i,s=fe.getDeleteDirection(t.inputType),c=fe.computeInputDelta(t),l=e.getModifierState(t);let h=null;c>0?h=t.data??t.dataTransfer?.getData("text/plain")??"":c<0&&(r||i)&&(h=fe.getDeletedTextFromTextControl(n,s));const u=fe.getNormalizedSelectionRange(n),d=e.wrapDomEventAsMessage(771,t,c,l,{inputType:t.inputType,elementType:n.tagName.toLowerCase(),text:h,selectionStart:o?u?.start??null:null,selectionEnd:o?u?.end??null:null});e.dispatchToContainer(a,d)}}),document.addEventListener("input",t=>{const n=t.target,r="INPUT"===n.tagName&&x.has(n.type),i="INPUT"===n.tagName&&"range"===n.type,a="TEXTAREA"===n.tagName;if(r||i||a||!0===n.isContentEditable){const o=e.getContainerForEvent(J,t),s=r||a||i?n.value:n.textContent??"",c=s.length,l=e.getModifierState(t),h=e.wrapDomEventAsMessage(J,t,c,l,{inputType:t.inputType??null,elementType:n.tagName.toLowerCase(),value:s});e.dispatchToContainer(o,h)}}),document.addEventListener("submit",t=>{const n=t.target,r=new FormData(n),i=e.getContainerForEvent(q,t),a=t.submitter,o=e.wrapDomEventAsMessage(q,t,0,0,{entries:Object.fromEntries(r.entries()),action:n.action,method:n.method.toUpperCase(),enctype:n.enctype,name:n.getAttribute("name"),isValid:n.checkValidity(),submitter:a?{name:a.name,value:a.value,id:a.id}:null,files:Array.from(n.elements).filter(e=>"file"===e.type&&e.files.length>0).reduce((e,t)=>(e[t.name]=Array.from(t.files).map(e=>({name:e.name,size:e.size,type:e.type})),e),{}),multiEntries:Array.from(new Set(Array.from(r.keys()).filter(e=>r.getAll(e).length>1))).reduce((e,t)=>(e[t]=r.getAll(t),e),{})});e.dispatchToContainer(i,o)})},_setupWindowEvents(){const e=this;this.setupMoveCoalescer("window.scroll",60,()=>{e.dispatchBrowserStateEvent("scroll",{scrollX:window.scrollX,scrollY:window.scrollY})}),this.setupMoveCoalescer("window.resize",60,()=>{e.dispatchBrowserStateEvent("resize",{viewportWidth:window.innerWidth,viewportHeight:window.innerHeight,documentWidth:document.documentElement.scrollWidth,documentHeight:document.documentElement.scrollHeight,scrollX:window.scrollX,scrollY:window.scrollY})})},_setupObservers(){const e=this;this._intersectionObserver=new IntersectionObserver(e=>{e.forEach(e=>{const t=window.PACRegistry.getByElement(e.target);if(t&&t.abstraction){const n=e.boundingClientRect;t.abstraction.containerVisible=e.isIntersecting,t.abstraction.containerFullyVisible=e.intersectionRatio>=.99,t.abstraction.containerClientRect=fe.domRectToSimpleObject(n)}})},{threshold:[0,1]}),this._resizeObserver=new ResizeObserver(t=>{t.forEach(t=>{const n=t.target,r=window.PACRegistry.getByElement(n);if(r&&r.abstraction){const i=Math.round(t.contentRect.width),a=Math.round(t.contentRect.height);let o;r.abstraction.containerWidth=i,r.abstraction.containerHeight=a,o=0===i&&0===a?1:document.fullscreenElement===n?2:0;const s=o,c=e.makeLParam(i,a),l=e.wrapDomEventAsMessage(5,null,s,c,{width:i,height:a,contentRect:fe.domRectToSimpleObject(t.contentRect),borderBoxSize:t.borderBoxSize,contentBoxSize:t.contentBoxSize});e.dispatchToContainer(n,l)}})})},_updateRepeatState(e){const t=e.code;"keyup"!==e.type?this._repeatCounts.set(t,e.repeat?this._getRepeatCount(e)+1:1):this._repeatCounts.delete(t)},_getRepeatCount(e){return this._repeatCounts&&this._repeatCounts.get(e.code)||1},_getPreviousKeyState:e=>"keyup"===e.type||e.repeat?1:0,observeContainer(e){this._intersectionObserver.observe(e),this._resizeObserver.observe(e)},unObserveContainer(e){this._resizeObserver.unobserve(e),this._intersectionObserver.unobserve(e)},setupMoveCoalescer(e,t,n){const r=this.resolveEventTarget(e);if(!r)return;let i=0,a=null,o=!1;const s=t>0?1e3/t:0;r.target.addEventListener(r.event,e=>{a=e,o||(o=!0,requestAnimationFrame(function e(t){s>0&&t-i<s?requestAnimationFrame(e):(n(a),i=t,o=!1)}))})},resolveEventTarget(e){const t={window,document,get body(){return document.body}},n=e.indexOf(".");if(-1===n)return{target:document,event:e};const r=t[e.slice(0,n)];return r?{target:r,event:e.slice(n+1)}:null},wrapDomEventAsMessage(e,t,n=0,r=0,i={},a=null){const o=new CustomEvent(v,{bubbles:!0,cancelable:!0,detail:i});return Object.defineProperties(o,{message:{value:e,enumerable:!0,configurable:!0},wParam:{value:n,enumerable:!0,configurable:!0},lParam:{value:r,enumerable:!0,configurable:!0},timestamp:{value:Date.now(),enumerable:!0,configurable:!0},target:{value:a??t?.target,enumerable:!0,configurable:!0},realTarget:{value:t?.target,enumerable:!0,configurable:!0},originalEvent:{value:t,enumerable:!0,configurable:!0}}),t&&["preventDefault","stopPropagation","stopImmediatePropagation"].forEach(e=>{const n=o[e];o[e]=function(){n&&n.call(this),t[e]&&t[e].call(t)}}),o},normalizeToElement:e=>e instanceof Element?e:e?.parentElement??null,getContainerForEvent(t,n){const r=this.normalizeToElement(n.target);let i=r?.closest(e)??null;return this._captureActive&&this.isCaptureAffected(t)&&(this._capturedContainer?.isConnected?i=this._capturedContainer:this.releaseCapture()),i},isInherentlyInteractive:e=>S.has(e.tagName?.toUpperCase())||e.hasAttribute("data-pac-control")||e.hasAttribute("data-pac-hoverable")||e.hasAttribute("tabindex")||e.isContentEditable,hasClickBinding(e){const t=e.getAttribute("data-pac-bind");return!!t&&Ee.parseBindingString(t).some(e=>"click"===e.type)},findInteractiveDescendant(e,t){if(t&&!t.contains(e))return null;let n=e;for(;n&&n!==t;){if(this.isInherentlyInteractive(n)||this.hasClickBinding(n))return n;n=n.parentElement}return null},dispatchToContainer(e,t){if(!e)return;t.pacId=fe.getPacId(e);const n=o.map(e=>e.fn);let r=0;const i=()=>{if(r<n.length){const e=n[r++];try{e(t,i)}catch(e){console.warn("wakaPAC: message hook threw an error, continuing chain:",e),i()}}else e.dispatchEvent(t)};i()},dispatchMouseMessage(e,t,n,r=null,i={},a=null,o=null){const s=null!==a?a:this.getModifierState(t),c=null!==o?o:this.buildMouseLParam(t,n);let l;if(523===e||e===B)l=n;else if(525===e||e===W)l=r;else if(ae.has(e)){const e=this.normalizeToElement(t.target);l=this.findInteractiveDescendant(e,n),l||(l=n&&!n.contains(e)?n:e)}else l=null;const h=this.wrapDomEventAsMessage(e,t,s,c,i,l);this.dispatchToContainer(n,h)},dispatchBrowserStateEvent(e,t){window.PACRegistry.components.forEach(n=>{const r=new CustomEvent(C,{detail:{target:n.container,stateType:e,stateData:t,timestamp:Date.now()}});n.container.dispatchEvent(r)})},getModifierState(e){let t=0;return e.ctrlKey&&(t|=8),e.shiftKey&&(t|=4),e.altKey&&(t|=128),e.metaKey&&(t|=256),void 0!==e.buttons?(1&e.buttons&&(t|=1),2&e.buttons&&(t|=2),4&e.buttons&&(t|=16),8&e.buttons&&(t|=32),16&e.buttons&&(t|=64)):e.touches&&e.touches.length>0&&(t|=1),t},buildMouseLParam(e,t){if(!t)return 0;const n=e.touches?.[0]||e.changedTouches?.[0],r=n?n.clientX:e.clientX,i=n?n.clientY:e.clientY,a=t.getBoundingClientRect();return this.makeLParam(r-a.left,i-a.top)},makeLParam(e,t){const n=Math.max(0,Math.min(65535,Math.round(e)));return Math.max(0,Math.min(65535,Math.round(t)))<<16|n},buildWheelWParam(e,t,n){let r;switch(n){case 1:r=120*Math.sign(e);break;case 2:r=120*Math.sign(e)*10;break;default:if(Math.abs(e)<1)return 0;r=120*Math.sign(e)}return(65535&r)<<16|65535&t},buildKeyboardLParam(e){let t=0;return t|=65535&this._getRepeatCount(e),this.isExtendedKey(e.code)&&(t|=1<<24),e.shiftKey&&(t|=oe),e.ctrlKey&&(t|=se),e.metaKey&&(t|=ce),e.altKey&&(t|=le),this._getPreviousKeyState(e)&&(t|=1<<30),"keyup"===e.type&&(t|=1<<31),t},buildKeyboardWParam(e){const t=this.getVirtualKeyCode(e.code);return null!==t?t:e.keyCode||e.which||0},buildChangeWParam(e){const t=e.target;switch(t.type){case"checkbox":return t.checked?1:0;case"radio":{const e=document.querySelectorAll(`input[name="${t.name}"]`);return Array.from(e).indexOf(t)}default:return"selectedIndex"in t?t.selectedIndex:0}},isExtendedKey:e=>!!e&&P.has(e),getVirtualKeyCode:e=>he[e]||null,isCaptureAffected:e=>e===O||e===re||e===R||e===I||e===D||e===L||e===K||e===F||e===V||e===U||e===H||e===G||e===z,setCapture(e){return e?.isConnected?(this.hasCapture()&&this._capturedContainer===e||(this.hasCapture()&&this.releaseCapture(),document.body.classList.add("pac-capture-active"),this._captureActive=!0,this._capturedContainer=e),!0):(console.warn("Cannot capture disconnected element"),!1)},releaseCapture(){if(this.hasCapture()){if(this._capturedContainer?.isConnected){const e=fe.getPacId(this._capturedContainer);null!==e&&Le.sendMessage(e,Le.MSG_CAPTURECHANGED,0,0)}document.body.classList.remove("pac-capture-active"),this._captureActive=!1,this._capturedContainer=null}},hasCapture(){return this._captureActive},releaseCaptureIfOwnedBy(e){this._captureActive&&this._capturedContainer===e&&this.releaseCapture()},getCapturedPacId(){return this._captureActive&&fe.getPacId(this._capturedContainer)||null},invalidateRect(e,t){const n=Le.getContainerByPacId(e);if(!n)return;if(!(n instanceof HTMLCanvasElement))return;const r=t||{x:0,y:0,width:n.width,height:n.height};if(this._dirtyCanvases.has(e)){const t=this._dirtyCanvases.get(e);if(0===t.rcPaint.x&&0===t.rcPaint.y&&t.rcPaint.width===n.width&&t.rcPaint.height===n.height)return;t.rects.some(e=>r.x>=e.x&&r.y>=e.y&&r.x+r.width<=e.x+e.width&&r.y+r.height<=e.y+e.height)||(t.rects.push(r),t.rcPaint=fe.unionRect(t.rcPaint,r))}else this._dirtyCanvases.set(e,{container:n,rcPaint:r,rects:[r]}),requestAnimationFrame(this.flushPaintQueue)},flushPaintQueue(){ye._dirtyCanvases.forEach(e=>{const{container:t}=e;t.isConnected&&(e.painting=!0,ye.dispatchToContainer(t,ye.wrapDomEventAsMessage(15,null,0,0)),e.painting=!1)}),ye._dirtyCanvases.clear()}},be={tokens:[],currentToken:0,_parseStack:[],OPERATOR_PRECEDENCE:{"||":1,"&&":2,"===":6,"!==":6,"==":6,"!=":6,"<":7,">":7,"<=":7,">=":7,"+":8,"-":8,"*":9,"/":9,"%":9,"!":10,"unary-":10,"unary+":10},OPERATOR_TYPES:{"||":"logical","&&":"logical","===":"comparison","!==":"comparison","==":"comparison","!=":"comparison",">=":"comparison","<=":"comparison",">":"comparison","<":"comparison","+":"arithmetic","-":"arithmetic","*":"arithmetic","/":"arithmetic","%":"arithmetic"},KEYWORD_VALUES:{true:!0,false:!1,null:null,undefined:void 0},SINGLE_CHAR_TOKENS:{"(":"LPAREN",")":"RPAREN","{":"LBRACE","}":"RBRACE","[":"LBRACKET","]":"RBRACKET",",":"COMMA",".":"DOT"},parseExpression(e){e=(e+"").trim(),this._parseStack.push({tokens:this.tokens,currentToken:this.currentToken});try{return this.tokens=this.tokenize(e),this.currentToken=0,0===this.tokens.length?null:this.parseTernary()}finally{const e=this._parseStack.pop();this.tokens=e.tokens,this.currentToken=e.currentToken}},tokenize(e){const t=[];let n=0;for(;n<e.length;){const r=e[n];if(/\s/.test(r)){n++;continue}if('"'===r||"'"===r){const r=this.tokenizeString(e,n);t.push(r.token),n=r.nextIndex;continue}if(/\d/.test(r)||"."===r&&/\d/.test(e[n+1])){const r=this.tokenizeNumber(e,n);t.push(r.token),n=r.nextIndex;continue}const i=/^(===|!==|==|!=|>=|<=|&&|\|\|)/.exec(e.slice(n));if(i){const e=i[1];t.push({type:"OPERATOR",value:e,precedence:this.getOperatorPrecedence(e)}),n+=e.length;continue}const a=this.SINGLE_CHAR_TOKENS;if(a[r])t.push({type:a[r],value:r}),n++;else{if("+-*/<>!?:%".includes(r)){const e=this.getOperatorPrecedence(r);let i;switch(r){case"?":i="QUESTION";break;case":":i="COLON";break;default:i="OPERATOR"}t.push({type:i,value:r,precedence:e}),n++;continue}if(/[a-zA-Z_$]/.test(r)){const r=this.tokenizeIdentifier(e,n);t.push(r.token),n=r.nextIndex;continue}n++}}return t},tokenizeString(e,t){const n=e[t];let r=t+1,i="";for(;r<e.length;){const t=e[r];if("\\"===t&&r+1<e.length){const a=e[r+1];a===n||"\\"===a?(i+=a,r+=2):(i+=t,r++)}else{if(t===n)return{token:{type:"STRING",value:i},nextIndex:r+1};i+=t,r++}}throw Error(`Unterminated string literal starting at position ${t}: expected closing ${n}`)},tokenizeNumber(e,t){const n=/^(\d*\.?\d+(?:[eE][+-]?\d+)?)/.exec(e.slice(t));if(n)return{token:{type:"NUMBER",value:parseFloat(n[1])},nextIndex:t+n[1].length}},tokenizeIdentifier(e,t){const n=/^([a-zA-Z_$][a-zA-Z0-9_$]*)/.exec(e.slice(t));if(n){const e=n[1];return{token:{type:["true","false","null","undefined"].includes(e)?"KEYWORD":"IDENTIFIER",value:e},nextIndex:t+e.length}}},getOperatorPrecedence(e){return this.OPERATOR_PRECEDENCE[e]||0},parseTernary(){let e=this.parseBinaryWithPrecedence(1);if(this.match("QUESTION")){const t=this.parseTernary();return this.consume("COLON",'Expected ":" in ternary expression'),{type:"ternary",condition:e,trueValue:t,falseValue:this.parseTernary()}}return e},parseBinaryWithPrecedence(e){let t=this.parseUnary();for(;"OPERATOR"===this.peek().type;){const n=this.getOperatorPrecedence(this.peek().value);if(n<e)break;const r=this.advance().value,i=this.parseBinaryWithPrecedence(n+1);t={type:this.OPERATOR_TYPES[r]||"arithmetic",left:t,operator:r,right:i}}return t},parseUnary(){return this.matchOperator("!","-","+")?{type:"unary",operator:this.previous().value,operand:this.parseUnary()}:this.parsePrimary()},parsePrimary(){if(this.match("LPAREN")){const e=this.parseTernary();return this.consume("RPAREN","Expected closing parenthesis"),this.parsePostfixOperators({type:"parentheses",inner:e})}return this.match("LBRACKET")?this.parsePostfixOperators(this.parseArrayLiteral()):this.match("LBRACE")?this.parsePostfixOperators(this.parseObjectLiteral()):this.check("STRING")||this.check("NUMBER")?this.parsePostfixOperators({type:"literal",value:this.advance().value}):this.check("KEYWORD")?this.parsePostfixOperators({type:"literal",value:be.KEYWORD_VALUES[this.advance().value]}):this.check("IDENTIFIER")?this.parsePostfixOperators(this.parsePropertyAccess()):null},parsePostfixOperators(e){for(;;){if(this.match("LBRACKET")){const t=this.parseTernary();this.consume("RBRACKET","Expected closing bracket"),e={type:"index",object:e,index:t};continue}if(!this.match("DOT")){if("identifier"===e.type&&this.match("LPAREN")){const t=this.parseArgumentList();this.consume("RPAREN","Expected closing parenthesis"),e={type:"call",name:e.name,arguments:t};continue}break}if(!this.check("IDENTIFIER"))throw Error('Expected property name after "."');{const t=this.advance().value;if(this.match("LPAREN")){const n=this.parseArgumentList();this.consume("RPAREN","Expected closing parenthesis"),e="identifier"===e.type?{type:"qualified_call",unit:e.name,method:t,arguments:n}:{type:"method_call",object:e,method:t,arguments:n}}else e={type:"member",object:e,property:t}}}return e},parseArgumentList(){const e=[];if(!this.check("RPAREN"))do{e.push(this.parseTernary())}while(this.match("COMMA")&&!this.check("RPAREN"));return e},parseArrayLiteral(){const e=[];if(!this.check("RBRACKET"))do{e.push(this.parseTernary())}while(this.match("COMMA")&&!this.check("RBRACKET"));return this.consume("RBRACKET","Expected closing bracket"),{type:"array",elements:e}},parseObjectLiteral(){const e=[];if(!this.check("RBRACE"))do{let t;if(this.check("STRING"))t=this.advance().value;else{if(!this.check("IDENTIFIER"))throw Error("Expected property name");t=this.advance().value}this.consume("COLON",'Expected ":" after object key');const n=this.parseTernary();e.push({key:t,value:n})}while(this.match("COMMA")&&!this.check("RBRACE"));return this.consume("RBRACE","Expected closing brace"),{type:"object",pairs:e}},parsePropertyAccess(){const e={type:"identifier",name:this.advance().value};return this.parsePostfixOperators(e)},astToPath(e){if(!e)return"";switch(e.type){case"identifier":return e.name;case"member":return this.astToPath(e.object)+"."+e.property;case"index":{const t=this.astToPath(e.object);return"literal"===e.index.type?t+"["+JSON.stringify(e.index.value)+"]":t+"["+this.astToPath(e.index)+"]"}case"literal":return JSON.stringify(e.value);case"arithmetic":return this.astToPath(e.left)+" "+e.operator+" "+this.astToPath(e.right);default:return""}},match(...e){for(const t of e)if(this.check(t))return this.advance(),!0;return!1},matchOperator(...e){if(this.check("OPERATOR")){const t=this.peek();if(e.includes(t.value))return this.advance(),!0}return!1},check(e){return!this.isAtEnd()&&this.peek().type===e},advance(){return this.isAtEnd()||this.currentToken++,this.previous()},isAtEnd(){return this.currentToken>=this.tokens.length},peek(){return this.tokens[this.currentToken]||{type:"EOF",value:null}},previous(){return this.tokens[this.currentToken-1]},consume(e,t){if(this.check(e))return this.advance();throw Error(t+" at token: "+JSON.stringify(this.peek()))},evaluate(e,t,n=null){if(e)switch(e.type){case"literal":return e.value;case"property":return this.getProperty(e.path,t,n);case"identifier":return this.getProperty(e.name,t,n);case"parentheses":return this.evaluate(e.inner,t,n);case"array":return this.evaluateArrayLiteral(e,t,n);case"object":return this.evaluateObjectLiteral(e,t,n);case"index":{if(n)return this.getProperty(this.astToPath(e),t,n);const r=this.evaluate(e.object,t,n),i=this.evaluate(e.index,t,n);return r&&r[i]}case"ternary":{const r=this.evaluate(e.condition,t,n);return this.evaluate(r?e.trueValue:e.falseValue,t,n)}case"logical":{const r=this.evaluate(e.left,t,n);return"&&"===e.operator?r?this.evaluate(e.right,t,n):r:"||"===e.operator?r||this.evaluate(e.right,t,n):r}case"comparison":case"arithmetic":{const r=this.evaluate(e.left,t,n),i=this.evaluate(e.right,t,n);return this.performOperation(r,e.operator,i)}case"unary":{const r=this.evaluate(e.operand,t,n);switch(e.operator){case"!":return!r;case"-":return-r;case"+":return+r;default:return r}}case"member":{if(n)return this.getProperty(this.astToPath(e),t,n);const r=this.evaluate(e.object,t,n);return r&&r[e.property]}case"method_call":{const r=this.evaluate(e.object,t,n);return Array.isArray(r)?this.evaluateArrayMethod(r,e.method,e.arguments.map(e=>this.evaluate(e,t,n))):void console.warn("Method calls only supported on arrays")}case"qualified_call":{const r=this.getProperty(e.unit,t,n);if(void 0!==r){i.get(e.unit)&&console.warn(`WakaPAC: data property "${e.unit}" is shadowing a registered unit`);const a=e.arguments.map(e=>this.evaluate(e,t,n));return Array.isArray(r)?this.evaluateArrayMethod(r,e.method,a):"function"==typeof r[e.method]?r[e.method](...a):void 0}const a=i.get(e.unit);if(a&&"function"==typeof a[e.method]){const r=e.arguments.map(e=>this.evaluate(e,t,n));return a[e.method](...r)}return void console.warn(`WakaPAC: unknown qualified call ${e.unit}.${e.method}()`)}case"call":{const r=this.getProperty(e.name,t,n);if("function"==typeof r){const i=e.arguments.map(e=>this.evaluate(e,t,n));return r.call(t,...i)}const i=n?.importedUnits;if(i&&"function"==typeof i[e.name]){const r=e.arguments.map(e=>this.evaluate(e,t,n));return i[e.name](...r)}return void console.warn(`WakaPAC: unknown function call "${e.name}()" in template`)}default:return}},evaluateArrayMethod(e,t,n){switch(t){case"includes":return e.includes(n[0]);case"indexOf":return e.indexOf(n[0]);case"length":return e.length;case"join":return e.join(n[0]||",");default:return void console.warn(`Array method '${t}' not supported`)}},getProperty(e,t,n=null){if(!t||!e)return;let r=e;if(n&&n.resolveScopedPath&&(r=n.resolveScopedPath(e)),"number"==typeof r)return r;if(r+="",-1===r.indexOf(".")&&-1===r.indexOf("["))return r in t?t[r]:void 0;const i=r.split(T).filter(Boolean);let a=t;for(let e=0;e<i.length;e++){if(null==a)return;let n=i[e];if("string"==typeof a)return a[n];isNaN(n)&&!(n in a)&&n in t&&(n=t[n]),a=a[n]}return a},evaluateArrayLiteral(e,t,n=null){const r=this;return e.elements?e.elements.map(e=>r.evaluate(e,t,n)):[]},evaluateObjectLiteral:function(e,t,n){const r=this,i={};return e.pairs&&e.pairs.forEach(({key:e,value:a})=>{i[e]=r.evaluate(a,t,n)}),i},performOperation(e,t,n){switch(t){case"+":return e+n;case"-":return Number(e)-Number(n);case"*":return Number(e)*Number(n);case"/":return Number(e)/Number(n);case"%":return Number(e)%Number(n);case"===":return e===n;case"!==":return e!==n;case"==":return e==n;case"!=":return e!=n;case">=":return e>=n;case"<=":return e<=n;case">":return e>n;case"<":return e<n;default:return!1}},parseBindingString(e){const t=[];let n="",r=!1,i="",a=0,o=0,s=0;for(let c=0;c<e.length;c++){const l=e[c];'"'!==l&&"'"!==l||c>0&&"\\"===e[c-1]||(r?l===i&&(r=!1,i=""):(r=!0,i=l)),r||("("===l?a++:")"===l?a--:"{"===l?o++:"}"===l?o--:"["===l?s++:"]"===l&&s--),","!==l||r||0!==a||0!==o||0!==s?n+=l:(this.addBindingPairIfValid(n,t),n="")}return this.addBindingPairIfValid(n,t),t},addBindingPairIfValid(e,t){const n=e.trim();if(!n)return;const r=n.indexOf(":");if(-1===r)return;const i=n.slice(0,r).trim().replace(/^['"]|['"]$/g,"");if(!i)return;const a=n.slice(r+1).trim();t.push({type:i,target:a})}},Ee={cache:new Map,bindingCache:new Map,maxSize:1e3,_cachedParse(e,t,n){const r=(t+"").trim();if(e.has(r))return e.get(r);const i=n(t);return e.size>=this.maxSize&&e.delete(e.keys().next().value),e.set(r,i),i},parseExpression(e){return this._cachedParse(this.cache,e,e=>be.parseExpression(e))},parseBindingString(e){return this._cachedParse(this.bindingCache,e,e=>be.parseBindingString(e))}},ve={};function we(e){this.context=e}ve.value=(e,t,n)=>{if("radio"!==t.type){if(t.multiple){const e=Array.isArray(n)?n.map(String):[];for(let n=0;n<t.options.length;n++)t.options[n].selected=e.includes(t.options[n].value);return}if("value"in t){const e=(n||"")+"";t.value!==e&&(t.value=e)}}else t.checked=t.value===n+""},ve.checked=(e,t,n)=>{if("checkbox"===t.type||"radio"===t.type){const e=!!n;t.checked!==e&&(t.checked=e)}},ve.visible=(e,t,n)=>{n?t.hasAttribute("data-pac-hidden")&&(t.style.display=t.getAttribute("data-pac-orig-display")||"block",t.removeAttribute("data-pac-hidden"),t.removeAttribute("data-pac-orig-display")):t.hasAttribute("data-pac-hidden")||(t.hasAttribute("data-pac-orig-display")||(e=>{const t=e.style.display;t&&"none"!==t?e.setAttribute("data-pac-orig-display",t):t||(e.setAttribute("data-pac-orig-display",""),requestAnimationFrame(()=>{const t=getComputedStyle(e).display;t&&"none"!==t&&e.setAttribute("data-pac-orig-display",t)}))})(t),t.style.display="none",t.setAttribute("data-pac-hidden","true"))},ve.placeholder=(e,t,n)=>{if("SELECT"!==t.tagName)return;const r=t.querySelector("option[data-pac-placeholder-option]");if(!r)return;const i=null!=n?n+"":"";r.textContent!==i&&(r.textContent=i)},ve.if=(e,t,n)=>{const r=!!n;void 0===t._pacIfChildren&&(t._pacIfChildren=Array.from(t.childNodes),t._pacIsVisible=!0),r!==t._pacIsVisible&&(e.domUpdater.toggleNodeVisibility(t._pacIfChildren,r),t._pacIsVisible=r,r&&e.scanAndRegisterNewElements(t))},ve.class=(e,t,n)=>{if("object"!=typeof n||null===n||Array.isArray(n)){if("string"==typeof n){const e=n.split(/\s+/).filter(Boolean),r=fe.getPacCache(t);if(r.dynamicClasses)for(let n=0;n<r.dynamicClasses.length;n++)-1===e.indexOf(r.dynamicClasses[n])&&t.classList.remove(r.dynamicClasses[n]);for(let n=0;n<e.length;n++)t.classList.add(e[n]);r.dynamicClasses=e}}else for(const e in n)n[e]?t.classList.add(e):t.classList.remove(e)},ve.style=(e,t,n)=>{if("object"!=typeof n||null===n||Array.isArray(n))"string"==typeof n&&(t.style.cssText=n);else for(const e in n)null!=n[e]&&(e.startsWith("--")?t.style.setProperty(e,n[e]):t.style[e]=n[e])},Ae.prototype.makeScopeResolverFor=function(e){return((e,t)=>({resolveScopedPath:n=>e(n,t),importedUnits:this.importedUnits||{}}))(this.normalizePath.bind(this),e)},Ae.prototype.evaluateExpression=(e,t,n)=>be.evaluate(Ee.parseExpression(e),t,n),Ae.prototype.evalInScope=function(e,t,n){return this.evaluateExpression(e,n||this.abstraction,this.makeScopeResolverFor(t))},we.prototype.updateTextNode=function(e,t){const n=this,r=t.replace(u,(t,r)=>{try{const t=n.context.evalInScope(r,e);return null!=t?t+"":""}catch(e){return console.warn("Error in text interpolation:",r,e),t}});e.textContent!==r&&(e.textContent=r)},we.prototype.updateAttributeBinding=function(e,t,n,r){try{const n=ve[t];if(n)return void n(this.context,e,r);if("click"===t||"foreach"===t)return;"enable"===t?e.toggleAttribute("disabled",!r):M.has(t)?e.toggleAttribute(t,!!r):null!=r?e.setAttribute(t,r):e.removeAttribute(t)}catch(e){console.warn("Error updating binding:",t,n,e)}},we.prototype.toggleNodeVisibility=function(e,t){const n=[];for(let r=0;r<e.length;r++)this.toggleEntry(e[r],t)&&n.push(e[r]);return n},we.prototype.toggleEntry=function(e,t){return e&&e.__wpGroup?t?this.showGroup(e):this.hideGroup(e):(t?this.showNode(e):this.hideNode(e),!1)},we.prototype.showNode=e=>{const t=e._pacIfPlaceholder;t&&t.parentNode&&t.parentNode.replaceChild(e,t)},we.prototype.hideNode=e=>{e.parentNode&&(e._pacIfPlaceholder||(e._pacIfPlaceholder=document.createComment("pac-if: hidden")),e.parentNode.replaceChild(e._pacIfPlaceholder,e))},we.prototype.hideGroup=e=>{if(e._pacGroupPlaceholder)return!1;if(!e.openMarker.parentNode)return!1;const t=[];for(let n=e.openMarker;n&&(t.push(n),n!==e.closeMarker);n=n.nextSibling);const n=document.createComment("pac-if: hidden group");return e.openMarker.parentNode.insertBefore(n,e.openMarker),t.forEach(e=>{e.parentNode&&e.parentNode.removeChild(e)}),e._pacGroupPlaceholder=n,e._pacGroupContents=t,!1},we.prototype.showGroup=e=>{const t=e._pacGroupPlaceholder;if(!t||!t.parentNode)return!1;const n=t.parentNode;return(e._pacGroupContents||[]).forEach(e=>{n.insertBefore(e,t)}),n.removeChild(t),e._pacGroupPlaceholder=null,e._pacGroupContents=null,!0};const Ce={rafId:null,nextTimerId:1,timers:new Map,add(e,t){const n=this.nextTimerId++;return this.timers.set(n,{context:e,timerId:n,elapse:t,lastFired:performance.now()}),null===this.rafId&&(this.rafId=requestAnimationFrame(this.loop.bind(this))),n},remove(e){this.timers.delete(e),0===this.timers.size&&null!==this.rafId&&(cancelAnimationFrame(this.rafId),this.rafId=null)},removeAllForContext(e){for(const[t,n]of this.timers)n.context===e&&this.timers.delete(t);0===this.timers.size&&null!==this.rafId&&(cancelAnimationFrame(this.rafId),this.rafId=null)},loop(e){for(const[,t]of this.timers)e-t.lastFired>=t.elapse&&(t.lastFired=e,Le.sendMessage(t.context.abstraction.pacId,275,t.timerId,0));this.rafId=this.timers.size>0?requestAnimationFrame(this.loop.bind(this)):null}};function Ae(e,t,n){this.originalAbstraction=t,this.parent=null,this.children=new Set,this.container=e,this.config=n,this.interpolationMap=new Map,this.textInterpolationMap=new Map,this.commentBindingMap=new Map,this.readyCalled=!1,this.abstraction=this.createReactiveAbstraction(),this.domUpdater=new we(this),this.dependencies=this.getDependencies(),this.initializeImportedUnits(),this.setupContainerScrollTracking(),this.initializeUpdateQueue(),this.registerPacEventListeners(),ye.observeContainer(this.container)}function _e(e,t){if(0===s.size)return e;if((t=t||0)>=10)return console.warn("wakaPAC: Partial expansion stopped at maximum depth (10). Check for circular partial references."),e;if(-1===(e=e.replace(/\{\{&gt;/g,"{{>")).indexOf("{{>"))return e;A.lastIndex=0;const n=e.replace(A,(e,t,n)=>{if(!s.has(t))return console.warn('wakaPAC: Unknown partial "{{> '+t+'}}" — register a <div data-pac-partial="'+t+'"> element in the document.'),e;let r=s.get(t);return n&&(_.lastIndex=0,r=r.replace(_,n+".")),r});return A.lastIndex=0,n!==e&&-1!==n.indexOf("{{>")?_e(n,t+1):n}function Te(e,t){const n=[];for(let r=0;r<e.length;r++){const i=e[r];if(!i||i.nodeType!==Node.ELEMENT_NODE)continue;const a=document.createTreeWalker(i,NodeFilter.SHOW_COMMENT);let o;for(;o=a.nextNode();)t.has(o)&&n.push(o)}return n}Ae.prototype.initializeImportedUnits=function(){this.importedUnits={};const e=this.container.getAttribute("data-pac-uses");e&&e.split(",").forEach(e=>{const t=e.trim(),n=i.get(t);n?Object.assign(this.importedUnits,n):console.warn(`WakaPAC: data-pac-uses references unknown unit "${t}"`)})},Ae.prototype.setupContainerScrollTracking=function(){const e=fe.debounce(()=>{this.updateContainerScrollState()},16);this.container.addEventListener("scroll",e,{passive:!0}),this.containerScrollHandler=e},Ae.prototype.initializeUpdateQueue=function(){this.updateQueue=new Map,this.updateQueueTimer=null,this.updateQueueFireAt=0},Ae.prototype.registerPacEventListeners=function(){this.boundHandlePacEvent=this.handleEvent.bind(this),this.container.addEventListener(v,this.boundHandlePacEvent),this.container.addEventListener(w,this.boundHandlePacEvent),this.container.addEventListener(C,this.boundHandlePacEvent)},Ae.prototype.initializeCanvas=function(){this.container instanceof HTMLCanvasElement&&(this.contextType=this.container.dataset.pacContext||"2d","2d"===this.contextType&&(ye.invalidateRect(this.abstraction.pacId),ye.flushPaintQueue()))},Ae.prototype.destroy=function(){if(ye.releaseCaptureIfOwnedBy(this.container),ye.unObserveContainer(this.container),this.container.removeEventListener(C,this.boundHandlePacEvent),this.container.removeEventListener(w,this.boundHandlePacEvent),this.container.removeEventListener(v,this.boundHandlePacEvent),this.boundHandlePacEvent=null,null!==this.updateQueueTimer&&(clearTimeout(this.updateQueueTimer),this.updateQueueTimer=null),this.containerScrollHandler&&(this.containerScrollHandler.cancel(),this.container.removeEventListener("scroll",this.containerScrollHandler),this.containerScrollHandler=null),this.killAllTimers(),this.abstraction.destroy&&"function"==typeof this.abstraction.destroy)try{this.abstraction.destroy()}catch(e){console.warn("Error in user destroy() hook:",e)}this.parent&&this.parent.children&&this.parent.children.delete(this),this.interpolationMap.clear(),this.textInterpolationMap.clear(),this.commentBindingMap.clear(),this.updateQueue.clear();const e=this.abstraction.pacId||null,t=this.parent&&this.parent.abstraction?.pacId||null;e&&window.PACRegistry.deregister(e),this.abstraction=null,this.container=null,this.parent=null,this.children=null,this.config=null,t&&e&&Le.postMessage(t,2,0,0,{childPacId:e})},Ae.prototype.setTimer=function(e){return Ce.add(this,e)},Ae.prototype.killTimer=e=>Ce.remove(e),Ae.prototype.killAllTimers=function(){return Ce.removeAllForContext(this)},Ae.prototype.updateContainerScrollState=function(){const e=this.container.scrollLeft,t=this.container.scrollTop,n=this.container.clientWidth,r=this.container.clientHeight,i=this.container.scrollWidth,a=this.container.scrollHeight,o=i>this.abstraction.containerWidth||a>this.abstraction.containerHeight;this.abstraction.containerScrollX=e,this.abstraction.containerScrollY=t,this.abstraction.containerContentWidth=i,this.abstraction.containerContentHeight=a,this.abstraction.containerIsScrollable=o,Object.assign(this.abstraction.containerScrollWindow,{top:t,left:e,right:e+n,bottom:t+r,x:e,y:t})},Ae.prototype.scanAndRegisterNewElements=function(e){const t=this;(e=>{if(0===s.size)return;const t=document.createTreeWalker(e,NodeFilter.SHOW_TEXT),n=[];let r;for(;r=t.nextNode();)-1!==r.textContent.indexOf("{{>")&&n.push(r);0!==n.length&&n.forEach(e=>{const t=_e(e.textContent,0);if(t===e.textContent)return;const n=document.createElement("template");n.innerHTML=t,e.parentNode.replaceChild(n.content,e)})})(e);const n=this.scanBindings(e),r=this.scanTextBindings(e),i=this.scanCommentBindings(e);n.forEach((t,n)=>{n!==e&&this.interpolationMap.set(n,t)}),r.forEach((e,t)=>{this.textInterpolationMap.set(t,e)}),i.forEach((e,n)=>{this.commentBindingMap.set(n,e),t.updateCommentConditional(n,e)}),n.forEach((e,n)=>{Object.keys(e.bindings).forEach(r=>{if("click"===r||"submit"===r)return;const i=e.bindings[r],a=t.evalInScope(i.target,n);t.domUpdater.updateAttributeBinding(n,r,i,a)})}),r.forEach((e,n)=>{t.domUpdater.updateTextNode(n,e.template)}),Array.from(n.entries()).filter(([t,n])=>n.bindings.foreach&&t!==e).sort(([,e],[,t])=>t.depth-e.depth).forEach(([e])=>{this.renderForeach(e,this.evaluateForeachArray(e))}),this.updateContainerScrollState()},Ae.prototype.getElementDepth=function(e){let t=0,n=e;for(;n&&n!==this.container;)t++,n=n.parentElement;return t},Ae.prototype.getDependencies=function(){const e=this.originalAbstraction.computed??{},t=new Set(Object.keys(e)),n=new Set,r=new Proxy(this.originalAbstraction,{get(e,i){"string"==typeof i&&n.add(i);const a=e[i];return"function"==typeof a&&t.has(i)?a.call(r):a}}),i=new Map;for(const a of t){n.clear(),e[a].call(r);for(const e of n)i.has(e)||i.set(e,new Set),i.get(e).add(a)}let a=!0;for(;a;){a=!1;for(const[,e]of i)for(const n of[...e])if(t.has(n))for(const t of i.get(n)??[])e.has(t)||(e.add(t),a=!0)}return i},Ae.prototype.inferArrayRoot=function(e){for(const[t,n]of this.dependencies){const r=Array.isArray(this.abstraction[t]);if(n.has(e)&&r)return t}return e},Ae.prototype.updateQueueHandler=function(){if(this.updateQueueTimer=null,this.updateQueueFireAt=0,0===this.updateQueue.size)return;const e=Date.now();let t=1/0;const n=[];this.updateQueue.forEach((r,i)=>{if("delay"===r.trigger)if(e>=r.executeAt){n.push(i);try{fe.setNestedProperty(i,r.value,this.abstraction)}catch(e){console.warn(`Error applying queued update for path "${i}":`,e)}}else r.executeAt<t&&(t=r.executeAt)});for(let e=0;e<n.length;e++)this.updateQueue.delete(n[e]);t<1/0&&this.scheduleQueueProcessing(t-e)},Ae.prototype.scheduleQueueProcessing=function(e){const t=this,n=Math.max(e,1),r=Date.now()+n;null!==this.updateQueueTimer&&this.updateQueueFireAt<=r||(null!==this.updateQueueTimer&&clearTimeout(this.updateQueueTimer),this.updateQueueFireAt=r,this.updateQueueTimer=setTimeout(()=>{t.updateQueueHandler()},n))},Ae.prototype.getUpdateConfiguration=function(e){const t=e.getAttribute("data-pac-update-mode")||this.config.updateMode||"immediate",n=parseInt(e.getAttribute("data-pac-update-delay"))||this.config.delay||300;return{updateMode:t,delay:Math.min(n,3e3)}},Ae.prototype.handleEvent=function(e){switch(e.type){case"pac:event":this.handlePacEvent(e);break;case"pac:change":this.handleReactiveChange(e);break;case"pac:browser-state":this.handleBrowserStateEvent(e);break;default:console.warn("Unhandled event type "+e.type)}},Ae.prototype.handlePacEvent=function(e){let t=!1;if(this.originalAbstraction.msgProc&&"function"==typeof this.originalAbstraction.msgProc){const n=this.originalAbstraction.msgProc.call(this.abstraction,e);[I,V,K,U,H,G,z,q,Y,ie,768,Z,ee,te,ne].includes(e.message)&&!1===n&&(t=!0)}if(t)e.preventDefault();else switch(e.message){case 7:this.updateFocusProperties();break;case 8:this.updateFocusProperties(),this.handleDomBlur(e);break;case U:this.handleDomClicks(e);break;case q:this.handleDomSubmit(e);break;case Y:this.handleDomChange(e);break;case J:this.handleDomInputComplete(e)}},Ae.prototype.updateFocusProperties=function(){this.abstraction.containerFocus=fe.isElementDirectlyFocused(this.container),this.abstraction.containerFocusWithin=fe.isElementFocusWithin(this.container)},Ae.prototype.evaluateHandlerExpression=function(e,t,n,r){const i=this.evaluateExpression(e,t,n);return"function"==typeof i&&i.call(this.abstraction,...r),i},Ae.prototype.invokeEventBinding=function(e,t,n){try{const e=this.makeScopeResolverFor(n.target),r=Object.assign(Object.create(this.abstraction),{$event:n});this.evaluateHandlerExpression(t,r,e,[n])}catch(n){console.warn(`Error executing ${e} binding '${t}':`,n)}},Ae.prototype.findClickBindingElement=function(e){let t=ye.normalizeToElement(e);for(;t;){const e=this.interpolationMap.get(t);if(e?.bindings?.click)return t;if(ye.isInherentlyInteractive(t))return null;if(t===this.container)return null;t=t.parentElement}return null},Ae.prototype.handleDomClicks=function(e){const t=this.findClickBindingElement(e.realTarget);if(!t)return;Object.defineProperty(e,"target",{value:t,enumerable:!0,configurable:!0});const n=this.interpolationMap.get(t).bindings.click.target;try{const t=this.extractClosestForeachContext(e.target);if(t){const r=Array.from(this.interpolationMap.entries()).find(([,e])=>e.foreachId===t.foreachId)?.[0];if(r){const i=this.makeScopeResolverFor(e.target),a=this.interpolationMap.get(r),o=this.evaluateExpression(a.foreachExpr,this.abstraction,i),s=Object.assign(Object.create(this.abstraction),{$item:o[t.index],$index:t.index,$event:e});return void this.evaluateHandlerExpression(n,s,i,[e,o[t.index],t.index])}}}catch(e){return void console.warn(`Error executing click binding '${n}':`,e)}this.invokeEventBinding("click",n,e)},Ae.prototype.handleDomSubmit=function(e){const t=this.interpolationMap.get(e.target);t?.bindings?.submit&&(e.preventDefault(),this.invokeEventBinding("submit",t.bindings.submit.target,e))},Ae.prototype.handleDomChange=function(e){const t=this,n=e.target,r=this.interpolationMap.get(n);if(r){if(this.syncValueBindingFromElement(n,r),r.bindings.value){const e=this.normalizePath(r.bindings.value.target,n);this.updateQueue.delete(e)}if(r.bindings.checked){const e=t.normalizePath(r.bindings.checked.target,n);"checkbox"===n.type?fe.setNestedProperty(e,n.checked,this.abstraction):"radio"===n.type&&n.checked&&fe.setNestedProperty(e,n.value,this.abstraction)}r.bindings.change&&this.invokeEventBinding("change",r.bindings.change.target,e)}},Ae.prototype.syncValueBindingFromElement=function(e,t){const n=t.bindings.value;if(!n)return;const r=this.normalizePath(n.target,e),i="SELECT"===e.tagName&&e.multiple?Array.from(e.selectedOptions).map(e=>e.value):e.value;fe.setNestedProperty(r,i,this.abstraction)},Ae.prototype.handleDomInputComplete=function(e){const t=e.target,n=this.interpolationMap.get(t);if(n&&n.bindings.value){const e=this.normalizePath(n.bindings.value.target,t),r=this.getUpdateConfiguration(t);switch(r.updateMode){case"immediate":fe.setNestedProperty(e,t.value,this.abstraction);break;case"delayed":this.updateQueue.set(e,{trigger:"delay",value:t.value,executeAt:Date.now()+r.delay}),this.scheduleQueueProcessing(r.delay);break;case"change":this.updateQueue.set(e,{trigger:"blur",value:t.value,elementId:fe.getElementIdentifier(t)})}}},Ae.prototype.handleDomBlur=function(e){const t=e.target;if(!this.interpolationMap.get(t))return;const n=fe.getElementIdentifier(t),r=[];this.updateQueue.forEach((e,t)=>{"blur"===e.trigger&&e.elementId===n&&r.push({path:t,value:e.value})}),r.forEach(e=>{try{fe.setNestedProperty(e.path,e.value,this.abstraction),this.updateQueue.delete(e.path)}catch(t){console.warn("Error applying blur-triggered update for path:",e.path,t),this.updateQueue.delete(e.path)}})},Ae.prototype.handleReactiveChange=function(e){this.updateElementBindings(),this.updateTextInterpolations(),this.updateCommentConditionals(),this.handleWatchersForChange(e),this.handleForeachRebuildForChange(e)},Ae.prototype.updateElementBindings=function(){const e=this.abstraction,t=this.domUpdater,n=this;this.interpolationMap.forEach((r,i)=>{const a=r.bindings,o=Object.keys(a);if(0===o.length)return;const s=fe.getPacCache(i);s.previousValues||(s.previousValues={});const c=s.previousValues;for(let r=0,s=o.length;r<s;r++){const s=o[r];if("foreach"!==s&&"click"!==s)try{const r=a[s],o=n.evalInScope(r.target,i,e);fe.isEqual(c[s],o)||(c[s]=o,t.updateAttributeBinding(i,s,r,o))}catch(e){console.warn("Error evaluating binding:",s,e)}}})},Ae.prototype.updateTextInterpolations=function(){const e=this.abstraction,t=this;this.textInterpolationMap.forEach((n,r)=>{try{const i=fe.getPacCache(r);i.previousText||(i.previousText=r.textContent);const a=n.template.replace(u,(n,i)=>{try{const n=t.evalInScope(i,r,e);return null!=n?n+"":""}catch(e){return console.warn("Error evaluating text interpolation:",i,e),n}});i.previousText!==a&&(r.textContent=a,i.previousText=a)}catch(e){console.warn("Error updating text node:",e)}})},Ae.prototype.updateCommentConditionals=function(){this.commentBindingMap.forEach((e,t)=>{this.updateCommentConditional(t,e)})},Ae.prototype.handleWatchersForChange=function(e){const t=e.detail.path,n=t[0];if(1===t.length)return void this.triggerWatcher(n,e.detail.newValue,e.detail.oldValue);const r=this.abstraction[n];if(Array.isArray(r))return;if(r&&r._externalProxy)return void this.triggerWatcher(n,r,null);const i={...r};let a=i;for(let e=1;e<t.length-1;e++)a=a[t[e]];a[t[t.length-1]]=e.detail.oldValue,this.triggerWatcher(n,r,i)},Ae.prototype.handleForeachRebuildForChange=function(e){const t=e.detail.path,n=fe.pathArrayToString(t),r=Array.isArray(e.detail.newValue),i=1===t.length?t[0]:null,a=i?this.dependencies.get(i):null,o=i?RegExp("\\["+i+"\\]"):null,s=r?new Set(this.findForeachElementsByArrayPath(n)):null;for(const[e,t]of this.interpolationMap){if(!t.bindings||!t.bindings.foreach)continue;const n=null!==s&&s.has(e);let r=!1,c=!1;if(i){const e=t.foreachExpr,n=t.sourceArray;r=a&&(a.has(e)||a.has(n)),c=o.test(e)}if(!n&&!r&&!c)continue;const l=n?this.evaluateForeachArray(e):this.getChangedForeachArray(e);this.renderForeach(e,l)}},Ae.prototype.triggerWatcher=function(e,t,n){if(this.originalAbstraction.watch&&this.originalAbstraction.watch[e]&&"function"==typeof this.originalAbstraction.watch[e])try{this.originalAbstraction.watch[e].call(this.abstraction,t,n)}catch(t){console.warn("Error in watcher for '"+e+"':",t)}},Ae.prototype.handleBrowserStateEvent=function(e){const{stateType:t,stateData:n}=e.detail;switch(t){case"visibility":this.abstraction.browserVisible=n.visible;break;case"online":this.abstraction.browserOnline=n.online,this.abstraction.browserNetworkEffectiveType=n.networkType,this.abstraction.browserNetworkQuality=n.networkQuality;break;case"scroll":this.abstraction.browserScrollX=n.scrollX,this.abstraction.browserScrollY=n.scrollY;break;case"resize":{this.abstraction.browserViewportWidth=n.viewportWidth,this.abstraction.browserViewportHeight=n.viewportHeight,this.abstraction.browserContentWidth=n.documentWidth,this.abstraction.browserContentHeight=n.documentHeight,this.abstraction.browserScrollX=n.scrollX,this.abstraction.browserScrollY=n.scrollY;const e=this.container.getBoundingClientRect();this.abstraction.containerClientRect=fe.domRectToSimpleObject(e),this.abstraction.containerWidth=e.width,this.abstraction.containerHeight=e.height,this.abstraction.containerVisible=fe.isElementVisible(this.container),this.abstraction.containerFullyVisible=fe.isElementFullyVisible(this.container);break}case"orientation":this.abstraction.browserOrientationAngle=n.angle,this.abstraction.browserOrientationType=n.type;break;case"dpr":this.abstraction.browserDevicePixelRatio=n.ratio,Le.sendMessage(this.abstraction.pacId,16,Math.round(100*n.ratio),0);break;default:console.warn("Unknown browser state message "+t)}},Ae.prototype.scanBindings=function(e){const t=new Map,n=e.querySelectorAll("[data-pac-bind]");for(let e=0,r=n.length;e<r;e++){const r=n[e];if(!fe.belongsToPacContainer(this.container,r))continue;const i=r.getAttribute("data-pac-bind"),a=Ee.parseBindingString(i),o=Object.create(null);for(let e=0,t=a.length;e<t;e++)o[a[e].type]={target:a[e].target};t.set(r,{bindingString:i,bindings:o})}return this.extendBindingsWithForEachData(t),t},Ae.prototype.findElementByForEachId=function(e){for(const[t,n]of this.interpolationMap)if(n.foreachId===e)return t;return null},Ae.prototype.extendBindingsWithForEachData=function(e){const t=this;e.forEach((n,r)=>{if(!n.bindings.foreach)return;if(n.foreachId)return;if(r.hasAttribute("data-pac-foreach-id")){const n=r.getAttribute("data-pac-foreach-id"),i=t.findElementByForEachId(n),a=t.interpolationMap.get(i);if(i&&a)return e.set(r,a),void t.interpolationMap.delete(i);r.removeAttribute("data-pac-foreach-id")}const i=fe.uniqid("foreach");r.setAttribute("data-pac-foreach-id",i);const a=n.bindings.foreach.target,o=r.getAttribute("data-pac-item")||"item",s=r.getAttribute("data-pac-index")||"$index",c=t.getElementDepth(r);Object.assign(n,{foreachId:i,foreachExpr:a,sourceArray:this.inferArrayRoot(a),template:r.innerHTML,itemVar:o,indexVar:s,depth:c}),e.set(r,n)})},Ae.prototype.scanTextBindings=function(e){const t=new Map,n=this.container,r=document.createTreeWalker(e,NodeFilter.SHOW_TEXT|NodeFilter.SHOW_ELEMENT,{acceptNode:e=>{if(e.nodeType===Node.ELEMENT_NODE){if(fe.belongsToPacContainer(n,e)){const n=e.attributes,r=e.getAttribute("data-pac-bind"),i=r?new Set(Ee.parseBindingString(r).map(e=>e.type)):null;for(let r=0,a=n.length;r<a;r++){const a=n[r];if(0!==a.name.indexOf("data-pac-")&&d.test(a.value)){if(i&&i.has(a.name)){console.warn("wakaPAC: <"+e.tagName.toLowerCase()+'> has both data-pac-bind="'+a.name+': ..." and '+a.name+'="'+a.value+'" — the {{ }} interpolation would overwrite the data-pac-bind value on every update. Use only one binding mechanism for this attribute.');continue}t.set(a,{template:a.value})}}}return NodeFilter.FILTER_SKIP}return d.test(e.textContent)&&fe.belongsToPacContainer(n,e)?NodeFilter.FILTER_ACCEPT:NodeFilter.FILTER_SKIP}});let i;for(;i=r.nextNode();)t.set(i,{template:i.textContent});return t},Ae.prototype.scanCommentBindings=function(e){const t=new Map,n=[],r=document.createTreeWalker(e,NodeFilter.SHOW_COMMENT,{acceptNode:e=>fe.belongsToPacContainer(this.container,e)?NodeFilter.FILTER_ACCEPT:NodeFilter.FILTER_SKIP});let i;for(;i=r.nextNode();){const e=i.nodeValue,r=e.match(g);if(r){n.push({comment:i,expression:r[1].trim()});continue}if(!e.match(f)||0===n.length)continue;const{comment:a,expression:o}=n.pop();if(this.commentBindingMap.has(a))continue;const s=[{expression:o,nodes:[],scanned:!1}];let c=s[0].nodes,l=s[0],h=a.nextSibling;for(;h&&h!==i;){if(h.nodeType===Node.COMMENT_NODE){const e=h.nodeValue.match(m);if(e){const t={expression:e[1].trim(),nodes:[],scanned:!1};s.push(t),c=t.nodes,l=t,h=h.nextSibling;continue}if(h.nodeValue.match(y)){const e={expression:null,nodes:[],scanned:!1};s.push(e),c=e.nodes,l=e,h=h.nextSibling;continue}if(h.nodeValue.match(g)){const e=h;let t=h,n=0;do{t=h,h.nodeType===Node.COMMENT_NODE&&(h.nodeValue.match(g)?n++:h.nodeValue.match(f)&&n--),h=h.nextSibling}while(h&&n>0);c.push(b(e,t));continue}}if(h.nodeType===Node.ELEMENT_NODE){const e=Te([h],t);e.length>0&&(l.buriedWpIfs=(l.buriedWpIfs||[]).concat(e))}c.push(h),h=h.nextSibling}let u=a.parentNode;for(;u&&u.nodeType!==Node.ELEMENT_NODE;)u=u.parentNode;t.set(a,{expression:o,closingComment:i,branches:s,scopeResolver:{resolveScopedPath:e=>u?this.normalizePath(e,u):e},isVisible:null})}return n.length>0&&console.warn("WakaPAC: Unmatched wp-if comment directives found",n),t},Ae.prototype.updateCommentConditional=function(e,t){try{const e=this.abstraction,r=t.scopeResolver,i=t.branches;let a=-1;for(let t=0;t<i.length;t++){const n=i[t];if(null===n.expression||this.evaluateExpression(n.expression,e,r)){a=t;break}}if(a===t.isVisible)return;let o=[];for(let e=0;e<i.length;e++){const t=this.domUpdater.toggleNodeVisibility(i[e].nodes,e===a);t&&t.length>0&&(o=o.concat(t))}if(t.isVisible=a,-1===a||i[a].scanned||(n=this,i[a].nodes.forEach(e=>{e.nodeType===Node.ELEMENT_NODE&&n.scanAndRegisterNewElements(e)}),i[a].scanned=!0),-1!==a&&i[a].buriedWpIfs){const e=i[a].buriedWpIfs;for(let t=0;t<e.length;t++){const n=e[t],r=this.commentBindingMap.get(n);o.push(b(n,r.closingComment))}}o.length>0&&this.reconcileRevealedGroups(o)}catch(e){console.warn("WakaPAC: Error processing wp-if comment directive:",t.expression,e)}var n},Ae.prototype.reconcileRevealedGroups=function(e){e.forEach(e=>{const t=this.commentBindingMap.get(e.openMarker);t&&(t.isVisible=null,t.branches.forEach(e=>{e.scanned=!1}),this.updateCommentConditional(e.openMarker,t)),this.reconcileIfBindings(e)})},Ae.prototype.reconcileIfBindings=function(e){let t=!1;for(let n=e.openMarker;n&&(n.nodeType===Node.ELEMENT_NODE&&[n].concat(Array.from(n.querySelectorAll("[data-pac-bind]"))).forEach(e=>{const n=e.getAttribute("data-pac-bind");n&&Ee.parseBindingString(n).some(e=>"if"===e.type)&&void 0!==e._pacIsVisible&&(e._pacIsVisible=void 0,e._pacIfChildren=void 0,t=!0)}),n!==e.closeMarker);n=n.nextSibling);t&&this.updateElementBindings()},Ae.prototype.resolveAliases=function(e){Object.keys(e).forEach(function(t){const n=e[t];if(!n||!0!==n.__waka_alias)return;const r=n.target;r!==t?(delete e[t],Object.defineProperty(e,t,{get(){return fe.getNestedValue(this,r)},set(e){fe.setNestedProperty(r,e,this)},enumerable:!0,configurable:!0})):console.warn('wakaPAC.sameAs: alias "'+t+'" cannot reference itself')})},Ae.prototype.createReactiveAbstraction=function(){const e=this;this.injectHierarchyProperties(this.originalAbstraction),this.injectSystemProperties(this.originalAbstraction),this.resolveAliases(this.originalAbstraction);const t=function(e,t){const n=["push","pop","shift","unshift","splice","sort","reverse"];function r(e){return"string"==typeof e&&!e.startsWith("_")&&!e.startsWith("$")}function i(e,n,r){t.dispatchEvent(new CustomEvent(w,{detail:{path:e,oldValue:n,newValue:r}}))}return e&&"object"==typeof e?function e(a,o){return o=o||[],new Proxy(a,{get:(t,a)=>((t,a,o)=>{if("unwrap"===a)return()=>t;const s=t[a];if(Array.isArray(t)&&"function"==typeof s&&n.includes(a))return((t,n,r)=>function(){const a=Array.prototype.slice.call(t),o=Array.prototype[n].apply(t,arguments),s=Array.prototype.slice.call(t);s.forEach((t,n)=>{if(t&&"object"==typeof t&&!t._isReactive){const i=r.concat([n]);s[n]=e(t,i),s[n]._isReactive=!0}});for(let e=0;e<s.length;e++)t[e]=s[e];return i(r,a,t),o})(t,a,o);const c=Object.getOwnPropertyDescriptor(t,a);if(c&&c.get&&!c.set)return s;if("function"==typeof s)return s;if(s&&"object"==typeof s&&!s._isReactive&&r(a)){if(s._externalProxy)return s;const n=e(s,o.concat([a]));return n._isReactive=!0,Object.defineProperty(t,a,{value:n,writable:!0,enumerable:!0,configurable:!0}),n}return s})(t,a,o),set:(n,a,s)=>((n,a,o,s)=>{if(Array.isArray(n)&&"length"===a)return((e,t,n)=>{if(e.length===t)return!0;const r=Array.prototype.slice.call(e);return e.length=t,i(n,r,Array.prototype.slice.call(e)),!0})(n,o,s);const c=n[a],l=s.concat([a]);return c===o||(((e,n,r)=>{1===r.length&&("containerScrollX"===e&&t?t.scrollLeft=n:"containerScrollY"===e&&t?t.scrollTop=n:"browserScrollX"===e?window.scrollTo(n,window.scrollY):"browserScrollY"===e&&window.scrollTo(window.scrollX,n))})(a,o,l),r(a)?(o&&"object"==typeof o?(n[a]=e(o,l),n[a]._isReactive=!0):n[a]=o,i(l,c,n[a]),!0):(n[a]=o,!0))})(n,a,s,o),deleteProperty:(e,t)=>((e,t,n)=>{if(!(t in e))return!0;if(!r(t))return delete e[t],!0;const a=e[t],o=n.concat([t]);return delete e[t],i(o,a,void 0),!0})(e,t,o)})}(e,[]):e}(this.originalAbstraction,this.container);Object.keys(this.originalAbstraction).forEach(n=>{"function"==typeof e.originalAbstraction[n]&&"computed"!==n&&(t[n]=e.originalAbstraction[n].bind(t))});const n=this.originalAbstraction.computed||{};return Object.keys(n).forEach(e=>{Object.defineProperty(t,e,{get:()=>n[e].call(t),enumerable:!0,configurable:!0})}),Object.assign(t,{toJSON:function(){const t={},n=e.originalAbstraction.computed?Object.keys(e.originalAbstraction.computed):[];return Object.keys(this).forEach(e=>{const r=this[e];void 0===r||"function"==typeof r||n.includes(e)||(t[e]=r)}),t}}),Object.defineProperties(t,{containerToViewport:{value:(t,n)=>{const r=e.container.getBoundingClientRect();return{x:t+r.left,y:n+r.top}},writable:!1,enumerable:!1},viewportToContainer:{value:(t,n)=>{const r=e.container.getBoundingClientRect();return{x:t-r.left,y:n-r.top}},writable:!1,enumerable:!1}}),this.container._externalProxy=!0,Object.defineProperty(t,"container",{value:this.container,writable:!1,enumerable:!0,configurable:!0}),Object.defineProperty(t,"pacId",{value:fe.getPacId(this.container),writable:!1,enumerable:!0,configurable:!0}),t},Ae.prototype.injectHierarchyProperties=e=>{e.childrenCount=0,e.hasParent=!1},Ae.prototype.injectSystemProperties=function(e){e.browserOnline=navigator.onLine,e.browserNetworkEffectiveType=fe.getNetworkEffectiveType(),e.browserNetworkQuality=fe.detectNetworkQuality(),e.browserVisible=!document.hidden,e.browserScrollX=window.scrollX,e.browserScrollY=window.scrollY,e.browserViewportHeight=window.innerHeight,e.browserViewportWidth=window.innerWidth,e.browserContentWidth=document.documentElement.scrollWidth,e.browserContentHeight=document.documentElement.scrollHeight,e.containerIsScrollable=!1,e.containerScrollX=this.container.scrollLeft,e.containerScrollY=this.container.scrollTop,e.containerContentWidth=this.container.scrollWidth,e.containerContentHeight=this.container.scrollHeight,e.containerScrollWindow={top:0,left:0,right:0,bottom:0,x:0,y:0},e.containerVisible=null,e.containerFullyVisible=null,e.containerFocus=fe.isElementDirectlyFocused(this.container),e.containerFocusWithin=fe.isElementFocusWithin(this.container),e.containerClientRect={top:0,left:0,right:0,bottom:0,width:0,height:0,x:0,y:0},e.containerWidth=this.container.clientWidth,e.containerHeight=this.container.clientHeight,e.browserOrientationAngle=screen.orientation?screen.orientation.angle:0,e.browserOrientationType=screen.orientation?screen.orientation.type:"unknown",e.browserDevicePixelRatio=window.devicePixelRatio||1},Ae.prototype.findParentForeachElement=function(e){let t=e.parentElement;for(;t&&t!==this.container;){if(t.hasAttribute("data-pac-bind")&&t.getAttribute("data-pac-bind").includes("foreach:"))return t;t=t.parentElement}return null},Ae.prototype.buildIndexMap=(e,t)=>{const n=new Set,r=new Map;return t.forEach((t,i)=>{for(let a=0;a<e.length;a++)if(!n.has(a)&&e[a]===t){n.add(a),r.set(i,a);break}}),r},Ae.prototype.renderForeach=function(e,t){const n=this,r=this.interpolationMap.get(e);if(r&&r.foreachId){if(t){this.cleanupForeachMaps(e);try{const i=r.sourceArray||this.inferArrayRoot(r.foreachExpr),a=i&&this.abstraction[i],o=Array.isArray(a)?a:t;fe.getPacCache(e).previousArray=t;let s="";const c=_e(r.template),l=n.buildIndexMap(o,t);if(t.forEach((e,t)=>{const i=l.has(t)?l.get(t):t;s+=n.buildForeachItemHTML(r.foreachId,c,i,t)}),"SELECT"===e.tagName&&r.bindings.placeholder){const t=r.bindings.placeholder.target;let i="";try{const r=n.evalInScope(t,e);i=null!=r?r+"":""}catch(e){console.warn(`Error evaluating placeholder binding "${t}":`,e)}s=`<option value="" data-pac-placeholder-option>${fe.escapeHtml(i)}</option>`+s}e.innerHTML=s,this.cacheContextOnItemElements(e),this.scanAndRegisterNewElements(e),this.syncSelectAfterForeach(e),Le.sendMessage(this.abstraction.pacId,1024,t.length,0,{arrayName:r.foreachExpr,marker:e.getAttribute("data-pac-marker")??null})}catch(e){console.warn(`Error rendering foreach for expression "${r.foreachExpr}":`,e)}}}else console.warn("No foreach binding found for element")},Ae.prototype.syncSelectAfterForeach=function(e){let t=null,n=null;"SELECT"===e.tagName?(t=e,n=this.interpolationMap.get(e)):e.parentElement&&"SELECT"===e.parentElement.tagName&&(t=e.parentElement,n=this.interpolationMap.get(t)),t&&n&&n.bindings.value&&this.syncValueBindingFromElement(t,n)},Ae.prototype.getForeachChain=function(e){e.nodeType===Node.ATTRIBUTE_NODE&&(e=e.ownerElement);const t=fe.getPacCache(e);if(t.foreachChain)return t.foreachChain;const n=[],r=this.container,i=this.interpolationMap;let a=e;for(;a;){const e=this.extractClosestForeachContext(a);if(e){const t=r.querySelector(`[data-pac-foreach-id="${e.foreachId}"]`),a=t&&i.get(t);a&&n.push({foreachId:e.foreachId,depth:a.depth,index:e.index,renderIndex:e.renderIndex,container:t,itemVar:a.itemVar,indexVar:a.indexVar,sourceArray:a.sourceArray})}a=this.findParentForeachElement(a)}return t.foreachChain=n,n},Ae.prototype.resolveScopedTokens=(e,t)=>{const n=[];for(let r=0;r<e.length;r++){const i=e[r];if(!t.has(i)){n.push(i);continue}const a=t.get(i);if("number"==typeof a){n.push(a);continue}const o=fe.pathStringToArray(a);for(let e=0;e<o.length;e++)n.push(o[e])}return n},Ae.prototype.buildForeachScope=function(e){const t=new Map;for(const n of e){if(!t.has(n.itemVar)){const e=fe.pathStringToArray(n.sourceArray),r=this.resolveScopedTokens(e,t),i=fe.pathArrayToString(r);t.set(n.itemVar,`${i}[${n.index}]`)}n.indexVar&&!t.has(n.indexVar)&&t.set(n.indexVar,n.index)}return t},Ae.prototype.normalizePath=function(e,t){const n=fe.pathStringToArray(e);if(0===n.length)return"";let r=0;for(;r<n.length&&"parent"===n[r];)r++;const i=this.getForeachChain(t);r>i.length&&(console.warn(`Cannot climb ${r} levels - only ${i.length} available`),r=i.length);const a=i.slice(r).reverse();if(0===a.length){const e=n.slice(r);return 0===e.length?"":1===e.length&&"number"==typeof e[0]?e[0]:fe.pathArrayToString(e)}const o=this.buildForeachScope(a),s=n.slice(r);if(0===s.length)return"";const c=this.resolveScopedTokens(s,o);return 1===c.length&&"number"==typeof c[0]?c[0]:fe.pathArrayToString(c)},Ae.prototype.evaluateForeachArray=function(e){const t=this.interpolationMap.get(e);if(!t||!t.foreachId)return null;try{const n=this.evalInScope(t.foreachExpr,e);return n?Array.isArray(n)?n:(console.warn(`Foreach expression "${t.foreachExpr}" did not evaluate to an array, got:`,typeof n,n),e.innerHTML="",null):null}catch(e){return console.warn(`Error evaluating foreach expression "${t.foreachExpr}":`,e),null}},Ae.prototype.getChangedForeachArray=function(e){const t=this.evaluateForeachArray(e);if(!t)return null;const n=fe.getPacCache(e).previousArray;if(!n)return t;if(t.length!==n.length)return t;for(let e=0;e<t.length;e++)if(t[e]!==n[e])return t;return null},Ae.prototype.findForeachElementsByArrayPath=function(e){const t=[];for(const[n,r]of this.interpolationMap){if(!r.bindings?.foreach)continue;const{foreachExpr:i,sourceArray:a}=r,o=t=>t===e||e.startsWith(t+"[");if(o(i)||o(a))t.push(n);else try{o(r._resolvedForeachExpr??=this.normalizePath(i,n))&&t.push(n)}catch(e){}}return t},Ae.parseForeachComment=e=>{const t=e.textContent.trim().match(p);return t?{foreachId:t[1].trim(),index:parseInt(t[2],10),renderIndex:parseInt(t[3],10)}:null},Ae.prototype.extractClosestForeachContext=function(e){const t=this.container,n=Node.COMMENT_NODE;let r=e;for(;r&&r!==t;){const t=fe.getPacCache(r);if(t.foreachContext)return t.foreachContext;let i=r.previousSibling;for(;i;){if(i.nodeType===n){const t=Ae.parseForeachComment(i);if(t)return fe.getPacCache(e).foreachContext=t,t}i=i.previousSibling}r=r.parentElement}return null},Ae.prototype.cacheContextOnItemElements=e=>{let t,n=null;const r=document.createTreeWalker(e,NodeFilter.SHOW_ALL);for(;t=r.nextNode();)if(t.nodeType===Node.COMMENT_NODE){const e=Ae.parseForeachComment(t);e?n=e:"/pac-foreach-item"===t.textContent.trim()&&(n=null)}else t.nodeType===Node.ELEMENT_NODE&&n&&(fe.getPacCache(t).foreachContext=n)},Ae.prototype.cleanupForeachMaps=function(e){const t=[],n=[];this.interpolationMap.forEach((n,r)=>{e.contains(r)&&r!==e&&t.push(r)}),this.textInterpolationMap.forEach((t,r)=>{const i=r.nodeType===Node.ATTRIBUTE_NODE?r.ownerElement:r;e.contains(i)&&n.push(r)}),t.forEach(e=>{this.interpolationMap.delete(e),delete e._pacCache}),n.forEach(e=>{this.textInterpolationMap.delete(e),delete e._pacCache})},Ae.prototype.establishHierarchy=function(e,t){if(this.updateParentRelationship(e),this.updateChildrenRelationships(t),this.abstraction.childrenCount=this.children.size,this.abstraction.hasParent=!!this.parent,this.scanAndRegisterNewElements(this.container),!this.readyCalled&&this.abstraction.ready&&"function"==typeof this.abstraction.ready){this.readyCalled=!0;try{this.abstraction.ready.call(this.abstraction)}catch(e){console.warn("Error in ready() method:",e)}}},Ae.prototype.updateParentRelationship=function(e){this.parent!==e&&(this.parent&&this.parent.children.delete(this),this.parent=e,e&&e.children.add(this))},Ae.prototype.updateChildrenRelationships=function(e){this.children.clear(),e.forEach(e=>{e.parent&&e.parent!==this&&e.parent.children.delete(e),e.parent=this,this.children.add(e)})},Ae.prototype.buildForeachItemHTML=(e,t,n,r)=>`\x3c!-- pac-foreach-item: ${e}, index=${n}, renderIndex=${r} --\x3e`+t+"\x3c!-- /pac-foreach-item --\x3e";const Me={observer:null,initialize(){this.observer||(this.observer=new MutationObserver(t=>{const n=new Set;t.forEach(t=>{t.removedNodes.forEach(t=>{if(t.nodeType!==Node.ELEMENT_NODE)return;const i=[...t.matches(e)?[t]:[],...t.querySelectorAll(e)];for(let e=i.length-1;e>=0;e--){const t=i[e].getAttribute("data-pac-id");t&&!n.has(t)&&(r.forEach(e=>{"function"==typeof e.onComponentDestroyed&&e.onComponentDestroyed(t)}),n.add(t),window.PACRegistry.components.get(t)?.destroy())}})})}),this.observer.observe(document.body,{childList:!0,subtree:!0}))}},Pe={_initialized:!1,initialize(){if(this._initialized)return;this._initialized=!0;const e=document.querySelector('meta[name="wakapac-channel"]');e&&"undefined"!=typeof BroadcastChannel&&(h=new BroadcastChannel(e.content),h.onmessage=e=>{const{messageId:t,wParam:n,lParam:r,extended:i}=e.data;Le.broadcastMessage(t,n,r,i)})}},xe={_initialized:!1,isRecording:!1,gesturePoints:[],startTime:0,gestureContainer:null,gestureJustDispatched:!1,lastGesturePrevented:!1,MIN_DISTANCE:10,MIN_SEGMENT_LENGTH:30,DIRECTION_THRESHOLD:.7,MAX_GESTURE_TIME:2e3,patterns:{right:["R"],left:["L"],up:["U"],down:["D"],L:["D","R"],"inverted-L":["D","L"]},registerPattern(e,t){if(!e||"string"!=typeof e)throw Error("Gesture pattern name must be a non-empty string");if(!Array.isArray(t)||0===t.length)throw Error("Gesture directions must be a non-empty array");const n=["R","L","U","D"];for(let e=0;e<t.length;e++)if(!n.includes(t[e]))throw Error(`Invalid direction "${t[e]}". Must be one of: R, L, U, D`);this.patterns[e]&&console.warn(`WakaPAC: Overriding existing gesture pattern '${e}'`),this.patterns[e]=t},unregisterPattern(e){const t=e in this.patterns;return t&&delete this.patterns[e],t},startRecording(e){this.gestureContainer=this.findContainer(e.target),this.isRecording=!0,this.gesturePoints=[{x:e.clientX,y:e.clientY,time:Date.now()}],this.startTime=Date.now()},recordPoint(e){const t=this.gesturePoints[this.gesturePoints.length-1],n=e.clientX-t.x,r=e.clientY-t.y;Math.sqrt(n*n+r*r)>=this.MIN_DISTANCE&&this.gesturePoints.push({x:e.clientX,y:e.clientY,time:Date.now()})},stopRecording(e){this.isRecording=!1;const t=Date.now()-this.startTime;if(this.gesturePoints.length<2||t>this.MAX_GESTURE_TIME)return void(this.gesturePoints=[]);const n=this.extractDirections();if(0===n.length)return void(this.gesturePoints=[]);const r=this.matchPattern(n);this.gestureJustDispatched=!0,r&&this.gestureContainer&&this.dispatchGesture(e,r,n),this.gesturePoints=[],this.gestureContainer=null},extractDirections(){if(this.gesturePoints.length<2)return[];const e=[],t=this.MIN_SEGMENT_LENGTH*this.MIN_SEGMENT_LENGTH;let n=this.gesturePoints[0],r=this.gesturePoints[0],i=null;for(let a=1;a<this.gesturePoints.length;a++){const o=this.gesturePoints[a],s=this.getDirection(o.x-this.gesturePoints[a-1].x,o.y-this.gesturePoints[a-1].y);if(s)if(s===i)r=o;else{if(null!==i){const a=r.x-n.x,o=r.y-n.y;a*a+o*o>=t&&e.push(i)}i=s,n=r,r=o}}if(null!==i){const a=r.x-n.x,o=r.y-n.y;a*a+o*o>=t&&e.push(i)}return e},getDirection(e,t){if(0===e&&0===t)return null;const n=e*e,r=t*t,i=this.DIRECTION_THRESHOLD*this.DIRECTION_THRESHOLD,a=(1-i)/i;return n>a*r?e>0?"R":"L":r>a*n?t>0?"D":"U":e>0?n>r?"R":t>0?"D":"U":n>r?"L":t>0?"D":"U"},matchPattern(e){const t=e.join("");for(const e in this.patterns)if(this.patterns[e].join("")===t)return e;return null},findContainer(t){const n=ye.normalizeToElement(t);for(let t=n?.closest(e);t;t=t.parentElement?.closest(e)){const e=window.PACRegistry.get(t.getAttribute("data-pac-id"));if(e)return e.container}return null},dispatchGesture(e,t,n){const r=this.gesturePoints,i=r.length,a=Date.now();let o=r[0].x,s=o,c=r[0].y,l=c;for(let e=1;e<i;e++){const{x:t,y:n}=r[e];o=Math.min(o,t),s=Math.max(s,t),c=Math.min(c,n),l=Math.max(l,n)}const h=this.gestureContainer.getBoundingClientRect(),u=e=>e-h.left,d=e=>e-h.top,p=Math.max(0,Math.min(65535,Math.round((o+s)/2-h.left))),g=Math.max(0,Math.min(65535,Math.round((c+l)/2-h.top))),f=u(r[0].x),m=d(r[0].y),y=u(r[i-1].x),b=d(r[i-1].y),E=u(o),v=d(c),w=s-o,C=l-c;ye.dispatchMouseMessage(ie,e,this.gestureContainer,null,{pattern:t,directions:n,pointCount:i,startX:f,startY:m,endX:y,endY:b,duration:a-this.startTime,bounds:{x:E,y:v,left:E,top:v,right:E+w,bottom:v+C,width:w,height:C}},0,g<<16|p)}};function Se(){this.components=new Map,this.pendingHierarchy=new Set,this._scheduleHierarchy=fe.debounce(()=>this.establishAllHierarchies(),10)}Se.prototype={register(e,t){this.components.set(e,t),this.pendingHierarchy.add(t),this._scheduleHierarchy()},deregister(e){const t=this.components.get(e);t&&(this.pendingHierarchy.delete(t),this.components.delete(e))},get(e){return this.components.get(e)},getByElement(t){const n=t.closest(e),r=n?.getAttribute("data-pac-id");return r?this.get(r):void 0},establishAllHierarchies(){if(0===this.pendingHierarchy.size)return;const e=this.buildHierarchyMap(),t=Array.from(this.pendingHierarchy);this.pendingHierarchy.clear(),t.forEach(t=>{const n=e.get(t.container);n?t.establishHierarchy(n.parent,n.children):t.establishHierarchy(null,[])}),this.pendingHierarchy.size>0&&this._scheduleHierarchy()},buildHierarchyMap(){const e=new Map;this.components.forEach(t=>{e.set(t.container,t)});const t=new Map;return this.components.forEach(n=>{const r=n.container;let i=null,a=r.parentElement;for(;a;){if(e.has(a)){i=e.get(a);break}a=a.parentElement}t.has(r)||t.set(r,{parent:null,children:[]}),t.get(r).parent=i,i&&(t.has(i.container)||t.set(i.container,{parent:null,children:[]}),t.get(i.container).children.push(n))}),t}};const ke=new Map,Ne=Symbol("global");function Oe(e){if("string"!=typeof e||""===e.trim())throw new TypeError("wakaPAC: accelerator key must be a non-empty string, got: "+JSON.stringify(e));const t={CTRL:se,SHIFT:oe,ALT:le},n=e.split("+").map(e=>e.trim());let r=0,i=0;for(;r<n.length-1;){const a=t[n[r].toUpperCase()];if(!a)throw new TypeError(`wakaPAC: unknown token "${n[r]}" in accelerator key: ${JSON.stringify(e)}`);i|=a,r++}const a=n[r];if(!a)throw new TypeError("wakaPAC: no key name found in accelerator key: "+JSON.stringify(e));const o="VK_"+a.toUpperCase();if(!(o in Le))throw new TypeError(`wakaPAC: unknown key "${a}" in accelerator key: ${JSON.stringify(e)} (no constant ${o})`);return{vk:Le[o],modifiers:i}}function Re(e,t,n="2d",r={}){if("undefined"!=typeof OffscreenCanvas)return new OffscreenCanvas(e,t).getContext(n,r);const i=document.createElement("canvas");return i.width=e,i.height=t,i.getContext(n,r)}function Ie(e){return e instanceof CanvasRenderingContext2D||e instanceof OffscreenCanvasRenderingContext2D}function De(e,t,n,r,i,a,o,s,c,l){e.drawImage(t,n,r,i,a,o,s,c,l)}function Le(e,t={},n={}){c||(c=!0,document.querySelectorAll('script[type="text/template"]['+E+"]").forEach(e=>{const t=e.getAttribute(E);t&&(s.has(t)?console.warn('wakaPAC: Duplicate partial "'+t+'" — only the first definition is used.'):s.set(t,e.textContent))})),ye.initialize(),Me.initialize(),Pe.initialize();const r=e;let i=!1;e.startsWith("#")||e.startsWith(".")||e.startsWith("[")||/\s/.test(e)||(e=`[data-pac-id="${e}"]`,i=!0);const a=document.querySelectorAll(e),o=!e.startsWith("#")&&!i;if(0===a.length)return console.warn(`wakaPAC: No elements found for selector "${r}"`),o?[]:void 0;const l=[];return a.forEach(r=>{let i=r.getAttribute("data-pac-id");i||(i=r.id||fe.uniqid("pac-"),r.setAttribute("data-pac-id",i)),r._pacId=i;const a=window.PACRegistry.get(i);if(a)return void l.push(a.abstraction);const s=Object.assign({updateMode:"immediate",delay:300},n),c=o?Object.assign({},t):t;!0===s?.hydrate&&Le.hydrateContainer(r,c);const h=new Ae(r,c,s);window.PACRegistry.register(i,h),Le.initializeComponent(h,i),h.initializeCanvas(),document.dispatchEvent(new CustomEvent("pac:component-ready",{detail:{component:h,selector:e,pacId:i}})),l.push(h.abstraction)}),o?l:l[0]}function Ke(){this._ops=[]}me({createPacPlugin:()=>({name:"Stdlib",functions:{log:(...e)=>console.log(...e),beep:(()=>{let e=null;return(t=440,n=200,r=.5,i="square")=>{e&&"closed"!==e.state||(e=new AudioContext);const a=e.createOscillator(),o=e.createGain();a.connect(o),o.connect(e.destination),a.type=i,a.frequency.value=t,o.gain.value=r,a.start(),a.stop(e.currentTime+n/1e3)}})(),sendMessage:(e,t,n=0,r=0,i={})=>{Le.sendMessage(e,t,n,r,i)},getParentPacId:e=>Le.getParentPacId(e),sendMessageToParent:(e,t,n=0,r=0,i={})=>{Le.sendMessageToParent(e,t,n,r,i)},broadcastMessage:(e,t=0,n=0,r={})=>{Le.broadcastMessage(e,t,n,r)}}})}),Le.initializeComponent=(e,t)=>{if(r.forEach(n=>{"function"==typeof n.onComponentCreated&&n.onComponentCreated(e.abstraction,t,e.config)}),e.abstraction.init&&"function"==typeof e.abstraction.init)try{e.abstraction.init.call(e.abstraction)}catch(e){console.warn("Error in init() method:",e)}},Le.hydrateContainer=(e,t)=>{const n=e.dataset.pacState;if(n)try{Object.assign(t,JSON.parse(n))}catch(e){console.warn("WakaPAC: Failed to parse data-pac-state:",e)}e.querySelectorAll("[data-pac-field]").forEach(n=>{if(!fe.belongsToPacContainer(e,n))return;const r=n.getAttribute("name");if(!r)return;const i=n.getAttribute("data-pac-same-as");if(i)t[r]=Le.sameAs(i);else switch(n.type){case"checkbox":fe.setNestedProperty(r,n.checked,t);break;case"number":case"range":fe.setNestedProperty(r,""!==n.value?Number(n.value):"",t);break;case"radio":void 0===fe.getNestedValue(t,r)&&fe.setNestedProperty(r,"",t),n.checked&&fe.setNestedProperty(r,n.value,t);break;case"file":break;default:fe.setNestedProperty(r,n.value??n.getAttribute("value"),t)}})},Le.sameAs=e=>({__waka_alias:!0,target:e}),Le.createPacMessage=(e,t,n,r={})=>{if(null!==r&&!fe.isPlainObject(r))throw new TypeError("wakaPAC.createPacMessage(): extended must be a plain object, got "+typeof r);const i=new CustomEvent(v,{bubbles:!1,cancelable:!0,detail:r});return Object.defineProperties(i,{message:{value:e,enumerable:!0},wParam:{value:t,enumerable:!0},lParam:{value:n,enumerable:!0},timestamp:{value:Date.now(),enumerable:!0}}),i},Le.getContextByPacId=e=>window.PACRegistry.get(e),Le.getContainerByPacId=e=>{const t=window.PACRegistry.get(e);return t?t.container:(console.warn(`wakaPAC: Container with id "${e}" not found`),null)},Le.showContainer=function(e){const t=this.getContainerByPacId(e);t&&t.removeAttribute("hidden")},Le.hideContainer=function(e){const t=this.getContainerByPacId(e);t&&t.setAttribute("hidden","")},Le.getParentPacId=e=>{const t=window.PACRegistry.get(e);return t&&t.parent?fe.getPacId(t.parent.container):null},Le.postMessage=function(e,t,n,r,i={}){const a=this.getContainerByPacId(e);if(!a)return;const o=this.createPacMessage(t,n,r,i);setTimeout(()=>{a.isConnected&&ye.dispatchToContainer(a,o)},0)},Le.sendMessage=function(e,t,n,r,i={}){const a=this.getContainerByPacId(e);if(!a)return;const o=this.createPacMessage(t,n,r,i);ye.dispatchToContainer(a,o)},Le.sendMessageToParent=function(e,t,n,r,i={}){const a=this.getParentPacId(e);a&&this.sendMessage(a,t,n,r,i)},Le.postMessageToParent=function(e,t,n,r,i={}){const a=this.getParentPacId(e);a&&this.postMessage(a,t,n,r,i)},Le.broadcastMessage=function(e,t,n,r={}){window.PACRegistry.components.forEach(i=>{const a=this.createPacMessage(e,t,n,r);ye.dispatchToContainer(i.container,a)})},Le.broadcastToChildren=function(e,t,n,r,i={}){const a=window.PACRegistry.get(e);if(!a)return;const o=[...a.children];for(;o.length;){const e=o.shift(),a=this.createPacMessage(t,n,r,i);ye.dispatchToContainer(e.container,a),o.push(...e.children)}},Le.broadcastMessageGlobal=(e,t=0,n=0,r={})=>{Le.broadcastMessage(e,t,n,r),h&&h.postMessage({messageId:e,wParam:t,lParam:n,extended:r})},Le.installMessageHook=e=>{const t=l++;return o.push({handle:t,fn:e}),t},Le.uninstallMessageHook=e=>{const t=o.findIndex(t=>t.handle===e);-1!==t&&o.splice(t,1)},Le.setTimer=(e,t)=>{const n=window.PACRegistry.get(e);return n?n.setTimer(t):(console.warn("No PAC container found with id: "+e),null)},Le.killTimer=(e,t)=>{const n=window.PACRegistry.get(e);return!!n&&n.killTimer(t)},Le.killAllTimers=e=>{const t=window.PACRegistry.get(e);return t?t.killAllTimers():0},Le.registerBinding=(e,t)=>{if(!e||"string"!=typeof e)throw Error("Binding name must be a non-empty string");if("function"!=typeof t)throw Error("Binding handler must be a function");ve[e]&&console.warn(`WakaPAC: Overriding built-in binding type '${e}'`),ve[e]=t},Le.LOWORD=e=>65535&e,Le.HIWORD=e=>e>>16&65535,Le.MAKEPOINTS=e=>({x:Le.LOWORD(e),y:Le.HIWORD(e)}),Le.GET_WHEEL_DELTA=e=>(e>>16&65535)<<16>>16,Le.GET_KEYSTATE=e=>65535&e,Le.GET_REPEAT_COUNT_LPARAM=e=>65535&e,Le.getKeyName=fe.getKeyName.bind(fe),Le.registerGesture=(e,t)=>xe.registerPattern(e,t),Le.unregisterGesture=e=>xe.unregisterPattern(e),Le.setCapture=e=>{const t=window.PACRegistry.get(e);if(t)return ye.setCapture(t.container);console.warn("No PAC container found with id: "+e)},Le.releaseCapture=()=>ye.releaseCapture(),Le.hasCapture=()=>ye.hasCapture(),Le.getCapture=()=>ye.getCapturedPacId(),Le.ptInElement=(e,t,n)=>{if(!n)return!1;const r=n.getBoundingClientRect();return e>=r.left&&e<=r.right&&t>=r.top&&t<=r.bottom},Le.elementFromPoint=(e,t)=>document.elementFromPoint(e,t),Le.containerFromPoint=(t,n)=>{const r=Le.elementFromPoint(t,n);return r?r.closest(e):null},Le.use=(e,t={})=>{me(e,t)},Le.unit=e=>"object"!=typeof e||(e=a.get(e)??null)?i.get(e)??null:null,Le.loadAcceleratorTable=(e,t)=>{if(!Array.isArray(t))throw new TypeError("wakaPAC.loadAcceleratorTable(): entries must be an array");const n=[];for(let e=0;e<t.length;e++){const r=t[e];if("object"!=typeof r||null===r)throw new TypeError(`wakaPAC.loadAcceleratorTable(): entry[${e}] must be an object`);if("string"!=typeof r.key)throw new TypeError(`wakaPAC.loadAcceleratorTable(): entry[${e}].key must be a string`);if("number"!=typeof r.cmdId||r.cmdId<=0)throw new TypeError(`wakaPAC.loadAcceleratorTable(): entry[${e}].cmdId must be a positive number`);const{vk:i,modifiers:a}=Oe(r.key);n.push({vk:i,modifiers:a,cmdId:r.cmdId,key:r.key})}ke.set(e??Ne,n)},Le.destroyAcceleratorTable=e=>{ke.delete(e??Ne)},Le.getAcceleratorTable=e=>{const t=ke.get(e??Ne);return t?t.map(e=>({key:e.key,cmdId:e.cmdId})):null},Object.keys(ue).concat("setLineDash").forEach(function(e){Ke.prototype[e]=function(t){return this._ops.push({op:e,value:t}),this}}),Object.keys(de).concat("clearShadow").forEach(function(e){Ke.prototype[e]=function(){return this._ops.push({op:e}),this}}),Object.entries(pe).forEach(function([e,t]){const n=ge[e];Ke.prototype[e]=function(...r){const i={op:e};for(let e=0;e<t.length;e++){const a=r[e];i[t[e]]=void 0===a&&n&&t[e]in n?n[t[e]]:a}return this._ops.push(i),this}}),Ke.prototype.setShadow=function(e,t,n=0,r=0){return this._ops.push({op:"setShadow",color:e,blur:t,offsetX:n,offsetY:r}),this},Ke.prototype.setImageSmoothing=function(e,t){return this._ops.push({op:"setImageSmoothing",enabled:e,quality:t}),this},Ke.prototype.hitArea=function(e,t){return this._ops.push({op:"hitArea",shape:e,...t}),this},Ke.prototype.build=function(){return this._ops},Le.getDC=function(e){const t=this.getContainerByPacId(e);if(!(t&&t instanceof HTMLCanvasElement))return null;const n=window.PACRegistry.get(e),r=t.dataset.pacContext||"2d",i=n?.config?.dcAttributes,a=this.getDCFromElement(t,i);if(!a)return null;if("2d"===r){const t=ye._dirtyCanvases.get(e);if(t?.painting&&t.rects?.length){a.save(),a.beginPath();for(const e of t.rects)a.rect(e.x,e.y,e.width,e.height);a.clip()}}return a},Le.releaseDC=e=>{if(!e)return;if(!Ie(e))return;const t=e.canvas?.dataset?.pacId;if(!t)return;const n=ye._dirtyCanvases.get(t);n?.painting&&n.rects?.length&&e.restore()},Le.createCompatibleDC=function(e){const t=this.getContainerByPacId(e);if(!(t&&t instanceof HTMLCanvasElement))return null;const n=t.dataset.pacContext||"2d",r=window.PACRegistry.get(e),i=r?.config?.dcAttributes;return Re(t.width,t.height,n,i)},Le.deleteCompatibleDC=e=>{if(!e)return;const t=e.canvas;t instanceof OffscreenCanvas&&(t.width=0,t.height=0)},Le.getDCFromElement=(e,t={})=>e&&e instanceof HTMLCanvasElement?e.getContext(e.dataset.pacContext||"2d",t):null,Le.invalidateRect=(e,t)=>{ye.invalidateRect(e,t||null)},Le.getInvalidatedRect=e=>{const t=ye._dirtyCanvases.get(e);return t?t.rects.reduce((e,t)=>fe.unionRect(e,t)):null},Le.getUpdateRgn=e=>{const t=ye._dirtyCanvases.get(e);return t?t.rects.map(e=>({...e})):null},Le.bitBlt=(e,t,n,r,i,a,o=0,s=0)=>{if(!e||!t)return;if(!Ie(e))return void console.warn("wakaPAC.bitBlt: destDC must be a 2D canvas context. For a WebGL destination, use wakaD3D.bitBlt() instead.");const c=t.canvas,l=i??c.width,h=a??c.height;De(e,c,o,s,l,h,n,r,l,h)},Le.stretchBlt=(e,t,n,r,i,a)=>{if(!e||!t)return;if(!Ie(e))return void console.warn("wakaPAC.stretchBlt: destDC must be a 2D canvas context. For a WebGL destination, use wakaD3D.bitBlt() instead.");const o=t.canvas;De(e,o,0,0,o.width,o.height,n,r,i,a)},Le.resizeCanvas=function(e,t,n){const r=this.getContainerByPacId(e);r&&r instanceof HTMLCanvasElement&&(r.width===t&&r.height===n||(r.width=t,r.height=n,"2d"===(r.dataset.pacContext||"2d")&&ye.invalidateRect(e,null)))},Le.getCanvasSize=function(e){const t=this.getContainerByPacId(e);return t&&t instanceof HTMLCanvasElement?{width:t.width,height:t.height}:null},Le.loadBitmap=async e=>{try{let t;if("string"==typeof e)t=await createImageBitmap(await(await fetch(e)).blob());else if(e instanceof HTMLImageElement){if(!e.complete||0===e.naturalWidth)return null;t=await createImageBitmap(e)}else if(e instanceof ImageBitmap)t=await createImageBitmap(e);else{if(!(e instanceof ImageData||e instanceof Blob||e instanceof HTMLCanvasElement||e instanceof OffscreenCanvas))return null;t=await createImageBitmap(e)}const n=Re(t.width,t.height);return n.drawImage(t,0,0),t.close(),n}catch(e){return console.error("wakaPAC.loadBitmap: failed to load bitmap",e),null}},Le.saveBitmap=async(e,t="bitmap.png")=>{if(!e)return!1;const n={jpg:"image/jpeg",jpeg:"image/jpeg",webp:"image/webp"}[t.split(".").pop().toLowerCase()]??"image/png";try{let r;r=e.canvas instanceof OffscreenCanvas?await e.canvas.convertToBlob({type:n}):await new Promise((t,r)=>e.canvas.toBlob(e=>e?t(e):r(Error("toBlob failed")),n));const i=URL.createObjectURL(r);return Object.assign(document.createElement("a"),{href:i,download:t}).click(),URL.revokeObjectURL(i),!0}catch(e){return console.error("wakaPAC.saveBitmap: failed to save bitmap",e),!1}},Le.deleteBitmap=e=>{Le.deleteCompatibleDC(e)},Le.getBitmapSize=e=>e?{width:e.canvas.width,height:e.canvas.height}:null,Le.playMetaFile=(e,t,n=0,r=0)=>{if(e&&Array.isArray(t)&&0!==t.length){e.save(),0===n&&0===r||e.translate(n,r);for(let n=0,r=t.length;n<r;n++){const r=t[n];if(r.op in ue){e[ue[r.op]]=r.value;continue}if(r.op in de){e[de[r.op]]();continue}const i=pe[r.op];if(i){const t=ge[r.op],n=[];for(let e=0;e<i.length;e++){const a=r[i[e]];n.push(t&&i[e]in t?a??t[i[e]]:a)}"drawImage"===r.op&&void 0===n[3]&&void 0===n[4]&&(n.length=3),e[r.op](...n);continue}switch(r.op){case"setLineDash":e.setLineDash(r.value);break;case"setShadow":e.shadowColor=r.color,e.shadowBlur=r.blur,e.shadowOffsetX=r.offsetX??0,e.shadowOffsetY=r.offsetY??0;break;case"clearShadow":e.shadowColor="transparent",e.shadowBlur=0,e.shadowOffsetX=0,e.shadowOffsetY=0;break;case"setImageSmoothing":e.imageSmoothingEnabled=r.enabled,r.quality&&(e.imageSmoothingQuality=r.quality);break;case"hitArea":break;default:console.warn(`wakaPAC.playMetaFile: unknown op "${r.op}"`)}}e.restore()}},Le.metaFileHitTest=(e,t,n,r=0,i=0)=>{if(!Array.isArray(e))return null;const a=t-r,o=n-i;for(let t=0,n=e.length;t<n;t++){const n=e[t];if("hitArea"===n.op)switch(n.shape??"rect"){case"rect":if(a>=n.x&&a<=n.x+n.w&&o>=n.y&&o<=n.y+n.h)return n.data??null;break;case"polygon":{const e=n.points;if(!e||e.length<6)break;let t=!1;for(let n=0,r=e.length-2;n<e.length;n+=2){const i=e[n],s=e[n+1],c=e[r+1];s>o!=c>o&&a<(e[r]-i)*(o-s)/(c-s)+i&&(t=!t),r=n}if(t)return n.data??null;break}case"sector":{const e=a-n.cx,t=o-n.cy,r=Math.sqrt(e*e+t*t);if(r>n.r)break;if(n.innerR&&r<n.innerR)break;if(Math.abs(n.endAngle-n.startAngle)>=2*Math.PI)return n.data??null;let i=Math.atan2(t,e);i<0&&(i+=2*Math.PI);let s=n.startAngle%(2*Math.PI),c=n.endAngle%(2*Math.PI);if(s<0&&(s+=2*Math.PI),c<0&&(c+=2*Math.PI),s<=c?i>=s&&i<=c:i>=s||i<=c)return n.data??null;break}}}return null},Le.ptInMetaFile=(e,t,n,r=0,i=0)=>null!==Le.metaFileHitTest(e,t,n,r,i),window.PACRegistry=window.PACRegistry||new Se,Le.MetaFile=Ke,window.wakaPAC=Le,Object.assign(Le,{MSG_UNKNOWN:0,MSG_DESTROYED:2,MSG_MOUSEMOVE:O,MSG_LBUTTONDOWN:R,MSG_LBUTTONUP:I,MSG_LBUTTONDBLCLK:D,MSG_RBUTTONDOWN:L,MSG_RBUTTONUP:K,MSG_MBUTTONDOWN:F,MSG_MBUTTONUP:V,MSG_LCLICK:U,MSG_MCLICK:H,MSG_RCLICK:G,MSG_CONTEXTMENU:z,MSG_CHAR:768,MSG_CHANGE:Y,MSG_SUBMIT:q,MSG_INPUT:771,MSG_INPUT_COMPLETE:J,MSG_PLUGIN:8192,MSG_SETFOCUS:7,MSG_KILLFOCUS:8,MSG_KEYDOWN:te,MSG_KEYUP:ne,MSG_USER:4096,MSG_TIMER:275,MSG_ACCEL:274,MSG_COMMAND:273,MSG_COPY:Z,MSG_PASTE:ee,MSG_MOUSEWHEEL:re,MSG_GESTURE:ie,MSG_PAINT:15,MSG_SIZE:5,MSG_FOREACH_REBUILT:1024,MSG_MOUSEENTER:523,MSG_MOUSELEAVE:B,MSG_MOUSEENTER_DESCENDANT:525,MSG_MOUSELEAVE_DESCENDANT:W,MSG_CAPTURECHANGED:533,MSG_DRAGENTER:j,MSG_DRAGOVER:$,MSG_DRAGLEAVE:Q,MSG_DROP:X,MSG_DPR_CHANGE:16,MK_LBUTTON:1,MK_RBUTTON:2,MK_MBUTTON:16,MK_SHIFT:4,MK_CONTROL:8,MK_ALT:128,MK_XBUTTON1:32,MK_XBUTTON2:64,MK_META:256,KM_SHIFT:oe,KM_CONTROL:se,KM_ALT:le,KM_META:ce,SIZE_RESTORED:0,SIZE_HIDDEN:1,SIZE_FULLSCREEN:2,VK_BACK:8,VK_TAB:9,VK_RETURN:13,VK_SHIFT:16,VK_CONTROL:17,VK_MENU:18,VK_PAUSE:19,VK_CAPITAL:20,VK_ESCAPE:27,VK_SPACE:32,VK_PRIOR:33,VK_NEXT:34,VK_END:35,VK_HOME:36,VK_LEFT:37,VK_UP:38,VK_RIGHT:39,VK_DOWN:40,VK_SNAPSHOT:44,VK_INSERT:45,VK_DELETE:46,VK_0:48,VK_1:49,VK_2:50,VK_3:51,VK_4:52,VK_5:53,VK_6:54,VK_7:55,VK_8:56,VK_9:57,VK_A:65,VK_B:66,VK_C:67,VK_D:68,VK_E:69,VK_F:70,VK_G:71,VK_H:72,VK_I:73,VK_J:74,VK_K:75,VK_L:76,VK_M:77,VK_N:78,VK_O:79,VK_P:80,VK_Q:81,VK_R:82,VK_S:83,VK_T:84,VK_U:85,VK_V:86,VK_W:87,VK_X:88,VK_Y:89,VK_Z:90,VK_LWIN:91,VK_RWIN:92,VK_APPS:93,VK_NUMPAD0:96,VK_NUMPAD1:97,VK_NUMPAD2:98,VK_NUMPAD3:99,VK_NUMPAD4:100,VK_NUMPAD5:101,VK_NUMPAD6:102,VK_NUMPAD7:103,VK_NUMPAD8:104,VK_NUMPAD9:105,VK_MULTIPLY:106,VK_ADD:107,VK_SUBTRACT:109,VK_DECIMAL:110,VK_DIVIDE:111,VK_F1:112,VK_F2:113,VK_F3:114,VK_F4:115,VK_F5:116,VK_F6:117,VK_F7:118,VK_F8:119,VK_F9:120,VK_F10:121,VK_F11:122,VK_F12:123,VK_NUMLOCK:144,VK_SCROLL:145,VK_BROWSER_BACK:166,VK_BROWSER_FORWARD:167,VK_BROWSER_REFRESH:168,VK_BROWSER_STOP:169,VK_BROWSER_SEARCH:170,VK_BROWSER_FAVORITES:171,VK_BROWSER_HOME:172,VK_VOLUME_MUTE:181,VK_VOLUME_DOWN:182,VK_VOLUME_UP:183,VK_MEDIA_NEXT_TRACK:176,VK_MEDIA_PREV_TRACK:177,VK_MEDIA_STOP:178,VK_MEDIA_PLAY_PAUSE:179,VK_OEM_1:186,VK_OEM_PLUS:187,VK_OEM_COMMA:188,VK_OEM_MINUS:189,VK_OEM_PERIOD:190,VK_OEM_2:191,VK_OEM_3:192,VK_OEM_4:219,VK_OEM_5:220,VK_OEM_6:221,VK_OEM_7:222,VK_OEM_102:226}),Le.mouseMoveThrottleFps=60}();
\ No newline at end of file
+!function(){"use strict";const e="[data-pac-id]",t="[data-pac-drop-target]",n=[],r=[],i=new Map,a=new WeakMap,s=new Map,o=[],c=new Map;let l=!1,h=1;const u=new Map;let d=1,p=!1,g=null;const f=/\{\{(?!>)\s*([^}]+)\s*}}/g,m=/\{\{(?!>).*?}}/,y=/pac-foreach-item:\s*([^,]+),\s*index=(\d+),\s*renderIndex=(\d+)/,E=/^(.+?)\s+by\s+([A-Za-z_$][\w$]*(?:\.[A-Za-z_$][\w$]*)*)\s*$/,b=/^\s*wp-if:\s*(.+?)\s*$/,v=/^\s*\/wp-if\s*$/,w=/^\s*wp-else-if:\s*(.+?)\s*$/,A=/^\s*wp-else\s*$/;function C(e,t){return{__wpGroup:!0,openMarker:e,closeMarker:t}}const T="data-pac-partial",_="data-pac-ssr",P="pac:event",M="pac:change",x="pac:browser-state",S=/\{\{>\s*([a-zA-Z_$][a-zA-Z0-9_$]*)(?:\s+([a-zA-Z_$][a-zA-Z0-9_$.]*))?\s*}}/g,k=/\$\./g,N=/[.[\]]+/,I=new Set(["readonly","required","selected","checked","hidden","multiple","autofocus","disabled","async","defer","formnovalidate","ismap","novalidate","open","reversed","scoped","seamless","truespeed"]),O=new Set(["ArrowUp","ArrowDown","ArrowLeft","ArrowRight","F1","F2","F3","F4","F5","F6","F7","F8","F9","F10","F11","F12","Home","End","PageUp","PageDown","Insert","Delete","NumpadEnter","NumpadDivide","MetaLeft","MetaRight","ContextMenu"]),R=new Set(["text","search","url","tel","email","password","number"]),D=new Set(["A","BUTTON","DETAILS","INPUT","LABEL","SELECT","SUMMARY","TEXTAREA"]),L=new Set(["checkbox","radio","color","range","date","datetime-local","month","week","time","file"]);let F=null,B=null;const K=15,V=512,W=513,U=514,H=515,G=516,j=517,z=519,$=520,q=524,X=526,Y=528,Q=529,Z=530,J=123,ee=561,te=562,ne=563,re=564,ie=769,ae=770,se=772,oe=773,ce=774,le=256,he=257,ue=274,de=275,pe=522,ge=592,fe=1024,me=4096,ye=8192,Ee=49152,be=new Set([W,U,H,G,j,z,$,Y,Q,Z,J,V,pe,ee,ne,te,re,ge,281]),ve=1<<25,we=1<<26,Ae=1<<27,Ce=1<<29,Te=57643,_e=57644,Pe={Backspace:8,Tab:9,Enter:13,ShiftLeft:16,ShiftRight:16,ControlLeft:17,ControlRight:17,AltLeft:18,AltRight:18,Pause:19,CapsLock:20,Escape:27,Space:32,PageUp:33,PageDown:34,End:35,Home:36,ArrowLeft:37,ArrowUp:38,ArrowRight:39,ArrowDown:40,PrintScreen:44,Insert:45,Delete:46,Digit0:48,Digit1:49,Digit2:50,Digit3:51,Digit4:52,Digit5:53,Digit6:54,Digit7:55,Digit8:56,Digit9:57,KeyA:65,KeyB:66,KeyC:67,KeyD:68,KeyE:69,KeyF:70,KeyG:71,KeyH:72,KeyI:73,KeyJ:74,KeyK:75,KeyL:76,KeyM:77,KeyN:78,KeyO:79,KeyP:80,KeyQ:81,KeyR:82,KeyS:83,KeyT:84,KeyU:85,KeyV:86,KeyW:87,KeyX:88,KeyY:89,KeyZ:90,MetaLeft:91,MetaRight:92,ContextMenu:93,Numpad0:96,Numpad1:97,Numpad2:98,Numpad3:99,Numpad4:100,Numpad5:101,Numpad6:102,Numpad7:103,Numpad8:104,Numpad9:105,NumpadMultiply:106,NumpadAdd:107,NumpadSubtract:109,NumpadDecimal:110,NumpadDivide:111,F1:112,F2:113,F3:114,F4:115,F5:116,F6:117,F7:118,F8:119,F9:120,F10:121,F11:122,F12:123,NumLock:144,ScrollLock:145,BrowserBack:166,BrowserForward:167,BrowserRefresh:168,BrowserStop:169,BrowserSearch:170,BrowserFavorites:171,BrowserHome:172,AudioVolumeMute:181,AudioVolumeDown:182,AudioVolumeUp:183,MediaTrackNext:176,MediaTrackPrevious:177,MediaStop:178,MediaPlayPause:179,Semicolon:186,Equal:187,Comma:188,Minus:189,Period:190,Slash:191,Backquote:192,BracketLeft:219,Backslash:220,BracketRight:221,Quote:222,IntlBackslash:226},Me={setFillStyle:"fillStyle",setStrokeStyle:"strokeStyle",setLineWidth:"lineWidth",setLineCap:"lineCap",setLineJoin:"lineJoin",setLineDashOffset:"lineDashOffset",setMiterLimit:"miterLimit",setGlobalAlpha:"globalAlpha",setGlobalComposite:"globalCompositeOperation",setFont:"font",setTextAlign:"textAlign",setTextBaseline:"textBaseline",setTextRendering:"textRendering",setLetterSpacing:"letterSpacing",setWordSpacing:"wordSpacing"},xe={save:"save",restore:"restore",beginPath:"beginPath",closePath:"closePath",stroke:"stroke",resetTransform:"resetTransform"},Se={moveTo:["x","y"],lineTo:["x","y"],arc:["cx","cy","r","startAngle","endAngle","ccw"],arcTo:["x1","y1","x2","y2","r"],ellipse:["cx","cy","rx","ry","rotation","startAngle","endAngle","ccw"],rect:["x","y","w","h"],roundRect:["x","y","w","h","r"],bezierCurveTo:["cp1x","cp1y","cp2x","cp2y","x","y"],quadraticCurveTo:["cpx","cpy","x","y"],fill:["rule"],clip:["rule"],fillRect:["x","y","w","h"],strokeRect:["x","y","w","h"],clearRect:["x","y","w","h"],fillText:["text","x","y","maxWidth"],strokeText:["text","x","y","maxWidth"],drawImage:["image","dx","dy","dw","dh"],translate:["x","y"],rotate:["angle"],scale:["x","y"],transform:["a","b","c","d","e","f"],setTransform:["a","b","c","d","e","f"]},ke={arc:{ccw:!1},ellipse:{ccw:!1},fill:{rule:"nonzero"},clip:{rule:"nonzero"}},Ne={escapeHtml:e=>(e+"").replace(/&/g,"&amp;").replace(/</g,"&lt;").replace(/>/g,"&gt;").replace(/"/g,"&quot;").replace(/'/g,"&#39;"),uniqid:(e="",t=!1)=>`${e}${(1e3*Date.now()+1e3*Math.random()).toString(16).padEnd(14,"0")}${t?"."+Math.trunc(1e8*Math.random()):""}`,isPlainObject(e){if(null===e||"object"!=typeof e)return!1;const t=Object.getPrototypeOf(e);return null===t||null===Object.getPrototypeOf(t)},isAsyncFunction:e=>"function"==typeof e&&"AsyncFunction"===e.constructor?.name,getNestedValue(e,t){const n=Ne.pathStringToArray(t);let r=e;for(const e of n){if(!(e in r))return;r=r[e]}return r},setNestedProperty(e,t,n){const r=Ne.pathStringToArray(e);for(let e=0;e<r.length-1;e++){const t=r[e];t in n||(n[t]=/^\d+$/.test(r[e+1])?[]:{}),n=n[t]}n[r[r.length-1]]=t},getPacId:e=>e?e._pacId||e.getAttribute("data-pac-id"):null,getElementIdentifier(e){if(e.id)return e.id;if(e.hasAttribute("data-pac-element-id"))return e.getAttribute("data-pac-element-id");const t=Ne.uniqid("pac-el-");return e.setAttribute("data-pac-element-id",t),t},pathStringToArray:e=>Array.isArray(e)?e:(e+"").split(N).filter(Boolean),pathArrayToString(e){if(0===e.length)return"";let t=e[0]+"";for(let n=1;n<e.length;++n){const r=e[n];t+="number"==typeof r||/^\d+$/.test(r+"")?`[${r}]`:"."+r}return t},belongsToPacContainer(t,n){if(!(t instanceof Element&&t.hasAttribute("data-pac-id")))return!1;const r=n&&(n.nodeType===Node.TEXT_NODE||n.nodeType===Node.COMMENT_NODE),i=n&&n.nodeType===Node.ATTRIBUTE_NODE;let a;return a=r?n.parentElement:i?n.ownerElement:n,a instanceof Element&&!!t.contains(a)&&a.closest(e)===t},isElementVisible(e){const t=e.getBoundingClientRect(),n=window.innerHeight,r=window.innerWidth;return t.top<n&&t.bottom>0&&t.left<r&&t.right>0},isElementFullyVisible(e){const t=e.getBoundingClientRect(),n=window.innerHeight,r=window.innerWidth;return t.top>=0&&t.left>=0&&t.bottom<=n&&t.right<=r},isElementDirectlyFocused:e=>e===document.activeElement,isElementFocusWithin:e=>e===document.activeElement||e.contains(document.activeElement),domRectToSimpleObject:e=>({top:e.top,left:e.left,right:e.right,bottom:e.bottom,width:e.width,height:e.height,x:e.x,y:e.y}),getNetworkEffectiveType:()=>"connection"in navigator&&navigator.connection?.effectiveType?navigator.connection.effectiveType:"4g",detectNetworkQuality(){if(!navigator.onLine)return"offline";switch(this.getNetworkEffectiveType()){case"slow-2g":case"2g":case"3g":return"slow";default:return"fast"}},isEqual(e,t){if(e===t)return!0;if(Number.isNaN(e)&&Number.isNaN(t))return!0;if(!e||!t||"object"!=typeof e||"object"!=typeof t)return!1;if(Array.isArray(e))return Array.isArray(t)&&e.length===t.length&&e.every((e,n)=>this.isEqual(e,t[n]));const n=Object.keys(e);return n.length===Object.keys(t).length&&n.every(n=>Object.hasOwn(t,n)&&this.isEqual(e[n],t[n]))},buildCachedKeyNames(){const e={};for(const t in Tt)t.startsWith("VK_")&&(e[Tt[t]]=t);return e},buildCachedMessageNames(){const e={};for(const t in Tt)t.startsWith("MSG_")&&"number"==typeof Tt[t]&&!(Tt[t]in e)&&(e[Tt[t]]=t);return e},getMessageName(e){const t=Je.getName(e);return null!==t?t:(null===B&&(B=this.buildCachedMessageNames()),Object.prototype.hasOwnProperty.call(B,e)?B[e]:e>=ye&&e<Ee?"MSG_PLUGIN+"+(e-ye):e>=me&&e<ye?"MSG_USER+"+(e-me):"0x"+e.toString(16).toUpperCase().padStart(4,"0"))},getKeyName(e){return null===F&&(F=this.buildCachedKeyNames()),Object.prototype.hasOwnProperty.call(F,e)?F[e]:e>=48&&e<=57||e>=65&&e<=90?String.fromCharCode(e):"0x"+e.toString(16).toUpperCase().padStart(2,"0")},computeInputDelta(e){const t=e.inputType||"",n=e.data;return t.startsWith("insert")?"string"==typeof n?n.length:1:t.startsWith("delete")?-1:0},getDeletedTextFromTextControl(e,t){const n=e.selectionStart,r=e.selectionEnd;return null==n||null==r?"":n!==r?e.value.slice(n,r):"backward"===t&&n>0?e.value.slice(n-1,n):"forward"===t&&n<e.value.length?e.value.slice(n,n+1):""},getDeleteDirection:e=>e?e.includes("Backward")?"backward":e.includes("Forward")?"forward":null:null,getNormalizedSelectionRange(e){const t=e.selectionStart,n=e.selectionEnd;return null==t||null==n?null:{start:Math.min(t,n),end:Math.max(t,n)}},unionRect(e,t){const n=Math.min(e.x,t.x),r=Math.min(e.y,t.y);return{x:n,y:r,width:Math.max(e.x+e.width,t.x+t.width)-n,height:Math.max(e.y+e.height,t.y+t.height)-r}},debounce(e,t){let n=null;function r(...r){clearTimeout(n),n=setTimeout(()=>{n=null,e.apply(this,r)},t)}return r.cancel=()=>{clearTimeout(n),n=null},r},getPacCache:e=>e._pacCache||(e._pacCache={})};function Ie(e,t={}){if(-1!==n.indexOf(e))return;if("function"!=typeof e.createPacPlugin)throw Error("wakaPAC.use(): library must implement createPacPlugin()");n.push(e);const o=e.createPacPlugin(Tt,t);r.push(o),o.name&&Ne.isPlainObject(o.functions)&&(i.get(o.name)?console.warn(`WakaPAC: unit "${o.name}" is already registered`):(i.set(o.name,o.functions),a.set(e,o.name),(e=>{if(!Ne.isPlainObject(e.filters))return;const t={};Object.keys(e.filters).forEach(n=>{const r=e.functions[e.filters[n]];"function"==typeof r?t[n]=r:console.warn(`WakaPAC: filter "${n}" of unit "${e.name}" references unknown function "${e.filters[n]}"`)}),s.set(e.name,t)})(o))),"function"==typeof o.sanitizeHtml&&(Fe.custom=o.sanitizeHtml)}const Oe={_initialized:!1,_captureActive:!1,_hoveredContainer:null,_hoveredDescendant:null,_capturedContainer:null,_intersectionObserver:null,_resizeObserver:null,_repeatCounts:new Map,validDropEffects:["none","copy","link","move"],_enterDepths:new WeakMap,_dropzoneTarget:null,_dirtyCanvases:new Map,initialize(){this._initialized||(this._initialized=!0,this._setupBrowserStateEvents(),this._setupFocusEvents(),this._setupMouseEvents(),this._setupTouchEvents(),this._setupKeyboardEvents(),this._setupFormEvents(),this._setupWindowEvents(),this._setupObservers())},_registerMessageEvent(e,t,n){const r=this;document.addEventListener(e,e=>{if(n&&!n(e))return;const i=r.getContainerForEvent(t,e);r.dispatchMouseMessage(t,e,i)})},_setupBrowserStateEvents(){const e=this;document.addEventListener("visibilitychange",()=>{e.dispatchBrowserStateEvent("visibility",{visible:!document.hidden})}),window.addEventListener("online",()=>{e.dispatchBrowserStateEvent("online",{online:!0,networkType:Ne.getNetworkEffectiveType(),networkQuality:Ne.detectNetworkQuality()})}),window.addEventListener("offline",()=>{e.dispatchBrowserStateEvent("online",{online:!1,networkType:Ne.getNetworkEffectiveType(),networkQuality:Ne.detectNetworkQuality()})}),"connection"in navigator&&navigator.connection&&navigator.connection.addEventListener("change",()=>{e.dispatchBrowserStateEvent("online",{online:navigator.onLine,networkType:Ne.getNetworkEffectiveType(),networkQuality:Ne.detectNetworkQuality()})}),screen.orientation&&screen.orientation.addEventListener("change",()=>{e.dispatchBrowserStateEvent("orientation",{angle:screen.orientation.angle,type:screen.orientation.type})}),function t(){const n=window.devicePixelRatio||1,r=window.matchMedia(`(resolution: ${n}dppx)`);r.addEventListener("change",function n(){r.removeEventListener("change",n),e.dispatchBrowserStateEvent("dpr",{ratio:window.devicePixelRatio||1}),t()})}()},_setupFocusEvents(){const e=this,t=new Map;let n=null;function r(){null!==n&&clearTimeout(n),n=setTimeout(()=>{n=null;for(const[n,{message:r,domEvent:i}]of t){const t=e.wrapDomEventAsMessage(r,i);e.dispatchToContainer(n,t)}t.clear()},0)}document.addEventListener("focusin",n=>{const i=e.getContainerForEvent(7,n);t.set(i,{message:7,domEvent:n}),r()}),document.addEventListener("focusout",n=>{const i=e.getContainerForEvent(8,n);t.has(i)||t.set(i,{message:8,domEvent:n}),r()})},_setupMouseEvents(){this._setupMouseButtonEvents(),this._setupMouseMoveEvent(),this._setupMouseWheelEvent(),this._setupClipboardEvents(),this._setupDragDropEvents(),this._setupDragPrevention(),this._setupDocumentLeave()},_setupMouseButtonEvents(){const e=this;document.addEventListener("mousedown",t=>{const n=0===t.button?W:1===t.button?z:2===t.button?G:void 0;if(!n)return;2===t.button&&rt.startRecording(t);const r=e.getContainerForEvent(n,t);e.dispatchMouseMessage(n,t,r)}),window.addEventListener("mouseup",t=>{const n=0===t.button?U:1===t.button?$:2===t.button?j:void 0;if(!n)return;2===t.button&&rt.isRecording&&rt.stopRecording(t);const r=e.getContainerForEvent(n,t);e.dispatchMouseMessage(n,t,r),2!==t.button||rt.gestureJustDispatched||e.dispatchMouseMessage(Z,t,r)}),this._registerMessageEvent("click",Y),this._registerMessageEvent("auxclick",Q,e=>1===e.button),this._registerMessageEvent("dblclick",H,e=>0===e.button),document.addEventListener("contextmenu",t=>{if(rt.gestureJustDispatched)return rt.gestureJustDispatched=!1,void t.preventDefault();const n=e.getContainerForEvent(J,t);e.dispatchMouseMessage(J,t,n)})},_setupMouseMoveEvent(){const e=this;this.setupMoveCoalescer("mousemove",Tt.mouseMoveThrottleFps,t=>{rt.isRecording&&rt.recordPoint(t);const n=e.getContainerForEvent(V,t),r=e.hasCapture();if(e._hoveredContainer!==n&&(r||(e._hoveredContainer&&(e._hoveredDescendant&&e.dispatchMouseMessage(X,t,e._hoveredContainer,e._hoveredDescendant),e.dispatchMouseMessage(q,t,e._hoveredContainer)),n&&e.dispatchMouseMessage(523,t,n)),e._hoveredContainer=n,e._hoveredDescendant=null),n&&!r){const r=e.normalizeToElement(t.target),i=e.findInteractiveDescendant(r,n);e._hoveredDescendant!==i&&(e._hoveredDescendant&&e.dispatchMouseMessage(X,t,n,e._hoveredDescendant),i&&e.dispatchMouseMessage(525,t,n,i),e._hoveredDescendant=i)}n&&e.dispatchMouseMessage(V,t,n)})},_setupMouseWheelEvent(){const e=this;document.addEventListener("wheel",t=>{const n=e.getContainerForEvent(pe,t),r=e.buildWheelWParam(t.deltaY,e.getModifierState(t),t.deltaMode);e.dispatchMouseMessage(pe,t,n,null,{wheelDelta:t.deltaY,wheelDeltaX:t.deltaX,deltaMode:t.deltaMode},r)},{passive:!0})},_setupClipboardEvents(){const e=this;document.addEventListener("copy",t=>{const n=e.getContainerForEvent(oe,t),r=""+window.getSelection(),i=e.getModifierState(t),a=e.wrapDomEventAsMessage(oe,t,i,r.length,{selectedText:r,copyData:null});if(e.dispatchToContainer(n,a),a.detail.copyData&&!t.defaultPrevented){t.preventDefault();for(const e in a.detail.copyData)t.clipboardData.setData(e,a.detail.copyData[e])}}),document.addEventListener("paste",t=>{const n=e.getContainerForEvent(ce,t),r=t.clipboardData,i=r.getData("text/uri-list"),a=i?i.split(/\r?\n/).filter(e=>e&&!e.startsWith("#")):[],s=e.getModifierState(t),o=r.getData("text/plain").length,c=Array.from(r.files).map(e=>({name:e.name,size:e.size,type:e.type})),l=e.wrapDomEventAsMessage(ce,t,s,o,{"text/plain":r.getData("text/plain"),"text/html":r.getData("text/html"),"text/rtf":r.getData("text/rtf"),"text/uri-list":i,uris:a,files:c,types:Array.from(r.types)});e.dispatchToContainer(n,l)})},_setupDragDropEvents(){this._onDragEnter(),this._onDragLeave(),this._onDragOver(),this._onDrop()},_setupDragPrevention(){document.addEventListener("dragstart",e=>{this.hasCapture()&&e.preventDefault()})},_onDragEnter(){const e=this;document.addEventListener("dragenter",t=>{const n=e.getContainerForEvent(ee,t);if(!n)return;const r=(e._enterDepths.get(n)||0)+1;e._enterDepths.set(n,r),1===r&&e.dispatchMouseMessage(ee,t,n,null,{types:Array.from(t.dataTransfer.types)})})},_onDragLeave(){const e=this;document.addEventListener("dragleave",t=>{const n=e.getContainerForEvent(ne,t);if(!n)return;const r=(e._enterDepths.get(n)||0)-1;e._enterDepths.set(n,r),0===r&&e.dispatchMouseMessage(ne,t,n,null,{types:Array.from(t.dataTransfer.types)})})},_onDragOver(){const e=this;document.addEventListener("dragover",n=>{const r=e.getContainerForEvent(te,n);if(!r)return;const i=n.target.closest(t);if(!i)return void(n.dataTransfer.dropEffect="none");if(n.preventDefault(),n.target===e._dropzoneTarget)return;const a=i.getAttribute("data-pac-drop-target");n.dataTransfer.dropEffect=e.validDropEffects.includes(a)?a:"copy",e._dropzoneTarget=i,e.dispatchMouseMessage(te,n,r,null,{dropTarget:i,types:Array.from(n.dataTransfer.types)})})},_onDrop(){const e=this;document.addEventListener("drop",n=>{const r=e.getContainerForEvent(re,n);if(!r)return;const i=n.target.closest(t);if(!i)return;n.preventDefault(),e._enterDepths.delete(r);const a=n.dataTransfer;e.dispatchMouseMessage(re,n,r,null,{dropTarget:i,text:a.getData("text/plain"),html:a.getData("text/html"),uri:a.getData("text/uri-list"),files:e._extractFileMetadata(a.files),rawFiles:a.files})})},_extractFileMetadata:e=>Array.from(e).map(e=>({name:e.name,size:e.size,type:e.type})),_setupDocumentLeave(){const e=this;document.addEventListener("mouseleave",t=>{null===t.relatedTarget&&(e.hasCapture()||e._hoveredContainer&&(e._hoveredDescendant&&(e.dispatchMouseMessage(X,t,e._hoveredContainer,e._hoveredDescendant),e._hoveredDescendant=null),e.dispatchMouseMessage(q,t,e._hoveredContainer),e._hoveredContainer=null))},!0)},_setupTouchEvents(){const e=this;this._registerMessageEvent("touchstart",W),this._registerMessageEvent("touchend",U),this._registerMessageEvent("touchcancel",U),this.setupMoveCoalescer("touchmove",Tt.mouseMoveThrottleFps,t=>{if(t.touches.length>0){const n=e.getContainerForEvent(V,t);e.dispatchMouseMessage(V,t,n)}}),document.addEventListener("pointerdown",e=>it.pointerDown(e)),document.addEventListener("pointermove",e=>it.pointerMove(e)),document.addEventListener("pointerup",e=>it.pointerUp(e)),document.addEventListener("pointercancel",e=>it.pointerUp(e))},_setupKeyboardEvents(){const t=this;window.addEventListener("blur",()=>{t._repeatCounts.clear(),pt()}),document.addEventListener("keydown",n=>{t._updateRepeatState(n);const r=t.getContainerForEvent(le,n),i=t.buildKeyboardWParam(n),a=t.buildKeyboardLParam(n),s=t.wrapDomEventAsMessage(le,n,i,a,{key:n.key,code:n.code});if(r&&((t,n)=>{if(0===st.size)return!1;const r=t.wParam;if(ht.has(r))return null!==lt;const i=[...lt?lt.strokes:[],{vk:r,modifiers:637534208&t.lParam}],a=null!==lt,s=(c=t.target)instanceof Element&&(c.isContentEditable||c.matches("input, textarea, select")),o=(t=>{const n=Ne.getPacId(t),r=[];for(let n=t.parentElement?.closest(e);n;n=n.parentElement?.closest(e)){const e=n.getAttribute("data-pac-id");null!==e&&st.has(e)&&r.push({pacId:e,table:st.get(e)})}const i={focused:st.has(n)?[{pacId:n,table:st.get(n)}]:[],ancestors:r,global:st.has(ot)?[{pacId:n,table:st.get(ot)}]:[]};return ct.flatMap(e=>i[e])})(n);var c;for(const{pacId:e,table:t}of o){const n=t.filter(e=>ut(e.strokes,i)&&!(e.skipEditable&&s));if(0===n.length)continue;const r=n.find(e=>e.strokes.length>i.length);if(r){const e=ft(r.key).slice(0,i.length).join(" ");return dt({strokes:i,label:e}),!0}return dt(null),Tt.sendMessage(e,ue,n[0].cmdId,0),!0}return dt(null),a})(s,r))n.preventDefault();else if(t.dispatchToContainer(r,s),n.key&&1===n.key.length){const e=n.key.charCodeAt(0),i=t.wrapDomEventAsMessage(768,n,e,a);t.dispatchToContainer(r,i)}}),document.addEventListener("keyup",e=>{t._updateRepeatState(e);const n=t.getContainerForEvent(he,e),r=t.buildKeyboardWParam(e),i=t.buildKeyboardLParam(e),a=t.wrapDomEventAsMessage(he,e,r,i,{key:e.key,code:e.code});t.dispatchToContainer(n,a)})},_setupFormEvents(){const e=this;document.addEventListener("change",t=>{const n=t.target,r="SELECT"===n.tagName,i="INPUT"===n.tagName&&L.has(n.type),a="INPUT"===n.tagName&&R.has(n.type),s="TEXTAREA"===n.tagName;if(r||i||a||s){const i=e.getContainerForEvent(ie,t),a=e.buildChangeWParam(t),o=e.wrapDomEventAsMessage(ie,t,a,0,{elementType:r?"select":s?"textarea":n.type});e.dispatchToContainer(i,o)}}),document.addEventListener("beforeinput",t=>{const n=t.target,r="INPUT"===n.tagName&&R.has(n.type),i="TEXTAREA"===n.tagName;if(r||i||!0===n.isContentEditable){const a=e.getContainerForEvent(771,t),s=r||i,o=Ne.getDeleteDirection(t.inputType),c=Ne.computeInputDelta(t),l=e.getModifierState(t);let h=null;c>0?h=t.data??t.dataTransfer?.getData("text/plain")??"":c<0&&(r||i)&&(h=Ne.getDeletedTextFromTextControl(n,o));const u=Ne.getNormalizedSelectionRange(n),d=e.wrapDomEventAsMessage(771,t,c,l,{inputType:t.inputType,elementType:n.tagName.toLowerCase(),text:h,selectionStart:s?u?.start??null:null,selectionEnd:s?u?.end??null:null});e.dispatchToContainer(a,d)}}),document.addEventListener("input",t=>{const n=t.target,r="INPUT"===n.tagName&&R.has(n.type),i="INPUT"===n.tagName&&"range"===n.type,a="TEXTAREA"===n.tagName;if(r||i||a||!0===n.isContentEditable){const s=e.getContainerForEvent(se,t),o=r||a||i?n.value:n.textContent??"",c=o.length,l=e.getModifierState(t),h=e.wrapDomEventAsMessage(se,t,c,l,{inputType:t.inputType??null,elementType:n.tagName.toLowerCase(),value:o});e.dispatchToContainer(s,h)}}),document.addEventListener("submit",t=>{const n=t.target,r=new FormData(n),i=e.getContainerForEvent(ae,t),a=t.submitter,s=e.wrapDomEventAsMessage(ae,t,0,0,{entries:Object.fromEntries(r.entries()),action:n.action,method:n.method.toUpperCase(),enctype:n.enctype,name:n.getAttribute("name"),isValid:n.checkValidity(),submitter:a?{name:a.name,value:a.value,id:a.id}:null,files:Array.from(n.elements).filter(e=>"file"===e.type&&e.files.length>0).reduce((e,t)=>(e[t.name]=Array.from(t.files).map(e=>({name:e.name,size:e.size,type:e.type})),e),{}),multiEntries:Array.from(new Set(Array.from(r.keys()).filter(e=>r.getAll(e).length>1))).reduce((e,t)=>(e[t]=r.getAll(t),e),{})});e.dispatchToContainer(i,s)})},_setupWindowEvents(){const e=this;this.setupMoveCoalescer("window.scroll",60,()=>{e.dispatchBrowserStateEvent("scroll",{scrollX:window.scrollX,scrollY:window.scrollY})}),this.setupMoveCoalescer("window.resize",60,()=>{e.dispatchBrowserStateEvent("resize",{viewportWidth:window.innerWidth,viewportHeight:window.innerHeight,documentWidth:document.documentElement.scrollWidth,documentHeight:document.documentElement.scrollHeight,scrollX:window.scrollX,scrollY:window.scrollY})})},_setupObservers(){const e=this;this._intersectionObserver=new IntersectionObserver(e=>{e.forEach(e=>{const t=window.PACRegistry.getByElement(e.target);if(t&&t.abstraction){const n=e.boundingClientRect;t.abstraction.containerVisible=e.isIntersecting,t.abstraction.containerFullyVisible=e.intersectionRatio>=.99,t.abstraction.containerClientRect=Ne.domRectToSimpleObject(n)}})},{threshold:[0,1]}),this._resizeObserver=new ResizeObserver(t=>{t.forEach(t=>{const n=t.target,r=window.PACRegistry.getByElement(n);if(r&&r.abstraction){const i=Math.round(t.contentRect.width),a=Math.round(t.contentRect.height);let s;r.abstraction.containerWidth=i,r.abstraction.containerHeight=a,s=0===i&&0===a?1:document.fullscreenElement===n?2:0;const o=s,c=e.makeLParam(i,a),l=e.wrapDomEventAsMessage(5,null,o,c,{width:i,height:a,contentRect:Ne.domRectToSimpleObject(t.contentRect),borderBoxSize:t.borderBoxSize,contentBoxSize:t.contentBoxSize});e.dispatchToContainer(n,l)}})})},_updateRepeatState(e){const t=e.code;"keyup"!==e.type?this._repeatCounts.set(t,e.repeat?this._getRepeatCount(e)+1:1):this._repeatCounts.delete(t)},_getRepeatCount(e){return this._repeatCounts&&this._repeatCounts.get(e.code)||1},_getPreviousKeyState:e=>"keyup"===e.type||e.repeat?1:0,observeContainer(e){this._intersectionObserver.observe(e),this._resizeObserver.observe(e)},unObserveContainer(e){this._resizeObserver.unobserve(e),this._intersectionObserver.unobserve(e)},setupMoveCoalescer(e,t,n){const r=this.resolveEventTarget(e);if(!r)return;let i=0,a=null,s=!1;const o=t>0?1e3/t:0;r.target.addEventListener(r.event,e=>{a=e,s||(s=!0,requestAnimationFrame(function e(t){o>0&&t-i<o?requestAnimationFrame(e):(n(a),i=t,s=!1)}))})},resolveEventTarget(e){const t={window,document,get body(){return document.body}},n=e.indexOf(".");if(-1===n)return{target:document,event:e};const r=t[e.slice(0,n)];return r?{target:r,event:e.slice(n+1)}:null},wrapDomEventAsMessage(e,t,n=0,r=0,i={},a=null){const s=new CustomEvent(P,{bubbles:!0,cancelable:!0,detail:i});return Object.defineProperties(s,{message:{value:e,enumerable:!0,configurable:!0},wParam:{value:n,enumerable:!0,configurable:!0},lParam:{value:r,enumerable:!0,configurable:!0},timestamp:{value:Date.now(),enumerable:!0,configurable:!0},target:{value:a??t?.target,enumerable:!0,configurable:!0},realTarget:{value:t?.target,enumerable:!0,configurable:!0},originalEvent:{value:t,enumerable:!0,configurable:!0}}),t&&["preventDefault","stopPropagation","stopImmediatePropagation"].forEach(e=>{const n=s[e];s[e]=function(){n&&n.call(this),t[e]&&t[e].call(t)}}),s},normalizeToElement:e=>e instanceof Element?e:e?.parentElement??null,getContainerForEvent(t,n){const r=this.normalizeToElement(n.target);let i=r?.closest(e)??null;return this._captureActive&&this.isCaptureAffected(t)&&(this._capturedContainer?.isConnected?i=this._capturedContainer:this.releaseCapture()),i},isInherentlyInteractive:e=>D.has(e.tagName?.toUpperCase())||e.hasAttribute("data-pac-control")||e.hasAttribute("data-pac-hoverable")||e.hasAttribute("tabindex")||e.isContentEditable,hasClickBinding(e){const t=e.getAttribute("data-pac-bind");return!!t&&De.parseBindingString(t).some(e=>"click"===e.type)},findInteractiveDescendant(e,t){if(t&&!t.contains(e))return null;let n=e;for(;n&&n!==t;){if(this.isInherentlyInteractive(n)||this.hasClickBinding(n))return n;n=n.parentElement}return null},dispatchToContainer(e,t){if(!e)return;t.pacId=Ne.getPacId(e);const n=o.map(e=>e.fn);let r=0;const i=()=>{if(r<n.length){const e=n[r++];try{e(t,i)}catch(e){console.warn("wakaPAC: message hook threw an error, continuing chain:",e),i()}}else e.dispatchEvent(t)};return i(),t.lResult},dispatchMouseMessage(e,t,n,r=null,i={},a=null,s=null){const o=null!==a?a:this.getModifierState(t),c=null!==s?s:this.buildMouseLParam(t,n);let l;if(523===e||e===q)l=n;else if(525===e||e===X)l=r;else if(be.has(e)){const e=this.normalizeToElement(t.target);l=this.findInteractiveDescendant(e,n),l||(l=n&&!n.contains(e)?n:e)}else l=null;const h=this.wrapDomEventAsMessage(e,t,o,c,i,l);this.dispatchToContainer(n,h)},dispatchBrowserStateEvent(e,t){window.PACRegistry.components.forEach(n=>{const r=new CustomEvent(x,{detail:{target:n.container,stateType:e,stateData:t,timestamp:Date.now()}});n.container.dispatchEvent(r)})},getModifierState(e){let t=0;return e.ctrlKey&&(t|=8),e.shiftKey&&(t|=4),e.altKey&&(t|=128),e.metaKey&&(t|=256),void 0!==e.buttons?(1&e.buttons&&(t|=1),2&e.buttons&&(t|=2),4&e.buttons&&(t|=16),8&e.buttons&&(t|=32),16&e.buttons&&(t|=64)):e.touches&&e.touches.length>0&&(t|=1),t},buildMouseLParam(e,t){if(!t)return 0;const n=e.touches?.[0]||e.changedTouches?.[0],r=n?n.clientX:e.clientX,i=n?n.clientY:e.clientY,a=t.getBoundingClientRect();return this.makeLParam(r-a.left,i-a.top)},makeLParam(e,t){const n=Math.max(0,Math.min(65535,Math.round(e)));return Math.max(0,Math.min(65535,Math.round(t)))<<16|n},buildWheelWParam(e,t,n){let r;switch(n){case 1:r=120*Math.sign(e);break;case 2:r=120*Math.sign(e)*10;break;default:if(Math.abs(e)<1)return 0;r=120*Math.sign(e)}return(65535&r)<<16|65535&t},buildKeyboardLParam(e){let t=0;return t|=65535&this._getRepeatCount(e),this.isExtendedKey(e.code)&&(t|=1<<24),e.shiftKey&&(t|=ve),e.ctrlKey&&(t|=we),e.metaKey&&(t|=Ae),e.altKey&&(t|=Ce),this._getPreviousKeyState(e)&&(t|=1<<30),"keyup"===e.type&&(t|=1<<31),t},buildKeyboardWParam(e){const t=this.getVirtualKeyCode(e.code);return null!==t?t:e.keyCode||e.which||0},buildChangeWParam(e){const t=e.target;switch(t.type){case"checkbox":return t.checked?1:0;case"radio":{const e=document.querySelectorAll(`input[name="${t.name}"]`);return Array.from(e).indexOf(t)}default:return"selectedIndex"in t?t.selectedIndex:0}},isExtendedKey:e=>!!e&&O.has(e),getVirtualKeyCode:e=>Pe[e]||null,isCaptureAffected:e=>e===V||e===pe||e===W||e===U||e===H||e===G||e===j||e===z||e===$||e===Y||e===Q||e===Z||e===J,setCapture(e){return e?.isConnected?(this.hasCapture()&&this._capturedContainer===e||(this.hasCapture()&&this.releaseCapture(),document.body.classList.add("pac-capture-active"),this._captureActive=!0,this._capturedContainer=e),!0):(console.warn("Cannot capture disconnected element"),!1)},releaseCapture(){if(this.hasCapture()){if(this._capturedContainer?.isConnected){const e=Ne.getPacId(this._capturedContainer);null!==e&&Tt.sendMessage(e,Tt.MSG_CAPTURECHANGED,0,0)}document.body.classList.remove("pac-capture-active"),this._captureActive=!1,this._capturedContainer=null}},hasCapture(){return this._captureActive},releaseCaptureIfOwnedBy(e){this._captureActive&&this._capturedContainer===e&&this.releaseCapture()},getCapturedPacId(){return this._captureActive&&Ne.getPacId(this._capturedContainer)||null},invalidateRect(e,t){const n=Tt.getContainerByPacId(e);if(!n)return;if(!(n instanceof HTMLCanvasElement))return;const r=t||{x:0,y:0,width:n.width,height:n.height};if(this._dirtyCanvases.has(e)){const t=this._dirtyCanvases.get(e);if(0===t.rcPaint.x&&0===t.rcPaint.y&&t.rcPaint.width===n.width&&t.rcPaint.height===n.height)return;t.rects.some(e=>r.x>=e.x&&r.y>=e.y&&r.x+r.width<=e.x+e.width&&r.y+r.height<=e.y+e.height)||(t.rects.push(r),t.rcPaint=Ne.unionRect(t.rcPaint,r))}else this._dirtyCanvases.set(e,{container:n,rcPaint:r,rects:[r]}),requestAnimationFrame(this.flushPaintQueue)},flushPaintQueue(){Oe._dirtyCanvases.forEach(e=>{const{container:t}=e;t.isConnected&&(e.painting=!0,Oe.dispatchToContainer(t,Oe.wrapDomEventAsMessage(K,null,0,0)),e.painting=!1)}),Oe._dirtyCanvases.clear()}},Re={tokens:[],currentToken:0,_parseStack:[],OPERATOR_PRECEDENCE:{"??":1,"||":2,"&&":3,"===":6,"!==":6,"==":6,"!=":6,"<":7,">":7,"<=":7,">=":7,"+":8,"-":8,"*":9,"/":9,"%":9,"!":10,"unary-":10,"unary+":10},OPERATOR_TYPES:{"??":"logical","||":"logical","&&":"logical","===":"comparison","!==":"comparison","==":"comparison","!=":"comparison",">=":"comparison","<=":"comparison",">":"comparison","<":"comparison","+":"arithmetic","-":"arithmetic","*":"arithmetic","/":"arithmetic","%":"arithmetic"},KEYWORD_VALUES:{true:!0,false:!1,null:null,undefined:void 0},SINGLE_CHAR_TOKENS:{"(":"LPAREN",")":"RPAREN","{":"LBRACE","}":"RBRACE","[":"LBRACKET","]":"RBRACKET",",":"COMMA",".":"DOT","|":"PIPE"},parseExpression(e){e=(e+"").trim(),this._parseStack.push({tokens:this.tokens,currentToken:this.currentToken});try{return this.tokens=this.tokenize(e),this.currentToken=0,0===this.tokens.length?null:this.parsePipe()}finally{const e=this._parseStack.pop();this.tokens=e.tokens,this.currentToken=e.currentToken}},tokenize(e){const t=[];let n=0;for(;n<e.length;){const r=e[n];if(/\s/.test(r)){n++;continue}if('"'===r||"'"===r){const r=this.tokenizeString(e,n);t.push(r.token),n=r.nextIndex;continue}if(/\d/.test(r)||"."===r&&/\d/.test(e[n+1])){const r=this.tokenizeNumber(e,n);t.push(r.token),n=r.nextIndex;continue}if("?"===r&&"."===e[n+1]&&!/\d/.test(e[n+2])){t.push({type:"OPTIONAL_CHAIN",value:"?."}),n+=2;continue}if("="===r&&">"===e[n+1]){t.push({type:"ARROW",value:"=>"}),n+=2;continue}const i=/^(===|!==|==|!=|>=|<=|&&|\|\||\?\?)/.exec(e.slice(n));if(i){const e=i[1];t.push({type:"OPERATOR",value:e,precedence:this.getOperatorPrecedence(e)}),n+=e.length;continue}const a=this.SINGLE_CHAR_TOKENS;if(a[r])t.push({type:a[r],value:r}),n++;else{if("+-*/<>!?:%".includes(r)){const e=this.getOperatorPrecedence(r);let i;switch(r){case"?":i="QUESTION";break;case":":i="COLON";break;default:i="OPERATOR"}t.push({type:i,value:r,precedence:e}),n++;continue}if(/[a-zA-Z_$]/.test(r)){const r=this.tokenizeIdentifier(e,n);t.push(r.token),n=r.nextIndex;continue}n++}}return t},tokenizeString(e,t){const n=e[t];let r=t+1,i="";for(;r<e.length;){const t=e[r];if("\\"===t&&r+1<e.length){const a=e[r+1];a===n||"\\"===a?(i+=a,r+=2):(i+=t,r++)}else{if(t===n)return{token:{type:"STRING",value:i},nextIndex:r+1};i+=t,r++}}throw Error(`Unterminated string literal starting at position ${t}: expected closing ${n}`)},tokenizeNumber(e,t){const n=/^(\d*\.?\d+(?:[eE][+-]?\d+)?)/.exec(e.slice(t));if(n)return{token:{type:"NUMBER",value:parseFloat(n[1])},nextIndex:t+n[1].length}},tokenizeIdentifier(e,t){const n=/^([a-zA-Z_$][a-zA-Z0-9_$]*)/.exec(e.slice(t));if(n){const e=n[1];return{token:{type:["true","false","null","undefined"].includes(e)?"KEYWORD":"IDENTIFIER",value:e},nextIndex:t+e.length}}},getOperatorPrecedence(e){return this.OPERATOR_PRECEDENCE[e]||0},parsePipe(){let e=this.parseTernary();for(;this.match("PIPE");)e={type:"pipe",input:e,filter:this.parseFilter()};return e},parseFilter(){const e=this.check("IDENTIFIER")?this.parsePropertyAccess():null;switch(e&&e.type){case"identifier":return{unit:null,name:e.name,arguments:[]};case"call":return{unit:null,name:e.name,arguments:e.arguments};case"member":if("identifier"===e.object.type&&!e.optional)return{unit:e.object.name,name:e.property,arguments:[]};break;case"qualified_call":if(!e.optional)return{unit:e.unit,name:e.method,arguments:e.arguments}}throw Error('Expected filter name after "|"')},parseTernary(){let e=this.parseBinaryWithPrecedence(1);if(this.match("QUESTION")){const t=this.parseTernary();return this.consume("COLON",'Expected ":" in ternary expression'),{type:"ternary",condition:e,trueValue:t,falseValue:this.parseTernary()}}return e},parseBinaryWithPrecedence(e){let t=this.parseUnary();for(;"OPERATOR"===this.peek().type;){const n=this.getOperatorPrecedence(this.peek().value);if(n<e)break;const r=this.advance().value,i=this.parseBinaryWithPrecedence(n+1);t={type:this.OPERATOR_TYPES[r]||"arithmetic",left:t,operator:r,right:i}}return t},parseUnary(){return this.matchOperator("!","-","+")?{type:"unary",operator:this.previous().value,operand:this.parseUnary()}:this.parsePrimary()},parsePrimary(){const e=this.matchLambdaParams();if(e)return{type:"lambda",params:e,body:this.parseTernary()};if(this.match("LPAREN")){const e=this.parsePipe();return this.consume("RPAREN","Expected closing parenthesis"),this.parsePostfixOperators({type:"parentheses",inner:e})}return this.match("LBRACKET")?this.parsePostfixOperators(this.parseArrayLiteral()):this.match("LBRACE")?this.parsePostfixOperators(this.parseObjectLiteral()):this.check("STRING")||this.check("NUMBER")?this.parsePostfixOperators({type:"literal",value:this.advance().value}):this.check("KEYWORD")?this.parsePostfixOperators({type:"literal",value:Re.KEYWORD_VALUES[this.advance().value]}):this.check("IDENTIFIER")?this.parsePostfixOperators(this.parsePropertyAccess()):null},matchLambdaParams(){const e=this.tokens;let t=this.currentToken;if("IDENTIFIER"===e[t]?.type&&"ARROW"===e[t+1]?.type)return this.currentToken=t+2,[e[t].value];if("LPAREN"!==e[t]?.type)return null;const n=[];for(t++;"IDENTIFIER"===e[t]?.type&&(n.push(e[t++].value),"COMMA"===e[t]?.type);)t++;return"RPAREN"!==e[t]?.type||"ARROW"!==e[t+1]?.type?null:(this.currentToken=t+2,n)},parsePostfixOperators(e){let t=!1;for(;;){const n=this.match("OPTIONAL_CHAIN");if(n&&(t=!0),this.match("LBRACKET")){const n=this.parseTernary();this.consume("RBRACKET","Expected closing bracket"),e={type:"index",object:e,index:n,optional:t};continue}if(n&&this.match("LPAREN")){const n=this.parseArgumentList();if(this.consume("RPAREN","Expected closing parenthesis"),"identifier"===e.type)e={type:"call",name:e.name,arguments:n,optional:t};else{if("member"!==e.type)throw Error('Optional call "?.()" is only supported on functions and methods');e={type:"method_call",object:e.object,method:e.property,arguments:n,optional:t,optionalCall:!0}}continue}if(!n&&!this.match("DOT")){if("identifier"===e.type&&this.match("LPAREN")){const t=this.parseArgumentList();this.consume("RPAREN","Expected closing parenthesis"),e={type:"call",name:e.name,arguments:t};continue}break}if(!this.check("IDENTIFIER"))throw Error(`Expected property name after "${n?"?.":"."}"`);{const n=this.advance().value;if(this.match("LPAREN")){const r=this.parseArgumentList();this.consume("RPAREN","Expected closing parenthesis"),e="identifier"===e.type?{type:"qualified_call",unit:e.name,method:n,arguments:r,optional:t}:{type:"method_call",object:e,method:n,arguments:r,optional:t}}else e={type:"member",object:e,property:n,optional:t}}}return e},parseArgumentList(){const e=[];if(!this.check("RPAREN"))do{e.push(this.parseTernary())}while(this.match("COMMA")&&!this.check("RPAREN"));return e},parseArrayLiteral(){const e=[];if(!this.check("RBRACKET"))do{e.push(this.parseTernary())}while(this.match("COMMA")&&!this.check("RBRACKET"));return this.consume("RBRACKET","Expected closing bracket"),{type:"array",elements:e}},parseObjectLiteral(){const e=[];if(!this.check("RBRACE"))do{let t;if(this.check("STRING"))t=this.advance().value;else{if(!this.check("IDENTIFIER"))throw Error("Expected property name");t=this.advance().value}this.consume("COLON",'Expected ":" after object key');const n=this.parseTernary();e.push({key:t,value:n})}while(this.match("COMMA")&&!this.check("RBRACE"));return this.consume("RBRACE","Expected closing brace"),{type:"object",pairs:e}},parsePropertyAccess(){const e={type:"identifier",name:this.advance().value};return this.parsePostfixOperators(e)},isPathNode(e){for(;"member"===e.type||"index"===e.type;)e=e.object;return"identifier"===e.type},astToPath(e){if(!e)return"";switch(e.type){case"identifier":return e.name;case"member":return this.astToPath(e.object)+"."+e.property;case"index":{const t=this.astToPath(e.object);return"literal"===e.index.type?t+"["+JSON.stringify(e.index.value)+"]":t+"["+this.astToPath(e.index)+"]"}case"literal":return JSON.stringify(e.value);case"arithmetic":return this.astToPath(e.left)+" "+e.operator+" "+this.astToPath(e.right);default:return""}},match(...e){for(const t of e)if(this.check(t))return this.advance(),!0;return!1},matchOperator(...e){if(this.check("OPERATOR")){const t=this.peek();if(e.includes(t.value))return this.advance(),!0}return!1},check(e){return!this.isAtEnd()&&this.peek().type===e},advance(){return this.isAtEnd()||this.currentToken++,this.previous()},isAtEnd(){return this.currentToken>=this.tokens.length},peek(){return this.tokens[this.currentToken]||{type:"EOF",value:null}},previous(){return this.tokens[this.currentToken-1]},consume(e,t){if(this.check(e))return this.advance();throw Error(t+" at token: "+JSON.stringify(this.peek()))},evaluate(e,t,n=null){if(e)switch(e.type){case"literal":return e.value;case"property":return this.getProperty(e.path,t,n);case"identifier":return this.getProperty(e.name,t,n);case"parentheses":return this.evaluate(e.inner,t,n);case"array":return this.evaluateArrayLiteral(e,t,n);case"object":return this.evaluateObjectLiteral(e,t,n);case"index":{if(n&&this.isPathNode(e.object))return this.getProperty(this.astToPath(e),t,n);const r=this.evaluate(e.object,t,n);if(e.optional&&null==r)return;const i=this.evaluate(e.index,t,n);return r&&r[i]}case"lambda":return this.createLambda(e,t,n);case"pipe":return this.evaluateFilter(e.filter,this.evaluate(e.input,t,n),t,n);case"ternary":{const r=this.evaluate(e.condition,t,n);return this.evaluate(r?e.trueValue:e.falseValue,t,n)}case"logical":{const r=this.evaluate(e.left,t,n);return"&&"===e.operator?r?this.evaluate(e.right,t,n):r:"||"===e.operator?r||this.evaluate(e.right,t,n):"??"===e.operator?null!=r?r:this.evaluate(e.right,t,n):r}case"comparison":case"arithmetic":{const r=this.evaluate(e.left,t,n),i=this.evaluate(e.right,t,n);return this.performOperation(r,e.operator,i)}case"unary":{const r=this.evaluate(e.operand,t,n);switch(e.operator){case"!":return!r;case"-":return-r;case"+":return+r;default:return r}}case"member":{if(n&&this.isPathNode(e.object))return this.getProperty(this.astToPath(e),t,n);const r=this.evaluate(e.object,t,n);if(e.optional&&null==r)return;return r&&r[e.property]}case"method_call":{const r=this.evaluate(e.object,t,n);if(e.optional&&null==r)return;if(e.optionalCall&&(null==r||null==r[e.method]))return;return Array.isArray(r)?this.evaluateArrayMethod(r,e.method,e.arguments.map(e=>this.evaluate(e,t,n))):void console.warn("Method calls only supported on arrays")}case"qualified_call":{const r=this.getProperty(e.unit,t,n);if(e.optional&&null===r)return;if(void 0!==r){i.get(e.unit)&&console.warn(`WakaPAC: data property "${e.unit}" is shadowing a registered unit`);const a=e.arguments.map(e=>this.evaluate(e,t,n));return Array.isArray(r)?this.evaluateArrayMethod(r,e.method,a):"function"==typeof r[e.method]?r[e.method](...a):void 0}const a=i.get(e.unit);if(a&&"function"==typeof a[e.method]){const r=e.arguments.map(e=>this.evaluate(e,t,n));return a[e.method](...r)}if(e.optional)return;return void console.warn(`WakaPAC: unknown qualified call ${e.unit}.${e.method}()`)}case"call":{const r=this.getProperty(e.name,t,n);if("function"==typeof r){const i=e.arguments.map(e=>this.evaluate(e,t,n));return r.call(t,...i)}const i=n?.importedUnits;if(i&&"function"==typeof i[e.name]){const r=e.arguments.map(e=>this.evaluate(e,t,n));return i[e.name](...r)}if(e.optional)return;return void console.warn(`WakaPAC: unknown function call "${e.name}()" in template`)}default:return}},createLambda(e,t,n){const r=e.params,i=n&&Object.assign({},n,{resolveScopedPath:e=>{const t=e.split(N,1)[0];return r.includes(t)?e:n.resolveScopedPath(e)}});return(...n)=>{const a=Object.create(t);return r.forEach((e,t)=>{Object.defineProperty(a,e,{value:n[t],enumerable:!0})}),this.evaluate(e.body,a,i)}},evaluateFilter(e,t,n,r){const a=[t].concat(e.arguments.map(e=>this.evaluate(e,n,r)));if(null===e.unit){const t=this.getProperty(e.name,n,r);if("function"==typeof t)return t.call(n,...a);const i=r?.importedFilters?.[e.name]??r?.importedUnits?.[e.name];return"function"==typeof i?i(...a):void console.warn(`WakaPAC: unknown filter "${e.name}" in template`)}const s=this.getProperty(e.unit,n,r),o=null!=s?s:i.get(e.unit);if(o&&"function"==typeof o[e.name])return o[e.name](...a);console.warn(`WakaPAC: unknown filter "${e.unit}.${e.name}" in template`)},evaluateArrayMethod(e,t,n){switch(t){case"includes":return e.includes(n[0]);case"indexOf":return e.indexOf(n[0]);case"length":return e.length;case"join":return e.join(n[0]||",");case"slice":return e.slice(n[0],n[1]);case"concat":return e.concat(...n);case"at":return e.at(n[0]);case"filter":case"map":case"some":case"every":case"find":case"findIndex":return"function"!=typeof n[0]?void console.warn(`Array method '${t}' expects a function argument`):e[t](n[0]);case"reduce":return"function"!=typeof n[0]?void console.warn(`Array method '${t}' expects a function argument`):n.length>1?e.reduce(n[0],n[1]):e.reduce(n[0]);default:return void console.warn(`Array method '${t}' not supported`)}},getProperty(e,t,n=null){if(!t||!e)return;let r=e;if(n&&n.resolveScopedPath&&(r=n.resolveScopedPath(e)),"number"==typeof r)return r;if(r+="",-1===r.indexOf(".")&&-1===r.indexOf("["))return r in t?t[r]:void 0;const i=r.split(N).filter(Boolean);let a=t;for(let e=0;e<i.length;e++){if(null==a)return;let n=i[e];if("string"==typeof a)return a[n];"object"==typeof a||"function"==typeof a?(isNaN(n)&&!(n in a)&&n in t&&(n=t[n]),a=a[n]):a=a[n]}return a},evaluateArrayLiteral(e,t,n=null){const r=this;return e.elements?e.elements.map(e=>r.evaluate(e,t,n)):[]},evaluateObjectLiteral:function(e,t,n){const r=this,i={};return e.pairs&&e.pairs.forEach(({key:e,value:a})=>{i[e]=r.evaluate(a,t,n)}),i},performOperation(e,t,n){switch(t){case"+":return e+n;case"-":return Number(e)-Number(n);case"*":return Number(e)*Number(n);case"/":return Number(e)/Number(n);case"%":return Number(e)%Number(n);case"===":return e===n;case"!==":return e!==n;case"==":return e==n;case"!=":return e!=n;case">=":return e>=n;case"<=":return e<=n;case">":return e>n;case"<":return e<n;default:return!1}},parseBindingString(e){const t=[];let n="",r=!1,i="",a=0,s=0,o=0;for(let c=0;c<e.length;c++){const l=e[c];'"'!==l&&"'"!==l||c>0&&"\\"===e[c-1]||(r?l===i&&(r=!1,i=""):(r=!0,i=l)),r||("("===l?a++:")"===l?a--:"{"===l?s++:"}"===l?s--:"["===l?o++:"]"===l&&o--),","!==l||r||0!==a||0!==s||0!==o?n+=l:(this.addBindingPairIfValid(n,t),n="")}return this.addBindingPairIfValid(n,t),t},addBindingPairIfValid(e,t){const n=e.trim();if(!n)return;const r=n.indexOf(":");if(-1===r)return;const i=n.slice(0,r).trim().replace(/^['"]|['"]$/g,"");if(!i)return;const a=n.slice(r+1).trim();t.push({type:i,target:a})}},De={cache:new Map,bindingCache:new Map,maxSize:1e3,_cachedParse(e,t,n){const r=(t+"").trim();if(e.has(r))return e.get(r);const i=n(t);return e.size>=this.maxSize&&e.delete(e.keys().next().value),e.set(r,i),i},parseExpression(e){return this._cachedParse(this.cache,e,e=>Re.parseExpression(e))},parseBindingString(e){return this._cachedParse(this.bindingCache,e,e=>Re.parseBindingString(e))}},Le={value:(e,t,n)=>{if("radio"!==t.type){if(t.multiple){const e=Array.isArray(n)?n.map(String):[];for(let n=0;n<t.options.length;n++)t.options[n].selected=e.includes(t.options[n].value);return}if("value"in t){const e=(n||"")+"";t.value!==e&&(t.value=e)}}else t.checked=t.value===n+""},checked:(e,t,n)=>{if("checkbox"===t.type||"radio"===t.type){const e=!!n;t.checked!==e&&(t.checked=e)}},visible:(e,t,n)=>{const r=!!n,i=Ne.getPacCache(t),a=i.visibleApplied?Be.getName(t):null;if(i.visibleApplied=!0,r){if(t.hasAttribute("data-pac-hidden")){if(t.removeAttribute("data-pac-hidden"),Be.isLeaving(t))return Be.cancel(t),t.removeAttribute("data-pac-orig-display"),void(a&&Be.enter(t,a));t.style.display=t.getAttribute("data-pac-orig-display")||"block",t.removeAttribute("data-pac-orig-display"),a&&Be.enter(t,a)}}else t.hasAttribute("data-pac-hidden")||(t.hasAttribute("data-pac-orig-display")||(e=>{const t=e.style.display;t&&"none"!==t?e.setAttribute("data-pac-orig-display",t):t||(e.setAttribute("data-pac-orig-display",""),requestAnimationFrame(()=>{const t=getComputedStyle(e).display;t&&"none"!==t&&e.setAttribute("data-pac-orig-display",t)}))})(t),t.setAttribute("data-pac-hidden","true"),a?Be.leave(t,a,()=>{t.style.display="none"}):t.style.display="none")},placeholder:(e,t,n)=>{if("SELECT"!==t.tagName)return;const r=t.querySelector("option[data-pac-placeholder-option]");if(!r)return;const i=null!=n?n+"":"";r.textContent!==i&&(r.textContent=i)},if:(e,t,n)=>{const r=!!n;let i=null;if(void 0===t._pacIfChildren?(t._pacIfChildren=Array.from(t.childNodes),t._pacIsVisible=!0):i=Be.getName(t),r===t._pacIsVisible)return;const a=t._pacIfChildren.filter(e=>e.nodeType===Node.ELEMENT_NODE);if(!r&&i&&a.length>0){let n=a.length;return t._pacIsVisible=!1,void a.forEach(r=>{Be.leave(r,i,()=>{0!==--n||t._pacIsVisible||e.domUpdater.toggleNodeVisibility(t._pacIfChildren,!1)})})}a.forEach(e=>Be.cancel(e)),e.domUpdater.toggleNodeVisibility(t._pacIfChildren,r),t._pacIsVisible=r,r&&(e.scanAndRegisterNewElements(t),i&&a.forEach(e=>Be.enter(e,i)))},class:(e,t,n)=>{if("object"!=typeof n||null===n||Array.isArray(n)){if("string"==typeof n){const e=n.split(/\s+/).filter(Boolean),r=Ne.getPacCache(t);if(r.dynamicClasses)for(let n=0;n<r.dynamicClasses.length;n++)-1===e.indexOf(r.dynamicClasses[n])&&t.classList.remove(r.dynamicClasses[n]);for(let n=0;n<e.length;n++)t.classList.add(e[n]);r.dynamicClasses=e}}else for(const e in n)n[e]?t.classList.add(e):t.classList.remove(e)},style:(e,t,n)=>{if("object"!=typeof n||null===n||Array.isArray(n))"string"==typeof n&&(t.style.cssText=n);else for(const e in n)null!=n[e]&&(e.startsWith("--")?t.style.setProperty(e,n[e]):t.style[e]=n[e])},html:(e,t,n)=>{const r=null!=n?n+"":"",i=Ne.getPacCache(t);if(i.previousHtml===r)return;i.previousHtml=r;const a=t.hasAttribute("data-pac-html-scan");a&&e.cleanupMapsWhere(e=>e!==t&&t.contains(e)),t.innerHTML=Fe.sanitize(r,t),a&&e.scanAndRegisterNewElements(t)}},Fe={custom:null,ALLOWED_TAGS:new Set(["a","abbr","b","blockquote","br","caption","cite","code","col","colgroup","dd","del","div","dl","dt","em","figcaption","figure","h1","h2","h3","h4","h5","h6","hr","i","img","ins","kbd","li","mark","ol","p","pre","q","s","small","span","strong","sub","sup","table","tbody","td","tfoot","th","thead","tr","u","ul"]),DROPPED_TAGS:new Set(["script","style","template","iframe","frame","frameset","object","embed","noscript","svg","math","textarea","select","title","head","link","meta","base"]),ALLOWED_ATTRIBUTES:new Set(["alt","class","colspan","height","href","lang","rel","rowspan","src","target","title","width","dir","id","headers","scope","start","reversed"]),URL_ATTRIBUTES:new Set(["href","src"]),SAFE_PROTOCOLS:new Set(["http","https","mailto","tel"]),sanitize(e,t){if(this.custom)return(this.custom(e,t)??"")+"";const n=document.createElement("template");return n.innerHTML=e,this.sanitizeNode(n.content),n.innerHTML},sanitizeNode(e){let t=e.firstChild;for(;t;){const e=t.nextSibling;if(t.nodeType===Node.ELEMENT_NODE){const e=t.tagName.toLowerCase();this.DROPPED_TAGS.has(e)?t.remove():this.ALLOWED_TAGS.has(e)?(this.sanitizeAttributes(t),this.sanitizeNode(t)):(this.sanitizeNode(t),t.replaceWith(...t.childNodes))}else t.nodeType!==Node.TEXT_NODE&&t.remove();t=e}},sanitizeAttributes(e){const t=Array.from(e.attributes);for(let n=0;n<t.length;n++){const r=t[n].name;(!this.ALLOWED_ATTRIBUTES.has(r)||this.URL_ATTRIBUTES.has(r)&&!this.isSafeUrl(t[n].value))&&e.removeAttribute(r)}"_blank"===e.getAttribute("target")&&e.setAttribute("rel","noopener noreferrer")},isSafeUrl(e){const t=/^([a-z][a-z0-9+.-]*):/i.exec(e.replace(/[^!-~]/g,""));return!t||this.SAFE_PROTOCOLS.has(t[1].toLowerCase())}},Be={getName(e){const t=e.getAttribute("data-pac-transition");return t?t.trim():null},enter(e,t){this.run(e,t,"enter",null)},leave(e,t,n){this.run(e,t,"leave",n)},isLeaving:e=>!!e._pacTransition&&"leave"===e._pacTransition.phase,cancel(e){const t=e._pacTransition;t&&(e._pacTransition=null,t.cleanup())},run(e,t,n,r){this.cancel(e);const i=`${t}-${n}-from`,a=`${t}-${n}-active`,s=`${t}-${n}-to`,o=e.hasAttribute("class"),c={phase:n,cleanup:()=>{e.classList.remove(i,a,s),o||0!==e.classList.length||e.removeAttribute("class"),this.stopWaiting(e)}};e._pacTransition=c,e.classList.add(i,a),requestAnimationFrame(()=>{e._pacTransition===c&&(e.classList.remove(i),e.classList.add(s),this.whenEnded(e,()=>{e._pacTransition===c&&(e._pacTransition=null,c.cleanup(),r&&r())}))})},capturePositions(e){const t=new Map;return e.forEach(e=>{t.set(e,e.getBoundingClientRect())}),t},playMoves(e,t){const n=t+"-move",r=[];e.forEach((e,t)=>{if(!t.isConnected||t._pacTransition)return;const i=t.getBoundingClientRect(),a=e.left-i.left,s=e.top-i.top;0===a&&0===s||(t.classList.remove(n),t.style.transitionDuration="0s",t.style.transform=`translate(${a}px, ${s}px)`,r.push(t))}),0!==r.length&&(document,r.forEach(e=>{e.classList.add(n),e.style.transitionDuration="",e.style.transform="",this.whenEnded(e,()=>{e.classList.remove(n)})}))},whenEnded(e,t){this.stopWaiting(e);const n=this.getTimeout(e);if(0===n)return void t();const r=()=>{this.stopWaiting(e),t()},i=t=>{t.target===e&&r()};e.addEventListener("transitionend",i),e.addEventListener("animationend",i),e._pacTransitionWait={timer:setTimeout(r,n+50),onEnd:i}},stopWaiting(e){const t=e._pacTransitionWait;t&&(clearTimeout(t.timer),e.removeEventListener("transitionend",t.onEnd),e.removeEventListener("animationend",t.onEnd),e._pacTransitionWait=null)},getTimeout(e){const t=getComputedStyle(e),n=(e,t)=>{const n=(e||"").split(",").map(Ke),r=(t||"").split(",").map(Ke);let i=0;return n.forEach((e,t)=>{i=Math.max(i,e+(r[t%r.length]||0))}),i};return Math.max(n(t.transitionDuration,t.transitionDelay),n(t.animationDuration,t.animationDelay))}};function Ke(e){const t=parseFloat(e);return isNaN(t)?0:e.trim().endsWith("ms")?t:1e3*t}function Ve(e){this.context=e}He.prototype.makeScopeResolverFor=function(e){return((e,t)=>({resolveScopedPath:n=>e(n,t),importedUnits:this.importedUnits||{},importedFilters:this.importedFilters||{}}))(this.normalizePath.bind(this),e)},He.prototype.evaluateExpression=(e,t,n)=>Re.evaluate(De.parseExpression(e),t,n),He.prototype.evalInScope=function(e,t,n){return this.evaluateExpression(e,n||this.abstraction,this.makeScopeResolverFor(t))},Ve.prototype.updateTextNode=function(e,t){const n=this,r=t.replace(f,(t,r)=>{try{const t=n.context.evalInScope(r,e);return null!=t?t+"":""}catch(i){return n.context.reportError(i,{source:"text",expression:r.trim(),element:e},`Error in text interpolation "${r}":`),t}});e.textContent!==r&&(e.textContent=r)},Ve.prototype.updateAttributeBinding=function(e,t,n,r){try{const n=Le[t];if(n)return void n(this.context,e,r);if("click"===t||"foreach"===t)return;"enable"===t?e.toggleAttribute("disabled",!r):I.has(t)?e.toggleAttribute(t,!!r):null!=r?e.setAttribute(t,r):e.removeAttribute(t)}catch(r){this.context.reportError(r,{source:"binding",binding:t,expression:n?.target,element:e},`Error updating ${t} binding:`)}},Ve.prototype.toggleNodeVisibility=function(e,t){const n=[];for(let r=0;r<e.length;r++)this.toggleEntry(e[r],t)&&n.push(e[r]);return n},Ve.prototype.toggleEntry=function(e,t){return e&&e.__wpGroup?t?this.showGroup(e):this.hideGroup(e):(t?this.showNode(e):this.hideNode(e),!1)},Ve.prototype.showNode=e=>{const t=e._pacIfPlaceholder;t&&t.parentNode&&t.parentNode.replaceChild(e,t)},Ve.prototype.hideNode=e=>{e.parentNode&&(e._pacIfPlaceholder||(e._pacIfPlaceholder=document.createComment("pac-if: hidden")),e.parentNode.replaceChild(e._pacIfPlaceholder,e))},Ve.prototype.hideGroup=e=>{if(e._pacGroupPlaceholder)return!1;if(!e.openMarker.parentNode)return!1;const t=[];for(let n=e.openMarker;n&&(t.push(n),n!==e.closeMarker);n=n.nextSibling);const n=document.createComment("pac-if: hidden group");return e.openMarker.parentNode.insertBefore(n,e.openMarker),t.forEach(e=>{e.parentNode&&e.parentNode.removeChild(e)}),e._pacGroupPlaceholder=n,e._pacGroupContents=t,!1},Ve.prototype.showGroup=e=>{const t=e._pacGroupPlaceholder;if(!t||!t.parentNode)return!1;const n=t.parentNode;return(e._pacGroupContents||[]).forEach(e=>{n.insertBefore(e,t)}),n.removeChild(t),e._pacGroupPlaceholder=null,e._pacGroupContents=null,!0};const We={rafId:null,nextTimerId:1,timers:new Map,add(e,t){const n=this.nextTimerId++;return this.timers.set(n,{context:e,timerId:n,elapse:t,lastFired:performance.now()}),null===this.rafId&&(this.rafId=requestAnimationFrame(this.loop.bind(this))),n},remove(e){this.timers.delete(e),0===this.timers.size&&null!==this.rafId&&(cancelAnimationFrame(this.rafId),this.rafId=null)},removeAllForContext(e){for(const[t,n]of this.timers)n.context===e&&this.timers.delete(t);0===this.timers.size&&null!==this.rafId&&(cancelAnimationFrame(this.rafId),this.rafId=null)},loop(e){for(const[,t]of this.timers)e-t.lastFired>=t.elapse&&(t.lastFired=e,Tt.sendMessage(t.context.abstraction.pacId,de,t.timerId,0));this.rafId=this.timers.size>0?requestAnimationFrame(this.loop.bind(this)):null}};function Ue(e,t){this.runtime=e,this.limit=t&&t.limit>0?t.limit:100,this.undoStack=[],this.redoStack=[],this.pending=null,this.depth=0,this.replaying=!1}function He(e,t,n){this.originalAbstraction=t,this.parent=null,this.children=new Set,this.container=e,this.config=n,this.interpolationMap=new Map,this.textInterpolationMap=new Map,this.commentBindingMap=new Map,this.subclasses=[],this.focusReturn=null,this.readyCalled=!1,this.abstraction=this.createReactiveAbstraction(),this.domUpdater=new Ve(this),this.dependencies=this.getDependencies(),this.initializeHistory(),this.initializeTouchGestures(),this.initializeImportedUnits(),this.setupContainerScrollTracking(),this.initializeUpdateQueue(),this.registerPacEventListeners(),Oe.observeContainer(this.container)}function Ge(e){const t={units:{},filters:{}};return e&&e.split(",").forEach(e=>{const n=e.trim(),r=i.get(n);r?(Object.assign(t.units,r),Object.assign(t.filters,s.get(n))):console.warn(`WakaPAC: data-pac-uses references unknown unit "${n}"`)}),t}function je(e){e.querySelectorAll('script[type="text/template"]['+T+"]").forEach(e=>{const t=e.getAttribute(T);t&&(c.has(t)?c.get(t)!==e.textContent&&console.warn('wakaPAC: Duplicate partial "'+t+'" — only the first definition is used.'):c.set(t,e.textContent))})}function ze(e,t){if(0===c.size)return e;if((t=t||0)>=10)return console.warn("wakaPAC: Partial expansion stopped at maximum depth (10). Check for circular partial references."),e;if(-1===(e=e.replace(/\{\{&gt;/g,"{{>")).indexOf("{{>"))return e;S.lastIndex=0;const n=e.replace(S,(e,t,n)=>{if(!c.has(t))return console.warn('wakaPAC: Unknown partial "{{> '+t+'}}" — register a <div data-pac-partial="'+t+'"> element in the document.'),e;let r=c.get(t);return n&&(k.lastIndex=0,r=r.replace(k,n+".")),r});return S.lastIndex=0,n!==e&&-1!==n.indexOf("{{>")?ze(n,t+1):n}function $e(e){if(0===c.size)return;const t=document.createTreeWalker(e,NodeFilter.SHOW_TEXT),n=[];let r;for(;r=t.nextNode();)-1!==r.textContent.indexOf("{{>")&&n.push(r);0!==n.length&&n.forEach(e=>{const t=ze(e.textContent,0);if(t===e.textContent)return;const n=document.createElement("template");n.innerHTML=t,e.parentNode.replaceChild(n.content,e)})}Ue.prototype.beginStep=function(){this.depth++},Ue.prototype.endStep=function(){this.depth--,0===this.depth&&this.commit()},Ue.prototype.record=function(e,t,n){this.replaying||0===e.length||this.runtime.systemProperties.has(e[0])||"function"!=typeof n&&"function"!=typeof t&&(null===this.pending&&(this.pending=[],0===this.depth&&queueMicrotask(()=>{0===this.depth&&this.commit()})),this.pending.push({path:e.slice(),oldValue:t,newValue:Array.isArray(n)?Array.prototype.slice.call(n):n}))},Ue.prototype.commit=function(){if(null===this.pending)return;const e=this.pending;this.pending=null,0!==e.length&&(this.undoStack.push(e),this.undoStack.length>this.limit&&this.undoStack.shift(),this.redoStack=[],this.updateFlags())},Ue.prototype.clear=function(){this.pending=null,this.undoStack=[],this.redoStack=[],this.updateFlags()},Ue.prototype.undo=function(){this.commit();const e=this.undoStack.pop();if(!e)return!1;for(let t=e.length-1;t>=0;t--)this.apply(e[t].path,e[t].oldValue);return this.redoStack.push(e),this.updateFlags(),!0},Ue.prototype.redo=function(){this.commit();const e=this.redoStack.pop();if(!e)return!1;for(let t=0;t<e.length;t++)this.apply(e[t].path,e[t].newValue);return this.undoStack.push(e),this.updateFlags(),!0},Ue.prototype.apply=function(e,t){let n=this.runtime.abstraction;for(let t=0;t<e.length-1;t++)n=n?.[e[t]];if(null!==n&&"object"==typeof n){this.replaying=!0;try{n[e[e.length-1]]=Array.isArray(t)?t.slice():t}finally{this.replaying=!1}}},Ue.prototype.updateFlags=function(){const e=this.runtime.abstraction;e&&(e.canUndo=this.undoStack.length>0,e.canRedo=this.redoStack.length>0)},He.prototype.initializeHistory=function(){if(!this.config.history)return void(this.history=null);const e=new Ue(this,this.config.history);this.history=e,Object.defineProperties(this.abstraction,{undo:{value:()=>e.undo(),writable:!1,enumerable:!1},redo:{value:()=>e.redo(),writable:!1,enumerable:!1}})},He.prototype.initializeTouchGestures=function(){this.touchGestures=it.parseOption(this.config.gestures),this.touchGestures&&!this.container.style.touchAction&&(this.container.style.touchAction="none")},He.prototype.initializeImportedUnits=function(){const e=Ge(this.container.getAttribute("data-pac-uses"));this.importedUnits=e.units,this.importedFilters=e.filters},He.prototype.setupContainerScrollTracking=function(){const e=Ne.debounce(()=>{this.updateContainerScrollState()},16);this.container.addEventListener("scroll",e,{passive:!0}),this.containerScrollHandler=e},He.prototype.initializeUpdateQueue=function(){this.updateQueue=new Map,this.updateQueueTimer=null,this.updateQueueFireAt=0},He.prototype.registerPacEventListeners=function(){this.boundHandlePacEvent=this.handleEvent.bind(this),this.container.addEventListener(P,this.boundHandlePacEvent),this.container.addEventListener(M,this.boundHandlePacEvent),this.container.addEventListener(x,this.boundHandlePacEvent)},He.prototype.initializeCanvas=function(){this.container instanceof HTMLCanvasElement&&(this.contextType=this.container.dataset.pacContext||"2d","2d"===this.contextType&&(Oe.invalidateRect(this.abstraction.pacId),Oe.flushPaintQueue()))},He.prototype.destroy=function(){if(Oe.releaseCaptureIfOwnedBy(this.container),Oe.unObserveContainer(this.container),this.container.removeEventListener(x,this.boundHandlePacEvent),this.container.removeEventListener(M,this.boundHandlePacEvent),this.container.removeEventListener(P,this.boundHandlePacEvent),this.boundHandlePacEvent=null,null!==this.updateQueueTimer&&(clearTimeout(this.updateQueueTimer),this.updateQueueTimer=null),this.containerScrollHandler&&(this.containerScrollHandler.cancel(),this.container.removeEventListener("scroll",this.containerScrollHandler),this.containerScrollHandler=null),this.killAllTimers(),et.discard(this.container),nt.hasFocus(this)&&nt.restoreFocus(this),this.subclasses.forEach(e=>u.delete(e.handle)),this.subclasses=[],this.asyncComputed.forEach(e=>{e.controller&&e.controller.abort()}),this.abstraction.destroy&&"function"==typeof this.abstraction.destroy)try{this.abstraction.destroy()}catch(e){console.warn("Error in user destroy() hook:",e)}this.parent&&this.parent.children&&this.parent.children.delete(this),this.interpolationMap.clear(),this.textInterpolationMap.clear(),this.commentBindingMap.clear(),this.updateQueue.clear();const e=this.abstraction.pacId||null,t=this.parent&&this.parent.abstraction?.pacId||null;e&&window.PACRegistry.deregister(e),this.history=null,this.abstraction=null,this.container=null,this.parent=null,this.children=null,this.config=null,t&&e&&Tt.postMessage(t,2,0,0,{childPacId:e})},He.prototype.setTimer=function(e){return We.add(this,e)},He.prototype.killTimer=e=>We.remove(e),He.prototype.killAllTimers=function(){return We.removeAllForContext(this)},He.prototype.updateContainerScrollState=function(){const e=this.container.scrollLeft,t=this.container.scrollTop,n=this.container.clientWidth,r=this.container.clientHeight,i=this.container.scrollWidth,a=this.container.scrollHeight,s=i>this.abstraction.containerWidth||a>this.abstraction.containerHeight;this.abstraction.containerScrollX=e,this.abstraction.containerScrollY=t,this.abstraction.containerContentWidth=i,this.abstraction.containerContentHeight=a,this.abstraction.containerIsScrollable=s,Object.assign(this.abstraction.containerScrollWindow,{top:t,left:e,right:e+n,bottom:t+r,x:e,y:t})},He.prototype.scanAndRegisterNewElements=function(e){$e(e);const t=this.scanBindings(e),n=this.scanTextBindings(e),r=this.scanCommentBindings(e);this.registerScannedBindings(e,t,n,r),this.updateContainerScrollState()},He.prototype.registerScannedBindings=function(e,t,n,r){const i=this;t.forEach((t,n)=>{n!==e&&this.interpolationMap.set(n,t)}),n.forEach((e,t)=>{this.textInterpolationMap.set(t,e)}),r.forEach((e,t)=>{this.commentBindingMap.set(t,e),i.updateCommentConditional(t,e)}),t.forEach((e,t)=>{Object.keys(e.bindings).forEach(n=>{if("click"===n||"submit"===n)return;const r=e.bindings[n],a=i.evalInScope(r.target,t);i.domUpdater.updateAttributeBinding(t,n,r,a)})}),n.forEach((e,t)=>{i.domUpdater.updateTextNode(t,e.template)}),Array.from(t.entries()).filter(([t,n])=>n.bindings.foreach&&t!==e).sort(([,e],[,t])=>t.depth-e.depth).forEach(([e])=>{this.renderForeach(e,this.evaluateForeachArray(e))})},He.prototype.getElementDepth=function(e){let t=0,n=e;for(;n&&n!==this.container;)t++,n=n.parentElement;return t},He.prototype.getDependencies=function(){const e=this.originalAbstraction.computed??{},t=new Set(Object.keys(e).filter(t=>!Ne.isAsyncFunction(e[t]))),n=new Set,r=new Proxy(this.originalAbstraction,{get(e,i){"string"==typeof i&&n.add(i);const a=e[i];return"function"==typeof a&&t.has(i)?a.call(r):a}}),i=new Map;for(const a of t){n.clear(),e[a].call(r);for(const e of n)i.has(e)||i.set(e,new Set),i.get(e).add(a)}let a=!0;for(;a;){a=!1;for(const[,e]of i)for(const n of[...e])if(t.has(n))for(const t of i.get(n)??[])e.has(t)||(e.add(t),a=!0)}return i},He.prototype.startAsyncComputed=function(){this.asyncComputed.forEach((e,t)=>this.runAsyncComputed(t))},He.prototype.runAsyncComputed=function(e){const t=this.asyncComputed.get(e),n=this.originalAbstraction.computed[e],r=this.abstraction,i=++t.runId;t.controller&&t.controller.abort();const a=new AbortController,s=new Set;let o=!0;const c=new Proxy(r,{get:(e,t)=>(o&&"string"==typeof t&&s.add(t),r[t]),set:(e,t,n)=>(r[t]=n,!0)});let l;t.controller=a,r[e+"$pending"]=!0;try{l=n.call(c,a)}catch(e){l=Promise.reject(e)}finally{o=!1}t.deps=s;const h=()=>t.runId===i&&null!==this.abstraction;Promise.resolve(l).then(n=>{h()&&(t.controller=null,r[e]=n,r[e+"$error"]=null,r[e+"$pending"]=!1)},n=>{h()&&(t.controller=null,r[e+"$error"]=n,r[e+"$pending"]=!1)})},He.prototype.handleAsyncComputedForChange=function(e){if(0===this.asyncComputed.size)return;const t=e.detail.path[0],n=this.dependencies.get(t);this.asyncComputed.forEach((e,r)=>{if(t===r||t===r+"$pending"||t===r+"$error")return;let i=e.deps.has(t);if(!i&&n)for(const t of n)if(e.deps.has(t)){i=!0;break}i&&this.runAsyncComputed(r)})},He.prototype.inferArrayRoot=function(e){for(const[t,n]of this.dependencies){const r=Array.isArray(this.abstraction[t]);if(n.has(e)&&r)return t}return e},He.prototype.updateQueueHandler=function(){if(this.updateQueueTimer=null,this.updateQueueFireAt=0,0===this.updateQueue.size)return;const e=Date.now();let t=1/0;const n=[];this.updateQueue.forEach((r,i)=>{if("delay"===r.trigger)if(e>=r.executeAt){n.push(i);try{Ne.setNestedProperty(i,r.value,this.abstraction)}catch(e){console.warn(`Error applying queued update for path "${i}":`,e)}}else r.executeAt<t&&(t=r.executeAt)});for(let e=0;e<n.length;e++)this.updateQueue.delete(n[e]);t<1/0&&this.scheduleQueueProcessing(t-e)},He.prototype.scheduleQueueProcessing=function(e){const t=this,n=Math.max(e,1),r=Date.now()+n;null!==this.updateQueueTimer&&this.updateQueueFireAt<=r||(null!==this.updateQueueTimer&&clearTimeout(this.updateQueueTimer),this.updateQueueFireAt=r,this.updateQueueTimer=setTimeout(()=>{t.updateQueueHandler()},n))},He.prototype.getUpdateConfiguration=function(e){const t=e.getAttribute("data-pac-update-mode")||this.config.updateMode||"immediate",n=parseInt(e.getAttribute("data-pac-update-delay"))||this.config.delay||300;return{updateMode:t,delay:Math.min(n,3e3)}},He.prototype.handleEvent=function(e){switch(e.type){case"pac:event":this.history?.beginStep();try{this.handlePacEvent(e)}finally{this.history?.endStep()}break;case"pac:change":this.handleReactiveChange(e);break;case"pac:browser-state":this.handleBrowserStateEvent(e);break;default:console.warn("Unhandled event type "+e.type)}},He.prototype.callMsgProc=function(e){const t="function"==typeof this.originalAbstraction.msgProc?this.originalAbstraction.msgProc:null,n=this.subclasses.map(e=>e.fn),r=(e,i)=>{if(e>=n.length){if(!t)return;try{return t.call(this.abstraction,i)}catch(e){return void this.reportError(e,{source:"msgProc",messageId:i.message},"wakaPAC: msgProc threw an error:")}}let a=!1;const s=(t=i)=>(a=!0,r(e+1,t));try{return n[e].call(this.abstraction,i,s)}catch(e){return this.reportError(e,{source:"subclass",messageId:i.message},"wakaPAC: component subclass threw an error, continuing chain:"),a?void 0:s()}};return r(0,e)},He.prototype.reportError=function(t,n,r){if(p||!this.abstraction)return void console.warn(r,t);const i=Object.assign({pacId:this.abstraction.pacId},n);let a=!1,s=null;const o=e=>{"string"==typeof e?(s=s??e,a=!0):!0===e&&(a=!0)};p=!0;try{"function"==typeof this.originalAbstraction.onError&&o(this.originalAbstraction.onError.call(this.abstraction,t,i));for(let n=this.container.parentElement?.closest(e);n&&!a;n=n.parentElement?.closest(e))window.PACRegistry.get(n.getAttribute("data-pac-id"))&&o(Tt.sendMessage(n.getAttribute("data-pac-id"),1025,0,0,Object.assign({error:t},i)));"function"==typeof Tt.onError?o(Tt.onError(t,Object.assign({handled:a},i))):a||console.warn(r,t)}catch(e){console.warn("wakaPAC: error boundary threw while handling an error:",e,"original error:",t)}finally{p=!1}null!==s&&this.renderFallback(s)},He.prototype.renderFallback=function(e){this.interpolationMap.clear(),this.textInterpolationMap.clear(),this.commentBindingMap.clear(),this.container.innerHTML=e},He.prototype.handlePacEvent=function(e){let t=!1;if(this.subclasses.length>0||"function"==typeof this.originalAbstraction.msgProc){const n=this.callMsgProc(e);void 0!==n&&(e.lResult=n),[U,$,j,Y,Q,Z,J,ae,ie,ge,768,oe,ce,le,he,ue].includes(e.message)&&!1===n&&(t=!0)}if(t)e.preventDefault();else switch(e.message){case 7:this.updateFocusProperties();break;case 8:this.updateFocusProperties(),this.handleDomBlur(e);break;case Y:this.handleDomClicks(e);break;case ae:this.handleDomSubmit(e);break;case ie:this.handleDomChange(e);break;case se:this.handleDomInputComplete(e);break;case ue:this.handleHistoryCommand(e);break;case le:nt.handleKeyDown(e);break;case fe:nt.initRovingLists(this.container)}},He.prototype.handleHistoryCommand=function(e){this.history&&(e.wParam===Te?this.history.undo():e.wParam===_e&&this.history.redo())},He.prototype.updateFocusProperties=function(){this.abstraction.containerFocus=Ne.isElementDirectlyFocused(this.container),this.abstraction.containerFocusWithin=Ne.isElementFocusWithin(this.container)},He.prototype.evaluateHandlerExpression=function(e,t,n,r){const i=this.evaluateExpression(e,t,n);return"function"==typeof i&&i.call(this.abstraction,...r),i},He.prototype.invokeEventBinding=function(e,t,n){try{const e=this.makeScopeResolverFor(n.target),r=Object.assign(Object.create(this.abstraction),{$event:n});this.evaluateHandlerExpression(t,r,e,[n])}catch(r){this.reportError(r,{source:"event",binding:e,expression:t,element:n.target},`Error executing ${e} binding '${t}':`)}},He.prototype.findClickBindingElement=function(e){let t=Oe.normalizeToElement(e);for(;t;){const e=this.interpolationMap.get(t);if(e?.bindings?.click)return t;if(Oe.isInherentlyInteractive(t))return null;if(t===this.container)return null;t=t.parentElement}return null},He.prototype.handleDomClicks=function(e){const t=this.findClickBindingElement(e.realTarget);if(!t)return;Object.defineProperty(e,"target",{value:t,enumerable:!0,configurable:!0});const n=this.interpolationMap.get(t).bindings.click.target;try{const t=this.extractClosestForeachContext(e.target);if(t){const r=Array.from(this.interpolationMap.entries()).find(([,e])=>e.foreachId===t.foreachId)?.[0];if(r){const i=this.makeScopeResolverFor(e.target),a=this.interpolationMap.get(r),s=this.evaluateExpression(a.foreachExpr,this.abstraction,i),o=Object.assign(Object.create(this.abstraction),{$item:s[t.index],$index:t.index,$event:e});return void this.evaluateHandlerExpression(n,o,i,[e,s[t.index],t.index])}}}catch(t){return void this.reportError(t,{source:"event",binding:"click",expression:n,element:e.target},`Error executing click binding '${n}':`)}this.invokeEventBinding("click",n,e)},He.prototype.handleDomSubmit=function(e){const t=this.interpolationMap.get(e.target);t?.bindings?.submit&&(e.preventDefault(),this.invokeEventBinding("submit",t.bindings.submit.target,e))},He.prototype.handleDomChange=function(e){const t=this,n=e.target,r=this.interpolationMap.get(n);if(r){if(this.syncValueBindingFromElement(n,r),r.bindings.value){const e=this.normalizePath(r.bindings.value.target,n);this.updateQueue.delete(e)}if(r.bindings.checked){const e=t.normalizePath(r.bindings.checked.target,n);"checkbox"===n.type?Ne.setNestedProperty(e,n.checked,this.abstraction):"radio"===n.type&&n.checked&&Ne.setNestedProperty(e,n.value,this.abstraction)}r.bindings.change&&this.invokeEventBinding("change",r.bindings.change.target,e)}},He.prototype.syncValueBindingFromElement=function(e,t){const n=t.bindings.value;if(!n)return;const r=this.normalizePath(n.target,e),i="SELECT"===e.tagName&&e.multiple?Array.from(e.selectedOptions).map(e=>e.value):e.value;Ne.setNestedProperty(r,i,this.abstraction)},He.prototype.handleDomInputComplete=function(e){const t=e.target,n=this.interpolationMap.get(t);if(n&&n.bindings.value){const e=this.normalizePath(n.bindings.value.target,t),r=this.getUpdateConfiguration(t);switch(r.updateMode){case"immediate":Ne.setNestedProperty(e,t.value,this.abstraction);break;case"delayed":this.updateQueue.set(e,{trigger:"delay",value:t.value,executeAt:Date.now()+r.delay}),this.scheduleQueueProcessing(r.delay);break;case"change":this.updateQueue.set(e,{trigger:"blur",value:t.value,elementId:Ne.getElementIdentifier(t)})}}},He.prototype.handleDomBlur=function(e){const t=e.target;if(!this.interpolationMap.get(t))return;const n=Ne.getElementIdentifier(t),r=[];this.updateQueue.forEach((e,t)=>{"blur"===e.trigger&&e.elementId===n&&r.push({path:t,value:e.value})}),r.forEach(e=>{try{Ne.setNestedProperty(e.path,e.value,this.abstraction),this.updateQueue.delete(e.path)}catch(t){console.warn("Error applying blur-triggered update for path:",e.path,t),this.updateQueue.delete(e.path)}})},He.prototype.handleReactiveChange=function(e){this.history&&this.history.record(e.detail.path,e.detail.oldValue,e.detail.newValue),this.handleForeachRebuildForChange(e,!0),this.updateElementBindings(),this.updateTextInterpolations(),this.updateCommentConditionals(),this.handleWatchersForChange(e),this.handleForeachRebuildForChange(e,!1),this.handleAsyncComputedForChange(e)},He.prototype.updateElementBindings=function(){const e=this.abstraction,t=this.domUpdater,n=this;this.interpolationMap.forEach((r,i)=>{const a=r.bindings,s=Object.keys(a);if(0===s.length)return;const o=Ne.getPacCache(i);o.previousValues||(o.previousValues={});const c=o.previousValues;for(let r=0,o=s.length;r<o;r++){const o=s[r];if("foreach"!==o&&"click"!==o)try{const r=a[o],s=n.evalInScope(r.target,i,e);Ne.isEqual(c[o],s)||(c[o]=s,t.updateAttributeBinding(i,o,r,s))}catch(e){n.reportError(e,{source:"binding",binding:o,expression:a[o].target,element:i},`Error evaluating ${o} binding:`)}}})},He.prototype.updateTextInterpolations=function(){const e=this.abstraction,t=this;this.textInterpolationMap.forEach((n,r)=>{try{const i=Ne.getPacCache(r);i.previousText||(i.previousText=r.textContent);const a=n.template.replace(f,(n,i)=>{try{const n=t.evalInScope(i,r,e);return null!=n?n+"":""}catch(e){return t.reportError(e,{source:"text",expression:i.trim(),element:r},`Error evaluating text interpolation "${i}":`),n}});i.previousText!==a&&(r.textContent=a,i.previousText=a)}catch(e){t.reportError(e,{source:"text",element:r},"Error updating text node:")}})},He.prototype.updateCommentConditionals=function(){this.commentBindingMap.forEach((e,t)=>{this.updateCommentConditional(t,e)})},He.prototype.handleWatchersForChange=function(e){const t=e.detail.path,n=t[0];if(1===t.length)return void this.triggerWatcher(n,e.detail.newValue,e.detail.oldValue);const r=this.abstraction[n];if(Array.isArray(r))return;if(r&&r._externalProxy)return void this.triggerWatcher(n,r,null);const i={...r};let a=i;for(let e=1;e<t.length-1;e++)a=a[t[e]];a[t[t.length-1]]=e.detail.oldValue,this.triggerWatcher(n,r,i)},He.prototype.handleForeachRebuildForChange=function(e,t){const n=e.detail.path,r=Ne.pathArrayToString(n),i=Array.isArray(e.detail.newValue),a=1===n.length?n[0]:null,s=a?this.dependencies.get(a):null,o=a?RegExp("\\["+a+"\\]"):null,c=i?new Set(this.findForeachElementsByArrayPath(r)):null;for(const[e,n]of this.interpolationMap){if(!n.bindings||!n.bindings.foreach)continue;if(!!n.keyPath!==t)continue;const r=null!==c&&c.has(e);let i=!1,l=!1;if(a){const e=n.foreachExpr,t=n.sourceArray;i=s&&(s.has(e)||s.has(t)),l=o.test(e)}if(!r&&!i&&!l)continue;const h=r?this.evaluateForeachArray(e):this.getChangedForeachArray(e);this.renderForeach(e,h)}},He.prototype.triggerWatcher=function(e,t,n){if(this.originalAbstraction.watch&&this.originalAbstraction.watch[e]&&"function"==typeof this.originalAbstraction.watch[e])try{this.originalAbstraction.watch[e].call(this.abstraction,t,n)}catch(t){this.reportError(t,{source:"watcher",property:e},"Error in watcher for '"+e+"':")}},He.prototype.handleBrowserStateEvent=function(e){const{stateType:t,stateData:n}=e.detail;switch(t){case"visibility":this.abstraction.browserVisible=n.visible;break;case"online":this.abstraction.browserOnline=n.online,this.abstraction.browserNetworkEffectiveType=n.networkType,this.abstraction.browserNetworkQuality=n.networkQuality;break;case"scroll":this.abstraction.browserScrollX=n.scrollX,this.abstraction.browserScrollY=n.scrollY;break;case"resize":{this.abstraction.browserViewportWidth=n.viewportWidth,this.abstraction.browserViewportHeight=n.viewportHeight,this.abstraction.browserContentWidth=n.documentWidth,this.abstraction.browserContentHeight=n.documentHeight,this.abstraction.browserScrollX=n.scrollX,this.abstraction.browserScrollY=n.scrollY;const e=this.container.getBoundingClientRect();this.abstraction.containerClientRect=Ne.domRectToSimpleObject(e),this.abstraction.containerWidth=e.width,this.abstraction.containerHeight=e.height,this.abstraction.containerVisible=Ne.isElementVisible(this.container),this.abstraction.containerFullyVisible=Ne.isElementFullyVisible(this.container);break}case"chord":this.abstraction.browserPendingChord=n.pending;break;case"orientation":this.abstraction.browserOrientationAngle=n.angle,this.abstraction.browserOrientationType=n.type;break;case"dpr":this.abstraction.browserDevicePixelRatio=n.ratio,Tt.sendMessage(this.abstraction.pacId,16,Math.round(100*n.ratio),0);break;default:console.warn("Unknown browser state message "+t)}},He.prototype.scanBindings=function(e){const t=new Map,n=e.querySelectorAll("[data-pac-bind]");for(let e=0,r=n.length;e<r;e++){const r=n[e];if(!Ne.belongsToPacContainer(this.container,r))continue;const i=r.getAttribute("data-pac-bind"),a=De.parseBindingString(i),s=Object.create(null);for(let e=0,t=a.length;e<t;e++)s[a[e].type]={target:a[e].target};t.set(r,{bindingString:i,bindings:s})}return this.extendBindingsWithForEachData(t),t},He.prototype.findElementByForEachId=function(e){for(const[t,n]of this.interpolationMap)if(n.foreachId===e)return t;return null},He.prototype.extendBindingsWithForEachData=function(e){const t=this;e.forEach((n,r)=>{if(!n.bindings.foreach)return;if(n.foreachId)return;if(r.hasAttribute("data-pac-foreach-id")){const n=r.getAttribute("data-pac-foreach-id"),i=t.findElementByForEachId(n),a=t.interpolationMap.get(i);if(i&&a)return e.set(r,a),void t.interpolationMap.delete(i);r.removeAttribute("data-pac-foreach-id")}const i=Ne.uniqid("foreach");r.setAttribute("data-pac-foreach-id",i);const a=n.bindings.foreach.target.match(E);a&&(n.bindings.foreach.target=a[1].trim());const s=n.bindings.foreach.target,o=a?a[2]:r.getAttribute("data-pac-key")||null,c=r.getAttribute("data-pac-item")||"item",l=r.getAttribute("data-pac-index")||"$index",h=t.getElementDepth(r);Object.assign(n,{foreachId:i,foreachExpr:s,sourceArray:this.inferArrayRoot(s),template:r.innerHTML,keyPath:o,itemVar:c,indexVar:l,depth:h}),e.set(r,n)})},He.prototype.scanTextBindings=function(e){const t=new Map,n=this.container,r=document.createTreeWalker(e,NodeFilter.SHOW_TEXT|NodeFilter.SHOW_ELEMENT,{acceptNode:e=>{if(e.nodeType===Node.ELEMENT_NODE){if(Ne.belongsToPacContainer(n,e)){const n=e.attributes,r=e.getAttribute("data-pac-bind"),i=r?new Set(De.parseBindingString(r).map(e=>e.type)):null;for(let r=0,a=n.length;r<a;r++){const a=n[r];if(0!==a.name.indexOf("data-pac-")&&m.test(a.value)){if(i&&i.has(a.name)){console.warn("wakaPAC: <"+e.tagName.toLowerCase()+'> has both data-pac-bind="'+a.name+': ..." and '+a.name+'="'+a.value+'" — the {{ }} interpolation would overwrite the data-pac-bind value on every update. Use only one binding mechanism for this attribute.');continue}t.set(a,{template:a.value})}}if(i&&i.has("html")&&!e.hasAttribute("data-pac-html-scan"))return NodeFilter.FILTER_REJECT}return NodeFilter.FILTER_SKIP}return m.test(e.textContent)&&Ne.belongsToPacContainer(n,e)?NodeFilter.FILTER_ACCEPT:NodeFilter.FILTER_SKIP}});let i;for(;i=r.nextNode();)t.set(i,{template:i.textContent});return t};const qe={STATIC_BINDINGS:new Set(["value","checked","visible","class","style","html"]),render(e,t){const n=document.createElement("div");n.innerHTML=(e+"").trim();const r=n.firstElementChild;if(!r||1!==n.childNodes.length)throw Error("wakaPAC.renderToString(): template must have exactly one root element");const i=r.innerHTML,a=Ge(r.getAttribute("data-pac-uses")),s={resolveScopedPath:e=>e,importedUnits:a.units,importedFilters:a.filters};je(r),$e(r),this.renderChildren(r,this.createContext(t),s);const o=document.createElement("template");return o.setAttribute(_,""),o.innerHTML=i,r.appendChild(o),r.setAttribute("data-pac-state",JSON.stringify(this.extractState(t))),n.innerHTML},createContext(e){const t={},n=e.computed||{};return Object.keys(e).forEach(n=>{"computed"!==n&&(t[n]=e[n])}),Object.keys(n).forEach(e=>{if(Ne.isAsyncFunction(n[e]))return t[e]=void 0,t[e+"$pending"]=!0,void(t[e+"$error"]=null);Object.defineProperty(t,e,{get:()=>n[e].call(t),enumerable:!0})}),t},extractState(e){const t={};return Object.keys(e).forEach(n=>{"computed"!==n&&"function"!=typeof e[n]&&(t[n]=e[n])}),t},evaluate(e,t,n){try{return Re.evaluate(De.parseExpression(e),t,n)}catch(t){return void console.warn("wakaPAC: Error rendering expression:",e,t)}},interpolate(e,t,n){return e.replace(f,(e,r)=>{const i=this.evaluate(r,t,n);return null!=i?i+"":""})},renderChildren(e,t,n){let r=e.firstChild;for(;r;){if(r.nodeType===Node.COMMENT_NODE){const e=r.nodeValue.match(b);if(e){r=this.renderConditional(r,e[1],t,n);continue}}else r.nodeType===Node.TEXT_NODE?m.test(r.nodeValue)&&(r.nodeValue=this.interpolate(r.nodeValue,t,n)):r.nodeType===Node.ELEMENT_NODE&&this.renderElement(r,t,n);r=r.nextSibling}},renderConditional(e,t,n,r){const i=[{expression:t.trim(),nodes:[]}],a=[e];let s=e.nextSibling,o=0;for(;s;){if(s.nodeType===Node.COMMENT_NODE){const e=s.nodeValue;if(b.test(e))o++;else if(v.test(e)){if(0===o)break;o--}else if(0===o&&(w.test(e)||A.test(e))){const t=e.match(w);i.push({expression:t?t[1].trim():null,nodes:[]}),a.push(s),s=s.nextSibling;continue}}i[i.length-1].nodes.push(s),s=s.nextSibling}if(!s)return console.warn("wakaPAC: Unclosed wp-if comment:",e.nodeValue),e.nextSibling;a.push(s);const c=s.nextSibling,l=i.find(e=>null===e.expression||this.evaluate(e.expression,n,r));return i.forEach(e=>{e!==l&&e.nodes.forEach(e=>e.parentNode.removeChild(e))}),a.forEach(e=>e.parentNode.removeChild(e)),l&&l.nodes.length?l.nodes[0]:c},renderElement(e,t,n){const r=e.tagName.toLowerCase();if("script"===r||"template"===r||e.hasAttribute("data-pac-id"))return;const i=Array.from(e.attributes);for(let r=0;r<i.length;r++)0!==i[r].name.indexOf("data-pac-")&&m.test(i[r].value)&&e.setAttribute(i[r].name,this.interpolate(i[r].value,t,n));const a=e.getAttribute("data-pac-bind"),s=a?De.parseBindingString(a):[],o=s.find(e=>"foreach"===e.type),c=s.find(e=>"if"===e.type);if(o){const r=s.find(e=>"placeholder"===e.type);this.renderForeach(e,o.target,r,t,n)}else c&&!this.evaluate(c.target,t,n)?e.textContent="":this.renderChildren(e,t,n);s.forEach(r=>{"foreach"!==r.type&&"if"!==r.type&&this.applyBinding(e,r.type,this.evaluate(r.target,t,n))})},renderForeach(e,t,n,r,i){const a=t.match(E),s=this.evaluate(a?a[1]:t,r,i),o=e.getAttribute("data-pac-item")||"item",c=e.getAttribute("data-pac-index")||"$index",l=Array.from(e.childNodes);if(l.forEach(t=>e.removeChild(t)),"SELECT"===e.tagName&&n){const t=document.createElement("option"),a=this.evaluate(n.target,r,i);t.setAttribute("value",""),t.setAttribute("data-pac-placeholder-option",""),t.textContent=null!=a?a+"":"",e.appendChild(t)}Array.isArray(s)&&s.forEach((t,n)=>{const a=Object.create(r),s=document.createDocumentFragment();a[o]=t,a[c]=n,l.forEach(e=>s.appendChild(e.cloneNode(!0))),this.renderChildren(s,a,i),e.appendChild(s)})},applyBinding(e,t,n){if("click"!==t&&"submit"!==t&&(!Le[t]||this.STATIC_BINDINGS.has(t)))switch(t){case"value":this.applyValue(e,n);break;case"checked":this.toggleAttribute(e,"checked",!!n);break;case"visible":n||this.appendStyle(e,"display: none");break;case"class":this.applyClass(e,n);break;case"style":"string"==typeof n?e.setAttribute("style",n):n&&"object"==typeof n&&Object.keys(n).forEach(t=>{if(null!=n[t]){const r=t.startsWith("--")?t:t.replace(/[A-Z]/g,e=>"-"+e.toLowerCase());this.appendStyle(e,r+": "+n[t])}});break;case"html":e.innerHTML=Fe.sanitize(null!=n?n+"":"",e);break;case"enable":this.toggleAttribute(e,"disabled",!n);break;default:I.has(t)?this.toggleAttribute(e,t,!!n):null!=n?e.setAttribute(t,n):e.removeAttribute(t)}},applyValue(e,t){const n=e.tagName;if("radio"===(e.getAttribute("type")||"").toLowerCase())this.toggleAttribute(e,"checked",e.getAttribute("value")===t+"");else if("SELECT"===n){const n=Array.isArray(t)?t.map(String):[(t??"")+""];e.querySelectorAll("option").forEach(e=>{const t=e.hasAttribute("value")?e.getAttribute("value"):e.textContent;this.toggleAttribute(e,"selected",n.includes(t))})}else"TEXTAREA"===n?e.textContent=(t??"")+"":e.setAttribute("value",(t??"")+"")},applyClass(e,t){const n=(e.getAttribute("class")||"").split(/\s+/).filter(Boolean);"string"==typeof t?t.split(/\s+/).filter(Boolean).forEach(e=>{n.includes(e)||n.push(e)}):t&&"object"==typeof t&&!Array.isArray(t)&&Object.keys(t).forEach(e=>{const r=n.indexOf(e);t[e]&&-1===r?n.push(e):t[e]||-1===r||n.splice(r,1)}),n.length?e.setAttribute("class",n.join(" ")):e.removeAttribute("class")},appendStyle(e,t){const n=(e.getAttribute("style")||"").trim();e.setAttribute("style",n?n.replace(/;?$/,"; ")+t:t)},toggleAttribute(e,t,n){n?e.setAttribute(t,""):e.removeAttribute(t)}};function Xe(e,t){const n=[];for(let r=0;r<e.length;r++){const i=e[r];if(!i||i.nodeType!==Node.ELEMENT_NODE)continue;const a=document.createTreeWalker(i,NodeFilter.SHOW_COMMENT);let s;for(;s=a.nextNode();)t.has(s)&&n.push(s)}return n}function Ye(e,t){const n=t.split(".");let r=e;for(let e=0;e<n.length;e++){if(null===r||"object"!=typeof r)return;r=r[n[e]]}return r}He.prototype.scanCommentBindings=function(e){const t=new Map,n=[],r=document.createTreeWalker(e,NodeFilter.SHOW_COMMENT,{acceptNode:e=>Ne.belongsToPacContainer(this.container,e)?NodeFilter.FILTER_ACCEPT:NodeFilter.FILTER_SKIP});let i;for(;i=r.nextNode();){const e=i.nodeValue,r=e.match(b);if(r){n.push({comment:i,expression:r[1].trim()});continue}if(!e.match(v)||0===n.length)continue;const{comment:a,expression:s}=n.pop();if(this.commentBindingMap.has(a))continue;const o=[{expression:s,nodes:[],scanned:!1}];let c=o[0].nodes,l=o[0],h=a.nextSibling;for(;h&&h!==i;){if(h.nodeType===Node.COMMENT_NODE){const e=h.nodeValue.match(w);if(e){const t={expression:e[1].trim(),nodes:[],scanned:!1};o.push(t),c=t.nodes,l=t,h=h.nextSibling;continue}if(h.nodeValue.match(A)){const e={expression:null,nodes:[],scanned:!1};o.push(e),c=e.nodes,l=e,h=h.nextSibling;continue}if(h.nodeValue.match(b)){const e=h;let t=h,n=0;do{t=h,h.nodeType===Node.COMMENT_NODE&&(h.nodeValue.match(b)?n++:h.nodeValue.match(v)&&n--),h=h.nextSibling}while(h&&n>0);c.push(C(e,t));continue}}if(h.nodeType===Node.ELEMENT_NODE){const e=Xe([h],t);e.length>0&&(l.buriedWpIfs=(l.buriedWpIfs||[]).concat(e))}c.push(h),h=h.nextSibling}let u=a.parentNode;for(;u&&u.nodeType!==Node.ELEMENT_NODE;)u=u.parentNode;t.set(a,{expression:s,closingComment:i,branches:o,scopeResolver:{resolveScopedPath:e=>u?this.normalizePath(e,u):e,importedUnits:this.importedUnits,importedFilters:this.importedFilters},isVisible:null})}return n.length>0&&console.warn("WakaPAC: Unmatched wp-if comment directives found",n),t},He.prototype.updateCommentConditional=function(e,t){try{const e=this.abstraction,r=t.scopeResolver,i=t.branches;let a=-1;for(let t=0;t<i.length;t++){const n=i[t];if(null===n.expression||this.evaluateExpression(n.expression,e,r)){a=t;break}}if(a===t.isVisible)return;let s=[];for(let e=0;e<i.length;e++){const t=this.domUpdater.toggleNodeVisibility(i[e].nodes,e===a);t&&t.length>0&&(s=s.concat(t))}if(t.isVisible=a,-1===a||i[a].scanned||(n=this,i[a].nodes.forEach(e=>{e.nodeType===Node.ELEMENT_NODE&&n.scanAndRegisterNewElements(e)}),i[a].scanned=!0),-1!==a&&i[a].buriedWpIfs){const e=i[a].buriedWpIfs;for(let t=0;t<e.length;t++){const n=e[t],r=this.commentBindingMap.get(n);s.push(C(n,r.closingComment))}}s.length>0&&this.reconcileRevealedGroups(s)}catch(n){this.reportError(n,{source:"conditional",expression:t.expression,element:e},`WakaPAC: Error processing wp-if comment directive "${t.expression}":`)}var n},He.prototype.reconcileRevealedGroups=function(e){e.forEach(e=>{const t=this.commentBindingMap.get(e.openMarker);t&&(t.isVisible=null,t.branches.forEach(e=>{e.scanned=!1}),this.updateCommentConditional(e.openMarker,t)),this.reconcileIfBindings(e)})},He.prototype.reconcileIfBindings=function(e){let t=!1;for(let n=e.openMarker;n&&(n.nodeType===Node.ELEMENT_NODE&&[n].concat(Array.from(n.querySelectorAll("[data-pac-bind]"))).forEach(e=>{const n=e.getAttribute("data-pac-bind");n&&De.parseBindingString(n).some(e=>"if"===e.type)&&void 0!==e._pacIsVisible&&(e._pacIsVisible=void 0,e._pacIfChildren=void 0,t=!0)}),n!==e.closeMarker);n=n.nextSibling);t&&this.updateElementBindings()},He.prototype.resolveAliases=function(e){Object.keys(e).forEach(function(t){const n=e[t];if(!n||!0!==n.__waka_alias)return;const r=n.target;r!==t?(delete e[t],Object.defineProperty(e,t,{get(){return Ne.getNestedValue(this,r)},set(e){Ne.setNestedProperty(r,e,this)},enumerable:!0,configurable:!0})):console.warn('wakaPAC.sameAs: alias "'+t+'" cannot reference itself')})},He.prototype.createReactiveAbstraction=function(){const e=this,t=new Set(Object.keys(this.originalAbstraction));this.injectHierarchyProperties(this.originalAbstraction),this.injectSystemProperties(this.originalAbstraction),this.config.history&&(this.originalAbstraction.canUndo=!1,this.originalAbstraction.canRedo=!1),this.injectAsyncComputedProperties(this.originalAbstraction),this.systemProperties=new Set(Object.keys(this.originalAbstraction).filter(e=>!t.has(e))),this.resolveAliases(this.originalAbstraction);const n=function(e,t){const n=["push","pop","shift","unshift","splice","sort","reverse"];function r(e){return"string"==typeof e&&!e.startsWith("_")&&!e.startsWith("$")}function i(e,n,r){t.dispatchEvent(new CustomEvent(M,{detail:{path:e,oldValue:n,newValue:r}}))}return e&&"object"==typeof e?function e(a,s){return s=s||[],new Proxy(a,{get:(t,a)=>((t,a,s)=>{if("unwrap"===a)return()=>t;const o=t[a];if(Array.isArray(t)&&"function"==typeof o&&n.includes(a))return((t,n,r)=>function(){const a=Array.prototype.slice.call(t),s=Array.prototype[n].apply(t,arguments),o=Array.prototype.slice.call(t);o.forEach((t,n)=>{if(t&&"object"==typeof t&&!t._isReactive){const i=r.concat([n]);o[n]=e(t,i),o[n]._isReactive=!0}});for(let e=0;e<o.length;e++)t[e]=o[e];return i(r,a,t),s})(t,a,s);const c=Object.getOwnPropertyDescriptor(t,a);if(c&&c.get&&!c.set)return o;if("function"==typeof o)return o;if(o&&"object"==typeof o&&!o._isReactive&&r(a)){if(o._externalProxy)return o;const n=e(o,s.concat([a]));return n._isReactive=!0,Object.defineProperty(t,a,{value:n,writable:!0,enumerable:!0,configurable:!0}),n}return o})(t,a,s),set:(n,a,o)=>((n,a,s,o)=>{if(Array.isArray(n)&&"length"===a)return((e,t,n)=>{if(e.length===t)return!0;const r=Array.prototype.slice.call(e);return e.length=t,i(n,r,Array.prototype.slice.call(e)),!0})(n,s,o);const c=n[a],l=o.concat([a]);return c===s||(((e,n,r)=>{1===r.length&&("containerScrollX"===e&&t?t.scrollLeft=n:"containerScrollY"===e&&t?t.scrollTop=n:"browserScrollX"===e?window.scrollTo(n,window.scrollY):"browserScrollY"===e&&window.scrollTo(window.scrollX,n))})(a,s,l),r(a)?(s&&"object"==typeof s?(n[a]=e(s,l),n[a]._isReactive=!0):n[a]=s,i(l,c,n[a]),!0):(n[a]=s,!0))})(n,a,o,s),deleteProperty:(e,t)=>((e,t,n)=>{if(!(t in e))return!0;if(!r(t))return delete e[t],!0;const a=e[t],s=n.concat([t]);return delete e[t],i(s,a,void 0),!0})(e,t,s)})}(e,[]):e}(this.originalAbstraction,this.container);Object.keys(this.originalAbstraction).forEach(t=>{"function"==typeof e.originalAbstraction[t]&&"computed"!==t&&(n[t]=e.originalAbstraction[t].bind(n))});const r=this.originalAbstraction.computed||{};return Object.keys(r).forEach(e=>{Ne.isAsyncFunction(r[e])||Object.defineProperty(n,e,{get:()=>r[e].call(n),enumerable:!0,configurable:!0})}),Object.assign(n,{toJSON:function(){const t={},n=e.originalAbstraction.computed?Object.keys(e.originalAbstraction.computed):[];return Object.keys(this).forEach(e=>{const r=this[e];void 0===r||"function"==typeof r||n.includes(e)||(t[e]=r)}),t}}),Object.defineProperties(n,{containerToViewport:{value:(t,n)=>{const r=e.container.getBoundingClientRect();return{x:t+r.left,y:n+r.top}},writable:!1,enumerable:!1},viewportToContainer:{value:(t,n)=>{const r=e.container.getBoundingClientRect();return{x:t-r.left,y:n-r.top}},writable:!1,enumerable:!1}}),this.container._externalProxy=!0,Object.defineProperty(n,"container",{value:this.container,writable:!1,enumerable:!0,configurable:!0}),Object.defineProperty(n,"pacId",{value:Ne.getPacId(this.container),writable:!1,enumerable:!0,configurable:!0}),n},He.prototype.injectHierarchyProperties=e=>{e.childrenCount=0,e.hasParent=!1},He.prototype.injectAsyncComputedProperties=function(e){const t=e.computed||{};this.asyncComputed=new Map,Object.keys(t).forEach(n=>{Ne.isAsyncFunction(t[n])&&(e[n]=void 0,e[n+"$pending"]=!0,e[n+"$error"]=null,this.asyncComputed.set(n,{deps:new Set,runId:0,controller:null}))})},He.prototype.injectSystemProperties=function(e){e.browserOnline=navigator.onLine,e.browserNetworkEffectiveType=Ne.getNetworkEffectiveType(),e.browserNetworkQuality=Ne.detectNetworkQuality(),e.browserVisible=!document.hidden,e.browserPendingChord=lt?lt.label:"",e.browserScrollX=window.scrollX,e.browserScrollY=window.scrollY,e.browserViewportHeight=window.innerHeight,e.browserViewportWidth=window.innerWidth,e.browserContentWidth=document.documentElement.scrollWidth,e.browserContentHeight=document.documentElement.scrollHeight,e.containerIsScrollable=!1,e.containerScrollX=this.container.scrollLeft,e.containerScrollY=this.container.scrollTop,e.containerContentWidth=this.container.scrollWidth,e.containerContentHeight=this.container.scrollHeight,e.containerScrollWindow={top:0,left:0,right:0,bottom:0,x:0,y:0},e.containerVisible=null,e.containerFullyVisible=null,e.containerFocus=Ne.isElementDirectlyFocused(this.container),e.containerFocusWithin=Ne.isElementFocusWithin(this.container),e.containerClientRect={top:0,left:0,right:0,bottom:0,width:0,height:0,x:0,y:0},e.containerWidth=this.container.clientWidth,e.containerHeight=this.container.clientHeight,e.browserOrientationAngle=screen.orientation?screen.orientation.angle:0,e.browserOrientationType=screen.orientation?screen.orientation.type:"unknown",e.browserDevicePixelRatio=window.devicePixelRatio||1},He.prototype.findParentForeachElement=function(e){let t=e.parentElement;for(;t&&t!==this.container;){if(t.hasAttribute("data-pac-bind")&&t.getAttribute("data-pac-bind").includes("foreach:"))return t;t=t.parentElement}return null},He.prototype.buildIndexMap=(e,t)=>{const n=new Set,r=new Map;return t.forEach((t,i)=>{for(let a=0;a<e.length;a++)if(!n.has(a)&&e[a]===t){n.add(a),r.set(i,a);break}}),r},He.prototype.renderForeach=function(e,t){const n=this,r=this.interpolationMap.get(e);if(r&&r.foreachId){if(t&&(!r.keyPath||!this.reconcileKeyedForeach(e,r,t))){this.cleanupForeachMaps(e);try{const i=this.resolveForeachSourceArray(r,t);Ne.getPacCache(e).previousArray=t,Ne.getPacCache(e).previousKeys=r.keyPath?t.map(e=>Ye(e,r.keyPath)):null;let a="";const s=ze(r.template),o=n.buildIndexMap(i,t);if(t.forEach((e,t)=>{const i=o.has(t)?o.get(t):t;a+=n.buildForeachItemHTML(r.foreachId,s,i,t)}),"SELECT"===e.tagName&&r.bindings.placeholder){const t=n.evaluateForeachPlaceholder(e,r);a=`<option value="" data-pac-placeholder-option>${Ne.escapeHtml(t)}</option>`+a}e.innerHTML=a,this.cacheContextOnItemElements(e),this.scanAndRegisterNewElements(e),this.finishForeachRender(e,r,t)}catch(t){this.reportError(t,{source:"foreach",expression:r.foreachExpr,element:e},`Error rendering foreach for expression "${r.foreachExpr}":`)}}}else console.warn("No foreach binding found for element")},He.prototype.resolveForeachSourceArray=function(e,t){const n=e.sourceArray||this.inferArrayRoot(e.foreachExpr),r=n&&this.abstraction[n];return Array.isArray(r)?r:t},He.prototype.evaluateForeachPlaceholder=function(e,t){const n=t.bindings.placeholder.target;try{const t=this.evalInScope(n,e);return null!=t?t+"":""}catch(t){return this.reportError(t,{source:"binding",binding:"placeholder",expression:n,element:e},`Error evaluating placeholder binding "${n}":`),""}},He.prototype.finishForeachRender=function(e,t,n){this.syncSelectAfterForeach(e),Tt.sendMessage(this.abstraction.pacId,fe,n.length,0,{arrayName:t.foreachExpr,marker:e.getAttribute("data-pac-marker")??null})},He.prototype.reconcileKeyedForeach=function(e,t,n){const r=Ne.getPacCache(e);if(!r.previousArray||!r.previousKeys)return!1;const i=Array(n.length),a=new Set;for(let e=0;e<n.length;e++){const r=Ye(n[e],t.keyPath);if(null==r||a.has(r))return console.warn(`wakaPAC: foreach "${t.foreachExpr}" has a missing or duplicate key "${t.keyPath}" at index ${e}; falling back to a full rebuild.`),!1;a.add(r),i[e]=r}try{const s=t.foreachId,o=r.previousKeys,c=Be.getName(e),l=this.resolveForeachSourceArray(t,n),h=this.buildIndexMap(l,n),u=ze(t.template),d=new Map,p=[];this.collectForeachRows(e,s).forEach(e=>{const t=o[e.context.renderIndex];null!=t&&a.has(t)&&!d.has(t)?d.set(t,e):p.push(e)});const g=c?Be.capturePositions(this.getRowElements(Array.from(d.values()))):null;p.length>0&&this.removeForeachRows(e,p,c);const f=[],m=[];let y=null;for(const e of d.values()){y=e.nodes[0];break}for(let t=0;t<n.length;t++){const n=h.has(t)?h.get(t):t;let r=d.get(i[t]);if(!r){const i=document.createElement("template");i.innerHTML=this.buildForeachItemHTML(s,u,n,t),r={nodes:Array.from(i.content.childNodes)},e.insertBefore(i.content,y),f.push(r);continue}if(r.nodes[0]===y)y=r.nodes[r.nodes.length-1].nextSibling;else{const t=document.createDocumentFragment();r.nodes.forEach(e=>t.appendChild(e)),e.insertBefore(t,y)}r.context.index===n&&r.context.renderIndex===t||(r.nodes[0].nodeValue=` pac-foreach-item: ${s}, index=${n}, renderIndex=${t} `,m.push(r))}const E="SELECT"===e.tagName&&t.bindings.placeholder?e.querySelector(":scope > option[data-pac-placeholder-option]"):null;return E&&(E.textContent=this.evaluateForeachPlaceholder(e,t)),m.forEach(e=>this.invalidateForeachScope(e.nodes)),r.previousArray=n,r.previousKeys=i.slice(),f.length>0&&this.registerForeachRows(e,f),c&&(this.getRowElements(f).forEach(e=>Be.enter(e,c)),Be.playMoves(g,c)),this.finishForeachRender(e,t,n),!0}catch(n){return this.reportError(n,{source:"foreach",expression:t.foreachExpr,element:e},`Error reconciling keyed foreach "${t.foreachExpr}" by "${t.keyPath}":`),!1}},He.prototype.collectForeachRows=(e,t)=>{const n=[];let r=null;for(let i=e.firstChild;i;i=i.nextSibling){if(i.nodeType===Node.COMMENT_NODE){if(!r){const e=He.parseForeachComment(i);e&&e.foreachId===t&&(r={nodes:[i],context:e});continue}if("/pac-foreach-item"===i.textContent.trim()){r.nodes.push(i),n.push(r),r=null;continue}}r&&r.nodes.push(i)}return n},He.prototype.getRowElements=e=>{const t=[];return e.forEach(e=>{e.nodes.forEach(e=>{e.nodeType===Node.ELEMENT_NODE&&t.push(e)})}),t},He.prototype.removeForeachRows=function(e,t,n){const r=new Set;t.forEach(e=>{e.nodes.forEach(e=>r.add(e))}),this.cleanupMapsWhere(t=>{let n=t;for(;n&&n.parentNode!==e;)n=n.parentNode;return r.has(n)}),r.forEach(t=>{n&&t.nodeType===Node.ELEMENT_NODE?Be.leave(t,n,()=>t.remove()):e.removeChild(t)})},He.prototype.invalidateForeachScope=function(e){const t=e=>{if(e._pacCache&&(delete e._pacCache.foreachContext,delete e._pacCache.foreachChain),e.nodeType===Node.ELEMENT_NODE){const t=this.interpolationMap.get(e);t&&delete t._resolvedForeachExpr}else if(e.nodeType===Node.COMMENT_NODE){const t=this.commentBindingMap.get(e);t&&t.branches.forEach(e=>this.invalidateForeachScope(e.nodes))}};e.forEach(e=>{if(!(e instanceof Node))return;t(e);const n=document.createTreeWalker(e,NodeFilter.SHOW_ELEMENT|NodeFilter.SHOW_TEXT|NodeFilter.SHOW_COMMENT);let r;for(;r=n.nextNode();)t(r)})},He.prototype.registerForeachRows=function(e,t){const n=new Map,r=new Map,i=new Map,a=(e,t)=>t.forEach((t,n)=>e.set(n,t));t.forEach(t=>{const s=document.createElement("div");for(e.insertBefore(s,t.nodes[0]),t.nodes.forEach(e=>s.appendChild(e)),$e(s),a(n,this.scanBindings(s)),a(r,this.scanTextBindings(s)),a(i,this.scanCommentBindings(s));s.firstChild;)e.insertBefore(s.firstChild,s);e.removeChild(s)}),this.cacheContextOnItemElements(e),this.registerScannedBindings(null,n,r,i),this.updateContainerScrollState()},He.prototype.syncSelectAfterForeach=function(e){let t=null,n=null;"SELECT"===e.tagName?(t=e,n=this.interpolationMap.get(e)):e.parentElement&&"SELECT"===e.parentElement.tagName&&(t=e.parentElement,n=this.interpolationMap.get(t)),t&&n&&n.bindings.value&&this.syncValueBindingFromElement(t,n)},He.prototype.getForeachChain=function(e){e.nodeType===Node.ATTRIBUTE_NODE&&(e=e.ownerElement);const t=Ne.getPacCache(e);if(t.foreachChain)return t.foreachChain;const n=[],r=this.container,i=this.interpolationMap;let a=e;for(;a;){const e=this.extractClosestForeachContext(a);if(e){const t=r.querySelector(`[data-pac-foreach-id="${e.foreachId}"]`),a=t&&i.get(t);a&&n.push({foreachId:e.foreachId,depth:a.depth,index:e.index,renderIndex:e.renderIndex,container:t,itemVar:a.itemVar,indexVar:a.indexVar,sourceArray:a.sourceArray})}a=this.findParentForeachElement(a)}return t.foreachChain=n,n},He.prototype.resolveScopedTokens=(e,t)=>{const n=[];for(let r=0;r<e.length;r++){const i=e[r];if(!t.has(i)){n.push(i);continue}const a=t.get(i);if("number"==typeof a){n.push(a);continue}const s=Ne.pathStringToArray(a);for(let e=0;e<s.length;e++)n.push(s[e])}return n},He.prototype.buildForeachScope=function(e){const t=new Map;for(const n of e){if(!t.has(n.itemVar)){const e=Ne.pathStringToArray(n.sourceArray),r=this.resolveScopedTokens(e,t),i=Ne.pathArrayToString(r);t.set(n.itemVar,`${i}[${n.index}]`)}n.indexVar&&!t.has(n.indexVar)&&t.set(n.indexVar,n.index)}return t},He.prototype.normalizePath=function(e,t){const n=Ne.pathStringToArray(e);if(0===n.length)return"";let r=0;for(;r<n.length&&"parent"===n[r];)r++;const i=this.getForeachChain(t);r>i.length&&(console.warn(`Cannot climb ${r} levels - only ${i.length} available`),r=i.length);const a=i.slice(r).reverse();if(0===a.length){const e=n.slice(r);return 0===e.length?"":1===e.length&&"number"==typeof e[0]?e[0]:Ne.pathArrayToString(e)}const s=this.buildForeachScope(a),o=n.slice(r);if(0===o.length)return"";const c=this.resolveScopedTokens(o,s);return 1===c.length&&"number"==typeof c[0]?c[0]:Ne.pathArrayToString(c)},He.prototype.evaluateForeachArray=function(e){const t=this.interpolationMap.get(e);if(!t||!t.foreachId)return null;try{const n=this.evalInScope(t.foreachExpr,e);return n?Array.isArray(n)?n:(console.warn(`Foreach expression "${t.foreachExpr}" did not evaluate to an array, got:`,typeof n,n),e.innerHTML="",null):null}catch(n){return this.reportError(n,{source:"foreach",expression:t.foreachExpr,element:e},`Error evaluating foreach expression "${t.foreachExpr}":`),null}},He.prototype.getChangedForeachArray=function(e){const t=this.evaluateForeachArray(e);if(!t)return null;const n=Ne.getPacCache(e).previousArray;if(!n)return t;if(t.length!==n.length)return t;for(let e=0;e<t.length;e++)if(t[e]!==n[e])return t;return null},He.prototype.findForeachElementsByArrayPath=function(e){const t=[];for(const[n,r]of this.interpolationMap){if(!r.bindings?.foreach)continue;const{foreachExpr:i,sourceArray:a}=r,s=t=>t===e||e.startsWith(t+"[");if(s(i)||s(a))t.push(n);else try{s(r._resolvedForeachExpr??=this.normalizePath(i,n))&&t.push(n)}catch(e){}}return t},He.parseForeachComment=e=>{const t=e.textContent.trim().match(y);return t?{foreachId:t[1].trim(),index:parseInt(t[2],10),renderIndex:parseInt(t[3],10)}:null},He.prototype.extractClosestForeachContext=function(e){const t=this.container,n=Node.COMMENT_NODE;let r=e;for(;r&&r!==t;){const t=Ne.getPacCache(r);if(t.foreachContext)return t.foreachContext;let i=r.previousSibling;for(;i;){if(i.nodeType===n){const t=He.parseForeachComment(i);if(t)return Ne.getPacCache(e).foreachContext=t,t}i=i.previousSibling}r=r.parentElement}return null},He.prototype.cacheContextOnItemElements=e=>{let t,n=null;const r=document.createTreeWalker(e,NodeFilter.SHOW_ALL);for(;t=r.nextNode();)if(t.nodeType===Node.COMMENT_NODE){const e=He.parseForeachComment(t);e?n=e:"/pac-foreach-item"===t.textContent.trim()&&(n=null)}else t.nodeType===Node.ELEMENT_NODE&&n&&(Ne.getPacCache(t).foreachContext=n)},He.prototype.cleanupForeachMaps=function(e){this.cleanupMapsWhere(t=>t!==e&&e.contains(t))},He.prototype.cleanupMapsWhere=function(e){const t=[],n=[];this.interpolationMap.forEach((n,r)=>{e(r)&&t.push(r)}),this.textInterpolationMap.forEach((t,r)=>{const i=r.nodeType===Node.ATTRIBUTE_NODE?r.ownerElement:r;e(i)&&n.push(r)}),t.forEach(e=>{this.interpolationMap.delete(e),delete e._pacCache}),n.forEach(e=>{this.textInterpolationMap.delete(e),delete e._pacCache})},He.prototype.establishHierarchy=function(e,t){if(this.updateParentRelationship(e),this.updateChildrenRelationships(t),this.abstraction.childrenCount=this.children.size,this.abstraction.hasParent=!!this.parent,this.scanAndRegisterNewElements(this.container),!this.readyCalled&&this.abstraction.ready&&"function"==typeof this.abstraction.ready){this.readyCalled=!0;try{this.abstraction.ready.call(this.abstraction)}catch(e){this.reportError(e,{source:"ready"},"Error in ready() method:")}}},He.prototype.updateParentRelationship=function(e){this.parent!==e&&(this.parent&&this.parent.children.delete(this),this.parent=e,e&&e.children.add(this))},He.prototype.updateChildrenRelationships=function(e){this.children.clear(),e.forEach(e=>{e.parent&&e.parent!==this&&e.parent.children.delete(e),e.parent=this,this.children.add(e)})},He.prototype.buildForeachItemHTML=(e,t,n,r)=>`\x3c!-- pac-foreach-item: ${e}, index=${n}, renderIndex=${r} --\x3e`+t+"\x3c!-- /pac-foreach-item --\x3e";const Qe={observer:null,initialize(){this.observer||(this.observer=new MutationObserver(e=>{const t=new Set;e.forEach(e=>{e.removedNodes.forEach(e=>{e.nodeType===Node.ELEMENT_NODE&&(e.isConnected||this.destroyTree(e,t))})})}),this.observer.observe(document.body,{childList:!0,subtree:!0}))},destroyTree(t,n=new Set){const i=[...t.matches(e)?[t]:[],...t.querySelectorAll(e)];for(let e=i.length-1;e>=0;e--){const t=i[e].getAttribute("data-pac-id");if(!t||n.has(t))continue;const a=window.PACRegistry.components.get(t);a&&a.container!==i[e]||(r.forEach(e=>{"function"==typeof e.onComponentDestroyed&&e.onComponentDestroyed(t)}),n.add(t),a?.destroy())}}},Ze={_initialized:!1,initialize(){if(this._initialized)return;this._initialized=!0;const e=document.querySelector('meta[name="wakapac-channel"]');e&&"undefined"!=typeof BroadcastChannel&&(g=new BroadcastChannel(e.content),g.onmessage=e=>{const{messageId:t,wParam:n,lParam:r,extended:i}=e.data;Tt.broadcastMessage(t,n,r,i)})}},Je={RANGE:16777216,_ids:new Map,_names:new Map,register(e){const t=e.toLowerCase();if(this._ids.has(t))return this._ids.get(t);let n=2166136261;for(let e=0;e<t.length;e++)n^=t.charCodeAt(e),n=Math.imul(n,16777619)>>>0;let r=Ee+n%this.RANGE;if(this._names.has(r))for(console.warn(`wakaPAC: registered message "${e}" collides with "${this._names.get(r)}"; its id may differ between tabs`);this._names.has(r);)r=Ee+(r-Ee+1)%this.RANGE;return this._ids.set(t,r),this._names.set(r,e),r},getName(e){return this._names.get(e)??null}},et={_queues:new Map,_seq:0,_coalescing:new Map,priorityOf(e){switch(e){case de:return 2;case K:return 1;default:return 0}},post(e,t){let n=this._queues.get(e);n||(n={entries:[],timer:null},this._queues.set(e,n)),this.coalesce(n.entries,t)||n.entries.push({event:t,priority:this.priorityOf(t.message),seq:++this._seq}),null===n.timer&&(n.timer=setTimeout(()=>this.flush(e),0))},coalesce(e,t){let n=-1;switch(t.message){case V:for(let t=e.length-1;t>=0;t--)if(0===e[t].priority){n=e[t].event.message===V?t:-1;break}break;case K:n=e.findIndex(e=>e.event.message===K);break;case de:n=e.findIndex(e=>e.event.message===de&&e.event.wParam===t.wParam);break;default:{const r=this._coalescing.get(t.message);"latest"===r?n=e.findIndex(e=>e.event.message===t.message):"wparam"===r&&(n=e.findIndex(e=>e.event.message===t.message&&e.event.wParam===t.wParam));break}}return-1!==n&&(e[n].event=t,!0)},findNext(e,t,n,r){const i=0===t&&0===n;let a=-1;for(let s=0;s<e.length;s++){const o=e[s];o.seq>r||!i&&(o.event.message<t||o.event.message>n)||(-1===a||o.priority<e[a].priority||o.priority===e[a].priority&&o.seq<e[a].seq)&&(a=s)}return a},peek(e,t,n,r){const i=this._queues.get(e);if(!i)return null;const a=this.findNext(i.entries,t,n,1/0);if(-1===a)return null;const s=i.entries[a].event;return r&&i.entries.splice(a,1),s},flush(e){const t=this._queues.get(e);if(!t)return;if(t.timer=null,!e.isConnected)return void this.discard(e);const n=this._seq;let r;for(;this._queues.get(e)===t&&-1!==(r=this.findNext(t.entries,0,0,n));){const{event:n}=t.entries.splice(r,1)[0];Oe.dispatchToContainer(e,n)}this._queues.get(e)===t&&0===t.entries.length&&null===t.timer&&this._queues.delete(e)},discard(e){const t=this._queues.get(e);t&&(null!==t.timer&&clearTimeout(t.timer),this._queues.delete(e))}},tt='a[href], area[href], button, input:not([type="hidden"]), select, textarea, iframe, summary, audio[controls], video[controls], [contenteditable]:not([contenteditable="false"]), [tabindex]',nt={_initialized:!1,initialize(){this._initialized||(this._initialized=!0,document.addEventListener("focusin",e=>this.handleFocusIn(e),!0))},handleFocusIn(t){const n=Oe.normalizeToElement(t.target);if(!n)return;const r=t.relatedTarget instanceof HTMLElement?t.relatedTarget:null;let i=n.closest(e);for(;i&&(!r||!i.contains(r));){const t=window.PACRegistry.get(Ne.getPacId(i));t&&(t.focusReturn=r),i=i.parentElement?.closest(e)??null}const a=n.closest("[data-pac-roving]");if(a){const e=this.getRovingItems(a);e.includes(n)&&this.setRovingStop(e,n)}},isRendered(e,t){for(let n=e;n;n=n.parentElement){if(n.hidden||n.hasAttribute("inert")||"none"===getComputedStyle(n).display)return!1;if(n===t)break}return"hidden"!==getComputedStyle(e).visibility},isTabbable(e,t){return e.tabIndex>=0&&!e.disabled&&this.isRendered(e,t)},getTabbable(e){const t=e=>e.tabIndex>0?e.tabIndex:Number.MAX_SAFE_INTEGER;return Array.from(e.querySelectorAll(tt)).filter(t=>this.isTabbable(t,e)).sort((e,n)=>t(e)-t(n))},focusWithin(e,t){const n=t?e.querySelector(t):this.getTabbable(e)[0]??e;return n?(n.focus(),document.activeElement===n):(console.warn(`wakaPAC: setFocus() found no element matching "${t}"`),!1)},hasFocus(e){const t=document.activeElement;return t&&t!==document.body?e.container.contains(t):!0===e.abstraction?.containerFocusWithin},restoreFocus(e){const t=e.focusReturn;return e.focusReturn=null,!(!t||!t.isConnected||e.container.contains(t))&&(t.focus(),document.activeElement===t)},handleKeyDown(e){const t=Oe.normalizeToElement(e.target);!t||738197504&e.lParam||(9===e.wParam?this.handleTrapTab(e,t):this.handleRovingKey(e,t))},handleTrapTab(e,t){const n=t.closest("[data-pac-focus-trap]");if(!n)return;const r=this.getTabbable(n),i=0!==(e.lParam&ve),a=r.indexOf(t);let s=null;0!==r.length?(-1===a?s=i?r[r.length-1]:r[0]:i&&0===a?s=r[r.length-1]:i||a!==r.length-1||(s=r[0]),s&&(e.preventDefault(),s.focus())):e.preventDefault()},handleRovingKey(e,t){const n=t.closest("[data-pac-roving]");if(!n||t.isContentEditable||t.matches('textarea, select, input:not([type="button"]):not([type="checkbox"]):not([type="reset"]):not([type="submit"])'))return;const r=this.getRovingItems(n),i=r.indexOf(t);if(-1===i)return;const a=n.getAttribute("data-pac-roving"),s="vertical"!==a,o="horizontal"!==a;let c;switch(e.wParam){case 37:case 39:if(!s)return;c=i+(37===e.wParam?-1:1);break;case 38:case 40:if(!o)return;c=i+(38===e.wParam?-1:1);break;case 36:c=0;break;case 35:c=r.length-1;break;default:return}const l=r[(c+r.length)%r.length];e.preventDefault(),this.setRovingStop(r,l),l.focus()},getRovingItems(e){return Array.from(e.querySelectorAll(tt)).filter(t=>t.closest("[data-pac-roving]")===e&&!t.disabled&&this.isRendered(t,e))},setRovingStop(e,t){e.forEach(e=>e.setAttribute("tabindex",e===t?"0":"-1"))},initRovingLists(e){e.querySelectorAll("[data-pac-roving]").forEach(e=>{const t=this.getRovingItems(e);if(0===t.length)return;const n=t.find(e=>e===document.activeElement)??t.find(e=>"0"===e.getAttribute("tabindex"))??t[0];this.setRovingStop(t,n)})}},rt={_initialized:!1,isRecording:!1,gesturePoints:[],startTime:0,gestureContainer:null,gestureJustDispatched:!1,lastGesturePrevented:!1,MIN_DISTANCE:10,MIN_SEGMENT_LENGTH:30,DIRECTION_THRESHOLD:.7,MAX_GESTURE_TIME:2e3,TEMPLATE_POINTS:64,TEMPLATE_SIZE:250,TEMPLATE_ANGLE_RANGE:45,TEMPLATE_MIN_SCORE:.85,DIRECTIONS:["R","DR","D","DL","L","UL","U","UR"],patterns:{right:["R"],left:["L"],up:["U"],down:["D"],L:["D","R"],"inverted-L":["D","L"]},templates:{},registerPattern(e,t){if(!e||"string"!=typeof e)throw Error("Gesture pattern name must be a non-empty string");if(t&&!Array.isArray(t)&&void 0!==t.template){const n=Array.isArray(t.template)?t.template.map(e=>Array.isArray(e)?{x:e[0],y:e[1]}:e):[];if(n.length<2||n.some(e=>!e||!Number.isFinite(e.x)||!Number.isFinite(e.y)))throw Error("Gesture template must be an array of at least two {x, y} points");const r=t.minScore??this.TEMPLATE_MIN_SCORE;if("number"!=typeof r||r<0||r>1)throw Error("Gesture template minScore must be a number between 0 and 1");return(this.patterns[e]||this.templates[e])&&console.warn(`WakaPAC: Overriding existing gesture pattern '${e}'`),delete this.patterns[e],void(this.templates[e]={points:n,minScore:r})}const n=Array.isArray(t)?t:t?.directions;if(!Array.isArray(n)||0===n.length)throw Error("Gesture directions must be a non-empty array");for(let e=0;e<n.length;e++)if(!this.DIRECTIONS.includes(n[e]))throw Error(`Invalid direction "${n[e]}". Must be one of: ${this.DIRECTIONS.join(", ")}`);(this.patterns[e]||this.templates[e])&&console.warn(`WakaPAC: Overriding existing gesture pattern '${e}'`),delete this.templates[e],this.patterns[e]=n},unregisterPattern(e){const t=e in this.patterns||e in this.templates;return t&&(delete this.patterns[e],delete this.templates[e]),t},startRecording(e){this.gestureContainer=this.findContainer(e.target),this.isRecording=!0,this.gesturePoints=[{x:e.clientX,y:e.clientY,time:Date.now()}],this.startTime=Date.now()},recordPoint(e){const t=this.gesturePoints[this.gesturePoints.length-1],n=e.clientX-t.x,r=e.clientY-t.y;Math.sqrt(n*n+r*r)>=this.MIN_DISTANCE&&this.gesturePoints.push({x:e.clientX,y:e.clientY,time:Date.now()})},stopRecording(e){this.isRecording=!1;const t=Date.now()-this.startTime;if(this.gesturePoints.length<2||t>this.MAX_GESTURE_TIME)return void(this.gesturePoints=[]);let n=this.extractDirections(!0);if(0===n.length)return void(this.gesturePoints=[]);let r=this.matchPattern(n),i=1;if(!r){const e=this.extractDirections(!1);r=this.matchPattern(e),r&&(n=e)}if(!r){const e=this.matchTemplate(this.gesturePoints);e&&(r=e.name,i=e.score)}this.gestureJustDispatched=!0,r&&this.gestureContainer&&this.dispatchGesture(e,r,n,i),this.gesturePoints=[],this.gestureContainer=null},extractDirections(e=!1){if(this.gesturePoints.length<2)return[];const t=[],n=this.MIN_SEGMENT_LENGTH*this.MIN_SEGMENT_LENGTH;let r=this.gesturePoints[0],i=this.gesturePoints[0],a=null;for(let s=1;s<this.gesturePoints.length;s++){const o=this.gesturePoints[s],c=this.getDirection(o.x-this.gesturePoints[s-1].x,o.y-this.gesturePoints[s-1].y,e);if(c)if(c===a)i=o;else{if(null!==a){const e=i.x-r.x,s=i.y-r.y;e*e+s*s>=n&&t.push(a)}a=c,r=i,i=o}}if(null!==a){const e=i.x-r.x,s=i.y-r.y;e*e+s*s>=n&&t.push(a)}return t},getDirection(e,t,n=!1){if(0===e&&0===t)return null;if(n)return this.DIRECTIONS[(Math.round(Math.atan2(t,e)/(Math.PI/4))+8)%8];const r=e*e,i=t*t,a=this.DIRECTION_THRESHOLD*this.DIRECTION_THRESHOLD,s=(1-a)/a;return r>s*i?e>0?"R":"L":i>s*r?t>0?"D":"U":e>0?r>i?"R":t>0?"D":"U":r>i?"L":t>0?"D":"U"},matchPattern(e){const t=e.join(",");for(const e in this.patterns)if(this.patterns[e].join(",")===t)return e;return null},matchTemplate(e){const t=Object.keys(this.templates);if(0===t.length||e.length<2)return null;const n=this.normalizePath(e),r=this.TEMPLATE_ANGLE_RANGE*Math.PI/180,i=.5*Math.sqrt(2)*this.TEMPLATE_SIZE;let a=null;for(const e of t){const t=this.templates[e],s=this.distanceAtBestAngle(n,this.normalizedTemplate(t),-r,r),o=Math.max(0,1-s/i);o>=t.minScore&&(!a||o>a.score)&&(a={name:e,score:o})}return a},normalizedTemplate(e){const t=this.TEMPLATE_POINTS+":"+this.TEMPLATE_SIZE;return e.normalizedFor!==t&&(e.normalized=this.normalizePath(e.points),e.normalizedFor=t),e.normalized},normalizePath(e){const t=this.resample(e,this.TEMPLATE_POINTS);let n=1/0,r=-1/0,i=1/0,a=-1/0;for(const e of t)n=Math.min(n,e.x),r=Math.max(r,e.x),i=Math.min(i,e.y),a=Math.max(a,e.y);const s=this.TEMPLATE_SIZE/(Math.max(r-n,a-i)||1),o=t.reduce((e,t)=>e+t.x,0)/t.length,c=t.reduce((e,t)=>e+t.y,0)/t.length;return t.map(e=>({x:(e.x-o)*s,y:(e.y-c)*s}))},resample(e,t){let n=0;for(let t=1;t<e.length;t++)n+=Math.hypot(e[t].x-e[t-1].x,e[t].y-e[t-1].y);const r=n/(t-1),i=[{x:e[0].x,y:e[0].y}];let a=i[0],s=0;for(let n=1;n<e.length&&r>0;n++){let o=e[n],c=Math.hypot(o.x-a.x,o.y-a.y);for(;s+c>=r&&i.length<t;){const e=(r-s)/c;a={x:a.x+e*(o.x-a.x),y:a.y+e*(o.y-a.y)},i.push(a),c=Math.hypot(o.x-a.x,o.y-a.y),s=0}s+=c,a=o}const o=e[e.length-1];for(;i.length<t;)i.push({x:o.x,y:o.y});return i},distanceAtBestAngle(e,t,n,r){const i=.6180339887498949,a=2*Math.PI/180;let s=i*n+(1-i)*r,o=(1-i)*n+i*r,c=this.distanceAtAngle(e,t,s),l=this.distanceAtAngle(e,t,o);for(;Math.abs(r-n)>a;)c<l?(r=o,o=s,l=c,s=i*n+(1-i)*r,c=this.distanceAtAngle(e,t,s)):(n=s,s=o,c=l,o=(1-i)*n+i*r,l=this.distanceAtAngle(e,t,o));return Math.min(c,l)},distanceAtAngle(e,t,n){const r=Math.cos(n),i=Math.sin(n);let a=0;for(let n=0;n<e.length;n++){const{x:s,y:o}=e[n];a+=Math.hypot(s*r-o*i-t[n].x,s*i+o*r-t[n].y)}return a/e.length},findContainer(t){const n=Oe.normalizeToElement(t);for(let t=n?.closest(e);t;t=t.parentElement?.closest(e)){const e=window.PACRegistry.get(t.getAttribute("data-pac-id"));if(e)return e.container}return null},dispatchGesture(e,t,n,r=1){const i=this.gesturePoints,a=i.length,s=Date.now();let o=i[0].x,c=o,l=i[0].y,h=l;for(let e=1;e<a;e++){const{x:t,y:n}=i[e];o=Math.min(o,t),c=Math.max(c,t),l=Math.min(l,n),h=Math.max(h,n)}const u=this.gestureContainer.getBoundingClientRect(),d=e=>e-u.left,p=e=>e-u.top,g=Math.max(0,Math.min(65535,Math.round((o+c)/2-u.left))),f=Math.max(0,Math.min(65535,Math.round((l+h)/2-u.top))),m=d(i[0].x),y=p(i[0].y),E=d(i[a-1].x),b=p(i[a-1].y),v=d(o),w=p(l),A=c-o,C=h-l;Oe.dispatchMouseMessage(ge,e,this.gestureContainer,null,{pattern:t,directions:n,confidence:r,pointCount:a,startX:m,startY:y,endX:E,endY:b,duration:s-this.startTime,bounds:{x:v,y:w,left:v,top:w,right:v+A,bottom:w+C,width:A,height:C}},0,f<<16|g)}},it={GESTURE_NAMES:["pinch","rotate","longpress","swipe","doubletap"],pointers:new Map,container:null,enabled:null,multiTouch:!1,longPressFired:!1,longPressTimer:null,pair:null,lastTap:null,LONG_PRESS_TIME:500,TAP_TOLERANCE:10,SWIPE_MIN_DISTANCE:50,SWIPE_MIN_VELOCITY:.3,DOUBLE_TAP_TIME:300,DOUBLE_TAP_DISTANCE:20,PINCH_THRESHOLD:.05,ROTATE_THRESHOLD:10,parseOption(e){if(!e)return null;if(!0===e)return new Set(this.GESTURE_NAMES);const t=new Set;return(Array.isArray(e)?e:[e]).forEach(e=>{this.GESTURE_NAMES.includes(e)?t.add(e):console.warn(`WakaPAC: Unknown touch gesture '${e}'. Must be one of: ${this.GESTURE_NAMES.join(", ")}`)}),t.size>0?t:null},findContext(t){const n=Oe.normalizeToElement(t);for(let t=n?.closest(e);t;t=t.parentElement?.closest(e)){const e=window.PACRegistry.get(t.getAttribute("data-pac-id"));if(e?.touchGestures)return e}return null},pointerDown(e){if("mouse"===e.pointerType)return;const t=this.findContext(e.target);if(t){if(0===this.pointers.size)this.container=t.container,this.enabled=t.touchGestures,this.multiTouch=!1,this.longPressFired=!1;else if(t.container!==this.container)return;if(this.pointers.set(e.pointerId,{x:e.clientX,y:e.clientY,startX:e.clientX,startY:e.clientY,startTime:Date.now()}),1!==this.pointers.size){if(this.cancelLongPress(),this.multiTouch=!0,2===this.pointers.size){const{distance:e,angle:t}=this.measurePair();this.pair={distance:e,angle:t,scale:1,rotation:0,zooming:!1,rotating:!1}}}else this.enabled.has("longpress")&&(this.longPressTimer=setTimeout(()=>this.fireLongPress(e),this.LONG_PRESS_TIME))}},pointerMove(e){const t=this.pointers.get(e.pointerId);t&&(t.x=e.clientX,t.y=e.clientY,null!==this.longPressTimer&&Math.hypot(t.x-t.startX,t.y-t.startY)>this.TAP_TOLERANCE&&this.cancelLongPress(),this.pair&&this.pointers.size>=2&&this.updatePair(e))},pointerUp(e){const t=this.pointers.get(e.pointerId);t&&(this.pointers.delete(e.pointerId),this.cancelLongPress(),this.pair&&this.pointers.size<2&&this.endPair(e),this.pointers.size>0||("pointerup"!==e.type||this.multiTouch||this.longPressFired||!this.container.isConnected||this.recognizeStroke(e,t,this.container),this.container=null,this.enabled=null))},recognizeStroke(e,t,n){const r=t.x-t.startX,i=t.y-t.startY,a=Math.hypot(r,i),s=Date.now(),o=Math.max(1,s-t.startTime),c=a/o;if(this.enabled.has("swipe")&&a>=this.SWIPE_MIN_DISTANCE&&c>=this.SWIPE_MIN_VELOCITY){const s=180*Math.atan2(i,r)/Math.PI;return this.dispatch(17,e,n,t.startX+r/2,t.startY+i/2,{direction:this.getSwipeDirection(s),angle:s,distance:a,dx:r,dy:i,duration:o,velocity:c,velocityX:r/o,velocityY:i/o}),void(this.lastTap=null)}if(a>this.TAP_TOLERANCE||!this.enabled.has("doubletap"))return void(this.lastTap=null);const l=this.lastTap;if(l&&l.container===n&&s-l.time<=this.DOUBLE_TAP_TIME&&Math.hypot(t.x-l.x,t.y-l.y)<=this.DOUBLE_TAP_DISTANCE)return this.lastTap=null,void this.dispatch(18,e,n,t.x,t.y,{interval:s-l.time});this.lastTap={time:s,x:t.x,y:t.y,container:n}},getSwipeDirection:e=>["R","DR","D","DL","L","UL","U","UR"][(Math.round(e/45)+8)%8],fireLongPress(e){this.longPressTimer=null;const t=this.pointers.get(e.pointerId);t&&!this.multiTouch&&this.container.isConnected&&(this.longPressFired=!0,this.lastTap=null,this.dispatch(16,e,this.container,t.x,t.y,{duration:Date.now()-t.startTime}))},cancelLongPress(){null!==this.longPressTimer&&(clearTimeout(this.longPressTimer),this.longPressTimer=null)},measurePair(){const[e,t]=this.pointers.values();return{distance:Math.hypot(t.x-e.x,t.y-e.y),angle:180*Math.atan2(t.y-e.y,t.x-e.x)/Math.PI,centerX:(e.x+t.x)/2,centerY:(e.y+t.y)/2}},updatePair(e){const t=this.pair,{distance:n,angle:r,centerX:i,centerY:a}=this.measurePair();if(this.enabled.has("pinch")&&t.distance>0){const r=n/t.distance;if(t.zooming||Math.abs(r-1)>=this.PINCH_THRESHOLD){const s=t.zooming?0:1,o=r/t.scale;t.zooming=!0,t.scale=r,this.dispatch(3,e,this.container,i,a,{flags:s,scale:r,scaleDelta:o,distance:n})}}if(this.enabled.has("rotate")){const n=(r-t.angle+540)%360-180;if(t.rotating||Math.abs(n)>=this.ROTATE_THRESHOLD){const r=t.rotating?0:1,s=n-t.rotation;t.rotating=!0,t.rotation=n,this.dispatch(5,e,this.container,i,a,{flags:r,rotation:n,rotationDelta:s})}}},endPair(e){const t=this.pair;if(this.pair=null,!this.container.isConnected)return;const n=this.pointers.values().next().value??{x:e.clientX,y:e.clientY};t.zooming&&this.dispatch(3,e,this.container,n.x,n.y,{flags:4,scale:t.scale,scaleDelta:1,distance:t.distance*t.scale}),t.rotating&&this.dispatch(5,e,this.container,n.x,n.y,{flags:4,rotation:t.rotation,rotationDelta:0})},dispatch(e,t,n,r,i,a){const s=n.getBoundingClientRect(),o=r-s.left,c=i-s.top,l=Math.max(0,Math.min(65535,Math.round(o))),h=Math.max(0,Math.min(65535,Math.round(c)));Oe.dispatchMouseMessage(281,t,n,null,Object.assign({x:o,y:c,flags:0,pointerType:t.pointerType},a),e,h<<16|l)}};function at(){this.components=new Map,this.pendingHierarchy=new Set,this._scheduleHierarchy=Ne.debounce(()=>this.establishAllHierarchies(),10)}at.prototype={register(e,t){this.components.set(e,t),this.pendingHierarchy.add(t),this._scheduleHierarchy()},deregister(e){const t=this.components.get(e);t&&(this.pendingHierarchy.delete(t),this.components.delete(e))},get(e){return this.components.get(e)},getByElement(t){const n=t.closest(e),r=n?.getAttribute("data-pac-id");return r?this.get(r):void 0},establishAllHierarchies(){if(0===this.pendingHierarchy.size)return;const e=this.buildHierarchyMap(),t=Array.from(this.pendingHierarchy);this.pendingHierarchy.clear(),t.forEach(t=>{const n=e.get(t.container);n?t.establishHierarchy(n.parent,n.children):t.establishHierarchy(null,[])}),this.pendingHierarchy.size>0&&this._scheduleHierarchy()},buildHierarchyMap(){const e=new Map;this.components.forEach(t=>{e.set(t.container,t)});const t=new Map;return this.components.forEach(n=>{const r=n.container;let i=null,a=r.parentElement;for(;a;){if(e.has(a)){i=e.get(a);break}a=a.parentElement}t.has(r)||t.set(r,{parent:null,children:[]}),t.get(r).parent=i,i&&(t.has(i.container)||t.set(i.container,{parent:null,children:[]}),t.get(i.container).children.push(n))}),t}};const st=new Map,ot=Symbol("global");let ct=["focused","ancestors","global"],lt=null;const ht=new Set([16,17,18,91,92]);function ut(e,t){return!(e.length<t.length)&&t.every((t,n)=>e[n].vk===t.vk&&e[n].modifiers===t.modifiers)}function dt(e){const t=lt?lt.label:"";lt=e,(e?e.label:"")!==t&&Oe.dispatchBrowserStateEvent("chord",{pending:e?e.label:""})}function pt(){lt&&dt(null)}function gt(e){if("string"!=typeof e||""===e.trim())throw new TypeError("wakaPAC: accelerator key must be a non-empty string, got: "+JSON.stringify(e));const t={CTRL:we,SHIFT:ve,ALT:Ce},n=e.split("+").map(e=>e.trim());let r=0,i=0;for(;r<n.length-1;){const a=t[n[r].toUpperCase()];if(!a)throw new TypeError(`wakaPAC: unknown token "${n[r]}" in accelerator key: ${JSON.stringify(e)}`);i|=a,r++}const a=n[r];if(!a)throw new TypeError("wakaPAC: no key name found in accelerator key: "+JSON.stringify(e));const s="VK_"+a.toUpperCase();if(!(s in Tt))throw new TypeError(`wakaPAC: unknown key "${a}" in accelerator key: ${JSON.stringify(e)} (no constant ${s})`);return{vk:Tt[s],modifiers:i}}function ft(e){return e.replace(/\s*\+\s*/g,"+").trim().split(/\s+/)}function mt(e){return"string"!=typeof e||""===e.trim()?[gt(e)]:ft(e).map(gt)}function yt(e,t){if(!Array.isArray(e))throw new TypeError(t+": entries must be an array");const n=[];for(let r=0;r<e.length;r++){const i=e[r];if("object"!=typeof i||null===i)throw new TypeError(`${t}: entry[${r}] must be an object`);if("string"!=typeof i.key)throw new TypeError(`${t}: entry[${r}].key must be a string`);if("number"!=typeof i.cmdId||i.cmdId<=0)throw new TypeError(`${t}: entry[${r}].cmdId must be a positive number`);const a=mt(i.key);n.push({strokes:a,cmdId:i.cmdId,key:i.key})}return n}function Et(e,t){st.set(e,t),vt(e).forEach(e=>{const t=e.tables.map(e=>null===e?"global":`'${e}'`).join(" and ");console.warn(`wakaPAC: accelerator "${e.key}" is bound by both ${t} (commands ${e.cmdIds.join(" and ")})`)})}let bt=null;function vt(e){const t=[...st.keys()],n=[],r=e=>e===ot?null:e,i=(e,t)=>{if(e===ot||t===ot||e===t)return!0;const n=window.PACRegistry.get(e)?.container,r=window.PACRegistry.get(t)?.container;return!(!n||!r||!n.contains(r)&&!r.contains(n))};for(let a=0;a<t.length;a++)for(let s=a;s<t.length;s++){if(void 0!==e&&t[a]!==e&&t[s]!==e)continue;if(!i(t[a],t[s]))continue;const o=st.get(t[a]),c=st.get(t[s]);o.forEach((e,i)=>{(a===s?c.slice(i+1):c).forEach(i=>{const[o,c]=e.strokes.length<=i.strokes.length?[e,i]:[i,e];ut(c.strokes,o.strokes)&&n.push({key:o.key,tables:[r(t[a]),r(t[s])],cmdIds:[e.cmdId,i.cmdId]})})})}return n}function wt(e,t,n="2d",r={}){if("undefined"!=typeof OffscreenCanvas)return new OffscreenCanvas(e,t).getContext(n,r);const i=document.createElement("canvas");return i.width=e,i.height=t,i.getContext(n,r)}function At(e){return e instanceof CanvasRenderingContext2D||e instanceof OffscreenCanvasRenderingContext2D}function Ct(e,t,n,r,i,a,s,o,c,l){e.drawImage(t,n,r,i,a,s,o,c,l)}function Tt(e,t={},n={}){l||(l=!0,je(document)),Oe.initialize(),Qe.initialize(),Ze.initialize(),nt.initialize();const r=e;let i=!1;e.startsWith("#")||e.startsWith(".")||e.startsWith("[")||/\s/.test(e)||(e=`[data-pac-id="${e}"]`,i=!0);const a=document.querySelectorAll(e),s=!e.startsWith("#")&&!i;if(0===a.length)return console.warn(`wakaPAC: No elements found for selector "${r}"`),s?[]:void 0;const o=[];return a.forEach(r=>{let i=r.getAttribute("data-pac-id");i||(i=r.id||Ne.uniqid("pac-"),r.setAttribute("data-pac-id",i)),r._pacId=i;const a=window.PACRegistry.get(i);if(a)return void o.push(a.abstraction);const c=Object.assign({updateMode:"immediate",delay:300},n),l=s?Object.assign({},t):t;!0===c?.hydrate&&Tt.hydrateContainer(r,l);const h=new He(r,l,c);window.PACRegistry.register(i,h),Tt.initializeComponent(h,i),h.initializeCanvas(),document.dispatchEvent(new CustomEvent("pac:component-ready",{detail:{component:h,selector:e,pacId:i}})),o.push(h.abstraction)}),s?o:o[0]}function _t(){this._ops=[]}Ie({createPacPlugin:()=>({name:"Stdlib",functions:{log:(...e)=>console.log(...e),beep:(()=>{let e=null;return(t=440,n=200,r=.5,i="square")=>{e&&"closed"!==e.state||(e=new AudioContext);const a=e.createOscillator(),s=e.createGain();a.connect(s),s.connect(e.destination),a.type=i,a.frequency.value=t,s.gain.value=r,a.start(),a.stop(e.currentTime+n/1e3)}})(),sendMessage:(e,t,n=0,r=0,i={})=>Tt.sendMessage(e,t,n,r,i),getParentPacId:e=>Tt.getParentPacId(e),sendMessageToParent:(e,t,n=0,r=0,i={})=>Tt.sendMessageToParent(e,t,n,r,i),broadcastMessage:(e,t=0,n=0,r={})=>{Tt.broadcastMessage(e,t,n,r)}}})}),Tt.initializeComponent=(e,t)=>{if(r.forEach(n=>{"function"==typeof n.onComponentCreated&&n.onComponentCreated(e.abstraction,t,e.config)}),e.abstraction.init&&"function"==typeof e.abstraction.init)try{e.abstraction.init.call(e.abstraction)}catch(t){e.reportError(t,{source:"init"},"Error in init() method:")}e.history&&(e.history.clear(),((e,t)=>{const n=!(t&&t.editableUndo),r=st.get(e)||[];[{key:"Ctrl+Z",cmdId:Te},{key:"Ctrl+Y",cmdId:_e}].forEach(e=>{const t=mt(e.key);r.some(e=>ut(e.strokes,t))||r.push({strokes:t,cmdId:e.cmdId,key:e.key,skipEditable:n})}),st.set(e,r)})(t,e.config.history)),e.startAsyncComputed(),nt.initRovingLists(e.container)},Tt.hydrateContainer=(e,t)=>{const n=e.dataset.pacState;if(n)try{Object.assign(t,JSON.parse(n))}catch(e){console.warn("WakaPAC: Failed to parse data-pac-state:",e)}e.querySelectorAll("[data-pac-field]").forEach(n=>{if(!Ne.belongsToPacContainer(e,n))return;const r=n.getAttribute("name");if(!r)return;const i=n.getAttribute("data-pac-same-as");if(i)t[r]=Tt.sameAs(i);else switch(n.type){case"checkbox":Ne.setNestedProperty(r,n.checked,t);break;case"number":case"range":Ne.setNestedProperty(r,""!==n.value?Number(n.value):"",t);break;case"radio":void 0===Ne.getNestedValue(t,r)&&Ne.setNestedProperty(r,"",t),n.checked&&Ne.setNestedProperty(r,n.value,t);break;case"file":break;default:Ne.setNestedProperty(r,n.value??n.getAttribute("value"),t)}});const r=e.querySelector(":scope > template["+_+"]");r&&e.replaceChildren(r.content)},Tt.renderToString=(e,t)=>qe.render(e,t||{}),Tt.sameAs=e=>({__waka_alias:!0,target:e}),Tt.createPacMessage=(e,t,n,r={})=>{if(null!==r&&!Ne.isPlainObject(r))throw new TypeError("wakaPAC.createPacMessage(): extended must be a plain object, got "+typeof r);const i=new CustomEvent(P,{bubbles:!1,cancelable:!0,detail:r});return Object.defineProperties(i,{message:{value:e,enumerable:!0},wParam:{value:t,enumerable:!0},lParam:{value:n,enumerable:!0},timestamp:{value:Date.now(),enumerable:!0}}),i},Tt.getContextByPacId=e=>window.PACRegistry.get(e),Tt.getContainerByPacId=e=>{const t=window.PACRegistry.get(e);return t?t.container:(console.warn(`wakaPAC: Container with id "${e}" not found`),null)},Tt.destroyComponent=e=>{const t=window.PACRegistry.get(e);return!!t&&(Qe.destroyTree(t.container),!0)},Tt.showContainer=function(e){const t=this.getContainerByPacId(e);t&&t.removeAttribute("hidden")},Tt.hideContainer=function(e){const t=this.getContainerByPacId(e);if(!t)return;const n=window.PACRegistry.get(e);t.contains(document.activeElement)&&nt.restoreFocus(n),t.setAttribute("hidden","")},Tt.setFocus=function(e,t=null){const n=this.getContainerByPacId(e);return!!n&&nt.focusWithin(n,t)},Tt.setFocusTrap=function(e,t=!0){const n=this.getContainerByPacId(e);if(n){if(t)return n.setAttribute("data-pac-focus-trap",""),void(n.contains(document.activeElement)||nt.focusWithin(n,null));n.removeAttribute("data-pac-focus-trap"),n.contains(document.activeElement)&&nt.restoreFocus(window.PACRegistry.get(e))}},Tt.getParentPacId=e=>{const t=window.PACRegistry.get(e);return t&&t.parent?Ne.getPacId(t.parent.container):null},Tt.postMessage=function(e,t,n,r,i={}){const a=this.getContainerByPacId(e);if(!a)return;const s=this.createPacMessage(t,n,r,i);et.post(a,s)},Tt.setMessageCoalescing=(e,t)=>{if(e===V||e===K||e===de)throw new TypeError("setMessageCoalescing: MSG_MOUSEMOVE, MSG_PAINT and MSG_TIMER have fixed coalescing rules");if(null!=t){if("latest"!==t&&"wparam"!==t)throw new TypeError(`setMessageCoalescing: unknown mode "${t}"`);et._coalescing.set(e,t)}else et._coalescing.delete(e)},Tt.peekMessage=function(e,t=0,n=0,r=!1){const i=this.getContainerByPacId(e);return i?et.peek(i,t,n,r):null},Tt.sendMessage=function(e,t,n,r,i={}){const a=this.getContainerByPacId(e);if(!a)return 0;const s=this.createPacMessage(t,n,r,i),o=Oe.dispatchToContainer(a,s);return void 0===o?0:o},Tt.sendMessageTimeout=function(e,t,n,r,i={},a=5e3){const s=this.getContainerByPacId(e);if(!s)return Promise.reject(Error(`wakaPAC.sendMessageTimeout(): no component with pac-id "${e}"`));const o=this.createPacMessage(t,n,r,i);return new Promise((t,n)=>{const r=setTimeout(()=>{const t=Error(`wakaPAC.sendMessageTimeout(): no reply from "${e}" within ${a}ms`);t.name="TimeoutError",n(t)},a);setTimeout(()=>{if(!s.isConnected)return clearTimeout(r),void n(Error(`wakaPAC.sendMessageTimeout(): component "${e}" was removed before delivery`));Promise.resolve().then(()=>Oe.dispatchToContainer(s,o)).then(e=>{clearTimeout(r),t(void 0===e?0:e)},e=>{clearTimeout(r),n(e)})},0)})},Tt.sendMessageToParent=function(e,t,n,r,i={}){const a=this.getParentPacId(e);return a?this.sendMessage(a,t,n,r,i):0},Tt.postMessageToParent=function(e,t,n,r,i={}){const a=this.getParentPacId(e);a&&this.postMessage(a,t,n,r,i)},Tt.broadcastMessage=function(e,t,n,r={}){window.PACRegistry.components.forEach(i=>{const a=this.createPacMessage(e,t,n,r);Oe.dispatchToContainer(i.container,a)})},Tt.broadcastToChildren=function(e,t,n,r,i={}){const a=window.PACRegistry.get(e);if(!a)return;const s=[...a.children];for(;s.length;){const e=s.shift(),a=this.createPacMessage(t,n,r,i);Oe.dispatchToContainer(e.container,a),s.push(...e.children)}},Tt.broadcastMessageGlobal=(e,t=0,n=0,r={})=>{Tt.broadcastMessage(e,t,n,r),g&&g.postMessage({messageId:e,wParam:t,lParam:n,extended:r})},Tt.installMessageHook=e=>{const t=h++;return o.push({handle:t,fn:e}),t},Tt.uninstallMessageHook=e=>{const t=o.findIndex(t=>t.handle===e);-1!==t&&o.splice(t,1)},Tt.subclassComponent=(e,t)=>{if("function"!=typeof t)throw new TypeError("wakaPAC.subclassComponent(): fn must be a function, got "+typeof t);const n=window.PACRegistry.get(e);if(!n)return console.warn("No PAC container found with id: "+e),null;const r=d++;return n.subclasses.push({handle:r,fn:t}),u.set(r,n),r},Tt.unsubclassComponent=e=>{const t=u.get(e);return!!t&&(u.delete(e),t.subclasses=t.subclasses.filter(t=>t.handle!==e),!0)},Tt.renderFallback=(e,t)=>{const n=window.PACRegistry.get(e);return n?(n.renderFallback(t+""),!0):(console.warn("No PAC container found with id: "+e),!1)},Tt.setTimer=(e,t)=>{const n=window.PACRegistry.get(e);return n?n.setTimer(t):(console.warn("No PAC container found with id: "+e),null)},Tt.killTimer=(e,t)=>{const n=window.PACRegistry.get(e);return!!n&&n.killTimer(t)},Tt.killAllTimers=e=>{const t=window.PACRegistry.get(e);return t?t.killAllTimers():0},Tt.registerBinding=(e,t)=>{if(!e||"string"!=typeof e)throw Error("Binding name must be a non-empty string");if("function"!=typeof t)throw Error("Binding handler must be a function");Le[e]&&console.warn(`WakaPAC: Overriding built-in binding type '${e}'`),Le[e]=t},Tt.LOWORD=e=>65535&e,Tt.HIWORD=e=>e>>16&65535,Tt.MAKEPOINTS=e=>({x:Tt.LOWORD(e),y:Tt.HIWORD(e)}),Tt.GET_WHEEL_DELTA=e=>(e>>16&65535)<<16>>16,Tt.GET_KEYSTATE=e=>65535&e,Tt.GET_REPEAT_COUNT_LPARAM=e=>65535&e,Tt.getKeyName=Ne.getKeyName.bind(Ne),Tt.registerWindowMessage=e=>{if("string"!=typeof e||""===e)throw new TypeError("wakaPAC.registerWindowMessage(): name must be a non-empty string, got "+typeof e);return Je.register(e)},Tt.getMessageName=Ne.getMessageName.bind(Ne),Tt.setGestureThresholds=e=>{Object.keys(e).forEach(t=>{const n=[rt,it].find(e=>/^[A-Z_]+$/.test(t)&&"number"==typeof e[t]);n?"number"==typeof e[t]&&e[t]>=0?n[t]=e[t]:console.warn(`WakaPAC: Gesture threshold '${t}' must be a non-negative number`):console.warn(`WakaPAC: Unknown gesture threshold '${t}'`)})},Tt.registerGesture=(e,t)=>rt.registerPattern(e,t),Tt.unregisterGesture=e=>rt.unregisterPattern(e),Tt.setCapture=e=>{const t=window.PACRegistry.get(e);if(t)return Oe.setCapture(t.container);console.warn("No PAC container found with id: "+e)},Tt.releaseCapture=()=>Oe.releaseCapture(),Tt.hasCapture=()=>Oe.hasCapture(),Tt.getCapture=()=>Oe.getCapturedPacId(),Tt.ptInElement=(e,t,n)=>{if(!n)return!1;const r=n.getBoundingClientRect();return e>=r.left&&e<=r.right&&t>=r.top&&t<=r.bottom},Tt.elementFromPoint=(e,t)=>document.elementFromPoint(e,t),Tt.containerFromPoint=(t,n)=>{const r=Tt.elementFromPoint(t,n);return r?r.closest(e):null},Tt.use=(e,t={})=>{Ie(e,t)},Tt.unit=e=>"object"!=typeof e||(e=a.get(e)??null)?i.get(e)??null:null,Tt.loadAcceleratorTable=(e,t)=>{const n=yt(t,"wakaPAC.loadAcceleratorTable()");Et(e??ot,n)},Tt.destroyAcceleratorTable=e=>{st.delete(e??ot),pt()},Tt.setAcceleratorPrecedence=e=>{const t=["focused","ancestors","global"];if(!Array.isArray(e)||e.some(e=>!t.includes(e))||new Set(e).size!==e.length)throw new TypeError("wakaPAC.setAcceleratorPrecedence(): order must list distinct scopes out of "+t.join(", "));ct=e.slice()},Tt.getAcceleratorConflicts=()=>vt(),Tt.exportAccelerators=e=>{const t={version:1,containers:{}};return(Array.isArray(e)?e.map(e=>e??ot):[...st.keys()]).forEach(e=>{const n=st.get(e);if(!n)return;const r=n.map(e=>({key:e.key,cmdId:e.cmdId}));e===ot?t.global=r:t.containers[e]=r}),JSON.stringify(t)},Tt.importAccelerators=e=>{const t="wakaPAC.importAccelerators()",n="string"==typeof e?JSON.parse(e):e;if("object"!=typeof n||null===n||1!==n.version)throw new TypeError(t+": expected a version 1 keymap object");if(void 0!==n.containers&&("object"!=typeof n.containers||null===n.containers))throw new TypeError(t+": containers must be an object mapping pac-ids to entries");const r=[];return void 0!==n.global&&r.push([ot,yt(n.global,t)]),Object.keys(n.containers||{}).forEach(e=>{r.push([e,yt(n.containers[e],t)])}),pt(),r.forEach(([e,t])=>Et(e,t)),r.length},Tt.saveAccelerators=(e="wakaPAC.accelerators")=>{try{return window.localStorage.setItem(e,Tt.exportAccelerators()),!0}catch(e){return console.warn("wakaPAC: could not save accelerators:",e),!1}},Tt.restoreAccelerators=(e="wakaPAC.accelerators")=>{let t;try{t=window.localStorage.getItem(e)}catch(e){return console.warn("wakaPAC: could not read accelerators:",e),!1}if(null===t)return!1;try{return Tt.importAccelerators(t),!0}catch(t){return console.warn(`wakaPAC: ignoring invalid accelerators saved under '${e}':`,t),!1}},Tt.captureAcceleratorKey=(e={})=>(bt&&bt.finish(null),pt(),new Promise(t=>{let n=null;const r=e=>{const t=Oe.buildKeyboardWParam(e);if(e.preventDefault(),e.stopImmediatePropagation(),ht.has(t))return;const n=637534208&Oe.buildKeyboardLParam(e);if(27===t&&0===n)return void a.finish(null);const r=((e,t)=>{const n=Object.keys(Tt).find(t=>t.startsWith("VK_")&&Tt[t]===e);if(!n)return null;const r=n.slice(3),i=[];return t&we&&i.push("Ctrl"),t&ve&&i.push("Shift"),t&Ce&&i.push("Alt"),i.push(/^[A-Z]{2,}$/.test(r)?r[0]+r.slice(1).toLowerCase():r),i.join("+")})(t,n);null!==r&&a.finish(r)},i=()=>a.finish(null),a={finish(e){window.removeEventListener("keydown",r,!0),window.removeEventListener("blur",i),clearTimeout(n),bt===a&&(bt=null),t(e)}};window.addEventListener("keydown",r,!0),window.addEventListener("blur",i),e.timeout>0&&(n=setTimeout(()=>a.finish(null),e.timeout)),bt=a})),Tt.getAcceleratorTable=e=>{const t=st.get(e??ot);return t?t.map(e=>({key:e.key,cmdId:e.cmdId})):null},Object.keys(Me).concat("setLineDash").forEach(function(e){_t.prototype[e]=function(t){return this._ops.push({op:e,value:t}),this}}),Object.keys(xe).concat("clearShadow").forEach(function(e){_t.prototype[e]=function(){return this._ops.push({op:e}),this}}),Object.entries(Se).forEach(function([e,t]){const n=ke[e];_t.prototype[e]=function(...r){const i={op:e};for(let e=0;e<t.length;e++){const a=r[e];i[t[e]]=void 0===a&&n&&t[e]in n?n[t[e]]:a}return this._ops.push(i),this}}),_t.prototype.setShadow=function(e,t,n=0,r=0){return this._ops.push({op:"setShadow",color:e,blur:t,offsetX:n,offsetY:r}),this},_t.prototype.setImageSmoothing=function(e,t){return this._ops.push({op:"setImageSmoothing",enabled:e,quality:t}),this},_t.prototype.hitArea=function(e,t){return this._ops.push({op:"hitArea",shape:e,...t}),this},_t.prototype.build=function(){return this._ops},Tt.getDC=function(e){const t=this.getContainerByPacId(e);if(!(t&&t instanceof HTMLCanvasElement))return null;const n=window.PACRegistry.get(e),r=t.dataset.pacContext||"2d",i=n?.config?.dcAttributes,a=this.getDCFromElement(t,i);if(!a)return null;if("2d"===r){const t=Oe._dirtyCanvases.get(e);if(t?.painting&&t.rects?.length){a.save(),a.beginPath();for(const e of t.rects)a.rect(e.x,e.y,e.width,e.height);a.clip()}}return a},Tt.releaseDC=e=>{if(!e)return;if(!At(e))return;const t=e.canvas?.dataset?.pacId;if(!t)return;const n=Oe._dirtyCanvases.get(t);n?.painting&&n.rects?.length&&e.restore()},Tt.createCompatibleDC=function(e){const t=this.getContainerByPacId(e);if(!(t&&t instanceof HTMLCanvasElement))return null;const n=t.dataset.pacContext||"2d",r=window.PACRegistry.get(e),i=r?.config?.dcAttributes;return wt(t.width,t.height,n,i)},Tt.deleteCompatibleDC=e=>{if(!e)return;const t=e.canvas;t instanceof OffscreenCanvas&&(t.width=0,t.height=0)},Tt.getDCFromElement=(e,t={})=>e&&e instanceof HTMLCanvasElement?e.getContext(e.dataset.pacContext||"2d",t):null,Tt.invalidateRect=(e,t)=>{Oe.invalidateRect(e,t||null)},Tt.getInvalidatedRect=e=>{const t=Oe._dirtyCanvases.get(e);return t?t.rects.reduce((e,t)=>Ne.unionRect(e,t)):null},Tt.getUpdateRgn=e=>{const t=Oe._dirtyCanvases.get(e);return t?t.rects.map(e=>({...e})):null},Tt.bitBlt=(e,t,n,r,i,a,s=0,o=0)=>{if(!e||!t)return;if(!At(e))return void console.warn("wakaPAC.bitBlt: destDC must be a 2D canvas context. For a WebGL destination, use wakaD3D.bitBlt() instead.");const c=t.canvas,l=i??c.width,h=a??c.height;Ct(e,c,s,o,l,h,n,r,l,h)},Tt.stretchBlt=(e,t,n,r,i,a)=>{if(!e||!t)return;if(!At(e))return void console.warn("wakaPAC.stretchBlt: destDC must be a 2D canvas context. For a WebGL destination, use wakaD3D.bitBlt() instead.");const s=t.canvas;Ct(e,s,0,0,s.width,s.height,n,r,i,a)},Tt.resizeCanvas=function(e,t,n){const r=this.getContainerByPacId(e);r&&r instanceof HTMLCanvasElement&&(r.width===t&&r.height===n||(r.width=t,r.height=n,"2d"===(r.dataset.pacContext||"2d")&&Oe.invalidateRect(e,null)))},Tt.getCanvasSize=function(e){const t=this.getContainerByPacId(e);return t&&t instanceof HTMLCanvasElement?{width:t.width,height:t.height}:null},Tt.loadBitmap=async e=>{try{let t;if("string"==typeof e)t=await createImageBitmap(await(await fetch(e)).blob());else if(e instanceof HTMLImageElement){if(!e.complete||0===e.naturalWidth)return null;t=await createImageBitmap(e)}else if(e instanceof ImageBitmap)t=await createImageBitmap(e);else{if(!(e instanceof ImageData||e instanceof Blob||e instanceof HTMLCanvasElement||e instanceof OffscreenCanvas))return null;t=await createImageBitmap(e)}const n=wt(t.width,t.height);return n.drawImage(t,0,0),t.close(),n}catch(e){return console.error("wakaPAC.loadBitmap: failed to load bitmap",e),null}},Tt.saveBitmap=async(e,t="bitmap.png")=>{if(!e)return!1;const n={jpg:"image/jpeg",jpeg:"image/jpeg",webp:"image/webp"}[t.split(".").pop().toLowerCase()]??"image/png";try{let r;r=e.canvas instanceof OffscreenCanvas?await e.canvas.convertToBlob({type:n}):await new Promise((t,r)=>e.canvas.toBlob(e=>e?t(e):r(Error("toBlob failed")),n));const i=URL.createObjectURL(r);return Object.assign(document.createElement("a"),{href:i,download:t}).click(),URL.revokeObjectURL(i),!0}catch(e){return console.error("wakaPAC.saveBitmap: failed to save bitmap",e),!1}},Tt.deleteBitmap=e=>{Tt.deleteCompatibleDC(e)},Tt.getBitmapSize=e=>e?{width:e.canvas.width,height:e.canvas.height}:null,Tt.playMetaFile=(e,t,n=0,r=0)=>{if(e&&Array.isArray(t)&&0!==t.length){e.save(),0===n&&0===r||e.translate(n,r);for(let n=0,r=t.length;n<r;n++){const r=t[n];if(r.op in Me){e[Me[r.op]]=r.value;continue}if(r.op in xe){e[xe[r.op]]();continue}const i=Se[r.op];if(i){const t=ke[r.op],n=[];for(let e=0;e<i.length;e++){const a=r[i[e]];n.push(t&&i[e]in t?a??t[i[e]]:a)}"drawImage"===r.op&&void 0===n[3]&&void 0===n[4]&&(n.length=3),e[r.op](...n);continue}switch(r.op){case"setLineDash":e.setLineDash(r.value);break;case"setShadow":e.shadowColor=r.color,e.shadowBlur=r.blur,e.shadowOffsetX=r.offsetX??0,e.shadowOffsetY=r.offsetY??0;break;case"clearShadow":e.shadowColor="transparent",e.shadowBlur=0,e.shadowOffsetX=0,e.shadowOffsetY=0;break;case"setImageSmoothing":e.imageSmoothingEnabled=r.enabled,r.quality&&(e.imageSmoothingQuality=r.quality);break;case"hitArea":break;default:console.warn(`wakaPAC.playMetaFile: unknown op "${r.op}"`)}}e.restore()}},Tt.metaFileHitTest=(e,t,n,r=0,i=0)=>{if(!Array.isArray(e))return null;const a=t-r,s=n-i;for(let t=0,n=e.length;t<n;t++){const n=e[t];if("hitArea"===n.op)switch(n.shape??"rect"){case"rect":if(a>=n.x&&a<=n.x+n.w&&s>=n.y&&s<=n.y+n.h)return n.data??null;break;case"polygon":{const e=n.points;if(!e||e.length<6)break;let t=!1;for(let n=0,r=e.length-2;n<e.length;n+=2){const i=e[n],o=e[n+1],c=e[r+1];o>s!=c>s&&a<(e[r]-i)*(s-o)/(c-o)+i&&(t=!t),r=n}if(t)return n.data??null;break}case"sector":{const e=a-n.cx,t=s-n.cy,r=Math.sqrt(e*e+t*t);if(r>n.r)break;if(n.innerR&&r<n.innerR)break;if(Math.abs(n.endAngle-n.startAngle)>=2*Math.PI)return n.data??null;let i=Math.atan2(t,e);i<0&&(i+=2*Math.PI);let o=n.startAngle%(2*Math.PI),c=n.endAngle%(2*Math.PI);if(o<0&&(o+=2*Math.PI),c<0&&(c+=2*Math.PI),o<=c?i>=o&&i<=c:i>=o||i<=c)return n.data??null;break}}}return null},Tt.ptInMetaFile=(e,t,n,r=0,i=0)=>null!==Tt.metaFileHitTest(e,t,n,r,i),window.PACRegistry=window.PACRegistry||new at,Tt.MetaFile=_t,window.wakaPAC=Tt,Object.assign(Tt,{MSG_UNKNOWN:0,MSG_DESTROYED:2,MSG_MOUSEMOVE:V,MSG_LBUTTONDOWN:W,MSG_LBUTTONUP:U,MSG_LBUTTONDBLCLK:H,MSG_RBUTTONDOWN:G,MSG_RBUTTONUP:j,MSG_MBUTTONDOWN:z,MSG_MBUTTONUP:$,MSG_LCLICK:Y,MSG_MCLICK:Q,MSG_RCLICK:Z,MSG_CONTEXTMENU:J,MSG_CHAR:768,MSG_CHANGE:ie,MSG_SUBMIT:ae,MSG_INPUT:771,MSG_INPUT_COMPLETE:se,MSG_PLUGIN:ye,MSG_REGISTERED:Ee,MSG_SETFOCUS:7,MSG_KILLFOCUS:8,MSG_KEYDOWN:le,MSG_KEYUP:he,MSG_USER:me,MSG_TIMER:de,MSG_ACCEL:ue,MSG_COMMAND:273,MSG_COPY:oe,MSG_PASTE:ce,MSG_MOUSEWHEEL:pe,MSG_GESTURE:ge,MSG_TOUCHGESTURE:281,MSG_PAINT:K,MSG_SIZE:5,MSG_FOREACH_REBUILT:fe,MSG_MOUSEENTER:523,MSG_MOUSELEAVE:q,MSG_MOUSEENTER_DESCENDANT:525,MSG_MOUSELEAVE_DESCENDANT:X,MSG_CAPTURECHANGED:533,MSG_DRAGENTER:ee,MSG_DRAGOVER:te,MSG_DRAGLEAVE:ne,MSG_DROP:re,MSG_DPR_CHANGE:16,MSG_ERROR:1025,MK_LBUTTON:1,MK_RBUTTON:2,MK_MBUTTON:16,MK_SHIFT:4,MK_CONTROL:8,MK_ALT:128,MK_XBUTTON1:32,MK_XBUTTON2:64,MK_META:256,KM_SHIFT:ve,KM_CONTROL:we,KM_ALT:Ce,KM_META:Ae,SIZE_RESTORED:0,SIZE_HIDDEN:1,SIZE_FULLSCREEN:2,ID_EDIT_UNDO:Te,ID_EDIT_REDO:_e,GID_ZOOM:3,GID_ROTATE:5,GID_LONGPRESS:16,GID_SWIPE:17,GID_DOUBLETAP:18,GF_BEGIN:1,GF_END:4,VK_BACK:8,VK_TAB:9,VK_RETURN:13,VK_SHIFT:16,VK_CONTROL:17,VK_MENU:18,VK_PAUSE:19,VK_CAPITAL:20,VK_ESCAPE:27,VK_SPACE:32,VK_PRIOR:33,VK_NEXT:34,VK_END:35,VK_HOME:36,VK_LEFT:37,VK_UP:38,VK_RIGHT:39,VK_DOWN:40,VK_SNAPSHOT:44,VK_INSERT:45,VK_DELETE:46,VK_0:48,VK_1:49,VK_2:50,VK_3:51,VK_4:52,VK_5:53,VK_6:54,VK_7:55,VK_8:56,VK_9:57,VK_A:65,VK_B:66,VK_C:67,VK_D:68,VK_E:69,VK_F:70,VK_G:71,VK_H:72,VK_I:73,VK_J:74,VK_K:75,VK_L:76,VK_M:77,VK_N:78,VK_O:79,VK_P:80,VK_Q:81,VK_R:82,VK_S:83,VK_T:84,VK_U:85,VK_V:86,VK_W:87,VK_X:88,VK_Y:89,VK_Z:90,VK_LWIN:91,VK_RWIN:92,VK_APPS:93,VK_NUMPAD0:96,VK_NUMPAD1:97,VK_NUMPAD2:98,VK_NUMPAD3:99,VK_NUMPAD4:100,VK_NUMPAD5:101,VK_NUMPAD6:102,VK_NUMPAD7:103,VK_NUMPAD8:104,VK_NUMPAD9:105,VK_MULTIPLY:106,VK_ADD:107,VK_SUBTRACT:109,VK_DECIMAL:110,VK_DIVIDE:111,VK_F1:112,VK_F2:113,VK_F3:114,VK_F4:115,VK_F5:116,VK_F6:117,VK_F7:118,VK_F8:119,VK_F9:120,VK_F10:121,VK_F11:122,VK_F12:123,VK_NUMLOCK:144,VK_SCROLL:145,VK_BROWSER_BACK:166,VK_BROWSER_FORWARD:167,VK_BROWSER_REFRESH:168,VK_BROWSER_STOP:169,VK_BROWSER_SEARCH:170,VK_BROWSER_FAVORITES:171,VK_BROWSER_HOME:172,VK_VOLUME_MUTE:181,VK_VOLUME_DOWN:182,VK_VOLUME_UP:183,VK_MEDIA_NEXT_TRACK:176,VK_MEDIA_PREV_TRACK:177,VK_MEDIA_STOP:178,VK_MEDIA_PLAY_PAUSE:179,VK_OEM_1:186,VK_OEM_PLUS:187,VK_OEM_COMMA:188,VK_OEM_MINUS:189,VK_OEM_PERIOD:190,VK_OEM_2:191,VK_OEM_3:192,VK_OEM_4:219,VK_OEM_5:220,VK_OEM_6:221,VK_OEM_7:222,VK_OEM_102:226}),Tt.mouseMoveThrottleFps=60,Tt.onError=null}();
\ No newline at end of file